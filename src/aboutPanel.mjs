@@ -392,8 +392,8 @@ class AboutPanel {
                             <p style="margin: 5px 0;">Analyze value distributions with interactive charts and tables. Export as Qlik scripts.</p>
                         </div>
                         <div class="info-box">
-                            <h3 style="margin: 0 0 10px 0; font-size: 1.1em;">📤 11 Export Formats</h3>
-                            <p style="margin: 5px 0;">Export to CSV, Excel, JSON, Parquet, Arrow, Avro, SQLite, PostgreSQL, XML, YAML, and Qlik scripts.</p>
+                            <h3 style="margin: 0 0 10px 0; font-size: 1.1em;">📤 12 Export Formats</h3>
+                            <p style="margin: 5px 0;">Export to CSV, Excel, JSON, Parquet, Arrow, Avro, SQLite, PostgreSQL, XML, YAML, QVD, and Qlik scripts.</p>
                         </div>
                         <div class="info-box">
                             <h3 style="margin: 0 0 10px 0; font-size: 1.1em;">⚡ High Performance</h3>
@@ -423,7 +423,7 @@ class AboutPanel {
                     <p style="color: var(--vscode-descriptionForeground); margin-bottom: 15px;">Understand value distributions and field characteristics - especially valuable for dimensional data in star schemas.</p>
                     
                     <ul class="feature-list">
-                        <li><strong>Field Analysis</strong> - Profile 1-3 fields simultaneously to compare distributions</li>
+                        <li><strong>Field Analysis</strong> - Profile any number of fields over all rows to compare distributions</li>
                         <li><strong>Interactive Charts</strong> - View top 20 values in bar charts with VS Code theme integration</li>
                         <li><strong>Distribution Tables</strong> - Complete frequency data with counts and percentages, paginated for easy navigation</li>
                         <li><strong>Statistics</strong> - Total rows, unique values, and NULL counts for each field</li>
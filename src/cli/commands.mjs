@@ -0,0 +1,502 @@
+/**
+ * CLI Commands
+ * Profiles, converts, describes, compares and scans QVD files for personal
+ * data from the command line. Nothing here depends on the VS Code API, so
+ * the same modules the extension uses run in plain Node.js.
+ */
+
+import { parseArgs } from "util";
+import { writeFileSync } from "fs";
+import { basename, extname, join, dirname } from "path";
+import QvdRandomAccessReader from "../qvdRandomAccessReader.mjs";
+import { createRowSource, DEFAULT_BATCH_SIZE } from "../qvdRowSource.mjs";
+import { profileFields, profileQvdFields } from "../qvdProfiler.mjs";
+import { loadCalendar } from "../qvdTemporalAnalysis.mjs";
+import { buildSensitivityReport, scanQvdForPii } from "../qvdPiiScanner.mjs";
+import {
+  PROFILE_EXPORT_EXTENSIONS,
+  buildProfileDocument,
+  exportProfileDocument,
+} from "../qvdProfileExport.mjs";
+import {
+  compareQvdFiles,
+  describeNumberFormat,
+  describeSymbolTypes,
+} from "../qvdDiff.mjs";
+import { formatRowSource, getDisplayColumns } from "../qvdNumberFormat.mjs";
+import DataExporter from "../exporters/index.mjs";
+import {
+  REPORT_FORMATS,
+  formatSchemaReport,
+  formatProfileReport,
+  formatDiffReport,
+  formatPiiReport,
+  hasDifferences,
+} from "../qvdReports.mjs";
+
+/**
+ * Exit codes, following diff(1) for the diff command
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  DIFFERENCES: 1,
+  FAILURE: 2,
+};
+
+export const USAGE = `Usage: ctrlq-qvd <command> [options]
+
+Commands:
+  profile <file>          Profile field values, statistics and data quality
+  convert <file>          Convert a QVD file to another format
+  schema <file>           Show table properties and field definitions
+  diff <fileA> <fileB>    Compare header, schema and (with --key) rows
+  pii <file...>           Scan for personal data and classify sensitivity
+
+Options:
+  -f, --format <format>   Report format: json, markdown or html (default: json)
+  -o, --output <path>     Write the report or converted file to this path
+      --fields <list>     profile: comma separated fields (default: all fields)
+      --max-rows <n>      profile, convert: only use the first n rows
+      --fiscal-year-start <month>
+                          profile: first month of the fiscal year, 1-12
+      --iso-weeks         profile: number weeks by ISO 8601
+      --business-days     profile: only expect dates on Monday to Friday
+      --holidays <file>   profile: holiday file, one YYYY-MM-DD date per line
+  -t, --to <format>       convert: target format (${DataExporter.getExportFormats()
+    .map((format) => format.name)
+    .join(", ")})
+                          profile: export the profile as ${Object.keys(
+                            PROFILE_EXPORT_EXTENSIONS
+                          ).join(", ")}
+      --delimiter <name>  convert --to qlik: tab, pipe, comma, semicolon or auto-detect
+      --formatted <list>  convert: comma separated fields to write as formatted
+                          text instead of numbers, or "all"
+      --key <field>       diff: key field used to compare rows
+  -q, --quiet             Don't print progress messages
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 differences found (diff), 2 error
+`;
+
+const OPTIONS = {
+  format: { type: "string", short: "f", default: "json" },
+  output: { type: "string", short: "o" },
+  fields: { type: "string" },
+  "max-rows": { type: "string" },
+  "fiscal-year-start": { type: "string" },
+  "iso-weeks": { type: "boolean", default: false },
+  "business-days": { type: "boolean", default: false },
+  holidays: { type: "string" },
+  to: { type: "string", short: "t" },
+  delimiter: { type: "string", default: "tab" },
+  formatted: { type: "string" },
+  key: { type: "string" },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Parse the --max-rows option
+ * @param {string} value - Option value
+ * @returns {number} Maximum number of rows (0 = all)
+ */
+function parseMaxRows(value) {
+  if (value === undefined) {
+    return 0;
+  }
+  const maxRows = Number(value);
+  if (!Number.isInteger(maxRows) || maxRows < 0) {
+    throw new Error(`Invalid --max-rows value: ${value}`);
+  }
+  return maxRows;
+}
+
+/**
+ * Parse the calendar options of the profile command
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} Resolved calendar
+ */
+async function parseCalendarOptions(values) {
+  const value = values["fiscal-year-start"];
+  const fiscalYearStartMonth = value === undefined ? 1 : Number(value);
+  if (
+    !Number.isInteger(fiscalYearStartMonth) ||
+    fiscalYearStartMonth < 1 ||
+    fiscalYearStartMonth > 12
+  ) {
+    throw new Error(`Invalid --fiscal-year-start value: ${value}`);
+  }
+  return loadCalendar({
+    fiscalYearStartMonth,
+    isoWeeks: values["iso-weeks"],
+    businessDays: values["business-days"],
+    holidayFile: values.holidays || "",
+  });
+}
+
+/**
+ * Parse the --formatted option
+ * @param {string} value - Option value
+ * @param {Array<string>} displayColumns - Fields shown as text, see getDisplayColumns
+ * @returns {Array<string>} Fields to write as formatted text
+ */
+function parseFormattedFields(value, displayColumns) {
+  if (value === undefined) {
+    return [];
+  }
+  if (value.trim() === "all") {
+    return displayColumns;
+  }
+  const fields = value.split(",").map((name) => name.trim());
+  const unformatted = fields.filter((name) => !displayColumns.includes(name));
+  if (unformatted.length > 0) {
+    throw new Error(
+      `Field(s) without a number format or dual values: ${unformatted.join(
+        ", "
+      )}`
+    );
+  }
+  return fields;
+}
+
+/**
+ * Create a row source over all fields of an opened QVD file
+ * @param {QvdRandomAccessReader} reader - Opened random access reader
+ * @param {Object} options - Row source options
+ * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
+ * @returns {Object} Row source
+ */
+function createQvdRowSource(reader, { duals = false } = {}) {
+  const { metadata } = reader;
+  const columns = metadata.fields.map((field) => field.name);
+  return createRowSource({
+    columns,
+    rowCount: metadata.noOfRecords,
+    batches: () => reader.iterateBatches(DEFAULT_BATCH_SIZE, null, { duals }),
+    metadata,
+    storedColumns: columns,
+  });
+}
+
+/**
+ * Open a QVD file and create a row source over all of its fields
+ * @param {string} filePath - Path to the QVD file
+ * @returns {Promise<{reader: QvdRandomAccessReader, metadata: Object, source: Object}>}
+ */
+async function openQvd(filePath) {
+  const reader = new QvdRandomAccessReader(filePath);
+  const metadata = await reader.open();
+  return { reader, metadata, source: createQvdRowSource(reader) };
+}
+
+/**
+ * Describe the table and fields of a QVD file
+ * @param {string} filePath - Path to the QVD file
+ * @returns {Promise<Object>} Schema
+ */
+export async function buildSchema(filePath) {
+  const { reader, metadata } = await openQvd(filePath);
+  const fields = [];
+  for (const field of metadata.fields) {
+    fields.push({
+      name: field.name,
+      storageType: describeSymbolTypes(await reader.getSymbolTypes(field.name)),
+      numberFormat: describeNumberFormat(field.numberFormat),
+      tags: field.tags,
+      noOfSymbols: field.noOfSymbols,
+      bitWidth: field.bitWidth,
+      comment: field.comment || "",
+    });
+  }
+
+  return {
+    fileName: basename(filePath),
+    tableName: metadata.tableName,
+    noOfRecords: metadata.noOfRecords,
+    createUtcTime: metadata.createUtcTime,
+    qvBuildNo: metadata.qvBuildNo,
+    creatorDoc: metadata.creatorDoc,
+    fields,
+  };
+}
+
+/**
+ * Profile the fields of a QVD file
+ * All rows are profiled from the symbol counts of the index table. With
+ * --max-rows, the first rows are read into memory and profiled instead.
+ * @param {string} filePath - Path to the QVD file
+ * @param {Object} options - Profiling options
+ * @param {Array<string>} options.fields - Fields to profile (default: all fields)
+ * @param {number} options.maxRows - Maximum number of rows to read (0 = all)
+ * @param {Object|null} options.calendar - Resolved calendar for date fields (default: calendar years, all days)
+ * @returns {Promise<Object>} Profile with one result per field
+ */
+export async function buildProfile(
+  filePath,
+  { fields = null, maxRows = 0, calendar = null } = {}
+) {
+  const { reader, metadata, source } = await openQvd(filePath);
+  const fieldNames = fields || source.columns;
+  const unknown = fieldNames.filter((name) => !source.columns.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s): ${unknown.join(", ")}`);
+  }
+
+  if (maxRows === 0 || maxRows >= metadata.noOfRecords) {
+    const result = await profileQvdFields(reader, fieldNames, {
+      metadata,
+      calendar,
+    });
+    return {
+      fileName: basename(filePath),
+      noOfRecords: metadata.noOfRecords,
+      rowsProfiled: metadata.noOfRecords,
+      fields: result.fields,
+    };
+  }
+
+  const data = [];
+  for await (const batch of source.limit(maxRows).batches()) {
+    data.push(...batch);
+  }
+
+  const result = profileFields(
+    data,
+    fieldNames,
+    1000,
+    metadata,
+    {},
+    calendar
+  );
+  return {
+    fileName: basename(filePath),
+    noOfRecords: metadata.noOfRecords,
+    rowsProfiled: data.length,
+    fields: result.fields,
+  };
+}
+
+/**
+ * Scan QVD files for personal data
+ * @param {Array<string>} filePaths - Paths to the QVD files
+ * @returns {Promise<Object>} Sensitivity report, see buildSensitivityReport
+ */
+export async function buildPiiReport(filePaths) {
+  const files = [];
+  for (const filePath of filePaths) {
+    files.push({
+      fileName: basename(filePath),
+      scan: await scanQvdForPii(new QvdRandomAccessReader(filePath)),
+    });
+  }
+  return buildSensitivityReport(files);
+}
+
+/**
+ * Write a report to a file, or to stdout when no file is given
+ * @param {string} report - Report text
+ * @param {string} output - Output path (optional)
+ * @param {Object} io - Output streams
+ */
+function writeReport(report, output, io) {
+  if (output) {
+    writeFileSync(output, report, "utf8");
+    io.log(`Report written to ${output}`);
+  } else {
+    io.stdout.write(report);
+  }
+}
+
+/**
+ * Export a profile as versioned JSON, CSV tables or Excel workbook
+ * @param {string} filePath - Path to the QVD file
+ * @param {Object} profile - Profile as built by buildProfile
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ */
+async function exportProfile(filePath, profile, values, io) {
+  const extension = PROFILE_EXPORT_EXTENSIONS[values.to] || values.to;
+  const output =
+    values.output ||
+    join(
+      dirname(filePath),
+      `${basename(filePath, extname(filePath))}_profile.${extension}`
+    );
+
+  const document = buildProfileDocument(profile, {
+    fileName: profile.fileName,
+    noOfRecords: profile.noOfRecords,
+    rowsProfiled: profile.rowsProfiled,
+  });
+  const written = await exportProfileDocument(document, values.to, output);
+  io.log(`Profile written to ${written.join(", ")}`);
+}
+
+/**
+ * Run the convert command
+ * @param {string} filePath - Path to the QVD file
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Output streams
+ */
+async function convert(filePath, values, io) {
+  const format = values.to;
+  const extension = DataExporter.getFileExtension(format);
+  if (!extension) {
+    throw new Error(
+      format
+        ? `Unsupported export format: ${format}`
+        : "Missing target format, use --to <format>"
+    );
+  }
+
+  const output =
+    values.output ||
+    join(
+      dirname(filePath),
+      `${basename(filePath, extname(filePath))}.${extension}`
+    );
+  if (output === filePath) {
+    throw new Error("Output file must differ from the input file");
+  }
+
+  // A QVD file keeps the number formats and dual texts of the fields
+  const toQvd = format === "qvd";
+  if (toQvd && values.formatted !== undefined) {
+    throw new Error("--formatted cannot be used with --to qvd");
+  }
+  const { reader } = await openQvd(filePath);
+  const formattedFields = parseFormattedFields(
+    values.formatted,
+    await getDisplayColumns(reader)
+  );
+  // Dual values carry the text of formatted fields
+  const formatted = formatRowSource(
+    createQvdRowSource(reader, {
+      duals: toQvd || formattedFields.length > 0,
+    }),
+    formattedFields
+  );
+  let lastPercent = -1;
+  await DataExporter.exportToFile(formatted, format, output, {
+    maxRows: parseMaxRows(values["max-rows"]),
+    delimiter: values.delimiter,
+    onProgress: (increment, rowsProcessed, totalRows) => {
+      const percent = Math.floor((rowsProcessed / totalRows) * 10) * 10;
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        io.log(`Exporting to ${format.toUpperCase()}: ${percent}%`);
+      }
+    },
+  });
+  io.log(`Exported ${basename(filePath)} to ${output}`);
+}
+
+/**
+ * Run the command line interface
+ * @param {Array<string>} argv - Arguments after the executable and script name
+ * @param {Object} streams - Output streams (default: process.stdout and process.stderr)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+  }
+
+  const io = {
+    stdout,
+    log: (message) => {
+      if (!values.quiet) {
+        stderr.write(`${message}\n`);
+      }
+    },
+  };
+  const expectedFiles = command === "diff" ? 2 : 1;
+
+  try {
+    if (!["profile", "convert", "schema", "diff", "pii"].includes(command)) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    if (command === "pii" && files.length === 0) {
+      throw new Error("pii expects at least 1 QVD file");
+    }
+    if (command !== "pii" && files.length !== expectedFiles) {
+      throw new Error(
+        `${command} expects ${expectedFiles} QVD file${
+          expectedFiles > 1 ? "s" : ""
+        }`
+      );
+    }
+    if (command !== "convert" && !REPORT_FORMATS.includes(values.format)) {
+      throw new Error(
+        `Unsupported report format: ${
+          values.format
+        } (use ${REPORT_FORMATS.join(", ")})`
+      );
+    }
+
+    switch (command) {
+      case "profile": {
+        const profile = await buildProfile(files[0], {
+          fields: values.fields
+            ? values.fields.split(",").map((name) => name.trim())
+            : null,
+          maxRows: parseMaxRows(values["max-rows"]),
+          calendar: await parseCalendarOptions(values),
+        });
+        if (values.to) {
+          await exportProfile(files[0], profile, values, io);
+        } else {
+          writeReport(
+            formatProfileReport(profile, values.format),
+            values.output,
+            io
+          );
+        }
+        return EXIT_CODES.SUCCESS;
+      }
+      case "convert":
+        await convert(files[0], values, io);
+        return EXIT_CODES.SUCCESS;
+      case "schema": {
+        const schema = await buildSchema(files[0]);
+        writeReport(
+          formatSchemaReport(schema, values.format),
+          values.output,
+          io
+        );
+        return EXIT_CODES.SUCCESS;
+      }
+      case "diff": {
+        const diff = await compareQvdFiles(files[0], files[1], {
+          keyField: values.key || null,
+        });
+        writeReport(formatDiffReport(diff, values.format), values.output, io);
+        return hasDifferences(diff)
+          ? EXIT_CODES.DIFFERENCES
+          : EXIT_CODES.SUCCESS;
+      }
+      case "pii": {
+        const report = await buildPiiReport(files);
+        writeReport(formatPiiReport(report, values.format), values.output, io);
+        return EXIT_CODES.SUCCESS;
+      }
+    }
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+  }
+  return EXIT_CODES.FAILURE;
+}
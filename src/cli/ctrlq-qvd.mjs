@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * ctrlq-qvd command line interface
+ * Profile, convert, describe and compare QVD files outside VS Code.
+ * Run `ctrlq-qvd --help` for usage.
+ */
+
+import { runCli } from "./commands.mjs";
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,188 @@
+import * as vscode from "vscode";
+import { basename } from "path";
+import QvdRandomAccessReader from "./qvdRandomAccessReader.mjs";
+import { compareQvdFiles, suggestKeyFields } from "./qvdDiff.mjs";
+import { getDiffHtml } from "./webview/templates/diffTemplate.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Manages a webview comparing two QVD files
+ */
+class DiffPanel {
+  static viewType = "ctrl-q-qvd-viewer.diff";
+
+  constructor(panel, filePathA, filePathB, keyFields, diff) {
+    this._panel = panel;
+    this._filePathA = filePathA;
+    this._filePathB = filePathB;
+    this._keyFields = keyFields;
+    this._disposables = [];
+
+    this._update(diff);
+
+    // Listen for when the panel is disposed
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    // Handle messages from the webview
+    this._panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case "compareRows": {
+            // Compare again using the key field chosen in the webview
+            const result = await DiffPanel.compare(
+              this._filePathA,
+              this._filePathB,
+              message.keyField
+            );
+            if (result) {
+              this._update(result);
+            } else {
+              this._panel.webview.postMessage({ command: "compareRowsDone" });
+            }
+            break;
+          }
+        }
+      },
+      null,
+      this._disposables
+    );
+  }
+
+  /**
+   * Compare two QVD files and show the differences
+   * The user is asked for the primary key field used to match rows.
+   * @param {vscode.Uri} uriA - First (old) QVD file
+   * @param {vscode.Uri} uriB - Second (new) QVD file
+   * @returns {Promise<void>}
+   */
+  static async show(uriA, uriB) {
+    const filePathA = uriA.fsPath;
+    const filePathB = uriB.fsPath;
+
+    let keyFields;
+    try {
+      keyFields = suggestKeyFields(
+        await new QvdRandomAccessReader(filePathA).open(),
+        await new QvdRandomAccessReader(filePathB).open()
+      );
+    } catch (error) {
+      logger.error("Failed to read QVD files for comparison:", error);
+      vscode.window.showErrorMessage(
+        `Failed to read QVD files: ${error.message}`
+      );
+      return;
+    }
+
+    const items = [
+      ...keyFields.map((field) => ({
+        label: field.name,
+        description: field.unique ? "Unique in both files" : "",
+        keyField: field.name,
+      })),
+      {
+        label: "Compare schema and metadata only",
+        description: "Rows are not compared",
+        keyField: null,
+      },
+    ];
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select the primary key field used to match rows",
+    });
+    if (!selected) {
+      return;
+    }
+
+    const diff = await DiffPanel.compare(
+      filePathA,
+      filePathB,
+      selected.keyField
+    );
+    if (!diff) {
+      return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      DiffPanel.viewType,
+      `Compare: ${basename(filePathA)} ↔ ${basename(filePathB)}`,
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    new DiffPanel(panel, filePathA, filePathB, keyFields, diff);
+  }
+
+  /**
+   * Run the comparison with progress reporting
+   * @param {string} filePathA - First (old) QVD file
+   * @param {string} filePathB - Second (new) QVD file
+   * @param {string|null} keyField - Primary key field, or null to skip the row comparison
+   * @returns {Promise<Object|null>} Comparison result, or null if cancelled or failed
+   */
+  static async compare(filePathA, filePathB, keyField) {
+    try {
+      return await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Comparing ${basename(filePathA)} and ${basename(filePathB)}`,
+          cancellable: true,
+        },
+        async (progress, token) => {
+          let reported = 0;
+          return compareQvdFiles(filePathA, filePathB, {
+            keyField,
+            onProgress: (message, rowsProcessed, totalRows) => {
+              const percent =
+                totalRows > 0 ? (rowsProcessed / totalRows) * 100 : 100;
+              progress.report({ message, increment: percent - reported });
+              reported = percent;
+            },
+            isCancelled: () => token.isCancellationRequested,
+          });
+        }
+      );
+    } catch (error) {
+      if (error.message === "Operation cancelled") {
+        vscode.window.showInformationMessage("Comparison cancelled");
+        return null;
+      }
+      logger.error("Failed to compare QVD files:", error);
+      vscode.window.showErrorMessage(
+        `Failed to compare QVD files: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Update the webview content
+   * @param {Object} diff - Comparison result
+   * @returns {void}
+   */
+  _update(diff) {
+    this._panel.webview.html = getDiffHtml(
+      this._panel.webview,
+      diff,
+      this._keyFields
+    );
+  }
+
+  /**
+   * Clean up resources
+   * @returns {void}
+   */
+  dispose() {
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+}
+
+export default DiffPanel;
@@ -1,15 +1,46 @@
-import { promises as fs, existsSync, unlinkSync } from 'fs';
+import { promises as fs, createWriteStream, existsSync, unlinkSync } from 'fs';
+import { once } from 'events';
+import { Readable } from 'stream';
 import * as arrow from 'apache-arrow';
+import { resolveColumnTypes, toExportValue } from './exportStream.mjs';
+import { FIELD_TYPES } from '../qvdFieldTypes.mjs';
+
+/**
+ * Create the Arrow data type of a field type
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {Object} Arrow data type
+ */
+function toArrowType(type) {
+  switch (type) {
+    case FIELD_TYPES.INTEGER:
+      return new arrow.Int64();
+    case FIELD_TYPES.NUMBER:
+    case FIELD_TYPES.TIME:
+    case FIELD_TYPES.INTERVAL:
+      return new arrow.Float64();
+    case FIELD_TYPES.DATE:
+      return new arrow.DateDay();
+    case FIELD_TYPES.TIMESTAMP:
+      return new arrow.TimestampMillisecond();
+    case FIELD_TYPES.BOOLEAN:
+      return new arrow.Bool();
+    default:
+      return new arrow.Utf8();
+  }
+}
 
 /**
  * Export data to Apache Arrow format
- * @param {Array<Object>} data - Array of row objects
+ * The rows are read twice: once to determine the column types and once to
+ * write them. Each batch of rows becomes one Arrow record batch.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToArrow(data, filePath) {
+export async function exportToArrow(source, filePath) {
+  let out = null;
   try {
-    if (data.length === 0) {
+    if (source.rowCount === 0) {
       // Create empty Arrow file
       const emptyTable = arrow.tableFromJSON([{ empty: "" }]);
       const writer = arrow.RecordBatchFileWriter.writeAll(emptyTable);
@@ -18,91 +49,63 @@ export async function exportToArrow(data, filePath) {
       return;
     }
 
-    // First, analyze all columns to detect mixed types
-    const firstRow = data[0];
-    const columnNames = Object.keys(firstRow);
+    const columnNames = source.columns;
+    const columnTypes = await resolveColumnTypes(source);
 
-    // Track type information for each column across all rows
-    const columnTypes = {};
+    const arrowTypes = {};
     columnNames.forEach((key) => {
-      columnTypes[key] = {
-        hasNull: false,
-        hasNumber: false,
-        hasString: false,
-        hasBoolean: false,
-        hasDate: false,
-        hasObject: false,
-      };
+      arrowTypes[key] = toArrowType(columnTypes[key].type);
     });
 
-    // Scan all rows to determine the most compatible type for each column
-    for (const row of data) {
-      for (const key of columnNames) {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
+    const schema = new arrow.Schema(
+      columnNames.map((key) => new arrow.Field(key, arrowTypes[key], true))
+    );
 
-        if (value === null || value === undefined) {
-          typeInfo.hasNull = true;
-        } else if (value instanceof Date) {
-          typeInfo.hasDate = true;
-        } else if (typeof value === "object") {
-          typeInfo.hasObject = true;
-        } else if (typeof value === "number") {
-          typeInfo.hasNumber = true;
-        } else if (typeof value === "string") {
-          typeInfo.hasString = true;
-        } else if (typeof value === "boolean") {
-          typeInfo.hasBoolean = true;
-        }
+    // Convert a value to the type of its column; Int64 columns take BigInts
+    const normalize = (value, key) => {
+      const converted = toExportValue(value, columnTypes[key].type);
+      if (converted !== null && columnTypes[key].type === FIELD_TYPES.INTEGER) {
+        return BigInt(converted);
       }
-    }
+      return converted;
+    };
 
-    // Normalize data to ensure type consistency within each column
-    const normalizedData = data.map((row) => {
-      const normalizedRow = {};
+    out = createWriteStream(filePath);
+    const finished = once(out, "finish");
+    const writer = new arrow.RecordBatchFileWriter();
+    // The writer yields its output as an async iterable of chunks. Its
+    // toNodeStream() is missing from bundles, which drop the Node.js
+    // adapters apache-arrow registers as a side effect.
+    Readable.from(writer).pipe(out);
+    writer.reset(undefined, schema);
 
+    for await (const batch of source.batches()) {
+      if (batch.length === 0) {
+        continue;
+      }
+      const columns = {};
       columnNames.forEach((key) => {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
-
-        if (value === null || value === undefined) {
-          normalizedRow[key] = null;
-        } else if (
-          typeInfo.hasString ||
-          typeInfo.hasObject ||
-          (typeInfo.hasNumber && typeInfo.hasBoolean)
-        ) {
-          // If column has mixed types or strings, convert everything to string
-          if (value instanceof Date) {
-            normalizedRow[key] = value.toISOString();
-          } else if (typeof value === "object") {
-            normalizedRow[key] = JSON.stringify(value);
-          } else {
-            normalizedRow[key] = String(value);
-          }
-        } else if (value instanceof Date) {
-          // Convert dates to ISO strings for better compatibility
-          normalizedRow[key] = value.toISOString();
-        } else {
-          // Keep primitives (string, number, boolean) as-is
-          normalizedRow[key] = value;
-        }
+        columns[key] = arrow.vectorFromArray(
+          batch.map((row) => normalize(row[key], key)),
+          arrowTypes[key]
+        ).data[0];
       });
+      writer.write(new arrow.RecordBatch(columns));
 
-      return normalizedRow;
-    });
-
-    // Create Arrow table from JSON (this method is most reliable)
-    const table = arrow.tableFromJSON(normalizedData);
+      // Let the file stream catch up before building the next batch
+      if (out.writableNeedDrain) {
+        await once(out, "drain");
+      }
+    }
 
-    // Write to file
-    const writer = arrow.RecordBatchFileWriter.writeAll(table);
-    const uint8Array = await writer.toUint8Array();
-    const buffer = Buffer.from(uint8Array);
-    await fs.writeFile(filePath, buffer);
+    writer.finish();
+    await finished;
   } catch (error) {
     // Clean up the partially created file on error
     try {
+      if (out) {
+        out.destroy();
+      }
       if (existsSync(filePath)) {
         unlinkSync(filePath);
       }
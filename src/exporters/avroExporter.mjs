@@ -1,15 +1,36 @@
 import avro from 'avsc';
 import { existsSync, unlinkSync } from 'fs';
+import { once } from 'events';
+import { resolveColumnTypes, toExportValue } from './exportStream.mjs';
+import { FIELD_TYPES } from '../qvdFieldTypes.mjs';
+import { MS_PER_DAY } from '../temporal/dateDetection.mjs';
+
+/**
+ * Avro type of each field type. Dates are stored as days and timestamps
+ * as milliseconds since the Unix epoch.
+ */
+const AVRO_TYPES = {
+  [FIELD_TYPES.INTEGER]: "long",
+  [FIELD_TYPES.NUMBER]: "double",
+  [FIELD_TYPES.DATE]: { type: "int", logicalType: "date" },
+  [FIELD_TYPES.TIMESTAMP]: { type: "long", logicalType: "timestamp-millis" },
+  [FIELD_TYPES.TIME]: "double",
+  [FIELD_TYPES.INTERVAL]: "double",
+  [FIELD_TYPES.TEXT]: "string",
+  [FIELD_TYPES.BOOLEAN]: "boolean",
+};
 
 /**
  * Export data to Avro format
- * @param {Array<Object>} data - Array of row objects
+ * The rows are read twice: once to infer the schema and once to write them.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToAvro(data, filePath) {
+export async function exportToAvro(source, filePath) {
+  let encoder = null;
   try {
-    if (data.length === 0) {
+    if (source.rowCount === 0) {
       // Create empty Avro file with minimal schema
       const type = avro.Type.forSchema({
         type: "record",
@@ -26,66 +47,16 @@ export async function exportToAvro(data, filePath) {
       return;
     }
 
-    // Infer schema by scanning all rows to determine compatible types
-    const firstRow = data[0];
-    const columnNames = Object.keys(firstRow);
-
-    // Track type information for each column across all rows
-    const columnTypes = {};
-    columnNames.forEach((key) => {
-      columnTypes[key] = {
-        hasNull: false,
-        hasNumber: false,
-        hasString: false,
-        hasBoolean: false,
-        hasDate: false,
-        allIntegers: true,
-      };
-    });
-
-    // Scan all rows to determine the most compatible type for each column
-    for (const row of data) {
-      for (const key of columnNames) {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
-
-        if (value === null || value === undefined) {
-          typeInfo.hasNull = true;
-        } else if (typeof value === "number") {
-          typeInfo.hasNumber = true;
-          if (!Number.isInteger(value)) {
-            typeInfo.allIntegers = false;
-          }
-        } else if (typeof value === "string") {
-          typeInfo.hasString = true;
-        } else if (typeof value === "boolean") {
-          typeInfo.hasBoolean = true;
-        } else if (value instanceof Date) {
-          typeInfo.hasDate = true;
-        }
-      }
-    }
+    const columnNames = source.columns;
+    const columnTypes = await resolveColumnTypes(source);
 
-    // Determine Avro type for each field based on collected type information
+    // Determine Avro type for each field based on the resolved types
     const fields = columnNames.map((key) => {
       const typeInfo = columnTypes[key];
-      let avroType;
+      let avroType = AVRO_TYPES[typeInfo.type];
 
-      // If column has mixed types or strings, use string as most compatible
-      if (typeInfo.hasString || (typeInfo.hasNumber && typeInfo.hasBoolean)) {
-        avroType = "string";
-      } else if (typeInfo.hasDate) {
-        avroType = "long"; // Store dates as timestamps
-      } else if (typeInfo.hasNumber) {
-        avroType = typeInfo.allIntegers ? "long" : "double";
-      } else if (typeInfo.hasBoolean) {
-        avroType = "boolean";
-      } else {
-        avroType = "string"; // Default fallback
-      }
-
-      // Make nullable if the column has null values
-      if (typeInfo.hasNull) {
+      // Make nullable if the column can hold null values
+      if (typeInfo.nullable) {
         avroType = ["null", avroType];
       }
 
@@ -98,39 +69,40 @@ export async function exportToAvro(data, filePath) {
       fields: fields,
     });
 
-    await new Promise((resolve, reject) => {
-      const encoder = avro.createFileEncoder(filePath, type);
-
+    encoder = avro.createFileEncoder(filePath, type);
+    const finished = new Promise((resolve, reject) => {
       encoder.on("finish", resolve);
       encoder.on("error", reject);
+    });
 
-      // Write rows
-      for (const row of data) {
-        // Convert dates to timestamps and ensure type compatibility
-        const processedRow = {};
-        Object.keys(row).forEach((key) => {
-          const value = row[key];
-          const typeInfo = columnTypes[key];
-
-          if (value === null || value === undefined) {
-            processedRow[key] = null;
-          } else if (value instanceof Date) {
-            processedRow[key] = value.getTime();
-          } else if (typeInfo.hasString) {
-            // If schema expects string, convert everything to string
-            processedRow[key] = String(value);
-          } else {
-            processedRow[key] = value;
-          }
-        });
-        encoder.write(processedRow);
+    // Write rows, waiting for the encoder to drain between writes
+    for await (const row of source.rows()) {
+      // Convert values to their column types, and dates to numbers
+      const processedRow = {};
+      columnNames.forEach((key) => {
+        const value = toExportValue(row[key], columnTypes[key].type);
+        if (value instanceof Date) {
+          processedRow[key] =
+            columnTypes[key].type === FIELD_TYPES.DATE
+              ? Math.floor(value.getTime() / MS_PER_DAY)
+              : value.getTime();
+        } else {
+          processedRow[key] = value;
+        }
+      });
+      if (!encoder.write(processedRow)) {
+        await Promise.race([once(encoder, "drain"), finished]);
       }
+    }
 
-      encoder.end();
-    });
+    encoder.end();
+    await finished;
   } catch (error) {
     // Clean up the partially created file on error
     try {
+      if (encoder) {
+        encoder.destroy();
+      }
       if (existsSync(filePath)) {
         unlinkSync(filePath);
       }
@@ -1,13 +1,14 @@
-import { promises as fs } from "fs";
 import Papa from "papaparse";
+import { openTextWriter } from "./exportStream.mjs";
 
 /**
  * Export data to CSV format
- * @param {Array<Object>} data - Array of row objects
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToCSV(data, filePath) {
+export async function exportToCSV(source, filePath) {
+  const writer = openTextWriter(filePath);
   try {
     // Add header comment (with # prefix, commonly recognized in CSV parsers)
     const header = [
@@ -16,21 +17,41 @@ export async function exportToCSV(data, filePath) {
       "# VS Code Extension: https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
       "# GitHub: https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
       `# Generated: ${new Date().toISOString()}`,
-      `# Rows: ${data.length}`,
+      `# Rows: ${source.rowCount}`,
       "",
     ].join("\n");
 
-    const csv = Papa.unparse(data, {
+    const unparseOptions = {
       quotes: true,
       quoteChar: '"',
       escapeChar: '"',
       delimiter: ",",
-      header: true,
       newline: "\n",
-    });
+    };
 
-    await fs.writeFile(filePath, header + csv, "utf8");
+    await writer.write(header);
+    if (source.columns.length > 0) {
+      await writer.write(
+        Papa.unparse([source.columns], unparseOptions)
+      );
+    }
+
+    // Write each batch as it arrives, without column headers
+    for await (const batch of source.batches()) {
+      if (batch.length === 0) {
+        continue;
+      }
+      const csv = Papa.unparse(batch, {
+        ...unparseOptions,
+        header: false,
+        columns: source.columns,
+      });
+      await writer.write("\n" + csv);
+    }
+
+    await writer.close();
   } catch (error) {
+    writer.destroy();
     throw new Error(`CSV export failed: ${error.message}`);
   }
 }
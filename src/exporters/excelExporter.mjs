@@ -1,20 +1,27 @@
 import ExcelJS from "exceljs";
+import { existsSync, unlinkSync } from "fs";
 
 /**
  * Export data to Excel (.xlsx) format
- * @param {Array<Object>} data - Array of row objects
+ * Rows are written with the ExcelJS streaming workbook writer and committed
+ * as they are added, so the whole sheet is never held in memory.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToExcel(data, filePath) {
+export async function exportToExcel(source, filePath) {
   try {
-    const workbook = new ExcelJS.Workbook();
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      filename: filePath,
+      useStyles: true,
+      useSharedStrings: false,
+    });
 
     // Add metadata to workbook properties
     workbook.creator = "Ctrl-Q QVD Viewer for VS Code";
     workbook.created = new Date();
     workbook.modified = new Date();
-    workbook.properties.description = [
+    workbook.description = [
       "Excel Data Export",
       "Created by: Ctrl-Q QVD Viewer for VS Code",
       "VS Code Extension: https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
@@ -23,35 +30,43 @@ export async function exportToExcel(data, filePath) {
 
     const worksheet = workbook.addWorksheet("Data");
 
-    if (data.length === 0) {
-      await workbook.xlsx.writeFile(filePath);
-      return;
-    }
-
-    // Get column headers from first row
-    const columns = Object.keys(data[0]).map((key) => ({
-      header: key,
-      key: key,
-      width: 15,
-    }));
-
-    worksheet.columns = columns;
+    if (source.rowCount > 0 && source.columns.length > 0) {
+      worksheet.columns = source.columns.map((key) => ({
+        header: key,
+        key: key,
+        width: 15,
+      }));
 
-    // Add rows
-    data.forEach((row) => {
-      worksheet.addRow(row);
-    });
+      // Style the header row
+      const headerRow = worksheet.getRow(1);
+      headerRow.font = { bold: true };
+      headerRow.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFD3D3D3" },
+      };
+      headerRow.commit();
 
-    // Style the header row
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: "pattern",
-      pattern: "solid",
-      fgColor: { argb: "FFD3D3D3" },
-    };
+      // Add rows
+      for await (const batch of source.batches()) {
+        for (const row of batch) {
+          worksheet.addRow(row).commit();
+        }
+      }
+    }
 
-    await workbook.xlsx.writeFile(filePath);
+    worksheet.commit();
+    await workbook.commit();
   } catch (error) {
+    // Clean up the partially created file on error
+    try {
+      if (existsSync(filePath)) {
+        unlinkSync(filePath);
+      }
+    } catch {
+      // Ignore cleanup errors, throw original error
+    }
+
     throw new Error(`Excel export failed: ${error.message}`);
   }
 }
@@ -0,0 +1,210 @@
+import { createWriteStream } from "fs";
+import { once } from "events";
+import {
+  FIELD_TYPES,
+  TYPE_SOURCES,
+  fitsValueKinds,
+  isNumericType,
+  resolveFieldType,
+  typeFromValueKinds,
+} from "../qvdFieldTypes.mjs";
+import {
+  MS_PER_DAY,
+  parseDate,
+  qlikSerialToUtc,
+} from "../temporal/dateDetection.mjs";
+
+/**
+ * Open a text file for incremental writing
+ * Writes wait for the stream to drain, so that no more than one chunk is
+ * buffered in memory at a time.
+ * @param {string} filePath - Destination file path
+ * @returns {{write: Function, close: Function, destroy: Function}} Text writer
+ */
+export function openTextWriter(filePath) {
+  const stream = createWriteStream(filePath, { encoding: "utf8" });
+  let streamError = null;
+  stream.on("error", (error) => {
+    streamError = error;
+  });
+
+  return {
+    /**
+     * Write a chunk of text
+     * @param {string|Buffer} text - Text, or raw bytes for binary formats
+     * @returns {Promise<void>}
+     */
+    async write(text) {
+      if (streamError) {
+        throw streamError;
+      }
+      if (!stream.write(text)) {
+        await once(stream, "drain");
+      }
+    },
+
+    /**
+     * Flush and close the file
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (streamError) {
+        throw streamError;
+      }
+      stream.end();
+      await once(stream, "finish");
+    },
+
+    /**
+     * Close the file without flushing, e.g. after an error
+     */
+    destroy() {
+      stream.destroy();
+    },
+  };
+}
+
+/**
+ * Scan all rows of a row source to determine the most compatible type for
+ * each column
+ * @param {Object} source - Row source
+ * @returns {Promise<Object>} Type information keyed by column name
+ */
+export async function scanColumnTypes(source) {
+  const columnTypes = {};
+  source.columns.forEach((key) => {
+    columnTypes[key] = {
+      hasNull: false,
+      hasNumber: false,
+      hasString: false,
+      hasBoolean: false,
+      hasDate: false,
+      hasObject: false,
+      allIntegers: true,
+      maxLength: 0,
+    };
+  });
+
+  for await (const batch of source.batches()) {
+    for (const row of batch) {
+      for (const key of source.columns) {
+        const value = row[key];
+        const typeInfo = columnTypes[key];
+
+        if (value === null || value === undefined) {
+          typeInfo.hasNull = true;
+        } else if (value instanceof Date) {
+          typeInfo.hasDate = true;
+        } else if (typeof value === "number") {
+          typeInfo.hasNumber = true;
+          if (!Number.isInteger(value)) {
+            typeInfo.allIntegers = false;
+          }
+        } else if (typeof value === "string") {
+          typeInfo.hasString = true;
+          typeInfo.maxLength = Math.max(typeInfo.maxLength, value.length);
+        } else if (typeof value === "boolean") {
+          typeInfo.hasBoolean = true;
+        } else if (typeof value === "object") {
+          typeInfo.hasObject = true;
+        }
+      }
+    }
+  }
+
+  return columnTypes;
+}
+
+/**
+ * Resolve the export type of each column of a row source
+ * Columns of a QVD file get the type the user chose for the field, or the
+ * type its tags and number format give, as long as the values in the column
+ * fit that type (a field exported as formatted text no longer holds
+ * numbers, for example). Other columns get the most specific type that
+ * holds all of their values. The values are found by reading all rows of
+ * the source once, so exporters call this before writing any rows.
+ * @param {Object} source - Row source, with the metadata of its QVD file if any
+ * @returns {Promise<Object>} Type information keyed by column name: the scanned value kinds plus type (one of FIELD_TYPES) and nullable
+ */
+export async function resolveColumnTypes(source) {
+  const columnTypes = await scanColumnTypes(source);
+  const fields = new Map(
+    (source.metadata ? source.metadata.fields : []).map((field) => [
+      field.name,
+      field,
+    ])
+  );
+
+  for (const key of source.columns) {
+    const typeInfo = columnTypes[key];
+    const field = fields.get(key);
+    const resolved = field ? resolveFieldType(field) : null;
+    let type = typeFromValueKinds(typeInfo);
+    if (resolved && resolved.source === TYPE_SOURCES.OVERRIDE) {
+      type = resolved.type;
+    } else if (resolved && resolved.type && fitsValueKinds(resolved.type, typeInfo)) {
+      type = resolved.type;
+    }
+
+    typeInfo.type = type;
+    // Values that can't be converted to a chosen type are exported as NULL
+    typeInfo.nullable =
+      typeInfo.hasNull ||
+      (resolved !== null && resolved.source === TYPE_SOURCES.OVERRIDE);
+  }
+
+  return columnTypes;
+}
+
+/**
+ * Convert a value to the export type of its column
+ * Numbers in date columns are Qlik serial dates (days since 1899-12-30)
+ * and are converted to UTC dates. Values that don't convert become null.
+ * @param {*} value - Value from the row source
+ * @param {string} type - Column type (one of FIELD_TYPES)
+ * @returns {*} Number, Date, string, boolean or null
+ */
+export function toExportValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (isNumericType(type)) {
+    const number = value instanceof Date ? NaN : Number(value);
+    if (value === "" || !Number.isFinite(number)) {
+      return null;
+    }
+    return type === FIELD_TYPES.INTEGER ? Math.round(number) : number;
+  }
+
+  if (type === FIELD_TYPES.DATE || type === FIELD_TYPES.TIMESTAMP) {
+    let date = null;
+    if (value instanceof Date) {
+      date = value;
+    } else if (typeof value === "number") {
+      date = qlikSerialToUtc(value);
+    } else if (typeof value === "string") {
+      date = parseDate(value);
+    }
+    if (date === null || isNaN(date.getTime())) {
+      return null;
+    }
+    if (type === FIELD_TYPES.DATE) {
+      return new Date(Math.floor(date.getTime() / MS_PER_DAY) * MS_PER_DAY);
+    }
+    return date;
+  }
+
+  if (type === FIELD_TYPES.BOOLEAN) {
+    return value;
+  }
+
+  // Text
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
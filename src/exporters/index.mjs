@@ -1,4 +1,6 @@
 import { join } from 'path';
+import { existsSync, unlinkSync } from 'fs';
+import { trackRowSource } from '../qvdRowSource.mjs';
 import { exportToCSV } from './csvExporter.mjs';
 import { exportToJSON } from './jsonExporter.mjs';
 import { exportToExcel } from './excelExporter.mjs';
@@ -10,6 +12,98 @@ import { exportToSQLite } from './sqliteExporter.mjs';
 import { exportToXML } from './xmlExporter.mjs';
 import { exportToQlikInline } from './qlikInlineExporter.mjs';
 import { exportToPostgres } from './postgresExporter.mjs';
+import { exportToQvd } from './qvdExporter.mjs';
+
+/**
+ * File extension, save dialog filter, exporter function and number of
+ * passes over the rows for each export format
+ */
+const FORMAT_CONFIG = {
+  arrow: {
+    extension: "arrow",
+    filter: "Arrow Files",
+    exporter: exportToArrow,
+    beta: true,
+    passes: 2,
+  },
+  avro: {
+    extension: "avro",
+    filter: "Avro Files",
+    exporter: exportToAvro,
+    beta: true,
+    passes: 2,
+  },
+  csv: {
+    extension: "csv",
+    filter: "CSV Files",
+    exporter: exportToCSV,
+    beta: false,
+    passes: 1,
+  },
+  excel: {
+    extension: "xlsx",
+    filter: "Excel Files",
+    exporter: exportToExcel,
+    beta: false,
+    passes: 1,
+  },
+  json: {
+    extension: "json",
+    filter: "JSON Files",
+    exporter: exportToJSON,
+    beta: false,
+    passes: 1,
+  },
+  parquet: {
+    extension: "parquet",
+    filter: "Parquet Files",
+    exporter: exportToParquet,
+    beta: false,
+    passes: 2,
+  },
+  postgres: {
+    extension: "sql",
+    filter: "SQL Files",
+    exporter: exportToPostgres,
+    beta: true,
+    passes: 2,
+  },
+  qlik: {
+    extension: "qvs",
+    filter: "Qlik Script Files",
+    exporter: exportToQlikInline,
+    beta: false,
+    passes: 1,
+  },
+  qvd: {
+    extension: "qvd",
+    filter: "QVD Files",
+    exporter: exportToQvd,
+    beta: true,
+    passes: 2,
+  },
+  sqlite: {
+    extension: "db",
+    filter: "SQLite Database",
+    exporter: exportToSQLite,
+    beta: true,
+    passes: 2,
+  },
+  xml: {
+    extension: "xml",
+    filter: "XML Files",
+    exporter: exportToXML,
+    beta: false,
+    passes: 1,
+  },
+  yaml: {
+    extension: "yaml",
+    filter: "YAML Files",
+    exporter: exportToYAML,
+    beta: false,
+    passes: 1,
+  },
+};
 
 /**
  * Main DataExporter class that coordinates all export operations
@@ -29,6 +123,7 @@ class DataExporter {
       { name: "parquet", label: "Export to Parquet", beta: false },
       { name: "postgres", label: "Export to PostgreSQL", beta: true },
       { name: "qlik", label: "Export to Qlik Inline Script", beta: false },
+      { name: "qvd", label: "Export to QVD", beta: true },
       { name: "sqlite", label: "Export to SQLite", beta: true },
       { name: "xml", label: "Export to XML", beta: false },
       { name: "yaml", label: "Export to YAML", beta: false },
@@ -37,8 +132,10 @@ class DataExporter {
 
   /**
    * Show save dialog and export data to the selected format
-   * @param {Array<Object>} data - Array of row objects
-   * @param {string} format - Export format ('csv', 'json', 'excel', 'parquet', 'yaml', 'avro', 'arrow', 'sqlite', 'xml', 'qlik', 'postgres')
+   * Rows are streamed from the row source to the exporter while a cancellable
+   * progress notification is shown.
+   * @param {Object} source - Row source providing batches of row objects
+   * @param {string} format - Export format ('csv', 'json', 'excel', 'parquet', 'yaml', 'avro', 'arrow', 'sqlite', 'xml', 'qlik', 'postgres', 'qvd')
    * @param {string} suggestedFileName - Suggested file name without extension
    * @param {object} vscode - VS Code API object
    * @param {string} workspaceFolder - Workspace folder path
@@ -46,83 +143,14 @@ class DataExporter {
    * @returns {Promise<string|null>} Path to saved file or null if cancelled
    */
   static async exportData(
-    data,
+    source,
     format,
     suggestedFileName,
     vscode,
     workspaceFolder,
     maxRows
   ) {
-    const formatConfig = {
-      arrow: {
-        extension: "arrow",
-        filter: "Arrow Files",
-        exporter: exportToArrow,
-        beta: true,
-      },
-      avro: {
-        extension: "avro",
-        filter: "Avro Files",
-        exporter: exportToAvro,
-        beta: true,
-      },
-      csv: {
-        extension: "csv",
-        filter: "CSV Files",
-        exporter: exportToCSV,
-        beta: false,
-      },
-      excel: {
-        extension: "xlsx",
-        filter: "Excel Files",
-        exporter: exportToExcel,
-        beta: false,
-      },
-      json: {
-        extension: "json",
-        filter: "JSON Files",
-        exporter: exportToJSON,
-        beta: false,
-      },
-      parquet: {
-        extension: "parquet",
-        filter: "Parquet Files",
-        exporter: exportToParquet,
-        beta: false,
-      },
-      postgres: {
-        extension: "sql",
-        filter: "SQL Files",
-        exporter: exportToPostgres,
-        beta: true,
-      },
-      qlik: {
-        extension: "qvs",
-        filter: "Qlik Script Files",
-        exporter: exportToQlikInline,
-        beta: false,
-      },
-      sqlite: {
-        extension: "db",
-        filter: "SQLite Database",
-        exporter: exportToSQLite,
-        beta: true,
-      },
-      xml: {
-        extension: "xml",
-        filter: "XML Files",
-        exporter: exportToXML,
-        beta: false,
-      },
-      yaml: {
-        extension: "yaml",
-        filter: "YAML Files",
-        exporter: exportToYAML,
-        beta: false,
-      },
-    };
-
-    const config = formatConfig[format];
+    const config = FORMAT_CONFIG[format];
     if (!config) {
       throw new Error(`Unsupported export format: ${format}`);
     }
@@ -286,24 +314,134 @@ class DataExporter {
     }
 
     // Perform export
-    if (format === "qlik") {
-      // Pass delimiter to Qlik exporter
-      await config.exporter(
-        data,
-        fileUri.fsPath,
-        maxRows,
-        selectedDelimiter.value
-      );
-    } else if (format === "postgres") {
-      // Pass options to PostgreSQL exporter
-      await config.exporter(data, fileUri.fsPath, maxRows, postgresOptions);
-    } else {
-      // Other formats don't need delimiter or maxRows
-      await config.exporter(data, fileUri.fsPath);
+    const exportSource = source.limit(maxRows);
+    const completed = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Exporting to ${format.toUpperCase()}`,
+        cancellable: true,
+      },
+      async (progress, token) => {
+        try {
+          await DataExporter.exportToFile(
+            exportSource,
+            format,
+            fileUri.fsPath,
+            {
+              maxRows,
+              delimiter: selectedDelimiter ? selectedDelimiter.value : "tab",
+              postgresOptions: postgresOptions || {},
+              onProgress: (increment, rowsProcessed, totalRows) => {
+                progress.report({
+                  increment,
+                  message: `${Math.round(
+                    (rowsProcessed / totalRows) * 100
+                  )}% of ${exportSource.rowCount.toLocaleString()} rows`,
+                });
+              },
+              isCancelled: () => token.isCancellationRequested,
+            }
+          );
+          return true;
+        } catch (error) {
+          if (token.isCancellationRequested) {
+            return false;
+          }
+          throw error;
+        }
+      }
+    );
+
+    if (!completed) {
+      vscode.window.showInformationMessage("Export cancelled");
+      return null;
     }
 
     return fileUri.fsPath;
   }
+
+  /**
+   * Export a row source to a file without any user interaction
+   * This is what exportData runs once the user has picked the options and
+   * the target file, and what the command line interface uses directly.
+   * @param {Object} source - Row source providing batches of row objects
+   * @param {string} format - Export format (see getExportFormats)
+   * @param {string} filePath - Path of the file to write
+   * @param {Object} options - Export options
+   * @param {number} options.maxRows - Maximum number of rows (for Qlik and PostgreSQL formats, 0 = all)
+   * @param {string} options.delimiter - Qlik inline delimiter ('tab', 'pipe', 'comma', 'semicolon' or 'auto-detect')
+   * @param {Object} options.postgresOptions - PostgreSQL options (createTable, tableName, dropTable)
+   * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+   * @param {Function} options.isCancelled - Returns true when the export should stop
+   * @returns {Promise<string>} Path to the written file
+   */
+  static async exportToFile(
+    source,
+    format,
+    filePath,
+    {
+      maxRows = 0,
+      delimiter = "tab",
+      postgresOptions = {},
+      onProgress = null,
+      isCancelled = null,
+    } = {}
+  ) {
+    const config = FORMAT_CONFIG[format];
+    if (!config) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    // Exporters that infer a schema or auto-detect a delimiter read the
+    // rows twice, which is taken into account when reporting progress
+    const passes =
+      format === "qlik" && delimiter === "auto-detect" ? 2 : config.passes;
+    const trackedSource = trackRowSource(source.limit(maxRows), {
+      passes,
+      onProgress,
+      isCancelled,
+    });
+
+    try {
+      if (format === "qlik") {
+        // Pass delimiter to Qlik exporter
+        await config.exporter(trackedSource, filePath, maxRows, delimiter);
+      } else if (format === "postgres") {
+        // Pass options to PostgreSQL exporter
+        await config.exporter(
+          trackedSource,
+          filePath,
+          maxRows,
+          postgresOptions
+        );
+      } else {
+        // Other formats don't need delimiter or maxRows
+        await config.exporter(trackedSource, filePath);
+      }
+    } catch (error) {
+      // Don't leave a partially written file behind
+      try {
+        if (existsSync(filePath)) {
+          unlinkSync(filePath);
+        }
+      } catch {
+        // Ignore cleanup errors, report original error
+      }
+      throw error;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Get the file extension used for an export format
+   * @param {string} format - Export format (see getExportFormats)
+   * @returns {string|null} File extension without dot, or null for unknown formats
+   */
+  static getFileExtension(format) {
+    const config = FORMAT_CONFIG[format];
+    return config ? config.extension : null;
+  }
 }
 
 export default DataExporter;
@@ -1,30 +1,50 @@
-import { promises as fs } from "fs";
+import { openTextWriter } from "./exportStream.mjs";
 
 /**
  * Export data to JSON format
- * @param {Array<Object>} data - Array of row objects
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToJSON(data, filePath) {
+export async function exportToJSON(source, filePath) {
+  const writer = openTextWriter(filePath);
   try {
     // Create JSON with metadata
-    const output = {
-      _metadata: {
-        description: "JSON Data Export",
-        createdBy: "Ctrl-Q QVD Viewer for VS Code",
-        extension:
-          "https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
-        github: "https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
-        generated: new Date().toISOString(),
-        rows: data.length,
-      },
-      data: data,
+    const metadata = {
+      description: "JSON Data Export",
+      createdBy: "Ctrl-Q QVD Viewer for VS Code",
+      extension:
+        "https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
+      github: "https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
+      generated: new Date().toISOString(),
+      rows: source.rowCount,
     };
 
-    const json = JSON.stringify(output, null, 2);
-    await fs.writeFile(filePath, json, "utf8");
+    // The document is written piece by piece, indented the same way as
+    // JSON.stringify(output, null, 2) would indent the whole object
+    const indent = (json, spaces) =>
+      json.replace(/\n/g, "\n" + " ".repeat(spaces));
+
+    await writer.write(
+      `{\n  "_metadata": ${indent(JSON.stringify(metadata, null, 2), 2)},\n  "data": [`
+    );
+
+    let first = true;
+    for await (const batch of source.batches()) {
+      if (batch.length === 0) {
+        continue;
+      }
+      const chunk = batch
+        .map((row) => "    " + indent(JSON.stringify(row, null, 2), 4))
+        .join(",\n");
+      await writer.write((first ? "\n" : ",\n") + chunk);
+      first = false;
+    }
+
+    await writer.write(first ? "]\n}" : "\n  ]\n}");
+    await writer.close();
   } catch (error) {
+    writer.destroy();
     throw new Error(`JSON export failed: ${error.message}`);
   }
 }
@@ -1,15 +1,32 @@
 import parquet from 'parquetjs';
 import { existsSync, unlinkSync } from 'fs';
+import { resolveColumnTypes, toExportValue } from './exportStream.mjs';
+import { FIELD_TYPES } from '../qvdFieldTypes.mjs';
+
+/**
+ * Parquet type of each field type
+ */
+const PARQUET_TYPES = {
+  [FIELD_TYPES.INTEGER]: "INT64",
+  [FIELD_TYPES.NUMBER]: "DOUBLE",
+  [FIELD_TYPES.DATE]: "DATE",
+  [FIELD_TYPES.TIMESTAMP]: "TIMESTAMP_MILLIS",
+  [FIELD_TYPES.TIME]: "DOUBLE",
+  [FIELD_TYPES.INTERVAL]: "DOUBLE",
+  [FIELD_TYPES.TEXT]: "UTF8",
+  [FIELD_TYPES.BOOLEAN]: "BOOLEAN",
+};
 
 /**
  * Export data to Parquet format
- * @param {Array<Object>} data - Array of row objects
+ * The rows are read twice: once to infer the schema and once to write them.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToParquet(data, filePath) {
+export async function exportToParquet(source, filePath) {
   try {
-    if (data.length === 0) {
+    if (source.rowCount === 0) {
       // Create empty parquet file with minimal schema
       const schema = new parquet.ParquetSchema({
         empty: { type: "UTF8" },
@@ -20,89 +37,29 @@ export async function exportToParquet(data, filePath) {
       return;
     }
 
-    // Infer schema by scanning all rows to determine compatible types
-    const firstRow = data[0];
-    const columnNames = Object.keys(firstRow);
-
-    // Track type information for each column across all rows
-    const columnTypes = {};
-    columnNames.forEach((key) => {
-      columnTypes[key] = {
-        hasNull: false,
-        hasNumber: false,
-        hasString: false,
-        hasBoolean: false,
-        hasDate: false,
-        allIntegers: true,
-      };
-    });
-
-    // Scan all rows to determine the most compatible type for each column
-    for (const row of data) {
-      for (const key of columnNames) {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
+    const columnNames = source.columns;
+    const columnTypes = await resolveColumnTypes(source);
 
-        if (value === null || value === undefined) {
-          typeInfo.hasNull = true;
-        } else if (typeof value === "number") {
-          typeInfo.hasNumber = true;
-          if (!Number.isInteger(value)) {
-            typeInfo.allIntegers = false;
-          }
-        } else if (typeof value === "string") {
-          typeInfo.hasString = true;
-        } else if (typeof value === "boolean") {
-          typeInfo.hasBoolean = true;
-        } else if (value instanceof Date) {
-          typeInfo.hasDate = true;
-        }
-      }
-    }
-
-    // Build schema based on collected type information
+    // Build schema based on the resolved types
     const schemaFields = {};
 
     columnNames.forEach((key) => {
       const typeInfo = columnTypes[key];
-      let type = "UTF8"; // Default to string
-      let optional = typeInfo.hasNull;
-
-      // If column has mixed types or strings, use UTF8 as most compatible
-      if (typeInfo.hasString || (typeInfo.hasNumber && typeInfo.hasBoolean)) {
-        type = "UTF8";
-      } else if (typeInfo.hasDate) {
-        type = "TIMESTAMP_MILLIS";
-      } else if (typeInfo.hasNumber) {
-        type = typeInfo.allIntegers ? "INT64" : "DOUBLE";
-      } else if (typeInfo.hasBoolean) {
-        type = "BOOLEAN";
-      }
-
-      schemaFields[key] = { type, optional };
+      schemaFields[key] = {
+        type: PARQUET_TYPES[typeInfo.type],
+        optional: typeInfo.nullable,
+      };
     });
 
     const schema = new parquet.ParquetSchema(schemaFields);
     const writer = await parquet.ParquetWriter.openFile(schema, filePath);
 
-    // Write rows with type conversion
-    for (const row of data) {
+    // Write rows with type conversion, one batch at a time
+    for await (const row of source.rows()) {
       const processedRow = {};
 
       columnNames.forEach((key) => {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
-
-        if (value === null || value === undefined) {
-          processedRow[key] = null;
-        } else if (typeInfo.hasString) {
-          // If schema expects string, convert everything to string
-          processedRow[key] = String(value);
-        } else if (value instanceof Date) {
-          processedRow[key] = value;
-        } else {
-          processedRow[key] = value;
-        }
+        processedRow[key] = toExportValue(row[key], columnTypes[key].type);
       });
 
       await writer.appendRow(processedRow);
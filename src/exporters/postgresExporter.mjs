@@ -1,8 +1,30 @@
 import { existsSync, unlinkSync, writeFileSync } from "fs";
+import {
+  openTextWriter,
+  resolveColumnTypes,
+  toExportValue,
+} from "./exportStream.mjs";
+import { FIELD_TYPES } from "../qvdFieldTypes.mjs";
+
+/**
+ * PostgreSQL column type of each field type
+ */
+const POSTGRES_TYPES = {
+  [FIELD_TYPES.INTEGER]: "BIGINT",
+  [FIELD_TYPES.NUMBER]: "NUMERIC",
+  [FIELD_TYPES.DATE]: "DATE",
+  [FIELD_TYPES.TIMESTAMP]: "TIMESTAMP",
+  [FIELD_TYPES.TIME]: "NUMERIC",
+  [FIELD_TYPES.INTERVAL]: "NUMERIC",
+  [FIELD_TYPES.TEXT]: "TEXT",
+  [FIELD_TYPES.BOOLEAN]: "BOOLEAN",
+};
 
 /**
  * Export data to PostgreSQL SQL format
- * @param {Array<Object>} data - Array of row objects
+ * The rows are read twice: once to determine the column types and once to
+ * write the INSERT statements.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @param {number} maxRows - Maximum number of rows to export (0 = unlimited)
  * @param {Object} options - Export options
@@ -11,7 +33,8 @@ import { existsSync, unlinkSync, writeFileSync } from "fs";
  * @param {boolean} options.dropTable - Whether to include DROP TABLE IF EXISTS
  * @returns {Promise<void>}
  */
-export async function exportToPostgres(data, filePath, maxRows, options) {
+export async function exportToPostgres(source, filePath, maxRows, options) {
+  let writer = null;
   try {
     const {
       createTable = true,
@@ -20,56 +43,17 @@ export async function exportToPostgres(data, filePath, maxRows, options) {
     } = options;
 
     // Limit rows if specified
-    const exportData = maxRows > 0 ? data.slice(0, maxRows) : data;
+    const exportSource = source.limit(maxRows);
 
-    if (exportData.length === 0) {
+    if (exportSource.rowCount === 0) {
       // Create empty SQL file with comment
       const content = `-- Empty dataset\n-- No data to export\n`;
       writeFileSync(filePath, content, "utf8");
       return;
     }
 
-    // Get column names from first row
-    const firstRow = exportData[0];
-    const columnNames = Object.keys(firstRow);
-
-    // Track type information for each column across all rows
-    const columnTypes = {};
-    columnNames.forEach((key) => {
-      columnTypes[key] = {
-        hasNull: false,
-        hasNumber: false,
-        hasString: false,
-        hasBoolean: false,
-        hasDate: false,
-        allIntegers: true,
-        maxLength: 0,
-      };
-    });
-
-    // Scan all rows to determine the most compatible type for each column
-    for (const row of exportData) {
-      for (const key of columnNames) {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
-
-        if (value === null || value === undefined) {
-          typeInfo.hasNull = true;
-        } else if (typeof value === "number") {
-          typeInfo.hasNumber = true;
-          if (!Number.isInteger(value)) {
-            typeInfo.allIntegers = false;
-          }
-        } else if (typeof value === "string") {
-          typeInfo.hasString = true;
-          typeInfo.maxLength = Math.max(typeInfo.maxLength, value.length);
-        } else if (typeof value === "boolean") {
-          typeInfo.hasBoolean = true;
-        } else if (value instanceof Date) {
-          typeInfo.hasDate = true;
-        }
-      }
-    }
+    const columnNames = exportSource.columns;
+    const columnTypes = await resolveColumnTypes(exportSource);
 
     // Build SQL content
     let sqlContent = [];
@@ -86,8 +70,8 @@ export async function exportToPostgres(data, filePath, maxRows, options) {
     sqlContent.push(`-- Generated: ${new Date().toISOString()}`);
     sqlContent.push(`-- Table: ${tableName}`);
     sqlContent.push(
-      `-- Rows: ${exportData.length}${
-        maxRows > 0 ? ` (limited from ${data.length})` : ""
+      `-- Rows: ${exportSource.rowCount}${
+        maxRows > 0 ? ` (limited from ${exportSource.sourceRowCount})` : ""
       }`
     );
     sqlContent.push(``);
@@ -108,26 +92,10 @@ export async function exportToPostgres(data, filePath, maxRows, options) {
       sqlContent.push(`-- Create table`);
       const columns = columnNames.map((key) => {
         const typeInfo = columnTypes[key];
-        let pgType = "TEXT"; // Default to TEXT
-
-        // Determine PostgreSQL type based on collected type information
-        if (typeInfo.hasString || (typeInfo.hasNumber && typeInfo.hasBoolean)) {
-          // Mixed types or strings - use TEXT
-          pgType = "TEXT";
-        } else if (typeInfo.hasDate) {
-          pgType = "TIMESTAMP";
-        } else if (typeInfo.hasNumber) {
-          if (typeInfo.allIntegers) {
-            pgType = "BIGINT";
-          } else {
-            pgType = "NUMERIC";
-          }
-        } else if (typeInfo.hasBoolean) {
-          pgType = "BOOLEAN";
-        }
+        const pgType = POSTGRES_TYPES[typeInfo.type];
 
         // Add NOT NULL constraint if column has no nulls
-        const nullConstraint = typeInfo.hasNull ? "" : " NOT NULL";
+        const nullConstraint = typeInfo.nullable ? "" : " NOT NULL";
 
         return `  "${key}" ${pgType}${nullConstraint}`;
       });
@@ -140,66 +108,75 @@ export async function exportToPostgres(data, filePath, maxRows, options) {
 
     // Insert data in batches
     sqlContent.push(`-- Insert data`);
+
+    writer = openTextWriter(filePath);
+    await writer.write(sqlContent.join("\n"));
     const batchSize = 1000;
+    const columnList = columnNames.map((c) => `"${c}"`).join(", ");
     let currentBatch = 0;
 
-    while (currentBatch < exportData.length) {
-      const batch = exportData.slice(currentBatch, currentBatch + batchSize);
-      const batchEnd = Math.min(currentBatch + batchSize, exportData.length);
-
-      if (batch.length > 0) {
-        sqlContent.push(`-- Rows ${currentBatch + 1} to ${batchEnd}`);
-
-        // Build multi-row INSERT statement
-        const columnList = columnNames.map((c) => `"${c}"`).join(", ");
-        sqlContent.push(`INSERT INTO "${tableName}" (${columnList})`);
-        sqlContent.push(`VALUES`);
-
-        const valueRows = batch.map((row, index) => {
-          const values = columnNames.map((col) => {
-            const value = row[col];
-            const typeInfo = columnTypes[col];
-
-            // Format value based on type
-            if (value === null || value === undefined) {
-              return "NULL";
-            } else if (typeInfo.hasString) {
-              // Escape single quotes for SQL
-              return `'${String(value).replace(/'/g, "''")}'`;
-            } else if (typeof value === "boolean") {
-              return value ? "TRUE" : "FALSE";
-            } else if (value instanceof Date) {
-              return `'${value.toISOString()}'`;
-            } else if (typeof value === "string") {
-              // String value - escape quotes
-              return `'${value.replace(/'/g, "''")}'`;
-            } else {
-              // Number or other type
-              return value;
-            }
-          });
-
-          const isLast = index === batch.length - 1;
+    // Format a value based on the column type
+    const formatValue = (rawValue, col) => {
+      const type = columnTypes[col].type;
+      const value = toExportValue(rawValue, type);
+
+      if (value === null) {
+        return "NULL";
+      } else if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+      } else if (value instanceof Date) {
+        const text = value.toISOString();
+        return `'${type === FIELD_TYPES.DATE ? text.slice(0, 10) : text}'`;
+      } else if (typeof value === "string") {
+        // Escape single quotes for SQL
+        return `'${value.replace(/'/g, "''")}'`;
+      } else {
+        // Number
+        return value;
+      }
+    };
+
+    // Rows arrive in source batches; INSERT statements are still cut into
+    // groups of batchSize rows
+    let pending = [];
+    const flush = async () => {
+      const batchEnd = currentBatch + pending.length;
+      const statement = [
+        ``,
+        `-- Rows ${currentBatch + 1} to ${batchEnd}`,
+        `INSERT INTO "${tableName}" (${columnList})`,
+        `VALUES`,
+        ...pending.map((row, index) => {
+          const values = columnNames.map((col) => formatValue(row[col], col));
+          const isLast = index === pending.length - 1;
           return `  (${values.join(", ")})${isLast ? ";" : ","}`;
-        });
-
-        sqlContent.push(...valueRows);
-        sqlContent.push(``);
+        }),
+        ``,
+      ];
+      await writer.write(statement.join("\n"));
+      currentBatch = batchEnd;
+      pending = [];
+    };
+
+    for await (const row of exportSource.rows()) {
+      pending.push(row);
+      if (pending.length === batchSize) {
+        await flush();
       }
-
-      currentBatch += batchSize;
+    }
+    if (pending.length > 0) {
+      await flush();
     }
 
     // Commit transaction
-    sqlContent.push(`COMMIT;`);
-    sqlContent.push(``);
-    sqlContent.push(`-- End of script`);
-
-    // Write to file
-    writeFileSync(filePath, sqlContent.join("\n"), "utf8");
+    await writer.write(["", `COMMIT;`, ``, `-- End of script`].join("\n"));
+    await writer.close();
   } catch (error) {
     // Clean up the partially created file on error
     try {
+      if (writer) {
+        writer.destroy();
+      }
       if (existsSync(filePath)) {
         unlinkSync(filePath);
       }
@@ -1,11 +1,12 @@
 import { promises as fs } from "fs";
+import { openTextWriter } from "./exportStream.mjs";
 
 /**
  * Auto-detect the best delimiter for the data
- * @param {Array<Object>} data - Array of row objects
- * @returns {Object} Delimiter object with char and escapeChar
+ * @param {Object} source - Row source providing batches of row objects
+ * @returns {Promise<Object>} Delimiter object with char and escapeChar
  */
-function autoDetectDelimiter(data) {
+async function autoDetectDelimiter(source) {
   const delimiters = [
     { name: "tab", char: "\t", escapeChar: "\\t", priority: 1 },
     { name: "pipe", char: "|", escapeChar: "|", priority: 2 },
@@ -19,7 +20,7 @@ function autoDetectDelimiter(data) {
     count: 0,
   }));
 
-  data.forEach((row) => {
+  for await (const row of source.rows()) {
     Object.values(row).forEach((value) => {
       if (typeof value === "string") {
         counts.forEach((d) => {
@@ -31,7 +32,7 @@ function autoDetectDelimiter(data) {
         });
       }
     });
-  });
+  }
 
   // Find delimiter with lowest occurrence (best option)
   // If tied, use priority (tab > pipe > semicolon > comma)
@@ -48,10 +49,10 @@ function autoDetectDelimiter(data) {
 /**
  * Get delimiter configuration
  * @param {string} delimiterChoice - User's delimiter choice
- * @param {Array<Object>} data - Array of row objects (for auto-detect)
- * @returns {Object} Delimiter object with char and escapeChar
+ * @param {Object} source - Row source (for auto-detect)
+ * @returns {Promise<Object>} Delimiter object with char and escapeChar
  */
-function getDelimiterConfig(delimiterChoice, data) {
+async function getDelimiterConfig(delimiterChoice, source) {
   const delimiters = {
     tab: { char: "\t", escapeChar: "\\t", description: "Tab" },
     pipe: { char: "|", escapeChar: "|", description: "Pipe (|)" },
@@ -60,7 +61,7 @@ function getDelimiterConfig(delimiterChoice, data) {
   };
 
   if (delimiterChoice === "auto-detect") {
-    return autoDetectDelimiter(data);
+    return autoDetectDelimiter(source);
   }
 
   return delimiters[delimiterChoice] || delimiters.tab;
@@ -68,32 +69,34 @@ function getDelimiterConfig(delimiterChoice, data) {
 
 /**
  * Export data to Qlik Sense inline load script format
- * @param {Array<Object>} data - Array of row objects
+ * With auto-detected delimiter the rows are read twice: once to choose the
+ * delimiter and once to write them.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @param {number} maxRows - Maximum number of rows to include (0 = all)
  * @param {string} delimiter - Delimiter choice ('tab', 'pipe', 'comma', 'semicolon', 'auto-detect')
  * @returns {Promise<void>}
  */
 export async function exportToQlikInline(
-  data,
+  source,
   filePath,
   maxRows = 0,
   delimiter = "tab"
 ) {
+  let writer = null;
   try {
-    if (data.length === 0) {
+    if (source.rowCount === 0) {
       await fs.writeFile(filePath, "// No data to export", "utf8");
       return;
     }
 
     // Limit data if maxRows is specified
-    const exportData = maxRows > 0 ? data.slice(0, maxRows) : data;
+    const exportSource = source.limit(maxRows);
 
     // Get delimiter configuration
-    const delimiterConfig = getDelimiterConfig(delimiter, exportData);
+    const delimiterConfig = await getDelimiterConfig(delimiter, exportSource);
 
-    // Get column names from first row
-    const columns = Object.keys(exportData[0]);
+    const columns = exportSource.columns;
 
     // Build the inline load script
     const lines = [];
@@ -106,7 +109,7 @@ export async function exportToQlikInline(
     );
     lines.push("// GitHub: https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer");
     lines.push(`// Generated: ${new Date().toISOString()}`);
-    lines.push(`// Rows: ${exportData.length}`);
+    lines.push(`// Rows: ${exportSource.rowCount}`);
     lines.push(
       `// Delimiter: ${
         delimiterConfig.description || delimiterConfig.name || delimiter
@@ -121,41 +124,48 @@ export async function exportToQlikInline(
     // Add column headers (with chosen delimiter)
     lines.push(columns.join(delimiterConfig.char));
 
-    // Add data rows (with chosen delimiter)
-    exportData.forEach((row) => {
-      const values = columns.map((col) => {
-        const value = row[col];
-
-        // Handle different value types
-        if (value === null || value === undefined) {
-          return "";
-        } else if (typeof value === "string") {
-          // Escape special characters in strings
-          // Replace delimiter with space, and remove newlines/carriage returns
-          return value
-            .replace(
-              new RegExp(
-                delimiterConfig.char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
-                "g"
-              ),
-              " "
-            )
-            .replace(/\n/g, " ")
-            .replace(/\r/g, "");
-        } else if (value instanceof Date) {
-          return value.toISOString();
-        } else {
-          return String(value);
-        }
+    writer = openTextWriter(filePath);
+    await writer.write(lines.join("\n"));
+
+    const delimiterPattern = new RegExp(
+      delimiterConfig.char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "g"
+    );
+
+    // Add data rows (with chosen delimiter), one batch at a time
+    for await (const batch of exportSource.batches()) {
+      const batchLines = batch.map((row) => {
+        const values = columns.map((col) => {
+          const value = row[col];
+
+          // Handle different value types
+          if (value === null || value === undefined) {
+            return "";
+          } else if (typeof value === "string") {
+            // Escape special characters in strings
+            // Replace delimiter with space, and remove newlines/carriage returns
+            return value
+              .replace(delimiterPattern, " ")
+              .replace(/\n/g, " ")
+              .replace(/\r/g, "");
+          } else if (value instanceof Date) {
+            return value.toISOString();
+          } else {
+            return String(value);
+          }
+        });
+        return "\n" + values.join(delimiterConfig.char);
       });
-      lines.push(values.join(delimiterConfig.char));
-    });
+      await writer.write(batchLines.join(""));
+    }
 
     // Close the inline load with proper delimiter syntax
-    lines.push(`] (Delimiter is '${delimiterConfig.escapeChar}');`);
-
-    await fs.writeFile(filePath, lines.join("\n"), "utf8");
+    await writer.write(`\n] (Delimiter is '${delimiterConfig.escapeChar}');`);
+    await writer.close();
   } catch (error) {
+    if (writer) {
+      writer.destroy();
+    }
     throw new Error(`Qlik Sense inline script export failed: ${error.message}`);
   }
 }
@@ -0,0 +1,576 @@
+import { basename, extname } from "path";
+import { openTextWriter } from "./exportStream.mjs";
+import { QvdDual, SYMBOL_TYPES } from "../qvdRandomAccessReader.mjs";
+import {
+  MS_PER_DAY,
+  QLIK_EPOCH_OFFSET_DAYS,
+} from "../temporal/dateDetection.mjs";
+
+/**
+ * Build number written to files that are not derived from a QVD file
+ */
+const DEFAULT_QV_BUILD_NO = "50689";
+
+/**
+ * Bias used for fields containing NULL values. As in QVD files created by
+ * Qlik, a stored index of 0 then maps to index -2, which means NULL.
+ */
+const NULL_BIAS = -2;
+
+/**
+ * Field tags derived from the field values. They are recalculated when
+ * writing columns that do not hold the stored values of the source field;
+ * all other tags of the source field are kept.
+ */
+const VALUE_TAGS = new Set([
+  "$numeric",
+  "$integer",
+  "$text",
+  "$ascii",
+  "$timestamp",
+  "$date",
+]);
+
+/**
+ * Escape text for use in the XML header
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format a date as a QVD header timestamp
+ * @param {Date} date - Date to format
+ * @returns {string} UTC time as YYYY-MM-DD hh:mm:ss
+ */
+function formatUtcTime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Check whether a number fits in the 4 bytes of an integer symbol
+ * @param {number} value - Number to check
+ * @returns {boolean} True for 32-bit signed integers
+ */
+function isInt32(value) {
+  return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647;
+}
+
+/**
+ * Convert a value to a QVD symbol
+ * Numbers are stored as pure integers or doubles and strings as text.
+ * Dates and booleans are stored as dual values, the way Qlik stores them,
+ * and so are dual values read from a QVD file, keeping their text.
+ * @param {*} value - Field value
+ * @returns {{type: number, number: number|null, text: string|null, isDate: boolean, isQvdDual: boolean}|null} Symbol, or null for NULL
+ */
+export function toSymbol(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof QvdDual) {
+    // The text is not necessarily the number as text, e.g. "000000" for 0
+    if (!Number.isFinite(value.number)) {
+      return toSymbol(value.text);
+    }
+    return {
+      type: isInt32(value.number)
+        ? SYMBOL_TYPES.DUAL_INTEGER
+        : SYMBOL_TYPES.DUAL_DOUBLE,
+      number: value.number,
+      text: value.text.replace(/\0/g, ""),
+      isDate: false,
+      isQvdDual: true,
+    };
+  }
+
+  if (typeof value === "bigint") {
+    value = Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+  }
+
+  if (typeof value === "number") {
+    // NaN and infinity cannot be represented and are stored as NULL
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    return {
+      type: isInt32(value) ? SYMBOL_TYPES.INTEGER : SYMBOL_TYPES.DOUBLE,
+      number: value,
+      text: null,
+      isDate: false,
+      isQvdDual: false,
+    };
+  }
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      return null;
+    }
+    // Qlik dates are days since 1899-12-30, with the time as fraction
+    const serial = value.getTime() / MS_PER_DAY + QLIK_EPOCH_OFFSET_DAYS;
+    const text = formatUtcTime(value);
+    return Number.isInteger(serial)
+      ? {
+          type: SYMBOL_TYPES.DUAL_INTEGER,
+          number: serial,
+          text: text.slice(0, 10),
+          isDate: true,
+          isQvdDual: false,
+        }
+      : {
+          type: SYMBOL_TYPES.DUAL_DOUBLE,
+          number: serial,
+          text,
+          isDate: true,
+          isQvdDual: false,
+        };
+  }
+
+  if (typeof value === "boolean") {
+    // Qlik represents true as -1
+    return {
+      type: SYMBOL_TYPES.DUAL_INTEGER,
+      number: value ? -1 : 0,
+      text: value ? "True" : "False",
+      isDate: false,
+      isQvdDual: false,
+    };
+  }
+
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return {
+    type: SYMBOL_TYPES.STRING,
+    number: null,
+    // Strings are NUL-terminated, so NUL characters cannot be stored
+    text: text.replace(/\0/g, ""),
+    isDate: false,
+    isQvdDual: false,
+  };
+}
+
+/**
+ * Key identifying a distinct symbol within a field
+ * @param {Object} symbol - Symbol from toSymbol()
+ * @returns {string} Symbol key
+ */
+function symbolKey(symbol) {
+  return `${symbol.type}:${symbol.number}:${symbol.text}`;
+}
+
+/**
+ * Encode a symbol in the QVD symbol table format
+ * @param {Object} symbol - Symbol from toSymbol()
+ * @returns {Buffer} Encoded symbol
+ */
+function encodeSymbol(symbol) {
+  const numberSize =
+    symbol.type === SYMBOL_TYPES.INTEGER ||
+    symbol.type === SYMBOL_TYPES.DUAL_INTEGER
+      ? 4
+      : symbol.type === SYMBOL_TYPES.DOUBLE ||
+        symbol.type === SYMBOL_TYPES.DUAL_DOUBLE
+      ? 8
+      : 0;
+  const text = symbol.text === null ? null : Buffer.from(symbol.text, "utf8");
+  const buffer = Buffer.alloc(1 + numberSize + (text ? text.length + 1 : 0));
+
+  buffer[0] = symbol.type;
+  if (numberSize === 4) {
+    buffer.writeInt32LE(symbol.number, 1);
+  } else if (numberSize === 8) {
+    buffer.writeDoubleLE(symbol.number, 1);
+  }
+  if (text) {
+    text.copy(buffer, 1 + numberSize);
+    // The buffer is zero-filled, so the terminating NUL is already in place
+  }
+  return buffer;
+}
+
+/**
+ * Write a value into the bits of an index table row
+ * Rows are little-endian: bit 0 is the least significant bit of the first byte
+ * @param {Buffer} buffer - Zero-filled buffer holding the row
+ * @param {number} rowStart - Byte position of the row within the buffer
+ * @param {number} bitOffset - Bit offset of the field within the row
+ * @param {number} bitWidth - Number of bits used by the field
+ * @param {number} value - Stored (unbiased) index value
+ */
+function writeBits(buffer, rowStart, bitOffset, bitWidth, value) {
+  let remaining = bitWidth;
+  let position = bitOffset;
+  // Division rather than bit shifts, so that wide values do not overflow
+  let rest = value;
+  while (remaining > 0) {
+    const shift = position & 7;
+    const bits = Math.min(8 - shift, remaining);
+    const part = rest % 2 ** bits;
+    buffer[rowStart + (position >> 3)] |= part << shift;
+    rest = Math.floor(rest / 2 ** bits);
+    remaining -= bits;
+    position += bits;
+  }
+}
+
+/**
+ * Collect the distinct symbols of every column
+ * @param {Object} source - Row source
+ * @returns {Promise<Array<Object>>} Per-column symbol tables and value statistics
+ */
+async function buildSymbolTables(source) {
+  const fields = source.columns.map((name) => ({
+    name,
+    symbols: new Map(),
+    chunks: [],
+    length: 0,
+    hasNull: false,
+    allNumeric: true,
+    allInteger: true,
+    allText: true,
+    allAscii: true,
+    allDates: true,
+    allWholeDays: true,
+    allQvdDuals: true,
+  }));
+
+  for await (const batch of source.batches()) {
+    for (const row of batch) {
+      for (const field of fields) {
+        const symbol = toSymbol(row[field.name]);
+        if (symbol === null) {
+          field.hasNull = true;
+          continue;
+        }
+
+        const key = symbolKey(symbol);
+        if (field.symbols.has(key)) {
+          continue;
+        }
+        field.symbols.set(key, field.symbols.size);
+
+        const encoded = encodeSymbol(symbol);
+        field.chunks.push(encoded);
+        field.length += encoded.length;
+
+        const isText = symbol.type === SYMBOL_TYPES.STRING;
+        field.allText &&= isText;
+        field.allNumeric &&= !isText;
+        field.allInteger &&= !isText && Number.isInteger(symbol.number);
+        field.allAscii &&=
+          !isText || /^[\x20-\x7e]*$/.test(symbol.text);
+        field.allDates &&= symbol.isDate;
+        field.allWholeDays &&= symbol.isDate && Number.isInteger(symbol.number);
+        field.allQvdDuals &&= symbol.isQvdDual;
+      }
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Determine the tags of a field: the tags of the source field when the
+ * column holds its stored values unchanged, else tags describing the values
+ * followed by the other tags of the source field
+ * @param {Object} field - Field statistics from buildSymbolTables()
+ * @param {Object|null} sourceField - Field metadata of the source QVD file
+ * @param {boolean} stored - Whether the column holds the stored values of the source field
+ * @returns {Array<string>} Field tags
+ */
+function getFieldTags(field, sourceField, stored) {
+  if (stored && sourceField) {
+    return [...(sourceField.tags || [])];
+  }
+  const tags = [];
+  if (field.symbols.size > 0) {
+    if (field.allNumeric) {
+      tags.push("$numeric");
+      if (field.allInteger) {
+        tags.push("$integer");
+      }
+      if (field.allDates) {
+        tags.push("$timestamp");
+        if (field.allWholeDays) {
+          tags.push("$date");
+        }
+      } else if (field.allQvdDuals && sourceField) {
+        // Dates read from a QVD file are plain duals, only the tags of
+        // the source field tell that they are dates
+        const sourceTags = sourceField.tags || [];
+        tags.push(
+          ...["$timestamp", "$date"].filter((tag) => sourceTags.includes(tag))
+        );
+      }
+    } else if (field.allText) {
+      if (field.allAscii) {
+        tags.push("$ascii");
+      }
+      tags.push("$text");
+    }
+  }
+
+  const sourceTags = sourceField ? sourceField.tags || [] : [];
+  return [...tags, ...sourceTags.filter((tag) => !VALUE_TAGS.has(tag))];
+}
+
+/**
+ * Determine the number format of a field, preferring the source field's
+ * @param {Object} field - Field statistics from buildSymbolTables()
+ * @param {Object|null} sourceField - Field metadata of the source QVD file
+ * @returns {Object} Number format
+ */
+function getNumberFormat(field, sourceField) {
+  if (sourceField && sourceField.numberFormat) {
+    return sourceField.numberFormat;
+  }
+
+  const format = {
+    type: "UNKNOWN",
+    nDec: "0",
+    useThou: "0",
+    fmt: "",
+    dec: "",
+    thou: "",
+  };
+  if (field.symbols.size > 0 && field.allDates) {
+    return field.allWholeDays
+      ? { ...format, type: "DATE", fmt: "YYYY-MM-DD" }
+      : { ...format, type: "TIMESTAMP", fmt: "YYYY-MM-DD hh:mm:ss" };
+  }
+  return format;
+}
+
+/**
+ * Build the XML header
+ * @param {Object} table - Table properties
+ * @param {Array<Object>} fieldHeaders - Field header properties
+ * @returns {Buffer} Header bytes, including the terminating \r\n\0
+ */
+function buildHeader(table, fieldHeaders) {
+  const lines = [];
+  const add = (indent, text) => lines.push(" ".repeat(indent) + text);
+  const element = (indent, name, value) =>
+    add(indent, `<${name}>${escapeXml(value)}</${name}>`);
+  const tagList = (indent, name, tags) => {
+    if (tags.length === 0) {
+      add(indent, `<${name}></${name}>`);
+      return;
+    }
+    add(indent, `<${name}>`);
+    tags.forEach((tag) => element(indent + 2, "String", tag));
+    add(indent, `</${name}>`);
+  };
+
+  lines.push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+  add(1, "<QvdTableHeader>");
+  element(3, "QvBuildNo", table.qvBuildNo);
+  element(3, "CreatorDoc", table.creatorDoc);
+  element(3, "CreateUtcTime", table.createUtcTime);
+  element(3, "SourceCreateUtcTime", table.sourceCreateUtcTime);
+  element(3, "SourceFileUtcTime", table.sourceFileUtcTime);
+  element(3, "SourceFileSize", table.sourceFileSize);
+  element(3, "StaleUtcTime", table.staleUtcTime);
+  element(3, "TableName", table.tableName);
+
+  add(3, "<Fields>");
+  for (const field of fieldHeaders) {
+    add(5, "<QvdFieldHeader>");
+    element(7, "FieldName", field.name);
+    element(7, "BitOffset", field.bitOffset);
+    element(7, "BitWidth", field.bitWidth);
+    element(7, "Bias", field.bias);
+    add(7, "<NumberFormat>");
+    element(9, "Type", field.numberFormat.type);
+    element(9, "nDec", field.numberFormat.nDec);
+    element(9, "UseThou", field.numberFormat.useThou);
+    element(9, "Fmt", field.numberFormat.fmt);
+    element(9, "Dec", field.numberFormat.dec);
+    element(9, "Thou", field.numberFormat.thou);
+    add(7, "</NumberFormat>");
+    element(7, "NoOfSymbols", field.noOfSymbols);
+    element(7, "Offset", field.offset);
+    element(7, "Length", field.length);
+    element(7, "Comment", field.comment);
+    tagList(7, "Tags", field.tags);
+    add(5, "</QvdFieldHeader>");
+  }
+  add(3, "</Fields>");
+
+  element(3, "Compression", "");
+  element(3, "RecordByteSize", table.recordByteSize);
+  element(3, "NoOfRecords", table.noOfRecords);
+  element(3, "Offset", table.offset);
+  element(3, "Length", table.length);
+
+  if (table.lineage.length === 0) {
+    add(3, "<Lineage></Lineage>");
+  } else {
+    add(3, "<Lineage>");
+    for (const info of table.lineage) {
+      add(5, "<LineageInfo>");
+      element(7, "Discriminator", info.Discriminator);
+      element(7, "Statement", info.Statement);
+      add(5, "</LineageInfo>");
+    }
+    add(3, "</Lineage>");
+  }
+
+  element(3, "Comment", table.comment);
+  element(3, "EncryptionInfo", "");
+  tagList(3, "TableTags", table.tableTags);
+  element(3, "ProfilingData", "");
+  add(1, "</QvdTableHeader>");
+
+  return Buffer.from(lines.join("\r\n") + "\r\n\0", "utf8");
+}
+
+/**
+ * Export data to a QVD file
+ * The rows are read twice: once to build the symbol tables and once to
+ * write the bit-packed index table. When the row source comes from a QVD
+ * file, its table properties, lineage, field comments, number formats and
+ * tags are carried over. Columns holding the stored values of a field keep
+ * its tags as they are; the value tags of other columns are recalculated.
+ * @param {Object} source - Row source providing batches of row objects
+ * @param {string} filePath - Destination file path
+ * @returns {Promise<void>}
+ */
+export async function exportToQvd(source, filePath) {
+  const writer = openTextWriter(filePath);
+  try {
+    const sourceMetadata = source.metadata || null;
+    const sourceFields = new Map(
+      (sourceMetadata ? sourceMetadata.fields : []).map((field) => [
+        field.name,
+        field,
+      ])
+    );
+
+    const fields = await buildSymbolTables(source);
+    const storedColumns = new Set(source.storedColumns);
+
+    // Lay out the fields in the index table rows and symbol section
+    let bitOffset = 0;
+    let symbolOffset = 0;
+    const fieldHeaders = fields.map((field) => {
+      const sourceField = sourceFields.get(field.name) || null;
+      const storedValues = field.symbols.size + (field.hasNull ? 2 : 0);
+      const bitWidth =
+        storedValues <= 1 ? 0 : Math.ceil(Math.log2(storedValues));
+      const header = {
+        name: field.name,
+        bitOffset,
+        bitWidth,
+        bias: field.hasNull ? NULL_BIAS : 0,
+        numberFormat: getNumberFormat(field, sourceField),
+        noOfSymbols: field.symbols.size,
+        offset: symbolOffset,
+        length: field.length,
+        comment: sourceField ? sourceField.comment : "",
+        tags: getFieldTags(
+          field,
+          sourceField,
+          storedColumns.has(field.name)
+        ),
+      };
+      bitOffset += bitWidth;
+      symbolOffset += field.length;
+      return header;
+    });
+
+    // Qlik uses at least one byte per row, also when no bits are needed
+    const recordByteSize = Math.max(1, Math.ceil(bitOffset / 8));
+    const rowCount = source.rowCount;
+    const tableName =
+      (sourceMetadata && sourceMetadata.tableName) ||
+      basename(filePath, extname(filePath));
+
+    const header = buildHeader(
+      {
+        qvBuildNo:
+          (sourceMetadata && sourceMetadata.qvBuildNo) || DEFAULT_QV_BUILD_NO,
+        creatorDoc: sourceMetadata ? sourceMetadata.creatorDoc : "",
+        createUtcTime: formatUtcTime(new Date()),
+        sourceCreateUtcTime: sourceMetadata
+          ? sourceMetadata.sourceCreateUtcTime
+          : "",
+        sourceFileUtcTime: sourceMetadata
+          ? sourceMetadata.sourceFileUtcTime
+          : "",
+        sourceFileSize: sourceMetadata ? sourceMetadata.sourceFileSize : "-1",
+        staleUtcTime: sourceMetadata ? sourceMetadata.staleUtcTime : "",
+        tableName,
+        recordByteSize,
+        noOfRecords: rowCount,
+        offset: symbolOffset,
+        length: rowCount * recordByteSize,
+        lineage: sourceMetadata ? sourceMetadata.lineage || [] : [],
+        comment: sourceMetadata ? sourceMetadata.comment : "",
+        tableTags:
+          sourceMetadata && sourceMetadata.tableTags
+            ? sourceMetadata.tableTags.split(", ")
+            : [],
+      },
+      fieldHeaders
+    );
+
+    await writer.write(header);
+
+    // Symbol tables, one field after the other
+    for (const field of fields) {
+      if (field.length > 0) {
+        await writer.write(Buffer.concat(field.chunks, field.length));
+      }
+      field.chunks = null;
+    }
+
+    // Index table, one batch of rows at a time
+    let rowsWritten = 0;
+    for await (const batch of source.batches()) {
+      const buffer = Buffer.alloc(batch.length * recordByteSize);
+      batch.forEach((row, rowIndex) => {
+        const rowStart = rowIndex * recordByteSize;
+        fields.forEach((field, fieldIndex) => {
+          const fieldHeader = fieldHeaders[fieldIndex];
+          if (fieldHeader.bitWidth === 0) {
+            return;
+          }
+          const symbol = toSymbol(row[field.name]);
+          const stored =
+            symbol === null
+              ? 0
+              : field.symbols.get(symbolKey(symbol)) - fieldHeader.bias;
+          writeBits(
+            buffer,
+            rowStart,
+            fieldHeader.bitOffset,
+            fieldHeader.bitWidth,
+            stored
+          );
+        });
+      });
+      rowsWritten += batch.length;
+      await writer.write(buffer);
+    }
+
+    if (rowsWritten !== rowCount) {
+      throw new Error(
+        `Expected ${rowCount} rows but the data contained ${rowsWritten}`
+      );
+    }
+
+    await writer.close();
+  } catch (error) {
+    writer.destroy();
+    throw new Error(`QVD export failed: ${error.message}`);
+  }
+}
@@ -2,138 +2,158 @@ import initSqlJs from 'sql.js';
 import { existsSync, unlinkSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { scanColumnTypes } from './exportStream.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Initialize sql.js with its WASM file
+ * In Node.js, we need to point to the wasm file in node_modules
+ * @returns {Promise<Object>} sql.js module
+ */
+export async function loadSqlJs() {
+  return initSqlJs({
+    locateFile: (file) => {
+      return join(__dirname, "../../node_modules/sql.js/dist", file);
+    },
+  });
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {string} Quoted identifier
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Create a table in a sql.js database and fill it with the rows of a row
+ * source. The rows are read twice: once to determine the column types and
+ * once to insert them.
+ * @param {Object} db - sql.js database
+ * @param {Object} source - Row source providing batches of row objects
+ * @param {string} tableName - Name of the table to create (default: "data")
+ * @returns {Promise<void>}
+ */
+export async function createSQLiteTable(db, source, tableName = "data") {
+  // Track type information for each column across all rows
+  const columnNames = source.columns;
+  const columnTypes = await scanColumnTypes(source);
+
+  // Determine SQLite type for each column based on collected type information
+  const columns = columnNames
+    .map((key) => {
+      const typeInfo = columnTypes[key];
+      let sqlType = "TEXT"; // Default to TEXT
+
+      // If column has mixed types, use TEXT as most compatible
+      if (typeInfo.hasString || (typeInfo.hasNumber && typeInfo.hasBoolean)) {
+        sqlType = "TEXT";
+      } else if (typeInfo.hasDate) {
+        sqlType = "TEXT"; // Store dates as ISO strings
+      } else if (typeInfo.hasNumber) {
+        sqlType = typeInfo.allIntegers ? "INTEGER" : "REAL";
+      } else if (typeInfo.hasBoolean) {
+        sqlType = "INTEGER"; // SQLite uses 0/1 for booleans
+      }
+
+      return `${quoteIdentifier(key)} ${sqlType}`;
+    })
+    .join(", ");
+
+  // Create table
+  db.run(`CREATE TABLE ${quoteIdentifier(tableName)} (${columns})`);
+
+  // Prepare insert statement
+  const placeholders = columnNames.map(() => "?").join(", ");
+  const insertSQL = `INSERT INTO ${quoteIdentifier(tableName)} (${columnNames
+    .map(quoteIdentifier)
+    .join(", ")}) VALUES (${placeholders})`;
+
+  // Insert rows one batch at a time, each batch in its own transaction
+  const statement = db.prepare(insertSQL);
+  try {
+    for await (const batch of source.batches()) {
+      db.run("BEGIN TRANSACTION");
+      try {
+        insertBatch(statement, batch, columnNames, columnTypes);
+        db.run("COMMIT");
+      } catch (error) {
+        // Leave no transaction open, so that the database can still be
+        // used or closed
+        db.run("ROLLBACK");
+        throw error;
+      }
+    }
+  } finally {
+    statement.free();
+  }
+}
+
+/**
+ * Insert one batch of rows with a prepared INSERT statement
+ * @param {Object} statement - Prepared sql.js statement
+ * @param {Array<Object>} batch - Row objects
+ * @param {Array<string>} columnNames - Columns in statement order
+ * @param {Object} columnTypes - Column types from scanColumnTypes()
+ */
+function insertBatch(statement, batch, columnNames, columnTypes) {
+  for (const row of batch) {
+    const values = columnNames.map((col) => {
+      const value = row[col];
+      const typeInfo = columnTypes[col];
+
+      // Convert values based on schema expectations
+      if (value === null || value === undefined) {
+        return null;
+      } else if (typeInfo.hasString) {
+        // If schema expects TEXT, convert everything to string
+        return String(value);
+      } else if (typeof value === "boolean") {
+        return value ? 1 : 0;
+      } else if (value instanceof Date) {
+        return value.toISOString();
+      }
+      return value;
+    });
+
+    statement.run(values);
+  }
+}
+
 /**
  * Export data to SQLite database format
- * @param {Array<Object>} data - Array of row objects
+ * Note that sql.js keeps the database itself in memory until it is written
+ * to disk.
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToSQLite(data, filePath) {
+export async function exportToSQLite(source, filePath) {
+  let db = null;
   try {
-    // Initialize SQL.js with WASM file
-    // In Node.js, we need to point to the wasm file in node_modules
-    const SQL = await initSqlJs({
-      locateFile: (file) => {
-        return join(__dirname, "../../node_modules/sql.js/dist", file);
-      },
-    });
+    const SQL = await loadSqlJs();
 
     // Create a new database
-    const db = new SQL.Database();
+    db = new SQL.Database();
 
-    if (data.length === 0) {
+    if (source.rowCount === 0) {
       // Export empty database
       const binaryArray = db.export();
       const buffer = Buffer.from(binaryArray);
       writeFileSync(filePath, buffer);
-      db.close();
       return;
     }
 
-    // Get column names from first row
-    const firstRow = data[0];
-    const columnNames = Object.keys(firstRow);
-
-    // Track type information for each column across all rows
-    const columnTypes = {};
-    columnNames.forEach((key) => {
-      columnTypes[key] = {
-        hasNull: false,
-        hasNumber: false,
-        hasString: false,
-        hasBoolean: false,
-        hasDate: false,
-        allIntegers: true,
-      };
-    });
-
-    // Scan all rows to determine the most compatible type for each column
-    for (const row of data) {
-      for (const key of columnNames) {
-        const value = row[key];
-        const typeInfo = columnTypes[key];
-
-        if (value === null || value === undefined) {
-          typeInfo.hasNull = true;
-        } else if (typeof value === "number") {
-          typeInfo.hasNumber = true;
-          if (!Number.isInteger(value)) {
-            typeInfo.allIntegers = false;
-          }
-        } else if (typeof value === "string") {
-          typeInfo.hasString = true;
-        } else if (typeof value === "boolean") {
-          typeInfo.hasBoolean = true;
-        } else if (value instanceof Date) {
-          typeInfo.hasDate = true;
-        }
-      }
-    }
-
-    // Determine SQLite type for each column based on collected type information
-    const columns = columnNames
-      .map((key) => {
-        const typeInfo = columnTypes[key];
-        let sqlType = "TEXT"; // Default to TEXT
-
-        // If column has mixed types, use TEXT as most compatible
-        if (typeInfo.hasString || (typeInfo.hasNumber && typeInfo.hasBoolean)) {
-          sqlType = "TEXT";
-        } else if (typeInfo.hasDate) {
-          sqlType = "TEXT"; // Store dates as ISO strings
-        } else if (typeInfo.hasNumber) {
-          sqlType = typeInfo.allIntegers ? "INTEGER" : "REAL";
-        } else if (typeInfo.hasBoolean) {
-          sqlType = "INTEGER"; // SQLite uses 0/1 for booleans
-        }
-
-        return `"${key}" ${sqlType}`;
-      })
-      .join(", ");
-
-    // Create table
-    db.run(`CREATE TABLE data (${columns})`);
-
-    // Prepare insert statement
-    const placeholders = columnNames.map(() => "?").join(", ");
-    const insertSQL = `INSERT INTO data (${columnNames
-      .map((c) => `"${c}"`)
-      .join(", ")}) VALUES (${placeholders})`;
-
-    // Insert all rows
-    for (const row of data) {
-      const values = columnNames.map((col) => {
-        const value = row[col];
-        const typeInfo = columnTypes[col];
-
-        // Convert values based on schema expectations
-        if (value === null || value === undefined) {
-          return null;
-        } else if (typeInfo.hasString) {
-          // If schema expects TEXT, convert everything to string
-          return String(value);
-        } else if (typeof value === "boolean") {
-          return value ? 1 : 0;
-        } else if (value instanceof Date) {
-          return value.toISOString();
-        }
-        return value;
-      });
-
-      db.run(insertSQL, values);
-    }
+    await createSQLiteTable(db, source);
 
     // Export the database to a binary array and write to file
     const binaryArray = db.export();
     const buffer = Buffer.from(binaryArray);
     writeFileSync(filePath, buffer);
-
-    // Close the database
-    db.close();
   } catch (error) {
     // Clean up the partially created file on error
     try {
@@ -145,5 +165,10 @@ export async function exportToSQLite(data, filePath) {
     }
 
     throw new Error(`SQLite export failed: ${error.message}`);
+  } finally {
+    // Frees the memory of the database, also when the export failed
+    if (db) {
+      db.close();
+    }
   }
 }
@@ -1,56 +1,78 @@
-import { promises as fs } from "fs";
 import xmljs from "xml-js";
+import { openTextWriter } from "./exportStream.mjs";
+
+/**
+ * Convert a row object to an xml-js record element
+ * @param {Object} row - Row object
+ * @returns {Object} Record element in xml-js compact form
+ */
+function toRecord(row) {
+  const record = {};
+  Object.keys(row).forEach((key) => {
+    const value = row[key];
+    // Handle different value types
+    if (value === null || value === undefined) {
+      record[key] = { _attributes: { nil: "true" } };
+    } else if (typeof value === "object" && value instanceof Date) {
+      record[key] = { _text: value.toISOString() };
+    } else {
+      record[key] = { _text: String(value) };
+    }
+  });
+  return record;
+}
 
 /**
  * Export data to XML format
- * @param {Array<Object>} data - Array of row objects
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToXML(data, filePath) {
+export async function exportToXML(source, filePath) {
+  const writer = openTextWriter(filePath);
   try {
-    const xmlObj = {
-      _declaration: {
-        _attributes: {
-          version: "1.0",
-          encoding: "UTF-8",
-        },
-      },
-      _comment: [
-        "XML Data Export",
-        "Created by: Ctrl-Q QVD Viewer for VS Code",
-        "VS Code Extension: https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
-        "GitHub: https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
-        `Generated: ${new Date().toISOString()}`,
-        `Rows: ${data.length}`,
-      ].join("\n"),
-      data: {
-        record: data.map((row) => {
-          const record = {};
-          Object.keys(row).forEach((key) => {
-            const value = row[key];
-            // Handle different value types
-            if (value === null || value === undefined) {
-              record[key] = { _attributes: { nil: "true" } };
-            } else if (typeof value === "object" && value instanceof Date) {
-              record[key] = { _text: value.toISOString() };
-            } else {
-              record[key] = { _text: String(value) };
-            }
-          });
-          return record;
-        }),
-      },
-    };
-
-    const xml = xmljs.js2xml(xmlObj, {
+    const xmlOptions = {
       compact: true,
       spaces: 2,
       ignoreComment: false,
-    });
+    };
+
+    const prolog = xmljs.js2xml(
+      {
+        _declaration: {
+          _attributes: {
+            version: "1.0",
+            encoding: "UTF-8",
+          },
+        },
+        _comment: [
+          "XML Data Export",
+          "Created by: Ctrl-Q QVD Viewer for VS Code",
+          "VS Code Extension: https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
+          "GitHub: https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
+          `Generated: ${new Date().toISOString()}`,
+          `Rows: ${source.rowCount}`,
+        ].join("\n"),
+      },
+      xmlOptions
+    );
+
+    await writer.write(`${prolog}\n<data>`);
+
+    // Records are serialized one batch at a time and indented one level
+    // below the <data> root element
+    for await (const batch of source.batches()) {
+      if (batch.length === 0) {
+        continue;
+      }
+      const xml = xmljs.js2xml({ record: batch.map(toRecord) }, xmlOptions);
+      await writer.write("\n  " + xml.replace(/\n/g, "\n  "));
+    }
 
-    await fs.writeFile(filePath, xml, "utf8");
+    await writer.write("\n</data>");
+    await writer.close();
   } catch (error) {
+    writer.destroy();
     throw new Error(`XML export failed: ${error.message}`);
   }
 }
@@ -1,13 +1,14 @@
-import { promises as fs } from "fs";
 import yaml from "js-yaml";
+import { openTextWriter } from "./exportStream.mjs";
 
 /**
  * Export data to YAML format
- * @param {Array<Object>} data - Array of row objects
+ * @param {Object} source - Row source providing batches of row objects
  * @param {string} filePath - Destination file path
  * @returns {Promise<void>}
  */
-export async function exportToYAML(data, filePath) {
+export async function exportToYAML(source, filePath) {
+  const writer = openTextWriter(filePath);
   try {
     // Add header comment
     const header = [
@@ -16,18 +17,36 @@ export async function exportToYAML(data, filePath) {
       "# VS Code Extension: https://marketplace.visualstudio.com/items?itemName=ptarmiganlabs.ctrl-q-qvd-viewer",
       "# GitHub: https://github.com/ptarmiganlabs/ctrl-q-qvd-viewer",
       `# Generated: ${new Date().toISOString()}`,
-      `# Rows: ${data.length}`,
+      `# Rows: ${source.rowCount}`,
       "",
     ].join("\n");
 
-    const yamlString = yaml.dump(data, {
-      indent: 2,
-      lineWidth: -1,
-      noRefs: true,
-    });
+    await writer.write(header);
 
-    await fs.writeFile(filePath, header + yamlString, "utf8");
+    // Each batch is dumped as a block sequence; consecutive sequences
+    // concatenate into a single top-level list
+    let hasRows = false;
+    for await (const batch of source.batches()) {
+      if (batch.length === 0) {
+        continue;
+      }
+      await writer.write(
+        yaml.dump(batch, {
+          indent: 2,
+          lineWidth: -1,
+          noRefs: true,
+        })
+      );
+      hasRows = true;
+    }
+
+    if (!hasRows) {
+      await writer.write("[]\n");
+    }
+
+    await writer.close();
   } catch (error) {
+    writer.destroy();
     throw new Error(`YAML export failed: ${error.message}`);
   }
 }
@@ -2,6 +2,8 @@
 import * as vscode from "vscode";
 import QvdEditorProvider from "./qvdEditorProvider.mjs";
 import AboutPanel from "./aboutPanel.mjs";
+import SessionPanel from "./sessionPanel.mjs";
+import DiffPanel from "./diffPanel.mjs";
 import logger from "./logger.mjs";
 
 /**
@@ -57,6 +59,77 @@ export async function activate(context) {
 
   context.subscriptions.push(openQvdCommand);
 
+  // Register command to open several QVD files as one session
+  // When run from the explorer context menu, the selected files are used
+  const openSessionCommand = vscode.commands.registerCommand(
+    "ctrl-q-qvd-viewer.openSession",
+    async (uri, selectedUris) => {
+      let uris = selectedUris && selectedUris.length > 0 ? selectedUris : [];
+      if (uris.length < 2) {
+        uris =
+          (await vscode.window.showOpenDialog({
+            canSelectFiles: true,
+            canSelectFolders: false,
+            canSelectMany: true,
+            openLabel: "Open Session",
+            filters: {
+              "QVD Files": ["qvd", "QVD"],
+            },
+          })) || [];
+      }
+
+      if (uris.length === 0) {
+        return;
+      }
+      if (uris.length < 2) {
+        vscode.window.showWarningMessage(
+          "Select at least two QVD files to open a session"
+        );
+        return;
+      }
+
+      await SessionPanel.show(uris);
+    }
+  );
+
+  context.subscriptions.push(openSessionCommand);
+
+  // Register command to compare two QVD files
+  // Two files selected in the explorer are compared directly, otherwise the
+  // user picks the old and the new file
+  const compareQvdCommand = vscode.commands.registerCommand(
+    "ctrl-q-qvd-viewer.compareQvd",
+    async (uri, selectedUris) => {
+      const pickFile = async (openLabel) => {
+        const picked = await vscode.window.showOpenDialog({
+          canSelectFiles: true,
+          canSelectFolders: false,
+          canSelectMany: false,
+          openLabel,
+          filters: {
+            "QVD Files": ["qvd", "QVD"],
+          },
+        });
+        return picked && picked[0];
+      };
+
+      let uriA;
+      let uriB;
+      if (selectedUris && selectedUris.length === 2) {
+        [uriA, uriB] = selectedUris;
+      } else {
+        uriA = uri || (await pickFile("Select Old QVD"));
+        uriB = uriA && (await pickFile("Select New QVD"));
+      }
+
+      if (uriA && uriB) {
+        await DiffPanel.show(uriA, uriB);
+      }
+    }
+  );
+
+  context.subscriptions.push(compareQvdCommand);
+
   // Register command to show About page
   const aboutCommand = vscode.commands.registerCommand(
     "ctrl-q-qvd-viewer.about",
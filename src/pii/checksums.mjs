@@ -0,0 +1,311 @@
+/**
+ * PII Checksums
+ * Check digits and structural rules of card numbers, bank accounts and
+ * national identity numbers, so that values that merely look like them are
+ * not reported as personal data
+ */
+
+// Characters used as check character of Finnish identity codes
+const FINNISH_CHECK_CHARACTERS = "0123456789ABCDEFHJKLMNPRSTUVWXY";
+
+// Century of the birth date by Finnish century sign
+const FINNISH_CENTURIES = {
+  "+": 1800,
+  "-": 1900,
+  Y: 1900,
+  X: 1900,
+  W: 1900,
+  V: 1900,
+  U: 1900,
+  A: 2000,
+  B: 2000,
+  C: 2000,
+  D: 2000,
+  E: 2000,
+  F: 2000,
+};
+
+// Length of the IBAN of each country using IBANs, as country code and length
+const IBAN_LENGTHS = Object.fromEntries(
+  (
+    "AD24 AE23 AL28 AT20 AZ28 BA20 BE16 BG22 BH22 BR29 BY28 CH21 CR22 CY28 " +
+    "CZ24 DE22 DK18 DO28 EE20 EG29 ES24 FI18 FO18 FR27 GB22 GE22 GI23 GL18 " +
+    "GR27 GT28 HR21 HU28 IE22 IL23 IQ23 IS26 IT27 JO30 KW30 KZ20 LB28 LC32 " +
+    "LI21 LT20 LU20 LV21 MC27 MD24 ME22 MK19 MR27 MT31 MU30 NL18 NO15 PK24 " +
+    "PL28 PS29 PT25 QA29 RO24 RS22 SA24 SC31 SE24 SI19 SK24 SM27 ST25 SV28 " +
+    "TL23 TN24 TR26 UA29 VA22 VG24 XK20"
+  )
+    .split(" ")
+    .map((entry) => [entry.slice(0, 2), Number(entry.slice(2))])
+);
+
+/**
+ * Keep only the digits of a value
+ * @param {string} value - Value
+ * @returns {string} Digits
+ */
+function digitsOf(value) {
+  return value.replace(/\D/g, "");
+}
+
+/**
+ * Check that a year, month and day make an existing calendar day
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {boolean} True for an existing day
+ */
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+/**
+ * Check a number with the Luhn (mod 10) algorithm
+ * @param {string} digits - Digits, the last one being the check digit
+ * @returns {boolean} True when the check digit matches
+ */
+export function isValidLuhn(digits) {
+  if (!/^\d+$/.test(digits)) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check a payment card number: 13-19 digits, optionally grouped by spaces
+ * or dashes, with a known issuer prefix and a valid Luhn check digit
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a valid card number
+ */
+export function isValidCreditCard(value) {
+  if (!/^\d[\d -]{11,22}\d$/.test(value)) {
+    return false;
+  }
+  const digits = digitsOf(value);
+  if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) {
+    return false;
+  }
+  // Visa, Mastercard, American Express, Diners, Discover, JCB, Maestro and
+  // UnionPay
+  const issuer =
+    /^(4|5[1-5]|2[2-7]|3[47]|3[068]|6011|64[4-9]|65|35|5[06-9]|6[27])/;
+  return issuer.test(digits) && isValidLuhn(digits);
+}
+
+/**
+ * Check an IBAN: country code, length of that country and MOD-97 check
+ * digits (ISO 13616). Spaces are ignored.
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a valid IBAN
+ */
+export function isValidIban(value) {
+  const iban = value.replace(/ /g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    return false;
+  }
+  if (IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end, replace letters by
+  // 10-35 and take the remainder piece by piece to stay within a number
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    remainder = Number(`${remainder}${code}`) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Check a Swedish personal identity number (personnummer) or coordination
+ * number (samordningsnummer): YYMMDD-NNNN, YYMMDD+NNNN (over 100 years old)
+ * or YYYYMMDDNNNN, with an existing birth date (day + 60 for coordination
+ * numbers) and a valid Luhn check digit over the last ten digits
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a valid personnummer
+ */
+export function isValidPersonnummer(value) {
+  const match = /^(\d{2})?(\d{2})(\d{2})(\d{2})[-+]?(\d{4})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, century, year, month, day, serial] = match;
+  const birthMonth = Number(month);
+  const birthDay = Number(day) > 60 ? Number(day) - 60 : Number(day);
+  // Without a century, the birth date may be in either century
+  const years = century
+    ? [Number(`${century}${year}`)]
+    : [1900 + Number(year), 2000 + Number(year)];
+  if (!years.some((fullYear) => isValidDate(fullYear, birthMonth, birthDay))) {
+    return false;
+  }
+  return isValidLuhn(`${year}${month}${day}${serial}`);
+}
+
+/**
+ * Check a US Social Security Number: area not 000, 666 or 900-999, group
+ * not 00 and serial not 0000
+ * @param {string} value - Value to check, AAA-GG-SSSS or 9 digits
+ * @returns {boolean} True for a possible SSN
+ */
+export function isValidUsSsn(value) {
+  const match = /^(\d{3})-?(\d{2})-?(\d{4})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, area, group, serial] = match;
+  return (
+    area !== "000" &&
+    area !== "666" &&
+    area[0] !== "9" &&
+    group !== "00" &&
+    serial !== "0000"
+  );
+}
+
+/**
+ * Check a UK National Insurance number: two prefix letters that are
+ * allocated, six digits and a suffix letter A-D
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a possible National Insurance number
+ */
+export function isValidUkNino(value) {
+  const nino = value.replace(/ /g, "").toUpperCase();
+  return (
+    /^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(nino) &&
+    !/^(BG|GB|KN|NK|NT|TN|ZZ)/.test(nino)
+  );
+}
+
+/**
+ * Check a German pension insurance number (Rentenversicherungsnummer):
+ * area, birth date, initial letter, serial and check digit
+ * @param {string} value - Value to check, e.g. 15070649C103
+ * @returns {boolean} True when the check digit matches
+ */
+export function isValidGermanPensionNumber(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})([A-Z])(\d{2})(\d)$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, area, day, month, year, letter, serial, check] = match;
+  if (!isValidDate(2000 + Number(year), Number(month), Number(day))) {
+    return false;
+  }
+
+  // The letter counts as its position in the alphabet, two digits
+  const position = String(letter.charCodeAt(0) - 64).padStart(2, "0");
+  const digits = `${area}${day}${month}${year}${position}${serial}`;
+  const weights = [2, 1, 2, 5, 7, 1, 2, 1, 2, 1, 2, 1];
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    const product = Number(digits[i]) * weights[i];
+    sum += Math.floor(product / 10) + (product % 10);
+  }
+  return sum % 10 === Number(check);
+}
+
+/**
+ * Check a French social security number (NIR): 13 digits and a key of
+ * 97 minus their remainder by 97
+ * @param {string} value - Value to check, 15 digits
+ * @returns {boolean} True when the key matches
+ */
+export function isValidFrenchNir(value) {
+  if (!/^[12]\d{14}$/.test(value)) {
+    return false;
+  }
+  const key = 97 - Number(BigInt(value.slice(0, 13)) % 97n);
+  return key === Number(value.slice(13));
+}
+
+/**
+ * Check a Dutch citizen service number (BSN) with the eleven test
+ * @param {string} value - Value to check, 9 digits
+ * @returns {boolean} True when the number passes the eleven test
+ */
+export function isValidDutchBsn(value) {
+  if (!/^\d{9}$/.test(value) || /^0+$/.test(value)) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    sum += Number(value[i]) * (9 - i);
+  }
+  return (sum - Number(value[8])) % 11 === 0;
+}
+
+/**
+ * Check a Belgian national register number: birth date, serial and a check
+ * number of 97 minus the remainder by 97 (with a leading 2 from 2000 on)
+ * @param {string} value - Value to check, YY.MM.DD-SSS.CC or 11 digits
+ * @returns {boolean} True when the check number matches
+ */
+export function isValidBelgianNationalNumber(value) {
+  if (!/^(\d{2}\.?\d{2}\.?\d{2}-?\d{3}\.?\d{2})$/.test(value)) {
+    return false;
+  }
+  const digits = digitsOf(value);
+  const base = digits.slice(0, 9);
+  const check = Number(digits.slice(9));
+  return (
+    97 - (Number(base) % 97) === check ||
+    97 - (Number(`2${base}`) % 97) === check
+  );
+}
+
+/**
+ * Check a Danish civil registration number (CPR): DDMMYY-SSSS with an
+ * existing birth date. CPR numbers issued since 2007 have no check digit.
+ * @param {string} value - Value to check
+ * @returns {boolean} True when the birth date exists
+ */
+export function isValidDanishCpr(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})-?\d{4}$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, day, month, year] = match;
+  return isValidDate(2000 + Number(year), Number(month), Number(day));
+}
+
+/**
+ * Check a Finnish personal identity code (henkilötunnus): birth date,
+ * century sign, individual number and a check character from the
+ * remainder by 31
+ * @param {string} value - Value to check, e.g. 131052-308T
+ * @returns {boolean} True when the check character matches
+ */
+export function isValidFinnishHetu(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})([-+A-FU-Y])(\d{3})([0-9A-Y])$/.exec(
+    value
+  );
+  if (!match) {
+    return false;
+  }
+  const [, day, month, year, sign, serial, check] = match;
+  const fullYear = FINNISH_CENTURIES[sign] + Number(year);
+  if (!isValidDate(fullYear, Number(month), Number(day))) {
+    return false;
+  }
+  const number = Number(`${day}${month}${year}${serial}`);
+  return FINNISH_CHECK_CHARACTERS[number % 31] === check;
+}
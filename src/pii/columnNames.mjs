@@ -0,0 +1,76 @@
+/**
+ * PII Column Names
+ * Recognizes fields that hold personal data by their name, also when the
+ * values give nothing away, e.g. names, street addresses and dates of birth
+ */
+
+// Field name patterns by category, tested against the name split into
+// lowercase words. The first match wins, so "Email Address" is an email
+// field rather than a street address.
+const COLUMN_PATTERNS = [
+  {
+    category: "nationalId",
+    pattern:
+      /\b(ssn|social security( number| no)?|personnummer|person ?nr|pnr|personal (id|identity|number)|national (id|identity|insurance)( number| no)?|nino|bsn|cpr|hetu|henkilotunnus|tax ?id|passport( number| no)?)\b/,
+  },
+  {
+    category: "creditCard",
+    pattern: /\b(credit ?card|card ?(number|no|nr)|ccn)\b/,
+  },
+  {
+    category: "iban",
+    pattern: /\b(iban|bank ?account|account ?(number|no|nr))\b/,
+  },
+  { category: "email", pattern: /\b(e ?mail|epost)( address)?s?\b/ },
+  {
+    category: "phone",
+    pattern: /\b(phone|telephone|tel|mobile|cell ?phone|fax|telefon)\b/,
+  },
+  { category: "ipAddress", pattern: /\b(ip|ipv[46]|ip ?address)\b/ },
+  {
+    category: "postalCode",
+    pattern: /\b(zip|zip ?code|postal ?code|post ?code|postnummer|plz)\b/,
+  },
+  {
+    category: "birthDate",
+    pattern: /\b(birth ?date|date of birth|dob|birthday|born|fodelsedatum)\b/,
+  },
+  {
+    category: "personName",
+    pattern:
+      /\b((first|last|given|family|middle|full|maiden) ?name|surname|fornamn|efternamn)\b/,
+  },
+  {
+    category: "address",
+    pattern: /\b(address|street|addr|address ?line ?\d|gatuadress)\b/,
+  },
+];
+
+/**
+ * Split a field name into lowercase words
+ * camelCase, PascalCase, underscores, dots and spaces all separate words,
+ * and accents are dropped, so "CustomerE_Mail" becomes "customer e mail".
+ * @param {string} fieldName - Field name
+ * @returns {string} Words separated by single spaces
+ */
+export function normalizeColumnName(fieldName) {
+  return fieldName
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .toLowerCase()
+    .replace(/[^a-z\d]+/g, " ")
+    .trim();
+}
+
+/**
+ * Recognize the kind of personal data a field holds by its name
+ * @param {string} fieldName - Field name
+ * @returns {string|null} Category from PII_CATEGORIES, or null when the name does not point at personal data
+ */
+export function detectPiiColumn(fieldName) {
+  const words = normalizeColumnName(fieldName);
+  const match = COLUMN_PATTERNS.find(({ pattern }) => pattern.test(words));
+  return match ? match.category : null;
+}
@@ -0,0 +1,278 @@
+/**
+ * PII Value Detectors
+ * Recognizes personal data in single field values. Identity numbers, card
+ * numbers and IBANs must pass their checksum, and formats that many other
+ * numbers share, such as bare digits for phone numbers or postal codes,
+ * only count in fields whose name points at that kind of data.
+ */
+
+import {
+  isValidBelgianNationalNumber,
+  isValidCreditCard,
+  isValidDanishCpr,
+  isValidDutchBsn,
+  isValidFinnishHetu,
+  isValidFrenchNir,
+  isValidGermanPensionNumber,
+  isValidIban,
+  isValidPersonnummer,
+  isValidUkNino,
+  isValidUsSsn,
+} from "./checksums.mjs";
+
+/**
+ * Sensitivity levels, from least to most sensitive
+ */
+export const SENSITIVITY_LEVELS = ["none", "low", "high"];
+
+/**
+ * Kinds of personal data, with the sensitivity each one gives a file
+ * National identity numbers and financial accounts are highly sensitive.
+ * Contact details and other data that identify a person together with more
+ * data are of low sensitivity. GUIDs are reported but not classified, as
+ * they are as often keys of records as of people. Kinds of data validated
+ * by a checksum have the share of values of their format that pass the
+ * checksum by chance.
+ */
+export const PII_CATEGORIES = {
+  nationalId: {
+    label: "National identity number",
+    sensitivity: "high",
+    checksumPassRate: 0.1,
+  },
+  creditCard: {
+    label: "Payment card number",
+    sensitivity: "high",
+    checksumPassRate: 0.1,
+  },
+  iban: {
+    label: "Bank account (IBAN)",
+    sensitivity: "high",
+    checksumPassRate: 1 / 97,
+  },
+  email: { label: "Email address", sensitivity: "low" },
+  phone: { label: "Phone number", sensitivity: "low" },
+  ipAddress: { label: "IP address", sensitivity: "low" },
+  postalCode: { label: "Postal code", sensitivity: "low" },
+  personName: { label: "Person name", sensitivity: "low" },
+  address: { label: "Street address", sensitivity: "low" },
+  birthDate: { label: "Date of birth", sensitivity: "low" },
+  guid: { label: "GUID", sensitivity: "none" },
+};
+
+// National identity numbers by country, each with its own validation.
+// Numbers without a check digit are only counted as bare digits in fields
+// whose name points at identity numbers.
+const NATIONAL_IDS = [
+  { country: "SE", validate: isValidPersonnummer },
+  { country: "FI", validate: isValidFinnishHetu },
+  { country: "US", validate: isValidUsSsn, bare: /^\d{9}$/ },
+  { country: "UK", validate: isValidUkNino },
+  { country: "DE", validate: isValidGermanPensionNumber },
+  { country: "FR", validate: isValidFrenchNir },
+  { country: "NL", validate: isValidDutchBsn },
+  { country: "BE", validate: isValidBelgianNationalNumber },
+  { country: "DK", validate: isValidDanishCpr, bare: /^\d{10}$/ },
+];
+
+// Postal codes with a format of their own
+const POSTAL_CODES = [
+  {
+    country: "UK",
+    pattern:
+      /^(GIR ?0AA|[A-PR-UWYZ][A-HK-Y]?\d[A-Z\d]? ?\d[ABD-HJLNP-UW-Z]{2})$/i,
+  },
+  { country: "CA", pattern: /^[ABCEGHJ-NPRSTVXY]\d[A-Z] ?\d[A-Z]\d$/i },
+  { country: "NL", pattern: /^[1-9]\d{3} ?(?!SA|SD|SS)[A-Z]{2}$/i },
+  { country: "US", pattern: /^\d{5}-\d{4}$/ },
+  { country: "SE", pattern: /^[1-9]\d{2} \d{2}$/ },
+];
+
+// Postal codes that are only digits, counted in postal code fields only
+const NUMERIC_POSTAL_CODE = /^\d{4,5}$/;
+
+const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+const GUID =
+  /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const IPV4 =
+  /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+// Dotted numbers such as versions and build numbers. Addresses starting
+// with a single digit look like versions (1.2.3.4) and only count in fields
+// named after IP addresses.
+const DOTTED_NUMBER = /^\d+(\.\d+){1,3}$/;
+const VERSION_LIKE_IPV4 = /^\d\./;
+
+// Phone numbers in international format, or national numbers written with
+// separators. Bare digits are only counted in phone fields.
+const INTERNATIONAL_PHONE = /^(\+|00)[1-9][\d ()./-]{5,18}\d$/;
+const NATIONAL_PHONE = /^(\(?0\d{1,4}\)?[ /-]|\(\d{3}\) ?)\d[\d -]{3,10}\d$/;
+const NUMERIC_PHONE = /^0?\d{7,11}$/;
+
+/**
+ * Check an IPv6 address, full or with :: for a run of zero groups
+ * @param {string} value - Value to check
+ * @returns {boolean} True for an IPv6 address
+ */
+function isIpv6(value) {
+  if (!/^[0-9a-f:]+$/i.test(value) || !value.includes(":")) {
+    return false;
+  }
+  const halves = value.split("::");
+  if (halves.length > 2) {
+    return false;
+  }
+  const groups = halves.map((half) => (half === "" ? [] : half.split(":")));
+  if (groups.flat().some((group) => !/^[0-9a-f]{1,4}$/i.test(group))) {
+    return false;
+  }
+  const count = groups.flat().length;
+  return halves.length === 2 ? count < 8 : count === 8;
+}
+
+/**
+ * Count the digits of a value
+ * @param {string} value - Value
+ * @returns {number} Number of digits
+ */
+function countDigits(value) {
+  return value.replace(/\D/g, "").length;
+}
+
+// Value detectors, most specific first. Each returns a detail, such as the
+// country, for a match and null otherwise.
+const VALUE_DETECTORS = [
+  {
+    category: "email",
+    match: (text) => (EMAIL.test(text) ? "" : null),
+  },
+  {
+    category: "guid",
+    match: (text) => (GUID.test(text) ? "" : null),
+  },
+  {
+    category: "iban",
+    match: (text) =>
+      /^[A-Z]{2}\d{2}/i.test(text) && isValidIban(text)
+        ? text.slice(0, 2).toUpperCase()
+        : null,
+  },
+  {
+    category: "creditCard",
+    match: (text) => (isValidCreditCard(text) ? "" : null),
+  },
+  {
+    category: "nationalId",
+    match: (text, hints) => {
+      const id = NATIONAL_IDS.find(
+        ({ validate, bare }) =>
+          validate(text) &&
+          (!bare || !bare.test(text) || hints.has("nationalId"))
+      );
+      return id ? id.country : null;
+    },
+  },
+  {
+    category: "ipAddress",
+    match: (text, hints) => {
+      if (IPV4.test(text)) {
+        return !VERSION_LIKE_IPV4.test(text) || hints.has("ipAddress")
+          ? "IPv4"
+          : null;
+      }
+      return isIpv6(text) ? "IPv6" : null;
+    },
+  },
+  {
+    category: "phone",
+    match: (text, hints) => {
+      const digits = countDigits(text);
+      const formatted =
+        (INTERNATIONAL_PHONE.test(text) || NATIONAL_PHONE.test(text)) &&
+        digits >= 7 &&
+        digits <= 15;
+      return formatted || (hints.has("phone") && NUMERIC_PHONE.test(text))
+        ? ""
+        : null;
+    },
+  },
+  {
+    category: "postalCode",
+    match: (text, hints) => {
+      const postalCode = POSTAL_CODES.find(({ pattern }) => pattern.test(text));
+      if (postalCode) {
+        return postalCode.country;
+      }
+      return hints.has("postalCode") && NUMERIC_POSTAL_CODE.test(text)
+        ? ""
+        : null;
+    },
+  },
+];
+
+/**
+ * Check whether a value is a dotted number that is not an IPv4 address,
+ * such as the version 1.2.3 or the build number 10.0.19041.1
+ * @param {string} value - Value, as text
+ * @returns {boolean} True for a version-like number
+ */
+export function isVersionNumber(value) {
+  const text = value.trim();
+  return DOTTED_NUMBER.test(text) && !IPV4.test(text);
+}
+
+/**
+ * Recognize the personal data in a value
+ * Values are tested against one kind of data after another, most specific
+ * first, and the first match is returned. Kinds of data suggested by the
+ * field name are tested before the others, so that a phone number in a
+ * phone field is not taken for an identity number.
+ * @param {string} value - Value, as text
+ * @param {Set<string>} hints - Categories suggested by the field name, see detectPiiColumn (default: none)
+ * @returns {{category: string, detail: string}|null} Category from PII_CATEGORIES and a detail such as the country, or null when the value holds no personal data
+ */
+export function detectPiiValue(value, hints = new Set()) {
+  const text = value.trim();
+  if (text.length < 4 || text.length > 64) {
+    return null;
+  }
+
+  const detectors =
+    hints.size > 0
+      ? [
+          ...VALUE_DETECTORS.filter(({ category }) => hints.has(category)),
+          ...VALUE_DETECTORS.filter(({ category }) => !hints.has(category)),
+        ]
+      : VALUE_DETECTORS;
+  for (const { category, match } of detectors) {
+    const detail = match(text, hints);
+    if (detail !== null) {
+      return { category, detail };
+    }
+  }
+  return null;
+}
+
+/**
+ * Mask a value for display in reports, keeping the first and last two
+ * characters of values longer than six characters
+ * @param {string} value - Value
+ * @returns {string} Masked value, e.g. "81******76"
+ */
+export function maskPiiValue(value) {
+  const text = value.trim();
+  if (text.length <= 6) {
+    return "*".repeat(text.length);
+  }
+  return text.slice(0, 2) + "*".repeat(text.length - 4) + text.slice(-2);
+}
+
+/**
+ * Get the more sensitive of two sensitivity levels
+ * @param {string} a - Sensitivity level
+ * @param {string} b - Sensitivity level
+ * @returns {string} The higher level
+ */
+export function maxSensitivity(a, b) {
+  return SENSITIVITY_LEVELS.indexOf(a) >= SENSITIVITY_LEVELS.indexOf(b) ? a : b;
+}
@@ -14,14 +14,12 @@ const CARDINALITY_THRESHOLDS = {
 
 /**
  * Calculate completeness metrics for a field
- * @param {Array<Object>} data - Array of data rows
- * @param {string} fieldName - Field name to analyze
+ * @param {number} totalRows - Total number of rows
  * @param {number} nullCount - Pre-calculated null count
+ * @param {number} emptyStringCount - Number of empty string values
  * @returns {Object} Completeness metrics
  */
-function calculateCompletenessMetrics(data, fieldName, nullCount) {
-  const totalRows = data.length;
-
+function calculateCompletenessMetrics(totalRows, nullCount, emptyStringCount) {
   if (totalRows === 0) {
     return {
       nonNullPercentage: 0,
@@ -31,15 +29,6 @@ function calculateCompletenessMetrics(data, fieldName, nullCount) {
     };
   }
 
-  // Count empty strings (not null/undefined, but empty)
-  let emptyStringCount = 0;
-  for (const row of data) {
-    const value = row[fieldName];
-    if (value === "") {
-      emptyStringCount++;
-    }
-  }
-
   const nonNullCount = totalRows - nullCount;
   const populatedCount = nonNullCount - emptyStringCount;
 
@@ -107,25 +96,14 @@ function classifyCardinality(cardinalityRatio, uniqueValues) {
  * @param {Map} valueCounts - Map of value frequencies (optional, for efficiency)
  * @returns {Object} Uniqueness metrics
  */
-function calculateUniquenessMetrics(
+export function calculateUniquenessMetrics(
   data,
   fieldName,
   uniqueValues,
   valueCounts = null
 ) {
-  const totalRows = data.length;
-
-  if (totalRows === 0) {
-    return {
-      uniquePercentage: 0,
-      duplicateCount: 0,
-      duplicatePercentage: 0,
-      topDuplicates: [],
-    };
-  }
-
   // Build value counts if not provided
-  if (!valueCounts) {
+  if (!valueCounts && data.length > 0) {
     valueCounts = new Map();
     for (const row of data) {
       const value = row[fieldName];
@@ -136,6 +114,35 @@ function calculateUniquenessMetrics(
     }
   }
 
+  return calculateUniquenessFromCounts(
+    valueCounts || new Map(),
+    uniqueValues,
+    data.length
+  );
+}
+
+/**
+ * Calculate uniqueness score and duplicate information from value counts
+ * Useful when the rows are streamed and only the value counts are kept.
+ * @param {Map} valueCounts - Map of value frequencies (NULL/empty values excluded)
+ * @param {number} uniqueValues - Unique value count
+ * @param {number} totalRows - Total number of rows
+ * @returns {Object} Uniqueness metrics
+ */
+export function calculateUniquenessFromCounts(
+  valueCounts,
+  uniqueValues,
+  totalRows
+) {
+  if (totalRows === 0) {
+    return {
+      uniquePercentage: 0,
+      duplicateCount: 0,
+      duplicatePercentage: 0,
+      topDuplicates: [],
+    };
+  }
+
   // Count values that appear more than once
   let duplicateValueCount = 0; // Number of duplicate occurrences
   let duplicatedDistinctValues = 0; // Number of distinct values that have duplicates
@@ -332,25 +339,14 @@ export function calculateDataQualityMetrics(
     };
   }
 
-  const totalRows = data.length;
-  const totalNonNull = totalRows - nullCount;
-
-  // Calculate cardinality ratio
-  const cardinalityRatio = totalRows > 0 ? uniqueValues / totalRows : 0;
-  const cardinalityInfo = classifyCardinality(cardinalityRatio, uniqueValues);
-
-  // Calculate completeness metrics
-  const completeness = calculateCompletenessMetrics(data, fieldName, nullCount);
-
-  // Calculate uniqueness metrics
-  const uniqueness = calculateUniquenessMetrics(
-    data,
-    fieldName,
-    uniqueValues,
-    valueCounts
-  );
+  // Count empty strings (not null/undefined, but empty)
+  let emptyStringCount = 0;
+  for (const row of data) {
+    if (row[fieldName] === "") {
+      emptyStringCount++;
+    }
+  }
 
-  // Calculate distribution quality
   // Build value counts if not provided
   let counts = valueCounts;
   if (!counts) {
@@ -363,7 +359,57 @@ export function calculateDataQualityMetrics(
       }
     }
   }
-  const distribution = calculateDistributionQuality(counts, totalNonNull);
+
+  return calculateDataQualityMetricsFromCounts(counts, {
+    totalRows: data.length,
+    uniqueValues,
+    nullCount,
+    emptyStringCount,
+  });
+}
+
+/**
+ * Calculate comprehensive data quality metrics for a field from its value counts
+ * @param {Map} valueCounts - Map of value frequencies (NULL/empty values excluded)
+ * @param {Object} counts - Row counts of the field
+ * @param {number} counts.totalRows - Total number of rows
+ * @param {number} counts.uniqueValues - Unique value count
+ * @param {number} counts.nullCount - NULL/empty value count
+ * @param {number} counts.emptyStringCount - Empty string count
+ * @returns {Object} Comprehensive quality metrics (see calculateDataQualityMetrics)
+ */
+export function calculateDataQualityMetricsFromCounts(
+  valueCounts,
+  { totalRows, uniqueValues, nullCount, emptyStringCount }
+) {
+  if (totalRows === 0) {
+    return {
+      error: "No data available for quality analysis",
+    };
+  }
+
+  const totalNonNull = totalRows - nullCount;
+
+  // Calculate cardinality ratio
+  const cardinalityRatio = totalRows > 0 ? uniqueValues / totalRows : 0;
+  const cardinalityInfo = classifyCardinality(cardinalityRatio, uniqueValues);
+
+  // Calculate completeness metrics
+  const completeness = calculateCompletenessMetrics(
+    totalRows,
+    nullCount,
+    emptyStringCount
+  );
+
+  // Calculate uniqueness metrics
+  const uniqueness = calculateUniquenessFromCounts(
+    valueCounts,
+    uniqueValues,
+    totalRows
+  );
+
+  // Calculate distribution quality
+  const distribution = calculateDistributionQuality(valueCounts, totalNonNull);
 
   // Cardinality analysis
   const cardinality = {
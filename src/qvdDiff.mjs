@@ -0,0 +1,519 @@
+/**
+ * QVD Diff
+ * Compares two QVD files: header metadata, schema (fields, storage types,
+ * number formats) and, given a primary key field, the rows themselves.
+ */
+
+import { createHash } from "crypto";
+import { basename } from "path";
+import QvdRandomAccessReader, {
+  QvdDual,
+  SYMBOL_TYPES,
+} from "./qvdRandomAccessReader.mjs";
+import { createRowSource, DEFAULT_BATCH_SIZE } from "./qvdRowSource.mjs";
+
+/**
+ * Default maximum number of rows kept per kind of row difference
+ */
+export const DEFAULT_MAX_DIFF_ROWS = 1000;
+
+/**
+ * Header properties compared between the files, with display labels
+ * Offsets and lengths are left out; they follow from the other changes.
+ */
+const HEADER_PROPERTIES = [
+  ["tableName", "Table Name"],
+  ["noOfRecords", "Number of Records"],
+  ["createUtcTime", "Created (UTC)"],
+  ["qvBuildNo", "QV Build No"],
+  ["creatorDoc", "Creator Document"],
+  ["sourceCreateUtcTime", "Source Created (UTC)"],
+  ["sourceFileUtcTime", "Source File Time (UTC)"],
+  ["sourceFileSize", "Source File Size"],
+  ["staleUtcTime", "Stale Time (UTC)"],
+  ["tableCreator", "Table Creator"],
+  ["compression", "Compression"],
+  ["recordByteSize", "Record Byte Size"],
+  ["comment", "Comment"],
+  ["encryptionInfo", "Encryption Info"],
+  ["tableTags", "Table Tags"],
+  ["lineage", "Lineage"],
+];
+
+/**
+ * Display names of the QVD symbol types
+ */
+const SYMBOL_TYPE_NAMES = {
+  [SYMBOL_TYPES.INTEGER]: "Integer",
+  [SYMBOL_TYPES.DOUBLE]: "Double",
+  [SYMBOL_TYPES.STRING]: "Text",
+  [SYMBOL_TYPES.DUAL_INTEGER]: "Dual (integer)",
+  [SYMBOL_TYPES.DUAL_DOUBLE]: "Dual (double)",
+};
+
+/**
+ * Describe how a field's values are stored, from its symbol types
+ * @param {Array<number>} symbolTypes - Distinct symbol types of the field
+ * @returns {string} Storage type, e.g. "Integer" or "Mixed (Integer, Text)"
+ */
+export function describeSymbolTypes(symbolTypes) {
+  if (!symbolTypes || symbolTypes.length === 0) {
+    return "No values";
+  }
+  const names = symbolTypes.map(
+    (type) => SYMBOL_TYPE_NAMES[type] || `Type ${type}`
+  );
+  return names.length === 1 ? names[0] : `Mixed (${names.join(", ")})`;
+}
+
+/**
+ * Format a number format for display
+ * @param {Object|null} numberFormat - Field number format from the metadata
+ * @returns {string} Number format text
+ */
+export function describeNumberFormat(numberFormat) {
+  if (!numberFormat) {
+    return "";
+  }
+  const parts = [numberFormat.type || "UNKNOWN"];
+  if (numberFormat.fmt) {
+    parts.push(`Fmt: ${numberFormat.fmt}`);
+  }
+  if (numberFormat.nDec) {
+    parts.push(`nDec: ${numberFormat.nDec}`);
+  }
+  if (numberFormat.dec) {
+    parts.push(`Dec: ${numberFormat.dec}`);
+  }
+  if (numberFormat.thou) {
+    parts.push(`Thou: ${numberFormat.thou}`);
+  }
+  if (numberFormat.useThou) {
+    parts.push(`UseThou: ${numberFormat.useThou}`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Format a header value for comparison and display
+ * @param {*} value - Header value
+ * @returns {string} Text value
+ */
+function formatHeaderValue(value) {
+  // Lineage entries are objects, listed one per line
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => Object.values(item).filter(Boolean).join(" "))
+      .join("\n");
+  }
+  return value === null || value === undefined ? "" : String(value);
+}
+
+/**
+ * Compare the header metadata of two QVD files
+ * @param {Object} metadataA - Metadata of the first (old) file
+ * @param {Object} metadataB - Metadata of the second (new) file
+ * @returns {Array<{property: string, label: string, before: string, after: string}>} Changed properties
+ */
+export function compareHeaders(metadataA, metadataB) {
+  const changes = [];
+  for (const [property, label] of HEADER_PROPERTIES) {
+    const before = formatHeaderValue(metadataA[property]);
+    const after = formatHeaderValue(metadataB[property]);
+    if (before !== after) {
+      changes.push({ property, label, before, after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare the fields of two QVD files
+ * @param {Object} metadataA - Metadata of the first (old) file
+ * @param {Object} metadataB - Metadata of the second (new) file
+ * @param {Map<string, string>} storageTypesA - Storage type per field of the first file (optional)
+ * @param {Map<string, string>} storageTypesB - Storage type per field of the second file (optional)
+ * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number}}
+ */
+export function compareSchemas(
+  metadataA,
+  metadataB,
+  storageTypesA = new Map(),
+  storageTypesB = new Map()
+) {
+  const fieldsA = new Map(metadataA.fields.map((field) => [field.name, field]));
+  const fieldsB = new Map(metadataB.fields.map((field) => [field.name, field]));
+
+  const describeField = (field, storageTypes) => ({
+    name: field.name,
+    storageType: storageTypes.get(field.name) || "",
+    numberFormat: describeNumberFormat(field.numberFormat),
+    noOfSymbols: field.noOfSymbols,
+  });
+
+  const added = metadataB.fields
+    .filter((field) => !fieldsA.has(field.name))
+    .map((field) => describeField(field, storageTypesB));
+  const removed = metadataA.fields
+    .filter((field) => !fieldsB.has(field.name))
+    .map((field) => describeField(field, storageTypesA));
+
+  const changed = [];
+  let unchangedCount = 0;
+  for (const fieldA of metadataA.fields) {
+    const fieldB = fieldsB.get(fieldA.name);
+    if (!fieldB) {
+      continue;
+    }
+
+    const changes = [];
+    const compare = (property, before, after) => {
+      if (before !== after) {
+        changes.push({ property, before, after });
+      }
+    };
+
+    // Storage types are only compared when both are known
+    const typeA = storageTypesA.get(fieldA.name);
+    const typeB = storageTypesB.get(fieldA.name);
+    if (typeA && typeB) {
+      compare("Storage Type", typeA, typeB);
+    }
+    compare(
+      "Number Format",
+      describeNumberFormat(fieldA.numberFormat),
+      describeNumberFormat(fieldB.numberFormat)
+    );
+    compare("Tags", fieldA.tags.join(", "), fieldB.tags.join(", "));
+    compare("Comment", fieldA.comment || "", fieldB.comment || "");
+
+    if (changes.length > 0) {
+      changed.push({ name: fieldA.name, changes });
+    } else {
+      unchangedCount++;
+    }
+  }
+
+  return { added, removed, changed, unchangedCount };
+}
+
+/**
+ * List the fields present in both files that can serve as primary key,
+ * with fields holding a distinct value on every row first
+ * @param {Object} metadataA - Metadata of the first file
+ * @param {Object} metadataB - Metadata of the second file
+ * @returns {Array<{name: string, unique: boolean}>} Candidate key fields
+ */
+export function suggestKeyFields(metadataA, metadataB) {
+  const fieldsB = new Map(metadataB.fields.map((field) => [field.name, field]));
+  const isUnique = (field, metadata) =>
+    metadata.noOfRecords > 0 && field.noOfSymbols === metadata.noOfRecords;
+
+  return metadataA.fields
+    .filter((field) => fieldsB.has(field.name))
+    .map((field) => ({
+      name: field.name,
+      unique:
+        isUnique(field, metadataA) &&
+        isUnique(fieldsB.get(field.name), metadataB),
+    }))
+    .sort((a, b) => Number(b.unique) - Number(a.unique));
+}
+
+/**
+ * Normalize a value for comparison
+ * Values are compared as text, so that e.g. 1 and "1" are considered equal.
+ * @param {*} value - Field value
+ * @returns {string|null} Normalized value, null for NULL
+ */
+function normalizeValue(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Value compared between the two versions of a row
+ * A dual value can keep its text while its number changes, or the other
+ * way around with a new number format, so both are compared. Duals whose
+ * text is just their number compare like that text.
+ * @param {*} value - Field value
+ * @returns {string|Array|null} Normalized value, with the number of a dual value next to its text
+ */
+function comparisonValue(value) {
+  if (value instanceof QvdDual && value.text !== String(value.number)) {
+    return [value.text, value.number];
+  }
+  return normalizeValue(value);
+}
+
+/**
+ * Compare the rows of two row sources, matching rows on a key field
+ * The first source is read twice when rows of it need to be shown: once to
+ * index the keys with a hash of each row, and once to collect the deleted
+ * and changed rows.
+ * @param {Object} sourceA - Row source of the first (old) file
+ * @param {Object} sourceB - Row source of the second (new) file
+ * @param {string} keyField - Field identifying a row in both sources
+ * @param {Object} options - Comparison options
+ * @param {number} options.maxRows - Maximum rows kept per kind of difference (default: 1000)
+ * @param {Function} options.onProgress - Called with (message, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when the comparison should stop
+ * @returns {Promise<Object>} Summary counts and the inserted, deleted and changed rows
+ */
+export async function compareRows(
+  sourceA,
+  sourceB,
+  keyField,
+  {
+    maxRows = DEFAULT_MAX_DIFF_ROWS,
+    onProgress = null,
+    isCancelled = null,
+  } = {}
+) {
+  if (
+    !sourceA.columns.includes(keyField) ||
+    !sourceB.columns.includes(keyField)
+  ) {
+    throw new Error(`Key field "${keyField}" must exist in both files`);
+  }
+
+  const commonColumns = sourceA.columns.filter((column) =>
+    sourceB.columns.includes(column)
+  );
+  const totalRows = sourceA.rowCount + sourceB.rowCount;
+  let rowsProcessed = 0;
+
+  const readBatches = async function* (source, message) {
+    for await (const batch of source.batches()) {
+      if (isCancelled && isCancelled()) {
+        throw new Error("Operation cancelled");
+      }
+      yield batch;
+      rowsProcessed += batch.length;
+      if (onProgress) {
+        onProgress(message, Math.min(rowsProcessed, totalRows), totalRows);
+      }
+    }
+  };
+
+  // Only a fixed-size digest of each row of the first file is kept in
+  // memory; rows are read again later for the details of changed rows
+  const signature = (row) =>
+    createHash("sha1")
+      .update(
+        JSON.stringify(
+          commonColumns.map((column) => comparisonValue(row[column]))
+        )
+      )
+      .digest("base64");
+
+  const summary = {
+    rowsA: sourceA.rowCount,
+    rowsB: sourceB.rowCount,
+    unchanged: 0,
+    changed: 0,
+    inserted: 0,
+    deleted: 0,
+    duplicateKeysA: 0,
+    duplicateKeysB: 0,
+    nullKeysA: 0,
+    nullKeysB: 0,
+  };
+
+  // Index the rows of the first file by key
+  const rowsByKey = new Map();
+  let rowIndex = 0;
+  for await (const batch of readBatches(sourceA, "Reading first file")) {
+    for (const row of batch) {
+      const key = normalizeValue(row[keyField]);
+      if (key === null) {
+        summary.nullKeysA++;
+      } else if (rowsByKey.has(key)) {
+        summary.duplicateKeysA++;
+      } else {
+        rowsByKey.set(key, { index: rowIndex, signature: signature(row) });
+      }
+      rowIndex++;
+    }
+  }
+
+  // Match the rows of the second file against the index
+  const inserted = [];
+  const changed = [];
+  const seenKeys = new Set();
+  for await (const batch of readBatches(sourceB, "Comparing rows")) {
+    for (const row of batch) {
+      const key = normalizeValue(row[keyField]);
+      if (key === null) {
+        summary.nullKeysB++;
+        continue;
+      }
+      if (seenKeys.has(key)) {
+        summary.duplicateKeysB++;
+        continue;
+      }
+      seenKeys.add(key);
+
+      const entry = rowsByKey.get(key);
+      if (!entry) {
+        summary.inserted++;
+        if (inserted.length < maxRows) {
+          inserted.push(row);
+        }
+      } else if (entry.signature !== signature(row)) {
+        summary.changed++;
+        if (changed.length < maxRows) {
+          changed.push({ key, indexA: entry.index, after: row });
+        }
+      } else {
+        summary.unchanged++;
+      }
+    }
+  }
+
+  // Rows of the first file whose key no longer exists were deleted
+  const deletedIndexes = new Set();
+  for (const [key, entry] of rowsByKey) {
+    if (!seenKeys.has(key)) {
+      summary.deleted++;
+      if (deletedIndexes.size < maxRows) {
+        deletedIndexes.add(entry.index);
+      }
+    }
+  }
+  rowsByKey.clear();
+
+  // Collect the old versions of changed rows and the deleted rows
+  const changedIndexes = new Map(
+    changed.map((change) => [change.indexA, change])
+  );
+  const deleted = [];
+  if (changedIndexes.size > 0 || deletedIndexes.size > 0) {
+    if (onProgress) {
+      onProgress("Collecting changed rows", totalRows, totalRows);
+    }
+    rowIndex = 0;
+    for await (const batch of sourceA.batches()) {
+      if (isCancelled && isCancelled()) {
+        throw new Error("Operation cancelled");
+      }
+      for (const row of batch) {
+        if (changedIndexes.has(rowIndex)) {
+          changedIndexes.get(rowIndex).before = row;
+        } else if (deletedIndexes.has(rowIndex)) {
+          deleted.push(row);
+        }
+        rowIndex++;
+      }
+    }
+  }
+
+  return {
+    keyField,
+    columnsA: sourceA.columns,
+    columnsB: sourceB.columns,
+    commonColumns,
+    summary,
+    inserted,
+    deleted,
+    changed: changed.map(({ key, before, after }) => ({
+      key,
+      before,
+      after,
+      changedFields: commonColumns.filter(
+        (column) =>
+          JSON.stringify(comparisonValue(before[column])) !==
+          JSON.stringify(comparisonValue(after[column]))
+      ),
+    })),
+    truncated:
+      summary.inserted > inserted.length ||
+      summary.deleted > deleted.length ||
+      summary.changed > changed.length,
+  };
+}
+
+/**
+ * Storage type of each field of a QVD file
+ * @param {QvdRandomAccessReader} reader - Opened random access reader
+ * @returns {Promise<Map<string, string>>} Storage type per field name
+ */
+async function getStorageTypes(reader) {
+  const storageTypes = new Map();
+  for (const field of reader.metadata.fields) {
+    storageTypes.set(
+      field.name,
+      describeSymbolTypes(await reader.getSymbolTypes(field.name))
+    );
+  }
+  return storageTypes;
+}
+
+/**
+ * Create a row source over all fields of an opened QVD file, with dual
+ * values as QvdDual so that their text is compared too
+ * @param {QvdRandomAccessReader} reader - Opened random access reader
+ * @returns {Object} Row source
+ */
+function readerRowSource(reader) {
+  return createRowSource({
+    columns: reader.metadata.fields.map((field) => field.name),
+    rowCount: reader.metadata.noOfRecords,
+    batches: () =>
+      reader.iterateBatches(DEFAULT_BATCH_SIZE, null, { duals: true }),
+  });
+}
+
+/**
+ * Compare two QVD files
+ * @param {string} filePathA - Path to the first (old) QVD file
+ * @param {string} filePathB - Path to the second (new) QVD file
+ * @param {Object} options - Comparison options
+ * @param {string} options.keyField - Primary key field for the row comparison; rows are not compared when empty
+ * @param {number} options.maxRows - Maximum rows kept per kind of difference (default: 1000)
+ * @param {Function} options.onProgress - Called with (message, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when the comparison should stop
+ * @returns {Promise<{fileA: Object, fileB: Object, headerChanges: Array, schema: Object, rows: Object|null}>}
+ */
+export async function compareQvdFiles(
+  filePathA,
+  filePathB,
+  { keyField = null, maxRows, onProgress, isCancelled } = {}
+) {
+  const readerA = new QvdRandomAccessReader(filePathA);
+  const readerB = new QvdRandomAccessReader(filePathB);
+  const metadataA = await readerA.open();
+  const metadataB = await readerB.open();
+
+  const schema = compareSchemas(
+    metadataA,
+    metadataB,
+    await getStorageTypes(readerA),
+    await getStorageTypes(readerB)
+  );
+
+  const rows = keyField
+    ? await compareRows(
+        readerRowSource(readerA),
+        readerRowSource(readerB),
+        keyField,
+        { maxRows, onProgress, isCancelled }
+      )
+    : null;
+
+  const describeFile = (filePath, metadata) => ({
+    filePath,
+    fileName: basename(filePath),
+    tableName: metadata.tableName,
+    noOfRecords: metadata.noOfRecords,
+    noOfFields: metadata.fields.length,
+    createUtcTime: metadata.createUtcTime,
+  });
+
+  return {
+    fileA: describeFile(filePathA, metadataA),
+    fileB: describeFile(filePathB, metadataB),
+    headerChanges: compareHeaders(metadataA, metadataB),
+    schema,
+    rows,
+  };
+}
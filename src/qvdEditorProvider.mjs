@@ -4,6 +4,13 @@ import QvdReader from "./qvdReader.mjs";
 import { getErrorHtml } from "./webview/templates/errorTemplate.mjs";
 import { getHtmlForWebview } from "./webview/templates/mainTemplate.mjs";
 import { setupMessageHandler } from "./webview/messageHandler.mjs";
+import { buildColumnFilters } from "./qvdGridFilter.mjs";
+import { getDisplayColumns, toGridRows } from "./qvdNumberFormat.mjs";
+import {
+  applyTypeOverrides,
+  getTypeOverrides,
+  resolveFieldTypes,
+} from "./qvdFieldTypes.mjs";
 import logger from "./logger.mjs";
 
 /**
@@ -122,6 +129,57 @@ class QvdEditorProvider {
       // Get file size for QVD structure calculation
       const fileSize = statSync(filePath).size;
 
+      // Field types come from the tags and number formats in the header,
+      // unless the user chose another type for a field
+      const metadata = applyTypeOverrides(
+        result.metadata,
+        getTypeOverrides(this.context.workspaceState, filePath)
+      );
+      const fieldTypes = resolveFieldTypes(metadata, result.data);
+
+      // Header filters of the data grid, with list values for
+      // low-cardinality fields taken from the symbol tables
+      let columnFilters = null;
+      try {
+        columnFilters = await buildColumnFilters(
+          metadata,
+          result.data,
+          async (fieldName) =>
+            (await this.qvdReader.getRandomAccessReader(filePath)).getSymbols(
+              fieldName
+            )
+        );
+      } catch (error) {
+        // The grid falls back to text filters for all columns
+        logger.warn(`Failed to prepare column filters: ${error.message}`);
+      }
+
+      // Columns shown as text in the grid, with the text of the loaded rows:
+      // the text of dual values, read from the symbol tables, and numbers
+      // formatted with the field's number format
+      let displayColumns = [];
+      let displayTexts = [];
+      try {
+        const reader = await this.qvdReader.getRandomAccessReader(filePath);
+        displayColumns = await getDisplayColumns(reader);
+        if (displayColumns.length > 0 && result.data.length > 0) {
+          const rows = await reader.readRows(
+            0,
+            result.data.length,
+            displayColumns,
+            { duals: true }
+          );
+          displayTexts = toGridRows(
+            rows,
+            displayColumns,
+            result.metadata
+          ).displayTexts;
+        }
+      } catch (error) {
+        // The grid then shows the underlying numbers
+        logger.warn(`Failed to read dual value texts: ${error.message}`);
+      }
+
       // Generate HTML WITHOUT embedded data (data will be sent via postMessage)
       logger.log(`Generating HTML for webview (embedData: false)...`);
       try {
@@ -129,8 +187,12 @@ class QvdEditorProvider {
         // The actual data will be sent via postMessage after HTML loads
         const resultForHtml = {
           ...result,
+          metadata,
           data: [], // Empty array for HTML generation
           fileSize, // Add file size for QVD structure calculation
+          columnFilters,
+          fieldTypes,
+          displayColumns,
         };
 
         const htmlStart = performance.now();
@@ -171,6 +233,7 @@ class QvdEditorProvider {
       webview.postMessage({
         command: "loadInitialData",
         data: result.data,
+        displayTexts,
         metadata: result.metadata,
         totalRows: result.totalRows,
         hasMoreRows: result.data.length < result.totalRows,
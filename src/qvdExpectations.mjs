@@ -0,0 +1,575 @@
+/**
+ * QVD Data Expectations
+ * Evaluates declarative data quality rules, stored in a YAML file next to the
+ * QVD files, against all rows of a QVD file.
+ */
+
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { basename, dirname, join } from "path";
+import yaml from "js-yaml";
+import { DEFAULT_BATCH_SIZE, trackRowSource } from "./qvdRowSource.mjs";
+
+/**
+ * Name of the expectations file, looked up in the folder of the QVD file
+ */
+export const EXPECTATIONS_FILE_NAME = ".qvd-expectations.yaml";
+
+/**
+ * Default number of failing rows kept per expectation
+ */
+export const DEFAULT_SAMPLE_SIZE = 5;
+
+/**
+ * Outcome of an expectation
+ */
+export const EXPECTATION_STATUS = {
+  PASSED: "passed",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  ERROR: "error",
+};
+
+/**
+ * Supported expectation types and whether they apply to a field
+ */
+const EXPECTATION_TYPES = {
+  unique: { field: true },
+  notNull: { field: true },
+  between: { field: true },
+  inList: { field: true },
+  matches: { field: true },
+  rowCount: { field: false },
+  rowCountChange: { field: false },
+};
+
+/**
+ * Check whether a value counts as NULL, the same way profiling does
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, undefined and empty strings
+ */
+function isNull(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * Get the path of the expectations file for a QVD file
+ * @param {string} qvdFilePath - Path to the QVD file
+ * @returns {string} Path to the expectations file in the same folder
+ */
+export function getExpectationsFilePath(qvdFilePath) {
+  return join(dirname(qvdFilePath), EXPECTATIONS_FILE_NAME);
+}
+
+/**
+ * Parse the expectations of one QVD file from the YAML expectations file
+ * The file maps QVD file names to lists of expectations:
+ *
+ *   orders.qvd:
+ *     - expect: unique
+ *       field: OrderID
+ *     - expect: between
+ *       field: Amount
+ *       min: 0
+ *       max: 1000000
+ *
+ * @param {string} text - Content of the expectations file
+ * @param {string} qvdFileName - File name of the QVD file, without folder
+ * @returns {Array<Object>} Expectations of the QVD file (empty when it has none)
+ */
+export function parseExpectations(text, qvdFileName) {
+  const document = yaml.load(text);
+  if (document === null || document === undefined) {
+    return [];
+  }
+  if (typeof document !== "object" || Array.isArray(document)) {
+    throw new Error(
+      "Expectations file must map QVD file names to lists of expectations"
+    );
+  }
+
+  // File names are matched without regard to case, like the editor does for
+  // the .qvd extension
+  const key = Object.keys(document).find(
+    (name) => name.toLowerCase() === qvdFileName.toLowerCase()
+  );
+  if (key === undefined || document[key] === null) {
+    return [];
+  }
+  if (!Array.isArray(document[key])) {
+    throw new Error(`Expectations of ${key} must be a list`);
+  }
+  return document[key];
+}
+
+/**
+ * Read the expectations of a QVD file
+ * @param {string} qvdFilePath - Path to the QVD file
+ * @returns {Promise<Array<Object>|null>} Expectations, or null when there is no expectations file
+ */
+export async function loadExpectations(qvdFilePath) {
+  const expectationsPath = getExpectationsFilePath(qvdFilePath);
+  if (!existsSync(expectationsPath)) {
+    return null;
+  }
+
+  const text = await readFile(expectationsPath, "utf8");
+  try {
+    return parseExpectations(text, basename(qvdFilePath));
+  } catch (error) {
+    throw new Error(`Invalid ${EXPECTATIONS_FILE_NAME}: ${error.message}`);
+  }
+}
+
+/**
+ * Create the YAML text of a starter expectations entry for a QVD file
+ * @param {string} qvdFileName - File name of the QVD file
+ * @param {Object} metadata - QVD metadata
+ * @returns {string} YAML text listing a notNull expectation per field and a row count check
+ */
+export function createExpectationsTemplate(qvdFileName, metadata) {
+  const expectations = [
+    ...metadata.fields.map((field) => ({
+      expect: "notNull",
+      field: field.name,
+    })),
+    { expect: "rowCountChange", maxPercent: 10 },
+  ];
+  return yaml.dump({ [qvdFileName]: expectations });
+}
+
+/**
+ * Describe an expectation in words
+ * @param {Object} expectation - Expectation
+ * @returns {string} Description, e.g. "Amount between 0 and 1000000"
+ */
+export function describeExpectation(expectation) {
+  const { field } = expectation;
+  switch (expectation.expect) {
+    case "unique":
+      return `${field} is unique`;
+    case "notNull":
+      return `${field} has no NULL values`;
+    case "between":
+      if (expectation.min === undefined) {
+        return `${field} at most ${expectation.max}`;
+      }
+      if (expectation.max === undefined) {
+        return `${field} at least ${expectation.min}`;
+      }
+      return `${field} between ${expectation.min} and ${expectation.max}`;
+    case "inList":
+      return `${field} in (${(expectation.values || []).join(", ")})`;
+    case "matches":
+      return `${field} matches /${expectation.pattern}/`;
+    case "rowCount":
+      if (expectation.min === undefined) {
+        return `Row count at most ${expectation.max}`;
+      }
+      if (expectation.max === undefined) {
+        return `Row count at least ${expectation.min}`;
+      }
+      return `Row count between ${expectation.min} and ${expectation.max}`;
+    case "rowCountChange":
+      return `Row count within ±${expectation.maxPercent}% of previous version`;
+    default:
+      return String(expectation.expect);
+  }
+}
+
+/**
+ * Check that an expectation is well-formed for the fields of a QVD file
+ * @param {Object} expectation - Expectation
+ * @param {Array<string>} columns - Field names of the QVD file
+ * @returns {string|null} Error message, or null when the expectation is valid
+ */
+export function validateExpectation(expectation, columns) {
+  if (!expectation || typeof expectation !== "object") {
+    return "Expectation must be an object";
+  }
+  const type = EXPECTATION_TYPES[expectation.expect];
+  if (!type) {
+    return `Unknown expectation "${expectation.expect}" (use ${Object.keys(
+      EXPECTATION_TYPES
+    ).join(", ")})`;
+  }
+  if (type.field && !columns.includes(expectation.field)) {
+    return expectation.field
+      ? `Unknown field "${expectation.field}"`
+      : "Missing field";
+  }
+
+  const isNumber = (value) => typeof value === "number" && !isNaN(value);
+  switch (expectation.expect) {
+    case "between":
+    case "rowCount": {
+      const { min, max } = expectation;
+      if (min === undefined && max === undefined) {
+        return "Specify min, max or both";
+      }
+      if (
+        (min !== undefined && !isNumber(min)) ||
+        (max !== undefined && !isNumber(max))
+      ) {
+        return "min and max must be numbers";
+      }
+      break;
+    }
+    case "inList":
+      if (!Array.isArray(expectation.values)) {
+        return "values must be a list";
+      }
+      break;
+    case "matches":
+      if (typeof expectation.pattern !== "string") {
+        return "pattern must be a regular expression";
+      }
+      // A global or sticky regex would continue each test where the
+      // previous value matched, instead of testing each value on its own
+      if (/[gy]/.test(expectation.flags || "")) {
+        return "flags g and y are not supported";
+      }
+      try {
+        new RegExp(expectation.pattern, expectation.flags || "");
+      } catch (error) {
+        return `Invalid pattern: ${error.message}`;
+      }
+      break;
+    case "rowCountChange":
+      if (!isNumber(expectation.maxPercent) || expectation.maxPercent < 0) {
+        return "maxPercent must be a non-negative number";
+      }
+      break;
+  }
+  return null;
+}
+
+/**
+ * Create the row check of a field expectation
+ * @param {Object} expectation - Valid field expectation
+ * @returns {Function} Called with a field value, returns true when the value passes
+ */
+function createValueCheck(expectation) {
+  switch (expectation.expect) {
+    case "unique": {
+      // Values are compared as text, so that e.g. 1 and "1" are duplicates.
+      // Only used for rows that do not come unchanged from a QVD file, see
+      // findDuplicateRows.
+      const seen = new Set();
+      return (value) => {
+        if (isNull(value)) {
+          return true;
+        }
+        const key = String(value);
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      };
+    }
+    case "notNull":
+      return (value) => !isNull(value);
+    case "between": {
+      const { min = -Infinity, max = Infinity } = expectation;
+      return (value) => {
+        if (isNull(value)) {
+          return true;
+        }
+        const number = typeof value === "number" ? value : Number(value);
+        return !isNaN(number) && number >= min && number <= max;
+      };
+    }
+    case "inList": {
+      const allowed = new Set(expectation.values.map(String));
+      return (value) => isNull(value) || allowed.has(String(value));
+    }
+    case "matches": {
+      const regex = new RegExp(expectation.pattern, expectation.flags || "");
+      return (value) => isNull(value) || regex.test(String(value));
+    }
+  }
+  return () => true;
+}
+
+/**
+ * Find the rows failing a unique expectation from the symbol indices of a
+ * QVD file, so that the values of the rows are never held in memory
+ * Symbols are compared as text, like the row check of unique does. A text
+ * used by more than one row fails every row after the first; the field is
+ * then read again, one field only, until the failing sample rows are found.
+ * @param {Object} reader - Random access reader of the QVD file
+ * @param {string} field - Field name
+ * @param {{counts: Uint32Array}} histogram - Rows per symbol index of the field (see countSymbolIndices)
+ * @param {number} sampleSize - Failing rows to find
+ * @param {Function} isCancelled - Returns true when the evaluation should stop
+ * @returns {Promise<{failedCount: number, positions: Array<number>}>} Number of failing rows and zero-based positions of the sample rows
+ */
+async function findDuplicateRows(
+  reader,
+  field,
+  histogram,
+  sampleSize,
+  isCancelled
+) {
+  const symbols = await reader.getSymbols(field);
+  const rowsPerText = new Map();
+  symbols.forEach((symbol, index) => {
+    if (histogram.counts[index] > 0 && !isNull(symbol)) {
+      const key = String(symbol);
+      rowsPerText.set(
+        key,
+        (rowsPerText.get(key) || 0) + histogram.counts[index]
+      );
+    }
+  });
+  let failedCount = 0;
+  for (const rows of rowsPerText.values()) {
+    failedCount += rows - 1;
+  }
+
+  const positions = [];
+  if (failedCount > 0 && sampleSize > 0) {
+    const seen = new Set();
+    let position = 0;
+    for await (const batch of reader.iterateBatches(DEFAULT_BATCH_SIZE, [
+      field,
+    ])) {
+      if (isCancelled && isCancelled()) {
+        throw new Error("Operation cancelled");
+      }
+      for (const row of batch) {
+        const value = row[field];
+        if (!isNull(value) && rowsPerText.get(String(value)) > 1) {
+          const key = String(value);
+          if (seen.has(key)) {
+            positions.push(position);
+          }
+          seen.add(key);
+        }
+        position++;
+        if (positions.length === sampleSize) {
+          break;
+        }
+      }
+      if (positions.length === sampleSize) {
+        break;
+      }
+    }
+  }
+  return { failedCount, positions };
+}
+
+/**
+ * Evaluate a table-level expectation
+ * @param {Object} expectation - Valid table expectation
+ * @param {number} rowCount - Number of rows in the QVD file
+ * @param {number|null} previousRowCount - Row count of the previous version of the file, if known
+ * @returns {{status: string, message: string}} Outcome
+ */
+function evaluateTableExpectation(expectation, rowCount, previousRowCount) {
+  if (expectation.expect === "rowCount") {
+    const { min = -Infinity, max = Infinity } = expectation;
+    return {
+      status:
+        rowCount >= min && rowCount <= max
+          ? EXPECTATION_STATUS.PASSED
+          : EXPECTATION_STATUS.FAILED,
+      message: `${rowCount.toLocaleString()} rows`,
+    };
+  }
+
+  if (previousRowCount === null || previousRowCount === undefined) {
+    return {
+      status: EXPECTATION_STATUS.SKIPPED,
+      message: "No previous version of the file to compare with",
+    };
+  }
+  const change =
+    previousRowCount === 0
+      ? rowCount === 0
+        ? 0
+        : Infinity
+      : ((rowCount - previousRowCount) / previousRowCount) * 100;
+  const changeText = isFinite(change)
+    ? `${change >= 0 ? "+" : ""}${change.toFixed(1)}%`
+    : "new";
+  return {
+    status:
+      Math.abs(change) <= expectation.maxPercent
+        ? EXPECTATION_STATUS.PASSED
+        : EXPECTATION_STATUS.FAILED,
+    message: `${rowCount.toLocaleString()} rows, ${changeText} compared to ${previousRowCount.toLocaleString()} rows in the previous version`,
+  };
+}
+
+/**
+ * Determine the row count a rowCountChange expectation compares with, and
+ * the baseline to keep for the next check
+ * The baseline only moves on when the file was written again, as told by
+ * its CreateUtcTime, so that opening or refreshing the same file again
+ * still compares it with the version before it.
+ * @param {Object|null} baseline - Baseline kept from the previous check
+ * @param {string} createUtcTime - CreateUtcTime of the QVD file
+ * @param {number} rowCount - Number of rows in the QVD file
+ * @returns {{previousRowCount: number|null, baseline: Object}} Row count of the previous version, if known, and the baseline to keep
+ */
+export function advanceRowCountBaseline(baseline, createUtcTime, rowCount) {
+  if (baseline && baseline.createUtcTime === createUtcTime) {
+    return { previousRowCount: baseline.previousRowCount, baseline };
+  }
+  const previousRowCount = baseline ? baseline.rowCount : null;
+  return {
+    previousRowCount,
+    baseline: { createUtcTime, rowCount, previousRowCount },
+  };
+}
+
+/**
+ * Evaluate expectations against all rows of a row source
+ * Field expectations are checked in a single pass over the rows. For each
+ * failing expectation, the first failing rows are kept as samples. Given the
+ * reader of the QVD file, unique expectations on fields stored in the file
+ * count the symbol indices instead, see findDuplicateRows.
+ * @param {Object} source - Row source of the QVD file
+ * @param {Array<Object>} expectations - Expectations to evaluate
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.reader - Random access reader of the QVD file the source reads (default: none)
+ * @param {number|null} options.previousRowCount - Row count of the previous version of the file, for rowCountChange
+ * @param {number} options.sampleSize - Failing rows kept per expectation
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when the evaluation should stop
+ * @returns {Promise<{rowCount: number, passed: number, failed: number, results: Array<Object>}>}
+ */
+export async function evaluateExpectations(
+  source,
+  expectations,
+  {
+    reader = null,
+    previousRowCount = null,
+    sampleSize = DEFAULT_SAMPLE_SIZE,
+    onProgress = null,
+    isCancelled = null,
+  } = {}
+) {
+  const results = expectations.map((expectation) => {
+    const error = validateExpectation(expectation, source.columns);
+    return {
+      expectation,
+      description: error
+        ? JSON.stringify(expectation)
+        : describeExpectation(expectation),
+      status: error ? EXPECTATION_STATUS.ERROR : EXPECTATION_STATUS.PASSED,
+      message: error || "",
+      failedCount: 0,
+      samples: [],
+    };
+  });
+
+  const fieldResults = results.filter(
+    (result) =>
+      result.status !== EXPECTATION_STATUS.ERROR &&
+      EXPECTATION_TYPES[result.expectation.expect].field
+  );
+  const storedColumns = new Set(source.storedColumns);
+  const countsSymbols = (result) =>
+    reader !== null &&
+    result.expectation.expect === "unique" &&
+    storedColumns.has(result.expectation.field);
+  const symbolResults = fieldResults.filter(countsSymbols);
+  const fieldChecks = fieldResults
+    .filter((result) => !countsSymbols(result))
+    .map((result) => ({
+      result,
+      field: result.expectation.field,
+      check: createValueCheck(result.expectation),
+    }));
+
+  // Counting the symbol indices and checking the rows each take a share
+  // of the progress
+  const passes = (symbolResults.length > 0) + (fieldChecks.length > 0);
+  const report =
+    onProgress &&
+    ((increment, rowsProcessed, totalRows) =>
+      onProgress(increment / passes, rowsProcessed, totalRows));
+
+  let rowNumber = source.rowCount;
+  if (fieldChecks.length > 0) {
+    const tracked = trackRowSource(source, {
+      onProgress: report,
+      isCancelled,
+    });
+    rowNumber = 0;
+    for await (const batch of tracked.batches()) {
+      for (const row of batch) {
+        rowNumber++;
+        for (const { result, field, check } of fieldChecks) {
+          if (!check(row[field])) {
+            result.failedCount++;
+            if (result.samples.length < sampleSize) {
+              result.samples.push({ rowNumber, row });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (symbolResults.length > 0) {
+    const fields = [
+      ...new Set(symbolResults.map((result) => result.expectation.field)),
+    ];
+    const histograms = await reader.countSymbolIndices(fields, {
+      onProgress: report,
+      isCancelled,
+    });
+    for (const result of symbolResults) {
+      const { failedCount, positions } = await findDuplicateRows(
+        reader,
+        result.expectation.field,
+        histograms.get(result.expectation.field),
+        sampleSize,
+        isCancelled
+      );
+      result.failedCount = failedCount;
+      for (const position of positions) {
+        const [row] = await reader.readRows(position, 1, source.columns);
+        result.samples.push({ rowNumber: position + 1, row });
+      }
+    }
+  }
+
+  for (const result of fieldResults) {
+    if (result.failedCount > 0) {
+      result.status = EXPECTATION_STATUS.FAILED;
+      result.message = `${result.failedCount.toLocaleString()} of ${rowNumber.toLocaleString()} rows failed`;
+    } else {
+      result.message = `All ${rowNumber.toLocaleString()} rows passed`;
+    }
+  }
+
+  for (const result of results) {
+    if (
+      result.status !== EXPECTATION_STATUS.ERROR &&
+      !EXPECTATION_TYPES[result.expectation.expect].field
+    ) {
+      Object.assign(
+        result,
+        evaluateTableExpectation(
+          result.expectation,
+          source.rowCount,
+          previousRowCount
+        )
+      );
+    }
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  return {
+    rowCount: source.rowCount,
+    passed: count(EXPECTATION_STATUS.PASSED),
+    failed: count(EXPECTATION_STATUS.FAILED) + count(EXPECTATION_STATUS.ERROR),
+    results,
+  };
+}
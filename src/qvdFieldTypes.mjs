@@ -0,0 +1,375 @@
+/**
+ * QVD Field Types
+ * Resolves the type of each field from what the QVD header says about it:
+ * a type chosen by the user, then the field tags Qlik wrote when the file
+ * was created, then the field's NumberFormat. Only fields the header says
+ * nothing about are classified by sampling their values. Profiling, the
+ * data grid and the exporters all work from the same resolved types.
+ */
+
+import { createRowSource } from "./qvdRowSource.mjs";
+import { isNumericField } from "./qvdStatistics.mjs";
+import { isDateField } from "./temporal/dateDetection.mjs";
+
+/**
+ * Field types
+ */
+export const FIELD_TYPES = {
+  INTEGER: "integer",
+  NUMBER: "number",
+  DATE: "date",
+  TIMESTAMP: "timestamp",
+  TIME: "time",
+  INTERVAL: "interval",
+  TEXT: "text",
+  BOOLEAN: "boolean",
+};
+
+/**
+ * Where a resolved field type came from
+ */
+export const TYPE_SOURCES = {
+  OVERRIDE: "override",
+  TAGS: "tags",
+  NUMBER_FORMAT: "numberFormat",
+  VALUES: "values",
+};
+
+/**
+ * How each type source is described to the user
+ */
+const TYPE_SOURCE_LABELS = {
+  [TYPE_SOURCES.OVERRIDE]: "set by user",
+  [TYPE_SOURCES.TAGS]: "from tags",
+  [TYPE_SOURCES.NUMBER_FORMAT]: "from number format",
+  [TYPE_SOURCES.VALUES]: "from values",
+};
+
+/**
+ * Types the user can choose for a field
+ */
+export const OVERRIDE_TYPES = [
+  FIELD_TYPES.INTEGER,
+  FIELD_TYPES.NUMBER,
+  FIELD_TYPES.DATE,
+  FIELD_TYPES.TIMESTAMP,
+  FIELD_TYPES.TIME,
+  FIELD_TYPES.INTERVAL,
+  FIELD_TYPES.TEXT,
+];
+
+/**
+ * Types holding numbers, including durations and times of day
+ */
+const NUMERIC_TYPES = [
+  FIELD_TYPES.INTEGER,
+  FIELD_TYPES.NUMBER,
+  FIELD_TYPES.TIME,
+  FIELD_TYPES.INTERVAL,
+];
+
+/**
+ * Types holding dates, stored by Qlik as days since 1899-12-30
+ */
+const TEMPORAL_TYPES = [
+  FIELD_TYPES.DATE,
+  FIELD_TYPES.TIMESTAMP,
+  FIELD_TYPES.TIME,
+  FIELD_TYPES.INTERVAL,
+];
+
+/**
+ * Field types by NumberFormat type
+ */
+const NUMBER_FORMAT_TYPES = {
+  INTEGER: FIELD_TYPES.INTEGER,
+  REAL: FIELD_TYPES.NUMBER,
+  FIX: FIELD_TYPES.NUMBER,
+  MONEY: FIELD_TYPES.NUMBER,
+  DATE: FIELD_TYPES.DATE,
+  TIMESTAMP: FIELD_TYPES.TIMESTAMP,
+  TIME: FIELD_TYPES.TIME,
+  INTERVAL: FIELD_TYPES.INTERVAL,
+  ASCII: FIELD_TYPES.TEXT,
+};
+
+/**
+ * Prefix of the workspace state keys holding the type overrides of a file
+ */
+const OVERRIDES_KEY_PREFIX = "fieldTypes.overrides:";
+
+/**
+ * Check whether a field type holds numbers
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {boolean} True for integer, number, time and interval
+ */
+export function isNumericType(type) {
+  return NUMERIC_TYPES.includes(type);
+}
+
+/**
+ * Check whether a field type holds dates or times
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {boolean} True for date, timestamp, time and interval
+ */
+export function isTemporalType(type) {
+  return TEMPORAL_TYPES.includes(type);
+}
+
+/**
+ * Determine a field type from Qlik field tags
+ * $date and $timestamp take precedence over $numeric and $integer, which
+ * Qlik also sets for dates. Qlik tags dates with $timestamp as well, so
+ * $date is checked first.
+ * @param {Array<string>} tags - Field tags
+ * @returns {string|null} One of FIELD_TYPES, or null if the tags don't tell
+ */
+export function typeFromTags(tags) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+  if (tags.includes("$date")) {
+    return FIELD_TYPES.DATE;
+  }
+  if (tags.includes("$timestamp")) {
+    return FIELD_TYPES.TIMESTAMP;
+  }
+  if (tags.includes("$integer")) {
+    return FIELD_TYPES.INTEGER;
+  }
+  if (tags.includes("$numeric")) {
+    return FIELD_TYPES.NUMBER;
+  }
+  if (tags.includes("$text") || tags.includes("$ascii")) {
+    return FIELD_TYPES.TEXT;
+  }
+  return null;
+}
+
+/**
+ * Determine a field type from a Qlik NumberFormat
+ * @param {Object} numberFormat - Number format from the field metadata
+ * @returns {string|null} One of FIELD_TYPES, or null for UNKNOWN formats
+ */
+export function typeFromNumberFormat(numberFormat) {
+  if (!numberFormat || !numberFormat.type) {
+    return null;
+  }
+  return NUMBER_FORMAT_TYPES[numberFormat.type.toUpperCase()] || null;
+}
+
+/**
+ * Classify a field by sampling its values
+ * Numbers are checked before dates, since plain numbers would otherwise be
+ * parsed as dates.
+ * @param {Array<Object>} data - Rows
+ * @param {string} fieldName - Field name
+ * @returns {string} One of FIELD_TYPES
+ */
+export function sniffFieldType(data, fieldName) {
+  if (isNumericField(data, fieldName)) {
+    const allIntegers = data.every((row) => {
+      const value = row[fieldName];
+      return (
+        value === null ||
+        value === undefined ||
+        value === "" ||
+        Number.isInteger(Number(value))
+      );
+    });
+    return allIntegers ? FIELD_TYPES.INTEGER : FIELD_TYPES.NUMBER;
+  }
+  if (isDateField(data, fieldName)) {
+    return FIELD_TYPES.DATE;
+  }
+  return FIELD_TYPES.TEXT;
+}
+
+/**
+ * Resolve the type of a field
+ * A type chosen by the user wins, then the field tags, then the number
+ * format. Fields the header says nothing about are classified from their
+ * values, when rows are given.
+ * @param {Object} field - Field metadata, with typeOverride if the user chose a type
+ * @param {Array<Object>|null} data - Rows used to classify fields without tags (default: null)
+ * @returns {{field: string, type: string|null, source: string, isKey: boolean}} Resolved type, null if unknown
+ */
+export function resolveFieldType(field, data = null) {
+  const tags = field.tags || [];
+  const resolved = (type, source) => ({
+    field: field.name,
+    type,
+    source,
+    isKey: tags.includes("$key"),
+  });
+
+  if (OVERRIDE_TYPES.includes(field.typeOverride)) {
+    return resolved(field.typeOverride, TYPE_SOURCES.OVERRIDE);
+  }
+  const tagType = typeFromTags(tags);
+  if (tagType) {
+    return resolved(tagType, TYPE_SOURCES.TAGS);
+  }
+  const formatType = typeFromNumberFormat(field.numberFormat);
+  if (formatType) {
+    return resolved(formatType, TYPE_SOURCES.NUMBER_FORMAT);
+  }
+  return resolved(
+    data && data.length > 0 ? sniffFieldType(data, field.name) : null,
+    TYPE_SOURCES.VALUES
+  );
+}
+
+/**
+ * Resolve the types of all fields of a QVD file
+ * @param {Object} metadata - QVD metadata
+ * @param {Array<Object>|null} data - Rows used to classify fields without tags (default: null)
+ * @returns {Array<Object>} Resolved types in field order (see resolveFieldType)
+ */
+export function resolveFieldTypes(metadata, data = null) {
+  return metadata.fields.map((field) => resolveFieldType(field, data));
+}
+
+/**
+ * Describe a resolved field type, e.g. "date (from tags)"
+ * @param {Object} resolved - Resolved type (see resolveFieldType)
+ * @returns {string} Description, or an empty string if the type is unknown
+ */
+export function describeResolvedType(resolved) {
+  if (!resolved || !resolved.type) {
+    return "";
+  }
+  return `${resolved.type}${resolved.isKey ? ", key" : ""} (${
+    TYPE_SOURCE_LABELS[resolved.source]
+  })`;
+}
+
+/**
+ * Determine the most specific type that holds all values seen in a column
+ * @param {Object} typeInfo - Kinds of values found in the column (see scanColumnTypes)
+ * @returns {string} One of FIELD_TYPES
+ */
+export function typeFromValueKinds(typeInfo) {
+  const kinds = [
+    typeInfo.hasNumber,
+    typeInfo.hasString,
+    typeInfo.hasBoolean,
+    typeInfo.hasDate,
+    typeInfo.hasObject,
+  ].filter(Boolean).length;
+  if (kinds !== 1 || typeInfo.hasString || typeInfo.hasObject) {
+    return FIELD_TYPES.TEXT;
+  }
+  if (typeInfo.hasDate) {
+    return FIELD_TYPES.TIMESTAMP;
+  }
+  if (typeInfo.hasBoolean) {
+    return FIELD_TYPES.BOOLEAN;
+  }
+  return typeInfo.allIntegers ? FIELD_TYPES.INTEGER : FIELD_TYPES.NUMBER;
+}
+
+/**
+ * Check whether the values seen in a column can be stored as a type
+ * Temporal types accept Qlik serial numbers as well as dates.
+ * @param {string} type - One of FIELD_TYPES
+ * @param {Object} typeInfo - Kinds of values found in the column (see scanColumnTypes)
+ * @returns {boolean} True if every value fits the type
+ */
+export function fitsValueKinds(type, typeInfo) {
+  if (type === FIELD_TYPES.TEXT) {
+    return true;
+  }
+  if (typeInfo.hasString || typeInfo.hasBoolean || typeInfo.hasObject) {
+    return false;
+  }
+  if (type === FIELD_TYPES.DATE || type === FIELD_TYPES.TIMESTAMP) {
+    return true;
+  }
+  if (typeInfo.hasDate) {
+    return false;
+  }
+  return type !== FIELD_TYPES.INTEGER || typeInfo.allIntegers;
+}
+
+/**
+ * Copy QVD metadata with the user's type overrides set on its fields
+ * @param {Object} metadata - QVD metadata
+ * @param {Object} overrides - Field types chosen by the user, keyed by field name
+ * @returns {Object} Metadata whose fields have a typeOverride where one was chosen
+ */
+export function applyTypeOverrides(metadata, overrides) {
+  if (!metadata || !overrides || Object.keys(overrides).length === 0) {
+    return metadata;
+  }
+  return {
+    ...metadata,
+    fields: metadata.fields.map((field) =>
+      overrides[field.name]
+        ? { ...field, typeOverride: overrides[field.name] }
+        : field
+    ),
+  };
+}
+
+/**
+ * Wrap a row source so its metadata carries the user's type overrides
+ * Overridden columns no longer count as stored unchanged, so that writers
+ * describe them by their values rather than by the tags of the file.
+ * @param {Object} source - Row source
+ * @param {Object} overrides - Field types chosen by the user, keyed by field name
+ * @returns {Object} Row source yielding the same rows
+ */
+export function withTypeOverrides(source, overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) {
+    return source;
+  }
+  return createRowSource({
+    columns: source.columns,
+    rowCount: source.rowCount,
+    sourceRowCount: source.sourceRowCount,
+    batches: () => source.batches(),
+    metadata: applyTypeOverrides(source.metadata, overrides),
+    storedColumns: source.storedColumns.filter((column) => !overrides[column]),
+  });
+}
+
+/**
+ * Get the field types the user chose for a QVD file
+ * @param {Object} workspaceState - Memento to read from, e.g. context.workspaceState
+ * @param {string} filePath - Path to the QVD file
+ * @returns {Object} Field types keyed by field name
+ */
+export function getTypeOverrides(workspaceState, filePath) {
+  return workspaceState.get(`${OVERRIDES_KEY_PREFIX}${filePath}`, {});
+}
+
+/**
+ * Choose the type of a field, or go back to the resolved type
+ * @param {Object} workspaceState - Memento to write to, e.g. context.workspaceState
+ * @param {string} filePath - Path to the QVD file
+ * @param {string} fieldName - Field name
+ * @param {string|null} type - One of OVERRIDE_TYPES, or null to remove the override
+ * @returns {Promise<Object>} Field types keyed by field name after the change
+ */
+export async function setTypeOverride(
+  workspaceState,
+  filePath,
+  fieldName,
+  type
+) {
+  if (type !== null && !OVERRIDE_TYPES.includes(type)) {
+    throw new Error(`Unknown field type: ${type}`);
+  }
+  const overrides = { ...getTypeOverrides(workspaceState, filePath) };
+  if (type === null) {
+    delete overrides[fieldName];
+  } else {
+    overrides[fieldName] = type;
+  }
+  await workspaceState.update(
+    `${OVERRIDES_KEY_PREFIX}${filePath}`,
+    Object.keys(overrides).length > 0 ? overrides : undefined
+  );
+  return overrides;
+}
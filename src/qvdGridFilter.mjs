@@ -0,0 +1,478 @@
+/**
+ * QVD Grid Filter
+ * Applies the state of the data grid in the viewer (search text, column
+ * filters, sort order, column layout and selected rows) to a row source, so
+ * that exports can contain exactly what the user sees in the grid, taken
+ * from all rows of the file.
+ */
+
+import {
+  FIELD_TYPES,
+  isNumericType,
+  resolveFieldType,
+} from "./qvdFieldTypes.mjs";
+import { QvdDual } from "./qvdRandomAccessReader.mjs";
+import {
+  filterRowSource,
+  pickRows,
+  selectColumns,
+  sortRowSource,
+  trackRowSource,
+} from "./qvdRowSource.mjs";
+
+/**
+ * Rows included in an export
+ */
+export const EXPORT_SCOPES = {
+  FILE: "file",
+  FILTERED: "filtered",
+  SELECTED: "selected",
+};
+
+/**
+ * Column filter types, each with its own header filter in the data grid
+ */
+export const FILTER_TYPES = {
+  NUMBER: "number",
+  DATE: "date",
+  LIST: "list",
+  TEXT: "text",
+};
+
+/**
+ * Fields with at most this many distinct values get a multi-select list filter
+ */
+export const LIST_FILTER_MAX_SYMBOLS = 50;
+
+/**
+ * Value of a field as the data grid holds it: dual values by their number
+ * @param {*} value - Field value
+ * @returns {*} Grid value
+ */
+function toGridValue(value) {
+  return value instanceof QvdDual ? value.number : value;
+}
+
+/**
+ * Determine the header filter type of a field from its resolved type (see
+ * resolveFieldType). Fields without tags or number format are classified
+ * by sampling the loaded rows.
+ * @param {Object} field - Field metadata
+ * @param {Array<Object>} data - Loaded rows
+ * @returns {string} One of FILTER_TYPES
+ */
+export function inferFilterType(field, data) {
+  const fieldType = resolveFieldType(field, data).type;
+  let type;
+  if (fieldType === FIELD_TYPES.DATE || fieldType === FIELD_TYPES.TIMESTAMP) {
+    type = FILTER_TYPES.DATE;
+  } else if (isNumericType(fieldType)) {
+    type = FILTER_TYPES.NUMBER;
+  } else {
+    type = FILTER_TYPES.TEXT;
+  }
+
+  // Picking from a list is easier than typing for low-cardinality fields,
+  // except for dates which have a date picker
+  if (
+    type !== FILTER_TYPES.DATE &&
+    field.noOfSymbols > 0 &&
+    field.noOfSymbols <= LIST_FILTER_MAX_SYMBOLS
+  ) {
+    return FILTER_TYPES.LIST;
+  }
+  return type;
+}
+
+/**
+ * Describe the header filters of all fields
+ * @param {Object} metadata - QVD metadata
+ * @param {Array<Object>} data - Loaded rows, used to classify untagged fields
+ * @param {Function} getSymbols - Async function returning the symbol values of a field
+ * @returns {Promise<Array<{field: string, type: string, values: Array<string>|null}>>} Column filter definitions
+ */
+export async function buildColumnFilters(metadata, data, getSymbols) {
+  const filters = [];
+  for (const field of metadata.fields) {
+    const type = inferFilterType(field, data);
+    let values = null;
+    if (type === FILTER_TYPES.LIST) {
+      // The symbol table holds exactly the distinct values of the field
+      const symbols = await getSymbols(field.name);
+      values = [...new Set(symbols.map(String))];
+    }
+    filters.push({ field: field.name, type, values });
+  }
+  return filters;
+}
+
+/**
+ * Create the functions matching and describing column filters and the
+ * search text
+ * The data grid in the webview runs these same functions: the source of
+ * this factory is inserted into the webview script (see mainTemplate.mjs).
+ * It must therefore not refer to anything outside its own body, which is
+ * why the filter types and date constants are spelled out here.
+ * @returns {{toFilterDate: Function, parseRegexFilter: Function, matchesColumnFilter: Function, describeColumnFilter: Function, matchesSearch: Function}}
+ */
+export function createFilterFunctions() {
+  // Days between the Qlik date origin (1899-12-30) and the Unix epoch
+  const qlikEpochOffsetDays = 25569;
+  const msPerDay = 86400000;
+
+  /**
+   * Convert a value to a date for date filters
+   * Numbers are Qlik dates (days since 1899-12-30), strings are parsed.
+   * @param {*} value - Field value
+   * @returns {string|null} Date as YYYY-MM-DD, or null if not a date
+   */
+  function toFilterDate(value) {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+    if (typeof value === "number") {
+      const date = new Date((value - qlikEpochOffsetDays) * msPerDay);
+      return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      return text.slice(0, 10);
+    }
+    const date = new Date(text);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  }
+
+  /**
+   * Parse a /pattern/flags text filter into a regular expression
+   * @param {string} text - Text filter
+   * @returns {RegExp|null} Regular expression, or null if the text is not a valid regex
+   */
+  function parseRegexFilter(text) {
+    const match = /^\/(.+)\/([imsu]*)$/.exec(text);
+    if (!match) {
+      return null;
+    }
+    try {
+      return new RegExp(match[1], match[2]);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a value passes a range filter
+   * A between or outside filter without upper bound only applies the lower
+   * bound.
+   * @param {number|string} value - Value to check
+   * @param {Object} filter - Range filter
+   * @returns {boolean} True if the value is within the range
+   */
+  function matchesRange(value, filter) {
+    switch (filter.op) {
+      case "gt":
+        return value > filter.value;
+      case "lt":
+        return value < filter.value;
+      case "eq":
+        return value === filter.value;
+      case "between":
+        return (
+          value >= filter.value &&
+          (filter.value2 === null ||
+            filter.value2 === undefined ||
+            value <= filter.value2)
+        );
+      case "outside":
+        return (
+          value < filter.value ||
+          (filter.value2 !== null &&
+            filter.value2 !== undefined &&
+            value > filter.value2)
+        );
+      default:
+        throw new Error(`Unknown filter operator: ${filter.op}`);
+    }
+  }
+
+  /**
+   * Check whether a value passes a column filter
+   * @param {Object} filter - Column filter
+   * @param {*} value - Field value
+   * @returns {boolean} True if the value passes the filter
+   */
+  function matchesColumnFilter(filter, value) {
+    switch (filter.type) {
+      case "number": {
+        if (value === null || value === undefined || value === "") {
+          return false;
+        }
+        const number = Number(value);
+        return !Number.isNaN(number) && matchesRange(number, filter);
+      }
+      case "date": {
+        const date = toFilterDate(value);
+        return date !== null && matchesRange(date, filter);
+      }
+      case "list":
+        return (
+          value !== null &&
+          value !== undefined &&
+          filter.values.includes(String(value))
+        );
+      case "text": {
+        const text =
+          value === null || value === undefined ? "" : String(value);
+        const regex = parseRegexFilter(filter.value);
+        if (regex) {
+          return regex.test(text);
+        }
+        if (filter.value.startsWith("/")) {
+          // An incomplete or invalid regex filters nothing while being typed
+          return true;
+        }
+        return text.toLowerCase().includes(filter.value.toLowerCase());
+      }
+      default:
+        throw new Error(`Unknown filter type: ${filter.type}`);
+    }
+  }
+
+  /**
+   * Describe a column filter for display
+   * @param {Object} filter - Column filter
+   * @returns {string} Description, e.g. 'amount between 10 and 20'
+   */
+  function describeColumnFilter(filter) {
+    const operators = { gt: ">", lt: "<", eq: "=" };
+    switch (filter.type) {
+      case "number":
+      case "date":
+        if (filter.op === "between") {
+          return filter.value2 === null || filter.value2 === undefined
+            ? `${filter.field} ≥ ${filter.value}`
+            : `${filter.field} between ${filter.value} and ${filter.value2}`;
+        }
+        if (filter.op === "outside") {
+          return filter.value2 === null || filter.value2 === undefined
+            ? `${filter.field} < ${filter.value}`
+            : `${filter.field} outside ${filter.value} and ${filter.value2}`;
+        }
+        return `${filter.field} ${operators[filter.op]} ${filter.value}`;
+      case "list": {
+        const shown = filter.values.slice(0, 3).join(", ");
+        const more =
+          filter.values.length > 3
+            ? `, +${filter.values.length - 3} more`
+            : "";
+        return `${filter.field} in (${shown}${more})`;
+      }
+      default:
+        return parseRegexFilter(filter.value)
+          ? `${filter.field} matches ${filter.value}`
+          : `${filter.field} contains "${filter.value}"`;
+    }
+  }
+
+  /**
+   * Check whether any value of a row contains the search text, ignoring case
+   * @param {Array} values - Values of the row
+   * @param {string} searchText - Search text
+   * @returns {boolean} True if the row matches
+   */
+  function matchesSearch(values, searchText) {
+    const search = searchText.toLowerCase();
+    return values.some((value) =>
+      String(value).toLowerCase().includes(search)
+    );
+  }
+
+  return {
+    toFilterDate,
+    parseRegexFilter,
+    matchesColumnFilter,
+    describeColumnFilter,
+    matchesSearch,
+  };
+}
+
+const filterFunctions = createFilterFunctions();
+
+export const {
+  toFilterDate,
+  parseRegexFilter,
+  matchesColumnFilter,
+  describeColumnFilter,
+} = filterFunctions;
+
+/**
+ * Create a predicate matching rows that pass all column filters
+ * @param {Array<Object>} filters - Column filters
+ * @returns {Function|null} Row predicate, or null when no filters are set
+ */
+export function createColumnFilterPredicate(filters) {
+  if (!filters || filters.length === 0) {
+    return null;
+  }
+  return (row) =>
+    filters.every((filter) =>
+      matchesColumnFilter(filter, toGridValue(row[filter.field]))
+    );
+}
+
+/**
+ * Create a predicate matching rows the same way as the data tab search:
+ * a row matches when any of its values contains the search text, ignoring case
+ * @param {string} searchText - Search text
+ * @returns {Function|null} Row predicate, or null when there is nothing to search for
+ */
+export function createSearchPredicate(searchText) {
+  if (!searchText) {
+    return null;
+  }
+  return (row) =>
+    filterFunctions.matchesSearch(
+      Object.values(row).map(toGridValue),
+      searchText
+    );
+}
+
+/**
+ * Compare two grid values
+ * Empty values sort first and numbers before text, like the grid does.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+export function compareGridValues(a, b) {
+  const aEmpty = a === null || a === undefined || a === "";
+  const bEmpty = b === null || b === undefined || b === "";
+  if (aEmpty || bEmpty) {
+    return aEmpty === bEmpty ? 0 : aEmpty ? -1 : 1;
+  }
+
+  const aNumber = typeof a === "number";
+  const bNumber = typeof b === "number";
+  if (aNumber && bNumber) {
+    return a - b;
+  }
+  if (aNumber !== bNumber) {
+    return aNumber ? -1 : 1;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Create a row comparator from grid sorters
+ * @param {Array<{field: string, dir: string}>} sorters - Sorters, most significant first
+ * @returns {Function|null} Row comparator, or null when the grid is not sorted
+ */
+export function createRowComparator(sorters) {
+  if (!sorters || sorters.length === 0) {
+    return null;
+  }
+  return (rowA, rowB) => {
+    for (const { field, dir } of sorters) {
+      const result = compareGridValues(
+        toGridValue(rowA[field]),
+        toGridValue(rowB[field])
+      );
+      if (result !== 0) {
+        return dir === "desc" ? -result : result;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Check whether the grid shows a subset or reordering of the rows
+ * @param {Object|null} grid - Grid state sent by the webview
+ * @returns {boolean} True if a search, column filter or sort order is active
+ */
+export function hasActiveFilter(grid) {
+  return Boolean(
+    grid &&
+      (grid.search ||
+        (grid.filters && grid.filters.length > 0) ||
+        (grid.sorters && grid.sorters.length > 0))
+  );
+}
+
+/**
+ * Create a predicate combining the search and column filters of the grid
+ * @param {Object|null} grid - Grid state sent by the webview
+ * @returns {Function|null} Row predicate, or null when nothing is filtered
+ */
+export function createGridPredicate(grid) {
+  const predicates = [
+    createSearchPredicate(grid && grid.search),
+    createColumnFilterPredicate(grid && grid.filters),
+  ].filter(Boolean);
+  if (predicates.length === 0) {
+    return null;
+  }
+  return (row) => predicates.every((predicate) => predicate(row));
+}
+
+/**
+ * Apply an export scope and column selection to a row source
+ * @param {Object} source - Row source with all rows of the file
+ * @param {Object} grid - Grid state sent by the webview
+ * @param {string} grid.search - Text in the data tab search box
+ * @param {Array<Object>} grid.filters - Column filters, combined with AND
+ * @param {Array<{field: string, dir: string}>} grid.sorters - Sort order, most significant first
+ * @param {Array<number>} grid.selectedRowPositions - Positions in the file of the rows selected in the grid, in selection order
+ * @param {string} scope - One of EXPORT_SCOPES
+ * @param {Array<string>|null} columns - Columns to export in output order (default: all columns)
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows) while filtering
+ * @param {Function} options.isCancelled - Returns true when filtering should stop
+ * @returns {Promise<Object>} Row source to export
+ */
+export async function applyExportScope(
+  source,
+  grid,
+  scope,
+  columns = null,
+  { onProgress = null, isCancelled = null } = {}
+) {
+  let scoped = source;
+
+  if (scope === EXPORT_SCOPES.SELECTED) {
+    // Selected rows are read again from the file by their position, so
+    // they keep what the grid does not hold, such as the text of duals
+    scoped = await pickRows(
+      source,
+      (grid && grid.selectedRowPositions) || [],
+      { onProgress, isCancelled }
+    );
+  } else if (scope === EXPORT_SCOPES.FILTERED) {
+    const predicate = createGridPredicate(grid);
+    const comparator = createRowComparator(grid && grid.sorters);
+    if (comparator) {
+      // The matching rows are sorted in memory after one pass over the file
+      scoped = await sortRowSource(
+        trackRowSource(source, { onProgress, isCancelled }),
+        comparator,
+        { filter: predicate }
+      );
+    } else if (predicate) {
+      // Counting the matching rows takes one extra pass over the file
+      scoped = await filterRowSource(source, predicate, {
+        onProgress,
+        isCancelled,
+      });
+    }
+  } else if (scope !== EXPORT_SCOPES.FILE) {
+    throw new Error(`Unknown export scope: ${scope}`);
+  }
+
+  return columns ? selectColumns(scoped, columns) : scoped;
+}
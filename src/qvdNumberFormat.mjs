@@ -0,0 +1,464 @@
+/**
+ * QVD Number Formats
+ * Renders numbers the way Qlik displays them, using the NumberFormat of a
+ * field (Type, nDec, UseThou, Fmt, Dec, Thou) from the QVD header. Dual
+ * values carry their own text, which need not follow the field's format:
+ * "000000" for 0 in a field of color codes, or "High" for Dual('High', 3).
+ * Their text is shown as it is, only plain numbers are formatted.
+ */
+
+import { QvdDual } from "./qvdRandomAccessReader.mjs";
+import { mapColumns } from "./qvdRowSource.mjs";
+import { MS_PER_DAY, qlikSerialToUtc } from "./temporal/dateDetection.mjs";
+
+/**
+ * Number format types holding dates, times or durations as serial days
+ */
+const DATE_TYPES = ["DATE", "TIME", "TIMESTAMP", "INTERVAL"];
+
+/**
+ * Number format types holding plain numbers
+ */
+const NUMBER_TYPES = ["INTEGER", "REAL", "FIX", "MONEY"];
+
+/**
+ * Format pattern used when a date type has no Fmt of its own
+ */
+const DEFAULT_DATE_PATTERNS = {
+  DATE: "YYYY-MM-DD",
+  TIME: "hh:mm:ss",
+  TIMESTAMP: "YYYY-MM-DD hh:mm:ss",
+  INTERVAL: "hh:mm:ss",
+};
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Date and time tokens of Qlik format patterns. Square brackets mark
+ * optional parts, which are left out when displaying a value.
+ */
+const DATE_TOKEN_PATTERN =
+  /\[[^\]]*\]|[Yy]{4}|[Yy]{2}|M{4}|M{3}|M{2}|M|[Dd]{2}|[Dd]|[Ww]{4}|[Ww]{3}|[Hh]{2}|[Hh]|m{2}|m|s{2}|s|f+|TT|tt/g;
+
+/**
+ * Check whether a field's number format changes how its values are shown
+ * @param {Object} numberFormat - Number format from the field metadata
+ * @returns {boolean} True for date, time, interval, money and fixed formats and numbers with a Fmt pattern
+ */
+export function hasDisplayFormat(numberFormat) {
+  if (!numberFormat) {
+    return false;
+  }
+  const type = (numberFormat.type || "").toUpperCase();
+  if (DATE_TYPES.includes(type)) {
+    return true;
+  }
+  return (
+    NUMBER_TYPES.includes(type) &&
+    (Boolean(numberFormat.fmt) || type === "FIX" || type === "MONEY")
+  );
+}
+
+/**
+ * Pad a number with leading zeros
+ * @param {number} value - Number
+ * @param {number} length - Minimum number of digits
+ * @returns {string} Padded number
+ */
+function pad(value, length) {
+  return String(value).padStart(length, "0");
+}
+
+/**
+ * Format a serial day number as a date and/or time
+ * @param {number} value - Days since 1899-12-30
+ * @param {string} pattern - Qlik date format pattern, e.g. YYYY-MM-DD hh:mm:ss
+ * @returns {string} Formatted date
+ */
+function formatDateTime(value, pattern) {
+  const date = qlikSerialToUtc(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+  const twelveHour = /TT|tt/.test(pattern);
+  const hours = date.getUTCHours();
+
+  return pattern.replace(DATE_TOKEN_PATTERN, (token) => {
+    switch (token) {
+      case "YYYY":
+      case "yyyy":
+        return pad(date.getUTCFullYear(), 4);
+      case "YY":
+      case "yy":
+        return pad(date.getUTCFullYear() % 100, 2);
+      case "MMMM":
+        return MONTH_NAMES[date.getUTCMonth()];
+      case "MMM":
+        return MONTH_NAMES[date.getUTCMonth()].slice(0, 3);
+      case "MM":
+        return pad(date.getUTCMonth() + 1, 2);
+      case "M":
+        return String(date.getUTCMonth() + 1);
+      case "DD":
+      case "dd":
+        return pad(date.getUTCDate(), 2);
+      case "D":
+      case "d":
+        return String(date.getUTCDate());
+      case "WWWW":
+      case "wwww":
+        return DAY_NAMES[date.getUTCDay()];
+      case "WWW":
+      case "www":
+        return DAY_NAMES[date.getUTCDay()].slice(0, 3);
+      case "hh":
+      case "HH":
+        return pad(twelveHour ? hours % 12 || 12 : hours, 2);
+      case "h":
+      case "H":
+        return String(twelveHour ? hours % 12 || 12 : hours);
+      case "mm":
+        return pad(date.getUTCMinutes(), 2);
+      case "m":
+        return String(date.getUTCMinutes());
+      case "ss":
+        return pad(date.getUTCSeconds(), 2);
+      case "s":
+        return String(date.getUTCSeconds());
+      case "TT":
+        return hours < 12 ? "AM" : "PM";
+      case "tt":
+        return hours < 12 ? "am" : "pm";
+      default:
+        if (token.startsWith("[")) {
+          return "";
+        }
+        // Fractions of a second, one digit per f
+        return pad(date.getUTCMilliseconds(), 3)
+          .padEnd(token.length, "0")
+          .slice(0, token.length);
+    }
+  });
+}
+
+/**
+ * Format a number of days as a duration
+ * The largest unit in the pattern holds the whole duration, so that e.g.
+ * 1.5 days shows as 36:00:00 with hh:mm:ss.
+ * @param {number} value - Duration in days
+ * @param {string} pattern - Qlik interval pattern, e.g. D hh:mm or hh:mm:ss
+ * @returns {string} Formatted duration
+ */
+function formatInterval(value, pattern) {
+  const units = [
+    { test: /[Dd]/, ms: MS_PER_DAY },
+    { test: /[Hh]/, ms: 3600000 },
+    { test: /m/, ms: 60000 },
+    { test: /s/, ms: 1000 },
+  ];
+  let remaining = Math.round(Math.abs(value) * MS_PER_DAY);
+  const parts = {};
+  units.forEach((unit, index) => {
+    if (unit.test.test(pattern)) {
+      parts[index] = Math.floor(remaining / unit.ms);
+      remaining -= parts[index] * unit.ms;
+    }
+  });
+
+  const text = pattern.replace(DATE_TOKEN_PATTERN, (token) => {
+    const first = token[0];
+    if (token.startsWith("[")) {
+      return "";
+    }
+    if (first === "D" || first === "d") {
+      return pad(parts[0] || 0, token.length);
+    }
+    if (first === "h" || first === "H") {
+      return pad(parts[1] || 0, token.length);
+    }
+    if (first === "m") {
+      return pad(parts[2] || 0, token.length);
+    }
+    if (first === "s") {
+      return pad(parts[3] || 0, token.length);
+    }
+    if (first === "f") {
+      return pad(remaining, 3)
+        .padEnd(token.length, "0")
+        .slice(0, token.length);
+    }
+    return token;
+  });
+  return value < 0 ? `-${text}` : text;
+}
+
+/**
+ * Insert thousands separators into a string of digits
+ * @param {string} digits - Integer digits
+ * @param {string} separator - Thousands separator
+ * @returns {string} Grouped digits
+ */
+function groupThousands(digits, separator) {
+  return digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+}
+
+/**
+ * Format a number with a Qlik number pattern such as #,##0.00 or
+ * $#,##0.00;($#,##0.00). A second section separated by ; is used for
+ * negative numbers, and % in the pattern multiplies the number by 100.
+ * @param {number} value - Number
+ * @param {string} pattern - Qlik number pattern
+ * @param {string} decimalSeparator - Decimal separator used in the pattern
+ * @param {string} thousandsSeparator - Thousands separator used in the pattern
+ * @returns {string} Formatted number
+ */
+function formatNumberPattern(
+  value,
+  pattern,
+  decimalSeparator,
+  thousandsSeparator
+) {
+  const sections = pattern.split(";");
+  let section = sections[0];
+  let number = value;
+  let sign = value < 0 ? "-" : "";
+  if (value < 0 && sections.length > 1 && sections[1]) {
+    section = sections[1];
+    number = -value;
+    sign = "";
+  }
+
+  const first = section.search(/[#0]/);
+  if (first === -1) {
+    return String(value);
+  }
+  let last = section.length - 1;
+  while (section[last] !== "#" && section[last] !== "0") {
+    last--;
+  }
+  const prefix = section.slice(0, first);
+  const core = section.slice(first, last + 1);
+  const suffix = section.slice(last + 1);
+  if ((prefix + suffix).includes("%")) {
+    number *= 100;
+  }
+
+  const decimalPos = core.lastIndexOf(decimalSeparator);
+  const integerPattern = decimalPos === -1 ? core : core.slice(0, decimalPos);
+  const fractionPattern =
+    decimalPos === -1 ? "" : core.slice(decimalPos + 1).replace(/[^#0]/g, "");
+  const minFraction = (fractionPattern.match(/0/g) || []).length;
+  const minInteger = (integerPattern.match(/0/g) || []).length;
+  const grouped =
+    thousandsSeparator !== "" && integerPattern.includes(thousandsSeparator);
+
+  let [integerDigits, fractionDigits = ""] = Math.abs(number)
+    .toFixed(fractionPattern.length)
+    .split(".");
+  while (
+    fractionDigits.length > minFraction &&
+    fractionDigits.endsWith("0")
+  ) {
+    fractionDigits = fractionDigits.slice(0, -1);
+  }
+  integerDigits = integerDigits.padStart(minInteger, "0");
+  if (minInteger === 0 && integerDigits === "0" && fractionDigits) {
+    integerDigits = "";
+  }
+  if (grouped) {
+    integerDigits = groupThousands(integerDigits, thousandsSeparator);
+  }
+
+  const text = fractionDigits
+    ? `${integerDigits}${decimalSeparator}${fractionDigits}`
+    : integerDigits || "0";
+  // A negative number that rounds to zero is shown without sign
+  return `${/[1-9]/.test(text) ? sign : ""}${prefix}${text}${suffix}`;
+}
+
+/**
+ * Format a value the way Qlik shows it, using a field's number format
+ * Values that are not numbers, such as text and NULL, are returned as is.
+ * @param {*} value - Field value
+ * @param {Object} numberFormat - Number format from the field metadata
+ * @returns {*} Formatted text for numbers, otherwise the value itself
+ */
+export function formatQlikValue(value, numberFormat) {
+  if (
+    typeof value !== "number" ||
+    !isFinite(value) ||
+    !hasDisplayFormat(numberFormat)
+  ) {
+    return value;
+  }
+
+  const type = numberFormat.type.toUpperCase();
+  const decimalSeparator = numberFormat.dec || ".";
+  let thousandsSeparator =
+    numberFormat.thou || (decimalSeparator === "," ? "." : ",");
+  if (thousandsSeparator === decimalSeparator) {
+    thousandsSeparator = "";
+  }
+
+  if (DATE_TYPES.includes(type)) {
+    const pattern = numberFormat.fmt || DEFAULT_DATE_PATTERNS[type];
+    return type === "INTERVAL"
+      ? formatInterval(value, pattern)
+      : formatDateTime(value, pattern);
+  }
+
+  if (numberFormat.fmt) {
+    return formatNumberPattern(
+      value,
+      numberFormat.fmt,
+      decimalSeparator,
+      thousandsSeparator
+    );
+  }
+
+  // Fixed and money formats without a pattern use nDec and UseThou
+  const decimals = parseInt(numberFormat.nDec) || 0;
+  const useThousands = numberFormat.useThou === "1";
+  const pattern = `${useThousands ? `#${thousandsSeparator}##` : ""}0${
+    decimals > 0 ? `${decimalSeparator}${"0".repeat(decimals)}` : ""
+  }`;
+  return formatNumberPattern(
+    value,
+    pattern,
+    decimalSeparator,
+    thousandsSeparator
+  );
+}
+
+/**
+ * List the fields of a QVD file whose values are shown formatted
+ * @param {Object} metadata - QVD metadata
+ * @returns {Array<{field: string, numberFormat: Object}>} Formatted fields
+ */
+export function getColumnFormats(metadata) {
+  if (!metadata || !metadata.fields) {
+    return [];
+  }
+  return metadata.fields
+    .filter((field) => hasDisplayFormat(field.numberFormat))
+    .map((field) => ({ field: field.name, numberFormat: field.numberFormat }));
+}
+
+/**
+ * List the fields of a QVD file whose values are shown as text rather than
+ * as their number: fields with a display number format, and fields holding
+ * dual values whose text is not simply their number
+ * @param {QvdRandomAccessReader} reader - Opened random access reader
+ * @returns {Promise<Array<string>>} Field names in file order
+ */
+export async function getDisplayColumns(reader) {
+  const columns = [];
+  for (const field of reader.metadata.fields) {
+    if (
+      hasDisplayFormat(field.numberFormat) ||
+      (await reader.hasDualTexts(field.name))
+    ) {
+      columns.push(field.name);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Get the text shown for a value: the text of a dual value, or a number
+ * formatted with the number format of its field
+ * @param {*} value - Field value, dual values as QvdDual
+ * @param {Object|null} numberFormat - Number format from the field metadata
+ * @returns {*} Displayed text, or the value itself when it has none
+ */
+export function getDisplayText(value, numberFormat) {
+  return value instanceof QvdDual
+    ? value.text
+    : formatQlikValue(value, numberFormat);
+}
+
+/**
+ * Split rows read with dual values into the rows of the data grid, which
+ * hold the numbers, and the text shown for the values of the display columns
+ * @param {Array<Object>} rows - Rows read with dual values as QvdDual
+ * @param {Array<string>} displayColumns - Columns shown as text, see getDisplayColumns
+ * @param {Object} metadata - QVD metadata with the fields' number formats
+ * @returns {{data: Array<Object>, displayTexts: Array<Array<string|null>>}} Rows and, per row, the text of each display column (null for text values and NULLs)
+ */
+export function toGridRows(rows, displayColumns, metadata) {
+  const formats = new Map(
+    getColumnFormats(metadata).map((format) => [
+      format.field,
+      format.numberFormat,
+    ])
+  );
+  const displayTexts = new Array(rows.length);
+  const data = rows.map((row, index) => {
+    displayTexts[index] = displayColumns.map((column) => {
+      const value = row[column];
+      return value instanceof QvdDual || typeof value === "number"
+        ? String(getDisplayText(value, formats.get(column) || null))
+        : null;
+    });
+    const gridRow = {};
+    for (const [column, value] of Object.entries(row)) {
+      gridRow[column] = value instanceof QvdDual ? value.number : value;
+    }
+    return gridRow;
+  });
+  return { data, displayTexts };
+}
+
+/**
+ * Replace the values of some columns of a row source by the text shown for
+ * them, see getDisplayText
+ * Dual values in the other columns are replaced by their number.
+ * @param {Object} source - Row source with the metadata of its QVD file, read with dual values when formatting columns
+ * @param {Array<string>} columns - Columns to export as text
+ * @returns {Object} Row source with texts in the given columns
+ */
+export function formatRowSource(source, columns) {
+  if (columns.length === 0) {
+    return source;
+  }
+  const formats = new Map(
+    getColumnFormats(source.metadata).map((format) => [
+      format.field,
+      format.numberFormat,
+    ])
+  );
+  const mappers = {};
+  for (const column of source.columns) {
+    if (columns.includes(column)) {
+      const numberFormat = formats.get(column) || null;
+      mappers[column] = (value) => getDisplayText(value, numberFormat);
+    } else {
+      mappers[column] = (value) =>
+        value instanceof QvdDual ? value.number : value;
+    }
+  }
+  return mapColumns(source, mappers);
+}
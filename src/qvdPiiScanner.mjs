@@ -0,0 +1,325 @@
+/**
+ * QVD PII Scanner
+ * Finds personal data in the fields of a QVD file and classifies the file
+ * as holding no, low or high sensitivity data. Like the profiler, the
+ * scanner reads the symbol tables rather than the rows, so every distinct
+ * value of a field is seen without reading the index table.
+ *
+ * This module orchestrates the value detectors, checksums and column name
+ * heuristics in src/pii/.
+ */
+
+import {
+  PII_CATEGORIES,
+  detectPiiValue,
+  isVersionNumber,
+  maskPiiValue,
+  maxSensitivity,
+} from "./pii/detectors.mjs";
+import { detectPiiColumn } from "./pii/columnNames.mjs";
+
+// Re-export the building blocks
+export {
+  PII_CATEGORIES,
+  SENSITIVITY_LEVELS,
+  detectPiiValue,
+  maskPiiValue,
+  maxSensitivity,
+} from "./pii/detectors.mjs";
+export { detectPiiColumn } from "./pii/columnNames.mjs";
+export {
+  isValidCreditCard,
+  isValidIban,
+  isValidLuhn,
+  isValidPersonnummer,
+} from "./pii/checksums.mjs";
+
+/**
+ * Where a finding comes from: the values of the field, its name, or both
+ */
+export const PII_EVIDENCE = {
+  VALUES: "values",
+  NAME: "name",
+  VALUES_AND_NAME: "values and name",
+};
+
+// Distinct values checked per field; larger fields are sampled evenly
+const DEFAULT_MAX_VALUES = 10000;
+
+// Share of the checked values that must match for the field to hold a kind
+// of data recognized by its format only, such as phone numbers
+const DEFAULT_MIN_MATCH_SHARE = 0.2;
+
+// Values that must pass the checksum of a kind of data for the field to
+// hold it, whatever their share. Matches must also be at least twice as
+// many as the values of the same format would give by chance.
+const MIN_VALIDATED_MATCHES = 3;
+const CHANCE_MARGIN = 2;
+
+// Masked sample values kept per finding
+const SAMPLE_COUNT = 3;
+
+/**
+ * Pick the texts of up to maxValues distinct values, evenly spread over the
+ * symbol table, leaving out empty values
+ * @param {Array<string>} texts - Text of each symbol
+ * @param {number} maxValues - Maximum number of values
+ * @returns {Array<string>} Values to check
+ */
+function sampleTexts(texts, maxValues) {
+  const step = Math.max(1, texts.length / maxValues);
+  const sample = [];
+  for (let i = 0; i < texts.length; i += step) {
+    const text = texts[Math.floor(i)];
+    if (text !== undefined && text !== null && text.trim() !== "") {
+      sample.push(text);
+    }
+  }
+  return sample;
+}
+
+/**
+ * Get the format of a value, with each digit as 9 and each letter as A
+ * @param {string} value - Value
+ * @returns {string} Format, e.g. "AA99 9999" for "SE45 5000"
+ */
+function valueShape(value) {
+  return value.trim().replace(/\d/g, "9").replace(/[a-z]/gi, "A");
+}
+
+/**
+ * Scan the values and name of one field for personal data
+ * @param {string} fieldName - Field name
+ * @param {Array<string>} texts - Text of each distinct value of the field
+ * @param {number} maxValues - Maximum number of values to check
+ * @param {number} minMatchShare - Share of the checked values that must match, for kinds of data without a checksum
+ * @returns {Object} Field result: name, sensitivity, valuesScanned and findings
+ */
+export function scanFieldForPii(
+  fieldName,
+  texts,
+  maxValues = DEFAULT_MAX_VALUES,
+  minMatchShare = DEFAULT_MIN_MATCH_SHARE
+) {
+  const nameCategory = detectPiiColumn(fieldName);
+  const hints = new Set(nameCategory ? [nameCategory] : []);
+  const values = sampleTexts(texts, maxValues);
+
+  const matches = new Map();
+  const shapeCounts = new Map();
+  let versionCount = 0;
+  for (const value of values) {
+    const shape = valueShape(value);
+    shapeCounts.set(shape, (shapeCounts.get(shape) || 0) + 1);
+    if (isVersionNumber(value)) {
+      versionCount++;
+    }
+    const match = detectPiiValue(value, hints);
+    if (!match) {
+      continue;
+    }
+    if (!matches.has(match.category)) {
+      matches.set(match.category, {
+        count: 0,
+        details: {},
+        samples: [],
+        shapes: new Set(),
+      });
+    }
+    const entry = matches.get(match.category);
+    entry.count++;
+    entry.shapes.add(shape);
+    if (match.detail) {
+      entry.details[match.detail] = (entry.details[match.detail] || 0) + 1;
+    }
+    if (entry.samples.length < SAMPLE_COUNT) {
+      entry.samples.push(maskPiiValue(value));
+    }
+  }
+
+  // Dotted numbers in a field of versions are versions, even those that
+  // could be IPv4 addresses
+  const ipAddresses = matches.get("ipAddress");
+  if (
+    ipAddresses &&
+    !ipAddresses.details.IPv6 &&
+    nameCategory !== "ipAddress" &&
+    versionCount >= ipAddresses.count
+  ) {
+    matches.delete("ipAddress");
+  }
+
+  const findings = [];
+  for (const [category, entry] of matches) {
+    const { checksumPassRate } = PII_CATEGORIES[category];
+    if (checksumPassRate === undefined) {
+      if (entry.count / values.length < minMatchShare) {
+        continue;
+      }
+    } else {
+      let sameShape = 0;
+      for (const shape of entry.shapes) {
+        sameShape += shapeCounts.get(shape);
+      }
+      if (
+        entry.count < MIN_VALIDATED_MATCHES ||
+        entry.count < CHANCE_MARGIN * checksumPassRate * sameShape
+      ) {
+        continue;
+      }
+    }
+    findings.push({
+      category,
+      label: PII_CATEGORIES[category].label,
+      sensitivity: PII_CATEGORIES[category].sensitivity,
+      evidence:
+        category === nameCategory
+          ? PII_EVIDENCE.VALUES_AND_NAME
+          : PII_EVIDENCE.VALUES,
+      matches: entry.count,
+      percentage: parseFloat(((entry.count / values.length) * 100).toFixed(1)),
+      details: entry.details,
+      samples: entry.samples,
+    });
+  }
+  if (nameCategory && !findings.some((f) => f.category === nameCategory)) {
+    findings.push({
+      category: nameCategory,
+      label: PII_CATEGORIES[nameCategory].label,
+      sensitivity: PII_CATEGORIES[nameCategory].sensitivity,
+      evidence: PII_EVIDENCE.NAME,
+      matches: 0,
+      percentage: 0,
+      details: {},
+      samples: [],
+    });
+  }
+  findings.sort((a, b) => b.matches - a.matches);
+
+  return {
+    name: fieldName,
+    sensitivity: findings.reduce(
+      (level, finding) => maxSensitivity(level, finding.sensitivity),
+      "none"
+    ),
+    valuesScanned: values.length,
+    distinctValues: texts.length,
+    findings,
+  };
+}
+
+/**
+ * Scan the fields of a QVD file for personal data
+ * Each field is checked on its distinct values and its name. A kind of data
+ * is reported for a field when the field name points at it, or when enough
+ * of the checked values hold it: a few values passing the checksum of
+ * identity numbers, cards and IBANs, far more than values of the same
+ * format pass by chance, or at least minMatchShare of the values for kinds
+ * of data recognized by their format only. The sensitivity of the file
+ * is the highest sensitivity of its findings.
+ * @param {Object} reader - QvdRandomAccessReader
+ * @param {Object} options - Scan options
+ * @param {Array<string>|null} options.fields - Fields to scan (default: all fields)
+ * @param {number} options.maxValues - Distinct values checked per field (default: 10000)
+ * @param {number} options.minMatchShare - Share of checked values that must match for kinds of data without a checksum, 0-1 (default: 0.2)
+ * @param {Function|null} options.onProgress - Progress callback (percentIncrement, fieldsScanned, totalFields)
+ * @param {Function|null} options.isCancelled - Returns true when the scan should stop
+ * @returns {Promise<Object>} Scan result: sensitivity, fieldsScanned, fields with findings and categories (the fields holding each kind of data)
+ */
+export async function scanQvdForPii(
+  reader,
+  {
+    fields = null,
+    maxValues = DEFAULT_MAX_VALUES,
+    minMatchShare = DEFAULT_MIN_MATCH_SHARE,
+    onProgress = null,
+    isCancelled = null,
+  } = {}
+) {
+  const metadata = await reader.open();
+  const fieldNames = fields || metadata.fields.map((field) => field.name);
+
+  const results = [];
+  for (const [index, fieldName] of fieldNames.entries()) {
+    if (isCancelled && isCancelled()) {
+      throw new Error("Operation cancelled");
+    }
+    const { texts } = await reader.getSymbolTable(fieldName);
+    const result = scanFieldForPii(fieldName, texts, maxValues, minMatchShare);
+    if (result.findings.length > 0) {
+      results.push(result);
+    }
+    if (onProgress) {
+      onProgress(100 / fieldNames.length, index + 1, fieldNames.length);
+    }
+  }
+
+  const categories = {};
+  for (const field of results) {
+    for (const finding of field.findings) {
+      if (!categories[finding.category]) {
+        categories[finding.category] = [];
+      }
+      categories[finding.category].push(field.name);
+    }
+  }
+
+  return {
+    sensitivity: results.reduce(
+      (level, field) => maxSensitivity(level, field.sensitivity),
+      "none"
+    ),
+    noOfRecords: metadata.noOfRecords,
+    fieldsScanned: fieldNames.length,
+    fields: results,
+    categories,
+  };
+}
+
+/**
+ * Describe the outcome of a scan in one sentence
+ * @param {Object} scan - Result from scanQvdForPii
+ * @returns {string} Description, e.g. "High sensitivity: National identity number (PersonNr), Email address (Email)"
+ */
+export function describePiiScan(scan) {
+  const found = Object.entries(scan.categories).filter(
+    ([category]) => PII_CATEGORIES[category].sensitivity !== "none"
+  );
+  if (found.length === 0) {
+    return "No personal data found";
+  }
+  const level =
+    scan.sensitivity.charAt(0).toUpperCase() + scan.sensitivity.slice(1);
+  const parts = found
+    .sort(
+      ([a], [b]) =>
+        (PII_CATEGORIES[a].sensitivity === "high" ? 0 : 1) -
+        (PII_CATEGORIES[b].sensitivity === "high" ? 0 : 1)
+    )
+    .map(
+      ([category, fields]) =>
+        `${PII_CATEGORIES[category].label} (${fields.join(", ")})`
+    );
+  return `${level} sensitivity: ${parts.join(", ")}`;
+}
+
+/**
+ * Build a sensitivity report over the scans of one or more QVD files
+ * @param {Array<{fileName: string, scan: Object}>} files - File names with their results from scanQvdForPii
+ * @returns {Object} Report with the scan time, the highest sensitivity and one entry per file, holding its description and scan result
+ */
+export function buildSensitivityReport(files) {
+  const entries = files.map(({ fileName, scan }) => ({
+    fileName,
+    description: describePiiScan(scan),
+    ...scan,
+  }));
+  return {
+    scannedAt: new Date().toISOString(),
+    sensitivity: entries.reduce(
+      (level, entry) => maxSensitivity(level, entry.sensitivity),
+      "none"
+    ),
+    files: entries,
+  };
+}
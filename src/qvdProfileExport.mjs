@@ -0,0 +1,403 @@
+/**
+ * QVD Profile Export
+ * Writes profiling results as versioned JSON documents, flat CSV metric
+ * tables and multi-sheet Excel workbooks, so profile snapshots can be
+ * loaded into other tools. The JSON layout is described by
+ * docs/profile-export.schema.json.
+ */
+
+import { writeFileSync } from "fs";
+import { basename, dirname, extname, join } from "path";
+import ExcelJS from "exceljs";
+import Papa from "papaparse";
+import { buildProfileOverview } from "./qvdProfiler.mjs";
+
+/**
+ * Version of the exported document layout. Increased when fields are
+ * renamed or removed; added fields keep the version.
+ */
+export const PROFILE_SCHEMA_VERSION = 1;
+
+/**
+ * Formats profiles can be exported to
+ */
+export const PROFILE_EXPORT_FORMATS = {
+  JSON: "json",
+  CSV: "csv",
+  EXCEL: "excel",
+};
+
+/**
+ * File extension of each export format
+ */
+export const PROFILE_EXPORT_EXTENSIONS = {
+  [PROFILE_EXPORT_FORMATS.JSON]: "json",
+  [PROFILE_EXPORT_FORMATS.CSV]: "csv",
+  [PROFILE_EXPORT_FORMATS.EXCEL]: "xlsx",
+};
+
+/**
+ * Metric groups of the flat metric table, with the field result property
+ * each group is read from
+ */
+const METRIC_GROUPS = [
+  ["statistics", "statistics"],
+  ["temporal", "temporalAnalysis"],
+  ["string", "stringAnalysis"],
+  ["quality", "qualityMetrics"],
+  ["approximate", "approximate"],
+];
+
+/**
+ * Columns of the per-field summary, in export order
+ */
+const SUMMARY_COLUMNS = [
+  "name",
+  "type",
+  "typeSource",
+  "totalRows",
+  "nullCount",
+  "nullPercentage",
+  "uniqueValues",
+  "cardinality",
+  "min",
+  "max",
+  "topValue",
+  "topValuePercentage",
+  "qualityScore",
+  "qualityLevel",
+  "qualityColor",
+];
+
+/**
+ * Build a versioned profile document from profiling results
+ * @param {Object} profile - Results of profileFields, profileQvdFields or profileSourceApproximate
+ * @param {Object} source - Profiled file
+ * @param {string} source.fileName - QVD file name
+ * @param {number} source.noOfRecords - Number of rows in the file
+ * @param {number} source.rowsProfiled - Number of rows profiled (default: all rows)
+ * @param {Date} source.generatedAt - Time of the snapshot (default: now)
+ * @returns {Object} Profile document
+ */
+export function buildProfileDocument(
+  profile,
+  {
+    fileName,
+    noOfRecords,
+    rowsProfiled = noOfRecords,
+    generatedAt = new Date(),
+  }
+) {
+  const overview = buildProfileOverview(profile);
+  return {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    generator: "Ctrl-Q QVD Viewer for VS Code",
+    generatedAt: generatedAt.toISOString(),
+    source: { fileName, noOfRecords, rowsProfiled },
+    approximate: profile.approximate === true,
+    fields: profile.fields.map((field, index) => {
+      const row = overview[index];
+      const assessment =
+        field.qualityMetrics && field.qualityMetrics.assessment;
+      return {
+        name: field.fieldName,
+        summary: {
+          type: row.type,
+          typeSource: row.typeSource,
+          totalRows: field.totalRows,
+          nullCount: field.nullCount,
+          nullPercentage: row.nullPercentage,
+          uniqueValues: field.uniqueValues,
+          cardinality: row.cardinality,
+          min: row.min,
+          max: row.max,
+          topValue: row.topValue,
+          topValuePercentage: row.topValuePercentage,
+          qualityScore: row.qualityScore,
+          qualityLevel: assessment ? assessment.qualityLevel : null,
+          qualityColor: row.qualityColor,
+        },
+        statistics: field.statistics || null,
+        temporalAnalysis: field.temporalAnalysis || null,
+        stringAnalysis: field.stringAnalysis || null,
+        qualityMetrics: field.qualityMetrics || null,
+        approximate: field.approximate || null,
+        distribution: {
+          truncated: field.truncated === true,
+          truncatedAt: field.truncated ? field.truncatedAt : null,
+          values: field.distributions.map((item) => ({
+            value: item.value,
+            count: item.count,
+            percentage: Number(item.percentage),
+          })),
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Flatten the metrics of a profile document to one row per metric
+ * Nested properties are named by their path, e.g. "spread.stdDev". Lists
+ * of values are joined with "; ", lists of objects (such as the yearly
+ * distribution) are left out.
+ * @param {Object} document - Profile document (from buildProfileDocument)
+ * @returns {Array<{field: string, group: string, metric: string, value: *}>} Metric rows
+ */
+export function flattenProfileMetrics(document) {
+  const rows = [];
+  for (const field of document.fields) {
+    for (const [metric, value] of Object.entries(field.summary)) {
+      if (value !== null) {
+        rows.push({ field: field.name, group: "summary", metric, value });
+      }
+    }
+    for (const [group, property] of METRIC_GROUPS) {
+      if (field[property]) {
+        flattenObject(field[property], "", (metric, value) =>
+          rows.push({ field: field.name, group, metric, value })
+        );
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Call a function for every scalar property of a nested object
+ * @param {Object} object - Object to walk
+ * @param {string} prefix - Path of the object
+ * @param {Function} emit - Called with the path and value of each metric
+ */
+function flattenObject(object, prefix, emit) {
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (value instanceof Date) {
+      emit(path, value.toISOString());
+    } else if (Array.isArray(value)) {
+      if (value.length > 0 && value.every((item) => typeof item !== "object")) {
+        emit(path, value.join("; "));
+      }
+    } else if (typeof value === "object") {
+      flattenObject(value, path, emit);
+    } else if (typeof value !== "number" || Number.isFinite(value)) {
+      emit(path, value);
+    }
+  }
+}
+
+/**
+ * Build the rows of the per-field summary table
+ * @param {Object} document - Profile document
+ * @returns {Array<Object>} One row per field, with the SUMMARY_COLUMNS
+ */
+function summaryRows(document) {
+  return document.fields.map((field) => ({
+    name: field.name,
+    ...field.summary,
+  }));
+}
+
+/**
+ * Build the rows of the value distribution table
+ * @param {Object} document - Profile document
+ * @returns {Array<{field: string, value: string, count: number, percentage: number}>} One row per listed value
+ */
+function valueRows(document) {
+  return document.fields.flatMap((field) =>
+    field.distribution.values.map((item) => ({ field: field.name, ...item }))
+  );
+}
+
+/**
+ * Write a profile document as JSON
+ * @param {Object} document - Profile document
+ * @param {string} filePath - Destination file path
+ * @returns {Array<string>} Written file paths
+ */
+export function writeProfileJson(document, filePath) {
+  writeFileSync(filePath, JSON.stringify(document, null, 2) + "\n", "utf8");
+  return [filePath];
+}
+
+/**
+ * Write a profile document as flat CSV tables, named after the given path:
+ * <name>_fields.csv with one summary row per field, <name>_metrics.csv with
+ * one row per metric and <name>_values.csv with the value distributions.
+ * Every row holds the file name and snapshot time, so snapshots can be
+ * appended to one table.
+ * @param {Object} document - Profile document
+ * @param {string} filePath - Destination path, e.g. sales_profile.csv
+ * @returns {Array<string>} Written file paths
+ */
+export function writeProfileCsv(document, filePath) {
+  const stem = join(dirname(filePath), basename(filePath, extname(filePath)));
+  const snapshot = {
+    generatedAt: document.generatedAt,
+    fileName: document.source.fileName,
+  };
+  const tables = [
+    ["fields", SUMMARY_COLUMNS, summaryRows(document)],
+    ["metrics", ["field", "group", "metric", "value"], flattenProfileMetrics(document)],
+    ["values", ["field", "value", "count", "percentage"], valueRows(document)],
+  ];
+
+  return tables.map(([suffix, columns, rows]) => {
+    const path = `${stem}_${suffix}.csv`;
+    const csv = Papa.unparse(
+      rows.map((row) => ({ ...snapshot, ...row })),
+      {
+        columns: ["generatedAt", "fileName", ...columns],
+        quotes: true,
+        newline: "\n",
+      }
+    );
+    writeFileSync(path, csv + "\n", "utf8");
+    return path;
+  });
+}
+
+/**
+ * Write a profile document as Excel workbook, with a summary sheet and one
+ * sheet per field holding its metrics and value distribution
+ * @param {Object} document - Profile document
+ * @param {string} filePath - Destination file path
+ * @returns {Promise<Array<string>>} Written file paths
+ */
+export async function writeProfileExcel(document, filePath) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = document.generator;
+  workbook.created = new Date(document.generatedAt);
+  workbook.description = [
+    `Profile of ${document.source.fileName}`,
+    `Schema version: ${document.schemaVersion}`,
+  ].join("\n");
+
+  const summary = workbook.addWorksheet("Summary");
+  addTable(
+    summary,
+    1,
+    SUMMARY_COLUMNS.map((key) => ({ header: key, key })),
+    summaryRows(document)
+  );
+  const source = workbook.addWorksheet("Source");
+  addTable(
+    source,
+    1,
+    [
+      { header: "Property", key: "property" },
+      { header: "Value", key: "value" },
+    ],
+    [
+      ["File", document.source.fileName],
+      ["Records", document.source.noOfRecords],
+      ["Rows Profiled", document.source.rowsProfiled],
+      ["Approximate", document.approximate],
+      ["Generated", document.generatedAt],
+      ["Schema Version", document.schemaVersion],
+    ].map(([property, value]) => ({ property, value }))
+  );
+
+  const usedNames = new Set(["summary", "source"]);
+  const metrics = flattenProfileMetrics(document);
+  for (const field of document.fields) {
+    const sheet = workbook.addWorksheet(uniqueSheetName(field.name, usedNames));
+    addTable(
+      sheet,
+      1,
+      [
+        { header: "Group", key: "group" },
+        { header: "Metric", key: "metric" },
+        { header: "Value", key: "value" },
+      ],
+      metrics.filter((row) => row.field === field.name)
+    );
+    addTable(
+      sheet,
+      5,
+      [
+        { header: "Value", key: "value" },
+        { header: "Count", key: "count" },
+        { header: "Percentage", key: "percentage" },
+      ],
+      field.distribution.values
+    );
+  }
+
+  await workbook.xlsx.writeFile(filePath);
+  return [filePath];
+}
+
+/**
+ * Write a table with a bold header row to a worksheet
+ * @param {Object} sheet - ExcelJS worksheet
+ * @param {number} firstColumn - Column number of the first table column
+ * @param {Array<{header: string, key: string}>} columns - Table columns
+ * @param {Array<Object>} rows - Table rows
+ */
+function addTable(sheet, firstColumn, columns, rows) {
+  columns.forEach((column, i) => {
+    const cell = sheet.getRow(1).getCell(firstColumn + i);
+    cell.value = column.header;
+    cell.font = { bold: true };
+    cell.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FFD3D3D3" },
+    };
+    sheet.getColumn(firstColumn + i).width = 18;
+  });
+  rows.forEach((row, r) => {
+    columns.forEach((column, i) => {
+      const value = row[column.key];
+      sheet.getRow(r + 2).getCell(firstColumn + i).value =
+        value === undefined ? null : value;
+    });
+  });
+}
+
+/**
+ * Make a valid, unique worksheet name from a field name
+ * Excel allows up to 31 characters, without \ / * ? : [ ], and compares
+ * names case-insensitively.
+ * @param {string} name - Field name
+ * @param {Set<string>} usedNames - Lower-case names already used, updated
+ * @returns {string} Worksheet name
+ */
+function uniqueSheetName(name, usedNames) {
+  const base = name.replace(/[\\/*?:[\]]/g, "_").slice(0, 31) || "Field";
+  let sheetName = base;
+  for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    sheetName = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+/**
+ * Export a profile document to a file
+ * @param {Object} document - Profile document (from buildProfileDocument)
+ * @param {string} format - One of PROFILE_EXPORT_FORMATS
+ * @param {string} filePath - Destination file path
+ * @returns {Promise<Array<string>>} Written file paths
+ */
+export async function exportProfileDocument(document, format, filePath) {
+  switch (format) {
+    case PROFILE_EXPORT_FORMATS.JSON:
+      return writeProfileJson(document, filePath);
+    case PROFILE_EXPORT_FORMATS.CSV:
+      return writeProfileCsv(document, filePath);
+    case PROFILE_EXPORT_FORMATS.EXCEL:
+      return writeProfileExcel(document, filePath);
+    default:
+      throw new Error(
+        `Unsupported profile export format: ${format} (use ${Object.values(
+          PROFILE_EXPORT_FORMATS
+        ).join(", ")})`
+      );
+  }
+}
@@ -3,19 +3,85 @@
  * Computes value distribution statistics for QVD fields
  */
 
-import { isNumericField, calculateStatistics } from './qvdStatistics.mjs';
-import { calculateDataQualityMetrics } from './qvdDataQuality.mjs';
-import { isDateField, calculateTemporalAnalysis } from './qvdTemporalAnalysis.mjs';
-import { isStringField, calculateStringAnalysis } from './qvdStringAnalysis.mjs';
+import {
+  addToNumericSketch,
+  calculateStatisticsFromCounts,
+  calculateStatisticsFromSketch,
+  countFieldValues,
+  createNumericSketch,
+  isNumericFromCounts,
+} from './qvdStatistics.mjs';
+import { calculateDataQualityMetricsFromCounts } from './qvdDataQuality.mjs';
+import {
+  isDateFromCounts,
+  calculateTemporalAnalysisFromCounts,
+  formatDate,
+  formatDateTime,
+} from './qvdTemporalAnalysis.mjs';
+import {
+  isStringFromCounts,
+  calculateStringAnalysisFromCounts,
+} from './qvdStringAnalysis.mjs';
+import {
+  FIELD_TYPES,
+  TYPE_SOURCES,
+  isNumericType,
+  isTemporalType,
+  resolveFieldType,
+} from './qvdFieldTypes.mjs';
+import {
+  HyperLogLog,
+  ReservoirSample,
+  SpaceSaving,
+} from './qvdSketches.mjs';
+
+/**
+ * Profiling modes offered in the Profiling tab
+ */
+export const PROFILING_MODES = {
+  EXACT: "exact",
+  APPROXIMATE: "approximate",
+  COMPARE: "compare",
+};
+
+/**
+ * Rows kept per field for the sample based analyses of approximate profiles
+ */
+const DEFAULT_SAMPLE_SIZE = 10000;
+
+/**
+ * Values tracked per field by Space-Saving in approximate profiles
+ */
+const DEFAULT_TOP_VALUES_CAPACITY = 10000;
+
+/**
+ * Number of bars in the sparkline of a field
+ */
+const SPARKLINE_BARS = 20;
+
+/**
+ * Standard errors on either side of a distinct count estimate, about 95%
+ */
+const DISTINCT_COUNT_Z = 2;
 
 /**
  * Compute value frequency distribution for specified fields
  * @param {Array<Object>} data - Array of data rows
  * @param {Array<string>} fieldNames - Field names to profile
  * @param {number} maxUniqueValues - Maximum unique values to track (default: 1000)
+ * @param {Object|null} metadata - QVD metadata, used to resolve field types from tags, number formats and user overrides (default: null)
+ * @param {Object} outliers - Outlier method and threshold for numeric fields, see resolveOutlierOptions (default: IQR with threshold 1.5)
+ * @param {Object|null} calendar - Resolved calendar for date fields, see resolveCalendar (default: calendar years, all days)
  * @returns {Object} Profiling results with frequency distributions
  */
-export function profileFields(data, fieldNames, maxUniqueValues = 1000) {
+export function profileFields(
+  data,
+  fieldNames,
+  maxUniqueValues = 1000,
+  metadata = null,
+  outliers = {},
+  calendar = null
+) {
   if (!data || data.length === 0) {
     return {
       error: "No data available for profiling",
@@ -23,115 +89,748 @@ export function profileFields(data, fieldNames, maxUniqueValues = 1000) {
     };
   }
 
-  const totalRows = data.length;
   const results = [];
+  for (const fieldName of fieldNames) {
+    const { valueCounts, nullCount } = countFieldValues(data, fieldName);
+    let emptyStringCount = 0;
+    for (const row of data) {
+      if (row[fieldName] === "") {
+        emptyStringCount++;
+      }
+    }
+
+    results.push(
+      profileFieldCounts(
+        fieldName,
+        { valueCounts, nullCount, emptyStringCount, totalRows: data.length },
+        {
+          maxUniqueValues,
+          outliers,
+          calendar,
+          createdAt: getCreatedAt(metadata),
+        },
+        findField(metadata, fieldName)
+      )
+    );
+  }
 
+  return {
+    error: null,
+    fields: results,
+  };
+}
+
+/**
+ * Compute value frequency distribution for fields of a QVD file, from how
+ * often each symbol is referenced by the index table. Only the symbol tables
+ * of the fields and their bits of the index table are read, so all rows of
+ * the file are covered without loading them into memory.
+ * @param {Object} reader - Open QvdRandomAccessReader
+ * @param {Array<string>} fieldNames - Field names to profile
+ * @param {Object} options - Profiling options
+ * @param {number} options.maxUniqueValues - Maximum unique values to list per field (default: 1000)
+ * @param {Object|null} options.metadata - QVD metadata with user type overrides (default: the reader's metadata)
+ * @param {Object} options.outliers - Outlier method and threshold for numeric fields, see resolveOutlierOptions (default: IQR with threshold 1.5)
+ * @param {Object|null} options.calendar - Resolved calendar for date fields, see resolveCalendar (default: calendar years, all days)
+ * @param {Function|null} options.onProgress - Progress callback (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function|null} options.isCancelled - Returns true when profiling should stop
+ * @returns {Promise<Object>} Profiling results with frequency distributions
+ */
+export async function profileQvdFields(
+  reader,
+  fieldNames,
+  {
+    maxUniqueValues = 1000,
+    metadata = null,
+    outliers = {},
+    calendar = null,
+    onProgress = null,
+    isCancelled = null,
+  } = {}
+) {
+  const fileMetadata = await reader.open();
+  const totalRows = fileMetadata.noOfRecords;
+  if (totalRows === 0) {
+    return {
+      error: "No data available for profiling",
+      fields: [],
+    };
+  }
+
+  const histograms = await reader.countSymbolIndices(fieldNames, {
+    onProgress,
+    isCancelled,
+  });
+
+  const results = [];
   for (const fieldName of fieldNames) {
-    // Count value frequencies
-    const valueCounts = new Map();
-    let nullCount = 0;
-    let uniqueValueCount = 0;
+    const { counts, nullCount } = histograms.get(fieldName);
+    const symbols = await reader.getSymbols(fieldName);
 
-    for (const row of data) {
-      const value = row[fieldName];
-      
-      // Handle null/undefined/empty values
+    // Empty strings count as NULL, like in the row based profile
+    const valueCounts = new Map();
+    let emptyStringCount = 0;
+    for (let i = 0; i < symbols.length; i++) {
+      if (counts[i] === 0) {
+        continue;
+      }
+      const value = symbols[i];
       if (value === null || value === undefined || value === "") {
-        nullCount++;
+        if (value === "") {
+          emptyStringCount += counts[i];
+        }
         continue;
       }
+      valueCounts.set(value, (valueCounts.get(value) || 0) + counts[i]);
+    }
 
-      // Convert to string for consistent handling
-      const valueStr = String(value);
-      
-      if (valueCounts.has(valueStr)) {
-        valueCounts.set(valueStr, valueCounts.get(valueStr) + 1);
-      } else {
-        uniqueValueCount++;
-        if (uniqueValueCount <= maxUniqueValues) {
-          valueCounts.set(valueStr, 1);
+    results.push(
+      profileFieldCounts(
+        fieldName,
+        {
+          valueCounts,
+          nullCount: nullCount + emptyStringCount,
+          emptyStringCount,
+          totalRows,
+        },
+        {
+          maxUniqueValues,
+          outliers,
+          calendar,
+          createdAt: getCreatedAt(metadata || fileMetadata),
+        },
+        findField(metadata || fileMetadata, fieldName)
+      )
+    );
+  }
+
+  return {
+    error: null,
+    fields: results,
+  };
+}
+
+/**
+ * Profile fields by streaming rows through bounded-memory sketches
+ * Distinct counts are estimated with HyperLogLog, the most frequent values
+ * with Space-Saving and numeric percentiles with a t-digest. Type
+ * detection, string and temporal analysis use a random sample of the rows.
+ * Row, NULL and numeric counts, sums and moments are exact. Each field
+ * lists the error bounds of its estimates under approximate.
+ * @param {Object} source - Row source, e.g. wrapped with trackRowSource for progress and cancellation
+ * @param {Array<string>} fieldNames - Field names to profile
+ * @param {Object} options - Profiling options
+ * @param {number} options.maxUniqueValues - Maximum unique values to list per field (default: 1000)
+ * @param {Object|null} options.metadata - QVD metadata with user type overrides (default: the source's metadata)
+ * @param {Object} options.outliers - Outlier method and threshold for numeric fields, see resolveOutlierOptions (default: IQR with threshold 1.5)
+ * @param {Object|null} options.calendar - Resolved calendar for date fields, see resolveCalendar (default: calendar years, all days)
+ * @param {number} options.sampleSize - Rows sampled per field (default: 10000)
+ * @param {number} options.topValuesCapacity - Values tracked per field for the value counts, at least maxUniqueValues (default: 10000)
+ * @param {Function} options.random - Random number generator for sampling (default: Math.random)
+ * @returns {Promise<Object>} Profiling results, shaped like those of profileFields
+ */
+export async function profileSourceApproximate(
+  source,
+  fieldNames,
+  {
+    maxUniqueValues = 1000,
+    metadata = null,
+    outliers = {},
+    calendar = null,
+    sampleSize = DEFAULT_SAMPLE_SIZE,
+    topValuesCapacity = DEFAULT_TOP_VALUES_CAPACITY,
+    random = Math.random,
+  } = {}
+) {
+  const sketches = fieldNames.map(() => ({
+    distinct: new HyperLogLog(),
+    topValues: new SpaceSaving(Math.max(topValuesCapacity, maxUniqueValues)),
+    numeric: createNumericSketch(),
+    sample: new ReservoirSample(sampleSize, random),
+    nullCount: 0,
+    emptyStringCount: 0,
+  }));
+
+  let totalRows = 0;
+  for await (const batch of source.batches()) {
+    for (const row of batch) {
+      for (let f = 0; f < fieldNames.length; f++) {
+        const sketch = sketches[f];
+        const value = row[fieldNames[f]];
+        sketch.sample.add(value);
+        if (value === null || value === undefined || value === "") {
+          sketch.nullCount++;
+          if (value === "") {
+            sketch.emptyStringCount++;
+          }
+          continue;
         }
+        sketch.distinct.add(value);
+        sketch.topValues.add(value);
+        addToNumericSketch(sketch.numeric, value);
       }
     }
+    totalRows += batch.length;
+  }
 
-    // Check if we exceeded max unique values
-    const truncated = uniqueValueCount > maxUniqueValues;
-
-    // Sort by frequency (descending) and convert to array
-    const sortedValues = Array.from(valueCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([value, count]) => ({
-        value,
-        count,
-        percentage: ((count / totalRows) * 100).toFixed(2),
-      }));
-
-    // Add null count if present
-    if (nullCount > 0) {
-      sortedValues.push({
-        value: "(NULL/Empty)",
-        count: nullCount,
-        percentage: ((nullCount / totalRows) * 100).toFixed(2),
-      });
-    }
+  if (totalRows === 0) {
+    return {
+      error: "No data available for profiling",
+      fields: [],
+    };
+  }
 
-    // Calculate statistics if field is numeric
-    const isNumeric = isNumericField(data, fieldName);
-    let statistics = null;
-    
-    if (isNumeric) {
-      statistics = calculateStatistics(data, fieldName);
+  return {
+    error: null,
+    approximate: true,
+    fields: fieldNames.map((fieldName, f) =>
+      summarizeFieldSketch(
+        fieldName,
+        sketches[f],
+        totalRows,
+        {
+          maxUniqueValues,
+          outliers,
+          calendar,
+          createdAt: getCreatedAt(metadata || source.metadata),
+        },
+        findField(metadata || source.metadata, fieldName)
+      )
+    ),
+  };
+}
+
+/**
+ * Build the profile of one field from its sketches
+ * @param {string} fieldName - Field name
+ * @param {Object} sketch - Sketches of the field
+ * @param {number} totalRows - Total number of rows
+ * @param {Object} options - Profiling options
+ * @param {number} options.maxUniqueValues - Maximum unique values to list
+ * @param {Object} options.outliers - Outlier method and threshold for numeric fields
+ * @param {Object|null} options.calendar - Resolved calendar for date fields
+ * @param {Date|null} options.createdAt - Creation time of the file, if known
+ * @param {Object|null} field - Field metadata, if known
+ * @returns {Object} Field profile, with error bounds under approximate
+ */
+function summarizeFieldSketch(
+  fieldName,
+  { distinct, topValues, numeric, sample, nullCount, emptyStringCount },
+  totalRows,
+  { maxUniqueValues, outliers, calendar, createdAt },
+  field
+) {
+  // Without evictions, Space-Saving has counted every value exactly
+  const exactCounts = !topValues.evicted;
+  const top = topValues.top();
+  const uniqueValueCount = exactCounts ? top.length : distinct.count();
+  const truncated = uniqueValueCount > maxUniqueValues;
+
+  const sortedValues = top.slice(0, maxUniqueValues).map((item) => ({
+    value: String(item.value),
+    count: item.count,
+    percentage: ((item.count / totalRows) * 100).toFixed(2),
+    error: item.error,
+  }));
+  if (nullCount > 0) {
+    sortedValues.push({
+      value: "(NULL/Empty)",
+      count: nullCount,
+      percentage: ((nullCount / totalRows) * 100).toFixed(2),
+      error: 0,
+    });
+  }
+
+  // Types are detected and text and dates analyzed on the sample
+  const sampleCounts = countFieldValues(
+    sample.items.map((value) => ({ value })),
+    "value"
+  );
+  const resolved = field ? resolveFieldType(field) : null;
+  const typed = resolved !== null && resolved.source !== TYPE_SOURCES.VALUES;
+
+  const isNumeric = typed
+    ? isNumericType(resolved.type)
+    : isNumericFromCounts(sampleCounts.valueCounts);
+  let statistics = null;
+  if (isNumeric) {
+    // Values counted more often than any value left out are true modes
+    const modeCount = top.length > 0 ? top[0].count : 0;
+    const mode =
+      modeCount > 1 && modeCount - top[0].error > topValues.maxError
+        ? top
+            .filter((item) => item.count === modeCount)
+            .map((item) => Number(item.value))
+            .filter((value) => Number.isFinite(value))
+        : [];
+    statistics = calculateStatisticsFromSketch(
+      numeric,
+      nullCount,
+      totalRows,
+      mode,
+      outliers
+    );
+  }
+
+  const isDate = typed
+    ? isTemporalType(resolved.type)
+    : isDateFromCounts(sampleCounts.valueCounts);
+  let temporalAnalysis = null;
+  if (isDate) {
+    temporalAnalysis = calculateTemporalAnalysisFromCounts(
+      sampleCounts.valueCounts,
+      sampleCounts.nullCount,
+      sample.items.length,
+      field,
+      calendar,
+      createdAt
+    );
+  }
+
+  const isString = typed
+    ? resolved.type === FIELD_TYPES.TEXT
+    : !isNumeric && !isDate && isStringFromCounts(sampleCounts.valueCounts);
+  let stringAnalysis = null;
+  if (isString) {
+    stringAnalysis = calculateStringAnalysisFromCounts(
+      sampleCounts.valueCounts,
+      sampleCounts.nullCount
+    );
+  }
+
+  const listedCounts = new Map(
+    top.map((item) => [String(item.value), item.count])
+  );
+  const qualityMetrics = calculateDataQualityMetricsFromCounts(listedCounts, {
+    totalRows,
+    uniqueValues: uniqueValueCount,
+    nullCount,
+    emptyStringCount,
+  });
+
+  // The shape of numbers comes from the sample, frequencies from the sketch
+  const sparkline =
+    isNumeric || (isDate && isNumericFromCounts(sampleCounts.valueCounts))
+      ? buildHistogram(sampleCounts.valueCounts)
+      : {
+          kind: "frequency",
+          values: top.slice(0, SPARKLINE_BARS).map((item) => item.count),
+        };
+
+  const relativeError = exactCounts ? 0 : distinct.relativeError;
+  const margin = DISTINCT_COUNT_Z * relativeError;
+  return {
+    fieldName,
+    totalRows,
+    fieldType: resolved ? resolved.type : null,
+    fieldTypeSource: resolved ? resolved.source : null,
+    uniqueValues: uniqueValueCount,
+    nullCount,
+    distributions: sortedValues,
+    truncated,
+    truncatedAt: maxUniqueValues,
+    isNumeric,
+    statistics,
+    isDate,
+    temporalAnalysis,
+    isString,
+    stringAnalysis,
+    qualityMetrics,
+    // The first and last text in sort order are unknown without all values
+    textRange: null,
+    sparkline,
+    approximate: {
+      distinctCount: {
+        exact: exactCounts,
+        relativeError,
+        low: Math.floor(uniqueValueCount * (1 - margin)),
+        high: Math.ceil(uniqueValueCount * (1 + margin)),
+      },
+      topValues: {
+        exact: exactCounts,
+        maxError: topValues.maxError,
+        // Values left out of the list occur at most this often
+        unlistedMaxCount:
+          top.length > maxUniqueValues
+            ? top[maxUniqueValues].count
+            : topValues.maxError,
+      },
+      percentiles:
+        statistics && statistics.approximate
+          ? statistics.approximate.percentiles
+          : null,
+      sample: {
+        size: sample.items.length,
+        rows: sample.seen,
+      },
+    },
+  };
+}
+
+/**
+ * Compare approximate profiles with exact profiles of the same fields
+ * @param {Object} exact - Results of profileFields or profileQvdFields
+ * @param {Object} approximate - Results of profileSourceApproximate
+ * @param {number} topValues - Number of most frequent values to compare (default: 10)
+ * @returns {Array<Object>} Per field, the metrics compared as {metric, exact, approximate, bound, withinBounds}
+ */
+export function compareProfiles(exact, approximate, topValues = 10) {
+  return approximate.fields.map((estimated) => {
+    const actual = exact.fields.find(
+      (item) => item.fieldName === estimated.fieldName
+    );
+    const metrics = [];
+    if (!actual) {
+      return { fieldName: estimated.fieldName, metrics };
     }
+    const bounds = estimated.approximate;
+    const margin = DISTINCT_COUNT_Z * bounds.distinctCount.relativeError;
 
-    // Calculate temporal analysis if field is date/timestamp
-    const isDate = isDateField(data, fieldName);
-    let temporalAnalysis = null;
-    
-    if (isDate) {
-      temporalAnalysis = calculateTemporalAnalysis(data, fieldName);
+    metrics.push({
+      metric: "Unique values",
+      exact: actual.uniqueValues,
+      approximate: estimated.uniqueValues,
+      bound: bounds.distinctCount.exact
+        ? "exact"
+        : `±${(margin * 100).toFixed(1)}%`,
+      withinBounds:
+        actual.uniqueValues >= bounds.distinctCount.low &&
+        actual.uniqueValues <= bounds.distinctCount.high,
+    });
+
+    if (
+      actual.statistics &&
+      actual.statistics.isNumeric &&
+      estimated.statistics &&
+      estimated.statistics.isNumeric
+    ) {
+      for (const key of ["p10", "p50", "p90"]) {
+        metrics.push({
+          metric: `Percentile ${key.slice(1)}`,
+          exact: actual.statistics.distribution.percentiles[key],
+          approximate: estimated.statistics.distribution.percentiles[key],
+          bound: `rank ±${(bounds.percentiles[key] * 100).toFixed(2)}%`,
+          withinBounds: null,
+        });
+      }
+      metrics.push({
+        metric: "Outliers",
+        exact: actual.statistics.outliers.count,
+        approximate: estimated.statistics.outliers.count,
+        bound: "estimated from the t-digest",
+        withinBounds: null,
+      });
     }
 
-    // Calculate string analysis if field is string (non-numeric, non-date)
-    const isString = !isNumeric && !isDate && isStringField(data, fieldName);
-    let stringAnalysis = null;
-    
-    if (isString) {
-      stringAnalysis = calculateStringAnalysis(data, fieldName);
+    // Space-Saving counts overestimate by at most their error
+    const estimatedCounts = new Map(
+      estimated.distributions.map((item) => [item.value, item])
+    );
+    for (const item of actual.distributions.slice(0, topValues)) {
+      const match = estimatedCounts.get(item.value);
+      const count = match ? match.count : null;
+      const error = match ? match.error : bounds.topValues.unlistedMaxCount;
+      metrics.push({
+        metric: `Count of "${item.value}"`,
+        exact: item.count,
+        approximate: count,
+        bound: !match
+          ? `not listed, at most ${error.toLocaleString()}`
+          : error === 0
+            ? "exact"
+            : `overestimated by at most ${error.toLocaleString()}`,
+        withinBounds: match
+          ? item.count <= count && item.count >= count - error
+          : item.count <= error,
+      });
     }
 
-    // Calculate data quality metrics
-    const qualityMetrics = calculateDataQualityMetrics(
-      data,
-      fieldName,
-      uniqueValueCount,
+    return { fieldName: estimated.fieldName, metrics };
+  });
+}
+
+/**
+ * Get the creation time of a QVD file from its CreateUtcTime
+ * @param {Object|null} metadata - QVD metadata
+ * @returns {Date|null} Creation time, or null when unknown
+ */
+function getCreatedAt(metadata) {
+  if (!metadata || !metadata.createUtcTime) {
+    return null;
+  }
+  const date = new Date(`${metadata.createUtcTime.replace(" ", "T")}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find the metadata of a field
+ * @param {Object|null} metadata - QVD metadata
+ * @param {string} fieldName - Field name
+ * @returns {Object|null} Field metadata, if known
+ */
+function findField(metadata, fieldName) {
+  return metadata
+    ? metadata.fields.find((f) => f.name === fieldName) || null
+    : null;
+}
+
+/**
+ * Build the profile of one field from its value counts
+ * @param {string} fieldName - Field name
+ * @param {Object} counts - Value counts of the field
+ * @param {Map<*, number>} counts.valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} counts.nullCount - NULL/empty rows
+ * @param {number} counts.emptyStringCount - Rows holding an empty string
+ * @param {number} counts.totalRows - Total number of rows
+ * @param {Object} options - Profiling options
+ * @param {number} options.maxUniqueValues - Maximum unique values to list
+ * @param {Object} options.outliers - Outlier method and threshold for numeric fields
+ * @param {Object|null} options.calendar - Resolved calendar for date fields
+ * @param {Date|null} options.createdAt - Creation time of the file, if known
+ * @param {Object|null} field - Field metadata, if known
+ * @returns {Object} Field profile
+ */
+function profileFieldCounts(
+  fieldName,
+  { valueCounts, nullCount, emptyStringCount, totalRows },
+  { maxUniqueValues, outliers, calendar, createdAt },
+  field
+) {
+  // Convert to string for consistent handling
+  const distinctCounts = new Map();
+  for (const [value, count] of valueCounts) {
+    const valueStr = String(value);
+    distinctCounts.set(valueStr, (distinctCounts.get(valueStr) || 0) + count);
+  }
+  const uniqueValueCount = distinctCounts.size;
+
+  // Check if we exceeded max unique values
+  const truncated = uniqueValueCount > maxUniqueValues;
+
+  // Sort by frequency (descending), keeping the most frequent values
+  const sortedValues = Array.from(distinctCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxUniqueValues)
+    .map(([value, count]) => ({
+      value,
+      count,
+      percentage: ((count / totalRows) * 100).toFixed(2),
+    }));
+
+  // Add null count if present
+  if (nullCount > 0) {
+    sortedValues.push({
+      value: "(NULL/Empty)",
+      count: nullCount,
+      percentage: ((nullCount / totalRows) * 100).toFixed(2),
+    });
+  }
+
+  // Fields typed by the QVD header or the user are analyzed as that
+  // type, other fields are classified by their values
+  const resolved = field ? resolveFieldType(field) : null;
+  const typed = resolved !== null && resolved.source !== TYPE_SOURCES.VALUES;
+
+  // Calculate statistics if field is numeric
+  const isNumeric = typed
+    ? isNumericType(resolved.type)
+    : isNumericFromCounts(valueCounts);
+  let statistics = null;
+
+  if (isNumeric) {
+    statistics = calculateStatisticsFromCounts(
+      valueCounts,
       nullCount,
-      valueCounts
+      totalRows,
+      outliers
     );
+  }
 
-    results.push({
-      fieldName,
-      totalRows,
-      uniqueValues: uniqueValueCount,
+  // Calculate temporal analysis if field is date/timestamp
+  const isDate = typed
+    ? isTemporalType(resolved.type)
+    : isDateFromCounts(valueCounts);
+  let temporalAnalysis = null;
+
+  if (isDate) {
+    temporalAnalysis = calculateTemporalAnalysisFromCounts(
+      valueCounts,
       nullCount,
-      distributions: sortedValues,
-      truncated,
-      truncatedAt: maxUniqueValues,
-      isNumeric,
-      statistics,
-      isDate,
-      temporalAnalysis,
-      isString,
-      stringAnalysis,
-      qualityMetrics,
-    });
+      totalRows,
+      field,
+      calendar,
+      createdAt
+    );
   }
 
+  // Calculate string analysis if field is string (non-numeric, non-date)
+  const isString = typed
+    ? resolved.type === FIELD_TYPES.TEXT
+    : !isNumeric && !isDate && isStringFromCounts(valueCounts);
+  let stringAnalysis = null;
+
+  if (isString) {
+    stringAnalysis = calculateStringAnalysisFromCounts(valueCounts, nullCount);
+  }
+
+  // Numbers are shown as histogram, other values by their frequencies
+  const sparkline =
+    isNumeric || (isDate && isNumericFromCounts(valueCounts))
+      ? buildHistogram(valueCounts)
+      : {
+          kind: "frequency",
+          values: sortedValues
+            .filter((item) => item.value !== "(NULL/Empty)")
+            .slice(0, SPARKLINE_BARS)
+            .map((item) => item.count),
+        };
+
+  // Calculate data quality metrics
+  const qualityMetrics = calculateDataQualityMetricsFromCounts(distinctCounts, {
+    totalRows,
+    uniqueValues: uniqueValueCount,
+    nullCount,
+    emptyStringCount,
+  });
+
   return {
-    error: null,
-    fields: results,
+    fieldName,
+    totalRows,
+    fieldType: resolved ? resolved.type : null,
+    fieldTypeSource: resolved ? resolved.source : null,
+    uniqueValues: uniqueValueCount,
+    nullCount,
+    distributions: sortedValues,
+    truncated,
+    truncatedAt: maxUniqueValues,
+    isNumeric,
+    statistics,
+    isDate,
+    temporalAnalysis,
+    isString,
+    stringAnalysis,
+    qualityMetrics,
+    textRange: isNumeric || isDate ? null : findTextRange(distinctCounts),
+    sparkline,
   };
 }
 
+/**
+ * Count numeric values in equal-width bins between the smallest and the
+ * largest value
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @returns {{kind: string, values: Array<number>}} Rows per bin
+ */
+function buildHistogram(valueCounts) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of valueCounts.keys()) {
+    const num = Number(value);
+    if (Number.isFinite(num)) {
+      min = Math.min(min, num);
+      max = Math.max(max, num);
+    }
+  }
+  if (min > max) {
+    return { kind: "histogram", values: [] };
+  }
+
+  const bins = new Array(min === max ? 1 : SPARKLINE_BARS).fill(0);
+  const width = (max - min) / bins.length;
+  for (const [value, count] of valueCounts) {
+    const num = Number(value);
+    if (Number.isFinite(num)) {
+      const bin = width === 0 ? 0 : Math.floor((num - min) / width);
+      bins[Math.min(bin, bins.length - 1)] += count;
+    }
+  }
+  return { kind: "histogram", values: bins };
+}
+
+/**
+ * Find the first and last value of a text field in sort order
+ * @param {Map<string, number>} distinctCounts - Rows per value text
+ * @returns {{min: string, max: string}|null} Range, or null without values
+ */
+function findTextRange(distinctCounts) {
+  let min = null;
+  let max = null;
+  for (const value of distinctCounts.keys()) {
+    if (min === null || value < min) {
+      min = value;
+    }
+    if (max === null || value > max) {
+      max = value;
+    }
+  }
+  return min === null ? null : { min, max };
+}
+
+/**
+ * Summarize field profiles as one overview row per field, for the dataset
+ * overview of the Profiling tab
+ * @param {Object} profile - Results of profileQvdFields or profileFields
+ * @returns {Array<Object>} Overview rows with type, NULL percentage, distinct count, cardinality class, range, top value, quality color and sparkline
+ */
+export function buildProfileOverview(profile) {
+  return profile.fields.map((field, index) => {
+    const quality = field.qualityMetrics || {};
+    const cardinality = quality.cardinality || {};
+    const assessment = quality.assessment || {};
+    const topValue =
+      field.distributions.find((item) => item.value !== "(NULL/Empty)") ||
+      null;
+
+    let min = null;
+    let max = null;
+    const stats = field.statistics;
+    const temporal = field.temporalAnalysis;
+    if (temporal && temporal.isDate && temporal.range.earliest) {
+      const format =
+        field.fieldType === FIELD_TYPES.TIMESTAMP ? formatDateTime : formatDate;
+      min = format(temporal.range.earliest);
+      max = format(temporal.range.latest);
+    } else if (stats && stats.isNumeric) {
+      min = stats.descriptive.min;
+      max = stats.descriptive.max;
+    } else if (field.textRange) {
+      min = field.textRange.min;
+      max = field.textRange.max;
+    }
+
+    let type = field.fieldType;
+    if (!type) {
+      if (field.isDate) {
+        type = FIELD_TYPES.DATE;
+      } else if (field.isNumeric) {
+        type = FIELD_TYPES.NUMBER;
+      } else {
+        type = field.isString ? FIELD_TYPES.TEXT : "mixed";
+      }
+    }
+
+    return {
+      index,
+      fieldName: field.fieldName,
+      type,
+      typeSource: field.fieldTypeSource || TYPE_SOURCES.VALUES,
+      nullPercentage:
+        field.totalRows > 0 ? (field.nullCount / field.totalRows) * 100 : 0,
+      distinctCount: field.uniqueValues,
+      cardinality: cardinality.level || null,
+      cardinalityColor: cardinality.color || null,
+      min,
+      max,
+      topValue: topValue ? topValue.value : null,
+      topValuePercentage: topValue ? Number(topValue.percentage) : null,
+      qualityColor: assessment.color || null,
+      qualityScore:
+        assessment.qualityScore !== undefined ? assessment.qualityScore : null,
+      sparkline: field.sparkline || null,
+    };
+  });
+}
+
 /**
  * Escape special characters in values for QVS inline format
  * @param {string} value - Value to escape
@@ -0,0 +1,302 @@
+/**
+ * QVD Query Engine
+ * Loads a QVD file into an in-memory SQLite database (sql.js) and runs
+ * read-only SQL queries against it.
+ */
+
+import { basename, extname } from "path";
+import {
+  loadSqlJs,
+  createSQLiteTable,
+  quoteIdentifier,
+} from "./exporters/sqliteExporter.mjs";
+import { createRowSource, DEFAULT_BATCH_SIZE } from "./qvdRowSource.mjs";
+
+/**
+ * Default maximum number of result rows returned for display
+ */
+export const DEFAULT_MAX_RESULT_ROWS = 10000;
+
+/**
+ * Make column names unique by appending a counter to repeated names,
+ * e.g. the result of SELECT a, a FROM t
+ * @param {Array<string>} names - Column names as reported by SQLite
+ * @returns {Array<string>} Unique column names
+ */
+export function uniqueColumnNames(names) {
+  const seen = new Map();
+  return names.map((name) => {
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count === 1 ? name : `${name}_${count}`;
+  });
+}
+
+/**
+ * Remove trailing semicolons and whitespace from a query
+ * @param {string} sql - SQL query
+ * @returns {string} Trimmed query
+ */
+function trimQuery(sql) {
+  return String(sql || "")
+    .trim()
+    .replace(/[\s;]+$/, "");
+}
+
+/**
+ * Runs SQL queries against the rows of a QVD file
+ */
+class QvdQueryEngine {
+  /**
+   * @param {object} qvdReader - QVD reader instance
+   * @param {string} filePath - Path to the QVD file
+   */
+  constructor(qvdReader, filePath) {
+    this.qvdReader = qvdReader;
+    this.filePath = filePath;
+    // Promise for the loaded database, shared by concurrent queries
+    this.loading = null;
+    // Random access reader the database was loaded from, used to detect
+    // changes to the file on disk
+    this.sourceReader = null;
+  }
+
+  /**
+   * Name of the SQLite table holding the QVD rows
+   * The QVD table name is used when available, otherwise the file name.
+   * @param {object} metadata - QVD metadata
+   * @returns {string} Table name
+   */
+  getTableName(metadata) {
+    return (
+      metadata.tableName || basename(this.filePath, extname(this.filePath))
+    );
+  }
+
+  /**
+   * Check whether a database has been loaded (or is being loaded)
+   * @returns {boolean} True if load() was called and did not fail
+   */
+  isLoaded() {
+    return this.loading !== null;
+  }
+
+  /**
+   * Load the QVD file into an in-memory database, or return the database
+   * loaded earlier if the file has not changed since
+   * @param {Object} options - Load options
+   * @param {Function} options.wrapSource - Optional function wrapping the row source, e.g. to track progress
+   * @returns {Promise<{db: object, tableName: string, tables: Array<string>, columns: Array<string>}>}
+   */
+  async load({ wrapSource = null } = {}) {
+    const reader = await this.qvdReader.getRandomAccessReader(this.filePath);
+    if (this.loading && this.sourceReader === reader) {
+      return this.loading;
+    }
+
+    this.close();
+    this.sourceReader = reader;
+    this.loading = this.createDatabase(reader, wrapSource);
+
+    try {
+      return await this.loading;
+    } catch (error) {
+      this.loading = null;
+      this.sourceReader = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Create the database and fill it with all rows of the QVD file
+   * @param {object} reader - Opened random access reader
+   * @param {Function} wrapSource - Optional function wrapping the row source
+   * @returns {Promise<{db: object, tableName: string, tables: Array<string>, columns: Array<string>}>}
+   */
+  async createDatabase(reader, wrapSource) {
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+
+    try {
+      const metadata = reader.metadata;
+      const tableName = this.getTableName(metadata);
+      let source = await this.qvdReader.createRowSource(this.filePath);
+      if (wrapSource) {
+        source = wrapSource(source);
+      }
+
+      await createSQLiteTable(db, source, tableName);
+
+      // Generic alias so that queries work regardless of the table name
+      const tables = [tableName];
+      if (tableName.toLowerCase() !== "data") {
+        db.run(
+          `CREATE VIEW data AS SELECT * FROM ${quoteIdentifier(tableName)}`
+        );
+        tables.push("data");
+      }
+
+      // Queries are read-only; any attempt to modify the database fails
+      db.run("PRAGMA query_only = 1");
+
+      return { db, tableName, tables, columns: source.columns };
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Prepare a single SQL statement
+   * @param {object} db - sql.js database
+   * @param {string} sql - SQL query
+   * @returns {object} Prepared statement
+   */
+  prepare(db, sql) {
+    const query = trimQuery(sql);
+    if (!query) {
+      throw new Error("Enter a query to run");
+    }
+
+    // The statement iterator frees each statement when moving to the next,
+    // so it is only used to check that the query holds a single statement
+    const statements = db.iterateStatements(query);
+    const first = statements.next();
+    if (first.done) {
+      throw new Error("Enter a query to run");
+    }
+    const firstSql = first.value.getSQL();
+
+    const second = statements.next();
+    if (!second.done) {
+      second.value.free();
+      throw new Error("Only one statement can be run at a time");
+    }
+
+    return db.prepare(firstSql);
+  }
+
+  /**
+   * Run a query and return up to maxRows result rows
+   * @param {string} sql - SQL query
+   * @param {number} maxRows - Maximum number of rows to return (default: 10000)
+   * @param {Object} options - Load options, see load()
+   * @returns {Promise<{columns: Array<string>, rows: Array<Array>, truncated: boolean, durationMs: number, tables: Array<string>, error: string|null}>}
+   */
+  async runQuery(sql, maxRows = DEFAULT_MAX_RESULT_ROWS, options = {}) {
+    try {
+      const { db, tables } = await this.load(options);
+
+      const start = performance.now();
+      const statement = this.prepare(db, sql);
+      const rows = [];
+      let truncated = false;
+      let columns;
+      try {
+        columns = uniqueColumnNames(statement.getColumnNames());
+        while (statement.step()) {
+          if (rows.length >= maxRows) {
+            truncated = true;
+            break;
+          }
+          rows.push(statement.get());
+        }
+      } finally {
+        statement.free();
+      }
+
+      return {
+        columns,
+        rows,
+        truncated,
+        durationMs: Math.round(performance.now() - start),
+        tables,
+        error: null,
+      };
+    } catch (error) {
+      return {
+        columns: [],
+        rows: [],
+        truncated: false,
+        durationMs: 0,
+        tables: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Create a row source streaming the full result of a query, e.g. for export
+   * @param {string} sql - SQL query
+   * @param {number} batchSize - Rows per batch (default: 10000)
+   * @returns {Promise<Object>} Row source with rows keyed by result column name
+   */
+  async createQueryRowSource(sql, batchSize = DEFAULT_BATCH_SIZE) {
+    const { db } = await this.load();
+
+    // Validate the query and determine the result columns
+    const statement = this.prepare(db, sql);
+    let columns;
+    try {
+      columns = uniqueColumnNames(statement.getColumnNames());
+    } finally {
+      statement.free();
+    }
+
+    const countResult = db.exec(
+      `SELECT COUNT(*) FROM (${trimQuery(sql)}\n)`
+    );
+    const rowCount = countResult[0].values[0][0];
+
+    const engine = this;
+    return createRowSource({
+      columns,
+      rowCount,
+      // Lets exporters carry over e.g. field tags of columns taken from the QVD
+      metadata: this.sourceReader.metadata,
+      batches: async function* () {
+        const { db: database } = await engine.load();
+        const rowStatement = engine.prepare(database, sql);
+        try {
+          let batch = [];
+          while (rowStatement.step()) {
+            const values = rowStatement.get();
+            const row = {};
+            columns.forEach((column, index) => {
+              row[column] = values[index];
+            });
+            batch.push(row);
+            if (batch.length === batchSize) {
+              yield batch;
+              batch = [];
+            }
+          }
+          if (batch.length > 0) {
+            yield batch;
+          }
+        } finally {
+          rowStatement.free();
+        }
+      },
+    });
+  }
+
+  /**
+   * Close the in-memory database and release its memory
+   */
+  close() {
+    const loading = this.loading;
+    this.loading = null;
+    this.sourceReader = null;
+    if (loading) {
+      loading.then(
+        ({ db }) => db.close(),
+        () => {
+          // Loading failed, nothing to close
+        }
+      );
+    }
+  }
+}
+
+export default QvdQueryEngine;
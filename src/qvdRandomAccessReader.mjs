@@ -0,0 +1,714 @@
+/**
+ * QVD Random Access Reader
+ * Reads the XML header, individual symbol tables and arbitrary ranges of the
+ * bit-packed index table directly from disk, so that a page of rows can be
+ * decoded without loading the whole QVD file into memory.
+ *
+ * See docs/QVD_FORMAT.md for a description of the binary layout.
+ */
+
+import { open, stat } from "fs/promises";
+import xmljs from "xml-js";
+
+const HEADER_END_TAG = "</QvdTableHeader>";
+const HEADER_CHUNK_SIZE = 64 * 1024;
+const INDEX_COUNT_BATCH_SIZE = 100000;
+
+/**
+ * Symbol type bytes used in QVD symbol tables
+ */
+export const SYMBOL_TYPES = {
+  INTEGER: 1,
+  DOUBLE: 2,
+  STRING: 4,
+  DUAL_INTEGER: 5,
+  DUAL_DOUBLE: 6,
+};
+
+/**
+ * A dual value: a number together with the text Qlik shows for it, as
+ * stored by symbols of type DUAL_INTEGER and DUAL_DOUBLE
+ * It compares and sorts as its number and converts to a string as its text.
+ */
+export class QvdDual {
+  /**
+   * @param {number} number - Numeric part
+   * @param {string} text - Text part
+   */
+  constructor(number, text) {
+    this.number = number;
+    this.text = text;
+  }
+
+  /**
+   * @returns {number} Numeric part, used in arithmetic and comparisons
+   */
+  valueOf() {
+    return this.number;
+  }
+
+  /**
+   * @returns {string} Text part
+   */
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Get the text content of a compact xml-js node
+ * @param {*} node - Node from xml-js compact output
+ * @returns {string} Text content or empty string
+ */
+function textOf(node) {
+  if (node === undefined || node === null) {
+    return "";
+  }
+  if (typeof node === "string") {
+    return node;
+  }
+  if (node._text !== undefined) {
+    return String(node._text);
+  }
+  if (node._cdata !== undefined) {
+    return String(node._cdata);
+  }
+  return "";
+}
+
+/**
+ * Wrap a compact xml-js node in an array
+ * @param {*} node - Node that may be undefined, a single node or an array
+ * @returns {Array} Array of nodes
+ */
+function asArray(node) {
+  if (node === undefined || node === null) {
+    return [];
+  }
+  return Array.isArray(node) ? node : [node];
+}
+
+/**
+ * Parse the XML header of a QVD file into the metadata structure used
+ * throughout the extension (same shape as QvdReader.read metadata)
+ * @param {string} xml - XML header text
+ * @returns {Object} Metadata object
+ */
+export function parseQvdHeader(xml) {
+  const parsed = xmljs.xml2js(xml, { compact: true, trim: true });
+  const table = parsed.QvdTableHeader;
+  if (!table) {
+    throw new Error("Invalid QVD header: QvdTableHeader element not found");
+  }
+
+  const fieldNodes = asArray(table.Fields && table.Fields.QvdFieldHeader);
+
+  const fields = fieldNodes.map((field) => {
+    const numberFormat = field.NumberFormat;
+    return {
+      name: textOf(field.FieldName),
+      type: "",
+      extent: "",
+      noOfSymbols: parseInt(textOf(field.NoOfSymbols)) || 0,
+      offset: parseInt(textOf(field.Offset)) || 0,
+      length: parseInt(textOf(field.Length)) || 0,
+      bitOffset: parseInt(textOf(field.BitOffset)) || 0,
+      bitWidth: parseInt(textOf(field.BitWidth)) || 0,
+      bias: parseInt(textOf(field.Bias)) || 0,
+      numberFormat: numberFormat
+        ? {
+            type: textOf(numberFormat.Type),
+            nDec: textOf(numberFormat.nDec),
+            useThou: textOf(numberFormat.UseThou),
+            fmt: textOf(numberFormat.Fmt),
+            dec: textOf(numberFormat.Dec),
+            thou: textOf(numberFormat.Thou),
+          }
+        : null,
+      tags: asArray(field.Tags && field.Tags.String).map(textOf),
+      comment: textOf(field.Comment),
+    };
+  });
+
+  const lineage = asArray(table.Lineage && table.Lineage.LineageInfo).map(
+    (info) => ({
+      Discriminator: textOf(info.Discriminator),
+      Statement: textOf(info.Statement),
+    })
+  );
+
+  return {
+    qvBuildNo: textOf(table.QvBuildNo),
+    creatorDoc: textOf(table.CreatorDoc),
+    createUtcTime: textOf(table.CreateUtcTime),
+    sourceCreateUtcTime: textOf(table.SourceCreateUtcTime),
+    sourceFileUtcTime: textOf(table.SourceFileUtcTime),
+    sourceFileSize: textOf(table.SourceFileSize),
+    staleUtcTime: textOf(table.StaleUtcTime),
+    tableName: textOf(table.TableName),
+    tableCreator: textOf(table.TableCreator),
+    compression: textOf(table.Compression),
+    recordByteSize: textOf(table.RecordByteSize),
+    noOfRecords: parseInt(textOf(table.NoOfRecords)) || 0,
+    offset: parseInt(textOf(table.Offset)) || 0,
+    length: parseInt(textOf(table.Length)) || 0,
+    comment: textOf(table.Comment),
+    encryptionInfo: textOf(table.EncryptionInfo),
+    tableTags: asArray(table.TableTags && table.TableTags.String)
+      .map(textOf)
+      .join(", "),
+    profilingData: textOf(table.ProfilingData),
+    lineage,
+    fields,
+  };
+}
+
+/**
+ * Decode a block of symbols from a symbol table buffer
+ * @param {Buffer} buffer - Buffer holding the symbol section of one field
+ * @param {number} count - Number of symbols to decode
+ * @param {boolean} withTypes - Also return the symbol type byte of each symbol
+ * @param {boolean} withTexts - Also return the text of each symbol, implies withTypes
+ * @returns {Array|{values: Array, types: Uint8Array, texts: Array<string>|undefined}} Decoded symbol values
+ */
+export function decodeSymbols(
+  buffer,
+  count,
+  withTypes = false,
+  withTexts = false
+) {
+  const values = new Array(count);
+  const types = withTypes || withTexts ? new Uint8Array(count) : null;
+  const texts = withTexts ? new Array(count) : null;
+  let pos = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (pos >= buffer.length) {
+      throw new Error(
+        `Symbol table truncated: expected ${count} symbols, decoded ${i}`
+      );
+    }
+
+    const typeByte = buffer[pos++];
+    if (types) {
+      types[i] = typeByte;
+    }
+
+    switch (typeByte) {
+      case SYMBOL_TYPES.INTEGER:
+        values[i] = buffer.readInt32LE(pos);
+        pos += 4;
+        if (texts) {
+          texts[i] = String(values[i]);
+        }
+        break;
+      case SYMBOL_TYPES.DOUBLE:
+        values[i] = buffer.readDoubleLE(pos);
+        pos += 8;
+        if (texts) {
+          texts[i] = String(values[i]);
+        }
+        break;
+      case SYMBOL_TYPES.STRING: {
+        const end = buffer.indexOf(0, pos);
+        if (end === -1) {
+          throw new Error("Unterminated string in symbol table");
+        }
+        values[i] = buffer.toString("utf8", pos, end);
+        pos = end + 1;
+        if (texts) {
+          texts[i] = values[i];
+        }
+        break;
+      }
+      case SYMBOL_TYPES.DUAL_INTEGER: {
+        // Dual values prefer the numeric representation
+        values[i] = buffer.readInt32LE(pos);
+        const end = buffer.indexOf(0, pos + 4);
+        if (end === -1) {
+          throw new Error("Unterminated string in symbol table");
+        }
+        if (texts) {
+          texts[i] = buffer.toString("utf8", pos + 4, end);
+        }
+        pos = end + 1;
+        break;
+      }
+      case SYMBOL_TYPES.DUAL_DOUBLE: {
+        values[i] = buffer.readDoubleLE(pos);
+        const end = buffer.indexOf(0, pos + 8);
+        if (end === -1) {
+          throw new Error("Unterminated string in symbol table");
+        }
+        if (texts) {
+          texts[i] = buffer.toString("utf8", pos + 8, end);
+        }
+        pos = end + 1;
+        break;
+      }
+      default:
+        throw new Error(
+          `Unknown symbol type ${typeByte} at byte ${pos - 1} of symbol table`
+        );
+    }
+  }
+
+  if (texts) {
+    return { values, types, texts };
+  }
+  return withTypes ? { values, types } : values;
+}
+
+/**
+ * Extract a bit-packed value from an index table row
+ * Rows are little-endian: bit 0 is the least significant bit of the first byte
+ * @param {Buffer} buffer - Buffer holding one or more index rows
+ * @param {number} rowStart - Byte position of the row within the buffer
+ * @param {number} bitOffset - Bit offset of the field within the row
+ * @param {number} bitWidth - Number of bits used by the field
+ * @returns {number} Stored (unbiased) index value
+ */
+export function extractBits(buffer, rowStart, bitOffset, bitWidth) {
+  if (bitWidth === 0) {
+    return 0;
+  }
+
+  const byteStart = rowStart + (bitOffset >> 3);
+  const shift = bitOffset & 7;
+  const bytesNeeded = (shift + bitWidth + 7) >> 3;
+
+  // Accumulate with multiplication rather than bit shifts so that
+  // values wider than 31 bits do not overflow
+  let value = 0;
+  let multiplier = 1;
+  for (let i = 0; i < bytesNeeded; i++) {
+    value += buffer[byteStart + i] * multiplier;
+    multiplier *= 256;
+  }
+
+  return Math.floor(value / 2 ** shift) % 2 ** bitWidth;
+}
+
+/**
+ * Random access reader for a single QVD file
+ * Symbol tables are decoded lazily per field and cached, the index table is
+ * read on demand for the requested row range only.
+ */
+class QvdRandomAccessReader {
+  /**
+   * @param {string} filePath - Path to the QVD file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.metadata = null;
+    this.symbolTablesStart = 0;
+    this.fileSize = 0;
+    this.mtimeMs = 0;
+    this.symbolCache = new Map();
+    this.dualSymbolCache = new Map();
+    this.dualTextCache = new Map();
+  }
+
+  /**
+   * Read and parse the XML header. Safe to call more than once.
+   * @returns {Promise<Object>} Metadata object
+   */
+  async open() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    const stats = await stat(this.filePath);
+    this.fileSize = stats.size;
+    this.mtimeMs = stats.mtimeMs;
+
+    const handle = await open(this.filePath, "r");
+    try {
+      const chunks = [];
+      let position = 0;
+      let headerEnd = -1;
+
+      // Read the file in chunks until the end of the XML header is found
+      while (headerEnd === -1 && position < this.fileSize) {
+        const chunk = Buffer.alloc(
+          Math.min(HEADER_CHUNK_SIZE, this.fileSize - position)
+        );
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+        if (bytesRead === 0) {
+          break;
+        }
+        chunks.push(chunk.subarray(0, bytesRead));
+        position += bytesRead;
+
+        const soFar = Buffer.concat(chunks);
+        const tagIndex = soFar.indexOf(HEADER_END_TAG);
+        if (tagIndex !== -1) {
+          // Header is terminated by \r\n\0 - symbol tables start after the null byte
+          const nullIndex = soFar.indexOf(0, tagIndex + HEADER_END_TAG.length);
+          if (nullIndex !== -1) {
+            headerEnd = nullIndex;
+            this.metadata = parseQvdHeader(
+              soFar.toString("utf8", 0, tagIndex + HEADER_END_TAG.length)
+            );
+          }
+        }
+      }
+
+      if (headerEnd === -1) {
+        throw new Error("Invalid QVD file: XML header terminator not found");
+      }
+
+      this.symbolTablesStart = headerEnd + 1;
+    } finally {
+      await handle.close();
+    }
+
+    const expectedEnd =
+      this.symbolTablesStart + this.metadata.offset + this.metadata.length;
+    if (expectedEnd > this.fileSize) {
+      throw new Error(
+        `Invalid QVD file: index table ends at byte ${expectedEnd} but file is ${this.fileSize} bytes`
+      );
+    }
+
+    return this.metadata;
+  }
+
+  /**
+   * Check whether the file on disk has changed since the header was read
+   * @returns {Promise<boolean>} True if the cached state is stale
+   */
+  async isStale() {
+    if (!this.metadata) {
+      return false;
+    }
+    const stats = await stat(this.filePath);
+    return stats.size !== this.fileSize || stats.mtimeMs !== this.mtimeMs;
+  }
+
+  /**
+   * Get the field metadata for a field name
+   * @param {string} fieldName - Field name
+   * @returns {Object} Field metadata
+   */
+  getField(fieldName) {
+    const field = this.metadata.fields.find((f) => f.name === fieldName);
+    if (!field) {
+      throw new Error(`Field not found in QVD: ${fieldName}`);
+    }
+    return field;
+  }
+
+  /**
+   * Read the raw symbol section of one field
+   * @param {Object} field - Field metadata
+   * @returns {Promise<Buffer>} Symbol section bytes
+   */
+  async readSymbolBuffer(field) {
+    await this.open();
+    const buffer = Buffer.alloc(field.length);
+    if (field.length === 0) {
+      return buffer;
+    }
+
+    const handle = await open(this.filePath, "r");
+    try {
+      const { bytesRead } = await handle.read(
+        buffer,
+        0,
+        field.length,
+        this.symbolTablesStart + field.offset
+      );
+      if (bytesRead < field.length) {
+        throw new Error(
+          `Truncated QVD file: symbol table of ${field.name} has ${bytesRead} of ${field.length} bytes`
+        );
+      }
+    } finally {
+      await handle.close();
+    }
+    return buffer;
+  }
+
+  /**
+   * Get the decoded symbol table of a field (cached)
+   * @param {string} fieldName - Field name
+   * @returns {Promise<Array>} Symbol values in symbol index order
+   */
+  async getSymbols(fieldName) {
+    await this.open();
+    if (this.symbolCache.has(fieldName)) {
+      return this.symbolCache.get(fieldName);
+    }
+
+    const field = this.getField(fieldName);
+    const buffer = await this.readSymbolBuffer(field);
+    const symbols = decodeSymbols(buffer, field.noOfSymbols);
+    this.symbolCache.set(fieldName, symbols);
+    return symbols;
+  }
+
+  /**
+   * Get the symbol table of a field with dual symbols as QvdDual values
+   * (cached)
+   * @param {string} fieldName - Field name
+   * @returns {Promise<Array>} Symbol values in symbol index order
+   */
+  async getDualSymbols(fieldName) {
+    await this.open();
+    if (this.dualSymbolCache.has(fieldName)) {
+      return this.dualSymbolCache.get(fieldName);
+    }
+
+    const { values, types, texts } = await this.getSymbolTable(fieldName);
+    const symbols = values.map((value, index) =>
+      types[index] === SYMBOL_TYPES.DUAL_INTEGER ||
+      types[index] === SYMBOL_TYPES.DUAL_DOUBLE
+        ? new QvdDual(value, texts[index])
+        : value
+    );
+    this.dualSymbolCache.set(fieldName, symbols);
+    return symbols;
+  }
+
+  /**
+   * Check whether a field holds dual values whose text is not simply their
+   * number, e.g. "000000" for 0 or "High" for 3 (cached)
+   * @param {string} fieldName - Field name
+   * @returns {Promise<boolean>} True if the text of some dual value differs from its number
+   */
+  async hasDualTexts(fieldName) {
+    await this.open();
+    if (!this.dualTextCache.has(fieldName)) {
+      const { values, types, texts } = await this.getSymbolTable(fieldName);
+      this.dualTextCache.set(
+        fieldName,
+        types.some(
+          (type, index) =>
+            (type === SYMBOL_TYPES.DUAL_INTEGER ||
+              type === SYMBOL_TYPES.DUAL_DOUBLE) &&
+            texts[index] !== String(values[index])
+        )
+      );
+    }
+    return this.dualTextCache.get(fieldName);
+  }
+
+  /**
+   * Get the distinct symbol types stored for a field
+   * @param {string} fieldName - Field name
+   * @returns {Promise<Array<number>>} Sorted SYMBOL_TYPES values found in the symbol table
+   */
+  async getSymbolTypes(fieldName) {
+    await this.open();
+    const field = this.getField(fieldName);
+    const buffer = await this.readSymbolBuffer(field);
+    const { types } = decodeSymbols(buffer, field.noOfSymbols, true);
+    return [...new Set(types)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Decode the symbol table of a field with the type and text of each symbol
+   * Only the field's symbol block is read, never the index table, so this
+   * takes the same time however many rows the file has. Not cached, unlike
+   * getSymbols.
+   * @param {string} fieldName - Field name
+   * @returns {Promise<{values: Array, types: Uint8Array, texts: Array<string>}>} Symbols in symbol index order
+   */
+  async getSymbolTable(fieldName) {
+    await this.open();
+    const field = this.getField(fieldName);
+    const buffer = await this.readSymbolBuffer(field);
+    return decodeSymbols(buffer, field.noOfSymbols, true, true);
+  }
+
+  /**
+   * Read a contiguous range of the index table
+   * @param {number} startRow - First row (0-indexed)
+   * @param {number} rowCount - Number of rows to read
+   * @returns {Promise<{buffer: Buffer, rowCount: number, recordByteSize: number}>}
+   */
+  async readIndexBuffer(startRow, rowCount) {
+    await this.open();
+    const recordByteSize = parseInt(this.metadata.recordByteSize) || 0;
+    const totalRows = this.metadata.noOfRecords;
+
+    const start = Math.max(0, Math.min(startRow, totalRows));
+    const count = Math.max(0, Math.min(rowCount, totalRows - start));
+    const buffer = Buffer.alloc(count * recordByteSize);
+
+    if (buffer.length > 0) {
+      const handle = await open(this.filePath, "r");
+      try {
+        const { bytesRead } = await handle.read(
+          buffer,
+          0,
+          buffer.length,
+          this.symbolTablesStart +
+            this.metadata.offset +
+            start * recordByteSize
+        );
+        // A short read would leave the rest of the buffer zero-filled,
+        // which decodes as valid but wrong symbol indices
+        if (bytesRead < buffer.length) {
+          throw new Error(
+            `Truncated QVD file: index table rows ${start} to ${
+              start + count - 1
+            } have ${bytesRead} of ${buffer.length} bytes`
+          );
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return { buffer, rowCount: count, recordByteSize };
+  }
+
+  /**
+   * Decode a range of rows into row objects
+   * @param {number} startRow - First row (0-indexed)
+   * @param {number} rowCount - Number of rows to read
+   * @param {Array<string>} fieldNames - Fields to include (default: all fields)
+   * @param {Object} options - Read options
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
+   * @returns {Promise<Array<Object>>} Row objects keyed by field name
+   */
+  async readRows(startRow, rowCount, fieldNames = null, { duals = false } = {}) {
+    await this.open();
+    const fields = fieldNames
+      ? fieldNames.map((name) => this.getField(name))
+      : this.metadata.fields;
+
+    const symbolTables = [];
+    for (const field of fields) {
+      symbolTables.push(
+        duals
+          ? await this.getDualSymbols(field.name)
+          : await this.getSymbols(field.name)
+      );
+    }
+
+    const { buffer, rowCount: count, recordByteSize } =
+      await this.readIndexBuffer(startRow, rowCount);
+
+    const rows = new Array(count);
+    for (let r = 0; r < count; r++) {
+      const rowStart = r * recordByteSize;
+      const row = {};
+      for (let f = 0; f < fields.length; f++) {
+        const field = fields[f];
+        const symbols = symbolTables[f];
+        const index =
+          extractBits(buffer, rowStart, field.bitOffset, field.bitWidth) +
+          field.bias;
+
+        // Negative indices (bias -2) represent NULL values
+        row[field.name] =
+          index >= 0 && index < symbols.length ? symbols[index] : null;
+      }
+      rows[r] = row;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Count how often each symbol of some fields is used, reading the index
+   * table one slice at a time
+   * Rows are never decoded: the bit-packed symbol indices are counted
+   * directly, so memory use depends on the number of symbols, not rows.
+   * @param {Array<string>} fieldNames - Fields to count (default: all fields)
+   * @param {Object} options - Counting options
+   * @param {number} options.batchSize - Rows per slice of the index table (default: 100000)
+   * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+   * @param {Function} options.isCancelled - Returns true when counting should stop
+   * @returns {Promise<Map<string, {counts: Uint32Array, nullCount: number}>>} Rows per symbol index and NULL rows, keyed by field name
+   */
+  async countSymbolIndices(
+    fieldNames = null,
+    {
+      batchSize = INDEX_COUNT_BATCH_SIZE,
+      onProgress = null,
+      isCancelled = null,
+    } = {}
+  ) {
+    await this.open();
+    const fields = fieldNames
+      ? fieldNames.map((name) => this.getField(name))
+      : this.metadata.fields;
+    const histograms = fields.map((field) => ({
+      counts: new Uint32Array(field.noOfSymbols),
+      nullCount: 0,
+    }));
+
+    const totalRows = this.metadata.noOfRecords;
+    for (let start = 0; start < totalRows; start += batchSize) {
+      if (isCancelled && isCancelled()) {
+        throw new Error("Operation cancelled");
+      }
+      const {
+        buffer,
+        rowCount: count,
+        recordByteSize,
+      } = await this.readIndexBuffer(start, batchSize);
+
+      for (let f = 0; f < fields.length; f++) {
+        const { bitOffset, bitWidth, bias } = fields[f];
+        const histogram = histograms[f];
+        const { counts } = histogram;
+
+        // Fields with a single symbol take no bits, every row holds the bias
+        if (bitWidth === 0) {
+          if (bias >= 0 && bias < counts.length) {
+            counts[bias] += count;
+          } else {
+            histogram.nullCount += count;
+          }
+          continue;
+        }
+
+        for (let r = 0; r < count; r++) {
+          const index =
+            extractBits(buffer, r * recordByteSize, bitOffset, bitWidth) +
+            bias;
+          // Negative indices (bias -2) represent NULL values
+          if (index >= 0 && index < counts.length) {
+            counts[index]++;
+          } else {
+            histogram.nullCount++;
+          }
+        }
+      }
+
+      if (onProgress && totalRows > 0) {
+        onProgress((count / totalRows) * 100, start + count, totalRows);
+      }
+    }
+
+    return new Map(fields.map((field, f) => [field.name, histograms[f]]));
+  }
+
+  /**
+   * Iterate over all rows in batches, reading one slice of the index table
+   * at a time
+   * @param {number} batchSize - Rows per batch
+   * @param {Array<string>} fieldNames - Fields to include (default: all fields)
+   * @param {Object} options - Read options
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
+   * @returns {AsyncGenerator<Array<Object>>} Batches of row objects
+   */
+  async *iterateBatches(batchSize, fieldNames = null, { duals = false } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+
+    await this.open();
+    const totalRows = this.metadata.noOfRecords;
+    for (let start = 0; start < totalRows; start += batchSize) {
+      yield await this.readRows(start, batchSize, fieldNames, { duals });
+    }
+  }
+}
+
+export default QvdRandomAccessReader;
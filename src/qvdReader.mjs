@@ -1,10 +1,18 @@
 import { QvdDataFrame } from 'qvdjs';
 import { dirname } from 'path';
+import QvdRandomAccessReader from './qvdRandomAccessReader.mjs';
+import { createRowSource, DEFAULT_BATCH_SIZE } from './qvdRowSource.mjs';
 
 /**
  * Reads and parses QVD file metadata and data
  */
 class QvdReader {
+  constructor() {
+    // Random access readers keyed by file path, so that symbol tables
+    // decoded for one page can be reused for the next
+    this.randomAccessReaders = new Map();
+  }
+
   /**
    * Read QVD file and return metadata and data
    * @param {string} filePath - Path to the QVD file
@@ -115,37 +123,155 @@ class QvdReader {
     }
   }
 
+  /**
+   * Get a cached random access reader for a file, re-opening it if the
+   * file has changed on disk since it was last read
+   * @param {string} filePath - Path to the QVD file
+   * @returns {Promise<QvdRandomAccessReader>} Opened random access reader
+   */
+  async getRandomAccessReader(filePath) {
+    let reader = this.randomAccessReaders.get(filePath);
+    if (!reader || (await reader.isStale())) {
+      reader = new QvdRandomAccessReader(filePath);
+      this.randomAccessReaders.set(filePath, reader);
+    }
+    await reader.open();
+    return reader;
+  }
+
+  /**
+   * Release cached symbol tables for a file
+   * @param {string} filePath - Path to the QVD file
+   */
+  releaseFile(filePath) {
+    this.randomAccessReaders.delete(filePath);
+  }
+
   /**
    * Read a specific page of data from the QVD file
-   * @param {string} _filePath - Path to the QVD file
-   * @param {number} _page - Page number (0-indexed)
-   * @param {number} _pageSize - Rows per page
+   * Only the index table rows of the requested page are read from disk and
+   * decoded; symbol tables are read once per file and cached.
+   * @param {string} filePath - Path to the QVD file
+   * @param {number} page - Page number (0-indexed)
+   * @param {number} pageSize - Rows per page
+   * @param {Object} options - Read options
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
    * @returns {Promise<{metadata: object, data: Array, columns: Array, totalRows: number, page: number, pageSize: number, error: string|null}>}
-   * @throws {Error} Not yet implemented - waiting for qvdjs streaming support
    */
-  async readPage(_filePath, _page, _pageSize) {
-    // TODO: Implement when qvdjs supports streaming
-    // For now, this would still load the full file and slice the data
-    // const metadata = await this.extractMetadata(filePath);
-    // const startRow = page * pageSize;
-    // const endRow = Math.min(startRow + pageSize, metadata.noOfRecords);
-    //
-    // const df = await QvdDataFrame.fromQvd(filePath, { maxRows: endRow });
-    // const pageData = df.rows(...Array.from({length: pageSize}, (_, i) => startRow + i));
-    //
-    // return {
-    //     metadata,
-    //     data: pageData.data,
-    //     columns: pageData.columns,
-    //     totalRows: metadata.noOfRecords,
-    //     page,
-    //     pageSize,
-    //     error: null
-    // };
-
-    throw new Error(
-      "Page-based loading not yet supported. Waiting for qvdjs streaming support."
-    );
+  async readPage(filePath, page, pageSize, { duals = false } = {}) {
+    try {
+      if (!Number.isInteger(page) || page < 0) {
+        throw new Error(`Invalid page number: ${page}`);
+      }
+      if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new Error(`Invalid page size: ${pageSize}`);
+      }
+
+      const reader = await this.getRandomAccessReader(filePath);
+      const metadata = reader.metadata;
+      const columns = metadata.fields.map((field) => field.name);
+      const data = await reader.readRows(page * pageSize, pageSize, null, {
+        duals,
+      });
+
+      return {
+        metadata,
+        data,
+        columns,
+        totalRows: metadata.noOfRecords,
+        page,
+        pageSize,
+        error: null,
+      };
+    } catch (error) {
+      return {
+        metadata: null,
+        data: [],
+        columns: [],
+        totalRows: 0,
+        page,
+        pageSize,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Read the rows at some positions of a QVD file, such as one page of the
+   * rows matching a filter
+   * Runs of consecutive positions are read together.
+   * @param {string} filePath - Path to the QVD file
+   * @param {Array<number>} positions - Zero-based row positions, in ascending order
+   * @param {Object} options - Read options
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
+   * @returns {Promise<Array<Object>>} Row objects in the order of the positions
+   */
+  async readRowsAt(filePath, positions, { duals = false } = {}) {
+    const reader = await this.getRandomAccessReader(filePath);
+    const rows = [];
+    let start = 0;
+    while (start < positions.length) {
+      let end = start + 1;
+      while (
+        end < positions.length &&
+        positions[end] === positions[end - 1] + 1
+      ) {
+        end++;
+      }
+      rows.push(
+        ...(await reader.readRows(positions[start], end - start, null, {
+          duals,
+        }))
+      );
+      start = end;
+    }
+    return rows;
+  }
+
+  /**
+   * Iterate over all rows of a QVD file in batches
+   * Only one batch of rows is held in memory at a time.
+   * @param {string} filePath - Path to the QVD file
+   * @param {Object} options - Iteration options
+   * @param {number} options.batchSize - Rows per batch (default: 10000)
+   * @param {Array<string>} options.fieldNames - Fields to include (default: all fields)
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number (default: false)
+   * @returns {AsyncGenerator<Array<Object>>} Batches of row objects
+   */
+  async *readBatches(
+    filePath,
+    { batchSize = DEFAULT_BATCH_SIZE, fieldNames = null, duals = false } = {}
+  ) {
+    const reader = await this.getRandomAccessReader(filePath);
+    yield* reader.iterateBatches(batchSize, fieldNames, { duals });
+  }
+
+  /**
+   * Create a row source for streaming all rows of a QVD file, e.g. to an
+   * exporter
+   * @param {string} filePath - Path to the QVD file
+   * @param {Object} options - Row source options
+   * @param {number} options.batchSize - Rows per batch (default: 10000)
+   * @param {Array<string>} options.fieldNames - Fields to include (default: all fields)
+   * @param {boolean} options.duals - Return dual values as QvdDual instead of their number, e.g. to write them to another QVD file (default: false)
+   * @returns {Promise<Object>} Row source
+   */
+  async createRowSource(
+    filePath,
+    { batchSize = DEFAULT_BATCH_SIZE, fieldNames = null, duals = false } = {}
+  ) {
+    const reader = await this.getRandomAccessReader(filePath);
+    const columns =
+      fieldNames || reader.metadata.fields.map((field) => field.name);
+
+    return createRowSource({
+      columns,
+      rowCount: reader.metadata.noOfRecords,
+      batches: () =>
+        this.readBatches(filePath, { batchSize, fieldNames, duals }),
+      metadata: reader.metadata,
+      storedColumns: columns,
+    });
   }
 }
 
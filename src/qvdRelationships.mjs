@@ -0,0 +1,628 @@
+/**
+ * QVD Relationship Analysis
+ * Measures how strongly pairs of fields are associated: Pearson and
+ * Spearman correlation for numeric pairs, Cramér's V for categorical pairs
+ * and the correlation ratio for categorical-vs-numeric pairs. Like the
+ * profiler, the analysis reads symbol indices from the index table rather
+ * than decoding rows, so all rows of the file are covered.
+ */
+
+import { extractBits } from "./qvdRandomAccessReader.mjs";
+import {
+  FIELD_TYPES,
+  isNumericType,
+  isTemporalType,
+  resolveFieldType,
+} from "./qvdFieldTypes.mjs";
+import { isNumericFromCounts } from "./qvdStatistics.mjs";
+
+/**
+ * Roles of fields in the analysis
+ */
+export const FIELD_ROLES = {
+  NUMERIC: "numeric",
+  CATEGORICAL: "categorical",
+};
+
+/**
+ * Association measures, by the roles of the fields of a pair
+ */
+export const RELATIONSHIP_MEASURES = {
+  PEARSON: "pearson",
+  SPEARMAN: "spearman",
+  CRAMERS_V: "cramersV",
+  CORRELATION_RATIO: "correlationRatio",
+};
+
+/**
+ * Strength from which a pair of fields is reported as possibly redundant
+ */
+export const REDUNDANCY_THRESHOLD = 0.9;
+
+/**
+ * Categorical fields with more distinct values than this are left out,
+ * their contingency tables would be mostly empty
+ */
+const DEFAULT_MAX_CATEGORIES = 100;
+
+/**
+ * Rows kept for the scatter plots of numeric pairs
+ */
+const DEFAULT_SAMPLE_SIZE = 1000;
+
+/**
+ * Categories listed in the contingency and category tables of a pair
+ */
+const DETAIL_CATEGORIES = 20;
+
+/**
+ * Rows per slice of the index table
+ */
+const DEFAULT_BATCH_SIZE = 100000;
+
+/**
+ * Check whether a symbol value counts as NULL, like in the profile
+ * @param {*} value - Symbol value
+ * @returns {boolean} True for NULL and empty values
+ */
+function isMissing(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/**
+ * Decide whether a field is analyzed as numeric or categorical
+ * The resolved field type decides; fields of unknown type are numeric when
+ * most of their symbols are numbers. Dates and times are numeric.
+ * @param {Object} field - Field metadata
+ * @param {Array} symbols - Symbol values of the field
+ * @returns {string} One of FIELD_ROLES
+ */
+export function classifyRelationshipField(field, symbols) {
+  const { type } = resolveFieldType(field);
+  if (type === FIELD_TYPES.TEXT || type === FIELD_TYPES.BOOLEAN) {
+    return FIELD_ROLES.CATEGORICAL;
+  }
+  if (isNumericType(type) || isTemporalType(type)) {
+    return FIELD_ROLES.NUMERIC;
+  }
+  const valueCounts = new Map();
+  for (const value of symbols) {
+    if (!isMissing(value)) {
+      valueCounts.set(value, 1);
+    }
+  }
+  return valueCounts.size > 0 && isNumericFromCounts(valueCounts)
+    ? FIELD_ROLES.NUMERIC
+    : FIELD_ROLES.CATEGORICAL;
+}
+
+/**
+ * Compute the mid-rank of every numeric symbol among all non-NULL rows
+ * Tied values share the average of their ranks.
+ * @param {Float64Array} values - Number of each symbol, NaN if not numeric
+ * @param {Uint32Array} counts - Rows per symbol
+ * @returns {Float64Array} Rank of each symbol, NaN if not numeric
+ */
+function symbolRanks(values, counts) {
+  const ranks = new Float64Array(values.length).fill(NaN);
+  const order = [];
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isNaN(values[i]) && counts[i] > 0) {
+      order.push(i);
+    }
+  }
+  order.sort((a, b) => values[a] - values[b]);
+
+  let rowsBefore = 0;
+  for (let start = 0; start < order.length; ) {
+    let end = start;
+    let tiedRows = 0;
+    while (end < order.length && values[order[end]] === values[order[start]]) {
+      tiedRows += counts[order[end]];
+      end++;
+    }
+    const rank = rowsBefore + (tiedRows + 1) / 2;
+    for (let k = start; k < end; k++) {
+      ranks[order[k]] = rank;
+    }
+    rowsBefore += tiedRows;
+    start = end;
+  }
+  return ranks;
+}
+
+/**
+ * Prepare a field for the analysis: how each symbol index maps to a
+ * number and rank, or to a category
+ * @param {Object} field - Field metadata, with typeOverride if the user chose a type
+ * @param {Object} layout - Field as read from the file, with its bit layout in the index table
+ * @param {Array} symbols - Symbol values of the field
+ * @param {Uint32Array} counts - Rows per symbol
+ * @param {string} role - One of FIELD_ROLES
+ * @returns {Object} Prepared field
+ */
+function prepareField(field, layout, symbols, counts, role) {
+  const prepared = {
+    name: field.name,
+    role,
+    type: resolveFieldType(field).type,
+    distinctCount: 0,
+    symbolCount: symbols.length,
+    bitOffset: layout.bitOffset,
+    bitWidth: layout.bitWidth,
+    bias: layout.bias,
+  };
+
+  if (role === FIELD_ROLES.NUMERIC) {
+    prepared.values = new Float64Array(symbols.length);
+    symbols.forEach((value, i) => {
+      const number = isMissing(value) ? NaN : Number(value);
+      prepared.values[i] = Number.isFinite(number) ? number : NaN;
+      if (!Number.isNaN(prepared.values[i]) && counts[i] > 0) {
+        prepared.distinctCount++;
+      }
+    });
+    prepared.ranks = symbolRanks(prepared.values, counts);
+    return prepared;
+  }
+
+  // Symbols with the same text share a category
+  const codesByLabel = new Map();
+  prepared.codes = new Int32Array(symbols.length).fill(-1);
+  symbols.forEach((value, i) => {
+    if (isMissing(value) || counts[i] === 0) {
+      return;
+    }
+    const label = String(value);
+    if (!codesByLabel.has(label)) {
+      codesByLabel.set(label, codesByLabel.size);
+    }
+    prepared.codes[i] = codesByLabel.get(label);
+  });
+  prepared.categories = [...codesByLabel.keys()];
+  prepared.distinctCount = prepared.categories.length;
+  return prepared;
+}
+
+/**
+ * Add a pair of values to running co-moments (Welford's algorithm)
+ * @param {Float64Array} moments - Count, means, squared deviations and co-moment
+ * @param {number} x - First value
+ * @param {number} y - Second value
+ */
+function addMoments(moments, x, y) {
+  const n = ++moments[0];
+  const dx = x - moments[1];
+  moments[1] += dx / n;
+  const dy = y - moments[2];
+  moments[2] += dy / n;
+  moments[3] += dx * (x - moments[1]);
+  moments[4] += dy * (y - moments[2]);
+  moments[5] += dx * (y - moments[2]);
+}
+
+/**
+ * Compute a correlation coefficient from co-moments
+ * @param {Float64Array} moments - Co-moments (see addMoments)
+ * @returns {number|null} Correlation, null if a field is constant
+ */
+function correlationFromMoments(moments) {
+  const denominator = Math.sqrt(moments[3] * moments[4]);
+  if (moments[0] < 2 || denominator === 0) {
+    return null;
+  }
+  return Math.max(-1, Math.min(1, moments[5] / denominator));
+}
+
+/**
+ * Compute Cramér's V from a contingency table
+ * @param {Float64Array} counts - Rows per category pair, row-major
+ * @param {number} rowCount - Categories of the first field
+ * @param {number} columnCount - Categories of the second field
+ * @returns {number|null} Cramér's V (0-1), null if a field has one category
+ */
+function cramersVFromCounts(counts, rowCount, columnCount) {
+  const rowTotals = new Float64Array(rowCount);
+  const columnTotals = new Float64Array(columnCount);
+  let total = 0;
+  for (let r = 0; r < rowCount; r++) {
+    for (let c = 0; c < columnCount; c++) {
+      const count = counts[r * columnCount + c];
+      rowTotals[r] += count;
+      columnTotals[c] += count;
+      total += count;
+    }
+  }
+
+  const usedRows = rowTotals.filter((count) => count > 0).length;
+  const usedColumns = columnTotals.filter((count) => count > 0).length;
+  const degrees = Math.min(usedRows, usedColumns) - 1;
+  if (total === 0 || degrees < 1) {
+    return null;
+  }
+
+  let chiSquare = 0;
+  for (let r = 0; r < rowCount; r++) {
+    for (let c = 0; c < columnCount; c++) {
+      const expected = (rowTotals[r] * columnTotals[c]) / total;
+      if (expected > 0) {
+        const difference = counts[r * columnCount + c] - expected;
+        chiSquare += (difference * difference) / expected;
+      }
+    }
+  }
+  return Math.min(1, Math.sqrt(chiSquare / total / degrees));
+}
+
+/**
+ * Compute the correlation ratio (eta) from per-category moments
+ * @param {Object} groups - Count, mean and squared deviations per category
+ * @returns {number|null} Correlation ratio (0-1), null if the numbers are constant
+ */
+function correlationRatioFromGroups({ counts, means, squares }) {
+  let total = 0;
+  let sum = 0;
+  let within = 0;
+  for (let c = 0; c < counts.length; c++) {
+    total += counts[c];
+    sum += counts[c] * means[c];
+    within += squares[c];
+  }
+  if (total < 2) {
+    return null;
+  }
+  const grandMean = sum / total;
+  let between = 0;
+  for (let c = 0; c < counts.length; c++) {
+    between += counts[c] * (means[c] - grandMean) ** 2;
+  }
+  const totalSquares = between + within;
+  return totalSquares > 0 ? Math.sqrt(between / totalSquares) : null;
+}
+
+/**
+ * Order categories by descending count and keep the most frequent ones
+ * @param {Float64Array} totals - Rows per category
+ * @returns {Array<number>} Category codes
+ */
+function topCategories(totals) {
+  return [...totals.keys()]
+    .filter((code) => totals[code] > 0)
+    .sort((a, b) => totals[b] - totals[a])
+    .slice(0, DETAIL_CATEGORIES);
+}
+
+/**
+ * Create the accumulators of a pair of fields
+ * Categorical-vs-numeric pairs always have the categorical field first.
+ * @param {Object} first - Prepared field
+ * @param {Object} second - Prepared field
+ * @returns {Object} Pair accumulators
+ */
+function createPair(first, second) {
+  const numeric = FIELD_ROLES.NUMERIC;
+  if (first.role === numeric && second.role === numeric) {
+    return {
+      x: first,
+      y: second,
+      kind: numeric,
+      moments: new Float64Array(6),
+      rankMoments: new Float64Array(6),
+    };
+  }
+  if (first.role !== numeric && second.role !== numeric) {
+    return {
+      x: first,
+      y: second,
+      kind: FIELD_ROLES.CATEGORICAL,
+      counts: new Float64Array(first.distinctCount * second.distinctCount),
+    };
+  }
+  const [categorical, number] =
+    first.role === numeric ? [second, first] : [first, second];
+  return {
+    x: categorical,
+    y: number,
+    kind: "mixed",
+    groups: {
+      counts: new Float64Array(categorical.distinctCount),
+      means: new Float64Array(categorical.distinctCount),
+      squares: new Float64Array(categorical.distinctCount),
+    },
+  };
+}
+
+/**
+ * Summarize the accumulators of a pair into its measures and details
+ * @param {Object} pair - Pair accumulators (see createPair)
+ * @returns {Object} Pair result
+ */
+function summarizePair(pair) {
+  const result = {
+    x: pair.x.name,
+    y: pair.y.name,
+    kind: pair.kind,
+    rows: 0,
+    pearson: null,
+    spearman: null,
+    cramersV: null,
+    correlationRatio: null,
+  };
+
+  if (pair.kind === FIELD_ROLES.NUMERIC) {
+    result.rows = pair.moments[0];
+    result.pearson = correlationFromMoments(pair.moments);
+    result.spearman = correlationFromMoments(pair.rankMoments);
+    return result;
+  }
+
+  if (pair.kind === FIELD_ROLES.CATEGORICAL) {
+    const rowCount = pair.x.distinctCount;
+    const columnCount = pair.y.distinctCount;
+    const rowTotals = new Float64Array(rowCount);
+    const columnTotals = new Float64Array(columnCount);
+    pair.counts.forEach((count, i) => {
+      rowTotals[Math.floor(i / columnCount)] += count;
+      columnTotals[i % columnCount] += count;
+      result.rows += count;
+    });
+    result.cramersV = cramersVFromCounts(pair.counts, rowCount, columnCount);
+
+    const rows = topCategories(rowTotals);
+    const columns = topCategories(columnTotals);
+    const usedRows = rowTotals.filter((count) => count > 0).length;
+    const usedColumns = columnTotals.filter((count) => count > 0).length;
+    result.contingency = {
+      rows: rows.map((r) => pair.x.categories[r]),
+      columns: columns.map((c) => pair.y.categories[c]),
+      counts: rows.map((r) =>
+        columns.map((c) => pair.counts[r * columnCount + c])
+      ),
+      truncated: rows.length < usedRows || columns.length < usedColumns,
+    };
+    return result;
+  }
+
+  const { counts, means, squares } = pair.groups;
+  result.rows = counts.reduce((sum, count) => sum + count, 0);
+  result.correlationRatio = correlationRatioFromGroups(pair.groups);
+  const categories = topCategories(counts);
+  result.categoryStats = categories.map((c) => ({
+    category: pair.x.categories[c],
+    count: counts[c],
+    mean: means[c],
+    stdDev: counts[c] > 1 ? Math.sqrt(squares[c] / (counts[c] - 1)) : 0,
+  }));
+  result.truncated =
+    categories.length < counts.filter((count) => count > 0).length;
+  return result;
+}
+
+/**
+ * Get the strength of a pair on the 0-1 scale used to find redundant fields
+ * @param {Object} pair - Pair result
+ * @param {string} numericMeasure - Measure used for numeric pairs, PEARSON or SPEARMAN (default: PEARSON)
+ * @returns {number|null} Absolute correlation, Cramér's V or correlation ratio
+ */
+export function pairStrength(
+  pair,
+  numericMeasure = RELATIONSHIP_MEASURES.PEARSON
+) {
+  if (pair.kind === FIELD_ROLES.NUMERIC) {
+    const value = pair[numericMeasure];
+    return value === null ? null : Math.abs(value);
+  }
+  return pair.kind === FIELD_ROLES.CATEGORICAL
+    ? pair.cramersV
+    : pair.correlationRatio;
+}
+
+/**
+ * Analyze the pairwise relationships of fields of a QVD file
+ * Each pair is measured over the rows where both fields have a value. For
+ * Spearman correlation, each field is ranked once over all its non-NULL
+ * rows. Categorical fields with more than maxCategories distinct values are
+ * skipped. Numeric fields are sampled at regular row intervals for scatter
+ * plots.
+ * @param {Object} reader - Open QvdRandomAccessReader
+ * @param {Array<string>} fieldNames - Fields to analyze
+ * @param {Object} options - Analysis options
+ * @param {Object|null} options.metadata - QVD metadata with user type overrides (default: the reader's metadata)
+ * @param {number} options.maxCategories - Maximum distinct values of categorical fields (default: 100)
+ * @param {number} options.sampleSize - Rows kept for scatter plots (default: 1000)
+ * @param {number} options.batchSize - Rows per slice of the index table (default: 100000)
+ * @param {Function|null} options.onProgress - Progress callback (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function|null} options.isCancelled - Returns true when the analysis should stop
+ * @returns {Promise<Object>} Analyzed and skipped fields, pair results, redundant pairs and the scatter sample
+ */
+export async function analyzeRelationships(
+  reader,
+  fieldNames,
+  {
+    metadata = null,
+    maxCategories = DEFAULT_MAX_CATEGORIES,
+    sampleSize = DEFAULT_SAMPLE_SIZE,
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress = null,
+    isCancelled = null,
+  } = {}
+) {
+  const fileMetadata = await reader.open();
+  const totalRows = fileMetadata.noOfRecords;
+  if (totalRows === 0) {
+    return { error: "No data available for relationship analysis", pairs: [] };
+  }
+
+  // Counting the symbols takes the first half of the progress bar
+  const report = (increment, rowsProcessed) =>
+    onProgress && onProgress(increment / 2, rowsProcessed, totalRows);
+  const histograms = await reader.countSymbolIndices(fieldNames, {
+    batchSize,
+    onProgress: report,
+    isCancelled,
+  });
+
+  const fields = [];
+  const skipped = [];
+  for (const fieldName of fieldNames) {
+    const layout = reader.getField(fieldName);
+    const field =
+      (metadata || fileMetadata).fields.find(
+        (item) => item.name === fieldName
+      ) || layout;
+    const symbols = await reader.getSymbols(fieldName);
+    const role = classifyRelationshipField(field, symbols);
+    const prepared = prepareField(
+      field,
+      layout,
+      symbols,
+      histograms.get(fieldName).counts,
+      role
+    );
+    if (prepared.distinctCount === 0) {
+      skipped.push({ name: fieldName, reason: "No values" });
+    } else if (
+      role === FIELD_ROLES.CATEGORICAL &&
+      prepared.distinctCount > maxCategories
+    ) {
+      skipped.push({
+        name: fieldName,
+        reason: `More than ${maxCategories} distinct values`,
+      });
+    } else {
+      fields.push(prepared);
+    }
+  }
+  if (fields.length < 2) {
+    return {
+      error:
+        "At least two fields with values are needed to analyze relationships",
+      fields: fields.map(({ name, role, type, distinctCount }) => ({
+        name,
+        role,
+        type,
+        distinctCount,
+      })),
+      skipped,
+      pairs: [],
+    };
+  }
+
+  const pairs = [];
+  for (let i = 0; i < fields.length; i++) {
+    for (let j = i + 1; j < fields.length; j++) {
+      pairs.push(createPair(fields[i], fields[j]));
+    }
+  }
+  const fieldIndex = new Map(fields.map((field, f) => [field, f]));
+  for (const pair of pairs) {
+    pair.xIndex = fieldIndex.get(pair.x);
+    pair.yIndex = fieldIndex.get(pair.y);
+  }
+
+  const sampleStep = Math.max(1, Math.ceil(totalRows / sampleSize));
+  const sample = fields.map(() => []);
+  const values = new Float64Array(fields.length);
+  const ranks = new Float64Array(fields.length);
+  const codes = new Int32Array(fields.length);
+
+  for (let start = 0; start < totalRows; start += batchSize) {
+    if (isCancelled && isCancelled()) {
+      throw new Error("Operation cancelled");
+    }
+    const {
+      buffer,
+      rowCount: count,
+      recordByteSize,
+    } = await reader.readIndexBuffer(start, batchSize);
+
+    for (let r = 0; r < count; r++) {
+      for (let f = 0; f < fields.length; f++) {
+        const field = fields[f];
+        const { bitOffset, bitWidth, bias } = field;
+        // Fields with a single symbol take no bits, every row holds the bias
+        const index =
+          (bitWidth === 0
+            ? 0
+            : extractBits(buffer, r * recordByteSize, bitOffset, bitWidth)) +
+          bias;
+        // Negative indices (bias -2) represent NULL values
+        const valid = index >= 0 && index < field.symbolCount;
+        if (field.role === FIELD_ROLES.NUMERIC) {
+          values[f] = valid ? field.values[index] : NaN;
+          ranks[f] = valid ? field.ranks[index] : NaN;
+        } else {
+          codes[f] = valid ? field.codes[index] : -1;
+        }
+      }
+
+      for (const pair of pairs) {
+        const x = pair.xIndex;
+        const y = pair.yIndex;
+        if (pair.kind === FIELD_ROLES.NUMERIC) {
+          if (!Number.isNaN(values[x]) && !Number.isNaN(values[y])) {
+            addMoments(pair.moments, values[x], values[y]);
+            addMoments(pair.rankMoments, ranks[x], ranks[y]);
+          }
+        } else if (pair.kind === FIELD_ROLES.CATEGORICAL) {
+          if (codes[x] >= 0 && codes[y] >= 0) {
+            pair.counts[codes[x] * pair.y.distinctCount + codes[y]]++;
+          }
+        } else if (codes[x] >= 0 && !Number.isNaN(values[y])) {
+          const { counts, means, squares } = pair.groups;
+          const c = codes[x];
+          const n = ++counts[c];
+          const delta = values[y] - means[c];
+          means[c] += delta / n;
+          squares[c] += delta * (values[y] - means[c]);
+        }
+      }
+
+      if ((start + r) % sampleStep === 0) {
+        fields.forEach((field, f) => {
+          if (field.role === FIELD_ROLES.NUMERIC) {
+            sample[f].push(Number.isNaN(values[f]) ? null : values[f]);
+          } else {
+            sample[f].push(codes[f] >= 0 ? field.categories[codes[f]] : null);
+          }
+        });
+      }
+    }
+
+    report((count / totalRows) * 100, start + count);
+  }
+
+  const pairResults = pairs.map(summarizePair);
+  const redundantPairs = pairResults
+    .map((pair) => ({
+      x: pair.x,
+      y: pair.y,
+      kind: pair.kind,
+      strength: Math.max(
+        pairStrength(pair, RELATIONSHIP_MEASURES.PEARSON) ?? 0,
+        pairStrength(pair, RELATIONSHIP_MEASURES.SPEARMAN) ?? 0
+      ),
+    }))
+    .filter((pair) => pair.strength >= REDUNDANCY_THRESHOLD)
+    .sort((a, b) => b.strength - a.strength);
+
+  return {
+    error: null,
+    totalRows,
+    fields: fields.map(({ name, role, type, distinctCount }) => ({
+      name,
+      role,
+      type,
+      distinctCount,
+    })),
+    skipped,
+    pairs: pairResults,
+    redundantPairs,
+    sample: {
+      step: sampleStep,
+      values: Object.fromEntries(
+        fields.map((field, f) => [field.name, sample[f]])
+      ),
+    },
+  };
+}
@@ -0,0 +1,502 @@
+/**
+ * QVD Reports
+ * Formats schema, profiling, comparison and sensitivity results as JSON,
+ * Markdown or HTML, for the command line interface and the extension's
+ * report exports. Markdown and HTML reports are built from the same list
+ * of sections, each holding either a table or a list of bullet points.
+ */
+
+import { describeOutlierMethod } from "./qvdStatistics.mjs";
+
+/**
+ * Report formats
+ */
+export const REPORT_FORMATS = ["json", "markdown", "html"];
+
+/**
+ * Number of most frequent values listed per field in profiling reports
+ */
+const TOP_VALUE_COUNT = 10;
+
+/**
+ * Format a cell value for display
+ * @param {*} value - Value to format
+ * @returns {string} Display text
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value)
+      ? value.toLocaleString("en-US")
+      : value.toLocaleString("en-US", { maximumFractionDigits: 4 });
+  }
+  return String(value);
+}
+
+/**
+ * Format a timestamp as an ISO date
+ * @param {number|string|Date} value - Timestamp
+ * @returns {string} Date as YYYY-MM-DD, or N/A when missing
+ */
+function formatDate(value) {
+  return value ? new Date(value).toISOString().split("T")[0] : "N/A";
+}
+
+/**
+ * Escape text for use in a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render report sections as Markdown
+ * @param {string} title - Report title
+ * @param {Array<Object>} sections - Sections with title, level and either headers/rows or items
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(title, sections) {
+  let markdown = `# ${title}\n`;
+  for (const section of sections) {
+    markdown += `\n${"#".repeat(section.level || 2)} ${section.title}\n\n`;
+    if (section.items) {
+      markdown += section.items
+        .map((item) => `- ${escapeMarkdown(formatCell(item))}\n`)
+        .join("");
+      continue;
+    }
+    if (section.rows.length === 0) {
+      markdown += "_None_\n";
+      continue;
+    }
+    markdown += `| ${section.headers.join(" | ")} |\n`;
+    markdown += `|${section.headers.map(() => "---").join("|")}|\n`;
+    for (const row of section.rows) {
+      markdown += `| ${row
+        .map((cell) => escapeMarkdown(formatCell(cell)))
+        .join(" | ")} |\n`;
+    }
+  }
+  return markdown;
+}
+
+/**
+ * Render report sections as a standalone HTML page
+ * @param {string} title - Report title
+ * @param {Array<Object>} sections - Sections with title, level and either headers/rows or items
+ * @returns {string} HTML document
+ */
+function renderHtml(title, sections) {
+  const body = sections
+    .map((section) => {
+      const level = section.level || 2;
+      const heading = `<h${level}>${escapeHtml(section.title)}</h${level}>`;
+      if (section.items) {
+        const items = section.items
+          .map((item) => `<li>${escapeHtml(formatCell(item))}</li>`)
+          .join("");
+        return `${heading}\n<ul>${items}</ul>`;
+      }
+      if (section.rows.length === 0) {
+        return `${heading}\n<p><em>None</em></p>`;
+      }
+      const headers = section.headers
+        .map((header) => `<th>${escapeHtml(header)}</th>`)
+        .join("");
+      const rows = section.rows
+        .map(
+          (row) =>
+            `<tr>${row
+              .map((cell) => `<td>${escapeHtml(formatCell(cell))}</td>`)
+              .join("")}</tr>`
+        )
+        .join("\n");
+      return `${heading}\n<table>\n<thead><tr>${headers}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report in the requested format
+ * @param {Object} data - Raw result, used as is for JSON
+ * @param {string} format - Report format ('json', 'markdown' or 'html')
+ * @param {string} title - Report title
+ * @param {Function} buildSections - Returns the sections of the Markdown and HTML reports
+ * @returns {string} Report text
+ */
+function renderReport(data, format, title, buildSections) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(data, null, 2) + "\n";
+    case "markdown":
+      return renderMarkdown(title, buildSections());
+    case "html":
+      return renderHtml(title, buildSections());
+    default:
+      throw new Error(
+        `Unsupported report format: ${format} (use ${REPORT_FORMATS.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+/**
+ * Format the schema of a QVD file
+ * @param {Object} schema - Schema as built by the schema command
+ * @param {string} format - Report format ('json', 'markdown' or 'html')
+ * @returns {string} Report text
+ */
+export function formatSchemaReport(schema, format) {
+  return renderReport(schema, format, `Schema: ${schema.fileName}`, () => [
+    {
+      title: "Table",
+      headers: ["Property", "Value"],
+      rows: [
+        ["Table Name", schema.tableName],
+        ["Records", schema.noOfRecords],
+        ["Fields", schema.fields.length],
+        ["Created (UTC)", schema.createUtcTime],
+        ["QlikView Build", schema.qvBuildNo],
+        ["Creator Document", schema.creatorDoc],
+      ],
+    },
+    {
+      title: "Fields",
+      headers: [
+        "Field",
+        "Storage Type",
+        "Number Format",
+        "Tags",
+        "Symbols",
+        "Bit Width",
+      ],
+      rows: schema.fields.map((field) => [
+        field.name,
+        field.storageType,
+        field.numberFormat,
+        field.tags.join(", "),
+        field.noOfSymbols,
+        field.bitWidth,
+      ]),
+    },
+  ]);
+}
+
+/**
+ * Build the report sections describing one profiled field
+ * @param {Object} field - Field result from profileFields
+ * @returns {Array<Object>} Report sections
+ */
+function profileFieldSections(field) {
+  const summary = [
+    ["Total Rows", field.totalRows],
+    ["Unique Values", field.uniqueValues],
+    ["NULL/Empty", field.nullCount],
+  ];
+  if (field.qualityMetrics && field.qualityMetrics.assessment) {
+    const { qualityScore, qualityLevel } = field.qualityMetrics.assessment;
+    summary.push(["Quality Score", `${qualityScore} (${qualityLevel})`]);
+  }
+  if (field.isNumeric && field.statistics && field.statistics.isNumeric) {
+    const { descriptive, spread, outliers } = field.statistics;
+    summary.push(
+      ["Min", descriptive.min],
+      ["Max", descriptive.max],
+      ["Mean", descriptive.mean],
+      ["Median", descriptive.median],
+      ["Std Dev", spread.stdDev],
+      [
+        `Outliers, ${describeOutlierMethod(outliers)}`,
+        `${outliers.count} (${outliers.percentage.toFixed(2)}%)`,
+      ]
+    );
+  }
+  if (
+    field.isDate &&
+    field.temporalAnalysis &&
+    field.temporalAnalysis.isDate
+  ) {
+    const { range, gaps, calendar, volume } = field.temporalAnalysis;
+    summary.push(
+      ["Earliest", formatDate(range.earliest)],
+      ["Latest", formatDate(range.latest)],
+      ["Time Span", range.spanDescription],
+      ["Calendar", calendar.description],
+      [
+        `Date Coverage, ${
+          gaps.expectedDays === "business" ? "business" : "calendar"
+        } days`,
+        `${gaps.coverage.toFixed(1)}% (${gaps.gapCount} gaps)`,
+      ]
+    );
+    if (volume) {
+      summary.push([
+        `Volume Anomalies, per ${volume.granularity}`,
+        `${volume.anomalies.spikes} spikes, ${volume.anomalies.drops} drops`,
+      ]);
+    }
+  }
+
+  const sections = [
+    {
+      title: field.fieldName,
+      headers: ["Metric", "Value"],
+      rows: summary,
+    },
+    {
+      title: "Most Frequent Values",
+      level: 3,
+      headers: ["Value", "Count", "Percentage"],
+      rows: field.distributions
+        .slice(0, TOP_VALUE_COUNT)
+        .map((item) => [item.value, item.count, `${item.percentage}%`]),
+    },
+  ];
+
+  const volume = field.temporalAnalysis && field.temporalAnalysis.volume;
+  if (volume) {
+    const events = [
+      ...volume.changePoints.map((change) => change.description),
+      ...volume.anomalies.periods.map(
+        (item) =>
+          `${item.period}: ${item.count} records, ${item.type} against a ` +
+          `baseline of ${Math.round(item.baseline)}`
+      ),
+    ];
+    if (events.length > 0) {
+      sections.push({ title: "Volume Events", level: 3, items: events });
+    }
+  }
+
+  const timeOfDay = field.temporalAnalysis && field.temporalAnalysis.timeOfDay;
+  if (timeOfDay && timeOfDay.patterns.length > 0) {
+    sections.push({
+      title: "Time Patterns",
+      level: 3,
+      items: timeOfDay.patterns.map((pattern) => pattern.description),
+    });
+  }
+
+  const assessment = field.qualityMetrics && field.qualityMetrics.assessment;
+  if (assessment) {
+    const findings = [...assessment.issues, ...assessment.warnings];
+    if (findings.length > 0) {
+      sections.push({ title: "Quality Findings", level: 3, items: findings });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Format the profiling results of a QVD file
+ * @param {Object} profile - Profile as built by the profile command
+ * @param {string} format - Report format ('json', 'markdown' or 'html')
+ * @returns {string} Report text
+ */
+export function formatProfileReport(profile, format) {
+  return renderReport(profile, format, `Profiling: ${profile.fileName}`, () => [
+    {
+      title: "Source",
+      headers: ["Property", "Value"],
+      rows: [
+        ["File", profile.fileName],
+        ["Records", profile.noOfRecords],
+        ["Rows Profiled", profile.rowsProfiled],
+        ["Fields Profiled", profile.fields.length],
+      ],
+    },
+    ...profile.fields.flatMap(profileFieldSections),
+  ]);
+}
+
+/**
+ * Format the comparison of two QVD files
+ * @param {Object} diff - Result from compareQvdFiles
+ * @param {string} format - Report format ('json', 'markdown' or 'html')
+ * @returns {string} Report text
+ */
+export function formatDiffReport(diff, format) {
+  const title = `Comparison: ${diff.fileA.fileName} → ${diff.fileB.fileName}`;
+  return renderReport(diff, format, title, () => {
+    const { schema, rows } = diff;
+    const sections = [
+      {
+        title: "Files",
+        headers: ["Property", diff.fileA.fileName, diff.fileB.fileName],
+        rows: [
+          ["Table Name", diff.fileA.tableName, diff.fileB.tableName],
+          ["Records", diff.fileA.noOfRecords, diff.fileB.noOfRecords],
+          ["Fields", diff.fileA.noOfFields, diff.fileB.noOfFields],
+          ["Created (UTC)", diff.fileA.createUtcTime, diff.fileB.createUtcTime],
+        ],
+      },
+      {
+        title: "Header Changes",
+        headers: ["Property", "Before", "After"],
+        rows: diff.headerChanges.map((change) => [
+          change.label,
+          change.before,
+          change.after,
+        ]),
+      },
+      {
+        title: "Schema Changes",
+        headers: ["Field", "Change", "Before", "After"],
+        rows: [
+          ...schema.added.map((field) => [field.name, "Added", "", ""]),
+          ...schema.removed.map((field) => [field.name, "Removed", "", ""]),
+          ...schema.changed.flatMap((field) =>
+            field.changes.map((change) => [
+              field.name,
+              change.property,
+              change.before,
+              change.after,
+            ])
+          ),
+        ],
+      },
+    ];
+
+    if (rows) {
+      sections.push(
+        {
+          title: `Row Changes (key: ${rows.keyField})`,
+          headers: ["Metric", "Count"],
+          rows: [
+            ["Unchanged", rows.summary.unchanged],
+            ["Changed", rows.summary.changed],
+            ["Inserted", rows.summary.inserted],
+            ["Deleted", rows.summary.deleted],
+          ],
+        },
+        {
+          title: "Changed Rows",
+          level: 3,
+          headers: ["Key", "Changed Fields"],
+          rows: rows.changed.map((row) => [
+            row.key,
+            row.changedFields.join(", "),
+          ]),
+        }
+      );
+    }
+    return sections;
+  });
+}
+
+/**
+ * Format the personal data found in one or more QVD files
+ * Sample values are masked, so the report can be handed to auditors
+ * without exposing the personal data itself.
+ * @param {Object} report - Report as built by the pii command
+ * @param {string} format - Report format ('json', 'markdown' or 'html')
+ * @returns {string} Report text
+ */
+export function formatPiiReport(report, format) {
+  const title =
+    report.files.length === 1
+      ? `Sensitivity Report: ${report.files[0].fileName}`
+      : `Sensitivity Report: ${report.files.length} files`;
+  return renderReport(report, format, title, () => [
+    {
+      title: "Summary",
+      headers: ["File", "Sensitivity", "Records", "Fields Scanned", "Finding"],
+      rows: report.files.map((file) => [
+        file.fileName,
+        file.sensitivity,
+        file.noOfRecords,
+        file.fieldsScanned,
+        file.description,
+      ]),
+    },
+    {
+      title: "Scan",
+      headers: ["Property", "Value"],
+      rows: [
+        ["Scanned (UTC)", report.scannedAt],
+        ["Highest Sensitivity", report.sensitivity],
+      ],
+    },
+    ...report.files.map((file) => ({
+      title: `Personal Data: ${file.fileName}`,
+      headers: [
+        "Field",
+        "Kind",
+        "Sensitivity",
+        "Evidence",
+        "Matching Distinct Values",
+        "Details",
+        "Samples (masked)",
+      ],
+      rows: file.fields.flatMap((field) =>
+        field.findings.map((finding) => [
+          field.name,
+          finding.label,
+          finding.sensitivity,
+          finding.evidence,
+          finding.matches > 0
+            ? `${finding.matches} of ${field.valuesScanned} (${finding.percentage}%)`
+            : "",
+          Object.entries(finding.details)
+            .map(([detail, count]) => `${detail}: ${count}`)
+            .join(", "),
+          finding.samples.join(", "),
+        ])
+      ),
+    })),
+  ]);
+}
+
+/**
+ * Check whether a comparison found any difference
+ * @param {Object} diff - Result from compareQvdFiles
+ * @returns {boolean} True when headers, schema or rows differ
+ */
+export function hasDifferences(diff) {
+  const { schema, rows } = diff;
+  return (
+    diff.headerChanges.length > 0 ||
+    schema.added.length > 0 ||
+    schema.removed.length > 0 ||
+    schema.changed.length > 0 ||
+    (rows !== null &&
+      rows.summary.changed + rows.summary.inserted + rows.summary.deleted > 0)
+  );
+}
@@ -0,0 +1,374 @@
+/**
+ * QVD Row Sources
+ * A row source describes a table that can be iterated in batches of row
+ * objects, any number of times. Exporters consume row sources so that large
+ * QVD files never have to be materialized as one array of rows.
+ */
+
+/**
+ * Default number of rows per batch
+ */
+export const DEFAULT_BATCH_SIZE = 10000;
+
+/**
+ * Create a row source
+ * @param {Object} options - Row source definition
+ * @param {Array<string>} options.columns - Column names in output order
+ * @param {number} options.rowCount - Number of rows the source yields
+ * @param {number} options.sourceRowCount - Number of rows before any limit was applied (default: rowCount)
+ * @param {Function} options.batches - Function returning a fresh async iterable of row batches
+ * @param {Object} options.metadata - Metadata of the QVD file the rows come from, if any (default: null)
+ * @param {Array<string>} options.storedColumns - Columns holding the values of the QVD field of the same name as stored in the file, unchanged (default: none)
+ * @returns {Object} Row source
+ */
+export function createRowSource({
+  columns,
+  rowCount,
+  sourceRowCount = rowCount,
+  batches,
+  metadata = null,
+  storedColumns = [],
+}) {
+  return {
+    columns,
+    rowCount,
+    sourceRowCount,
+    batches,
+    metadata,
+    storedColumns,
+
+    /**
+     * Limit the source to the first maxRows rows
+     * @param {number} maxRows - Maximum number of rows (0 = unlimited)
+     * @returns {Object} Limited row source
+     */
+    limit(maxRows) {
+      if (!maxRows || maxRows <= 0 || maxRows >= rowCount) {
+        return this;
+      }
+      return createRowSource({
+        columns,
+        rowCount: maxRows,
+        sourceRowCount,
+        batches: () => limitBatches(batches(), maxRows),
+        metadata,
+        storedColumns,
+      });
+    },
+
+    /**
+     * Iterate over single rows
+     * @returns {AsyncGenerator<Object>} Row objects
+     */
+    async *rows() {
+      for await (const batch of batches()) {
+        yield* batch;
+      }
+    },
+  };
+}
+
+/**
+ * Truncate a batch iterable after maxRows rows
+ * @param {AsyncIterable<Array<Object>>} iterable - Source batches
+ * @param {number} maxRows - Maximum number of rows
+ * @returns {AsyncGenerator<Array<Object>>} Truncated batches
+ */
+async function* limitBatches(iterable, maxRows) {
+  let remaining = maxRows;
+  for await (const batch of iterable) {
+    if (remaining <= 0) {
+      break;
+    }
+    const slice = batch.length > remaining ? batch.slice(0, remaining) : batch;
+    remaining -= slice.length;
+    yield slice;
+  }
+}
+
+/**
+ * Create a row source from an in-memory array of row objects
+ * @param {Array<Object>} data - Array of row objects
+ * @param {Array<string>} columns - Column names (default: keys of the first row)
+ * @param {number} batchSize - Rows per batch
+ * @returns {Object} Row source
+ */
+export function arrayRowSource(
+  data,
+  columns = null,
+  batchSize = DEFAULT_BATCH_SIZE
+) {
+  return createRowSource({
+    columns: columns || (data.length > 0 ? Object.keys(data[0]) : []),
+    rowCount: data.length,
+    batches: async function* () {
+      for (let i = 0; i < data.length; i += batchSize) {
+        yield data.slice(i, i + batchSize);
+      }
+    },
+  });
+}
+
+/**
+ * Restrict a row source to some of its columns, in the given order
+ * @param {Object} source - Row source
+ * @param {Array<string>} columns - Column names in output order
+ * @returns {Object} Row source yielding only the given columns
+ */
+export function selectColumns(source, columns) {
+  const unknown = columns.filter((column) => !source.columns.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s): ${unknown.join(", ")}`);
+  }
+
+  return createRowSource({
+    columns,
+    rowCount: source.rowCount,
+    sourceRowCount: source.sourceRowCount,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns.filter((column) =>
+      columns.includes(column)
+    ),
+    batches: async function* () {
+      for await (const batch of source.batches()) {
+        yield batch.map((row) => {
+          const selected = {};
+          for (const column of columns) {
+            selected[column] = row[column];
+          }
+          return selected;
+        });
+      }
+    },
+  });
+}
+
+/**
+ * Transform the values of some columns of a row source
+ * @param {Object} source - Row source
+ * @param {Object<string, Function>} mappers - Per column, called with (value, row) and returning the new value
+ * @returns {Object} Row source yielding the transformed rows
+ */
+export function mapColumns(source, mappers) {
+  const columns = Object.keys(mappers);
+  return createRowSource({
+    columns: source.columns,
+    rowCount: source.rowCount,
+    sourceRowCount: source.sourceRowCount,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns.filter(
+      (column) => !columns.includes(column)
+    ),
+    batches: async function* () {
+      for await (const batch of source.batches()) {
+        yield batch.map((row) => {
+          const mapped = { ...row };
+          for (const column of columns) {
+            mapped[column] = mappers[column](row[column], row);
+          }
+          return mapped;
+        });
+      }
+    },
+  });
+}
+
+/**
+ * Keep only the rows of a row source that match a predicate
+ * The source is read once up front to count the matching rows, since
+ * exporters need the row count before writing.
+ * @param {Object} source - Row source
+ * @param {Function} predicate - Called with a row object, returns true to keep the row
+ * @param {Object} options - Options for the counting pass
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when counting should stop
+ * @returns {Promise<Object>} Row source yielding the matching rows
+ */
+export async function filterRowSource(
+  source,
+  predicate,
+  { onProgress = null, isCancelled = null } = {}
+) {
+  let rowCount = 0;
+  const counted = trackRowSource(source, { onProgress, isCancelled });
+  for await (const batch of counted.batches()) {
+    for (const row of batch) {
+      if (predicate(row)) {
+        rowCount++;
+      }
+    }
+  }
+
+  return createRowSource({
+    columns: source.columns,
+    rowCount,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns,
+    batches: async function* () {
+      for await (const batch of source.batches()) {
+        const matching = batch.filter(predicate);
+        if (matching.length > 0) {
+          yield matching;
+        }
+      }
+    },
+  });
+}
+
+/**
+ * Find the positions of the rows of a row source that match a predicate
+ * Only the positions are kept, so that the matching rows can be read again
+ * a page at a time.
+ * @param {Object} source - Row source
+ * @param {Function} predicate - Called with a row object, returns true for matching rows
+ * @param {Object} options - Options for the reading pass
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when reading should stop
+ * @returns {Promise<Array<number>>} Zero-based positions of the matching rows, in file order
+ */
+export async function findRowPositions(
+  source,
+  predicate,
+  { onProgress = null, isCancelled = null } = {}
+) {
+  const positions = [];
+  let position = 0;
+  const tracked = trackRowSource(source, { onProgress, isCancelled });
+  for await (const batch of tracked.batches()) {
+    for (const row of batch) {
+      if (predicate(row)) {
+        positions.push(position);
+      }
+      position++;
+    }
+  }
+  return positions;
+}
+
+/**
+ * Keep the rows at some positions of a row source, in the given order
+ * The source is read once up front, up to the last position, and the rows
+ * are held in memory, so the positions should be few, such as the rows
+ * selected in the data grid.
+ * @param {Object} source - Row source
+ * @param {Array<number>} positions - Zero-based row positions
+ * @param {Object} options - Options for the reading pass
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when reading should stop
+ * @returns {Promise<Object>} Row source yielding the rows at the positions
+ */
+export async function pickRows(
+  source,
+  positions,
+  { onProgress = null, isCancelled = null } = {}
+) {
+  const found = new Map(positions.map((position) => [position, null]));
+  const lastPosition = Math.max(-1, ...positions);
+  let position = 0;
+  const tracked = trackRowSource(source, { onProgress, isCancelled });
+  for await (const batch of tracked.batches()) {
+    for (const row of batch) {
+      if (found.has(position)) {
+        found.set(position, row);
+      }
+      position++;
+    }
+    if (position > lastPosition) {
+      break;
+    }
+  }
+  const rows = positions
+    .map((rowPosition) => found.get(rowPosition))
+    .filter((row) => row !== null);
+
+  return createRowSource({
+    columns: source.columns,
+    rowCount: rows.length,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns,
+    batches: async function* () {
+      if (rows.length > 0) {
+        yield rows;
+      }
+    },
+  });
+}
+
+/**
+ * Sort the rows of a row source
+ * Sorting needs all rows at once, so the rows are held in memory.
+ * @param {Object} source - Row source
+ * @param {Function} compare - Comparison function for two row objects
+ * @param {Object} options - Options
+ * @param {Function} options.filter - Predicate selecting the rows to keep (default: all rows)
+ * @param {number} options.batchSize - Rows per batch of the sorted source
+ * @returns {Promise<Object>} Row source yielding the sorted rows
+ */
+export async function sortRowSource(
+  source,
+  compare,
+  { filter = null, batchSize = DEFAULT_BATCH_SIZE } = {}
+) {
+  const data = [];
+  for await (const batch of source.batches()) {
+    for (const row of batch) {
+      if (!filter || filter(row)) {
+        data.push(row);
+      }
+    }
+  }
+  data.sort(compare);
+
+  return createRowSource({
+    columns: source.columns,
+    rowCount: data.length,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns,
+    batches: async function* () {
+      for (let i = 0; i < data.length; i += batchSize) {
+        yield data.slice(i, i + batchSize);
+      }
+    },
+  });
+}
+
+/**
+ * Wrap a row source with progress reporting and cancellation
+ * @param {Object} source - Row source
+ * @param {Object} options - Tracking options
+ * @param {number} options.passes - How many times the consumer iterates the source (default: 1)
+ * @param {Function} options.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} options.isCancelled - Returns true when the operation should stop
+ * @returns {Object} Tracked row source
+ */
+export function trackRowSource(
+  source,
+  { passes = 1, onProgress = null, isCancelled = null } = {}
+) {
+  const totalRows = source.rowCount * passes;
+  let rowsProcessed = 0;
+
+  return createRowSource({
+    columns: source.columns,
+    rowCount: source.rowCount,
+    sourceRowCount: source.sourceRowCount,
+    metadata: source.metadata,
+    storedColumns: source.storedColumns,
+    batches: async function* () {
+      for await (const batch of source.batches()) {
+        if (isCancelled && isCancelled()) {
+          throw new Error("Operation cancelled");
+        }
+        yield batch;
+        rowsProcessed += batch.length;
+        if (onProgress && totalRows > 0) {
+          onProgress(
+            (batch.length / totalRows) * 100,
+            rowsProcessed,
+            totalRows
+          );
+        }
+      }
+    },
+  });
+}
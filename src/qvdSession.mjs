@@ -0,0 +1,413 @@
+/**
+ * QVD Multi-File Session
+ * Analyzes a set of related QVD files: detects candidate join keys from
+ * field names and value overlap, and classifies the cardinality of each
+ * association the way the Qlik associative engine would link the tables.
+ */
+
+import { basename, extname } from "path";
+import QvdRandomAccessReader from "./qvdRandomAccessReader.mjs";
+import { calculateUniquenessFromCounts } from "./qvdDataQuality.mjs";
+
+/**
+ * Minimum share of the referencing values that must exist in the referenced
+ * field for a related-name candidate to be reported
+ */
+const MIN_RELATED_OVERLAP = 0.5;
+
+/**
+ * Rows per batch when counting key values
+ */
+const KEY_SCAN_BATCH_SIZE = 50000;
+
+/**
+ * Normalize a table or field name for comparison
+ * @param {string} name - Table or field name
+ * @returns {string} Lower-case name without separators
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Reduce a plural table name to its singular form
+ * @param {string} name - Normalized table name
+ * @returns {string} Singular form
+ */
+function singularize(name) {
+  if (name.endsWith("ies")) {
+    return name.slice(0, -3) + "y";
+  }
+  if (name.endsWith("s") && !name.endsWith("ss")) {
+    return name.slice(0, -1);
+  }
+  return name;
+}
+
+/**
+ * Check if a field references another table's field by naming convention,
+ * e.g. theme_id referencing themes.id or part_cat_id referencing
+ * part_categories.id
+ * @param {string} fieldName - Referencing field name
+ * @param {string} otherTable - Referenced table name
+ * @param {string} otherField - Referenced field name
+ * @returns {boolean} True if the names suggest a reference
+ */
+function referencesByName(fieldName, otherTable, otherField) {
+  const field = normalizeName(fieldName);
+  const target = normalizeName(otherField);
+  if (!target || !field.endsWith(target) || field === target) {
+    return false;
+  }
+
+  const prefix = field.slice(0, -target.length);
+  if (prefix.length < 3) {
+    return false;
+  }
+
+  const table = singularize(normalizeName(otherTable));
+  return table.startsWith(prefix) || prefix.startsWith(table);
+}
+
+/**
+ * Detect how two fields in different tables are related by name
+ * @param {string} tableA - First table name
+ * @param {string} fieldA - Field in the first table
+ * @param {string} tableB - Second table name
+ * @param {string} fieldB - Field in the second table
+ * @returns {string|null} 'name' for identical field names (a Qlik association),
+ *   'related' for naming-convention references, or null
+ */
+export function detectNameRelation(tableA, fieldA, tableB, fieldB) {
+  // Qlik links tables on identical, case-sensitive field names
+  if (fieldA === fieldB) {
+    return "name";
+  }
+  if (
+    referencesByName(fieldA, tableB, fieldB) ||
+    referencesByName(fieldB, tableA, fieldA)
+  ) {
+    return "related";
+  }
+  return null;
+}
+
+/**
+ * Calculate the overlap between the distinct values of two fields
+ * Values are compared as strings. Pass the symbol texts of the fields, so
+ * that dual values are compared by the text Qlik shows rather than their
+ * number.
+ * @param {Array} valuesA - Distinct values of the first field
+ * @param {Array} valuesB - Distinct values of the second field
+ * @returns {{sharedValues: number, leftCoverage: number, rightCoverage: number}}
+ */
+export function calculateValueOverlap(valuesA, valuesB) {
+  // Symbols with the same text count as one value
+  const setA = new Set(valuesA.map((value) => String(value)));
+  const setB = new Set(valuesB.map((value) => String(value)));
+  let sharedValues = 0;
+  for (const value of setA) {
+    if (setB.has(value)) {
+      sharedValues++;
+    }
+  }
+
+  return {
+    sharedValues,
+    leftCoverage: setA.size > 0 ? sharedValues / setA.size : 0,
+    rightCoverage: setB.size > 0 ? sharedValues / setB.size : 0,
+  };
+}
+
+/**
+ * Classify the cardinality of an association
+ * @param {boolean} leftUnique - True if each key value occurs once in the left table
+ * @param {boolean} rightUnique - True if each key value occurs once in the right table
+ * @returns {string} '1:1', '1:N', 'N:1' or 'N:M'
+ */
+export function classifyAssociation(leftUnique, rightUnique) {
+  if (leftUnique && rightUnique) {
+    return "1:1";
+  }
+  if (leftUnique) {
+    return "1:N";
+  }
+  if (rightUnique) {
+    return "N:1";
+  }
+  return "N:M";
+}
+
+/**
+ * Count how often each value of a field occurs
+ * The counts are taken from the symbol indices in the index table, so no
+ * rows are decoded and memory use depends on the number of distinct values
+ * only. A field with as many symbols as the table has rows holds each
+ * value once, which the header alone tells.
+ * @param {QvdRandomAccessReader} reader - Opened random access reader
+ * @param {Object} field - Field metadata
+ * @param {number} noOfRecords - Number of rows in the table
+ * @returns {Promise<{valueCounts: Map, distinctValues: number, nullCount: number}>} Counts of values occurring more than once, keyed by symbol text
+ */
+async function countFieldValues(reader, field, noOfRecords) {
+  const { texts } = await reader.getSymbolTable(field.name);
+  const valueCounts = new Map();
+  let distinctValues = 0;
+  let nullCount = 0;
+
+  if (field.noOfSymbols === noOfRecords) {
+    for (const text of texts) {
+      if (text === "") {
+        nullCount++;
+      } else {
+        distinctValues++;
+      }
+    }
+    return { valueCounts, distinctValues, nullCount };
+  }
+
+  const histograms = await reader.countSymbolIndices([field.name], {
+    batchSize: KEY_SCAN_BATCH_SIZE,
+  });
+  const { counts, nullCount: nullRows } = histograms.get(field.name);
+  nullCount = nullRows;
+
+  // Symbols with the same text count as one value
+  const textCounts = new Map();
+  counts.forEach((count, index) => {
+    if (count === 0) {
+      return;
+    }
+    if (texts[index] === "") {
+      nullCount += count;
+    } else {
+      textCounts.set(texts[index], (textCounts.get(texts[index]) || 0) + count);
+    }
+  });
+  for (const [text, count] of textCounts) {
+    distinctValues++;
+    if (count > 1) {
+      valueCounts.set(text, count);
+    }
+  }
+
+  return { valueCounts, distinctValues, nullCount };
+}
+
+/**
+ * Analyze a set of QVD files as one data model
+ * @param {Array<string>} filePaths - Paths to the QVD files
+ * @param {Object} options - Analysis options
+ * @param {Function} options.onProgress - Called with (message, completedSteps, totalSteps)
+ * @param {Function} options.isCancelled - Returns true when the analysis should stop
+ * @returns {Promise<Object>} Tables, candidate keys, synthetic keys and warnings
+ */
+export async function analyzeSession(
+  filePaths,
+  { onProgress = null, isCancelled = null } = {}
+) {
+  const checkCancelled = () => {
+    if (isCancelled && isCancelled()) {
+      throw new Error("Operation cancelled");
+    }
+  };
+
+  // Open all files and read their headers
+  const tables = [];
+  const usedNames = new Set();
+  for (const filePath of filePaths) {
+    checkCancelled();
+    const reader = new QvdRandomAccessReader(filePath);
+    const metadata = await reader.open();
+
+    // Table names must be unique within the session
+    const baseName =
+      metadata.tableName || basename(filePath, extname(filePath));
+    let name = baseName;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = `${baseName} (${i})`;
+    }
+    usedNames.add(name);
+
+    tables.push({
+      name,
+      fileName: basename(filePath),
+      filePath,
+      noOfRecords: metadata.noOfRecords,
+      fields: metadata.fields.map((field) => ({
+        name: field.name,
+        noOfSymbols: field.noOfSymbols,
+        tags: field.tags,
+      })),
+      reader,
+    });
+  }
+
+  // Find field pairs related by name across tables
+  const pairs = [];
+  for (let a = 0; a < tables.length; a++) {
+    for (let b = a + 1; b < tables.length; b++) {
+      for (const fieldA of tables[a].fields) {
+        for (const fieldB of tables[b].fields) {
+          const match = detectNameRelation(
+            tables[a].name,
+            fieldA.name,
+            tables[b].name,
+            fieldB.name
+          );
+          if (match) {
+            pairs.push({
+              a,
+              b,
+              fieldA: fieldA.name,
+              fieldB: fieldB.name,
+              match,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // Uniqueness of each key field, computed once per field
+  const uniquenessCache = new Map();
+  const getUniqueness = async (tableIndex, fieldName) => {
+    const cacheKey = `${tableIndex}\u0000${fieldName}`;
+    if (!uniquenessCache.has(cacheKey)) {
+      const table = tables[tableIndex];
+      const field = table.fields.find((f) => f.name === fieldName);
+      const { valueCounts, distinctValues, nullCount } =
+        await countFieldValues(table.reader, field, table.noOfRecords);
+      const uniqueness = calculateUniquenessFromCounts(
+        valueCounts,
+        distinctValues,
+        table.noOfRecords
+      );
+      uniquenessCache.set(cacheKey, {
+        distinctValues,
+        nullCount,
+        unique: uniqueness.duplicateCount === 0,
+        uniqueness,
+      });
+    }
+    return uniquenessCache.get(cacheKey);
+  };
+
+  const keys = [];
+  for (let i = 0; i < pairs.length; i++) {
+    checkCancelled();
+    const pair = pairs[i];
+    const tableA = tables[pair.a];
+    const tableB = tables[pair.b];
+    if (onProgress) {
+      onProgress(
+        `Comparing ${tableA.name}.${pair.fieldA} and ${tableB.name}.${pair.fieldB}`,
+        i,
+        pairs.length
+      );
+    }
+
+    const overlap = calculateValueOverlap(
+      (await tableA.reader.getSymbolTable(pair.fieldA)).texts,
+      (await tableB.reader.getSymbolTable(pair.fieldB)).texts
+    );
+
+    // Related names are only a suggestion; require the values to match too
+    if (
+      pair.match === "related" &&
+      Math.max(overlap.leftCoverage, overlap.rightCoverage) <
+        MIN_RELATED_OVERLAP
+    ) {
+      continue;
+    }
+
+    let left = {
+      table: tableA.name,
+      field: pair.fieldA,
+      ...(await getUniqueness(pair.a, pair.fieldA)),
+    };
+    let right = {
+      table: tableB.name,
+      field: pair.fieldB,
+      ...(await getUniqueness(pair.b, pair.fieldB)),
+    };
+    let leftCoverage = overlap.leftCoverage;
+    let rightCoverage = overlap.rightCoverage;
+
+    // Put the "one" side first, so associations read as 1:1, 1:N or N:M
+    if (!left.unique && right.unique) {
+      [left, right] = [right, left];
+      [leftCoverage, rightCoverage] = [rightCoverage, leftCoverage];
+    }
+
+    keys.push({
+      left,
+      right,
+      match: pair.match,
+      qlikAssociation: pair.match === "name",
+      overlap: {
+        sharedValues: overlap.sharedValues,
+        leftCoverage,
+        rightCoverage,
+      },
+      cardinality: classifyAssociation(left.unique, right.unique),
+    });
+  }
+
+  // Tables sharing more than one field name get a synthetic key in Qlik
+  const syntheticKeys = [];
+  for (let a = 0; a < tables.length; a++) {
+    for (let b = a + 1; b < tables.length; b++) {
+      const sharedFields = keys
+        .filter(
+          (key) =>
+            key.qlikAssociation &&
+            [key.left.table, key.right.table].includes(tables[a].name) &&
+            [key.left.table, key.right.table].includes(tables[b].name)
+        )
+        .map((key) => key.left.field);
+      if (sharedFields.length > 1) {
+        syntheticKeys.push({
+          tables: [tables[a].name, tables[b].name],
+          fields: sharedFields,
+        });
+      }
+    }
+  }
+
+  const warnings = [];
+  syntheticKeys.forEach((syntheticKey) => {
+    warnings.push(
+      `${syntheticKey.tables.join(" and ")} share the fields ${syntheticKey.fields.join(
+        ", "
+      )}, which would create a synthetic key in Qlik.`
+    );
+  });
+  keys
+    .filter((key) => key.qlikAssociation && key.overlap.sharedValues === 0)
+    .forEach((key) => {
+      warnings.push(
+        `${key.left.table}.${key.left.field} and ${key.right.table}.${key.right.field} have the same name but no values in common.`
+      );
+    });
+
+  if (onProgress) {
+    onProgress("Analysis complete", pairs.length, pairs.length);
+  }
+
+  return {
+    tables: tables.map(({ reader: _reader, ...table }) => ({
+      ...table,
+      keyFields: keys
+        .flatMap((key) => [key.left, key.right])
+        .filter((side) => side.table === table.name)
+        .map((side) => side.field)
+        .filter((field, index, all) => all.indexOf(field) === index),
+    })),
+    keys,
+    syntheticKeys,
+    warnings,
+  };
+}
@@ -0,0 +1,433 @@
+/**
+ * QVD Profiling Sketches
+ * Bounded-memory summaries of a stream of values, used to profile files
+ * without holding all distinct values in memory. Each sketch reports the
+ * error bounds of its estimates.
+ */
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a with a final
+ * avalanche step, so that all bits depend on all characters)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Estimates the number of distinct values (HyperLogLog)
+ */
+export class HyperLogLog {
+  /**
+   * @param {number} precision - Bits of the hash used to pick a register, 4-16 (default: 14, about 0.8% standard error)
+   */
+  constructor(precision = 14) {
+    if (precision < 4 || precision > 16) {
+      throw new Error(`HyperLogLog precision must be 4-16: ${precision}`);
+    }
+    this.precision = precision;
+    this.registers = new Uint8Array(1 << precision);
+  }
+
+  /**
+   * Add a value
+   * @param {*} value - Value, compared by its text
+   */
+  add(value) {
+    const hash = hashString(String(value));
+    const index = hash >>> (32 - this.precision);
+    const rest = (hash << this.precision) >>> 0;
+    const rank = Math.min(Math.clz32(rest) + 1, 33 - this.precision);
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  /**
+   * Relative standard error of the estimate
+   * @returns {number} Standard error as fraction of the count
+   */
+  get relativeError() {
+    return 1.04 / Math.sqrt(this.registers.length);
+  }
+
+  /**
+   * Estimate the number of distinct values added
+   * @returns {number} Estimated distinct count
+   */
+  count() {
+    const m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += Math.pow(2, -register);
+      if (register === 0) {
+        zeros++;
+      }
+    }
+    const alpha = 0.7213 / (1 + 1.079 / m);
+    let estimate = (alpha * m * m) / sum;
+
+    // Small ranges are counted more accurately from the empty registers,
+    // large ranges are corrected for hash collisions of the 32-bit hash
+    if (estimate <= 2.5 * m && zeros > 0) {
+      estimate = m * Math.log(m / zeros);
+    } else if (estimate > 2 ** 32 / 30) {
+      estimate = -(2 ** 32) * Math.log(1 - estimate / 2 ** 32);
+    }
+    return Math.round(estimate);
+  }
+}
+
+/**
+ * Estimates percentiles of a stream of numbers (merging t-digest)
+ * Values are kept in centroids that are small near the tails and larger
+ * in the middle, so extreme percentiles stay accurate.
+ */
+export class TDigest {
+  /**
+   * @param {number} compression - Accuracy parameter, roughly the number of centroids kept (default: 100)
+   */
+  constructor(compression = 100) {
+    this.compression = compression;
+    this.means = [];
+    this.counts = [];
+    this.buffer = [];
+    this.total = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - Value to add
+   * @param {number} count - Number of times the value occurs (default: 1)
+   */
+  add(value, count = 1) {
+    this.buffer.push([value, count]);
+    this.total += count;
+    if (value < this.min) {
+      this.min = value;
+    }
+    if (value > this.max) {
+      this.max = value;
+    }
+    if (this.buffer.length >= this.compression * 10) {
+      this.compress();
+    }
+  }
+
+  /**
+   * Merge buffered values into the centroids
+   */
+  compress() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+    const points = this.buffer;
+    for (let i = 0; i < this.means.length; i++) {
+      points.push([this.means[i], this.counts[i]]);
+    }
+    points.sort((a, b) => a[0] - b[0]);
+    this.buffer = [];
+
+    const means = [];
+    const counts = [];
+    let mean = points[0][0];
+    let count = points[0][1];
+    let before = 0;
+    for (let i = 1; i < points.length; i++) {
+      const [nextMean, nextCount] = points[i];
+      const merged = count + nextCount;
+      // Centroids may hold about 4·n·q·(1-q)/compression values at quantile q
+      const q = (before + merged / 2) / this.total;
+      const limit = (4 * this.total * q * (1 - q)) / this.compression;
+      if (merged <= Math.max(1, limit)) {
+        mean += ((nextMean - mean) * nextCount) / merged;
+        count = merged;
+      } else {
+        means.push(mean);
+        counts.push(count);
+        before += count;
+        mean = nextMean;
+        count = nextCount;
+      }
+    }
+    means.push(mean);
+    counts.push(count);
+    this.means = means;
+    this.counts = counts;
+  }
+
+  /**
+   * Locate a percentile between the centroids
+   * Positions follow the R-7 method (as for exact percentiles), so small
+   * inputs that fit in single-value centroids give exact results.
+   * @param {number} percentile - Percentile to estimate (0-1)
+   * @returns {{value: number, rankError: number}|null} Estimate, with the fraction of values its rank may be off by
+   */
+  locate(percentile) {
+    this.compress();
+    if (this.total === 0) {
+      return null;
+    }
+
+    // Centroid i is centered at position starts[i] + (counts[i] - 1) / 2
+    const target = (this.total - 1) * percentile;
+    let start = 0;
+    let previousCenter = null;
+    for (let i = 0; i < this.means.length; i++) {
+      const center = start + (this.counts[i] - 1) / 2;
+      if (target <= center) {
+        const rankError = this.counts[i] > 1 ? this.counts[i] / 2 : 0;
+        if (previousCenter === null) {
+          // Before the first center: between the minimum and the first mean
+          const value =
+            center === 0
+              ? this.means[i]
+              : this.min + ((this.means[i] - this.min) * target) / center;
+          return { value, rankError: rankError / this.total };
+        }
+        const weight = (target - previousCenter) / (center - previousCenter);
+        const value =
+          this.means[i - 1] + (this.means[i] - this.means[i - 1]) * weight;
+        const previousError =
+          this.counts[i - 1] > 1 ? this.counts[i - 1] / 2 : 0;
+        return {
+          value,
+          rankError: Math.max(rankError, previousError) / this.total,
+        };
+      }
+      previousCenter = center;
+      start += this.counts[i];
+    }
+
+    // After the last center: between the last mean and the maximum
+    const last = this.means.length - 1;
+    const lastCenter = previousCenter;
+    const span = this.total - 1 - lastCenter;
+    const value =
+      span === 0
+        ? this.max
+        : this.means[last] +
+          ((this.max - this.means[last]) * (target - lastCenter)) / span;
+    return {
+      value,
+      rankError: (this.counts[last] > 1 ? this.counts[last] / 2 : 0) / this.total,
+    };
+  }
+
+  /**
+   * Estimate how many values are below a value
+   * The inverse of locate: ranks are interpolated between the minimum, the
+   * centers of the centroids and the maximum.
+   * @param {number} value - Value to rank
+   * @returns {number} Estimated number of values below the value
+   */
+  rank(value) {
+    this.compress();
+    if (this.total === 0 || value <= this.min) {
+      return 0;
+    }
+    if (value > this.max) {
+      return this.total;
+    }
+
+    let previousValue = this.min;
+    let previousRank = 0;
+    let start = 0;
+    for (let i = 0; i < this.means.length; i++) {
+      const center = start + this.counts[i] / 2;
+      if (value <= this.means[i]) {
+        const span = this.means[i] - previousValue;
+        return span === 0
+          ? previousRank
+          : previousRank +
+              ((center - previousRank) * (value - previousValue)) / span;
+      }
+      previousValue = this.means[i];
+      previousRank = center;
+      start += this.counts[i];
+    }
+    const span = this.max - previousValue;
+    return span === 0
+      ? this.total
+      : previousRank +
+          ((this.total - previousRank) * (value - previousValue)) / span;
+  }
+
+  /**
+   * Estimate a percentile
+   * @param {number} percentile - Percentile to estimate (0-1)
+   * @returns {number|null} Estimated value, or null if no values were added
+   */
+  quantile(percentile) {
+    const located = this.locate(percentile);
+    return located ? located.value : null;
+  }
+}
+
+/**
+ * Keeps the most frequent values of a stream (Space-Saving)
+ * Every value occurring in more than total/capacity rows is kept. The
+ * count of a kept value is an upper bound, overestimating by at most its
+ * error.
+ */
+export class SpaceSaving {
+  /**
+   * @param {number} capacity - Number of values to keep (default: 1000)
+   */
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.total = 0;
+    this.evicted = false;
+    // Min-heap of {key, value, count, error, index}, ordered by count
+    this.heap = [];
+    this.entries = new Map();
+  }
+
+  /**
+   * Add a value
+   * @param {*} value - Value, compared by its text
+   */
+  add(value) {
+    const key = String(value);
+    this.total++;
+    let entry = this.entries.get(key);
+    if (entry) {
+      entry.count++;
+    } else if (this.heap.length < this.capacity) {
+      entry = { key, value, count: 1, error: 0, index: this.heap.length };
+      this.heap.push(entry);
+      this.entries.set(key, entry);
+      this.siftUp(entry.index);
+      return;
+    } else {
+      // Replace the least frequent value, which may have been this one
+      entry = this.heap[0];
+      this.entries.delete(entry.key);
+      entry.error = entry.count;
+      entry.count++;
+      entry.key = key;
+      entry.value = value;
+      this.entries.set(key, entry);
+      this.evicted = true;
+    }
+    this.siftDown(entry.index);
+  }
+
+  /**
+   * Largest count error of any value; values not kept occur at most this often
+   * @returns {number} Maximum overestimate
+   */
+  get maxError() {
+    return this.evicted ? this.heap[0].count : 0;
+  }
+
+  /**
+   * Get the kept values, most frequent first
+   * @param {number} limit - Maximum number of values (default: all kept values)
+   * @returns {Array<{value: *, count: number, error: number}>} Values with estimated counts and their maximum overestimate
+   */
+  top(limit = this.capacity) {
+    return [...this.heap]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map(({ value, count, error }) => ({ value, count, error }));
+  }
+
+  /**
+   * Move an entry towards the root until its parent is not larger
+   * @param {number} index - Heap index of the entry
+   */
+  siftUp(index) {
+    const { heap } = this;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].count <= heap[index].count) {
+        break;
+      }
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  /**
+   * Move an entry towards the leaves until its children are not smaller
+   * @param {number} index - Heap index of the entry
+   */
+  siftDown(index) {
+    const { heap } = this;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && heap[left].count < heap[smallest].count) {
+        smallest = left;
+      }
+      if (right < heap.length && heap[right].count < heap[smallest].count) {
+        smallest = right;
+      }
+      if (smallest === index) {
+        return;
+      }
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+
+  /**
+   * Swap two heap entries
+   * @param {number} a - Heap index
+   * @param {number} b - Heap index
+   */
+  swap(a, b) {
+    const { heap } = this;
+    [heap[a], heap[b]] = [heap[b], heap[a]];
+    heap[a].index = a;
+    heap[b].index = b;
+  }
+}
+
+/**
+ * Keeps a uniform random sample of a stream (reservoir sampling)
+ */
+export class ReservoirSample {
+  /**
+   * @param {number} capacity - Sample size (default: 10000)
+   * @param {Function} random - Random number generator returning [0, 1) (default: Math.random)
+   */
+  constructor(capacity = 10000, random = Math.random) {
+    this.capacity = capacity;
+    this.random = random;
+    this.items = [];
+    this.seen = 0;
+  }
+
+  /**
+   * Offer an item to the sample
+   * @param {*} item - Item
+   */
+  add(item) {
+    this.seen++;
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+      return;
+    }
+    const index = Math.floor(this.random() * this.seen);
+    if (index < this.capacity) {
+      this.items[index] = item;
+    }
+  }
+}
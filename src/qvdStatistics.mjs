@@ -3,6 +3,42 @@
  * Computes statistical metrics for numeric fields
  */
 
+import { TDigest } from "./qvdSketches.mjs";
+
+/**
+ * Methods for detecting outliers
+ * IQR flags values beyond the quartiles by a multiple of the interquartile
+ * range, z-score values a multiple of the standard deviation away from the
+ * mean, and MAD values whose modified z-score (based on the median
+ * absolute deviation) exceeds the threshold.
+ */
+export const OUTLIER_METHODS = {
+  IQR: "iqr",
+  Z_SCORE: "zScore",
+  MAD: "mad",
+};
+
+/**
+ * Default threshold of each outlier method
+ */
+export const DEFAULT_OUTLIER_THRESHOLDS = {
+  [OUTLIER_METHODS.IQR]: 1.5,
+  [OUTLIER_METHODS.Z_SCORE]: 3,
+  [OUTLIER_METHODS.MAD]: 3.5,
+};
+
+/**
+ * Number of outlier values listed as examples
+ */
+const OUTLIER_EXAMPLES = 10;
+
+/**
+ * Scale factors making the median and mean absolute deviation consistent
+ * with the standard deviation of normally distributed values
+ */
+const MAD_SCALE = 1.4826;
+const MEAN_ABSOLUTE_DEVIATION_SCALE = 1.2533;
+
 /**
  * Check if a value is numeric
  * @param {*} value - Value to check
@@ -53,30 +89,63 @@ export function isNumericField(data, fieldName, threshold = 0.9) {
 }
 
 /**
- * Sort numeric array for percentile calculations
- * @param {Array<number>} arr - Array to sort
- * @returns {Array<number>} Sorted array
+ * Detect if a field is numeric from its value counts
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} threshold - Percentage threshold for numeric values (default: 0.9)
+ * @returns {boolean} True if field is predominantly numeric
+ */
+export function isNumericFromCounts(valueCounts, threshold = 0.9) {
+  let numericCount = 0;
+  let nonNullCount = 0;
+  for (const [value, count] of valueCounts) {
+    nonNullCount += count;
+    if (isNumeric(value)) {
+      numericCount += count;
+    }
+  }
+
+  if (nonNullCount === 0) {
+    return false;
+  }
+
+  return numericCount / nonNullCount >= threshold;
+}
+
+/**
+ * Get the value at a position of the sorted rows, from distinct sorted
+ * values and their counts
+ * @param {Array<number>} values - Distinct values in ascending order
+ * @param {Array<number>} counts - Number of rows per value
+ * @param {number} position - 0-based row position
+ * @returns {number} Value at the position
  */
-function sortNumeric(arr) {
-  return arr.slice().sort((a, b) => a - b);
+function valueAtPosition(values, counts, position) {
+  let seen = 0;
+  for (let i = 0; i < values.length; i++) {
+    seen += counts[i];
+    if (position < seen) {
+      return values[i];
+    }
+  }
+  return values[values.length - 1];
 }
 
 /**
  * Calculate percentile value using linear interpolation (R-7 method / pandas default)
- * @param {Array<number>} sortedData - Sorted numeric array
+ * @param {Array<number>} values - Distinct values in ascending order
+ * @param {Array<number>} counts - Number of rows per value
+ * @param {number} n - Total number of rows
  * @param {number} percentile - Percentile to calculate (0-1)
  * @returns {number} Percentile value
  */
-function calculatePercentile(sortedData, percentile) {
-  if (sortedData.length === 0) {
+function calculateWeightedPercentile(values, counts, n, percentile) {
+  if (n === 0) {
     return null;
   }
-  if (sortedData.length === 1) {
-    return sortedData[0];
+  if (n === 1) {
+    return values[0];
   }
 
-  const n = sortedData.length;
-
   // R-7 method (default in R and pandas): h = 1 + (n-1)*p
   // Convert to 0-indexed: position = (n-1)*p
   const position = (n - 1) * percentile;
@@ -85,107 +154,31 @@ function calculatePercentile(sortedData, percentile) {
   const upper = Math.ceil(position);
   const weight = position - lower;
 
+  const lowerValue = valueAtPosition(values, counts, lower);
   if (lower === upper) {
-    return sortedData[lower];
+    return lowerValue;
   }
 
-  return sortedData[lower] * (1 - weight) + sortedData[upper] * weight;
-}
-
-/**
- * Calculate median directly from sorted values
- * @param {Array<number>} sortedValues - Sorted numeric array
- * @returns {number} Median value
- */
-function calculateMedianDirect(sortedValues) {
-  const n = sortedValues.length;
-  if (n === 0) {
-    return null;
-  }
-  if (n === 1) {
-    return sortedValues[0];
-  }
-
-  const mid = Math.floor(n / 2);
-  if (n % 2 === 0) {
-    return (sortedValues[mid - 1] + sortedValues[mid]) / 2;
-  }
-  return sortedValues[mid];
-}
-
-/**
- * Calculate mean (average)
- * @param {Array<number>} values - Array of numeric values
- * @returns {number} Mean value
- */
-function calculateMean(values) {
-  if (values.length === 0) {
-    return null;
-  }
-  const sum = values.reduce((acc, val) => acc + val, 0);
-  return sum / values.length;
-}
-
-/**
- * Calculate median
- * @param {Array<number>} sortedValues - Sorted array of numeric values
- * @returns {number} Median value
- */
-function calculateMedian(sortedValues) {
-  return calculatePercentile(sortedValues, 0.5);
+  const upperValue = valueAtPosition(values, counts, upper);
+  return lowerValue * (1 - weight) + upperValue * weight;
 }
 
 /**
  * Calculate mode (most frequent value)
- * @param {Array<number>} values - Array of numeric values
+ * @param {Array<number>} values - Distinct values in ascending order
+ * @param {Array<number>} counts - Number of rows per value
  * @returns {Array<number>} Array of mode values (can be multiple)
  */
-function calculateMode(values) {
-  if (values.length === 0) {
-    return [];
-  }
-
-  const frequency = new Map();
-  let maxFreq = 0;
-
-  for (const value of values) {
-    const count = (frequency.get(value) || 0) + 1;
-    frequency.set(value, count);
-    maxFreq = Math.max(maxFreq, count);
-  }
-
-  // Return all values with maximum frequency
-  const modes = [];
-  for (const [value, count] of frequency.entries()) {
-    if (count === maxFreq) {
-      modes.push(value);
-    }
-  }
+function calculateWeightedMode(values, counts) {
+  const maxFreq = counts.reduce((max, count) => Math.max(max, count), 0);
 
   // If all values appear once, there's no meaningful mode
-  if (maxFreq === 1) {
+  if (maxFreq <= 1) {
     return [];
   }
 
-  return modes.sort((a, b) => a - b);
-}
-
-/**
- * Calculate variance (sample variance)
- * @param {Array<number>} values - Array of numeric values
- * @param {number} mean - Pre-calculated mean
- * @returns {number} Sample variance
- */
-function calculateVariance(values, mean) {
-  if (values.length === 0) {
-    return null;
-  }
-  if (values.length === 1) {
-    return 0;
-  }
-  const squaredDiffs = values.map((val) => Math.pow(val - mean, 2));
-  // Use sample variance (n-1) for better statistical inference
-  return squaredDiffs.reduce((acc, val) => acc + val, 0) / (values.length - 1);
+  // Return all values with maximum frequency
+  return values.filter((value, i) => counts[i] === maxFreq);
 }
 
 /**
@@ -199,40 +192,44 @@ function calculateStdDev(variance) {
 
 /**
  * Calculate skewness (distribution asymmetry)
- * @param {Array<number>} values - Array of numeric values
+ * @param {Array<number>} values - Distinct values
+ * @param {Array<number>} counts - Number of rows per value
+ * @param {number} n - Total number of rows
  * @param {number} mean - Pre-calculated mean
  * @param {number} stdDev - Pre-calculated standard deviation
  * @returns {number} Skewness
  */
-function calculateSkewness(values, mean, stdDev) {
-  if (values.length < 3 || stdDev === 0 || stdDev === null) {
+function calculateWeightedSkewness(values, counts, n, mean, stdDev) {
+  if (n < 3 || stdDev === 0 || stdDev === null) {
     return null;
   }
 
-  const n = values.length;
-  const cubedDiffs = values.map((val) => Math.pow((val - mean) / stdDev, 3));
-  const sum = cubedDiffs.reduce((acc, val) => acc + val, 0);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += Math.pow((values[i] - mean) / stdDev, 3) * counts[i];
+  }
 
   return (n / ((n - 1) * (n - 2))) * sum;
 }
 
 /**
  * Calculate kurtosis (tail heaviness)
- * @param {Array<number>} values - Array of numeric values
+ * @param {Array<number>} values - Distinct values
+ * @param {Array<number>} counts - Number of rows per value
+ * @param {number} n - Total number of rows
  * @param {number} mean - Pre-calculated mean
  * @param {number} stdDev - Pre-calculated standard deviation
  * @returns {number} Excess kurtosis
  */
-function calculateKurtosis(values, mean, stdDev) {
-  if (values.length < 4 || stdDev === 0 || stdDev === null) {
+function calculateWeightedKurtosis(values, counts, n, mean, stdDev) {
+  if (n < 4 || stdDev === 0 || stdDev === null) {
     return null;
   }
 
-  const n = values.length;
-  const fourthPowerDiffs = values.map((val) =>
-    Math.pow((val - mean) / stdDev, 4)
-  );
-  const sum = fourthPowerDiffs.reduce((acc, val) => acc + val, 0);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += Math.pow((values[i] - mean) / stdDev, 4) * counts[i];
+  }
 
   // Excess kurtosis (subtract 3 for normal distribution baseline)
   const kurtosis =
@@ -242,13 +239,136 @@ function calculateKurtosis(values, mean, stdDev) {
   return kurtosis;
 }
 
+/**
+ * Resolve the outlier method and threshold, falling back to the IQR method
+ * and the default threshold of the method
+ * @param {Object} options - Outlier options
+ * @param {string} options.method - One of OUTLIER_METHODS (default: IQR)
+ * @param {number} options.threshold - Threshold of the method (default: see DEFAULT_OUTLIER_THRESHOLDS)
+ * @returns {{method: string, threshold: number}} Outlier method and threshold
+ */
+export function resolveOutlierOptions({ method, threshold } = {}) {
+  const resolvedMethod = method || OUTLIER_METHODS.IQR;
+  if (!Object.values(OUTLIER_METHODS).includes(resolvedMethod)) {
+    throw new Error(`Unknown outlier method: ${resolvedMethod}`);
+  }
+  const number = Number(threshold);
+  return {
+    method: resolvedMethod,
+    threshold:
+      threshold !== null && threshold !== undefined && number > 0
+        ? number
+        : DEFAULT_OUTLIER_THRESHOLDS[resolvedMethod],
+  };
+}
+
+/**
+ * Describe the outlier method and threshold of a statistics result
+ * @param {{method: string, threshold: number}} outliers - Outliers of calculateStatistics
+ * @returns {string} Description, e.g. "IQR fences (1.5 × IQR)"
+ */
+export function describeOutlierMethod({ method, threshold }) {
+  switch (method) {
+    case OUTLIER_METHODS.Z_SCORE:
+      return `z-score (|z| > ${threshold})`;
+    case OUTLIER_METHODS.MAD:
+      return `MAD (modified z-score > ${threshold})`;
+    default:
+      return `IQR fences (${threshold} × IQR)`;
+  }
+}
+
+/**
+ * Calculate the spread used by the MAD method: the median absolute
+ * deviation from the median, scaled to match the standard deviation.
+ * When more than half of the values equal the median, the mean absolute
+ * deviation is used instead.
+ * @param {Array<number>} values - Distinct values
+ * @param {Array<number>} counts - Number of rows per value
+ * @param {number} n - Total number of rows
+ * @param {number} median - Pre-calculated median
+ * @returns {number} Scaled absolute deviation
+ */
+function calculateScaledAbsoluteDeviation(values, counts, n, median) {
+  const deviations = values
+    .map((value, i) => [Math.abs(value - median), counts[i]])
+    .sort((a, b) => a[0] - b[0]);
+  const mad = calculateWeightedPercentile(
+    deviations.map(([deviation]) => deviation),
+    deviations.map(([, count]) => count),
+    n,
+    0.5
+  );
+  if (mad > 0) {
+    return mad * MAD_SCALE;
+  }
+
+  let sum = 0;
+  for (const [deviation, count] of deviations) {
+    sum += deviation * count;
+  }
+  return (sum / n) * MEAN_ABSOLUTE_DEVIATION_SCALE;
+}
+
+/**
+ * Calculate the bounds outside which values are outliers
+ * @param {{method: string, threshold: number}} options - Resolved outlier options
+ * @param {Object} measures - Mean, stdDev, median, q1, q3 and the scaled absolute deviation of the values
+ * @returns {{lowerBound: number, upperBound: number}} Outlier bounds
+ */
+function calculateOutlierBounds(
+  { method, threshold },
+  { mean, stdDev, median, q1, q3, absoluteDeviation }
+) {
+  switch (method) {
+    case OUTLIER_METHODS.Z_SCORE:
+      return {
+        lowerBound: mean - threshold * stdDev,
+        upperBound: mean + threshold * stdDev,
+      };
+    case OUTLIER_METHODS.MAD:
+      return {
+        lowerBound: median - threshold * absoluteDeviation,
+        upperBound: median + threshold * absoluteDeviation,
+      };
+    default: {
+      const iqr = q3 - q1;
+      return {
+        lowerBound: q1 - threshold * iqr,
+        upperBound: q3 + threshold * iqr,
+      };
+    }
+  }
+}
+
+/**
+ * Count how often each value of a field occurs in a set of rows
+ * @param {Array<Object>} data - Array of data rows
+ * @param {string} fieldName - Field name to count
+ * @returns {{valueCounts: Map<*, number>, nullCount: number}} Rows per value (NULL/empty values excluded) and NULL/empty rows
+ */
+export function countFieldValues(data, fieldName) {
+  const valueCounts = new Map();
+  let nullCount = 0;
+  for (const row of data) {
+    const value = row[fieldName];
+    if (value === null || value === undefined || value === "") {
+      nullCount++;
+    } else {
+      valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+    }
+  }
+  return { valueCounts, nullCount };
+}
+
 /**
  * Calculate comprehensive statistics for numeric field
  * @param {Array<Object>} data - Array of data rows
  * @param {string} fieldName - Field name to analyze
+ * @param {Object} outlierOptions - Outlier method and threshold, see resolveOutlierOptions
  * @returns {Object} Statistical analysis results
  */
-export function calculateStatistics(data, fieldName) {
+export function calculateStatistics(data, fieldName, outlierOptions = {}) {
   if (!data || data.length === 0) {
     return {
       isNumeric: false,
@@ -256,63 +376,145 @@ export function calculateStatistics(data, fieldName) {
     };
   }
 
-  // Extract and filter numeric values
-  const numericValues = [];
-  let nullCount = 0;
-  let nonNumericCount = 0;
-
-  for (const row of data) {
-    const value = row[fieldName];
+  const { valueCounts, nullCount } = countFieldValues(data, fieldName);
+  return calculateStatisticsFromCounts(
+    valueCounts,
+    nullCount,
+    data.length,
+    outlierOptions
+  );
+}
 
-    if (value === null || value === undefined || value === "") {
-      nullCount++;
-      continue;
-    }
+/**
+ * Calculate comprehensive statistics for a numeric field from its value counts
+ * Each distinct value is visited once, so a field of many rows with few
+ * distinct values is cheap to analyze.
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} nullCount - Number of NULL/empty rows
+ * @param {number} totalRows - Total number of rows
+ * @param {Object} outlierOptions - Outlier method and threshold, see resolveOutlierOptions
+ * @returns {Object} Statistical analysis results (see calculateStatistics)
+ */
+export function calculateStatisticsFromCounts(
+  valueCounts,
+  nullCount,
+  totalRows,
+  outlierOptions = {}
+) {
+  const outlierSettings = resolveOutlierOptions(outlierOptions);
+
+  if (totalRows === 0) {
+    return {
+      isNumeric: false,
+      error: "No data available",
+    };
+  }
 
+  // Merge values by number, so "1" and 1 count as the same value
+  const numericCounts = new Map();
+  let nonNumericCount = 0;
+  for (const [value, count] of valueCounts) {
     if (isNumeric(value)) {
-      numericValues.push(Number(value));
+      const num = Number(value);
+      numericCounts.set(num, (numericCounts.get(num) || 0) + count);
     } else {
-      nonNumericCount++;
+      nonNumericCount += count;
     }
   }
 
+  let count = 0;
+  for (const valueCount of numericCounts.values()) {
+    count += valueCount;
+  }
+
   // Check if field is predominantly numeric
-  const totalNonNull = numericValues.length + nonNumericCount;
-  if (totalNonNull === 0 || numericValues.length / totalNonNull < 0.9) {
+  const totalNonNull = count + nonNumericCount;
+  if (totalNonNull === 0 || count / totalNonNull < 0.9) {
     return {
       isNumeric: false,
-      numericCount: numericValues.length,
+      numericCount: count,
       nonNumericCount,
       nullCount,
     };
   }
 
-  // Sort values for percentile calculations
-  const sortedValues = sortNumeric(numericValues);
+  // Distinct values in ascending order with their counts
+  const values = Array.from(numericCounts.keys()).sort((a, b) => a - b);
+  const counts = values.map((value) => numericCounts.get(value));
 
   // Descriptive statistics
-  const min = sortedValues[0];
-  const max = sortedValues[sortedValues.length - 1];
-  const sum = numericValues.reduce((acc, val) => acc + val, 0);
-  const count = numericValues.length;
-  const mean = calculateMean(numericValues);
-  const median = calculateMedian(sortedValues);
-  const mode = calculateMode(numericValues);
-
-  // Spread measures
+  const min = values[0];
+  const max = values[values.length - 1];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i] * counts[i];
+  }
+  const mean = sum / count;
+  const median = calculateWeightedPercentile(values, counts, count, 0.5);
+  const mode = calculateWeightedMode(values, counts);
+
+  // Spread measures, with sample variance (n-1)
+  let squaredDiffs = 0;
+  for (let i = 0; i < values.length; i++) {
+    squaredDiffs += Math.pow(values[i] - mean, 2) * counts[i];
+  }
   const range = max - min;
-  const variance = calculateVariance(numericValues, mean);
+  const variance = count === 1 ? 0 : squaredDiffs / (count - 1);
   const stdDev = calculateStdDev(variance);
 
   // Distribution metrics
   const percentiles = {
-    p10: calculatePercentile(sortedValues, 0.1),
+    p10: calculateWeightedPercentile(values, counts, count, 0.1),
+    p25: calculateWeightedPercentile(values, counts, count, 0.25),
     p50: median,
-    p90: calculatePercentile(sortedValues, 0.9),
+    p75: calculateWeightedPercentile(values, counts, count, 0.75),
+    p90: calculateWeightedPercentile(values, counts, count, 0.9),
   };
 
-  const skewness = calculateSkewness(numericValues, mean, stdDev);
-  const kurtosis = calculateKurtosis(numericValues, mean, stdDev);
+  const skewness = calculateWeightedSkewness(values, counts, count, mean, stdDev);
+  const kurtosis = calculateWeightedKurtosis(values, counts, count, mean, stdDev);
+
+  // Outliers, listing the most extreme values on either side as examples
+  const { lowerBound, upperBound } = calculateOutlierBounds(outlierSettings, {
+    mean,
+    stdDev,
+    median,
+    q1: percentiles.p25,
+    q3: percentiles.p75,
+    absoluteDeviation: calculateScaledAbsoluteDeviation(
+      values,
+      counts,
+      count,
+      median
+    ),
+  });
+  let lowCount = 0;
+  let highCount = 0;
+  const lowValues = [];
+  const highValues = [];
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < lowerBound) {
+      lowCount += counts[i];
+      lowValues.push(values[i]);
+    } else if (values[i] > upperBound) {
+      highCount += counts[i];
+      highValues.push(values[i]);
+    }
+  }
+  const exampleCount = Math.ceil(OUTLIER_EXAMPLES / 2);
+  const outliers = {
+    ...outlierSettings,
+    lowerBound,
+    upperBound,
+    count: lowCount + highCount,
+    percentage: ((lowCount + highCount) / count) * 100,
+    lowCount,
+    highCount,
+    examples: [
+      ...lowValues.slice(0, exampleCount),
+      ...highValues.slice(-exampleCount),
+    ],
+  };
 
   return {
     isNumeric: true,
@@ -333,6 +535,7 @@ export function calculateStatistics(data, fieldName) {
       range,
       variance,
       stdDev,
+      iqr: percentiles.p75 - percentiles.p25,
     },
 
     // Distribution metrics
@@ -342,11 +545,229 @@ export function calculateStatistics(data, fieldName) {
       kurtosis,
     },
 
+    // Values outside the bounds of the outlier method
+    outliers,
+
     // Data quality
     quality: {
       nullCount,
       nonNumericCount,
-      totalRows: data.length,
+      totalRows,
+    },
+  };
+}
+
+/**
+ * Create a bounded-memory summary of a numeric field, fed one value at a
+ * time with addToNumericSketch. Count, sum, mean and the moments are
+ * exact; percentiles are estimated with a t-digest.
+ * @param {number} compression - t-digest compression (default: 100)
+ * @returns {Object} Numeric sketch
+ */
+export function createNumericSketch(compression = 100) {
+  return {
+    count: 0,
+    nonNumericCount: 0,
+    min: Infinity,
+    max: -Infinity,
+    sum: 0,
+    mean: 0,
+    // Sums of the 2nd, 3rd and 4th powers of the deviations from the mean
+    m2: 0,
+    m3: 0,
+    m4: 0,
+    digest: new TDigest(compression),
+  };
+}
+
+/**
+ * Add a non-null value to a numeric sketch
+ * @param {Object} sketch - Sketch from createNumericSketch
+ * @param {*} value - Value of the field
+ */
+export function addToNumericSketch(sketch, value) {
+  if (!isNumeric(value)) {
+    sketch.nonNumericCount++;
+    return;
+  }
+  const x = Number(value);
+
+  // Update the central moments in one pass (Terriberry's method)
+  const n1 = sketch.count;
+  const n = n1 + 1;
+  const delta = x - sketch.mean;
+  const deltaN = delta / n;
+  const deltaN2 = deltaN * deltaN;
+  const term = delta * deltaN * n1;
+  sketch.mean += deltaN;
+  sketch.m4 +=
+    term * deltaN2 * (n * n - 3 * n + 3) +
+    6 * deltaN2 * sketch.m2 -
+    4 * deltaN * sketch.m3;
+  sketch.m3 += term * deltaN * (n - 2) - 3 * deltaN * sketch.m2;
+  sketch.m2 += term;
+  sketch.count = n;
+
+  sketch.sum += x;
+  if (x < sketch.min) {
+    sketch.min = x;
+  }
+  if (x > sketch.max) {
+    sketch.max = x;
+  }
+  sketch.digest.add(x);
+}
+
+/**
+ * Calculate statistics for a numeric field from a numeric sketch
+ * The result has the shape of calculateStatistics, with the percentiles
+ * and median estimated from the t-digest. Their rank errors, as fraction
+ * of the values, are listed under approximate.
+ * @param {Object} sketch - Sketch from createNumericSketch
+ * @param {number} nullCount - Number of NULL/empty rows
+ * @param {number} totalRows - Total number of rows
+ * Outlier bounds come from the estimated quartiles, or for the MAD method
+ * from the centroids of the t-digest, and outliers are counted by ranking
+ * the bounds in the t-digest. Examples of outliers are not known.
+ * @param {Array<number>} mode - Most frequent values, if known (default: none)
+ * @param {Object} outlierOptions - Outlier method and threshold, see resolveOutlierOptions
+ * @returns {Object} Statistical analysis results
+ */
+export function calculateStatisticsFromSketch(
+  sketch,
+  nullCount,
+  totalRows,
+  mode = [],
+  outlierOptions = {}
+) {
+  const outlierSettings = resolveOutlierOptions(outlierOptions);
+
+  if (totalRows === 0) {
+    return {
+      isNumeric: false,
+      error: "No data available",
+    };
+  }
+
+  const { count, nonNumericCount } = sketch;
+  const totalNonNull = count + nonNumericCount;
+  if (totalNonNull === 0 || count / totalNonNull < 0.9) {
+    return {
+      isNumeric: false,
+      numericCount: count,
+      nonNumericCount,
+      nullCount,
+    };
+  }
+
+  const { digest } = sketch;
+  const p10 = digest.locate(0.1);
+  const p25 = digest.locate(0.25);
+  const p50 = digest.locate(0.5);
+  const p75 = digest.locate(0.75);
+  const p90 = digest.locate(0.9);
+
+  const variance = count === 1 ? 0 : sketch.m2 / (count - 1);
+  const stdDev = calculateStdDev(variance);
+
+  // Sample skewness and excess kurtosis from the central moments, matching
+  // the formulas used for exact statistics
+  let skewness = null;
+  if (count >= 3 && stdDev > 0) {
+    skewness =
+      (count / ((count - 1) * (count - 2))) *
+      (sketch.m3 / Math.pow(stdDev, 3));
+  }
+  let kurtosis = null;
+  if (count >= 4 && stdDev > 0) {
+    kurtosis =
+      ((count * (count + 1)) / ((count - 1) * (count - 2) * (count - 3))) *
+        (sketch.m4 / Math.pow(stdDev, 4)) -
+      (3 * Math.pow(count - 1, 2)) / ((count - 2) * (count - 3));
+  }
+
+  const { lowerBound, upperBound } = calculateOutlierBounds(outlierSettings, {
+    mean: sketch.sum / count,
+    stdDev,
+    median: p50.value,
+    q1: p25.value,
+    q3: p75.value,
+    absoluteDeviation: calculateScaledAbsoluteDeviation(
+      digest.means,
+      digest.counts,
+      count,
+      p50.value
+    ),
+  });
+  const lowCount = Math.round(digest.rank(lowerBound));
+  const highCount =
+    upperBound >= sketch.max
+      ? 0
+      : Math.round(count - digest.rank(upperBound));
+
+  return {
+    isNumeric: true,
+
+    // Descriptive statistics
+    descriptive: {
+      min: sketch.min,
+      max: sketch.max,
+      mean: sketch.sum / count,
+      median: p50.value,
+      mode,
+      sum: sketch.sum,
+      count,
+    },
+
+    // Spread measures
+    spread: {
+      range: sketch.max - sketch.min,
+      variance,
+      stdDev,
+      iqr: p75.value - p25.value,
+    },
+
+    // Distribution metrics
+    distribution: {
+      percentiles: {
+        p10: p10.value,
+        p25: p25.value,
+        p50: p50.value,
+        p75: p75.value,
+        p90: p90.value,
+      },
+      skewness,
+      kurtosis,
+    },
+
+    // Estimated number of values outside the bounds of the outlier method
+    outliers: {
+      ...outlierSettings,
+      lowerBound,
+      upperBound,
+      count: lowCount + highCount,
+      percentage: ((lowCount + highCount) / count) * 100,
+      lowCount,
+      highCount,
+      examples: [],
+    },
+
+    // Data quality
+    quality: {
+      nullCount,
+      nonNumericCount,
+      totalRows,
+    },
+
+    // Rank errors of the estimated percentiles
+    approximate: {
+      percentiles: {
+        p10: p10.rankError,
+        p25: p25.rankError,
+        p50: p50.rankError,
+        p75: p75.rankError,
+        p90: p90.rankError,
+      },
     },
   };
 }
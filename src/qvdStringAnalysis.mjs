@@ -3,6 +3,19 @@
  * Computes comprehensive text analysis for string fields
  */
 
+import { countFieldValues } from "./qvdStatistics.mjs";
+import {
+  isValidBelgianNationalNumber,
+  isValidDanishCpr,
+  isValidDutchBsn,
+  isValidFinnishHetu,
+  isValidFrenchNir,
+  isValidGermanPensionNumber,
+  isValidPersonnummer,
+  isValidUkNino,
+  isValidUsSsn,
+} from "./pii/checksums.mjs";
+
 /**
  * Detect if a field is a string field (non-numeric)
  * @param {Array<Object>} data - Array of data rows
@@ -42,13 +55,43 @@ export function isStringField(data, fieldName, threshold = 0.8) {
   return stringCount / nonNullCount >= threshold;
 }
 
+/**
+ * Detect if a field is a string field (non-numeric) from its value counts
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} threshold - Percentage threshold for string values (default: 0.8)
+ * @returns {boolean} True if field is predominantly string
+ */
+export function isStringFromCounts(valueCounts, threshold = 0.8) {
+  let stringCount = 0;
+  let nonNullCount = 0;
+
+  for (const [value, count] of valueCounts) {
+    if (value !== null && value !== undefined && value !== "") {
+      nonNullCount += count;
+      // Check if it's a string and not a pure number
+      const strValue = String(value);
+      const num = Number(value);
+      if (isNaN(num) || !isFinite(num) || strValue !== num.toString()) {
+        stringCount += count;
+      }
+    }
+  }
+
+  if (nonNullCount === 0) {
+    return false;
+  }
+
+  return stringCount / nonNullCount >= threshold;
+}
+
 /**
  * Calculate length statistics for string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
+ * @param {number} total - Total number of values
  * @returns {Object} Length statistics
  */
-function calculateLengthStats(stringValues) {
-  if (stringValues.length === 0) {
+function calculateLengthStats(entries, total) {
+  if (total === 0) {
     return {
       min: 0,
       max: 0,
@@ -58,17 +101,20 @@ function calculateLengthStats(stringValues) {
     };
   }
 
-  const lengths = stringValues.map((v) => v.length);
-  const min = Math.min(...lengths);
-  const max = Math.max(...lengths);
-  const sum = lengths.reduce((acc, len) => acc + len, 0);
-  const average = sum / lengths.length;
+  let min = Infinity;
+  let max = 0;
+  let sum = 0;
 
   // Length frequency distribution
   const lengthFreq = new Map();
-  for (const len of lengths) {
-    lengthFreq.set(len, (lengthFreq.get(len) || 0) + 1);
+  for (const [value, count] of entries) {
+    const len = value.length;
+    min = Math.min(min, len);
+    max = Math.max(max, len);
+    sum += len * count;
+    lengthFreq.set(len, (lengthFreq.get(len) || 0) + count);
   }
+  const average = sum / total;
 
   // Find most common length
   let mostCommon = 0;
@@ -98,21 +144,22 @@ function calculateLengthStats(stringValues) {
 
 /**
  * Detect common prefixes in string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
+ * @param {number} total - Total number of values
  * @param {number} minLength - Minimum prefix length (default: 2)
  * @param {number} minOccurrences - Minimum occurrences (default: 2)
  * @returns {Array<Object>} Common prefixes sorted by frequency
  */
-function detectPrefixes(stringValues, minLength = 2, minOccurrences = 2) {
+function detectPrefixes(entries, total, minLength = 2, minOccurrences = 2) {
   const prefixFreq = new Map();
 
-  for (const value of stringValues) {
+  for (const [value, count] of entries) {
     if (value.length >= minLength) {
       // Check prefixes from minLength to half the string length
       const maxPrefixLen = Math.min(value.length, 10); // Cap at 10 chars
       for (let len = minLength; len <= maxPrefixLen; len++) {
         const prefix = value.substring(0, len);
-        prefixFreq.set(prefix, (prefixFreq.get(prefix) || 0) + 1);
+        prefixFreq.set(prefix, (prefixFreq.get(prefix) || 0) + count);
       }
     }
   }
@@ -123,7 +170,7 @@ function detectPrefixes(stringValues, minLength = 2, minOccurrences = 2) {
     .map(([prefix, count]) => ({
       prefix,
       count,
-      percentage: ((count / stringValues.length) * 100).toFixed(1),
+      percentage: ((count / total) * 100).toFixed(1),
     }))
     .sort((a, b) => b.count - a.count)
     .slice(0, 10); // Top 10 prefixes
@@ -131,21 +178,22 @@ function detectPrefixes(stringValues, minLength = 2, minOccurrences = 2) {
 
 /**
  * Detect common suffixes in string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
+ * @param {number} total - Total number of values
  * @param {number} minLength - Minimum suffix length (default: 2)
  * @param {number} minOccurrences - Minimum occurrences (default: 2)
  * @returns {Array<Object>} Common suffixes sorted by frequency
  */
-function detectSuffixes(stringValues, minLength = 2, minOccurrences = 2) {
+function detectSuffixes(entries, total, minLength = 2, minOccurrences = 2) {
   const suffixFreq = new Map();
 
-  for (const value of stringValues) {
+  for (const [value, count] of entries) {
     if (value.length >= minLength) {
       // Check suffixes from minLength to half the string length
       const maxSuffixLen = Math.min(value.length, 10); // Cap at 10 chars
       for (let len = minLength; len <= maxSuffixLen; len++) {
         const suffix = value.substring(value.length - len);
-        suffixFreq.set(suffix, (suffixFreq.get(suffix) || 0) + 1);
+        suffixFreq.set(suffix, (suffixFreq.get(suffix) || 0) + count);
       }
     }
   }
@@ -156,7 +204,7 @@ function detectSuffixes(stringValues, minLength = 2, minOccurrences = 2) {
     .map(([suffix, count]) => ({
       suffix,
       count,
-      percentage: ((count / stringValues.length) * 100).toFixed(1),
+      percentage: ((count / total) * 100).toFixed(1),
     }))
     .sort((a, b) => b.count - a.count)
     .slice(0, 10); // Top 10 suffixes
@@ -164,11 +212,11 @@ function detectSuffixes(stringValues, minLength = 2, minOccurrences = 2) {
 
 /**
  * Analyze character composition of string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
  * @returns {Object} Character composition analysis
  */
-function analyzeCharacterComposition(stringValues) {
-  if (stringValues.length === 0) {
+function analyzeCharacterComposition(entries) {
+  if (entries.length === 0) {
     return {
       alphanumericPercentage: 0,
       alphabeticPercentage: 0,
@@ -191,35 +239,35 @@ function analyzeCharacterComposition(stringValues) {
   let trailingWhitespace = 0;
   let nonAsciiChars = 0;
 
-  for (const value of stringValues) {
-    totalChars += value.length;
+  for (const [value, count] of entries) {
+    totalChars += value.length * count;
 
     // Check leading/trailing whitespace
     if (value.length > 0 && /^\s/.test(value)) {
-      leadingWhitespace++;
+      leadingWhitespace += count;
     }
     if (value.length > 0 && /\s$/.test(value)) {
-      trailingWhitespace++;
+      trailingWhitespace += count;
     }
 
     // Analyze each character
     for (const char of value) {
       if (/[a-zA-Z0-9]/.test(char)) {
-        alphanumericChars++;
+        alphanumericChars += count;
         if (/[a-zA-Z]/.test(char)) {
-          alphabeticChars++;
+          alphabeticChars += count;
         } else {
-          numericChars++;
+          numericChars += count;
         }
       } else if (/\s/.test(char)) {
-        whitespaceChars++;
+        whitespaceChars += count;
       } else {
-        specialChars++;
+        specialChars += count;
       }
 
       // Check for non-ASCII characters
       if (char.charCodeAt(0) > 127) {
-        nonAsciiChars++;
+        nonAsciiChars += count;
       }
     }
   }
@@ -257,11 +305,12 @@ function analyzeCharacterComposition(stringValues) {
 
 /**
  * Analyze case composition of string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
+ * @param {number} total - Total number of values
  * @returns {Object} Case analysis
  */
-function analyzeCaseComposition(stringValues) {
-  if (stringValues.length === 0) {
+function analyzeCaseComposition(entries, total) {
+  if (total === 0) {
     return {
       uppercaseCount: 0,
       lowercaseCount: 0,
@@ -275,7 +324,7 @@ function analyzeCaseComposition(stringValues) {
   let mixedCaseCount = 0;
   let titleCaseCount = 0;
 
-  for (const value of stringValues) {
+  for (const [value, count] of entries) {
     // Skip values with no letters
     if (!/[a-zA-Z]/.test(value)) {
       continue;
@@ -285,11 +334,11 @@ function analyzeCaseComposition(stringValues) {
     const hasLowercase = /[a-z]/.test(value);
 
     if (hasUppercase && !hasLowercase) {
-      uppercaseCount++;
+      uppercaseCount += count;
     } else if (hasLowercase && !hasUppercase) {
-      lowercaseCount++;
+      lowercaseCount += count;
     } else if (hasUppercase && hasLowercase) {
-      mixedCaseCount++;
+      mixedCaseCount += count;
 
       // Check for title case (first letter uppercase, rest lowercase per word)
       const words = value.split(/\s+/);
@@ -301,7 +350,7 @@ function analyzeCaseComposition(stringValues) {
       });
 
       if (isTitleCase) {
-        titleCaseCount++;
+        titleCaseCount += count;
       }
     }
   }
@@ -312,26 +361,27 @@ function analyzeCaseComposition(stringValues) {
     mixedCaseCount,
     titleCaseCount,
     uppercasePercentage: parseFloat(
-      ((uppercaseCount / stringValues.length) * 100).toFixed(1)
+      ((uppercaseCount / total) * 100).toFixed(1)
     ),
     lowercasePercentage: parseFloat(
-      ((lowercaseCount / stringValues.length) * 100).toFixed(1)
+      ((lowercaseCount / total) * 100).toFixed(1)
     ),
     mixedCasePercentage: parseFloat(
-      ((mixedCaseCount / stringValues.length) * 100).toFixed(1)
+      ((mixedCaseCount / total) * 100).toFixed(1)
     ),
     titleCasePercentage: parseFloat(
-      ((titleCaseCount / stringValues.length) * 100).toFixed(1)
+      ((titleCaseCount / total) * 100).toFixed(1)
     ),
   };
 }
 
 /**
  * Detect and validate data formats in string values
- * @param {Array<string>} stringValues - Array of string values
+ * @param {Array<Array>} entries - Distinct string values with their counts, as [value, count]
+ * @param {number} total - Total number of values
  * @returns {Object} Format detection results
  */
-function detectFormats(stringValues) {
+function detectFormats(entries, total) {
   const formats = {
     email: { count: 0, samples: [] },
     phone: { count: 0, samples: [], countries: new Map() },
@@ -359,19 +409,6 @@ function detectFormats(stringValues) {
       generic: /^\+\d{1,3}[-.\s]?\d{4,14}$/, // Generic country code format
     },
 
-    // SSN patterns for different countries
-    ssn: {
-      US: /^\d{3}[-]?\d{2}[-]?\d{4}$/,
-      UK: /^[A-Z]{2}\d{6}[A-Z]$/,
-      DE: /^\d{2}\d{6}[A-Z]\d{3}$/,
-      FR: /^[12]\d{2}(0[1-9]|1[0-2])\d{2}\d{3}\d{3}\d{2}$/,
-      NL: /^\d{9}$/,
-      BE: /^\d{2}\.\d{2}\.\d{2}-\d{3}\.\d{2}$/,
-      SE: /^\d{6}[-]?\d{4}$/,
-      DK: /^\d{6}[-]?\d{4}$/,
-      FI: /^\d{6}[-+A]?\d{3}[0-9A-Z]$/,
-    },
-
     // Date patterns
     dateString: {
       "ISO 8601":
@@ -382,12 +419,26 @@ function detectFormats(stringValues) {
     },
   };
 
-  for (const value of stringValues) {
+  // SSN validation for different countries: check digits where the
+  // number has one, otherwise birth date and number ranges
+  const ssnValidators = {
+    US: isValidUsSsn,
+    UK: isValidUkNino,
+    DE: isValidGermanPensionNumber,
+    FR: isValidFrenchNir,
+    NL: isValidDutchBsn,
+    BE: isValidBelgianNationalNumber,
+    SE: isValidPersonnummer,
+    DK: isValidDanishCpr,
+    FI: isValidFinnishHetu,
+  };
+
+  for (const [value, count] of entries) {
     const trimmedValue = value.trim();
 
     // Email detection
     if (patterns.email.test(trimmedValue)) {
-      formats.email.count++;
+      formats.email.count += count;
       if (formats.email.samples.length < 5) {
         formats.email.samples.push(trimmedValue);
       }
@@ -395,41 +446,42 @@ function detectFormats(stringValues) {
 
     // URL detection
     if (patterns.url.test(trimmedValue)) {
-      formats.url.count++;
+      formats.url.count += count;
       if (formats.url.samples.length < 5) {
         formats.url.samples.push(trimmedValue);
       }
     }
 
-    // Phone detection (multiple countries)
-    let phoneMatched = false;
-    for (const [country, pattern] of Object.entries(patterns.phone)) {
-      if (pattern.test(trimmedValue)) {
-        phoneMatched = true;
-        formats.phone.count++;
-        formats.phone.countries.set(
+    // SSN detection (multiple countries). Valid numbers are checked first,
+    // as many of them also look like phone numbers.
+    let ssnMatched = false;
+    for (const [country, validate] of Object.entries(ssnValidators)) {
+      if (validate(trimmedValue)) {
+        ssnMatched = true;
+        formats.ssn.count += count;
+        formats.ssn.countries.set(
           country,
-          (formats.phone.countries.get(country) || 0) + 1
+          (formats.ssn.countries.get(country) || 0) + count
         );
-        if (formats.phone.samples.length < 5) {
-          formats.phone.samples.push(trimmedValue);
+        if (formats.ssn.samples.length < 5) {
+          formats.ssn.samples.push(trimmedValue);
         }
         break; // Stop after first match
       }
     }
 
-    // SSN detection (multiple countries)
-    if (!phoneMatched) {
-      // Don't check SSN if phone matched
-      for (const [country, pattern] of Object.entries(patterns.ssn)) {
+    // Phone detection (multiple countries)
+    if (!ssnMatched) {
+      // Don't check phone if SSN matched
+      for (const [country, pattern] of Object.entries(patterns.phone)) {
         if (pattern.test(trimmedValue)) {
-          formats.ssn.count++;
-          formats.ssn.countries.set(
+          formats.phone.count += count;
+          formats.phone.countries.set(
             country,
-            (formats.ssn.countries.get(country) || 0) + 1
+            (formats.phone.countries.get(country) || 0) + count
           );
-          if (formats.ssn.samples.length < 5) {
-            formats.ssn.samples.push(trimmedValue);
+          if (formats.phone.samples.length < 5) {
+            formats.phone.samples.push(trimmedValue);
           }
           break; // Stop after first match
         }
@@ -439,10 +491,10 @@ function detectFormats(stringValues) {
     // Date string detection
     for (const [patternName, pattern] of Object.entries(patterns.dateString)) {
       if (pattern.test(trimmedValue)) {
-        formats.dateString.count++;
+        formats.dateString.count += count;
         formats.dateString.patterns.set(
           patternName,
-          (formats.dateString.patterns.get(patternName) || 0) + 1
+          (formats.dateString.patterns.get(patternName) || 0) + count
         );
         if (formats.dateString.samples.length < 5) {
           formats.dateString.samples.push(trimmedValue);
@@ -457,14 +509,14 @@ function detectFormats(stringValues) {
     email: {
       count: formats.email.count,
       percentage: parseFloat(
-        ((formats.email.count / stringValues.length) * 100).toFixed(1)
+        ((formats.email.count / total) * 100).toFixed(1)
       ),
       samples: formats.email.samples,
     },
     phone: {
       count: formats.phone.count,
       percentage: parseFloat(
-        ((formats.phone.count / stringValues.length) * 100).toFixed(1)
+        ((formats.phone.count / total) * 100).toFixed(1)
       ),
       samples: formats.phone.samples,
       countryBreakdown: Object.fromEntries(formats.phone.countries),
@@ -472,7 +524,7 @@ function detectFormats(stringValues) {
     ssn: {
       count: formats.ssn.count,
       percentage: parseFloat(
-        ((formats.ssn.count / stringValues.length) * 100).toFixed(1)
+        ((formats.ssn.count / total) * 100).toFixed(1)
       ),
       samples: formats.ssn.samples,
       countryBreakdown: Object.fromEntries(formats.ssn.countries),
@@ -480,14 +532,14 @@ function detectFormats(stringValues) {
     url: {
       count: formats.url.count,
       percentage: parseFloat(
-        ((formats.url.count / stringValues.length) * 100).toFixed(1)
+        ((formats.url.count / total) * 100).toFixed(1)
       ),
       samples: formats.url.samples,
     },
     dateString: {
       count: formats.dateString.count,
       percentage: parseFloat(
-        ((formats.dateString.count / stringValues.length) * 100).toFixed(1)
+        ((formats.dateString.count / total) * 100).toFixed(1)
       ),
       samples: formats.dateString.samples,
       patternBreakdown: Object.fromEntries(formats.dateString.patterns),
@@ -509,22 +561,28 @@ export function calculateStringAnalysis(data, fieldName) {
     };
   }
 
-  // Extract string values (non-null, non-empty)
-  const stringValues = [];
-  let nullCount = 0;
-
-  for (const row of data) {
-    const value = row[fieldName];
-
-    if (value === null || value === undefined || value === "") {
-      nullCount++;
-      continue;
-    }
+  const { valueCounts, nullCount } = countFieldValues(data, fieldName);
+  return calculateStringAnalysisFromCounts(valueCounts, nullCount);
+}
 
-    stringValues.push(String(value));
+/**
+ * Calculate string analysis for a field from its value counts
+ * Each distinct value is analyzed once and weighted by its count.
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} nullCount - Number of NULL/empty rows
+ * @returns {Object} String analysis results (see calculateStringAnalysis)
+ */
+export function calculateStringAnalysisFromCounts(valueCounts, nullCount) {
+  // Merge values by their text, so 1 and "1" count as the same string
+  const stringCounts = new Map();
+  let valueCount = 0;
+  for (const [value, count] of valueCounts) {
+    const valueStr = String(value);
+    stringCounts.set(valueStr, (stringCounts.get(valueStr) || 0) + count);
+    valueCount += count;
   }
 
-  if (stringValues.length === 0) {
+  if (valueCount === 0) {
     return {
       isString: false,
       error: "No non-null values available",
@@ -532,17 +590,19 @@ export function calculateStringAnalysis(data, fieldName) {
     };
   }
 
+  const entries = Array.from(stringCounts.entries());
+
   // Perform analyses
-  const lengthStats = calculateLengthStats(stringValues);
-  const prefixes = detectPrefixes(stringValues);
-  const suffixes = detectSuffixes(stringValues);
-  const characterComposition = analyzeCharacterComposition(stringValues);
-  const caseAnalysis = analyzeCaseComposition(stringValues);
-  const formatDetection = detectFormats(stringValues);
+  const lengthStats = calculateLengthStats(entries, valueCount);
+  const prefixes = detectPrefixes(entries, valueCount);
+  const suffixes = detectSuffixes(entries, valueCount);
+  const characterComposition = analyzeCharacterComposition(entries);
+  const caseAnalysis = analyzeCaseComposition(entries, valueCount);
+  const formatDetection = detectFormats(entries, valueCount);
 
   return {
     isString: true,
-    valueCount: stringValues.length,
+    valueCount,
     nullCount,
 
     // Length statistics
@@ -1,27 +1,100 @@
 /**
  * QVD Temporal Analysis - Main Module
  * Provides specialized profiling for date and timestamp fields including
- * range analysis, temporal distribution, gap detection, and trend analysis
+ * range analysis, temporal distribution, gap detection, trend analysis,
+ * seasonality, record volume anomalies and the time of day of timestamps
  *
  * This module orchestrates the various temporal analysis components.
  */
 
-import { isDateField, parseDate } from "./temporal/dateDetection.mjs";
+import {
+  getDateParser,
+  isQlikDateField,
+  isQlikTimestampField,
+} from "./temporal/dateDetection.mjs";
 import { calculateDateRange } from "./temporal/dateRange.mjs";
+import {
+  describeCalendar,
+  resolveCalendar,
+} from "./temporal/calendar.mjs";
 import { calculateTemporalDistribution } from "./temporal/distribution.mjs";
 import { detectDateGaps } from "./temporal/gapDetection.mjs";
 import { analyzeTimeSeries } from "./temporal/trendAnalysis.mjs";
+import { buildVolumeSeries } from "./temporal/volumeSeries.mjs";
+import { detectSeasonality } from "./temporal/seasonality.mjs";
+import {
+  detectChangePoints,
+  detectVolumeAnomalies,
+} from "./temporal/anomalyDetection.mjs";
+import { analyzeTimeOfDay } from "./temporal/timeOfDay.mjs";
+import { buildCalendarHeatmap } from "./temporal/calendarHeatmap.mjs";
+import { countFieldValues } from "./qvdStatistics.mjs";
 
-// Re-export detection function
-export { isDateField } from "./temporal/dateDetection.mjs";
+/**
+ * Date formats that hold a time of day, and formats that only hold dates
+ */
+const TIMESTAMP_FORMATS = ["ISO_8601", "TIMESTAMP_MS", "TIMESTAMP_S"];
+const DATE_ONLY_FORMATS = ["ISO_DATE", "US_DATE", "EU_DATE", "YYYYMMDD"];
+
+/**
+ * Check whether the values of a date field are timestamps
+ * Fields with a timestamp type, tag or format are timestamps even when
+ * every time is 00:00:00, so that dates stored as timestamps can be
+ * flagged. Qlik serial dates and other formats are timestamps when some
+ * value has a time of day.
+ * @param {Object|null} field - Field metadata
+ * @param {string} format - Dominant format of the values (from detectDateFormat)
+ * @param {Array<Date>} dates - Parsed dates
+ * @returns {boolean} True when the time of day should be analyzed
+ */
+function holdsTimestamps(field, format, dates) {
+  if (isQlikTimestampField(field) || TIMESTAMP_FORMATS.includes(format)) {
+    return true;
+  }
+  if (DATE_ONLY_FORMATS.includes(format)) {
+    return false;
+  }
+  return dates.some(
+    (date) =>
+      date.getHours() !== 0 ||
+      date.getMinutes() !== 0 ||
+      date.getSeconds() !== 0 ||
+      date.getMilliseconds() !== 0
+  );
+}
+
+// Re-export detection functions
+export {
+  isDateField,
+  isDateFromCounts,
+  isQlikDateField,
+  isQlikTimestampField,
+  parseQlikSerial,
+} from "./temporal/dateDetection.mjs";
+
+// Re-export calendar settings
+export {
+  loadCalendar,
+  parseHolidayCalendar,
+  resolveCalendar,
+} from "./temporal/calendar.mjs";
 
 /**
  * Calculate comprehensive temporal analysis for a date field
  * @param {Array<Object>} data - Array of data rows
  * @param {string} fieldName - Field name to analyze
+ * @param {Object|null} field - Field metadata, used to read Qlik serial dates (default: null)
+ * @param {Object|null} calendar - Resolved calendar for fiscal years, week numbers, business days and holidays, see resolveCalendar (default: calendar years, all days)
+ * @param {Date|null} createdAt - Creation time of the file, to report records that stop before it (default: null)
  * @returns {Object} Temporal analysis results
  */
-export function calculateTemporalAnalysis(data, fieldName) {
+export function calculateTemporalAnalysis(
+  data,
+  fieldName,
+  field = null,
+  calendar = null,
+  createdAt = null
+) {
   if (!data || data.length === 0) {
     return {
       isDate: false,
@@ -29,51 +102,119 @@ export function calculateTemporalAnalysis(data, fieldName) {
     };
   }
 
-  // Parse all dates
+  const { valueCounts, nullCount } = countFieldValues(data, fieldName);
+  return calculateTemporalAnalysisFromCounts(
+    valueCounts,
+    nullCount,
+    data.length,
+    field,
+    calendar,
+    createdAt
+  );
+}
+
+/**
+ * Calculate temporal analysis for a date field from its value counts
+ * Each distinct value is parsed once; the counts weigh the distribution
+ * and trend analyses.
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} nullCount - Number of NULL/empty rows
+ * @param {number} totalRows - Total number of rows
+ * @param {Object|null} field - Field metadata, used to read Qlik serial dates (default: null)
+ * @param {Object|null} calendar - Resolved calendar, see resolveCalendar (default: calendar years, all days)
+ * @param {Date|null} createdAt - Creation time of the file, to report records that stop before it (default: null)
+ * @returns {Object} Temporal analysis results (see calculateTemporalAnalysis)
+ */
+export function calculateTemporalAnalysisFromCounts(
+  valueCounts,
+  nullCount,
+  totalRows,
+  field = null,
+  calendar = null,
+  createdAt = null
+) {
+  if (totalRows === 0) {
+    return {
+      isDate: false,
+      error: "No data available",
+    };
+  }
+
+  // Parse each distinct value
+  const parseDate = getDateParser(field);
   const parsedDates = [];
+  const dateCounts = [];
   const rawValues = [];
-  let nullCount = 0;
+  let validDateCount = 0;
   let invalidDateCount = 0;
 
-  for (const row of data) {
-    const value = row[fieldName];
-
-    if (value === null || value === undefined || value === "") {
-      nullCount++;
-      continue;
-    }
-
+  for (const [value, count] of valueCounts) {
     rawValues.push(value);
     const date = parseDate(value);
     if (date !== null) {
       parsedDates.push(date);
+      dateCounts.push(count);
+      validDateCount += count;
     } else {
-      invalidDateCount++;
+      invalidDateCount += count;
     }
   }
 
   // Check if field is predominantly dates
   // Use 60% threshold to allow for some invalid entries while still
   // recognizing the field as temporal
-  const totalNonNull = parsedDates.length + invalidDateCount;
-  if (totalNonNull === 0 || parsedDates.length / totalNonNull < 0.6) {
+  const totalNonNull = validDateCount + invalidDateCount;
+  if (totalNonNull === 0 || validDateCount / totalNonNull < 0.6) {
     return {
       isDate: false,
-      dateCount: parsedDates.length,
+      dateCount: validDateCount,
       invalidDateCount,
       nullCount,
     };
   }
 
   // Calculate analyses
-  const rangeAnalysis = calculateDateRange(parsedDates, rawValues);
-  const distribution = calculateTemporalDistribution(parsedDates);
-  const gapAnalysis = detectDateGaps(parsedDates);
-  const trendAnalysis = analyzeTimeSeries(parsedDates);
+  const rangeAnalysis = calculateDateRange(parsedDates, rawValues, {
+    qlikSerial: isQlikDateField(field),
+  });
+  const settings = calendar || resolveCalendar();
+  const distribution = calculateTemporalDistribution(
+    parsedDates,
+    dateCounts,
+    settings
+  );
+  const gapAnalysis = detectDateGaps(parsedDates, 1, settings);
+  const trendAnalysis = analyzeTimeSeries(parsedDates, dateCounts);
+  const volumeSeries = buildVolumeSeries(parsedDates, dateCounts, createdAt);
+  const seasonality = detectSeasonality(volumeSeries);
+  const monthlyIndices = seasonality.yearly?.detected
+    ? seasonality.yearly.profile.map((month) => month.index)
+    : null;
+  const anomalies = detectVolumeAnomalies(volumeSeries, {
+    weeklySeasonality: Boolean(seasonality.weekly?.detected),
+    monthlyIndices,
+  });
+  const changePoints = detectChangePoints(volumeSeries, { monthlyIndices });
+  const timeOfDay = holdsTimestamps(
+    field,
+    rangeAnalysis.format.dominantFormat,
+    parsedDates
+  )
+    ? analyzeTimeOfDay(parsedDates, dateCounts, settings)
+    : null;
 
   return {
     isDate: true,
 
+    // Calendar settings the distribution and gaps follow
+    calendar: {
+      fiscalYearStartMonth: settings.fiscalYearStartMonth,
+      isoWeeks: settings.isoWeeks,
+      businessDays: settings.businessDays,
+      holidayCount: settings.holidayDates.size,
+      description: describeCalendar(settings),
+    },
+
     // Date range
     range: rangeAnalysis,
 
@@ -86,13 +227,30 @@ export function calculateTemporalAnalysis(data, fieldName) {
     // Trend analysis
     trends: trendAnalysis,
 
+    // Records per period, with spikes, drops and level changes
+    volume: {
+      granularity: volumeSeries.granularity,
+      series: volumeSeries.periods,
+      anomalies,
+      changePoints,
+    },
+
+    // Weekly and yearly patterns in the record volume
+    seasonality,
+
+    // Records per hour and per weekday and hour, null for date-only fields
+    timeOfDay,
+
+    // Records per day over the last year, laid out in weeks
+    calendarHeatmap: buildCalendarHeatmap(parsedDates, dateCounts, settings),
+
     // Data quality
     quality: {
       nullCount,
       invalidDateCount,
-      validDateCount: parsedDates.length,
-      totalRows: data.length,
-      validPercentage: (parsedDates.length / data.length) * 100,
+      validDateCount,
+      totalRows,
+      validPercentage: (validDateCount / totalRows) * 100,
     },
   };
 }
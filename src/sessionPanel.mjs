@@ -0,0 +1,114 @@
+import * as vscode from "vscode";
+import { basename } from "path";
+import { analyzeSession } from "./qvdSession.mjs";
+import { getSessionHtml } from "./webview/templates/sessionTemplate.mjs";
+import QvdEditorProvider from "./qvdEditorProvider.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Manages a multi-QVD session webview, showing the data model formed by a
+ * set of QVD files
+ */
+class SessionPanel {
+  static viewType = "ctrl-q-qvd-viewer.session";
+
+  constructor(panel, session) {
+    this._panel = panel;
+    this._disposables = [];
+
+    this._panel.webview.html = getSessionHtml(this._panel.webview, session);
+
+    // Listen for when the panel is disposed
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    // Handle messages from the webview
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "openQvd":
+            vscode.commands.executeCommand(
+              "vscode.openWith",
+              vscode.Uri.file(message.filePath),
+              QvdEditorProvider.viewType
+            );
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+  }
+
+  /**
+   * Analyze a set of QVD files and show them as one session
+   * Each call opens a new panel, so several sessions can be compared.
+   * @param {Array<vscode.Uri>} uris - QVD files to include
+   * @returns {Promise<void>}
+   */
+  static async show(uris) {
+    const filePaths = uris.map((uri) => uri.fsPath);
+
+    let session;
+    try {
+      session = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Analyzing ${filePaths.length} QVD files`,
+          cancellable: true,
+        },
+        async (progress, token) => {
+          let reported = 0;
+          return analyzeSession(filePaths, {
+            onProgress: (message, completed, total) => {
+              const percent = total > 0 ? (completed / total) * 100 : 100;
+              progress.report({ message, increment: percent - reported });
+              reported = percent;
+            },
+            isCancelled: () => token.isCancellationRequested,
+          });
+        }
+      );
+    } catch (error) {
+      if (error.message === "Operation cancelled") {
+        vscode.window.showInformationMessage("Session analysis cancelled");
+        return;
+      }
+      logger.error("Failed to analyze QVD session:", error);
+      vscode.window.showErrorMessage(
+        `Failed to analyze QVD files: ${error.message}`
+      );
+      return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      SessionPanel.viewType,
+      `QVD Session: ${filePaths
+        .map((filePath) => basename(filePath))
+        .join(", ")}`,
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    new SessionPanel(panel, session);
+  }
+
+  /**
+   * Clean up resources
+   * @returns {void}
+   */
+  dispose() {
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+}
+
+export default SessionPanel;
@@ -0,0 +1,306 @@
+/**
+ * Volume Anomaly Detection
+ * Finds spikes and drops in record volume against a rolling baseline, and
+ * points where the volume level changes for good
+ */
+
+import { VOLUME_GRANULARITIES, parsePeriod } from './volumeSeries.mjs';
+
+/**
+ * Robust score (distance from the baseline in spreads) beyond which a
+ * period is reported as a spike or drop
+ */
+export const ANOMALY_THRESHOLD = 3.5;
+
+// Number of earlier periods the baseline is taken from, and the least
+// number of earlier periods needed before a period is scored
+const BASELINE_PERIODS = { day: 28, week: 12, month: 12 };
+const MIN_BASELINE_PERIODS = { day: 7, week: 4, month: 6 };
+
+// With a weekly pattern, days are compared to the same weekday of the
+// previous weeks
+const SEASONAL_BASELINE_WEEKS = 8;
+const MIN_SEASONAL_BASELINE_WEEKS = 3;
+
+// Shortest segment between change points, and the least relative change of
+// the average volume reported as a change point
+const MIN_SEGMENT_PERIODS = { day: 7, week: 4, month: 3 };
+const MIN_RELATIVE_CHANGE = 0.25;
+const MAX_CHANGE_POINTS = 5;
+
+const MAX_LISTED_ANOMALIES = 50;
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Get the counts of a volume series, divided by the yearly seasonal index of
+ * their month when there is one
+ * Weeks that span two months get the average index of their days.
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>}} series - Volume series
+ * @param {Array<number>|null} monthlyIndices - Seasonal index per month (0-11), or null
+ * @returns {{counts: Array<number>, factors: Array<number>}} Adjusted counts and the factor of each period
+ */
+function seasonallyAdjust(series, monthlyIndices) {
+  const factors = series.periods.map((point) => {
+    if (!monthlyIndices) {
+      return 1;
+    }
+    const start = parsePeriod(point.period);
+    if (series.granularity !== VOLUME_GRANULARITIES.WEEK) {
+      return monthlyIndices[start.getUTCMonth()] || 1;
+    }
+    let sum = 0;
+    for (let day = 0; day < 7; day++) {
+      const date = new Date(start.getTime() + day * 24 * 60 * 60 * 1000);
+      sum += monthlyIndices[date.getUTCMonth()];
+    }
+    return sum / 7 || 1;
+  });
+  const counts = series.periods.map((point, i) => point.count / factors[i]);
+  return { counts, factors };
+}
+
+/**
+ * Score each period of a volume series against a rolling baseline
+ * The baseline is the median of the previous periods and the spread is their
+ * scaled median absolute deviation, floored at the square root of the
+ * baseline (the spread of a count that only varies by chance). Each period
+ * gets baseline, score and anomaly ("spike", "drop" or null) properties;
+ * partial periods and periods with too little history get null for all
+ * three. With a yearly pattern, counts are compared after dividing by the
+ * index of their month, so a busy December is not a spike.
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>}} series - Volume series (from buildVolumeSeries), annotated in place
+ * @param {Object} options - Detection options
+ * @param {boolean} options.weeklySeasonality - Compare days to the same weekday of previous weeks (default: false)
+ * @param {Array<number>|null} options.monthlyIndices - Yearly seasonal index per month, 0-11 (default: null)
+ * @param {number} options.threshold - Score beyond which a period is anomalous (default: ANOMALY_THRESHOLD)
+ * @returns {Object} Anomaly summary: threshold, count, spikes, drops, periods (date order, at most 50) and truncated
+ */
+export function detectVolumeAnomalies(series, options = {}) {
+  const {
+    weeklySeasonality = false,
+    monthlyIndices = null,
+    threshold = ANOMALY_THRESHOLD,
+  } = options;
+  const seasonal =
+    weeklySeasonality && series.granularity === VOLUME_GRANULARITIES.DAY;
+  const { counts, factors } = seasonallyAdjust(series, monthlyIndices);
+  const anomalies = [];
+  let spikes = 0;
+  let drops = 0;
+
+  series.periods.forEach((point, i) => {
+    const window = [];
+    if (seasonal) {
+      for (let week = 1; week <= SEASONAL_BASELINE_WEEKS; week++) {
+        if (i - week * 7 >= 0) {
+          window.push(counts[i - week * 7]);
+        }
+      }
+    } else {
+      const start = Math.max(0, i - BASELINE_PERIODS[series.granularity]);
+      window.push(...counts.slice(start, i));
+    }
+    const minimum = seasonal
+      ? MIN_SEASONAL_BASELINE_WEEKS
+      : MIN_BASELINE_PERIODS[series.granularity];
+    if (point.partial || window.length < minimum) {
+      point.baseline = null;
+      point.score = null;
+      point.anomaly = null;
+      return;
+    }
+
+    const baseline = median(window);
+    const deviation =
+      1.4826 * median(window.map((count) => Math.abs(count - baseline)));
+    const spread = Math.max(deviation, Math.sqrt(Math.max(baseline, 1)));
+    const score = (counts[i] - baseline) / spread;
+    point.baseline = baseline * factors[i];
+    point.score = score;
+    point.anomaly = null;
+    if (score > threshold) {
+      point.anomaly = 'spike';
+      spikes++;
+    } else if (score < -threshold) {
+      point.anomaly = 'drop';
+      drops++;
+    }
+    if (point.anomaly) {
+      anomalies.push({
+        period: point.period,
+        count: point.count,
+        baseline: point.baseline,
+        score,
+        type: point.anomaly,
+      });
+    }
+  });
+
+  return {
+    threshold,
+    count: anomalies.length,
+    spikes,
+    drops,
+    periods: anomalies.slice(0, MAX_LISTED_ANOMALIES),
+    truncated: anomalies.length > MAX_LISTED_ANOMALIES,
+  };
+}
+
+/**
+ * Find the periods where the average volume changes for good
+ * Uses binary segmentation on the mean: the series is split where the split
+ * reduces the squared error the most, as long as the reduction beats a
+ * penalty based on the period-to-period noise and the averages on both sides
+ * differ by at least 25%, both over the segments and right around the split
+ * (so a steady trend is not cut into steps). Splits are repeated on the
+ * segments, up to five change points. Records that stop at least the
+ * shortest segment before the file was created (the trailing gap of the
+ * series) are reported as a last change point, down to 0.
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>, trailingGap: Object|null}} series - Volume series (from buildVolumeSeries)
+ * @param {Object} options - Detection options
+ * @param {Array<number>|null} options.monthlyIndices - Yearly seasonal index per month, 0-11 (default: null)
+ * @returns {Array<Object>} Change points in date order: period (first period of the new level), before, after, change (relative, null from 0), direction and description
+ */
+export function detectChangePoints(series, options = {}) {
+  const changePoints = findLevelChanges(series, options.monthlyIndices || null);
+  const minSegment = MIN_SEGMENT_PERIODS[series.granularity];
+  const gap = series.trailingGap;
+  if (gap && gap.periods >= minSegment && series.periods.length >= minSegment) {
+    const before =
+      series.periods
+        .slice(-minSegment)
+        .reduce((sum, point) => sum + point.count, 0) / minSegment;
+    changePoints.push({
+      period: gap.period,
+      before,
+      after: 0,
+      change: -1,
+      direction: 'decrease',
+      description:
+        `Volume dropped from ${formatLevel(before)} to 0 per ` +
+        `${series.granularity} on ${gap.period}, with no records in the ` +
+        `${gap.periods} ${series.granularity}s before the file was created`,
+    });
+  }
+  return changePoints;
+}
+
+/**
+ * Find the level changes within a volume series, see detectChangePoints
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>}} series - Volume series (from buildVolumeSeries)
+ * @param {Array<number>|null} monthlyIndices - Yearly seasonal index per month, 0-11, or null
+ * @returns {Array<Object>} Change points in date order
+ */
+function findLevelChanges(series, monthlyIndices) {
+  const { counts } = seasonallyAdjust(series, monthlyIndices);
+  const n = counts.length;
+  const minSegment = MIN_SEGMENT_PERIODS[series.granularity];
+  if (n < 2 * minSegment) {
+    return [];
+  }
+
+  const prefix = [0];
+  const prefixSquares = [0];
+  for (const count of counts) {
+    prefix.push(prefix[prefix.length - 1] + count);
+    prefixSquares.push(prefixSquares[prefixSquares.length - 1] + count * count);
+  }
+  const mean = (start, end) => (prefix[end] - prefix[start]) / (end - start);
+  const cost = (start, end) =>
+    prefixSquares[end] -
+    prefixSquares[start] -
+    Math.pow(prefix[end] - prefix[start], 2) / (end - start);
+
+  // Noise level from the differences between neighbouring periods, which a
+  // level shift barely affects
+  const differences = [];
+  for (let i = 1; i < n; i++) {
+    differences.push(Math.abs(counts[i] - counts[i - 1]));
+  }
+  const sigma = Math.max((1.4826 * median(differences)) / Math.SQRT2, 1);
+  const penalty = 3 * sigma * sigma * Math.log(n);
+
+  const isChange = (before, after) => {
+    const largest = Math.max(before, after);
+    return (
+      largest > 0 && Math.abs(after - before) / largest >= MIN_RELATIVE_CHANGE
+    );
+  };
+
+  const bestSplit = (start, end) => {
+    let best = null;
+    for (let k = start + minSegment; k <= end - minSegment; k++) {
+      if (
+        !isChange(mean(start, k), mean(k, end)) ||
+        !isChange(mean(k - minSegment, k), mean(k, k + minSegment))
+      ) {
+        continue;
+      }
+      const gain = cost(start, end) - cost(start, k) - cost(k, end);
+      if (gain > penalty && (!best || gain > best.gain)) {
+        best = { index: k, gain };
+      }
+    }
+    return best;
+  };
+
+  const boundaries = [0, n];
+  while (boundaries.length - 2 < MAX_CHANGE_POINTS) {
+    let best = null;
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const split = bestSplit(boundaries[i], boundaries[i + 1]);
+      if (split && (!best || split.gain > best.gain)) {
+        best = split;
+      }
+    }
+    if (!best) {
+      break;
+    }
+    boundaries.push(best.index);
+    boundaries.sort((a, b) => a - b);
+  }
+
+  const changePoints = [];
+  for (let i = 1; i < boundaries.length - 1; i++) {
+    const index = boundaries[i];
+    const before = mean(boundaries[i - 1], index);
+    const after = mean(index, boundaries[i + 1]);
+    const direction = after > before ? 'increase' : 'decrease';
+    const period = series.periods[index].period;
+    changePoints.push({
+      period,
+      before,
+      after,
+      change: before > 0 ? (after - before) / before : null,
+      direction,
+      description:
+        `Volume ${direction === 'increase' ? 'rose' : 'dropped'} from ` +
+        `${formatLevel(before)} to ${formatLevel(after)} per ` +
+        `${series.granularity} on ${period}`,
+    });
+  }
+  return changePoints;
+}
+
+/**
+ * Format an average count for a description
+ * @param {number} value - Average count
+ * @returns {string} Value rounded to a whole number, or to one decimal below 10
+ */
+function formatLevel(value) {
+  return value < 10
+    ? String(Math.round(value * 10) / 10)
+    : Math.round(value).toLocaleString();
+}
@@ -0,0 +1,269 @@
+/**
+ * Calendar Settings
+ * Fiscal years, week numbering, business days and holidays, used to bucket
+ * dates and to decide which days are expected to have records
+ */
+
+import { readFile } from 'fs/promises';
+import { basename, resolve } from 'path';
+
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Get the local calendar day of a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+export function toDayKey(date) {
+  return [
+    String(date.getFullYear()).padStart(4, '0'),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Check that a string is a valid YYYY-MM-DD date
+ * @param {string} value - Value to check
+ * @returns {boolean} True for an existing calendar day
+ */
+function isDayKey(value) {
+  const match = DAY_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Resolve calendar settings, filling in defaults
+ * Without settings, years are calendar years, weeks start on Sunday with
+ * week 1 holding January 1, and records are expected on every day. A fiscal
+ * year start month outside 1-12 falls back to January.
+ * @param {Object} options - Calendar settings
+ * @param {number} options.fiscalYearStartMonth - First month of the fiscal year, 1-12 (default: 1)
+ * @param {boolean} options.isoWeeks - Number weeks by ISO 8601: weeks start on Monday and week 1 holds the first Thursday (default: false)
+ * @param {boolean} options.businessDays - Only expect records on Monday to Friday (default: false)
+ * @param {Array<string|{date: string, name: string}>} options.holidays - Days without expected records, YYYY-MM-DD (default: none)
+ * @returns {Object} Resolved calendar, with holidayDates as a Set of YYYY-MM-DD keys
+ * @throws {Error} When a holiday is not a valid YYYY-MM-DD date
+ */
+export function resolveCalendar(options = {}) {
+  const {
+    fiscalYearStartMonth = 1,
+    isoWeeks = false,
+    businessDays = false,
+    holidays = [],
+  } = options;
+
+  const holidayDates = new Set();
+  for (const holiday of holidays) {
+    const date = typeof holiday === 'string' ? holiday : holiday.date;
+    if (!isDayKey(date)) {
+      throw new Error(`Invalid holiday date: ${date}`);
+    }
+    holidayDates.add(date);
+  }
+
+  return {
+    fiscalYearStartMonth:
+      Number.isInteger(fiscalYearStartMonth) &&
+      fiscalYearStartMonth >= 1 &&
+      fiscalYearStartMonth <= 12
+        ? fiscalYearStartMonth
+        : 1,
+    isoWeeks: Boolean(isoWeeks),
+    businessDays: Boolean(businessDays),
+    holidayDates,
+  };
+}
+
+/**
+ * Check whether a calendar changes which days are expected to have records
+ * @param {Object} calendar - Resolved calendar (from resolveCalendar)
+ * @returns {boolean} True in business-day mode or with holidays
+ */
+export function hasExpectedDayRules(calendar) {
+  return calendar.businessDays || calendar.holidayDates.size > 0;
+}
+
+/**
+ * Check whether a date falls on a Saturday or Sunday
+ * @param {Date} date - Date
+ * @returns {boolean} True for weekend days
+ */
+export function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
+
+/**
+ * Check whether a date is a holiday of the calendar
+ * @param {Date} date - Date
+ * @param {Object} calendar - Resolved calendar
+ * @returns {boolean} True for holidays
+ */
+export function isHoliday(date, calendar) {
+  return calendar.holidayDates.has(toDayKey(date));
+}
+
+/**
+ * Check whether records are expected on the day of a date: any day except
+ * holidays, and in business-day mode also except weekends
+ * @param {Date} date - Date
+ * @param {Object} calendar - Resolved calendar
+ * @returns {boolean} True when the day is expected to have records
+ */
+export function isExpectedDay(date, calendar) {
+  if (calendar.businessDays && isWeekend(date)) {
+    return false;
+  }
+  return !isHoliday(date, calendar);
+}
+
+/**
+ * Get the fiscal year of a date, named after the calendar year it ends in
+ * With a fiscal year starting in July, 2024-07-01 falls in FY2025.
+ * @param {Date} date - Date
+ * @param {Object} calendar - Resolved calendar
+ * @returns {number} Fiscal year (the calendar year when it starts in January)
+ */
+export function getFiscalYear(date, calendar) {
+  const start = calendar.fiscalYearStartMonth;
+  const year = date.getFullYear();
+  return start > 1 && date.getMonth() + 1 >= start ? year + 1 : year;
+}
+
+/**
+ * Get the quarter of a date within its fiscal year
+ * @param {Date} date - Date
+ * @param {Object} calendar - Resolved calendar
+ * @returns {number} Quarter, 1-4
+ */
+export function getFiscalQuarter(date, calendar) {
+  const monthOfYear =
+    (date.getMonth() - (calendar.fiscalYearStartMonth - 1) + 12) % 12;
+  return Math.floor(monthOfYear / 3) + 1;
+}
+
+/**
+ * Get the week number of a date
+ * ISO weeks start on Monday and belong to the year of their Thursday, so
+ * the first days of January can be in week 52 or 53 of the year before.
+ * Otherwise weeks start on Sunday and week 1 is the week of January 1.
+ * @param {Date} date - Date
+ * @param {Object} calendar - Resolved calendar
+ * @returns {{year: number, week: number}} Week-numbering year and week, 1-53
+ */
+export function getWeekNumber(date, calendar) {
+  const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const msPerDay = 24 * 60 * 60 * 1000;
+  if (calendar.isoWeeks) {
+    const weekday = (date.getDay() + 6) % 7;
+    const thursday = new Date(day + (3 - weekday) * msPerDay);
+    const year = thursday.getUTCFullYear();
+    const dayOfYear = (thursday - Date.UTC(year, 0, 1)) / msPerDay;
+    return { year, week: Math.floor(dayOfYear / 7) + 1 };
+  }
+  const year = date.getFullYear();
+  const january1 = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  const dayOfYear = (day - Date.UTC(year, 0, 1)) / msPerDay;
+  return { year, week: Math.floor((dayOfYear + january1) / 7) + 1 };
+}
+
+/**
+ * Describe the calendar settings in a short sentence
+ * @param {Object} calendar - Resolved calendar
+ * @returns {string} Description, e.g. "Fiscal year from July, ISO weeks, business days, 11 holidays"
+ */
+export function describeCalendar(calendar) {
+  const parts = [
+    calendar.fiscalYearStartMonth === 1
+      ? 'Calendar year'
+      : `Fiscal year from ${MONTH_NAMES[calendar.fiscalYearStartMonth - 1]}`,
+    calendar.isoWeeks ? 'ISO weeks' : 'weeks from Sunday',
+    calendar.businessDays ? 'business days' : 'all days',
+  ];
+  if (calendar.holidayDates.size > 0) {
+    parts.push(
+      `${calendar.holidayDates.size} holiday${
+        calendar.holidayDates.size === 1 ? '' : 's'
+      }`
+    );
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Parse a holiday file
+ * Each line holds a date as YYYY-MM-DD, optionally followed by a comma,
+ * semicolon or tab and the name of the holiday. Empty lines, lines starting
+ * with # and a header line are skipped.
+ * @param {string} text - Content of the holiday file
+ * @returns {Array<{date: string, name: string}>} Holidays in file order
+ * @throws {Error} When a line does not start with a valid date
+ */
+export function parseHolidayCalendar(text) {
+  const holidays = [];
+  let firstLine = true;
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+    const [first, ...rest] = trimmed.split(/[,;\t]/);
+    const date = first.trim();
+    if (isDayKey(date)) {
+      holidays.push({ date, name: rest.join(',').trim() });
+    } else if (!firstLine || !/[a-z]/i.test(date)) {
+      // Only a first line with words, such as "date,name", is a header
+      throw new Error(`Line ${i + 1}: "${date}" is not a YYYY-MM-DD date`);
+    }
+    firstLine = false;
+  });
+  return holidays;
+}
+
+/**
+ * Resolve calendar settings, reading the holidays from a file
+ * @param {Object} settings - Calendar settings, see resolveCalendar
+ * @param {string} settings.holidayFile - Path to a holiday file, see parseHolidayCalendar (default: none)
+ * @param {string} baseFolder - Folder that a relative holidayFile is resolved against
+ * @returns {Promise<Object>} Resolved calendar
+ * @throws {Error} When the holiday file cannot be read or parsed
+ */
+export async function loadCalendar(settings = {}, baseFolder = '.') {
+  const { holidayFile = '', ...options } = settings;
+  if (!holidayFile) {
+    return resolveCalendar(options);
+  }
+
+  const filePath = resolve(baseFolder, holidayFile);
+  const text = await readFile(filePath, 'utf8');
+  try {
+    return resolveCalendar({
+      ...options,
+      holidays: parseHolidayCalendar(text),
+    });
+  } catch (error) {
+    throw new Error(
+      `Invalid holiday file ${basename(filePath)}: ${error.message}`
+    );
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Calendar Heatmap
+ * Counts records per day over the last year of data, laid out in weeks
+ * like a wall calendar
+ */
+
+import { toDayKey } from './calendar.mjs';
+
+// Longest period shown, ending on the latest date
+const MAX_CALENDAR_DAYS = 366;
+
+const DAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+/**
+ * Build a calendar heatmap of daily record counts
+ * Days are local calendar days. Each day gets its week (column, counted
+ * from the week of the first day) and weekday (row); weeks start on Monday
+ * with ISO weeks and on Sunday otherwise. Days without records have count 0.
+ * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Array<number>|null} counts - Number of rows per date (default: one row each)
+ * @param {Object|null} calendar - Resolved calendar, only its week numbering is used (default: weeks from Sunday)
+ * @returns {Object|null} Heatmap: start, end, weekdays (row names), days ({date, count, week, weekday}), max and truncated (older days left out); null without dates
+ */
+export function buildCalendarHeatmap(dates, counts = null, calendar = null) {
+  if (dates.length === 0) {
+    return null;
+  }
+  const mondayFirst = Boolean(calendar && calendar.isoWeeks);
+
+  const dayCounts = new Map();
+  let earliest = null;
+  let latest = null;
+  dates.forEach((date, i) => {
+    const key = toDayKey(date);
+    dayCounts.set(key, (dayCounts.get(key) || 0) + (counts ? counts[i] : 1));
+    if (earliest === null || date < earliest) {
+      earliest = date;
+    }
+    if (latest === null || date > latest) {
+      latest = date;
+    }
+  });
+
+  // Step by calendar date, so daylight saving time changes do not skip or
+  // repeat a day
+  const last = new Date(
+    latest.getFullYear(),
+    latest.getMonth(),
+    latest.getDate()
+  );
+  const windowStart = new Date(
+    last.getFullYear(),
+    last.getMonth(),
+    last.getDate() - (MAX_CALENDAR_DAYS - 1)
+  );
+  const first = new Date(
+    earliest.getFullYear(),
+    earliest.getMonth(),
+    earliest.getDate()
+  );
+  const start = first < windowStart ? windowStart : first;
+
+  const weekdayOf = (date) =>
+    mondayFirst ? (date.getDay() + 6) % 7 : date.getDay();
+  const offset = weekdayOf(start);
+  const days = [];
+  let max = 0;
+  let day = start;
+  while (day <= last) {
+    const date = toDayKey(day);
+    const count = dayCounts.get(date) || 0;
+    days.push({
+      date,
+      count,
+      week: Math.floor((days.length + offset) / 7),
+      weekday: weekdayOf(day),
+    });
+    max = Math.max(max, count);
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+
+  return {
+    start: days[0].date,
+    end: days[days.length - 1].date,
+    weekdays: mondayFirst ? [...DAY_NAMES.slice(1), DAY_NAMES[0]] : DAY_NAMES,
+    days,
+    max,
+    truncated: first < windowStart,
+  };
+}
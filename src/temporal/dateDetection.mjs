@@ -17,6 +17,123 @@ const DATE_PATTERNS = {
   YYYYMMDD: /^\d{8}$/,
 };
 
+/**
+ * Days between the Qlik date epoch (1899-12-30) and the Unix epoch
+ */
+export const QLIK_EPOCH_OFFSET_DAYS = 25569;
+
+/**
+ * Milliseconds per day
+ */
+export const MS_PER_DAY = 86400000;
+
+/**
+ * Convert a Qlik serial date to a date whose UTC date and time are the
+ * serial's, rounded to the millisecond
+ * @param {number} value - Days since 1899-12-30, with the time of day as fraction
+ * @returns {Date} Date, invalid when the value is out of range
+ */
+export function qlikSerialToUtc(value) {
+  return new Date(Math.round((value - QLIK_EPOCH_OFFSET_DAYS) * MS_PER_DAY));
+}
+
+/**
+ * Number format types of fields that hold Qlik serial dates
+ */
+export const QLIK_DATE_FORMAT_TYPES = ["DATE", "TIMESTAMP", "TIME", "INTERVAL"];
+
+/**
+ * Check whether a QVD field stores its values as Qlik serial dates, going
+ * by the type the user chose for it, its $date/$timestamp tags and its
+ * number format type
+ * @param {Object} field - Field metadata
+ * @returns {boolean} True for date, timestamp, time and interval fields
+ */
+export function isQlikDateField(field) {
+  if (!field) {
+    return false;
+  }
+  if (field.typeOverride) {
+    return QLIK_DATE_FORMAT_TYPES.includes(field.typeOverride.toUpperCase());
+  }
+  const tags = field.tags || [];
+  const type = ((field.numberFormat && field.numberFormat.type) || "")
+    .toUpperCase();
+  return (
+    tags.includes("$date") ||
+    tags.includes("$timestamp") ||
+    QLIK_DATE_FORMAT_TYPES.includes(type)
+  );
+}
+
+/**
+ * Check whether a QVD field stores timestamps (dates with a time of day),
+ * going by the type the user chose for it, its $timestamp tag and its
+ * number format type
+ * @param {Object} field - Field metadata
+ * @returns {boolean} True for timestamp fields
+ */
+export function isQlikTimestampField(field) {
+  if (!field) {
+    return false;
+  }
+  if (field.typeOverride) {
+    return field.typeOverride.toUpperCase() === "TIMESTAMP";
+  }
+  const type = ((field.numberFormat && field.numberFormat.type) || "")
+    .toUpperCase();
+  return (field.tags || []).includes("$timestamp") || type === "TIMESTAMP";
+}
+
+/**
+ * Convert a Qlik serial date (days since 1899-12-30, with the time of day
+ * as fraction) to a date. Like the other date formats, the calendar date
+ * and time are taken as local time.
+ * @param {*} value - Value to convert
+ * @returns {Date|null} Date, or null if the value is not a number
+ */
+export function parseQlikSerial(value) {
+  if (typeof value !== "number" || !isFinite(value)) {
+    return null;
+  }
+  const utc = qlikSerialToUtc(value);
+  if (isNaN(utc.getTime())) {
+    return null;
+  }
+  const date = new Date(
+    utc.getUTCFullYear(),
+    utc.getUTCMonth(),
+    utc.getUTCDate(),
+    utc.getUTCHours(),
+    utc.getUTCMinutes(),
+    utc.getUTCSeconds(),
+    utc.getUTCMilliseconds()
+  );
+  // The Date constructor maps years below 100 to 19xx
+  date.setFullYear(utc.getUTCFullYear());
+  return date;
+}
+
+/**
+ * Parse a value of a field holding Qlik serial dates
+ * Numbers are serial dates, while text values (e.g. from fields mixing
+ * dates and text) are parsed like any other date string.
+ * @param {*} value - Value to parse
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+export function parseQlikDate(value) {
+  return typeof value === "number" ? parseQlikSerial(value) : parseDate(value);
+}
+
+/**
+ * Choose how to parse the values of a field
+ * @param {Object|null} field - Field metadata, if known
+ * @returns {function(*): (Date|null)} Date parser
+ */
+export function getDateParser(field = null) {
+  return isQlikDateField(field) ? parseQlikDate : parseDate;
+}
+
 /**
  * Check if a value can be parsed as a date
  * @param {*} value - Value to check
@@ -109,10 +226,13 @@ export function parseDate(value) {
 /**
  * Detect the format of date values in a field
  * @param {Array<*>} values - Array of date values
+ * @param {Object} options - Detection options
+ * @param {boolean} options.qlikSerial - Count numbers as Qlik serial dates (default: false)
  * @returns {Object} Format detection results
  */
-export function detectDateFormat(values) {
+export function detectDateFormat(values, { qlikSerial = false } = {}) {
   const formatCounts = {
+    QLIK_SERIAL: 0,
     ISO_8601: 0,
     ISO_DATE: 0,
     US_DATE: 0,
@@ -136,7 +256,9 @@ export function detectDateFormat(values) {
     sampleCount++;
 
     // Check ISO_DATE before ISO_8601 since ISO_DATE is more specific
-    if (DATE_PATTERNS.ISO_DATE.test(valueStr)) {
+    if (qlikSerial && typeof value === "number") {
+      formatCounts.QLIK_SERIAL++;
+    } else if (DATE_PATTERNS.ISO_DATE.test(valueStr)) {
       formatCounts.ISO_DATE++;
     } else if (DATE_PATTERNS.ISO_8601.test(valueStr)) {
       formatCounts.ISO_8601++;
@@ -166,6 +288,7 @@ export function detectDateFormat(values) {
   }
 
   const formatDescriptions = {
+    QLIK_SERIAL: "Qlik serial date (days since 1899-12-30)",
     ISO_8601: "ISO 8601 with time",
     ISO_DATE: "ISO 8601 date (YYYY-MM-DD)",
     US_DATE: "US format (M/D/YYYY)",
@@ -189,12 +312,14 @@ export function detectDateFormat(values) {
  * @param {Array<Object>} data - Array of data rows
  * @param {string} fieldName - Field name to check
  * @param {number} threshold - Percentage threshold for date values (default: 0.8)
+ * @param {Object|null} field - Field metadata, used to recognize Qlik serial dates (default: null)
  * @returns {boolean} True if field is predominantly dates
  */
-export function isDateField(data, fieldName, threshold = 0.8) {
+export function isDateField(data, fieldName, threshold = 0.8, field = null) {
   if (!data || data.length === 0) {
     return false;
   }
+  const parse = getDateParser(field);
 
   let dateCount = 0;
   let nonNullCount = 0;
@@ -207,7 +332,7 @@ export function isDateField(data, fieldName, threshold = 0.8) {
     const value = data[i][fieldName];
     if (value !== null && value !== undefined && value !== "") {
       nonNullCount++;
-      if (parseDate(value) !== null) {
+      if (parse(value) !== null) {
         dateCount++;
       }
     }
@@ -219,3 +344,33 @@ export function isDateField(data, fieldName, threshold = 0.8) {
 
   return dateCount / nonNullCount >= threshold;
 }
+
+/**
+ * Detect if a field is a date field from its value counts
+ * Each distinct value is parsed once and weighted by how often it occurs.
+ * @param {Map<*, number>} valueCounts - Rows per value (NULL/empty values excluded)
+ * @param {number} threshold - Percentage threshold for date values (default: 0.8)
+ * @param {Object|null} field - Field metadata, used to read Qlik serial dates (default: null)
+ * @returns {boolean} True if field is predominantly dates
+ */
+export function isDateFromCounts(valueCounts, threshold = 0.8, field = null) {
+  const parse = getDateParser(field);
+
+  let dateCount = 0;
+  let nonNullCount = 0;
+
+  for (const [value, count] of valueCounts) {
+    if (value !== null && value !== undefined && value !== "") {
+      nonNullCount += count;
+      if (parse(value) !== null) {
+        dateCount += count;
+      }
+    }
+  }
+
+  if (nonNullCount === 0) {
+    return false;
+  }
+
+  return dateCount / nonNullCount >= threshold;
+}
@@ -9,9 +9,11 @@ import { detectDateFormat } from './dateDetection.mjs';
  * Calculate date range analysis
  * @param {Array<Date>} dates - Array of parsed dates
  * @param {Array<*>} rawValues - Array of raw date values
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.qlikSerial - Raw numbers are Qlik serial dates (default: false)
  * @returns {Object} Date range analysis results
  */
-export function calculateDateRange(dates, rawValues) {
+export function calculateDateRange(dates, rawValues, { qlikSerial = false } = {}) {
   if (dates.length === 0) {
     return {
       earliest: null,
@@ -54,7 +56,7 @@ export function calculateDateRange(dates, rawValues) {
   }
 
   // Detect format
-  const formatInfo = detectDateFormat(rawValues);
+  const formatInfo = detectDateFormat(rawValues, { qlikSerial });
 
   return {
     earliest,
@@ -3,61 +3,114 @@
  * Calculates distribution of dates across various time periods
  */
 
+import {
+  getFiscalQuarter,
+  getFiscalYear,
+  getWeekNumber,
+  hasExpectedDayRules,
+  isHoliday,
+  isWeekend,
+  resolveCalendar,
+} from './calendar.mjs';
+
 /**
  * Calculate temporal distribution
+ * Years and quarters follow the fiscal year of the calendar, named "FY2025"
+ * and "Q1 FY2025" when it does not start in January. Week numbers follow
+ * the week numbering of the calendar, and with ISO weeks the days of the
+ * week start on Monday. In business-day mode or with holidays, the rows are
+ * also split into business days, weekends and holidays.
  * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Array<number>|null} counts - Number of rows per date (default: one row each)
+ * @param {Object|null} calendar - Resolved calendar, see resolveCalendar (default: calendar years, all days)
  * @returns {Object} Temporal distribution analysis
  */
-export function calculateTemporalDistribution(dates) {
+export function calculateTemporalDistribution(
+  dates,
+  counts = null,
+  calendar = null
+) {
   if (dates.length === 0) {
     return {
       byYear: {},
       byMonth: {},
       byDayOfWeek: {},
       byQuarter: {},
+      byWeekNumber: {},
     };
   }
 
+  const settings = calendar || resolveCalendar();
+  const fiscal = settings.fiscalYearStartMonth > 1;
   const byYear = {};
   const byMonth = {};
   const byDayOfWeek = {};
   const byQuarter = {};
+  const byWeekNumber = {};
+  const byDayType = { 'Business days': 0, Weekends: 0, Holidays: 0 };
 
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'];
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-  for (const date of dates) {
-    // By year
-    const year = date.getFullYear();
-    byYear[year] = (byYear[year] || 0) + 1;
+  dates.forEach((date, i) => {
+    const count = counts ? counts[i] : 1;
+
+    // By (fiscal) year
+    const year = getFiscalYear(date, settings);
+    byYear[year] = (byYear[year] || 0) + count;
 
     // By month
     const month = monthNames[date.getMonth()];
-    byMonth[month] = (byMonth[month] || 0) + 1;
+    byMonth[month] = (byMonth[month] || 0) + count;
 
     // By day of week
     const dayOfWeek = dayNames[date.getDay()];
-    byDayOfWeek[dayOfWeek] = (byDayOfWeek[dayOfWeek] || 0) + 1;
+    byDayOfWeek[dayOfWeek] = (byDayOfWeek[dayOfWeek] || 0) + count;
 
     // By quarter
-    const quarter = `Q${Math.floor(date.getMonth() / 3) + 1} ${year}`;
-    byQuarter[quarter] = (byQuarter[quarter] || 0) + 1;
-  }
+    const quarter = `Q${getFiscalQuarter(date, settings)} ${
+      fiscal ? 'FY' : ''
+    }${year}`;
+    byQuarter[quarter] = (byQuarter[quarter] || 0) + count;
+
+    // By week number, across years
+    const { week } = getWeekNumber(date, settings);
+    byWeekNumber[week] = (byWeekNumber[week] || 0) + count;
+
+    // By kind of day; holidays on a weekend count as holidays
+    if (isHoliday(date, settings)) {
+      byDayType.Holidays += count;
+    } else if (isWeekend(date)) {
+      byDayType.Weekends += count;
+    } else {
+      byDayType['Business days'] += count;
+    }
+  });
 
   // Sort and format results
   const sortedYears = Object.entries(byYear)
     .sort((a, b) => a[0] - b[0])
-    .map(([year, count]) => ({ period: year, count }));
+    .map(([year, count]) => ({ period: fiscal ? `FY${year}` : year, count }));
 
   const sortedMonths = monthNames
     .map(month => ({ period: month, count: byMonth[month] || 0 }))
     .filter(item => item.count > 0);
 
-  const sortedDaysOfWeek = dayNames
+  const weekDayNames = settings.isoWeeks
+    ? [...dayNames.slice(1), dayNames[0]]
+    : dayNames;
+  const sortedDaysOfWeek = weekDayNames
     .map(day => ({ period: day, count: byDayOfWeek[day] || 0 }))
     .filter(item => item.count > 0);
 
+  const sortedWeekNumbers = Object.entries(byWeekNumber)
+    .sort((a, b) => a[0] - b[0])
+    .map(([week, count]) => ({
+      period: `W${String(week).padStart(2, '0')}`,
+      count,
+    }));
+
   const sortedQuarters = Object.entries(byQuarter)
     .sort((a, b) => a[0].localeCompare(b[0]))
     .map(([quarter, count]) => ({ period: quarter, count }));
@@ -67,5 +120,9 @@ export function calculateTemporalDistribution(dates) {
     byMonth: sortedMonths,
     byDayOfWeek: sortedDaysOfWeek,
     byQuarter: sortedQuarters,
+    byWeekNumber: sortedWeekNumbers,
+    byDayType: hasExpectedDayRules(settings)
+      ? Object.entries(byDayType).map(([period, count]) => ({ period, count }))
+      : null,
   };
 }
@@ -3,13 +3,26 @@
  * Detects missing dates in sequences and calculates coverage
  */
 
+import {
+  hasExpectedDayRules,
+  isExpectedDay,
+  toDayKey,
+} from './calendar.mjs';
+
 /**
  * Detect gaps in date sequences
+ * In business-day mode or with holidays (see resolveCalendar), only the days
+ * the calendar expects records on count: a gap is a run of missing expected
+ * days, and coverage is the share of expected days that have records.
  * @param {Array<Date>} dates - Array of parsed dates (should be sorted)
- * @param {number} expectedGapDays - Expected gap between consecutive dates (default: 1)
+ * @param {number} expectedGapDays - Expected gap between consecutive dates, without calendar rules (default: 1)
+ * @param {Object|null} calendar - Resolved calendar (default: every day expected)
  * @returns {Object} Gap detection analysis
  */
-export function detectDateGaps(dates, expectedGapDays = 1) {
+export function detectDateGaps(dates, expectedGapDays = 1, calendar = null) {
+  if (calendar && hasExpectedDayRules(calendar)) {
+    return detectExpectedDayGaps(dates, calendar);
+  }
   if (dates.length < 2) {
     return {
       hasGaps: false,
@@ -63,3 +76,90 @@ export function detectDateGaps(dates, expectedGapDays = 1) {
     actualDates: actualUniqueDates,
   };
 }
+
+/**
+ * Get local midnight of the day after a date
+ * @param {Date} date - Date at local midnight
+ * @returns {Date} Next day at local midnight
+ */
+function nextDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+/**
+ * Detect runs of missing expected days between the first and last date
+ * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Object} calendar - Resolved calendar with business-day or holiday rules
+ * @returns {Object} Gap detection analysis, with missingDays per gap
+ */
+function detectExpectedDayGaps(dates, calendar) {
+  // One local midnight per calendar day with records
+  const days = new Map();
+  for (const date of dates) {
+    const key = toDayKey(date);
+    if (!days.has(key)) {
+      days.set(
+        key,
+        new Date(date.getFullYear(), date.getMonth(), date.getDate())
+      );
+    }
+  }
+  const sortedDays = [...days.values()].sort((a, b) => a - b);
+  if (sortedDays.length < 2) {
+    return {
+      hasGaps: false,
+      gapCount: 0,
+      largestGap: null,
+      gaps: [],
+      coverage: 100,
+      expectedDays: calendar.businessDays ? 'business' : 'calendar',
+    };
+  }
+
+  const gaps = [];
+  let largestGap = null;
+  let expectedDates = isExpectedDay(sortedDays[0], calendar) ? 1 : 0;
+  let actualDates = expectedDates;
+  for (let i = 1; i < sortedDays.length; i++) {
+    const from = sortedDays[i - 1];
+    const to = sortedDays[i];
+
+    // Step through the days in between by calendar date, so daylight
+    // saving time changes do not skip or repeat a day
+    let missingDays = 0;
+    for (let day = nextDay(from); day < to; day = nextDay(day)) {
+      if (isExpectedDay(day, calendar)) {
+        missingDays++;
+      }
+    }
+    expectedDates += missingDays;
+    if (isExpectedDay(to, calendar)) {
+      expectedDates++;
+      actualDates++;
+    }
+
+    if (missingDays > 0) {
+      const gap = {
+        from,
+        to,
+        days: Math.round((to - from) / (24 * 60 * 60 * 1000)),
+        missingDays,
+      };
+      gaps.push(gap);
+      if (largestGap === null || missingDays > largestGap.missingDays) {
+        largestGap = gap;
+      }
+    }
+  }
+
+  return {
+    hasGaps: gaps.length > 0,
+    gapCount: gaps.length,
+    largestGap,
+    gaps: gaps.slice(0, 10), // Return top 10 gaps
+    coverage: expectedDates > 0 ? (actualDates / expectedDates) * 100 : 100,
+    expectedDates,
+    actualDates,
+    expectedDays: calendar.businessDays ? 'business' : 'calendar',
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Seasonality Detection
+ * Detects weekly and yearly patterns in record volumes
+ */
+
+import { VOLUME_GRANULARITIES, parsePeriod } from './volumeSeries.mjs';
+
+const WEEKDAY_NAMES = [
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+  'Sunday',
+];
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+// Share of the variation explained by the season (0-1) and the spread
+// between the busiest and quietest season needed to report a pattern
+const MIN_SEASONAL_STRENGTH = 0.3;
+const MIN_SEASONAL_SPREAD = 0.25;
+
+/**
+ * Detect weekly and yearly seasonality in a volume series
+ * Weekly patterns need at least four weeks of daily counts, yearly patterns
+ * at least two years of data.
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>}} series - Volume series (from buildVolumeSeries)
+ * @returns {{weekly: Object|null, yearly: Object|null}} Seasonality per cycle, null when there is too little data
+ */
+export function detectSeasonality(series) {
+  let weekly = null;
+  if (
+    series.granularity === VOLUME_GRANULARITIES.DAY &&
+    series.periods.length >= 28
+  ) {
+    weekly = analyzeCycle(
+      series.periods.map((point) => point.count),
+      series.periods.map(
+        (point) => (parsePeriod(point.period).getUTCDay() + 6) % 7
+      ),
+      WEEKDAY_NAMES,
+      'day'
+    );
+  }
+
+  const months = monthlyAverages(series);
+  const yearly =
+    months.length >= 24
+      ? analyzeCycle(
+          months.map((month) => month.count),
+          months.map((month) => month.month),
+          MONTH_NAMES,
+          'month'
+        )
+      : null;
+
+  return { weekly, yearly };
+}
+
+/**
+ * Average a volume series per calendar month
+ * Months are compared by their average day (or week), so short months do not
+ * look quiet. Partial months at the start and end of a daily or weekly
+ * series are left out. Weeks count towards the month they start in.
+ * @param {{granularity: string, periods: Array<{period: string, count: number}>}} series - Volume series
+ * @returns {Array<{month: number, count: number}>} Average per month (month 0-11), in date order
+ */
+function monthlyAverages(series) {
+  const months = [];
+  for (const point of series.periods) {
+    const key = point.period.slice(0, 7);
+    if (months.length === 0 || months[months.length - 1].key !== key) {
+      const start = parsePeriod(point.period);
+      months.push({
+        key,
+        month: start.getUTCMonth(),
+        total: 0,
+        length: 0,
+      });
+    }
+    const month = months[months.length - 1];
+    month.total += point.count;
+    month.length +=
+      series.granularity === VOLUME_GRANULARITIES.MONTH
+        ? daysInMonth(parsePeriod(point.period))
+        : 1;
+  }
+  const averages = months.map((month) => ({
+    month: month.month,
+    count: month.total / month.length,
+  }));
+  return series.granularity === VOLUME_GRANULARITIES.MONTH
+    ? averages
+    : averages.slice(1, -1);
+}
+
+/**
+ * Get the number of days in the month of a date
+ * @param {Date} date - Date in the month (UTC)
+ * @returns {number} Number of days
+ */
+function daysInMonth(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+}
+
+/**
+ * Measure how much of the variation in a series follows a cycle
+ * Each count is divided by the average of the surrounding full cycle, so a
+ * trend or a level shift does not look like a season. The seasonal index of
+ * a slot is its average ratio; the strength is the share of the variance of
+ * the ratios explained by the slot (eta squared).
+ * @param {Array<number>} counts - Counts in date order
+ * @param {Array<number>} slots - Position of each count in the cycle
+ * @param {Array<string>} names - Name of each position in the cycle
+ * @param {string} unit - Name of one position, e.g. "day"
+ * @returns {Object|null} Cycle analysis, null when no full cycle has records
+ */
+function analyzeCycle(counts, slots, names, unit) {
+  const length = names.length;
+  const before = Math.floor(length / 2);
+  const after = length - before - 1;
+
+  // Prefix sums give the average of each surrounding cycle in constant time
+  const prefix = [0];
+  for (const count of counts) {
+    prefix.push(prefix[prefix.length - 1] + count);
+  }
+
+  const ratioSums = new Array(length).fill(0);
+  const ratioCounts = new Array(length).fill(0);
+  const ratios = [];
+  for (let i = before; i < counts.length - after; i++) {
+    const level = (prefix[i + after + 1] - prefix[i - before]) / length;
+    if (level > 0) {
+      const ratio = counts[i] / level;
+      ratios.push({ slot: slots[i], ratio });
+      ratioSums[slots[i]] += ratio;
+      ratioCounts[slots[i]]++;
+    }
+  }
+  if (ratioCounts.some((count) => count === 0)) {
+    return null;
+  }
+
+  const means = ratioSums.map((sum, slot) => sum / ratioCounts[slot]);
+  const overall =
+    ratios.reduce((sum, item) => sum + item.ratio, 0) / ratios.length;
+  let between = 0;
+  let total = 0;
+  for (const { slot, ratio } of ratios) {
+    between += Math.pow(means[slot] - overall, 2);
+    total += Math.pow(ratio - overall, 2);
+  }
+  const strength = total > 0 ? between / total : 0;
+
+  // Scale the indices so that the average position is 1
+  const average = means.reduce((sum, mean) => sum + mean, 0) / length;
+  const profile = names.map((name, slot) => ({
+    name,
+    index: means[slot] / average,
+  }));
+  const peak = profile.reduce((best, item) =>
+    item.index > best.index ? item : best
+  );
+  const low = profile.reduce((best, item) =>
+    item.index < best.index ? item : best
+  );
+  const detected =
+    strength >= MIN_SEASONAL_STRENGTH &&
+    peak.index - low.index >= MIN_SEASONAL_SPREAD;
+
+  return {
+    detected,
+    strength,
+    profile,
+    peak: peak.name,
+    low: low.name,
+    description: detected
+      ? `${peak.name} is ${peak.index.toFixed(1)}× the average ${unit}, ` +
+        `${low.name} ${low.index.toFixed(1)}×`
+      : `No ${unit === 'day' ? 'weekly' : 'yearly'} pattern`,
+  };
+}
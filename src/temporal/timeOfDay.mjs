@@ -0,0 +1,135 @@
+/**
+ * Time of Day Analysis
+ * Counts timestamps per hour and per weekday and hour, and flags time
+ * patterns that point at how the values were loaded
+ */
+
+const DAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+// Least number of records before time patterns are reported
+const MIN_PATTERN_RECORDS = 10;
+
+// Share of records at midnight above which the field is taken to hold dates,
+// and share of records at one time of day that makes it a batch time
+const DATE_ONLY_SHARE = 0.99;
+const BATCH_TIME_SHARE = 0.5;
+
+/**
+ * Format the local time of day of a date as HH:MM:SS
+ * @param {Date} date - Date
+ * @returns {string} Time of day
+ */
+function formatTime(date) {
+  return [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Format a share as a percentage for a description
+ * @param {number} share - Share, 0-1
+ * @returns {string} Percentage, e.g. "62%" or "99.5%"
+ */
+function formatShare(share) {
+  const percentage = share * 100;
+  const digits = percentage >= 99 && percentage < 100 ? 1 : 0;
+  return `${percentage.toFixed(digits)}%`;
+}
+
+/**
+ * Analyze the time of day of timestamps
+ * Times are local, like the other date analyses. Weekdays start on Monday
+ * with ISO weeks and on Sunday otherwise. Patterns are reported from ten
+ * records on:
+ * - dateOnly: (nearly) all timestamps are at 00:00:00, so the field
+ *   probably holds dates stored as timestamps
+ * - midnight: most, but not all, timestamps are at 00:00:00, e.g. dates
+ *   mixed with timestamps
+ * - batchTime: most timestamps share one other time of day, e.g. the time a
+ *   nightly load ran
+ * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Array<number>|null} counts - Number of rows per date (default: one row each)
+ * @param {Object|null} calendar - Resolved calendar, only its week numbering is used (default: weeks from Sunday)
+ * @returns {Object} Time of day analysis: byHour (24 counts), weekdayHour (days and 7 rows of 24 counts), midnightPercentage, topTime and patterns
+ */
+export function analyzeTimeOfDay(dates, counts = null, calendar = null) {
+  const mondayFirst = Boolean(calendar && calendar.isoWeeks);
+  const byHour = new Array(24).fill(0);
+  const weekdayHour = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const byTime = new Map();
+  let total = 0;
+  let midnight = 0;
+
+  dates.forEach((date, i) => {
+    const count = counts ? counts[i] : 1;
+    const hour = date.getHours();
+    const weekday = mondayFirst ? (date.getDay() + 6) % 7 : date.getDay();
+    byHour[hour] += count;
+    weekdayHour[weekday][hour] += count;
+    total += count;
+
+    const time = formatTime(date);
+    byTime.set(time, (byTime.get(time) || 0) + count);
+    if (time === '00:00:00' && date.getMilliseconds() === 0) {
+      midnight += count;
+    }
+  });
+
+  let topTime = null;
+  for (const [time, count] of byTime) {
+    if (!topTime || count > topTime.count) {
+      topTime = { time, count };
+    }
+  }
+  if (topTime) {
+    topTime.percentage = (topTime.count / total) * 100;
+  }
+
+  const patterns = [];
+  if (total >= MIN_PATTERN_RECORDS) {
+    const midnightShare = midnight / total;
+    const topShare = topTime.count / total;
+    if (midnightShare >= DATE_ONLY_SHARE) {
+      const share =
+        midnightShare === 1 ? 'All' : `${formatShare(midnightShare)} of`;
+      patterns.push({
+        type: 'dateOnly',
+        description:
+          `${share} ${total.toLocaleString()} timestamps are at 00:00:00, ` +
+          'the field probably holds dates stored as timestamps',
+      });
+    } else if (midnightShare >= BATCH_TIME_SHARE) {
+      patterns.push({
+        type: 'midnight',
+        description:
+          `${formatShare(midnightShare)} of timestamps are at 00:00:00, ` +
+          'dates may be mixed with timestamps',
+      });
+    } else if (topShare >= BATCH_TIME_SHARE) {
+      patterns.push({
+        type: 'batchTime',
+        time: topTime.time,
+        description:
+          `${formatShare(topShare)} of timestamps are at ${topTime.time}, ` +
+          'probably the time of a batch load rather than of the events',
+      });
+    }
+  }
+
+  const days = mondayFirst ? [...DAY_NAMES.slice(1), DAY_NAMES[0]] : DAY_NAMES;
+  return {
+    byHour,
+    weekdayHour: { days, counts: weekdayHour },
+    midnightPercentage: total > 0 ? (midnight / total) * 100 : 0,
+    topTime,
+    patterns,
+  };
+}
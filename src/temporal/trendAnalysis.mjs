@@ -6,10 +6,14 @@
 /**
  * Analyze time series trends
  * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Array<number>|null} dateCounts - Number of rows per date (default: one row each)
  * @returns {Object} Trend analysis results
  */
-export function analyzeTimeSeries(dates) {
-  if (dates.length < 3) {
+export function analyzeTimeSeries(dates, dateCounts = null) {
+  const totalCount = dateCounts
+    ? dateCounts.reduce((sum, count) => sum + count, 0)
+    : dates.length;
+  if (totalCount < 3) {
     return {
       hasTrend: false,
       trendType: 'insufficient_data',
@@ -17,7 +21,10 @@ export function analyzeTimeSeries(dates) {
     };
   }
 
-  const sortedDates = dates.slice().sort((a, b) => a - b);
+  // Sort the dates together with their counts
+  const order = dates.map((date, i) => i).sort((a, b) => dates[a] - dates[b]);
+  const sortedDates = order.map((i) => dates[i]);
+  const sortedCounts = order.map((i) => (dateCounts ? dateCounts[i] : 1));
 
   // Group by time periods (daily, weekly, monthly depending on span)
   const spanDays = Math.floor((sortedDates[sortedDates.length - 1] - sortedDates[0]) / (24 * 60 * 60 * 1000));
@@ -39,11 +46,11 @@ export function analyzeTimeSeries(dates) {
   const periodCounts = {};
   const baseTime = sortedDates[0].getTime();
 
-  for (const date of sortedDates) {
+  sortedDates.forEach((date, i) => {
     const daysSinceBase = Math.floor((date.getTime() - baseTime) / (24 * 60 * 60 * 1000));
     const period = Math.floor(daysSinceBase / groupSize);
-    periodCounts[period] = (periodCounts[period] || 0) + 1;
-  }
+    periodCounts[period] = (periodCounts[period] || 0) + sortedCounts[i];
+  });
 
   // Calculate simple linear trend
   const periods = Object.keys(periodCounts).map(Number).sort((a, b) => a - b);
@@ -0,0 +1,178 @@
+/**
+ * Record Volume Series
+ * Counts records per day, week or month over the whole date range,
+ * including the periods without any records
+ */
+
+import { MS_PER_DAY } from './dateDetection.mjs';
+
+/**
+ * Period lengths of a volume series
+ */
+export const VOLUME_GRANULARITIES = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+// Longest spans (in days) counted per day and per week; longer spans are
+// counted per week and per month, to keep the series at a readable length
+const MAX_DAILY_SPAN_DAYS = 3 * 366;
+const MAX_WEEKLY_SPAN_DAYS = 20 * 366;
+
+/**
+ * Get the calendar day of a date as a day number (days since 1970-01-01)
+ * Dates are bucketed by their local calendar day, like the distribution.
+ * @param {Date} date - Date to convert
+ * @returns {number} Day number
+ */
+function toDayNumber(date) {
+  return Math.floor(
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY
+  );
+}
+
+/**
+ * Get the first day of the period a day falls in
+ * @param {number} day - Day number
+ * @param {string} granularity - Period length (VOLUME_GRANULARITIES)
+ * @returns {number} Day number of the period start
+ */
+function periodStart(day, granularity) {
+  if (granularity === VOLUME_GRANULARITIES.WEEK) {
+    // Weeks start on Monday; day 0 (1970-01-01) was a Thursday
+    return day - ((((day + 3) % 7) + 7) % 7);
+  }
+  if (granularity === VOLUME_GRANULARITIES.MONTH) {
+    const date = new Date(day * MS_PER_DAY);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / MS_PER_DAY;
+  }
+  return day;
+}
+
+/**
+ * Get the start of the period after a period
+ * @param {number} start - Day number of the period start
+ * @param {string} granularity - Period length (VOLUME_GRANULARITIES)
+ * @returns {number} Day number of the next period start
+ */
+function nextPeriodStart(start, granularity) {
+  if (granularity === VOLUME_GRANULARITIES.WEEK) {
+    return start + 7;
+  }
+  if (granularity === VOLUME_GRANULARITIES.MONTH) {
+    const date = new Date(start * MS_PER_DAY);
+    return (
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / MS_PER_DAY
+    );
+  }
+  return start + 1;
+}
+
+/**
+ * Format a period start as a label: YYYY-MM-DD for days and weeks, YYYY-MM
+ * for months
+ * @param {number} start - Day number of the period start
+ * @param {string} granularity - Period length (VOLUME_GRANULARITIES)
+ * @returns {string} Period label
+ */
+function formatPeriod(start, granularity) {
+  const iso = new Date(start * MS_PER_DAY).toISOString();
+  return granularity === VOLUME_GRANULARITIES.MONTH
+    ? iso.slice(0, 7)
+    : iso.slice(0, 10);
+}
+
+/**
+ * Get the date a period label starts on
+ * @param {string} period - Period label (from buildVolumeSeries)
+ * @returns {Date} Start of the period, at midnight UTC
+ */
+export function parsePeriod(period) {
+  return new Date(period.length === 7 ? `${period}-01` : period);
+}
+
+/**
+ * Count the records per period over the whole date range
+ * Days are used for spans up to three years, weeks (starting on Monday) up to
+ * twenty years and months beyond that. Periods without records are included
+ * with a count of 0. The first and last week or month are flagged partial
+ * when the date range only covers part of them. When the creation time of
+ * the file is known, the whole periods between the last record and the
+ * period the file was created in are counted as the trailing gap.
+ * @param {Array<Date>} dates - Array of parsed dates
+ * @param {Array<number>|null} dateCounts - Number of rows per date (default: one row each)
+ * @param {Date|null} createdAt - Creation time of the file, from CreateUtcTime (default: null)
+ * @returns {{granularity: string, periods: Array<{period: string, count: number, partial: boolean}>, trailingGap: {period: string, periods: number}|null}} Volume series, with the first period and number of periods of the trailing gap
+ */
+export function buildVolumeSeries(dates, dateCounts = null, createdAt = null) {
+  if (dates.length === 0) {
+    return {
+      granularity: VOLUME_GRANULARITIES.DAY,
+      periods: [],
+      trailingGap: null,
+    };
+  }
+
+  const dayCounts = new Map();
+  let firstDay = Infinity;
+  let lastDay = -Infinity;
+  dates.forEach((date, i) => {
+    const day = toDayNumber(date);
+    const count = dateCounts ? dateCounts[i] : 1;
+    dayCounts.set(day, (dayCounts.get(day) || 0) + count);
+    firstDay = Math.min(firstDay, day);
+    lastDay = Math.max(lastDay, day);
+  });
+
+  const spanDays = lastDay - firstDay;
+  let granularity = VOLUME_GRANULARITIES.DAY;
+  if (spanDays > MAX_WEEKLY_SPAN_DAYS) {
+    granularity = VOLUME_GRANULARITIES.MONTH;
+  } else if (spanDays > MAX_DAILY_SPAN_DAYS) {
+    granularity = VOLUME_GRANULARITIES.WEEK;
+  }
+
+  const periodCounts = new Map();
+  for (const [day, count] of dayCounts) {
+    const start = periodStart(day, granularity);
+    periodCounts.set(start, (periodCounts.get(start) || 0) + count);
+  }
+
+  const periods = [];
+  const lastStart = periodStart(lastDay, granularity);
+  for (
+    let start = periodStart(firstDay, granularity);
+    start <= lastStart;
+    start = nextPeriodStart(start, granularity)
+  ) {
+    const end = nextPeriodStart(start, granularity);
+    periods.push({
+      period: formatPeriod(start, granularity),
+      count: periodCounts.get(start) || 0,
+      partial: start < firstDay || end - 1 > lastDay,
+    });
+  }
+
+  let trailingGap = null;
+  if (createdAt) {
+    const gapStart = nextPeriodStart(lastStart, granularity);
+    const createdStart = periodStart(toDayNumber(createdAt), granularity);
+    let count = 0;
+    for (
+      let start = gapStart;
+      start < createdStart;
+      start = nextPeriodStart(start, granularity)
+    ) {
+      count++;
+    }
+    if (count > 0) {
+      trailingGap = {
+        period: formatPeriod(gapStart, granularity),
+        periods: count,
+      };
+    }
+  }
+
+  return { granularity, periods, trailingGap };
+}
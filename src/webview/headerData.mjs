@@ -0,0 +1,94 @@
+import { describeResolvedType } from "../qvdFieldTypes.mjs";
+
+/**
+ * Rows of the Schema, Metadata and Lineage tabs, built from the QVD header
+ */
+
+/**
+ * Build one schema row per field
+ * @param {object} metadata - QVD metadata
+ * @param {Array<object>} fieldTypes - Resolved field types (from resolveFieldTypes)
+ * @returns {Array<object>} Schema rows
+ */
+export function buildSchemaRows(metadata, fieldTypes) {
+  const resolvedTypes = new Map(
+    (fieldTypes || []).map((resolved) => [resolved.field, resolved])
+  );
+  return metadata && metadata.fields
+    ? metadata.fields.map((field) => ({
+        name: field.name,
+        type: field.type || "",
+        resolvedType: describeResolvedType(resolvedTypes.get(field.name)),
+        extent: field.extent || "",
+        noOfSymbols: field.noOfSymbols || 0,
+        offset: field.offset || 0,
+        length: field.length || 0,
+        bitOffset: field.bitOffset || 0,
+        bitWidth: field.bitWidth || 0,
+        bias: field.bias || 0,
+        tags: field.tags && field.tags.length > 0 ? field.tags.join(", ") : "",
+        comment: field.comment || "",
+      }))
+    : [];
+}
+
+/**
+ * Build the table header properties as key-value pairs
+ * @param {object} metadata - QVD metadata
+ * @param {number} totalRows - Number of rows in the file
+ * @returns {Array<{key: string, value: string}>} Metadata rows
+ */
+export function buildMetadataRows(metadata, totalRows) {
+  return metadata
+    ? [
+        { key: "QV Build No", value: metadata.qvBuildNo || "" },
+        { key: "Creator Document", value: metadata.creatorDoc || "" },
+        { key: "Created (UTC)", value: metadata.createUtcTime || "" },
+        {
+          key: "Source Create (UTC)",
+          value: metadata.sourceCreateUtcTime || "",
+        },
+        {
+          key: "Source File Time (UTC)",
+          value: metadata.sourceFileUtcTime || "",
+        },
+        { key: "Source File Size", value: metadata.sourceFileSize || "" },
+        { key: "Stale Time (UTC)", value: metadata.staleUtcTime || "" },
+        { key: "Table Name", value: metadata.tableName || "" },
+        { key: "Table Creator", value: metadata.tableCreator || "" },
+        { key: "Compression", value: metadata.compression || "" },
+        { key: "Record Byte Size", value: metadata.recordByteSize || "" },
+        { key: "Total Records", value: totalRows.toString() },
+        { key: "Offset", value: metadata.offset.toString() },
+        { key: "Length", value: metadata.length.toString() },
+        { key: "Comment", value: metadata.comment || "" },
+        { key: "Encryption Info", value: metadata.encryptionInfo || "" },
+        { key: "Table Tags", value: metadata.tableTags || "" },
+        { key: "Profiling Data", value: metadata.profilingData || "" },
+      ]
+    : [];
+}
+
+/**
+ * Build one row per lineage entry
+ * @param {object} metadata - QVD metadata
+ * @returns {Array<{index: number, discriminator: string, statement: string}>} Lineage rows
+ */
+export function buildLineageRows(metadata) {
+  if (!metadata || !metadata.lineage) {
+    return [];
+  }
+  const lineageArray = Array.isArray(metadata.lineage)
+    ? metadata.lineage
+    : metadata.lineage.LineageInfo
+    ? Array.isArray(metadata.lineage.LineageInfo)
+      ? metadata.lineage.LineageInfo
+      : [metadata.lineage.LineageInfo]
+    : [];
+
+  return lineageArray.map((item, index) => ({
+    index: index + 1,
+    discriminator: item.Discriminator || item.discriminator || "",
+    statement: item.Statement || item.statement || "",
+  }));
+}
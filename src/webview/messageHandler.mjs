@@ -1,11 +1,828 @@
 import * as vscode from "vscode";
 import { basename, dirname, extname, join } from "path";
-import { writeFileSync } from "fs";
+import { existsSync, readFileSync, writeFileSync } from "fs";
 import DataExporter from "../exporters/index.mjs";
-import { profileFields, generateQvsScript } from "../qvdProfiler.mjs";
+import QvdQueryEngine from "../qvdQueryEngine.mjs";
+import { findRowPositions, trackRowSource } from "../qvdRowSource.mjs";
+import {
+  EXPORT_SCOPES,
+  applyExportScope,
+  createColumnFilterPredicate,
+  describeColumnFilter,
+  hasActiveFilter,
+} from "../qvdGridFilter.mjs";
+import {
+  PROFILING_MODES,
+  buildProfileOverview,
+  compareProfiles,
+  generateQvsScript,
+  profileQvdFields,
+  profileSourceApproximate,
+} from "../qvdProfiler.mjs";
+import {
+  EXPECTATIONS_FILE_NAME,
+  advanceRowCountBaseline,
+  createExpectationsTemplate,
+  evaluateExpectations,
+  getExpectationsFilePath,
+  loadExpectations,
+  parseExpectations,
+} from "../qvdExpectations.mjs";
+import {
+  formatRowSource,
+  getDisplayColumns,
+  toGridRows,
+} from "../qvdNumberFormat.mjs";
+import { describeSymbolTypes } from "../qvdDiff.mjs";
+import {
+  OVERRIDE_TYPES,
+  applyTypeOverrides,
+  describeResolvedType,
+  getTypeOverrides,
+  resolveFieldType,
+  setTypeOverride,
+  withTypeOverrides,
+} from "../qvdFieldTypes.mjs";
+import { loadCalendar, resolveCalendar } from "../qvdTemporalAnalysis.mjs";
+import { analyzeRelationships } from "../qvdRelationships.mjs";
+import { describeOutlierMethod } from "../qvdStatistics.mjs";
+import {
+  buildSensitivityReport,
+  describePiiScan,
+  scanQvdForPii,
+} from "../qvdPiiScanner.mjs";
+import { formatPiiReport } from "../qvdReports.mjs";
 import { getVisualAnalysisHtml } from "./templates/visualAnalysisTemplate.mjs";
+import { getProfilingReportHtml } from "./templates/reportTemplate.mjs";
+import {
+  PROFILE_EXPORT_EXTENSIONS,
+  PROFILE_EXPORT_FORMATS,
+  buildProfileDocument,
+  exportProfileDocument,
+} from "../qvdProfileExport.mjs";
 import logger from "../logger.mjs";
 
+/**
+ * Ask for export options and export the rows of a row source
+ * @param {Object} source - Row source providing batches of row objects
+ * @param {string} format - Export format
+ * @param {string} fileName - Suggested file name without extension
+ * @returns {Promise<void>}
+ */
+async function exportRowSource(source, format, fileName) {
+  let maxRows = 0; // Default: export all rows
+
+  // For Qlik inline script and PostgreSQL, ask for row count
+  if (format === "qlik" || format === "postgres") {
+    const totalRows = source.rowCount;
+    const formatLabel = format === "qlik" ? "Qlik Inline Script" : "PostgreSQL";
+    const rowCountInput = await vscode.window.showQuickPick(
+      [
+        { label: "100 rows", value: "100" },
+        { label: "500 rows", value: "500" },
+        { label: "1,000 rows", value: "1000" },
+        { label: "5,000 rows", value: "5000" },
+        { label: "10,000 rows", value: "10000" },
+        {
+          label: `All rows (${totalRows.toLocaleString()})`,
+          value: "0",
+        },
+        { label: "Custom...", value: "custom" },
+      ],
+      {
+        placeHolder: "Select number of rows to export",
+        title: `${formatLabel} Export`,
+      }
+    );
+
+    if (!rowCountInput) {
+      // User cancelled
+      return;
+    }
+
+    if (rowCountInput.value === "custom") {
+      // Ask for custom value
+      const customInput = await vscode.window.showInputBox({
+        prompt: "Enter number of rows to export",
+        placeHolder: "e.g., 500",
+        validateInput: (value) => {
+          const num = parseInt(value, 10);
+          if (isNaN(num) || num < 1) {
+            return "Please enter a positive integer";
+          }
+          if (num > totalRows) {
+            return `Value cannot exceed total rows (${totalRows})`;
+          }
+          return null;
+        },
+      });
+
+      if (!customInput) {
+        // User cancelled
+        return;
+      }
+
+      maxRows = parseInt(customInput, 10);
+    } else {
+      maxRows = parseInt(rowCountInput.value, 10);
+    }
+  }
+
+  const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+  const savedPath = await DataExporter.exportData(
+    source,
+    format,
+    fileName,
+    vscode,
+    workspaceFolder,
+    maxRows
+  );
+
+  if (savedPath) {
+    const action = await vscode.window.showInformationMessage(
+      `Data exported to ${savedPath}`,
+      "Open Folder"
+    );
+
+    if (action === "Open Folder") {
+      const folderPath = dirname(savedPath);
+      vscode.commands.executeCommand(
+        "revealFileInOS",
+        vscode.Uri.file(folderPath)
+      );
+    }
+  }
+}
+
+/**
+ * Ask which rows of the file to export
+ * The question is skipped when the grid is neither searched, filtered,
+ * sorted nor has selected rows, as the whole file is then the only choice.
+ * @param {Object|null} grid - Grid state sent by the webview
+ * @param {number} totalRows - Number of rows in the file
+ * @returns {Promise<string|null>} One of EXPORT_SCOPES, or null if cancelled
+ */
+async function pickExportScope(grid, totalRows) {
+  const selectedCount =
+    grid && grid.selectedRowPositions ? grid.selectedRowPositions.length : 0;
+  const items = [
+    {
+      label: "Whole file",
+      description: `All ${totalRows.toLocaleString()} rows`,
+      scope: EXPORT_SCOPES.FILE,
+    },
+  ];
+  if (hasActiveFilter(grid)) {
+    const conditions = [
+      ...(grid.search ? [`search "${grid.search}"`] : []),
+      ...(grid.filters || []).map(describeColumnFilter),
+    ];
+    items.push({
+      label: "Current filter result",
+      description:
+        conditions.length > 0
+          ? `Rows matching ${conditions.join(" AND ")}, in grid sort order`
+          : "All rows, in grid sort order",
+      scope: EXPORT_SCOPES.FILTERED,
+    });
+  }
+  if (selectedCount > 0) {
+    items.push({
+      label: "Selected rows",
+      description: `${selectedCount.toLocaleString()} row${
+        selectedCount === 1 ? "" : "s"
+      } selected in the grid`,
+      scope: EXPORT_SCOPES.SELECTED,
+    });
+  }
+  if (items.length === 1) {
+    return EXPORT_SCOPES.FILE;
+  }
+
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: "Select the rows to export",
+    title: "Export Scope",
+  });
+  return selected ? selected.scope : null;
+}
+
+/**
+ * Ask which columns to export
+ * Columns are listed in the order shown in the grid, which is also the
+ * order in which they are exported.
+ * @param {Array<string>} columns - Column names in grid order
+ * @returns {Promise<Array<string>|null>} Selected columns, or null if cancelled
+ */
+async function pickExportColumns(columns) {
+  const selected = await vscode.window.showQuickPick(
+    columns.map((column) => ({ label: column, picked: true })),
+    {
+      canPickMany: true,
+      placeHolder:
+        "Select the columns to export (drag column headers in the grid to reorder them)",
+      title: "Export Columns",
+    }
+  );
+  if (!selected) {
+    return null;
+  }
+  if (selected.length === 0) {
+    vscode.window.showWarningMessage("Select at least one column to export");
+    return null;
+  }
+  return selected.map((item) => item.label);
+}
+
+/**
+ * Ask which columns shown as text in the grid to export as that text:
+ * columns with a Qlik number format and columns with dual values
+ * Columns that are not picked are exported as their underlying numbers.
+ * Columns showing text in the grid are picked by default.
+ * @param {Array<string>} displayColumns - Columns shown as text, see getDisplayColumns
+ * @param {Array<string>} columns - Columns to export
+ * @param {Object|null} grid - Grid state sent by the webview
+ * @returns {Promise<Array<string>|null>} Columns to export as text, or null if cancelled
+ */
+async function pickFormattedColumns(displayColumns, columns, grid) {
+  const formatted = displayColumns.filter((field) => columns.includes(field));
+  if (formatted.length === 0) {
+    return [];
+  }
+
+  const gridFormatted =
+    grid && grid.formattedColumns ? grid.formattedColumns : formatted;
+  const selected = await vscode.window.showQuickPick(
+    formatted.map((column) => ({
+      label: column,
+      picked: gridFormatted.includes(column),
+    })),
+    {
+      canPickMany: true,
+      placeHolder:
+        "Select the columns to export as text, the others are exported as numbers",
+      title: "Export Formatted Values",
+    }
+  );
+  return selected ? selected.map((item) => item.label) : null;
+}
+
+/**
+ * Ask for the type of a column and store it as an override for the file
+ * @param {string} filePath - Path to the QVD file
+ * @param {string} fieldName - Field name
+ * @param {Object} qvdReader - QVD reader instance
+ * @param {Object} context - Extension context
+ * @returns {Promise<boolean>} True if the type was changed
+ */
+async function pickFieldType(filePath, fieldName, qvdReader, context) {
+  const { metadata } = await qvdReader.getRandomAccessReader(filePath);
+  const field = metadata.fields.find((item) => item.name === fieldName);
+  if (!field) {
+    throw new Error(`Field not found: ${fieldName}`);
+  }
+  const current = getTypeOverrides(context.workspaceState, filePath)[
+    fieldName
+  ];
+  const automatic = describeResolvedType(resolveFieldType(field));
+
+  const selected = await vscode.window.showQuickPick(
+    [
+      {
+        label: "Automatic",
+        description: automatic || "from values",
+        type: null,
+        picked: !current,
+      },
+      ...OVERRIDE_TYPES.map((type) => ({
+        label: type,
+        description: type === current ? "current" : "",
+        type,
+        picked: type === current,
+      })),
+    ],
+    {
+      placeHolder: `Type used for ${fieldName} in profiling, filters and exports`,
+      title: "Set Column Type",
+    }
+  );
+  if (!selected || selected.type === (current || null)) {
+    return false;
+  }
+  await setTypeOverride(
+    context.workspaceState,
+    filePath,
+    fieldName,
+    selected.type
+  );
+  return true;
+}
+
+/**
+ * Read the distinct values of a field from its symbol table
+ * @param {Object} qvdReader - QVD reader instance
+ * @param {string} filePath - Path to the QVD file
+ * @param {string} fieldName - Field name
+ * @returns {Promise<Object>} Symbols as [text, storage type, number] in symbol index order, with the time taken
+ */
+async function readSymbolTable(qvdReader, filePath, fieldName) {
+  const start = performance.now();
+  const reader = await qvdReader.getRandomAccessReader(filePath);
+  const { values, types, texts } = await reader.getSymbolTable(fieldName);
+  const typeNames = new Map();
+  const symbols = values.map((value, index) => {
+    const type = types[index];
+    if (!typeNames.has(type)) {
+      typeNames.set(type, describeSymbolTypes([type]));
+    }
+    return [
+      texts[index],
+      typeNames.get(type),
+      typeof value === "number" ? value : null,
+    ];
+  });
+  return {
+    field: fieldName,
+    symbols,
+    durationMs: Math.round(performance.now() - start),
+  };
+}
+
+/**
+ * Read the calendar settings used for date fields
+ * A holiday file that cannot be read or parsed is reported and left out, so
+ * profiling still runs with the other settings.
+ * @param {string} filePath - Path to the QVD file, relative holiday files are resolved against its folder
+ * @returns {Promise<Object>} Resolved calendar
+ */
+async function getCalendarSettings(filePath) {
+  const config = vscode.workspace.getConfiguration("ctrl-q-qvd-viewer");
+  const settings = {
+    fiscalYearStartMonth: config.get("calendar.fiscalYearStartMonth", 1),
+    isoWeeks: config.get("calendar.isoWeeks", false),
+    businessDays: config.get("calendar.businessDays", false),
+  };
+  try {
+    return await loadCalendar(
+      { ...settings, holidayFile: config.get("calendar.holidayFile", "") },
+      dirname(filePath)
+    );
+  } catch (error) {
+    logger.error("Failed to load holiday calendar:", error);
+    vscode.window.showWarningMessage(
+      `Holidays are ignored: ${error.message}`
+    );
+    return resolveCalendar(settings);
+  }
+}
+
+/**
+ * Profile fields of a QVD file in the mode chosen in the Profiling tab
+ * Compare mode computes exact and approximate profiles and returns the
+ * approximate results with the comparison.
+ * @param {Object} qvdReader - QVD reader instance
+ * @param {string} filePath - Path to the QVD file
+ * @param {Object} context - Extension context
+ * @param {Object} message - profileFields message with fieldNames, maxUniqueValues, mode and outliers (method and threshold)
+ * @param {Object} tracking - Progress and cancellation callbacks
+ * @param {Function} tracking.onProgress - Called with (percentIncrement, rowsProcessed, totalRows)
+ * @param {Function} tracking.isCancelled - Returns true when profiling should stop
+ * @returns {Promise<Object>} Profiling results
+ */
+async function runProfiling(
+  qvdReader,
+  filePath,
+  context,
+  {
+    fieldNames,
+    maxUniqueValues = 1000,
+    mode = PROFILING_MODES.EXACT,
+    outliers = {},
+  },
+  { onProgress, isCancelled }
+) {
+  const reader = await qvdReader.getRandomAccessReader(filePath);
+  const metadata = applyTypeOverrides(
+    reader.metadata,
+    getTypeOverrides(context.workspaceState, filePath)
+  );
+  // Compare mode runs both profiles, each taking half of the progress bar
+  const share = mode === PROFILING_MODES.COMPARE ? 0.5 : 1;
+  const report = (increment, rowsProcessed, totalRows) =>
+    onProgress(increment * share, rowsProcessed, totalRows);
+  const calendar = await getCalendarSettings(filePath);
+
+  let exact = null;
+  if (mode !== PROFILING_MODES.APPROXIMATE) {
+    exact = await profileQvdFields(reader, fieldNames, {
+      maxUniqueValues,
+      metadata,
+      outliers,
+      calendar,
+      onProgress: report,
+      isCancelled,
+    });
+    if (mode === PROFILING_MODES.EXACT) {
+      return exact;
+    }
+  }
+
+  const source = trackRowSource(
+    await qvdReader.createRowSource(filePath, { fieldNames }),
+    { onProgress: report, isCancelled }
+  );
+  const approximate = await profileSourceApproximate(source, fieldNames, {
+    maxUniqueValues,
+    metadata,
+    outliers,
+    calendar,
+  });
+  if (exact && !exact.error && !approximate.error) {
+    approximate.comparison = compareProfiles(exact, approximate);
+  }
+  return approximate;
+}
+
+/**
+ * Apply the export scope and column selection, showing progress while
+ * the file is searched or sorted
+ * @param {Object} source - Row source with all rows of the file
+ * @param {Object|null} grid - Grid state sent by the webview
+ * @param {string} scope - One of EXPORT_SCOPES
+ * @param {Array<string>} columns - Columns to export in output order
+ * @returns {Promise<Object|null>} Row source to export, or null if cancelled
+ */
+async function scopeRowSource(source, grid, scope, columns) {
+  if (scope !== EXPORT_SCOPES.FILTERED) {
+    return applyExportScope(source, grid, scope, columns);
+  }
+
+  try {
+    return await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Applying filters and sort order",
+        cancellable: true,
+      },
+      (progress, token) =>
+        applyExportScope(source, grid, scope, columns, {
+          onProgress: (increment) => progress.report({ increment }),
+          isCancelled: () => token.isCancellationRequested,
+        })
+    );
+  } catch (error) {
+    if (error.message === "Operation cancelled") {
+      vscode.window.showInformationMessage("Export cancelled");
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read one page of the rows of a QVD file that match a column filter, such
+ * as the outliers of a field
+ * The file is searched once per filter, showing progress; the positions of
+ * the matching rows are kept in the cache so that other pages of the same
+ * filter are read directly.
+ * @param {Object} qvdReader - QVD reader instance
+ * @param {string} filePath - Path to the QVD file
+ * @param {Object} filter - Column filter
+ * @param {number} page - Page number (0-indexed)
+ * @param {number} pageSize - Rows per page
+ * @param {Map<string, Array<number>>} cache - Positions of the matching rows of the last filter, keyed by filter
+ * @returns {Promise<{data: Array, positions: Array<number>, totalRows: number, page: number, pageSize: number, error: string|null}>}
+ */
+async function readFilteredPage(
+  qvdReader,
+  filePath,
+  filter,
+  page,
+  pageSize,
+  cache
+) {
+  try {
+    const key = JSON.stringify(filter);
+    if (!cache.has(key)) {
+      const source = await qvdReader.createRowSource(filePath, {
+        fieldNames: [filter.field],
+      });
+      const matching = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `Finding the rows where ${describeColumnFilter(filter)}`,
+          cancellable: true,
+        },
+        (progress, token) =>
+          findRowPositions(source, createColumnFilterPredicate([filter]), {
+            onProgress: (increment) => progress.report({ increment }),
+            isCancelled: () => token.isCancellationRequested,
+          })
+      );
+      cache.clear();
+      cache.set(key, matching);
+    }
+
+    const matching = cache.get(key);
+    const positions = matching.slice(page * pageSize, (page + 1) * pageSize);
+    return {
+      data: await qvdReader.readRowsAt(filePath, positions, { duals: true }),
+      positions,
+      totalRows: matching.length,
+      page,
+      pageSize,
+      error: null,
+    };
+  } catch (error) {
+    return {
+      data: [],
+      positions: [],
+      totalRows: 0,
+      page,
+      pageSize,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Check the expectations of a QVD file and send the outcome to the webview
+ * The row counts of the current and previous version of the file are kept
+ * in the workspace state, so that rowCountChange can compare them.
+ * @param {object} webviewPanel - The webview panel
+ * @param {string} filePath - The QVD file path
+ * @param {object} qvdReader - The QVD reader instance
+ * @param {object} context - The extension context
+ * @param {boolean} onOpen - True when run automatically as the file is opened
+ * @returns {Promise<void>}
+ */
+async function checkExpectations(
+  webviewPanel,
+  filePath,
+  qvdReader,
+  context,
+  onOpen
+) {
+  const post = (result) =>
+    webviewPanel.webview.postMessage({
+      command: "expectationsResults",
+      fileName: EXPECTATIONS_FILE_NAME,
+      ...result,
+    });
+
+  let expectations;
+  try {
+    expectations = await loadExpectations(filePath);
+  } catch (error) {
+    post({ available: true, error: error.message });
+    return;
+  }
+  if (expectations === null || expectations.length === 0) {
+    post({ available: false });
+    return;
+  }
+
+  const config = vscode.workspace.getConfiguration("ctrl-q-qvd-viewer");
+  if (onOpen && !config.get("checkExpectationsOnOpen", true)) {
+    post({ available: true, pending: true });
+    return;
+  }
+
+  const stateKey = `expectations.rowCountBaseline:${filePath}`;
+  try {
+    const source = await qvdReader.createRowSource(filePath);
+    const reader = await qvdReader.getRandomAccessReader(filePath);
+    const { previousRowCount, baseline } = advanceRowCountBaseline(
+      context.workspaceState.get(stateKey, null),
+      source.metadata.createUtcTime,
+      source.rowCount
+    );
+    const summary = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Checking data expectations",
+        cancellable: true,
+      },
+      (progress, token) =>
+        evaluateExpectations(source, expectations, {
+          reader,
+          previousRowCount,
+          onProgress: (increment) => progress.report({ increment }),
+          isCancelled: () => token.isCancellationRequested,
+        })
+    );
+    await context.workspaceState.update(stateKey, baseline);
+
+    logger.log(
+      `Expectations for ${basename(filePath)}: ${summary.passed} passed, ${
+        summary.failed
+      } failed`
+    );
+    post({ available: true, summary });
+  } catch (error) {
+    if (error.message === "Operation cancelled") {
+      post({ available: true, pending: true });
+      return;
+    }
+    logger.error(`Failed to check expectations for ${filePath}`, error);
+    post({ available: true, error: error.message });
+  }
+}
+
+/**
+ * Open the expectations file of a QVD file in an editor, adding a starter
+ * entry for the QVD file when it has no expectations yet
+ * @param {string} filePath - The QVD file path
+ * @param {object} qvdReader - The QVD reader instance
+ * @returns {Promise<void>}
+ */
+async function editExpectations(filePath, qvdReader) {
+  const expectationsPath = getExpectationsFilePath(filePath);
+  const fileName = basename(filePath);
+  let text = existsSync(expectationsPath)
+    ? readFileSync(expectationsPath, "utf8")
+    : "";
+
+  let hasEntry = false;
+  try {
+    hasEntry = parseExpectations(text, fileName).length > 0;
+  } catch {
+    // Leave an invalid file as it is, so the user can fix it
+    hasEntry = true;
+  }
+  if (!hasEntry) {
+    const reader = await qvdReader.getRandomAccessReader(filePath);
+    const template = createExpectationsTemplate(fileName, reader.metadata);
+    text =
+      text.length > 0 && !text.endsWith("\n")
+        ? `${text}\n${template}`
+        : text + template;
+    writeFileSync(expectationsPath, text, "utf8");
+  }
+
+  const document = await vscode.workspace.openTextDocument(expectationsPath);
+  await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+}
+
+/**
+ * Scan a QVD file for personal data and send its sensitivity to the webview
+ * @param {object} webviewPanel - The webview panel
+ * @param {string} filePath - The QVD file path
+ * @param {object} qvdReader - The QVD reader instance
+ * @param {boolean} onOpen - True when run automatically as the file is opened
+ * @returns {Promise<void>}
+ */
+async function scanPersonalData(webviewPanel, filePath, qvdReader, onOpen) {
+  const post = (result) =>
+    webviewPanel.webview.postMessage({
+      command: "personalDataResults",
+      ...result,
+    });
+
+  const config = vscode.workspace.getConfiguration("ctrl-q-qvd-viewer");
+  if (onOpen && !config.get("scanPersonalDataOnOpen", true)) {
+    post({ pending: true });
+    return;
+  }
+
+  try {
+    const reader = await qvdReader.getRandomAccessReader(filePath);
+    const scan = await scanQvdForPii(reader);
+    logger.log(`Sensitivity of ${basename(filePath)}: ${scan.sensitivity}`);
+    post({
+      sensitivity: scan.sensitivity,
+      description: describePiiScan(scan),
+      fieldsScanned: scan.fieldsScanned,
+    });
+  } catch (error) {
+    logger.error(`Failed to scan ${filePath} for personal data`, error);
+    post({ error: error.message });
+  }
+}
+
+/**
+ * Scan a QVD file for personal data and open the sensitivity report, with
+ * masked sample values, as a Markdown document
+ * @param {string} filePath - The QVD file path
+ * @param {object} qvdReader - The QVD reader instance
+ * @returns {Promise<void>}
+ */
+async function openSensitivityReport(filePath, qvdReader) {
+  const reader = await qvdReader.getRandomAccessReader(filePath);
+  const scan = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Scanning for personal data",
+      cancellable: true,
+    },
+    (progress, token) =>
+      scanQvdForPii(reader, {
+        onProgress: (increment) => progress.report({ increment }),
+        isCancelled: () => token.isCancellationRequested,
+      })
+  );
+
+  const report = buildSensitivityReport([
+    { fileName: basename(filePath), scan },
+  ]);
+  const document = await vscode.workspace.openTextDocument({
+    content: formatPiiReport(report, "markdown"),
+    language: "markdown",
+  });
+  await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+}
+
+/**
+ * Profile all fields of a QVD file and save the profiles as a
+ * self-contained HTML report, together with the header, schema and lineage
+ * @param {string} filePath - The QVD file path
+ * @param {object} qvdReader - The QVD reader instance
+ * @param {object} context - The extension context
+ * @param {string} mode - One of PROFILING_MODES
+ * @param {object} outliers - Outlier method and threshold for numeric fields
+ * @returns {Promise<void>}
+ */
+async function exportProfilingReport(
+  filePath,
+  qvdReader,
+  context,
+  mode,
+  outliers
+) {
+  const fileName = basename(filePath, extname(filePath));
+  const saveUri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(
+      join(dirname(filePath), `${fileName}_profiling_report.html`)
+    ),
+    filters: {
+      "HTML Files": ["html"],
+      "All Files": ["*"],
+    },
+  });
+  if (!saveUri) {
+    // User cancelled
+    return;
+  }
+
+  const reader = await qvdReader.getRandomAccessReader(filePath);
+  const metadata = applyTypeOverrides(
+    reader.metadata,
+    getTypeOverrides(context.workspaceState, filePath)
+  );
+  const fieldNames = metadata.fields.map((field) => field.name);
+  let profile;
+  try {
+    profile = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Profiling ${fieldNames.length} fields for the report`,
+        cancellable: true,
+      },
+      (progress, token) =>
+        runProfiling(
+          qvdReader,
+          filePath,
+          context,
+          { fieldNames, mode, outliers },
+          {
+            onProgress: (increment) => progress.report({ increment }),
+            isCancelled: () => token.isCancellationRequested,
+          }
+        )
+    );
+  } catch (error) {
+    if (error.message === "Operation cancelled") {
+      vscode.window.showInformationMessage("Report export cancelled");
+      return;
+    }
+    throw error;
+  }
+  if (profile.error) {
+    throw new Error(profile.error);
+  }
+
+  const html = getProfilingReportHtml(context.extensionPath, {
+    fileName: basename(filePath),
+    metadata,
+    fieldTypes: metadata.fields.map((field) => resolveFieldType(field)),
+    profile,
+  });
+  writeFileSync(saveUri.fsPath, html, "utf8");
+
+  const action = await vscode.window.showInformationMessage(
+    `Profiling report exported to ${basename(saveUri.fsPath)}`,
+    "Open in Browser",
+    "Open Folder"
+  );
+  if (action === "Open in Browser") {
+    vscode.env.openExternal(saveUri);
+  } else if (action === "Open Folder") {
+    vscode.commands.executeCommand(
+      "revealFileInOS",
+      vscode.Uri.file(dirname(saveUri.fsPath))
+    );
+  }
+}
+
 /**
  * Create and configure the message handler for webview messages
  * @param {object} webviewPanel - The webview panel
@@ -23,6 +840,26 @@ export function setupMessageHandler(
   updateWebviewFn,
   maxRows
 ) {
+  // In-memory SQL database for the Query tab, loaded on first query
+  const queryEngine = new QvdQueryEngine(qvdReader, filePath);
+  webviewPanel.onDidDispose(() => queryEngine.close());
+
+  // The reader is shared by all open files, so drop the symbol tables of
+  // this file once its viewer is closed. Another viewer of the same file
+  // reads them again when it next needs them.
+  webviewPanel.onDidDispose(() => qvdReader.releaseFile(filePath));
+
+  // Check the expectations again whenever their file is saved
+  const saveListener = vscode.workspace.onDidSaveTextDocument((document) => {
+    if (document.uri.fsPath === getExpectationsFilePath(filePath)) {
+      checkExpectations(webviewPanel, filePath, qvdReader, context, false);
+    }
+  });
+  webviewPanel.onDidDispose(() => saveListener.dispose());
+
+  // Positions of the rows matching the row filter of the data grid, if any
+  const filteredRows = new Map();
+
   webviewPanel.webview.onDidReceiveMessage(async (message) => {
     switch (message.command) {
       case "log":
@@ -42,6 +879,7 @@ export function setupMessageHandler(
         }
         break;
       case "refresh":
+        filteredRows.clear();
         await updateWebviewFn(filePath, webviewPanel.webview, maxRows);
         break;
       case "openAbout":
@@ -61,6 +899,51 @@ export function setupMessageHandler(
           : Math.min(currentRows * 2, 100000);
         await updateWebviewFn(filePath, webviewPanel.webview, newMaxRows);
         break;
+      case "loadPage":
+        // Server-side pagination - decode only the rows of the requested
+        // page, with the text of dual values for the display columns. With
+        // a row filter, the page is taken from the rows matching it.
+        const pageResult = message.filter
+          ? await readFilteredPage(
+              qvdReader,
+              filePath,
+              message.filter,
+              message.page,
+              message.pageSize,
+              filteredRows
+            )
+          : await qvdReader.readPage(filePath, message.page, message.pageSize, {
+              duals: true,
+            });
+        if (pageResult.error) {
+          logger.error(
+            `Failed to read page ${message.page} of ${filePath}`,
+            pageResult.error
+          );
+          webviewPanel.webview.postMessage({
+            command: "pageError",
+            requestId: message.requestId,
+            error: pageResult.error,
+          });
+          break;
+        }
+        const pageReader = await qvdReader.getRandomAccessReader(filePath);
+        const pageRows = toGridRows(
+          pageResult.data,
+          await getDisplayColumns(pageReader),
+          pageReader.metadata
+        );
+        webviewPanel.webview.postMessage({
+          command: "pageData",
+          requestId: message.requestId,
+          data: pageRows.data,
+          displayTexts: pageRows.displayTexts,
+          positions: pageResult.positions,
+          page: pageResult.page,
+          pageSize: pageResult.pageSize,
+          totalRows: pageResult.totalRows,
+        });
+        break;
       case "copyToClipboard":
         // Copy text to clipboard using VS Code API
         await vscode.env.clipboard.writeText(message.text);
@@ -68,119 +951,161 @@ export function setupMessageHandler(
       case "exportData":
         // Export data to selected format
         try {
-          const result = await qvdReader.read(filePath, 0); // Read all data
-          if (result.error) {
+          // Rows are streamed from disk in batches while exporting. A QVD
+          // file keeps the number formats and dual texts of the fields.
+          const toQvd = message.format === "qvd";
+          const openSource = async (duals) =>
+            withTypeOverrides(
+              await qvdReader.createRowSource(filePath, { duals }),
+              getTypeOverrides(context.workspaceState, filePath)
+            );
+          let source;
+          let displayColumns;
+          try {
+            source = await openSource(toQvd);
+            displayColumns = await getDisplayColumns(
+              await qvdReader.getRandomAccessReader(filePath)
+            );
+          } catch (error) {
             vscode.window.showErrorMessage(
-              `Failed to read QVD for export: ${result.error}`
+              `Failed to read QVD for export: ${error.message}`
             );
             break;
           }
 
-          let maxRows = 0; // Default: export all rows
-
-          // For Qlik inline script and PostgreSQL, ask for row count
-          if (message.format === "qlik" || message.format === "postgres") {
-            const totalRows = result.data.length;
-            const formatLabel =
-              message.format === "qlik" ? "Qlik Inline Script" : "PostgreSQL";
-            const rowCountInput = await vscode.window.showQuickPick(
-              [
-                { label: "100 rows", value: "100" },
-                { label: "500 rows", value: "500" },
-                { label: "1,000 rows", value: "1000" },
-                { label: "5,000 rows", value: "5000" },
-                { label: "10,000 rows", value: "10000" },
-                {
-                  label: `All rows (${totalRows.toLocaleString()})`,
-                  value: "0",
-                },
-                { label: "Custom...", value: "custom" },
-              ],
-              {
-                placeHolder: "Select number of rows to export",
-                title: `${formatLabel} Export`,
-              }
-            );
-
-            if (!rowCountInput) {
-              // User cancelled
-              break;
-            }
-
-            if (rowCountInput.value === "custom") {
-              // Ask for custom value
-              const customInput = await vscode.window.showInputBox({
-                prompt: "Enter number of rows to export",
-                placeHolder: "e.g., 500",
-                validateInput: (value) => {
-                  const num = parseInt(value, 10);
-                  if (isNaN(num) || num < 1) {
-                    return "Please enter a positive integer";
-                  }
-                  if (num > totalRows) {
-                    return `Value cannot exceed total rows (${totalRows})`;
-                  }
-                  return null;
-                },
-              });
-
-              if (!customInput) {
-                // User cancelled
-                break;
-              }
-
-              maxRows = parseInt(customInput, 10);
-            } else {
-              maxRows = parseInt(rowCountInput.value, 10);
-            }
+          // Narrow the export down to the rows and columns chosen by the
+          // user, based on the state of the data grid
+          const grid = message.grid || null;
+          const scope = await pickExportScope(grid, source.rowCount);
+          if (!scope) {
+            break;
+          }
+          const gridColumns =
+            grid && grid.columns && grid.columns.length > 0
+              ? grid.columns
+              : source.columns;
+          const columns = await pickExportColumns(gridColumns);
+          if (!columns) {
+            break;
           }
+          const formattedColumns = toQvd
+            ? []
+            : await pickFormattedColumns(displayColumns, columns, grid);
+          if (!formattedColumns) {
+            break;
+          }
+          if (formattedColumns.length > 0) {
+            // Dual values carry the text to export
+            source = await openSource(true);
+          }
+          source = await scopeRowSource(source, grid, scope, columns);
+          if (!source) {
+            break;
+          }
+          source = formatRowSource(source, formattedColumns);
 
-          const fileName = basename(filePath, extname(filePath));
-          const workspaceFolder =
-            vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-          const savedPath = await DataExporter.exportData(
-            result.data,
+          await exportRowSource(
+            source,
             message.format,
-            fileName,
-            vscode,
-            workspaceFolder,
-            maxRows
+            basename(filePath, extname(filePath))
           );
-
-          if (savedPath) {
-            const action = await vscode.window.showInformationMessage(
-              `Data exported to ${savedPath}`,
-              "Open Folder"
+        } catch (error) {
+          vscode.window.showErrorMessage(`Export failed: ${error.message}`);
+        }
+        break;
+      case "runQuery":
+        // Run an SQL query against the QVD rows in an in-memory database
+        try {
+          if (!queryEngine.isLoaded()) {
+            // Loading reads the whole file, so show progress the first time
+            await vscode.window.withProgress(
+              {
+                location: vscode.ProgressLocation.Notification,
+                title: "Loading QVD into query database",
+                cancellable: true,
+              },
+              (progress, token) =>
+                queryEngine.load({
+                  wrapSource: (source) =>
+                    trackRowSource(source, {
+                      passes: 2,
+                      onProgress: (increment) => progress.report({ increment }),
+                      isCancelled: () => token.isCancellationRequested,
+                    }),
+                })
             );
+          }
 
-            if (action === "Open Folder") {
-              const folderPath = dirname(savedPath);
-              vscode.commands.executeCommand(
-                "revealFileInOS",
-                vscode.Uri.file(folderPath)
-              );
-            }
+          const queryResult = await queryEngine.runQuery(message.sql);
+          if (queryResult.error) {
+            logger.warn(`Query failed: ${queryResult.error}`);
           }
+          webviewPanel.webview.postMessage({
+            command: "queryResult",
+            ...queryResult,
+          });
+        } catch (error) {
+          logger.error(`Failed to load ${filePath} for querying`, error);
+          webviewPanel.webview.postMessage({
+            command: "queryResult",
+            columns: [],
+            rows: [],
+            truncated: false,
+            durationMs: 0,
+            tables: [],
+            error: error.message,
+          });
+        }
+        break;
+      case "loadSymbols":
+        // List the distinct values of a field, read from its symbol table
+        try {
+          webviewPanel.webview.postMessage({
+            command: "symbolTable",
+            ...(await readSymbolTable(qvdReader, filePath, message.field)),
+          });
+        } catch (error) {
+          logger.error(`Failed to read symbols of ${message.field}`, error);
+          webviewPanel.webview.postMessage({
+            command: "symbolTable",
+            field: message.field,
+            symbols: [],
+            durationMs: 0,
+            error: error.message,
+          });
+        }
+        break;
+      case "exportQueryResults":
+        // Export the full result of a query to selected format
+        try {
+          const source = withTypeOverrides(
+            await queryEngine.createQueryRowSource(message.sql),
+            getTypeOverrides(context.workspaceState, filePath)
+          );
+          await exportRowSource(
+            source,
+            message.format,
+            `${basename(filePath, extname(filePath))}_query`
+          );
         } catch (error) {
           vscode.window.showErrorMessage(`Export failed: ${error.message}`);
         }
         break;
       case "profileFields":
-        // Profile selected fields and return distribution data
+        // Profile selected fields exactly from the symbol counts of the
+        // index table, approximately from sketches of streamed rows, or both
         try {
-          const result = await qvdReader.read(filePath, 0); // Read all data
-          if (result.error) {
-            webviewPanel.webview.postMessage({
-              command: "profilingError",
-              error: `Failed to read QVD: ${result.error}`,
-            });
-            break;
-          }
-
-          const profilingResults = profileFields(
-            result.data,
-            message.fieldNames,
-            message.maxUniqueValues || 1000
+          const profilingResults = await vscode.window.withProgress(
+            {
+              location: vscode.ProgressLocation.Notification,
+              title: "Profiling fields",
+              cancellable: true,
+            },
+            (progress, token) =>
+              runProfiling(qvdReader, filePath, context, message, {
+                onProgress: (increment) => progress.report({ increment }),
+                isCancelled: () => token.isCancellationRequested,
+              })
           );
 
           webviewPanel.webview.postMessage({
@@ -190,10 +1115,147 @@ export function setupMessageHandler(
         } catch (error) {
           webviewPanel.webview.postMessage({
             command: "profilingError",
-            error: `Profiling failed: ${error.message}`,
+            error:
+              error.message === "Operation cancelled"
+                ? "Profiling cancelled"
+                : `Profiling failed: ${error.message}`,
+          });
+        }
+        break;
+      case "profileAllFields":
+        // Profile every field of the file for the dataset overview
+        try {
+          const { metadata } = await qvdReader.getRandomAccessReader(filePath);
+          const fieldNames = metadata.fields.map((field) => field.name);
+          const profilingResults = await vscode.window.withProgress(
+            {
+              location: vscode.ProgressLocation.Notification,
+              title: `Profiling all ${fieldNames.length} fields`,
+              cancellable: true,
+            },
+            (progress, token) =>
+              runProfiling(
+                qvdReader,
+                filePath,
+                context,
+                { ...message, fieldNames },
+                {
+                  onProgress: (increment) => progress.report({ increment }),
+                  isCancelled: () => token.isCancellationRequested,
+                }
+              )
+          );
+
+          webviewPanel.webview.postMessage({
+            command: "profilingOverview",
+            results: profilingResults,
+            overview: profilingResults.error
+              ? []
+              : buildProfileOverview(profilingResults),
+          });
+        } catch (error) {
+          webviewPanel.webview.postMessage({
+            command: "profilingError",
+            error:
+              error.message === "Operation cancelled"
+                ? "Profiling cancelled"
+                : `Profiling failed: ${error.message}`,
           });
         }
         break;
+      case "analyzeRelationships":
+        // Measure the association of every pair of the selected fields
+        try {
+          const reader = await qvdReader.getRandomAccessReader(filePath);
+          const metadata = applyTypeOverrides(
+            reader.metadata,
+            getTypeOverrides(context.workspaceState, filePath)
+          );
+          const relationships = await vscode.window.withProgress(
+            {
+              location: vscode.ProgressLocation.Notification,
+              title: `Analyzing relationships of ${message.fieldNames.length} fields`,
+              cancellable: true,
+            },
+            (progress, token) =>
+              analyzeRelationships(reader, message.fieldNames, {
+                metadata,
+                onProgress: (increment) => progress.report({ increment }),
+                isCancelled: () => token.isCancellationRequested,
+              })
+          );
+
+          webviewPanel.webview.postMessage({
+            command: "relationshipResults",
+            results: relationships,
+          });
+        } catch (error) {
+          webviewPanel.webview.postMessage({
+            command: "profilingError",
+            error:
+              error.message === "Operation cancelled"
+                ? "Relationship analysis cancelled"
+                : `Relationship analysis failed: ${error.message}`,
+          });
+        }
+        break;
+      case "setFieldType":
+        // Choose the type of a column, stored per file in workspace state
+        try {
+          if (
+            await pickFieldType(filePath, message.field, qvdReader, context)
+          ) {
+            await updateWebviewFn(filePath, webviewPanel.webview, maxRows);
+          }
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to set column type: ${error.message}`
+          );
+        }
+        break;
+      case "runExpectations":
+        // Check the data expectations of the file, on open or on demand
+        await checkExpectations(
+          webviewPanel,
+          filePath,
+          qvdReader,
+          context,
+          message.trigger === "open"
+        );
+        break;
+      case "scanPersonalData":
+        // Classify the sensitivity of the file, on open or on demand
+        await scanPersonalData(
+          webviewPanel,
+          filePath,
+          qvdReader,
+          message.trigger === "open"
+        );
+        break;
+      case "openSensitivityReport":
+        try {
+          await openSensitivityReport(filePath, qvdReader);
+        } catch (error) {
+          if (error.message === "Operation cancelled") {
+            vscode.window.showInformationMessage(
+              "Personal data scan cancelled"
+            );
+          } else {
+            vscode.window.showErrorMessage(
+              `Failed to create sensitivity report: ${error.message}`
+            );
+          }
+        }
+        break;
+      case "editExpectations":
+        try {
+          await editExpectations(filePath, qvdReader);
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to open ${EXPECTATIONS_FILE_NAME}: ${error.message}`
+          );
+        }
+        break;
       case "exportProfilingQvs":
         // Export profiling data as QVS script
         try {
@@ -293,6 +1355,98 @@ export function setupMessageHandler(
           );
         }
         break;
+      case "exportProfilingData":
+        // Export profiling results as versioned JSON, Excel or CSV tables
+        try {
+          const formatChoice = await vscode.window.showQuickPick(
+            [
+              {
+                label: "JSON",
+                value: PROFILE_EXPORT_FORMATS.JSON,
+                description: "All results in one versioned document",
+              },
+              {
+                label: "Excel",
+                value: PROFILE_EXPORT_FORMATS.EXCEL,
+                description: "Summary sheet and one sheet per field",
+              },
+              {
+                label: "CSV",
+                value: PROFILE_EXPORT_FORMATS.CSV,
+                description: "Field summary, metric and value tables",
+              },
+            ],
+            {
+              placeHolder: "Select the format of the profile export",
+              title: "Profile Export - Format",
+            }
+          );
+
+          if (!formatChoice) {
+            // User cancelled
+            break;
+          }
+
+          const fileName = basename(filePath, extname(filePath));
+          const extension = PROFILE_EXPORT_EXTENSIONS[formatChoice.value];
+          const saveUri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(
+              join(dirname(filePath), `${fileName}_profile.${extension}`)
+            ),
+            filters: {
+              [`${formatChoice.label} Files`]: [extension],
+              "All Files": ["*"],
+            },
+          });
+
+          if (saveUri) {
+            const reader = await qvdReader.getRandomAccessReader(filePath);
+            const document = buildProfileDocument(message.profilingResults, {
+              fileName: basename(filePath),
+              noOfRecords: reader.metadata.noOfRecords,
+            });
+            const written = await exportProfileDocument(
+              document,
+              formatChoice.value,
+              saveUri.fsPath
+            );
+
+            const action = await vscode.window.showInformationMessage(
+              `Profile exported to ${written
+                .map((path) => basename(path))
+                .join(", ")}`,
+              "Open Folder"
+            );
+
+            if (action === "Open Folder") {
+              vscode.commands.executeCommand(
+                "revealFileInOS",
+                vscode.Uri.file(dirname(saveUri.fsPath))
+              );
+            }
+          }
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to export profile: ${error.message}`
+          );
+        }
+        break;
+      case "exportProfilingReport":
+        // Save a self-contained HTML report of all fields
+        try {
+          await exportProfilingReport(
+            filePath,
+            qvdReader,
+            context,
+            message.mode,
+            message.outliers
+          );
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Failed to export profiling report: ${error.message}`
+          );
+        }
+        break;
       case "openProfilingInWindow":
         // Open profiling results in a new editor window
         try {
@@ -336,6 +1490,9 @@ export function setupMessageHandler(
               } |\n`;
               markdownContent += `| Time Span | ${temporal.range.spanDescription} |\n`;
               markdownContent += `| Format | ${temporal.range.format.formatDescription} |\n`;
+              if (temporal.calendar) {
+                markdownContent += `| Calendar | ${temporal.calendar.description} |\n`;
+              }
 
               // Yearly distribution
               if (
@@ -343,7 +1500,11 @@ export function setupMessageHandler(
                 temporal.distribution.byYear &&
                 temporal.distribution.byYear.length > 0
               ) {
-                markdownContent += `\n### Yearly Distribution\n\n`;
+                markdownContent += `\n### ${
+                  temporal.calendar && temporal.calendar.fiscalYearStartMonth > 1
+                    ? "Fiscal Year"
+                    : "Yearly"
+                } Distribution\n\n`;
                 markdownContent += `| Year | Count |\n`;
                 markdownContent += `|------|-------|\n`;
                 temporal.distribution.byYear.slice(0, 10).forEach((item) => {
@@ -385,6 +1546,34 @@ export function setupMessageHandler(
                 });
               }
 
+              // Week number distribution
+              if (
+                temporal.distribution &&
+                temporal.distribution.byWeekNumber &&
+                temporal.distribution.byWeekNumber.length > 0
+              ) {
+                markdownContent += `\n### Week Number Distribution\n\n`;
+                markdownContent += `| Week | Count |\n`;
+                markdownContent += `|------|-------|\n`;
+                temporal.distribution.byWeekNumber.forEach((item) => {
+                  markdownContent += `| ${
+                    item.period
+                  } | ${item.count.toLocaleString()} |\n`;
+                });
+              }
+
+              // Business days, weekends and holidays
+              if (temporal.distribution && temporal.distribution.byDayType) {
+                markdownContent += `\n### Day Type Distribution\n\n`;
+                markdownContent += `| Day Type | Count |\n`;
+                markdownContent += `|----------|-------|\n`;
+                temporal.distribution.byDayType.forEach((item) => {
+                  markdownContent += `| ${
+                    item.period
+                  } | ${item.count.toLocaleString()} |\n`;
+                });
+              }
+
               // Gap analysis
               if (temporal.gaps) {
                 markdownContent += `\n### Gap Analysis\n\n`;
@@ -394,11 +1583,16 @@ export function setupMessageHandler(
                   temporal.gaps.hasGaps ? "Yes" : "No"
                 } |\n`;
                 markdownContent += `| Gap Count | ${temporal.gaps.gapCount} |\n`;
-                markdownContent += `| Coverage | ${temporal.gaps.coverage.toFixed(
-                  1
-                )}% |\n`;
+                markdownContent += `| Coverage${
+                  temporal.gaps.expectedDays === "business"
+                    ? " (business days)"
+                    : ""
+                } | ${temporal.gaps.coverage.toFixed(1)}% |\n`;
                 if (temporal.gaps.largestGap) {
-                  markdownContent += `| Largest Gap | ${temporal.gaps.largestGap.days} days |\n`;
+                  const { days, missingDays } = temporal.gaps.largestGap;
+                  markdownContent += `| Largest Gap | ${days} days${
+                    missingDays !== undefined ? ` (${missingDays} expected)` : ""
+                  } |\n`;
                 }
               }
 
@@ -414,6 +1608,77 @@ export function setupMessageHandler(
                 markdownContent += `| Description | ${temporal.trends.description} |\n`;
               }
 
+              // Record volume
+              if (temporal.volume && temporal.volume.series.length > 1) {
+                const { anomalies, changePoints } = temporal.volume;
+                markdownContent += `\n### Record Volume\n\n`;
+                markdownContent += `| Metric | Value |\n`;
+                markdownContent += `|--------|-------|\n`;
+                markdownContent += `| Granularity | ${temporal.volume.granularity} |\n`;
+                markdownContent += `| Spikes | ${anomalies.spikes} |\n`;
+                markdownContent += `| Drops | ${anomalies.drops} |\n`;
+                markdownContent += `| Change Points | ${changePoints.length} |\n`;
+                if (temporal.seasonality.weekly) {
+                  markdownContent += `| Weekly Pattern | ${temporal.seasonality.weekly.description} |\n`;
+                }
+                if (temporal.seasonality.yearly) {
+                  markdownContent += `| Yearly Pattern | ${temporal.seasonality.yearly.description} |\n`;
+                }
+                if (changePoints.length > 0) {
+                  markdownContent += `\n`;
+                  changePoints.forEach((change) => {
+                    markdownContent += `- ${change.description}\n`;
+                  });
+                }
+                if (anomalies.count > 0) {
+                  markdownContent += `\n| Period | Records | Baseline | Type |\n`;
+                  markdownContent += `|--------|---------|----------|------|\n`;
+                  anomalies.periods.forEach((item) => {
+                    markdownContent += `| ${
+                      item.period
+                    } | ${item.count.toLocaleString()} | ${Math.round(
+                      item.baseline
+                    ).toLocaleString()} | ${item.type} |\n`;
+                  });
+                  if (anomalies.truncated) {
+                    markdownContent += `\n*Showing the first ${anomalies.periods.length} of ${anomalies.count} anomalies*\n`;
+                  }
+                }
+              }
+
+              // Time of day of timestamps
+              if (temporal.timeOfDay) {
+                const { byHour, midnightPercentage, topTime, patterns } =
+                  temporal.timeOfDay;
+                markdownContent += `\n### Time of Day\n\n`;
+                markdownContent += `| Metric | Value |\n`;
+                markdownContent += `|--------|-------|\n`;
+                markdownContent += `| At Midnight | ${midnightPercentage.toFixed(
+                  1
+                )}% |\n`;
+                if (topTime) {
+                  markdownContent += `| Most Common Time | ${
+                    topTime.time
+                  } (${topTime.percentage.toFixed(1)}%) |\n`;
+                }
+                if (patterns.length > 0) {
+                  markdownContent += `\n`;
+                  patterns.forEach((pattern) => {
+                    markdownContent += `- ⚠️ ${pattern.description}\n`;
+                  });
+                }
+                markdownContent += `\n| Hour | Count |\n`;
+                markdownContent += `|------|-------|\n`;
+                byHour.forEach((count, hour) => {
+                  if (count > 0) {
+                    markdownContent += `| ${String(hour).padStart(
+                      2,
+                      "0"
+                    )}:00 | ${count.toLocaleString()} |\n`;
+                  }
+                });
+              }
+
               // Data quality
               if (temporal.quality) {
                 markdownContent += `\n### Data Quality\n\n`;
@@ -492,6 +1757,29 @@ export function setupMessageHandler(
                   3
                 )} |\n`;
               }
+
+              const { outliers } = stats;
+              markdownContent += `\n### Outliers\n\n`;
+              markdownContent += `| Metric | Value |\n`;
+              markdownContent += `|--------|-------|\n`;
+              markdownContent += `| Method | ${describeOutlierMethod(
+                outliers
+              )} |\n`;
+              markdownContent += `| Lower bound | ${outliers.lowerBound.toFixed(
+                2
+              )} |\n`;
+              markdownContent += `| Upper bound | ${outliers.upperBound.toFixed(
+                2
+              )} |\n`;
+              markdownContent += `| Outliers | ${outliers.count.toLocaleString()} (${outliers.percentage.toFixed(
+                2
+              )}%) |\n`;
+              markdownContent += `| Below / above | ${outliers.lowCount.toLocaleString()} / ${outliers.highCount.toLocaleString()} |\n`;
+              if (outliers.examples.length > 0) {
+                markdownContent += `| Examples | ${outliers.examples.join(
+                  ", "
+                )} |\n`;
+              }
             }
 
             if (fieldResult.truncated) {
@@ -87,11 +87,11 @@ export const metricHelpContent = {
     link: "https://en.wikipedia.org/wiki/Missing_data",
   },
   temporalGapCount: {
-    text: "Number of gaps detected in the date sequence. A gap is a period longer than expected between consecutive dates (using 1.5x multiplier for weekends/holidays).",
+    text: "Number of gaps detected in the date sequence. A gap is a period longer than expected between consecutive dates (using 1.5x multiplier for weekends/holidays). In business-day mode or with a holiday file, a gap is a run of missing business days, so weekends and holidays are not gaps.",
     link: "https://en.wikipedia.org/wiki/Missing_data",
   },
   temporalCoverage: {
-    text: "Percentage of expected dates that are present in the dataset (based on unique dates). 100% means no dates are missing in the sequence. Lower values indicate gaps.",
+    text: "Percentage of expected dates that are present in the dataset (based on unique dates). 100% means no dates are missing in the sequence. Lower values indicate gaps. In business-day mode, only Monday to Friday are expected; holidays from the holiday file are never expected.",
     link: "https://en.wikipedia.org/wiki/Data_quality#Completeness",
   },
   temporalLargestGap: {
@@ -106,8 +106,36 @@ export const metricHelpContent = {
     text: "Human-readable explanation of the detected trend pattern. Helps understand if your data is growing, declining, or remaining stable over time.",
     link: "https://en.wikipedia.org/wiki/Trend_analysis",
   },
+  temporalVolumeAnomalies: {
+    text: "Periods whose record count is far from a rolling baseline: the median of the previous periods (the same weekday when there is a weekly pattern). Spikes and drops are periods more than 3.5 robust standard deviations above or below it, e.g. a day a load ran twice or did not run.",
+    link: "https://en.wikipedia.org/wiki/Anomaly_detection",
+  },
+  temporalChangePoints: {
+    text: "Dates where the average record volume changes for good, e.g. loads that stopped or a new source that doubled the volume. Found by splitting the series where the averages before and after differ the most.",
+    link: "https://en.wikipedia.org/wiki/Change_detection",
+  },
+  temporalSeasonality: {
+    text: "Recurring patterns in the record volume: by weekday (needs four weeks of data) and by month (needs two years). Each index compares a weekday or month with the average one, so 2.0× means twice the usual volume.",
+    link: "https://en.wikipedia.org/wiki/Seasonality",
+  },
+  temporalCalendarHeatmap: {
+    text: "Records per day over the last year of data, one column per week and one row per weekday. Darker cells hold more records; grey cells have none, so missed loads and quiet weekends stand out.",
+    link: "https://en.wikipedia.org/wiki/Heat_map",
+  },
+  temporalMidnight: {
+    text: "Percentage of timestamps at exactly 00:00:00. Close to 100% means the field probably holds dates stored as timestamps; a large share among other times suggests dates mixed with timestamps.",
+    link: "https://en.wikipedia.org/wiki/Timestamp",
+  },
+  temporalTopTime: {
+    text: "The time of day (HH:MM:SS) shared by the most records. When it holds half of the records or more, the timestamps probably record when a batch load ran rather than when the events happened.",
+    link: "https://en.wikipedia.org/wiki/Batch_processing",
+  },
+  temporalWeekdayHour: {
+    text: "Records per weekday and hour of day. Shows working hours, nightly jobs and weekend activity at a glance. Times are shown as local times.",
+    link: "https://en.wikipedia.org/wiki/Heat_map",
+  },
   temporalYearlyDistribution: {
-    text: "Count of records per year. Helps identify yearly patterns, growth trends, and data collection consistency across years.",
+    text: "Count of records per year. Helps identify yearly patterns, growth trends, and data collection consistency across years. When a fiscal year start month is set (Calendar settings), records are counted per fiscal year, named after the calendar year it ends in (e.g. FY2025 runs from July 2024 to June 2025).",
     link: "https://en.wikipedia.org/wiki/Time_series",
   },
   temporalMonthlyDistribution: {
@@ -115,9 +143,21 @@ export const metricHelpContent = {
     link: "https://en.wikipedia.org/wiki/Seasonality",
   },
   temporalDayOfWeekDistribution: {
-    text: "Count of records per day of week (Sunday through Saturday). Helps identify business patterns, such as weekday vs. weekend activity.",
+    text: "Count of records per day of week (Sunday through Saturday, or Monday through Sunday with ISO weeks). Helps identify business patterns, such as weekday vs. weekend activity.",
     link: "https://en.wikipedia.org/wiki/Time_series",
   },
+  temporalWeekNumberDistribution: {
+    text: "Count of records per week number, added up across years. With ISO weeks, weeks start on Monday and week 1 holds the first Thursday of the year, so early January can fall in week 52 or 53. Otherwise weeks start on Sunday and week 1 holds January 1.",
+    link: "https://en.wikipedia.org/wiki/ISO_week_date",
+  },
+  temporalDayTypeDistribution: {
+    text: "Count of records on business days (Monday to Friday), weekends and holidays. Shown when business-day mode or a holiday file is set in the Calendar settings. Holidays on a weekend count as holidays.",
+    link: "https://en.wikipedia.org/wiki/Business_day",
+  },
+  temporalCalendar: {
+    text: "Calendar settings used for this field: the fiscal year start month, the week numbering, whether only business days are expected to have records and the number of holidays from the holiday file. Change them in the ctrl-q-qvd-viewer.calendar settings.",
+    link: "https://en.wikipedia.org/wiki/Fiscal_year",
+  },
   temporalQuarterlyDistribution: {
     text: "Count of records per quarter (Q1-Q4 by year). Useful for business analysis and identifying quarterly patterns.",
     link: "https://en.wikipedia.org/wiki/Fiscal_quarter",
@@ -0,0 +1,551 @@
+import { getNonce } from "../assetLoader.mjs";
+import { escapeHtml } from "./errorTemplate.mjs";
+
+/**
+ * Format a cell value, marking NULL values
+ * @param {*} value - Field value
+ * @returns {string} HTML for the value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return `<span class="null">NULL</span>`;
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Format multi-line header text
+ * @param {string} text - Header value
+ * @returns {string} HTML with line breaks
+ */
+function formatMultiline(text) {
+  if (!text) {
+    return `<span class="empty">(empty)</span>`;
+  }
+  return escapeHtml(text).replace(/\n/g, "<br>");
+}
+
+/**
+ * Generate the header changes section
+ * @param {object} diff - Comparison result
+ * @returns {string} HTML
+ */
+function getHeaderChangesHtml(diff) {
+  if (diff.headerChanges.length === 0) {
+    return `<p class="empty">No header changes.</p>`;
+  }
+
+  return `<table class="diff-table">
+        <thead>
+            <tr><th>Property</th><th>${escapeHtml(diff.fileA.fileName)}</th><th>${escapeHtml(diff.fileB.fileName)}</th></tr>
+        </thead>
+        <tbody>
+            ${diff.headerChanges
+              .map(
+                (change) => `<tr>
+                <td><strong>${escapeHtml(change.label)}</strong></td>
+                <td class="before">${formatMultiline(change.before)}</td>
+                <td class="after">${formatMultiline(change.after)}</td>
+            </tr>`
+              )
+              .join("\n            ")}
+        </tbody>
+    </table>`;
+}
+
+/**
+ * Generate the schema changes section
+ * @param {object} schema - Schema comparison result
+ * @returns {string} HTML
+ */
+function getSchemaChangesHtml(schema) {
+  const parts = [];
+
+  const fieldList = (fields, className) =>
+    fields
+      .map(
+        (field) => `<tr class="${className}">
+                <td><strong>${escapeHtml(field.name)}</strong></td>
+                <td>${escapeHtml(field.storageType)}</td>
+                <td>${escapeHtml(field.numberFormat)}</td>
+                <td class="number">${field.noOfSymbols.toLocaleString()}</td>
+            </tr>`
+      )
+      .join("\n            ");
+
+  if (schema.added.length > 0 || schema.removed.length > 0) {
+    parts.push(`<table class="diff-table">
+        <thead>
+            <tr><th>Field</th><th>Storage Type</th><th>Number Format</th><th>Distinct Values</th></tr>
+        </thead>
+        <tbody>
+            ${fieldList(schema.added, "added")}
+            ${fieldList(schema.removed, "removed")}
+        </tbody>
+    </table>`);
+  }
+
+  if (schema.changed.length > 0) {
+    const rows = schema.changed.flatMap((field) =>
+      field.changes.map(
+        (change, index) => `<tr>
+                ${
+                  index === 0
+                    ? `<td rowspan="${field.changes.length}"><strong>${escapeHtml(
+                        field.name
+                      )}</strong></td>`
+                    : ""
+                }
+                <td>${escapeHtml(change.property)}</td>
+                <td class="before">${formatMultiline(change.before)}</td>
+                <td class="after">${formatMultiline(change.after)}</td>
+            </tr>`
+      )
+    );
+    parts.push(`<table class="diff-table">
+        <thead>
+            <tr><th>Changed Field</th><th>Property</th><th>Before</th><th>After</th></tr>
+        </thead>
+        <tbody>
+            ${rows.join("\n            ")}
+        </tbody>
+    </table>`);
+  }
+
+  const summary = `<p class="summary">
+        <span class="badge added">+${schema.added.length} added</span>
+        <span class="badge removed">−${schema.removed.length} removed</span>
+        <span class="badge changed">~${schema.changed.length} changed</span>
+        <span class="badge">${schema.unchangedCount} unchanged</span>
+    </p>`;
+
+  return summary + parts.join("\n");
+}
+
+/**
+ * Generate the cells of one side of a row in the side-by-side view
+ * @param {Array<string>} columns - Columns of this side
+ * @param {object|null} row - Row, or null when the row does not exist on this side
+ * @param {Set<string>} changedFields - Fields to highlight
+ * @returns {string} HTML table cells
+ */
+function getSideCells(columns, row, changedFields) {
+  return columns
+    .map((column, index) => {
+      const classes = [];
+      if (index === 0) {
+        classes.push("side-start");
+      }
+      if (!row) {
+        classes.push("placeholder");
+        return `<td class="${classes.join(" ")}"></td>`;
+      }
+      if (changedFields.has(column)) {
+        classes.push("changed-cell");
+      }
+      return `<td class="${classes.join(" ")}">${formatValue(row[column])}</td>`;
+    })
+    .join("");
+}
+
+/**
+ * Generate the row differences section
+ * @param {object} diff - Comparison result
+ * @param {Array<{name: string, unique: boolean}>} keyFields - Fields that can be chosen as key
+ * @returns {string} HTML
+ */
+function getRowChangesHtml(diff, keyFields) {
+  const rows = diff.rows;
+  const selectedKey = rows ? rows.keyField : "";
+  const keySelector = keyFields.length
+    ? `<div class="key-selector">
+        <label for="key-field">Primary key field:</label>
+        <select id="key-field">
+            ${keyFields
+              .map(
+                (field) =>
+                  `<option value="${escapeHtml(field.name)}"${
+                    field.name === selectedKey ? " selected" : ""
+                  }>${escapeHtml(field.name)}${
+                    field.unique ? " (unique)" : ""
+                  }</option>`
+              )
+              .join("\n            ")}
+        </select>
+        <button id="compare-rows-btn">Compare Rows</button>
+    </div>`
+    : `<p class="empty">The files have no fields in common, so rows cannot be compared.</p>`;
+
+  if (!rows) {
+    return `${keySelector}
+    <p class="empty">Rows have not been compared. Choose the field identifying a row in both files.</p>`;
+  }
+
+  const { summary } = rows;
+  const warnings = [];
+  if (summary.duplicateKeysA > 0 || summary.duplicateKeysB > 0) {
+    warnings.push(
+      `"${escapeHtml(rows.keyField)}" is not unique: ${summary.duplicateKeysA.toLocaleString()} rows in ${escapeHtml(
+        diff.fileA.fileName
+      )} and ${summary.duplicateKeysB.toLocaleString()} rows in ${escapeHtml(
+        diff.fileB.fileName
+      )} repeat an earlier key and were skipped.`
+    );
+  }
+  if (summary.nullKeysA > 0 || summary.nullKeysB > 0) {
+    warnings.push(
+      `${(summary.nullKeysA + summary.nullKeysB).toLocaleString()} rows with a NULL key were skipped.`
+    );
+  }
+  if (rows.truncated) {
+    warnings.push(
+      `Only the first ${Math.max(
+        rows.inserted.length,
+        rows.deleted.length,
+        rows.changed.length
+      ).toLocaleString()} rows of each kind of difference are shown.`
+    );
+  }
+
+  const changedRows = rows.changed.map((change) => {
+    const changedFields = new Set(change.changedFields);
+    return `<tr class="row-changed">
+                <td class="kind">~</td>
+                ${getSideCells(rows.columnsA, change.before, changedFields)}
+                ${getSideCells(rows.columnsB, change.after, changedFields)}
+            </tr>`;
+  });
+  const deletedRows = rows.deleted.map(
+    (row) => `<tr class="row-deleted">
+                <td class="kind">−</td>
+                ${getSideCells(rows.columnsA, row, new Set())}
+                ${getSideCells(rows.columnsB, null, new Set())}
+            </tr>`
+  );
+  const insertedRows = rows.inserted.map(
+    (row) => `<tr class="row-inserted">
+                <td class="kind">+</td>
+                ${getSideCells(rows.columnsA, null, new Set())}
+                ${getSideCells(rows.columnsB, row, new Set())}
+            </tr>`
+  );
+  const allRows = [...changedRows, ...deletedRows, ...insertedRows];
+
+  const headerCells = (columns) =>
+    columns
+      .map(
+        (column, index) =>
+          `<th class="${index === 0 ? "side-start" : ""}">${escapeHtml(column)}</th>`
+      )
+      .join("");
+
+  const rowTable =
+    allRows.length === 0
+      ? `<p class="empty">No row differences.</p>`
+      : `<div class="row-diff-container">
+        <table class="diff-table row-diff">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th class="side-start" colspan="${rows.columnsA.length}">${escapeHtml(diff.fileA.fileName)}</th>
+                    <th class="side-start" colspan="${rows.columnsB.length}">${escapeHtml(diff.fileB.fileName)}</th>
+                </tr>
+                <tr>
+                    <th></th>
+                    ${headerCells(rows.columnsA)}
+                    ${headerCells(rows.columnsB)}
+                </tr>
+            </thead>
+            <tbody>
+                ${allRows.join("\n                ")}
+            </tbody>
+        </table>
+    </div>`;
+
+  return `${keySelector}
+    <p class="summary">
+        <button class="badge filter active" data-filter="all">All</button>
+        <button class="badge filter changed" data-filter="row-changed">~${summary.changed.toLocaleString()} changed</button>
+        <button class="badge filter removed" data-filter="row-deleted">−${summary.deleted.toLocaleString()} deleted</button>
+        <button class="badge filter added" data-filter="row-inserted">+${summary.inserted.toLocaleString()} inserted</button>
+        <span class="badge">${summary.unchanged.toLocaleString()} unchanged</span>
+    </p>
+    ${warnings.map((warning) => `<p class="warning">⚠️ ${warning}</p>`).join("\n    ")}
+    ${rowTable}`;
+}
+
+/**
+ * Generate HTML for the QVD comparison webview
+ * @param {object} webview - The webview object
+ * @param {object} diff - Comparison result from compareQvdFiles()
+ * @param {Array<{name: string, unique: boolean}>} keyFields - Fields that can be chosen as key
+ * @returns {string} HTML content for the comparison
+ */
+export function getDiffHtml(webview, diff, keyFields) {
+  const nonce = getNonce();
+
+  const fileSummary = (file) => `<div class="file">
+            <div class="file-name">${escapeHtml(file.fileName)}</div>
+            <div class="file-details">${file.noOfRecords.toLocaleString()} rows, ${
+    file.noOfFields
+  } fields${file.createUtcTime ? `, created ${escapeHtml(file.createUtcTime)}` : ""}</div>
+        </div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${
+      webview.cspSource
+    } 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <title>QVD Comparison</title>
+    <style nonce="${nonce}">
+        body {
+            font-family: var(--vscode-font-family);
+            color: var(--vscode-foreground);
+            background-color: var(--vscode-editor-background);
+            padding: 20px;
+            margin: 0;
+        }
+
+        h1 {
+            font-size: 1.5em;
+            margin: 0 0 15px 0;
+        }
+
+        h2 {
+            font-size: 1.2em;
+            margin: 25px 0 10px 0;
+            border-bottom: 1px solid var(--vscode-panel-border);
+            padding-bottom: 5px;
+        }
+
+        .files {
+            display: flex;
+            align-items: center;
+            gap: 15px;
+            flex-wrap: wrap;
+        }
+
+        .file {
+            padding: 10px 15px;
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+        }
+
+        .file-name {
+            font-weight: bold;
+        }
+
+        .file-details {
+            color: var(--vscode-descriptionForeground);
+            font-size: 0.9em;
+        }
+
+        .arrow {
+            font-size: 1.5em;
+            color: var(--vscode-descriptionForeground);
+        }
+
+        .diff-table {
+            border-collapse: collapse;
+            margin: 10px 0;
+            font-size: 0.9em;
+        }
+
+        .diff-table th,
+        .diff-table td {
+            text-align: left;
+            padding: 5px 10px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+            vertical-align: top;
+        }
+
+        .diff-table th {
+            background-color: var(--vscode-editor-inactiveSelectionBackground);
+        }
+
+        .diff-table td.number {
+            text-align: right;
+        }
+
+        .before,
+        .removed td,
+        .row-deleted td:not(.placeholder) {
+            background-color: var(--vscode-diffEditor-removedTextBackground, rgba(255, 0, 0, 0.15));
+        }
+
+        .after,
+        .added td,
+        .row-inserted td:not(.placeholder) {
+            background-color: var(--vscode-diffEditor-insertedTextBackground, rgba(0, 255, 0, 0.15));
+        }
+
+        .row-diff-container {
+            overflow: auto;
+            max-height: 70vh;
+        }
+
+        .row-diff td {
+            white-space: nowrap;
+        }
+
+        .row-diff .side-start {
+            border-left: 2px solid var(--vscode-panel-border);
+        }
+
+        .row-diff .kind {
+            font-weight: bold;
+            text-align: center;
+        }
+
+        .row-diff .changed-cell {
+            background-color: var(--vscode-diffEditor-insertedTextBackground, rgba(0, 255, 0, 0.15));
+            font-weight: bold;
+        }
+
+        .row-diff tr.row-changed td:not(.changed-cell) {
+            color: var(--vscode-descriptionForeground);
+        }
+
+        .row-diff .placeholder {
+            background: repeating-linear-gradient(
+                45deg,
+                transparent,
+                transparent 4px,
+                var(--vscode-panel-border) 4px,
+                var(--vscode-panel-border) 5px
+            );
+        }
+
+        .null,
+        .empty {
+            color: var(--vscode-descriptionForeground);
+            font-style: italic;
+        }
+
+        .summary {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+        }
+
+        .badge {
+            padding: 3px 10px;
+            border-radius: 10px;
+            border: 1px solid var(--vscode-panel-border);
+            font-size: 0.9em;
+            background: none;
+            color: var(--vscode-foreground);
+            font-family: var(--vscode-font-family);
+        }
+
+        .badge.added {
+            border-color: var(--vscode-gitDecoration-addedResourceForeground, green);
+        }
+
+        .badge.removed {
+            border-color: var(--vscode-gitDecoration-deletedResourceForeground, red);
+        }
+
+        .badge.changed {
+            border-color: var(--vscode-gitDecoration-modifiedResourceForeground, orange);
+        }
+
+        .badge.filter {
+            cursor: pointer;
+        }
+
+        .badge.filter.active {
+            background-color: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+        }
+
+        .key-selector {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin: 10px 0;
+        }
+
+        .key-selector select {
+            background-color: var(--vscode-dropdown-background);
+            color: var(--vscode-dropdown-foreground);
+            border: 1px solid var(--vscode-dropdown-border);
+            padding: 3px 6px;
+        }
+
+        .key-selector button {
+            background-color: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+            border: none;
+            padding: 5px 12px;
+            cursor: pointer;
+            border-radius: 2px;
+        }
+
+        .key-selector button:hover {
+            background-color: var(--vscode-button-hoverBackground);
+        }
+
+        .warning {
+            color: var(--vscode-editorWarning-foreground);
+        }
+    </style>
+</head>
+<body>
+    <h1>🔀 QVD Comparison</h1>
+    <div class="files">
+        ${fileSummary(diff.fileA)}
+        <div class="arrow">→</div>
+        ${fileSummary(diff.fileB)}
+    </div>
+
+    <h2>Header Changes</h2>
+    ${getHeaderChangesHtml(diff)}
+
+    <h2>Schema Changes</h2>
+    ${getSchemaChangesHtml(diff.schema)}
+
+    <h2>Row Differences</h2>
+    ${getRowChangesHtml(diff, keyFields)}
+
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+
+        const compareButton = document.getElementById('compare-rows-btn');
+        if (compareButton) {
+            compareButton.addEventListener('click', () => {
+                compareButton.disabled = true;
+                compareButton.textContent = 'Comparing...';
+                vscode.postMessage({
+                    command: 'compareRows',
+                    keyField: document.getElementById('key-field').value
+                });
+            });
+        }
+
+        // Show only one kind of row difference
+        document.querySelectorAll('.badge.filter').forEach((button) => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.badge.filter').forEach((b) => b.classList.remove('active'));
+                button.classList.add('active');
+                const filter = button.getAttribute('data-filter');
+                document.querySelectorAll('.row-diff tbody tr').forEach((row) => {
+                    row.style.display = filter === 'all' || row.classList.contains(filter) ? '' : 'none';
+                });
+            });
+        });
+
+        window.addEventListener('message', (event) => {
+            const message = event.data;
+            if (message.command === 'compareRowsDone' && compareButton) {
+                compareButton.disabled = false;
+                compareButton.textContent = 'Compare Rows';
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
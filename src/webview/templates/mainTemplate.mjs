@@ -6,8 +6,15 @@ import {
   getChartJs,
 } from "../assetLoader.mjs";
 import { escapeHtml } from "./errorTemplate.mjs";
+import { createFilterFunctions } from "../../qvdGridFilter.mjs";
 import DataExporter from "../../exporters/index.mjs";
 import { metricHelpContent } from "../qualityMetricHelp.mjs";
+import { DEFAULT_OUTLIER_THRESHOLDS } from "../../qvdStatistics.mjs";
+import {
+  buildLineageRows,
+  buildMetadataRows,
+  buildSchemaRows,
+} from "../headerData.mjs";
 
 /**
  * Generate HTML for webview with tabbed interface and Tabulator
@@ -19,7 +26,17 @@ import { metricHelpContent } from "../qualityMetricHelp.mjs";
  * @returns {string} HTML content for the main webview
  */
 export function getHtmlForWebview(result, webview, context, options = {}) {
-  const { metadata, data, totalRows, dataError, fileSize } = result;
+  const {
+    metadata,
+    data,
+    totalRows,
+    dataError,
+    fileSize,
+    columnFilters,
+    fieldTypes,
+    displayColumns,
+    displayTexts,
+  } = result;
   const embedData = options.embedData !== false; // Default to true for backwards compatibility
   const hasMoreRows = data.length < totalRows;
   const nonce = getNonce();
@@ -38,74 +55,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
     )
   );
 
-  // Prepare schema data for schema tab
-  const schemaData =
-    metadata && metadata.fields
-      ? metadata.fields.map((field) => ({
-          name: field.name,
-          type: field.type || "",
-          extent: field.extent || "",
-          noOfSymbols: field.noOfSymbols || 0,
-          offset: field.offset || 0,
-          length: field.length || 0,
-          bitOffset: field.bitOffset || 0,
-          bitWidth: field.bitWidth || 0,
-          bias: field.bias || 0,
-          tags:
-            field.tags && field.tags.length > 0 ? field.tags.join(", ") : "",
-          comment: field.comment || "",
-        }))
-      : [];
-
-  // Prepare metadata as key-value pairs for metadata tab
-  const metadataKV = metadata
-    ? [
-        { key: "QV Build No", value: metadata.qvBuildNo || "" },
-        { key: "Creator Document", value: metadata.creatorDoc || "" },
-        { key: "Created (UTC)", value: metadata.createUtcTime || "" },
-        {
-          key: "Source Create (UTC)",
-          value: metadata.sourceCreateUtcTime || "",
-        },
-        {
-          key: "Source File Time (UTC)",
-          value: metadata.sourceFileUtcTime || "",
-        },
-        { key: "Source File Size", value: metadata.sourceFileSize || "" },
-        { key: "Stale Time (UTC)", value: metadata.staleUtcTime || "" },
-        { key: "Table Name", value: metadata.tableName || "" },
-        { key: "Table Creator", value: metadata.tableCreator || "" },
-        { key: "Compression", value: metadata.compression || "" },
-        { key: "Record Byte Size", value: metadata.recordByteSize || "" },
-        { key: "Total Records", value: totalRows.toString() },
-        { key: "Offset", value: metadata.offset.toString() },
-        { key: "Length", value: metadata.length.toString() },
-        { key: "Comment", value: metadata.comment || "" },
-        { key: "Encryption Info", value: metadata.encryptionInfo || "" },
-        { key: "Table Tags", value: metadata.tableTags || "" },
-        { key: "Profiling Data", value: metadata.profilingData || "" },
-      ]
-    : [];
-
-  // Prepare lineage data for lineage tab
-  const lineageData = [];
-  if (metadata && metadata.lineage) {
-    const lineageArray = Array.isArray(metadata.lineage)
-      ? metadata.lineage
-      : metadata.lineage.LineageInfo
-      ? Array.isArray(metadata.lineage.LineageInfo)
-        ? metadata.lineage.LineageInfo
-        : [metadata.lineage.LineageInfo]
-      : [];
-
-    lineageArray.forEach((item, index) => {
-      lineageData.push({
-        index: index + 1,
-        discriminator: item.Discriminator || item.discriminator || "",
-        statement: item.Statement || item.statement || "",
-      });
-    });
-  }
+  // Prepare schema, metadata and lineage data for their tabs
+  const schemaData = buildSchemaRows(metadata, fieldTypes);
+  const metadataKV = buildMetadataRows(metadata, totalRows);
+  const lineageData = buildLineageRows(metadata);
 
   // Generate export menu items dynamically
   const exportFormats = DataExporter.getExportFormats();
@@ -351,6 +304,34 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             cursor: not-allowed;
         }
         
+        /* Column header filters */
+        .range-filter {
+            display: flex;
+            gap: 2px;
+        }
+        
+        .range-filter select,
+        .range-filter input {
+            min-width: 0;
+            padding: 2px;
+            background-color: var(--vscode-input-background);
+            color: var(--vscode-input-foreground);
+            border: 1px solid var(--vscode-input-border, transparent);
+            font-size: 0.9em;
+        }
+        
+        .range-filter select {
+            flex: 0 0 auto;
+        }
+        
+        .range-filter input {
+            flex: 1 1 0;
+        }
+        
+        .tabulator .tabulator-header-filter input.invalid-filter {
+            outline: 1px solid var(--vscode-inputValidation-errorBorder);
+        }
+        
         /* Table container */
         .table-wrapper {
             flex: 1;
@@ -436,6 +417,12 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             color: var(--vscode-list-hoverForeground, var(--vscode-foreground)) !important;
         }
         
+        .tabulator-row.tabulator-selected,
+        .tabulator-row.tabulator-selected:hover {
+            background-color: var(--vscode-list-activeSelectionBackground) !important;
+            color: var(--vscode-list-activeSelectionForeground, var(--vscode-foreground)) !important;
+        }
+        
         .tabulator-cell {
             border-right: 1px solid var(--vscode-widget-border, var(--vscode-panel-border));
             padding: 6px 8px;
@@ -614,6 +601,11 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             margin-bottom: 15px;
         }
         
+        .profiling-header-buttons {
+            display: flex;
+            gap: 8px;
+        }
+        
         .profiling-header h2 {
             font-size: 1.1em;
             margin: 0;
@@ -766,6 +758,111 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             gap: 10px;
         }
         
+        .profiling-mode {
+            background-color: var(--vscode-dropdown-background);
+            color: var(--vscode-dropdown-foreground);
+            border: 1px solid var(--vscode-dropdown-border);
+            padding: 4px;
+        }
+        
+        .outlier-threshold {
+            width: 60px;
+            background-color: var(--vscode-input-background);
+            color: var(--vscode-input-foreground);
+            border: 1px solid var(--vscode-input-border, var(--vscode-dropdown-border));
+            padding: 4px;
+        }
+        
+        .outlier-examples {
+            margin-top: 8px;
+            font-size: 0.9em;
+            color: var(--vscode-descriptionForeground);
+        }
+        
+        .outlier-rows-btn {
+            margin-top: 10px;
+        }
+        
+        .volume-chart-container {
+            margin-bottom: 15px;
+        }
+        
+        .volume-events {
+            margin: 8px 0 0 0;
+            padding-left: 20px;
+            font-size: 0.9em;
+        }
+        
+        .volume-events .spike {
+            color: var(--vscode-errorForeground);
+        }
+        
+        .volume-events .drop {
+            color: var(--vscode-editorWarning-foreground);
+        }
+        
+        .approximate-notice {
+            margin-bottom: 15px;
+            font-size: 0.9em;
+        }
+        
+        .profile-comparison {
+            margin-bottom: 20px;
+        }
+        
+        .profile-comparison .outside-bounds {
+            color: var(--vscode-errorForeground);
+        }
+        
+        .profiling-overview {
+            margin-bottom: 20px;
+        }
+        
+        .profiling-overview .tabulator-row {
+            cursor: pointer;
+        }
+        
+        .relationships-header {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 10px;
+        }
+        
+        .relationships-header h4 {
+            margin: 0;
+        }
+        
+        .relationships-heatmap {
+            position: relative;
+            height: 400px;
+        }
+        
+        .relationship-detail {
+            margin-top: 15px;
+        }
+        
+        .relationships-scatter {
+            position: relative;
+            height: 320px;
+        }
+        
+        .quality-dot.green {
+            color: #10b981;
+        }
+        
+        .quality-dot.yellow {
+            color: #f59e0b;
+        }
+        
+        .quality-dot.red {
+            color: #ef4444;
+        }
+        
+        .sparkline rect {
+            fill: var(--vscode-charts-blue, #3794ff);
+        }
+        
         .profiling-status {
             background-color: var(--vscode-textBlockQuote-background);
             border-left: 4px solid var(--vscode-textBlockQuote-border);
@@ -778,6 +875,120 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             flex-shrink: 0;
         }
         
+        /* Data expectations */
+        .expectations-section {
+            margin-bottom: 20px;
+        }
+        
+        .expectations-summary {
+            margin: 8px 0;
+            color: var(--vscode-descriptionForeground);
+        }
+        
+        .expectations-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        
+        .expectations-table th,
+        .expectations-table td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+            vertical-align: top;
+        }
+        
+        .expectation-status {
+            white-space: nowrap;
+        }
+        
+        .expectation-status.failed,
+        .expectation-status.error {
+            color: var(--vscode-errorForeground);
+        }
+        
+        .expectation-samples {
+            margin-top: 6px;
+            overflow-x: auto;
+        }
+        
+        .expectation-samples table {
+            border-collapse: collapse;
+            font-size: 0.9em;
+        }
+        
+        .expectation-samples th,
+        .expectation-samples td {
+            padding: 2px 8px;
+            border: 1px solid var(--vscode-panel-border);
+            white-space: nowrap;
+        }
+        
+        .expectation-samples .failing-value {
+            color: var(--vscode-errorForeground);
+            font-weight: bold;
+        }
+        
+        /* Query tab */
+        .query-editor {
+            width: 100%;
+            min-height: 90px;
+            box-sizing: border-box;
+            resize: vertical;
+            padding: 8px 10px;
+            background-color: var(--vscode-input-background);
+            color: var(--vscode-input-foreground);
+            border: 1px solid var(--vscode-input-border);
+            border-radius: 2px;
+            font-family: var(--vscode-editor-font-family, monospace);
+            font-size: var(--vscode-editor-font-size, 13px);
+        }
+        
+        .query-editor:focus {
+            outline: 1px solid var(--vscode-focusBorder);
+        }
+        
+        .query-toolbar {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin: 8px 0 12px 0;
+        }
+        
+        .query-toolbar .export-dropdown {
+            margin-left: auto;
+        }
+        
+        .query-status {
+            color: var(--vscode-descriptionForeground);
+            font-size: 0.85em;
+        }
+        
+        .query-status.error {
+            color: var(--vscode-errorForeground);
+        }
+        
+        .symbols-field-select {
+            background-color: var(--vscode-dropdown-background);
+            color: var(--vscode-dropdown-foreground);
+            border: 1px solid var(--vscode-dropdown-border);
+            padding: 5px 6px;
+            font-size: 0.9em;
+        }
+        
+        .symbols-link {
+            background: none;
+            border: none;
+            padding: 0 4px;
+            cursor: pointer;
+            color: var(--vscode-textLink-foreground);
+            font-size: 0.85em;
+        }
+        
+        .symbols-link:hover {
+            text-decoration: underline;
+        }
+        
         .field-profiling-card {
             background-color: var(--vscode-editor-background);
             border: 1px solid var(--vscode-panel-border);
@@ -1211,18 +1422,29 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         ${exportMenuItems}
                     </div>
                 </div>
+                <button class="header-button" id="sensitivity-report-btn" title="Scan all fields for personal data and open a report with masked samples">🔒 Sensitivity Report</button>
                 <button class="header-button" id="about-btn">ℹ️ About</button>
                 <button class="header-button" id="settings-btn">⚙️ Settings</button>
             </div>
         </div>
         
+        <div class="info-banner" id="pii-banner" style="display: none;" title="Sensitivity of the personal data in the file: high for identity numbers, payment cards and bank accounts, low for contact details, addresses and other personal data">
+            <div id="pii-banner-text"></div>
+            <div>
+                <button class="load-button" id="pii-report-btn">📄 View Report</button>
+                <button class="load-button" id="pii-dismiss-btn" title="Hide">✕</button>
+            </div>
+        </div>
+        
         <div class="tab-container">
             <div class="tabs">
                 <button class="tab-button active" data-tab="data">📋 Data</button>
                 <button class="tab-button" data-tab="schema">🔍 Schema</button>
+                <button class="tab-button" data-tab="symbols">🔤 Symbols</button>
                 <button class="tab-button" data-tab="metadata">ℹ️ File Metadata</button>
                 <button class="tab-button" data-tab="lineage">🔗 Lineage</button>
                 <button class="tab-button" data-tab="profiling">📊 Profiling</button>
+                <button class="tab-button" data-tab="query">🧮 Query</button>
             </div>
             
             <!-- Data Tab -->
@@ -1231,13 +1453,13 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                   hasMoreRows
                     ? `
                 <div class="info-banner">
-                    <div>
+                    <div id="rows-info-text">
                         📊 Showing ${data.length.toLocaleString()} of ${totalRows.toLocaleString()} rows 
                         (${((data.length / totalRows) * 100).toFixed(
                           1
                         )}% of file loaded)
                     </div>
-                    <div>
+                    <div id="rows-info-buttons">
                         <button class="load-button" id="loadMoreBtn">
                             Load More (next ${Math.min(
                               data.length,
@@ -1249,6 +1471,9 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                               totalRows - data.length
                             ).toLocaleString()} rows)
                         </button>
+                        <button class="load-button" id="browsePagesBtn" title="Read one page at a time directly from the QVD file">
+                            📄 Browse All Rows Page by Page
+                        </button>
                     </div>
                 </div>
                 `
@@ -1263,6 +1488,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 `
                     : ""
                 }
+                <div class="info-banner" id="filter-banner" style="display: none;">
+                    <div id="filter-banner-text"></div>
+                    <button class="load-button" id="clear-filters-btn">✕ Clear Filters</button>
+                </div>
                 <div class="search-container">
                     <input type="text" class="search-input" id="data-search" placeholder="🔍 Search in data..." />
                     <button class="clear-search-btn" id="clear-data-search">✕ Clear</button>
@@ -1283,6 +1512,38 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 </div>
             </div>
             
+            <!-- Symbols Tab -->
+            <div id="symbols-tab" class="tab-content">
+                <div class="search-container">
+                    <select id="symbols-field" class="symbols-field-select">
+                        ${
+                          metadata && metadata.fields
+                            ? metadata.fields
+                                .map(
+                                  (field) =>
+                                    `<option value="${escapeHtml(
+                                      field.name
+                                    )}">${escapeHtml(field.name)} (${
+                                      field.noOfSymbols
+                                    })</option>`
+                                )
+                                .join("\n")
+                            : ""
+                        }
+                    </select>
+                    <input type="text" class="search-input" id="symbols-search" placeholder="🔍 Search in values..." />
+                    <button class="clear-search-btn" id="clear-symbols-search">✕ Clear</button>
+                </div>
+                <div class="query-toolbar">
+                    <span id="symbols-status" class="query-status">
+                        The distinct values of a field, read from its symbol table without reading any rows.
+                    </span>
+                </div>
+                <div class="table-wrapper">
+                    <div id="symbols-table"></div>
+                </div>
+            </div>
+            
             <!-- Metadata Tab -->
             <div id="metadata-tab" class="tab-content">
                 <div class="search-container">
@@ -1342,23 +1603,29 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         </div>
                     </div>
                     
+                    <div class="expectations-section">
+                        <div class="profiling-header">
+                            <h2>✅ Data Expectations</h2>
+                            <div class="profiling-buttons">
+                                <button class="header-button" id="run-expectations-btn">▶️ Check Expectations</button>
+                                <button class="header-button" id="edit-expectations-btn">📝 Edit Expectations</button>
+                            </div>
+                        </div>
+                        <div id="expectations-results" class="expectations-results">
+                            <div class="expectations-summary">Looking for expectations...</div>
+                        </div>
+                    </div>
+                    
                     <div class="profiling-header">
                         <h2>📊 Field Value Distribution Analysis</h2>
-                        <button class="header-button" id="export-qvs-btn" style="display: none;">💾 Export to QVS Script</button>
-                    </div>
-                    ${
-                      totalRows > 100000
-                        ? `
-                    <div class="info-banner warning-banner">
-                        ⚠️ <strong>Large File Warning:</strong> This QVD contains ${totalRows.toLocaleString()} rows. 
-                        Profiling will load all data into memory, which may take some time and use significant resources.
-                        <br/>Click "Run Profiling" below to proceed.
+                        <div class="profiling-header-buttons">
+                            <button class="header-button" id="export-qvs-btn" style="display: none;">💾 Export to QVS Script</button>
+                            <button class="header-button" id="export-profile-btn" style="display: none;" title="Export the profiling results as JSON, Excel or CSV">📦 Export Profile</button>
+                            <button class="header-button" id="export-report-btn" title="Profile all fields and save an HTML report that opens offline in any browser">📄 Export HTML Report</button>
+                        </div>
                     </div>
-                    `
-                        : ""
-                    }
                     <div class="field-selector-container">
-                        <label for="field-checkboxes">Select fields to profile (1-3):</label>
+                        <label for="field-checkboxes">Select fields to profile:</label>
                         <div id="field-checkboxes" class="field-checkboxes">
                             ${
                               metadata && metadata.fields
@@ -1382,35 +1649,81 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                                                   field.noOfSymbols
                                                 } unique values)</span>
                                             </label>
+                                            <button class="symbols-link" data-field="${escapeHtml(
+                                              field.name
+                                            )}" title="List the distinct values">🔤 Symbols</button>
                                         </div>`
                                     )
                                     .join("\n")
                                 : ""
                             }
                         </div>
-                        ${
-                          data.length < totalRows
-                            ? `
                         <div class="info-banner" style="margin-top: 12px;">
-                            ℹ️ <strong>Data Loaded:</strong> Profiling will analyze ${data.length.toLocaleString()} of ${totalRows.toLocaleString()} total rows (limited for performance).
-                            ${
-                              totalRows <= 100000
-                                ? `<button class="load-button" onclick="vscode.postMessage({command: 'loadMore', loadAll: true})">📥 Load All Rows</button> for more accurate profiling.`
-                                : `This limit is configurable in <button class="load-button" onclick="vscode.postMessage({command: 'openSettings'})">⚙️ Settings</button>.`
-                            }
+                            ℹ️ Profiling counts the values of all ${totalRows.toLocaleString()} rows from the QVD index table, without loading the rows into memory.
                         </div>
-                        `
-                            : ""
-                        }
                         <div class="profiling-buttons">
+                            <select id="profiling-mode" class="profiling-mode" title="Approximate profiles stream the rows through bounded-memory sketches">
+                                <option value="exact">Exact (all rows)</option>
+                                <option value="approximate">Approximate (streaming sketches)</option>
+                                <option value="compare">Compare exact and approximate</option>
+                            </select>
+                            <select id="outlier-method" class="profiling-mode" title="How outliers of numeric fields are detected">
+                                <option value="iqr">Outliers: IQR fences</option>
+                                <option value="zScore">Outliers: z-score</option>
+                                <option value="mad">Outliers: MAD</option>
+                            </select>
+                            <input id="outlier-threshold" class="outlier-threshold" type="number" min="0" step="0.1" value="${
+                              DEFAULT_OUTLIER_THRESHOLDS.iqr
+                            }" title="Multiple of the IQR beyond the quartiles, or the z-score or modified z-score above which values are outliers">
                             <button class="header-button" id="run-profiling-btn">▶️ Run Profiling</button>
+                            <button class="header-button" id="profile-all-fields-btn">📋 Profile All Fields</button>
+                            <button class="header-button" id="relationships-btn" title="Correlation and association between the selected fields">🔗 Relationships</button>
+                            <button class="header-button" id="select-all-fields-btn">☑️ Select All</button>
                             <button class="header-button" id="clear-profiling-btn">✕ Clear Results</button>
                         </div>
                     </div>
                 </div>
                 <div id="profiling-status" class="profiling-status" style="display: none;"></div>
+                <div id="profiling-overview" class="statistics-card profiling-overview" style="display: none;">
+                    <h4>📋 Dataset Overview</h4>
+                    <div id="profiling-overview-table"></div>
+                </div>
+                <div id="relationships" class="statistics-card relationships" style="display: none;">
+                    <div class="relationships-header">
+                        <h4>🔗 Relationships</h4>
+                        <select id="relationship-measure" class="profiling-mode" title="Correlation shown for pairs of numeric fields">
+                            <option value="pearson">Pearson (linear)</option>
+                            <option value="spearman">Spearman (rank)</option>
+                        </select>
+                    </div>
+                    <div id="relationships-notes"></div>
+                    <div class="relationships-heatmap">
+                        <canvas id="relationships-heatmap"></canvas>
+                    </div>
+                    <div id="relationship-detail" class="relationship-detail"></div>
+                </div>
                 <div id="profiling-results" class="profiling-results"></div>
             </div>
+            
+            <!-- Query Tab -->
+            <div id="query-tab" class="tab-content">
+                <textarea id="query-editor" class="query-editor" spellcheck="false" placeholder="SELECT * FROM data LIMIT 100">SELECT * FROM data LIMIT 100</textarea>
+                <div class="query-toolbar">
+                    <button class="header-button" id="run-query-btn">▶️ Run Query</button>
+                    <span id="query-status" class="query-status">
+                        Query all rows of the file with SQL (SQLite dialect). The table is available as <code>data</code> and by its QVD table name. Press Ctrl+Enter to run.
+                    </span>
+                    <div class="export-dropdown">
+                        <button class="header-button" id="query-export-btn" disabled>📤 Export Results ▼</button>
+                        <div class="export-dropdown-content" id="query-export-dropdown">
+                            ${exportMenuItems}
+                        </div>
+                    </div>
+                </div>
+                <div class="table-wrapper">
+                    <div id="query-table"></div>
+                </div>
+            </div>
         </div>
     </div>
     
@@ -1457,15 +1770,39 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
         const metadataData = ${JSON.stringify(metadataKV)};
         const lineageData = ${JSON.stringify(lineageData)};
         
+        // Header filter type of each field: number, date, list or text
+        const columnFilters = ${JSON.stringify(columnFilters || [])};
+        
         // Available field names for profiling
         const availableFields = ${JSON.stringify(
           metadata && metadata.fields ? metadata.fields.map((f) => f.name) : []
         )};
         
         let currentContextCell = null;
-        let dataTable, schemaTable, metadataTable, lineageTable;
+        let dataTable, schemaTable, metadataTable, lineageTable, queryTable, symbolsTable, overviewTable;
+        
+        // Symbols tab state: the field whose symbol table is shown
+        let symbolsField = null;
+        
+        // Query tab state: the query being run and the query whose results
+        // are shown, which is the one exported
+        let pendingQuery = null;
+        let lastQuery = null;
+        
+        // Server-side pagination state
+        let serverSidePaging = false;
+        // Column filter applied by the extension to all rows of the file,
+        // such as the outliers of a field, and the number of rows matching it
+        let rowFilter = null;
+        let rowFilterMatches = 0;
+        let pageRequestCounter = 0;
+        const pendingPageRequests = new Map();
         let profilingCharts = [];
         let currentProfilingResults = null;
+        let overviewResults = null;
+        let relationshipResults = null;
+        let relationshipChart = null;
+        let relationshipDetailChart = null;
         
         // Flag to track if we're waiting for initial data
         let waitingForInitialData = ${!embedData};
@@ -1474,7 +1811,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
         window.addEventListener('DOMContentLoaded', function() {
             ${
               embedData
-                ? "initializeTables();"
+                ? `attachRowInfo(tableData, ${JSON.stringify(
+                    displayTexts || null
+                  )}, 0);
+            initializeTables();`
                 : "// Tables will be initialized after receiving data via postMessage"
             }
             setupEventListeners();
@@ -1506,6 +1846,25 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
             }
             
+            const symbolsSearch = document.getElementById('symbols-search');
+            if (symbolsSearch) {
+                symbolsSearch.addEventListener('keyup', function() {
+                    filterSymbolsTable(this.value);
+                });
+            }
+            
+            const symbolsFieldSelect = document.getElementById('symbols-field');
+            if (symbolsFieldSelect) {
+                symbolsFieldSelect.addEventListener('change', loadSymbols);
+            }
+            
+            document.querySelectorAll('.symbols-link').forEach(link => {
+                link.addEventListener('click', function(e) {
+                    e.preventDefault();
+                    showSymbols(this.getAttribute('data-field'));
+                });
+            });
+            
             const metadataSearch = document.getElementById('metadata-search');
             if (metadataSearch) {
                 metadataSearch.addEventListener('keyup', function() {
@@ -1520,6 +1879,11 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
             }
             
+            const clearFiltersBtn = document.getElementById('clear-filters-btn');
+            if (clearFiltersBtn) {
+                clearFiltersBtn.addEventListener('click', clearAllDataFilters);
+            }
+            
             // Clear search buttons
             const clearDataSearch = document.getElementById('clear-data-search');
             if (clearDataSearch) {
@@ -1543,6 +1907,17 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
             }
             
+            const clearSymbolsSearch = document.getElementById('clear-symbols-search');
+            if (clearSymbolsSearch) {
+                clearSymbolsSearch.addEventListener('click', function() {
+                    const searchInput = document.getElementById('symbols-search');
+                    if (searchInput) {
+                        searchInput.value = '';
+                        filterSymbolsTable('');
+                    }
+                });
+            }
+            
             const clearMetadataSearch = document.getElementById('clear-metadata-search');
             if (clearMetadataSearch) {
                 clearMetadataSearch.addEventListener('click', function() {
@@ -1576,6 +1951,21 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 settingsBtn.addEventListener('click', openSettings);
             }
             
+            // Sensitivity report, from the header or the personal data banner
+            ['sensitivity-report-btn', 'pii-report-btn'].forEach(id => {
+                const btn = document.getElementById(id);
+                if (btn) {
+                    btn.addEventListener('click', openSensitivityReport);
+                }
+            });
+            
+            const piiDismissBtn = document.getElementById('pii-dismiss-btn');
+            if (piiDismissBtn) {
+                piiDismissBtn.addEventListener('click', () => {
+                    document.getElementById('pii-banner').style.display = 'none';
+                });
+            }
+            
             // Export button and dropdown
             const exportBtn = document.getElementById('export-btn');
             const exportDropdown = document.getElementById('export-dropdown');
@@ -1593,7 +1983,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
                 
                 // Handle export format selection
-                const exportItems = document.querySelectorAll('.export-dropdown-item');
+                const exportItems = exportDropdown.querySelectorAll('.export-dropdown-item');
                 exportItems.forEach(item => {
                     item.addEventListener('click', function() {
                         const format = this.getAttribute('data-format');
@@ -1603,6 +1993,45 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
             }
             
+            // Query tab
+            const runQueryBtn = document.getElementById('run-query-btn');
+            if (runQueryBtn) {
+                runQueryBtn.addEventListener('click', runQuery);
+            }
+            
+            const queryEditor = document.getElementById('query-editor');
+            if (queryEditor) {
+                queryEditor.addEventListener('keydown', function(e) {
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                        e.preventDefault();
+                        runQuery();
+                    }
+                });
+            }
+            
+            const queryExportBtn = document.getElementById('query-export-btn');
+            const queryExportDropdown = document.getElementById('query-export-dropdown');
+            if (queryExportBtn && queryExportDropdown) {
+                queryExportBtn.addEventListener('click', function(e) {
+                    e.stopPropagation();
+                    queryExportDropdown.classList.toggle('show');
+                });
+                
+                document.addEventListener('click', function(e) {
+                    if (!e.target.closest('.export-dropdown')) {
+                        queryExportDropdown.classList.remove('show');
+                    }
+                });
+                
+                queryExportDropdown.querySelectorAll('.export-dropdown-item').forEach(item => {
+                    item.addEventListener('click', function() {
+                        const format = this.getAttribute('data-format');
+                        queryExportDropdown.classList.remove('show');
+                        exportQueryResults(format);
+                    });
+                });
+            }
+            
             // Load more buttons
             const loadMoreBtn = document.getElementById('loadMoreBtn');
             if (loadMoreBtn) {
@@ -1614,6 +2043,11 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 loadAllBtn.addEventListener('click', loadAllRows);
             }
             
+            const browsePagesBtn = document.getElementById('browsePagesBtn');
+            if (browsePagesBtn) {
+                browsePagesBtn.addEventListener('click', enableServerSidePaging);
+            }
+            
             // Context menu
             const copyCellBtn = document.getElementById('copy-cell-btn');
             if (copyCellBtn) {
@@ -1636,21 +2070,69 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 runProfilingBtn.addEventListener('click', runProfiling);
             }
             
-            const clearProfilingBtn = document.getElementById('clear-profiling-btn');
-            if (clearProfilingBtn) {
-                clearProfilingBtn.addEventListener('click', clearProfiling);
+            const profileAllFieldsBtn = document.getElementById('profile-all-fields-btn');
+            if (profileAllFieldsBtn) {
+                profileAllFieldsBtn.addEventListener('click', profileAllFields);
             }
             
-            const exportQvsBtn = document.getElementById('export-qvs-btn');
-            if (exportQvsBtn) {
-                exportQvsBtn.addEventListener('click', exportProfilingQvs);
+            const relationshipsBtn = document.getElementById('relationships-btn');
+            if (relationshipsBtn) {
+                relationshipsBtn.addEventListener('click', analyzeRelationships);
             }
             
-            // Add checkbox validation for profiling fields
-            const fieldCheckboxes = document.querySelectorAll('input[name="field-checkbox"]');
-            fieldCheckboxes.forEach(checkbox => {
-                checkbox.addEventListener('change', validateFieldSelection);
-            });
+            // Each outlier method starts from its usual threshold
+            const outlierMethod = document.getElementById('outlier-method');
+            if (outlierMethod) {
+                outlierMethod.addEventListener('change', function() {
+                    document.getElementById('outlier-threshold').value = OUTLIER_THRESHOLDS[outlierMethod.value];
+                });
+            }
+            
+            const relationshipMeasure = document.getElementById('relationship-measure');
+            if (relationshipMeasure) {
+                relationshipMeasure.addEventListener('change', function() {
+                    if (relationshipResults) {
+                        renderRelationshipHeatmap();
+                    }
+                });
+            }
+            
+            const selectAllFieldsBtn = document.getElementById('select-all-fields-btn');
+            if (selectAllFieldsBtn) {
+                selectAllFieldsBtn.addEventListener('click', selectAllProfilingFields);
+            }
+            
+            const clearProfilingBtn = document.getElementById('clear-profiling-btn');
+            if (clearProfilingBtn) {
+                clearProfilingBtn.addEventListener('click', clearProfiling);
+            }
+            
+            const exportQvsBtn = document.getElementById('export-qvs-btn');
+            if (exportQvsBtn) {
+                exportQvsBtn.addEventListener('click', exportProfilingQvs);
+            }
+            
+            const exportProfileBtn = document.getElementById('export-profile-btn');
+            if (exportProfileBtn) {
+                exportProfileBtn.addEventListener('click', exportProfilingData);
+            }
+            
+            const exportReportBtn = document.getElementById('export-report-btn');
+            if (exportReportBtn) {
+                exportReportBtn.addEventListener('click', exportProfilingReport);
+            }
+            
+            const runExpectationsBtn = document.getElementById('run-expectations-btn');
+            if (runExpectationsBtn) {
+                runExpectationsBtn.addEventListener('click', () => runExpectations('manual'));
+            }
+            
+            const editExpectationsBtn = document.getElementById('edit-expectations-btn');
+            if (editExpectationsBtn) {
+                editExpectationsBtn.addEventListener('click', () => {
+                    vscode.postMessage({ command: 'editExpectations' });
+                });
+            }
             
             // Close open window dropdowns when clicking outside
             document.addEventListener('click', (e) => {
@@ -1674,6 +2156,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         
                         // Update global variables with received data
                         if (message.data) {
+                            attachRowInfo(message.data, message.displayTexts, 0);
                             // Clear the placeholder and set real data
                             tableData.length = 0;
                             tableData.push(...message.data);
@@ -1695,9 +2178,27 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                             waitingForInitialData = false;
                             initializeTables();
                             logger.log('Tables initialized with postMessage data');
+                            
+                            // The extension is listening for messages once
+                            // the initial data has been sent
+                            runExpectations('open');
+                            vscode.postMessage({ command: 'scanPersonalData', trigger: 'open' });
                         }
                         break;
                         
+                    case 'pageData':
+                    case 'pageError':
+                        resolvePageRequest(message);
+                        break;
+                        
+                    case 'queryResult':
+                        showQueryResult(message);
+                        break;
+                        
+                    case 'symbolTable':
+                        showSymbolTable(message);
+                        break;
+                        
                     default:
                         logger.log('Unknown message command:', message.command);
                 }
@@ -1903,12 +2404,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             try {
                 // Initialize Data Table
                 if (tableData.length > 0) {
-                    const columns = Object.keys(tableData[0]).map(key => ({
-                        title: key,
-                        field: key,
-                        headerSort: true,
-                        headerFilter: false
-                    }));
+                    const columns = Object.keys(tableData[0]).map(key => createDataColumn(key, true));
                     
                     logger.log('Creating data table with', columns.length, 'columns');
                     
@@ -1921,7 +2417,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         paginationSizeSelector: [25, 50, 100, 250, 500],
                         paginationCounter: "rows",
                         movableColumns: true,
-                        resizableColumns: true
+                        resizableColumns: true,
+                        // Selected rows can be exported on their own
+                        selectable: true,
+                        selectableRangeMode: "click"
                     });
                     
                     logger.log('Data table created successfully');
@@ -1931,6 +2430,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         e.preventDefault();
                         showContextMenu(e, cell);
                     });
+                    
+                    dataTable.on("dataFiltered", function(filters, rows){
+                        updateFilterBanner(rows.length);
+                    });
                 }
             } catch (error) {
                 logger.error('Error initializing data table:', error);
@@ -1941,6 +2444,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 const schemaColumns = [
                     { title: "Name", field: "name", headerSort: true },
                     { title: "Type", field: "type", headerSort: true },
+                    { title: "Resolved Type", field: "resolvedType", headerSort: true },
                     { title: "Extent", field: "extent", headerSort: true },
                     { title: "No. of Symbols", field: "noOfSymbols", headerSort: true },
                     { title: "Offset", field: "offset", headerSort: true },
@@ -2035,7 +2539,14 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 if (tabName === 'schema' && schemaTable) schemaTable.redraw();
                 if (tabName === 'metadata' && metadataTable) metadataTable.redraw();
                 if (tabName === 'lineage' && lineageTable) lineageTable.redraw();
+                if (tabName === 'query' && queryTable) queryTable.redraw();
+                if (tabName === 'symbols' && symbolsTable) symbolsTable.redraw();
             }, 10);
+            
+            // The symbols of the selected field are read on first visit
+            if (tabName === 'symbols' && symbolsField === null) {
+                loadSymbols();
+            }
         }
         
         // Filter functions
@@ -2044,10 +2555,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 if (searchText) {
                     // Use custom filter function for OR logic across all columns
                     dataTable.setFilter(function(data) {
-                        const search = searchText.toLowerCase();
-                        return Object.values(data).some(value => 
-                            String(value).toLowerCase().includes(search)
-                        );
+                        return matchesSearch(Object.values(data), searchText);
                     });
                 } else {
                     dataTable.clearFilter();
@@ -2055,6 +2563,262 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             }
         }
         
+        // The search and column header filters match rows with the functions
+        // that filter all rows of the file when exporting, from qvdGridFilter.mjs
+        const {
+            toFilterDate,
+            matchesColumnFilter,
+            describeColumnFilter,
+            matchesSearch
+        } = (${createFilterFunctions.toString()})();
+        
+        // Column header filters
+        function getColumnFilterType(field) {
+            const definition = columnFilters.find(filter => filter.field === field);
+            return definition ? definition.type : 'text';
+        }
+        
+        // Columns whose values are shown as text: the text of dual values,
+        // or numbers formatted with the field's Qlik number format. The
+        // columns toggled to show the underlying numbers are kept apart.
+        const displayColumns = ${JSON.stringify(displayColumns || [])};
+        const rawNumberColumns = new Set();
+        
+        // The extension formats the values with qvdNumberFormat.mjs and sends
+        // their text next to the rows, as the rows themselves hold the
+        // numbers that are filtered and sorted. The position of each row in
+        // the file is kept too, so selected rows can be exported from the file.
+        // Rows matching a row filter come with their positions, the others
+        // are consecutive from the first row.
+        const displayTextsByRow = new WeakMap();
+        const rowPositions = new WeakMap();
+        
+        function attachRowInfo(rows, displayTexts, firstRow, positions) {
+            rows.forEach((row, index) => {
+                rowPositions.set(row, positions ? positions[index] : firstRow + index);
+                if (displayTexts && displayTexts[index]) {
+                    displayTextsByRow.set(row, displayTexts[index]);
+                }
+            });
+        }
+        
+        // Cells of display columns show the text sent by the extension, or
+        // the underlying number once toggled from the column header menu
+        function formattedCellFormatter(cell) {
+            const field = cell.getField();
+            const value = cell.getValue();
+            const texts = displayTextsByRow.get(cell.getRow().getData());
+            const displayText = texts ? texts[displayColumns.indexOf(field)] : null;
+            const text = rawNumberColumns.has(field) || displayText === null || displayText === undefined
+                ? value
+                : displayText;
+            return document.createTextNode(text === null || text === undefined ? '' : String(text));
+        }
+        
+        function toggleColumnFormat(column) {
+            const field = column.getField();
+            if (rawNumberColumns.has(field)) {
+                rawNumberColumns.delete(field);
+            } else {
+                rawNumberColumns.add(field);
+            }
+            column.getTable().getRows().forEach(row => row.reformat());
+        }
+        
+        function createDataColumn(field, headerSort) {
+            const type = getColumnFilterType(field);
+            const column = {
+                title: field,
+                field: field,
+                headerSort: headerSort,
+                headerFilterFunc: function(headerValue, rowValue) {
+                    return matchesColumnFilter(toColumnFilter(field, headerValue), rowValue);
+                },
+                headerFilterEmptyCheck: isEmptyFilterValue
+            };
+            
+            if (type === 'number' || type === 'date') {
+                column.headerFilter = rangeFilterEditor;
+                column.headerFilterParams = { inputType: type };
+            } else if (type === 'list') {
+                const definition = columnFilters.find(filter => filter.field === field);
+                column.headerFilter = 'list';
+                column.headerFilterParams = {
+                    values: definition.values,
+                    multiselect: true,
+                    clearable: true,
+                    sort: 'asc'
+                };
+            } else {
+                column.headerFilter = 'input';
+                column.headerFilterPlaceholder = 'contains… or /regex/';
+            }
+            
+            column.headerMenu = [];
+            if (displayColumns.includes(field)) {
+                column.formatter = formattedCellFormatter;
+                column.headerMenu.push({
+                    label: column => rawNumberColumns.has(column.getField())
+                        ? 'Show text'
+                        : 'Show underlying number',
+                    action: (e, column) => toggleColumnFormat(column)
+                });
+            }
+            column.headerMenu.push({
+                label: 'Show distinct values',
+                action: (e, column) => showSymbols(column.getField())
+            });
+            // The extension asks for the type and reloads the viewer
+            column.headerMenu.push({
+                label: 'Set column type…',
+                action: (e, column) => vscode.postMessage({
+                    command: 'setFieldType',
+                    field: column.getField()
+                })
+            });
+            return column;
+        }
+        
+        function isEmptyFilterValue(value) {
+            return value === null || value === undefined || value === '' ||
+                (Array.isArray(value) && value.length === 0);
+        }
+        
+        function toColumnFilter(field, headerValue) {
+            const type = getColumnFilterType(field);
+            if (type === 'list') {
+                return { field: field, type: type, values: headerValue.map(String) };
+            }
+            if (type === 'text') {
+                return { field: field, type: type, value: String(headerValue) };
+            }
+            return {
+                field: field,
+                type: type,
+                op: headerValue.op,
+                value: headerValue.value,
+                value2: headerValue.value2
+            };
+        }
+        
+        // Header filter with an operator and one or two values, using a
+        // number input or date picker
+        function rangeFilterEditor(cell, onRendered, success, cancel, editorParams) {
+            const container = document.createElement('div');
+            container.className = 'range-filter';
+            
+            const operator = document.createElement('select');
+            [['gt', '>'], ['lt', '<'], ['eq', '='], ['between', 'between'], ['outside', 'outside']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                operator.appendChild(option);
+            });
+            
+            const from = document.createElement('input');
+            const to = document.createElement('input');
+            [from, to].forEach(input => {
+                input.type = editorParams.inputType;
+                if (editorParams.inputType === 'number') {
+                    input.step = 'any';
+                }
+            });
+            from.placeholder = 'from';
+            to.placeholder = 'to';
+            to.style.display = 'none';
+            
+            const parse = (input) => {
+                if (input.value === '') {
+                    return null;
+                }
+                return editorParams.inputType === 'number' ? Number(input.value) : input.value;
+            };
+            const update = () => {
+                // Between and outside take a range of two values
+                const range = operator.value === 'between' || operator.value === 'outside';
+                to.style.display = range ? '' : 'none';
+                from.placeholder = range ? 'from' : 'value';
+                const value = parse(from);
+                success(value === null ? '' : {
+                    op: operator.value,
+                    value: value,
+                    value2: range ? parse(to) : null
+                });
+            };
+            operator.addEventListener('change', update);
+            from.addEventListener('input', update);
+            to.addEventListener('input', update);
+            
+            // Keep clicks in the filter from sorting or moving the column
+            ['click', 'mousedown'].forEach(type => {
+                container.addEventListener(type, e => e.stopPropagation());
+            });
+            
+            // Show a filter set from code, e.g. by the outlier rows action
+            const initial = cell.getValue();
+            if (initial && typeof initial === 'object') {
+                operator.value = initial.op;
+                from.value = initial.value;
+                to.value = initial.value2 === null || initial.value2 === undefined ? '' : initial.value2;
+            }
+            
+            container.append(operator, from, to);
+            update();
+            return container;
+        }
+        
+        function getColumnFilterState() {
+            if (!dataTable) {
+                return [];
+            }
+            return dataTable.getHeaderFilters()
+                .filter(filter => !isEmptyFilterValue(filter.value))
+                .map(filter => toColumnFilter(filter.field, filter.value));
+        }
+        
+        // Show the search and column filters in effect, combined with AND
+        function updateFilterBanner(matchingRows) {
+            const banner = document.getElementById('filter-banner');
+            const bannerText = document.getElementById('filter-banner-text');
+            if (!banner || !bannerText || !dataTable) {
+                return;
+            }
+            
+            const searchInput = document.getElementById('data-search');
+            const conditions = getColumnFilterState().map(describeColumnFilter);
+            if (searchInput && searchInput.value) {
+                conditions.unshift('search "' + searchInput.value + '"');
+            }
+            if (conditions.length === 0 && !rowFilter) {
+                banner.style.display = 'none';
+                return;
+            }
+            
+            const rowsLabel = serverSidePaging ? 'rows on this page' : 'loaded rows';
+            const pageText = conditions.length === 0 ? '' : conditions.join(' AND ') + ' (' +
+                matchingRows.toLocaleString() + ' of ' + dataTable.getDataCount().toLocaleString() +
+                ' ' + rowsLabel + ' match)';
+            bannerText.textContent = rowFilter
+                ? '🔎 Showing the ' + rowFilterMatches.toLocaleString() + ' rows of the file where ' +
+                    describeColumnFilter(rowFilter) + (pageText ? '. On this page: ' + pageText : '')
+                : '🔎 Active filter: ' + pageText;
+            banner.style.display = '';
+        }
+        
+        function clearAllDataFilters() {
+            const searchInput = document.getElementById('data-search');
+            if (searchInput) {
+                searchInput.value = '';
+            }
+            if (rowFilter) {
+                // Back to all rows of the file, still page by page
+                rowFilter = null;
+                createServerSideTable();
+            } else if (dataTable) {
+                dataTable.clearFilter(true);
+            }
+        }
+        
         function filterSchemaTable(searchText) {
             if (schemaTable) {
                 if (searchText) {
@@ -2114,13 +2878,45 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             vscode.postMessage({ command: 'openSettings' });
         }
         
+        function openSensitivityReport() {
+            vscode.postMessage({ command: 'openSensitivityReport' });
+        }
+        
         function exportData(format) {
             vscode.postMessage({ 
                 command: 'exportData',
-                format: format
+                format: format,
+                grid: getGridState()
             });
         }
         
+        // Search text, column filters, sort order, column layout and selected
+        // rows of the data grid, which the extension applies to all rows when
+        // exporting
+        function getGridState() {
+            if (!dataTable) {
+                return null;
+            }
+            const searchInput = document.getElementById('data-search');
+            return {
+                search: searchInput ? searchInput.value : '',
+                filters: rowFilter ? [rowFilter].concat(getColumnFilterState()) : getColumnFilterState(),
+                // Tabulator lists the most significant sorter last
+                sorters: dataTable.getSorters().reverse().map(sorter => ({
+                    field: sorter.field,
+                    dir: sorter.dir
+                })),
+                columns: dataTable.getColumns()
+                    .filter(column => column.isVisible())
+                    .map(column => column.getField()),
+                formattedColumns: displayColumns
+                    .filter(field => !rawNumberColumns.has(field)),
+                selectedRowPositions: dataTable.getSelectedData()
+                    .map(row => rowPositions.get(row))
+                    .filter(position => position !== undefined)
+            };
+        }
+        
         function loadMoreRows() {
             const btn = document.getElementById('loadMoreBtn');
             if (btn) {
@@ -2134,6 +2930,307 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             });
         }
         
+        // Server-side pagination - pages are decoded on demand by the extension
+        function requestPage(page, pageSize) {
+            return new Promise((resolve, reject) => {
+                const requestId = ++pageRequestCounter;
+                pendingPageRequests.set(requestId, { resolve, reject });
+                vscode.postMessage({
+                    command: 'loadPage',
+                    requestId: requestId,
+                    page: page,
+                    pageSize: pageSize,
+                    filter: rowFilter
+                });
+            });
+        }
+        
+        function resolvePageRequest(message) {
+            const pending = pendingPageRequests.get(message.requestId);
+            if (!pending) {
+                return;
+            }
+            pendingPageRequests.delete(message.requestId);
+            
+            if (message.command === 'pageError') {
+                logger.error('Failed to load page:', message.error);
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message);
+            }
+        }
+        
+        function enableServerSidePaging() {
+            if (serverSidePaging) {
+                return;
+            }
+            logger.log('Switching data table to server-side pagination');
+            createServerSideTable();
+        }
+        
+        // Pages hold either all rows of the file or, with a row filter, the
+        // rows of the file matching it
+        function createServerSideTable() {
+            serverSidePaging = true;
+            if (dataTable) {
+                dataTable.destroy();
+            }
+            
+            // Sorting is disabled since it would only reorder the current page
+            const columns = availableFields.map(key => createDataColumn(key, false));
+            
+            dataTable = new Tabulator("#data-table", {
+                columns: columns,
+                layout: "fitDataStretch",
+                pagination: true,
+                paginationMode: "remote",
+                paginationSize: 100,
+                paginationSizeSelector: [25, 50, 100, 250, 500],
+                paginationCounter: "rows",
+                ajaxURL: "qvd://rows",
+                ajaxRequestFunc: function(url, config, params) {
+                    return requestPage(params.page - 1, params.size).then(result => {
+                        attachRowInfo(
+                            result.data,
+                            result.displayTexts,
+                            result.page * result.pageSize,
+                            result.positions
+                        );
+                        rowFilterMatches = result.totalRows;
+                        return {
+                            last_page: Math.max(1, Math.ceil(result.totalRows / params.size)),
+                            last_row: result.totalRows,
+                            data: result.data
+                        };
+                    });
+                },
+                movableColumns: true,
+                resizableColumns: true,
+                selectable: true,
+                selectableRangeMode: "click"
+            });
+            
+            dataTable.on("cellContext", function(e, cell){
+                e.preventDefault();
+                showContextMenu(e, cell);
+            });
+            
+            dataTable.on("dataFiltered", function(filters, rows){
+                updateFilterBanner(rows.length);
+            });
+            
+            dataTable.on("dataLoaded", function(){
+                updateFilterBanner(dataTable.getDataCount("active"));
+            });
+            
+            const infoText = document.getElementById('rows-info-text');
+            if (infoText) {
+                infoText.textContent = '📄 Browsing all ' + totalRowsInFile.toLocaleString() +
+                    ' rows page by page, read directly from the QVD file. Search and column filters apply to the current page.';
+            }
+            const infoButtons = document.getElementById('rows-info-buttons');
+            if (infoButtons) {
+                infoButtons.style.display = 'none';
+            }
+        }
+        
+        // Query tab functions
+        function runQuery() {
+            const editor = document.getElementById('query-editor');
+            const btn = document.getElementById('run-query-btn');
+            const sql = editor ? editor.value : '';
+            if (!sql.trim()) {
+                return;
+            }
+            
+            if (btn) {
+                btn.disabled = true;
+            }
+            pendingQuery = sql;
+            setQueryStatus('⏳ Running query...', false);
+            vscode.postMessage({ command: 'runQuery', sql: sql });
+        }
+        
+        function setQueryStatus(text, isError) {
+            const status = document.getElementById('query-status');
+            if (status) {
+                status.textContent = text;
+                status.classList.toggle('error', isError);
+            }
+        }
+        
+        function showQueryResult(message) {
+            const btn = document.getElementById('run-query-btn');
+            if (btn) {
+                btn.disabled = false;
+            }
+            
+            const exportBtn = document.getElementById('query-export-btn');
+            if (message.error) {
+                setQueryStatus('❌ ' + message.error, true);
+                return;
+            }
+            
+            lastQuery = pendingQuery;
+            if (exportBtn) {
+                exportBtn.disabled = false;
+            }
+            
+            // Result columns are addressed by position, since names from SQL
+            // expressions may contain characters Tabulator treats as paths
+            const columns = message.columns.map((name, index) => ({
+                title: name,
+                field: 'c' + index,
+                headerSort: true
+            }));
+            const rows = message.rows.map(values => {
+                const row = {};
+                values.forEach((value, index) => {
+                    row['c' + index] = value;
+                });
+                return row;
+            });
+            
+            if (queryTable) {
+                queryTable.destroy();
+            }
+            queryTable = new Tabulator("#query-table", {
+                data: rows,
+                columns: columns,
+                layout: "fitDataStretch",
+                pagination: true,
+                paginationSize: 100,
+                paginationSizeSelector: [25, 50, 100, 250, 500],
+                paginationCounter: "rows",
+                movableColumns: true,
+                resizableColumns: true,
+                placeholder: "Query returned no rows"
+            });
+            
+            queryTable.on("cellContext", function(e, cell){
+                e.preventDefault();
+                showContextMenu(e, cell);
+            });
+            
+            let status = '✅ ' + rows.length.toLocaleString() + ' row' + (rows.length === 1 ? '' : 's') +
+                ' in ' + message.durationMs + ' ms';
+            if (message.truncated) {
+                status += ' (showing the first ' + rows.length.toLocaleString() + ' rows; export to get all rows)';
+            }
+            if (message.tables && message.tables.length > 0) {
+                status += ' · Tables: ' + message.tables.join(', ');
+            }
+            setQueryStatus(status, false);
+        }
+        
+        // Symbols tab functions
+        function showSymbols(fieldName) {
+            const select = document.getElementById('symbols-field');
+            const button = document.querySelector('.tab-button[data-tab="symbols"]');
+            if (!select || !button) {
+                return;
+            }
+            select.value = fieldName;
+            symbolsField = fieldName;
+            switchTab({ target: button }, 'symbols');
+            loadSymbols();
+        }
+        
+        function loadSymbols() {
+            const select = document.getElementById('symbols-field');
+            if (!select || !select.value) {
+                return;
+            }
+            symbolsField = select.value;
+            setSymbolsStatus('⏳ Reading symbol table...', false);
+            vscode.postMessage({ command: 'loadSymbols', field: symbolsField });
+        }
+        
+        function setSymbolsStatus(text, isError) {
+            const status = document.getElementById('symbols-status');
+            if (status) {
+                status.textContent = text;
+                status.classList.toggle('error', isError);
+            }
+        }
+        
+        function showSymbolTable(message) {
+            // Ignore the answer for a field that is no longer selected
+            if (message.field !== symbolsField) {
+                return;
+            }
+            if (message.error) {
+                setSymbolsStatus('❌ ' + message.error, true);
+                return;
+            }
+            
+            const rows = message.symbols.map((symbol, index) => ({
+                index: index,
+                value: symbol[0],
+                type: symbol[1],
+                number: symbol[2]
+            }));
+            
+            if (symbolsTable) {
+                symbolsTable.destroy();
+            }
+            symbolsTable = new Tabulator("#symbols-table", {
+                data: rows,
+                columns: [
+                    { title: "#", field: "index", sorter: "number", headerSort: true, width: 90 },
+                    { title: "Value", field: "value", sorter: "string", headerSort: true },
+                    { title: "Storage Type", field: "type", headerSort: true },
+                    { title: "Number", field: "number", sorter: "number", headerSort: true }
+                ],
+                layout: "fitDataStretch",
+                pagination: true,
+                paginationSize: 100,
+                paginationSizeSelector: [25, 50, 100, 250, 500],
+                paginationCounter: "rows",
+                resizableColumns: true,
+                placeholder: "The field has no values"
+            });
+            
+            symbolsTable.on("cellContext", function(e, cell){
+                e.preventDefault();
+                showContextMenu(e, cell);
+            });
+            symbolsTable.on("tableBuilt", function() {
+                const searchInput = document.getElementById('symbols-search');
+                if (searchInput && searchInput.value) {
+                    filterSymbolsTable(searchInput.value);
+                }
+            });
+            
+            setSymbolsStatus('✅ ' + rows.length.toLocaleString() + ' distinct value' +
+                (rows.length === 1 ? '' : 's') + ' of ' + message.field +
+                ', symbol table read in ' + message.durationMs + ' ms', false);
+        }
+        
+        function filterSymbolsTable(searchText) {
+            if (symbolsTable) {
+                if (searchText) {
+                    const search = searchText.toLowerCase();
+                    symbolsTable.setFilter(function(data) {
+                        return String(data.value).toLowerCase().includes(search);
+                    });
+                } else {
+                    symbolsTable.clearFilter();
+                }
+            }
+        }
+        
+        function exportQueryResults(format) {
+            if (!lastQuery) {
+                return;
+            }
+            vscode.postMessage({
+                command: 'exportQueryResults',
+                format: format,
+                sql: lastQuery
+            });
+        }
+        
         function loadAllRows() {
             const btn = document.getElementById('loadAllBtn');
             if (btn) {
@@ -2183,27 +3280,560 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 return;
             }
             
-            if (selectedFields.length > 3) {
-                showProfilingStatus('⚠️ Please select a maximum of 3 fields to profile.', 'warning');
-                return;
-            }
-            
-            showProfilingStatus('⏳ Loading all data and computing value distributions...', 'info');
+            const mode = document.getElementById('profiling-mode').value;
+            showProfilingStatus(mode === 'exact'
+                ? '⏳ Counting values and computing distributions...'
+                : '⏳ Streaming rows through profiling sketches...', 'info');
             
             // Send message to extension to compute profiling
             vscode.postMessage({
                 command: 'profileFields',
                 fieldNames: selectedFields,
-                maxUniqueValues: 1000
+                maxUniqueValues: 1000,
+                mode: mode,
+                outliers: getOutlierOptions()
+            });
+        }
+        
+        function profileAllFields() {
+            const mode = document.getElementById('profiling-mode').value;
+            const fieldCount = document.querySelectorAll('input[name="field-checkbox"]').length;
+            showProfilingStatus('⏳ Profiling all ' + fieldCount + ' fields...', 'info');
+            vscode.postMessage({
+                command: 'profileAllFields',
+                maxUniqueValues: 1000,
+                mode: mode,
+                outliers: getOutlierOptions()
+            });
+        }
+        
+        const OUTLIER_THRESHOLDS = ${JSON.stringify(DEFAULT_OUTLIER_THRESHOLDS)};
+        
+        function getOutlierOptions() {
+            const method = document.getElementById('outlier-method').value;
+            const threshold = Number(document.getElementById('outlier-threshold').value);
+            return {
+                method: method,
+                threshold: threshold > 0 ? threshold : OUTLIER_THRESHOLDS[method]
+            };
+        }
+        
+        function describeOutlierMethod(outliers) {
+            if (outliers.method === 'zScore') {
+                return 'z-score (|z| > ' + outliers.threshold + ')';
+            }
+            if (outliers.method === 'mad') {
+                return 'MAD (modified z-score > ' + outliers.threshold + ')';
+            }
+            return 'IQR fences (' + outliers.threshold + ' × IQR)';
+        }
+        
+        // Show the rows of the file outside the outlier bounds of a field.
+        // The extension finds them among all rows, as the loaded rows or the
+        // current page may hold only some of them, and the grid pages
+        // through them. Date columns compare dates, all others numbers.
+        function showOutlierRows(fieldResult) {
+            const button = document.querySelector('.tab-button[data-tab="data"]');
+            if (!dataTable || !button) {
+                return;
+            }
+            const field = fieldResult.fieldName;
+            const outliers = fieldResult.statistics.outliers;
+            rowFilter = getColumnFilterType(field) === 'date'
+                ? {
+                    field: field,
+                    type: 'date',
+                    op: 'outside',
+                    value: toFilterDate(outliers.lowerBound),
+                    value2: toFilterDate(outliers.upperBound)
+                }
+                : {
+                    field: field,
+                    type: 'number',
+                    op: 'outside',
+                    value: outliers.lowerBound,
+                    value2: outliers.upperBound
+                };
+            rowFilterMatches = 0;
+            createServerSideTable();
+            switchTab({ target: button }, 'data');
+        }
+
+        // Line chart of the records per period of a date field, with the
+        // rolling baseline dashed, spikes red, drops orange and change points
+        // as triangles
+        function createVolumeChart(canvas, volume) {
+            const foreground = getComputedStyle(document.body).getPropertyValue('--vscode-foreground');
+            const changePeriods = new Set(volume.changePoints.map(point => point.period));
+            const pointColor = point => point.anomaly === 'spike'
+                ? 'rgba(255, 99, 132, 1)'
+                : point.anomaly === 'drop' ? 'rgba(255, 159, 64, 1)' : 'rgba(54, 162, 235, 1)';
+            return new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: volume.series.map(point => point.period),
+                    datasets: [{
+                        label: 'Records',
+                        data: volume.series.map(point => point.count),
+                        borderColor: 'rgba(54, 162, 235, 1)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                        borderWidth: 1,
+                        pointRadius: volume.series.map(point =>
+                            point.anomaly || changePeriods.has(point.period) ? 4 : 0),
+                        pointStyle: volume.series.map(point =>
+                            changePeriods.has(point.period) ? 'triangle' : 'circle'),
+                        pointBackgroundColor: volume.series.map(pointColor),
+                        pointBorderColor: volume.series.map(pointColor)
+                    }, {
+                        label: 'Baseline',
+                        data: volume.series.map(point => point.baseline),
+                        borderColor: 'rgba(128, 128, 128, 0.8)',
+                        borderDash: [4, 4],
+                        borderWidth: 1,
+                        pointRadius: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: true,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
+                        legend: { labels: { color: foreground } },
+                        title: {
+                            display: true,
+                            text: 'Records per ' + volume.granularity,
+                            color: foreground
+                        },
+                        tooltip: {
+                            callbacks: {
+                                afterBody: items => {
+                                    const point = volume.series[items[0].dataIndex];
+                                    const notes = [];
+                                    if (point.anomaly) {
+                                        notes.push(point.anomaly === 'spike' ? 'Spike' : 'Drop');
+                                    }
+                                    volume.changePoints
+                                        .filter(change => change.period === point.period)
+                                        .forEach(change => notes.push(change.description));
+                                    return notes;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: { color: foreground },
+                            grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                        },
+                        x: {
+                            ticks: { color: foreground, maxRotation: 45, minRotation: 45 },
+                            grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                        }
+                    }
+                }
+            });
+        }
+
+        function createSparkline(sparkline) {
+            // Inline SVG bar chart of the histogram or value frequencies of a field
+            if (!sparkline || sparkline.values.length === 0) {
+                return '';
+            }
+            const width = 100;
+            const height = 20;
+            const max = Math.max(...sparkline.values);
+            const barWidth = width / sparkline.values.length;
+            let bars = '';
+            sparkline.values.forEach((value, i) => {
+                const barHeight = max > 0 ? Math.max(1, (value / max) * height) : 0;
+                bars += '<rect x="' + (i * barWidth) + '" y="' + (height - barHeight) + '" width="' +
+                    Math.max(1, barWidth - 1) + '" height="' + barHeight + '"></rect>';
+            });
+            const title = sparkline.kind === 'histogram' ? 'Histogram of the values' : 'Counts of the most frequent values';
+            return '<svg class="sparkline" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height +
+                '"><title>' + title + '</title>' + bars + '</svg>';
+        }
+        
+        function showProfilingOverview(message) {
+            const results = message.results;
+            if (results.error) {
+                showProfilingStatus('❌ ' + results.error, 'warning');
+                return;
+            }
+            overviewResults = results;
+            
+            const formatRangeValue = value => value === null || value === undefined
+                ? ''
+                : typeof value === 'number' ? value.toLocaleString() : String(value);
+            if (overviewTable) {
+                overviewTable.destroy();
+            }
+            document.getElementById('profiling-overview').style.display = 'block';
+            overviewTable = new Tabulator("#profiling-overview-table", {
+                data: message.overview,
+                columns: [
+                    { title: "Field", field: "fieldName", sorter: "string", headerSort: true },
+                    { title: "Type", field: "type", sorter: "string", headerSort: true,
+                      tooltip: (e, cell) => 'Type from ' + cell.getRow().getData().typeSource },
+                    { title: "Null %", field: "nullPercentage", sorter: "number", headerSort: true, hozAlign: "right",
+                      formatter: cell => cell.getValue().toFixed(1) + '%' },
+                    { title: "Distinct", field: "distinctCount", sorter: "number", headerSort: true, hozAlign: "right",
+                      formatter: cell => (results.approximate ? '≈ ' : '') + cell.getValue().toLocaleString() },
+                    { title: "Cardinality", field: "cardinality", sorter: "string", headerSort: true },
+                    { title: "Min", field: "min", headerSort: false, formatter: cell => formatRangeValue(cell.getValue()) },
+                    { title: "Max", field: "max", headerSort: false, formatter: cell => formatRangeValue(cell.getValue()) },
+                    { title: "Top Value", field: "topValue", headerSort: false,
+                      formatter: cell => {
+                          const data = cell.getRow().getData();
+                          const span = document.createElement('span');
+                          span.textContent = data.topValue === null ? '' : data.topValue + ' (' + data.topValuePercentage + '%)';
+                          return span;
+                      } },
+                    { title: "Quality", field: "qualityScore", sorter: "number", headerSort: true,
+                      formatter: cell => {
+                          const data = cell.getRow().getData();
+                          return '<span class="quality-dot ' + data.qualityColor + '">●</span> ' +
+                              (data.qualityScore === null ? '' : data.qualityScore);
+                      } },
+                    { title: "Shape", field: "sparkline", headerSort: false,
+                      formatter: cell => createSparkline(cell.getValue()) }
+                ],
+                layout: "fitDataStretch",
+                pagination: true,
+                paginationSize: 50,
+                paginationCounter: "rows",
+                resizableColumns: true,
+                placeholder: "No fields profiled"
+            });
+            
+            // Clicking a field shows its detail card below the overview
+            overviewTable.on("rowClick", function(e, row) {
+                showOverviewField(row.getData().index);
+            });
+            
+            document.getElementById('profiling-results').innerHTML = '';
+            showProfilingStatus('✅ ' + (results.approximate ? 'Approximate profiling' : 'Profiling') + ' complete for ' +
+                results.fields.length + ' field(s). Click a field for details.', 'info');
+            document.getElementById('export-qvs-btn').style.display = 'inline-block';
+            document.getElementById('export-profile-btn').style.display = 'inline-block';
+            currentProfilingResults = results;
+        }
+        
+        function showOverviewField(index) {
+            const field = overviewResults.fields[index];
+            const comparison = overviewResults.comparison
+                ? overviewResults.comparison.filter(item => item.fieldName === field.fieldName)
+                : null;
+            displayProfilingResults(Object.assign({}, overviewResults, { fields: [field], comparison: comparison }));
+            // Exports keep covering all fields of the overview
+            currentProfilingResults = overviewResults;
+            document.getElementById('profiling-results').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        
+        const RELATIONSHIP_MEASURE_NAMES = {
+            pearson: 'Pearson r',
+            spearman: 'Spearman ρ',
+            cramersV: "Cramér's V",
+            correlationRatio: 'Correlation ratio η'
+        };
+        
+        function analyzeRelationships() {
+            const checkboxes = document.querySelectorAll('input[name="field-checkbox"]:checked');
+            const selectedFields = Array.from(checkboxes).map(cb => cb.value);
+            
+            if (selectedFields.length < 2) {
+                showProfilingStatus('⚠️ Please select at least two fields to analyze their relationships.', 'warning');
+                return;
+            }
+            
+            showProfilingStatus('⏳ Analyzing relationships of ' + selectedFields.length + ' fields...', 'info');
+            vscode.postMessage({
+                command: 'analyzeRelationships',
+                fieldNames: selectedFields
+            });
+        }
+        
+        function relationshipMeasure(pair) {
+            // Signed correlation for numeric pairs, association (0-1) for the others
+            if (pair.kind === 'numeric') {
+                return document.getElementById('relationship-measure').value;
+            }
+            return pair.kind === 'categorical' ? 'cramersV' : 'correlationRatio';
+        }
+        
+        function relationshipColor(value) {
+            if (value === null) {
+                return 'rgba(128, 128, 128, 0.15)';
+            }
+            const alpha = 0.15 + 0.85 * Math.abs(value);
+            return value < 0 ? 'rgba(239, 68, 68, ' + alpha + ')' : 'rgba(55, 148, 255, ' + alpha + ')';
+        }
+        
+        function formatRelationshipValue(value) {
+            return value === null ? 'n/a' : value.toFixed(3);
+        }
+        
+        function showRelationships(results) {
+            if (results.error) {
+                showProfilingStatus('❌ ' + results.error, 'warning');
+                return;
+            }
+            relationshipResults = results;
+            document.getElementById('relationships').style.display = 'block';
+            
+            const notes = document.getElementById('relationships-notes');
+            notes.innerHTML = '';
+            if (results.redundantPairs.length > 0) {
+                const banner = document.createElement('div');
+                banner.className = 'info-banner';
+                banner.textContent = '⚠️ Possibly redundant: ' + results.redundantPairs
+                    .map(pair => pair.x + ' ↔ ' + pair.y + ' (' + pair.strength.toFixed(2) + ')')
+                    .join(', ');
+                notes.appendChild(banner);
+            }
+            if (results.skipped.length > 0) {
+                const banner = document.createElement('div');
+                banner.className = 'info-banner';
+                banner.textContent = 'ℹ️ Not analyzed: ' + results.skipped
+                    .map(field => field.name + ' (' + field.reason + ')')
+                    .join(', ');
+                notes.appendChild(banner);
+            }
+            
+            renderRelationshipHeatmap();
+            if (relationshipDetailChart) {
+                relationshipDetailChart.destroy();
+                relationshipDetailChart = null;
+            }
+            document.getElementById('relationship-detail').innerHTML = '';
+            showProfilingStatus('✅ Relationships of ' + results.fields.length + ' fields analyzed over ' +
+                results.totalRows.toLocaleString() + ' rows. Click a cell for details.', 'info');
+            document.getElementById('relationships').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        
+        function renderRelationshipHeatmap() {
+            // Matrix of all field pairs, drawn as square points on two category axes
+            const names = relationshipResults.fields.map(field => field.name);
+            const fieldIndex = new Map(names.map((name, i) => [name, i]));
+            const pairsByCell = new Map();
+            relationshipResults.pairs.forEach(pair => {
+                const x = fieldIndex.get(pair.x);
+                const y = fieldIndex.get(pair.y);
+                pairsByCell.set(x + ':' + y, pair);
+                pairsByCell.set(y + ':' + x, pair);
+            });
+            
+            const points = [];
+            names.forEach((yName, y) => {
+                names.forEach((xName, x) => {
+                    const pair = pairsByCell.get(x + ':' + y) || null;
+                    const measure = pair ? relationshipMeasure(pair) : null;
+                    points.push({
+                        x: xName,
+                        y: yName,
+                        pair: pair,
+                        measure: measure,
+                        value: pair ? pair[measure] : x === y ? 1 : null
+                    });
+                });
+            });
+            
+            if (relationshipChart) {
+                relationshipChart.destroy();
+            }
+            const canvas = document.getElementById('relationships-heatmap');
+            canvas.parentElement.style.height = Math.min(700, Math.max(240, 80 + names.length * 32)) + 'px';
+            const cellRadius = context => {
+                const area = context.chart.chartArea;
+                return area ? Math.max(2, Math.min(area.width, area.height) / names.length / 2 - 1) : 10;
+            };
+            const axis = {
+                type: 'category',
+                labels: names,
+                offset: true,
+                grid: { display: false },
+                ticks: { color: '#CCCCCC', autoSkip: false }
+            };
+            relationshipChart = new Chart(canvas.getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [{
+                        data: points,
+                        pointStyle: 'rect',
+                        pointRadius: cellRadius,
+                        pointHoverRadius: cellRadius,
+                        backgroundColor: context => relationshipColor(context.raw ? context.raw.value : null),
+                        borderColor: 'rgba(128, 128, 128, 0.3)',
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    maintainAspectRatio: false,
+                    responsive: true,
+                    animation: false,
+                    scales: { x: axis, y: axis },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: context => {
+                                    const point = context.raw;
+                                    if (!point.pair) {
+                                        return point.x;
+                                    }
+                                    return point.pair.x + ' × ' + point.pair.y + ': ' +
+                                        RELATIONSHIP_MEASURE_NAMES[point.measure] + ' = ' +
+                                        formatRelationshipValue(point.value) +
+                                        ' (' + point.pair.rows.toLocaleString() + ' rows)';
+                                }
+                            }
+                        }
+                    },
+                    onClick: (event, elements) => {
+                        if (elements.length > 0 && points[elements[0].index].pair) {
+                            showRelationshipDetail(points[elements[0].index].pair);
+                        }
+                    }
+                }
+            });
+        }
+        
+        function showRelationshipDetail(pair) {
+            // Scatter plot of numeric pairs, contingency or category table otherwise
+            const detail = document.getElementById('relationship-detail');
+            detail.innerHTML = '';
+            if (relationshipDetailChart) {
+                relationshipDetailChart.destroy();
+                relationshipDetailChart = null;
+            }
+            
+            const title = document.createElement('h5');
+            const measures = pair.kind === 'numeric' ? ['pearson', 'spearman'] : [relationshipMeasure(pair)];
+            title.textContent = pair.x + ' × ' + pair.y + ': ' + measures
+                .map(measure => RELATIONSHIP_MEASURE_NAMES[measure] + ' = ' + formatRelationshipValue(pair[measure]))
+                .join(', ') + ', ' + pair.rows.toLocaleString() + ' rows with both values';
+            detail.appendChild(title);
+            
+            if (pair.kind === 'numeric') {
+                showRelationshipScatter(detail, pair);
+                return;
+            }
+            
+            const table = document.createElement('table');
+            table.className = 'expectations-table';
+            const headerRow = table.createTHead().insertRow();
+            const body = table.createTBody();
+            const addHeader = text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            };
+            if (pair.kind === 'categorical') {
+                const contingency = pair.contingency;
+                addHeader(pair.x + ' / ' + pair.y);
+                contingency.columns.forEach(addHeader);
+                const max = Math.max(1, ...contingency.counts.flat());
+                contingency.rows.forEach((category, r) => {
+                    const row = body.insertRow();
+                    row.insertCell().textContent = category;
+                    contingency.counts[r].forEach(count => {
+                        const cell = row.insertCell();
+                        cell.textContent = count.toLocaleString();
+                        cell.style.backgroundColor = relationshipColor(count / max);
+                    });
+                });
+            } else {
+                [pair.x, 'Rows', 'Mean of ' + pair.y, 'Std Dev'].forEach(addHeader);
+                pair.categoryStats.forEach(stats => {
+                    const row = body.insertRow();
+                    row.insertCell().textContent = stats.category;
+                    row.insertCell().textContent = stats.count.toLocaleString();
+                    row.insertCell().textContent = stats.mean.toLocaleString(undefined, { maximumFractionDigits: 4 });
+                    row.insertCell().textContent = stats.stdDev.toLocaleString(undefined, { maximumFractionDigits: 4 });
+                });
+            }
+            detail.appendChild(table);
+            
+            if (pair.contingency ? pair.contingency.truncated : pair.truncated) {
+                const note = document.createElement('div');
+                note.className = 'info-banner';
+                note.textContent = 'ℹ️ Showing the most frequent categories only.';
+                detail.appendChild(note);
+            }
+        }
+        
+        function showRelationshipScatter(detail, pair) {
+            const sample = relationshipResults.sample;
+            const xs = sample.values[pair.x];
+            const ys = sample.values[pair.y];
+            const points = [];
+            xs.forEach((x, i) => {
+                if (x !== null && ys[i] !== null) {
+                    points.push({ x: x, y: ys[i] });
+                }
+            });
+            
+            const note = document.createElement('div');
+            note.className = 'info-banner';
+            note.textContent = 'ℹ️ ' + points.length.toLocaleString() + ' points, ' + (sample.step === 1
+                ? 'one per row of the file.'
+                : 'one in every ' + sample.step.toLocaleString() + ' rows of the file.');
+            detail.appendChild(note);
+            
+            const container = document.createElement('div');
+            container.className = 'relationships-scatter';
+            const canvas = document.createElement('canvas');
+            container.appendChild(canvas);
+            detail.appendChild(container);
+            
+            const axis = title => ({
+                title: { display: true, text: title, color: '#CCCCCC' },
+                ticks: { color: '#CCCCCC' },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' }
+            });
+            relationshipDetailChart = new Chart(canvas.getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [{
+                        data: points,
+                        pointRadius: 2,
+                        backgroundColor: 'rgba(55, 148, 255, 0.6)'
+                    }]
+                },
+                options: {
+                    maintainAspectRatio: false,
+                    responsive: true,
+                    animation: false,
+                    scales: { x: axis(pair.x), y: axis(pair.y) },
+                    plugins: { legend: { display: false } }
+                }
             });
         }
         
         function clearProfiling() {
             // Clear results
             currentProfilingResults = null;
+            overviewResults = null;
+            if (overviewTable) {
+                overviewTable.destroy();
+                overviewTable = null;
+            }
+            document.getElementById('profiling-overview').style.display = 'none';
+            relationshipResults = null;
+            if (relationshipChart) {
+                relationshipChart.destroy();
+                relationshipChart = null;
+            }
+            if (relationshipDetailChart) {
+                relationshipDetailChart.destroy();
+                relationshipDetailChart = null;
+            }
+            document.getElementById('relationships').style.display = 'none';
             document.getElementById('profiling-results').innerHTML = '';
             document.getElementById('profiling-status').style.display = 'none';
             document.getElementById('export-qvs-btn').style.display = 'none';
+            document.getElementById('export-profile-btn').style.display = 'none';
             
             // Destroy existing charts
             profilingCharts.forEach(chart => chart.destroy());
@@ -2214,22 +3844,11 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             checkboxes.forEach(cb => cb.checked = false);
         }
         
-        function validateFieldSelection() {
-            const checkedBoxes = document.querySelectorAll('input[name="field-checkbox"]:checked');
-            
-            if (checkedBoxes.length > 3) {
-                // Show warning and uncheck the last selected checkbox
-                showProfilingStatus('⚠️ Maximum of 3 fields can be selected for profiling. Please unselect one field before selecting another.', 'warning');
-                
-                // Uncheck this checkbox
-                this.checked = false;
-            } else if (checkedBoxes.length === 0) {
-                // Clear any warning when no fields are selected
-                const statusDiv = document.getElementById('profiling-status');
-                if (statusDiv && statusDiv.textContent.includes('Maximum of 3 fields')) {
-                    statusDiv.style.display = 'none';
-                }
-            }
+        function selectAllProfilingFields() {
+            // Select all fields, or none if all are already selected
+            const checkboxes = document.querySelectorAll('input[name="field-checkbox"]');
+            const allChecked = Array.from(checkboxes).every(cb => cb.checked);
+            checkboxes.forEach(cb => cb.checked = !allChecked);
         }
         
         function exportProfilingQvs() {
@@ -2244,6 +3863,155 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
             });
         }
         
+        function exportProfilingData() {
+            if (!currentProfilingResults || !currentProfilingResults.fields) {
+                showProfilingStatus('⚠️ No profiling results to export.', 'warning');
+                return;
+            }
+            
+            vscode.postMessage({
+                command: 'exportProfilingData',
+                profilingResults: currentProfilingResults
+            });
+        }
+        
+        function exportProfilingReport() {
+            vscode.postMessage({
+                command: 'exportProfilingReport',
+                mode: document.getElementById('profiling-mode').value,
+                outliers: getOutlierOptions()
+            });
+        }
+        
+        // Personal data banner
+        function displayPersonalDataResults(message) {
+            const banner = document.getElementById('pii-banner');
+            const text = document.getElementById('pii-banner-text');
+            if (!banner || !text || message.pending) {
+                return;
+            }
+            if (message.error) {
+                text.textContent = '⚠️ Personal data scan failed: ' + message.error;
+                banner.classList.add('warning-banner');
+            } else if (message.sensitivity === 'none') {
+                text.textContent = '✅ Sensitivity: none. No personal data found in ' +
+                    message.fieldsScanned.toLocaleString() + ' fields';
+                banner.classList.remove('warning-banner');
+            } else {
+                text.textContent = (message.sensitivity === 'high' ? '⛔ ' : '🔒 ') + message.description;
+                banner.classList.toggle('warning-banner', message.sensitivity === 'high');
+            }
+            banner.style.display = '';
+        }
+        
+        // Data expectations functions
+        function runExpectations(trigger) {
+            const btn = document.getElementById('run-expectations-btn');
+            if (btn && trigger === 'manual') {
+                btn.disabled = true;
+                setExpectationsSummary('⏳ Checking expectations against all rows...');
+            }
+            vscode.postMessage({ command: 'runExpectations', trigger: trigger });
+        }
+        
+        function setExpectationsSummary(text) {
+            const container = document.getElementById('expectations-results');
+            container.innerHTML = '';
+            const summary = document.createElement('div');
+            summary.className = 'expectations-summary';
+            summary.textContent = text;
+            container.appendChild(summary);
+            return container;
+        }
+        
+        function formatSampleValue(value) {
+            return value === null || value === undefined ? 'NULL' : String(value);
+        }
+        
+        function createSamplesTable(result) {
+            const columns = Object.keys(result.samples[0].row);
+            const table = document.createElement('table');
+            const headerRow = table.createTHead().insertRow();
+            ['Row', ...columns].forEach(name => {
+                const th = document.createElement('th');
+                th.textContent = name;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            result.samples.forEach(sample => {
+                const row = body.insertRow();
+                row.insertCell().textContent = sample.rowNumber.toLocaleString();
+                columns.forEach(name => {
+                    const cell = row.insertCell();
+                    cell.textContent = formatSampleValue(sample.row[name]);
+                    if (name === result.expectation.field) {
+                        cell.className = 'failing-value';
+                    }
+                });
+            });
+            return table;
+        }
+        
+        function displayExpectationsResults(message) {
+            const btn = document.getElementById('run-expectations-btn');
+            if (btn) {
+                btn.disabled = false;
+            }
+            
+            if (!message.available) {
+                setExpectationsSummary('No expectations defined for this file. Click "Edit Expectations" to add some to ' +
+                    message.fileName + ' in the folder of the QVD file.');
+                return;
+            }
+            if (message.error) {
+                setExpectationsSummary('❌ ' + message.error);
+                return;
+            }
+            if (message.pending) {
+                setExpectationsSummary('Expectations are defined in ' + message.fileName +
+                    '. Click "Check Expectations" to check them against all rows.');
+                return;
+            }
+            
+            const summary = message.summary;
+            const container = setExpectationsSummary(
+                (summary.failed === 0 ? '✅ ' : '❌ ') + summary.passed + ' passed, ' + summary.failed +
+                ' failed of ' + summary.results.length + ' expectations (' +
+                summary.rowCount.toLocaleString() + ' rows checked)');
+            
+            const icons = { passed: '✅ Pass', failed: '❌ Fail', skipped: '⏭️ Skipped', error: '⚠️ Invalid' };
+            const table = document.createElement('table');
+            table.className = 'expectations-table';
+            const headerRow = table.createTHead().insertRow();
+            ['Status', 'Expectation', 'Result'].forEach(name => {
+                const th = document.createElement('th');
+                th.textContent = name;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            summary.results.forEach(result => {
+                const row = body.insertRow();
+                const statusCell = row.insertCell();
+                statusCell.className = 'expectation-status ' + result.status;
+                statusCell.textContent = icons[result.status];
+                row.insertCell().textContent = result.description;
+                const resultCell = row.insertCell();
+                resultCell.textContent = result.message;
+                
+                // Failing rows are listed below the outcome
+                if (result.samples.length > 0) {
+                    const details = document.createElement('details');
+                    details.className = 'expectation-samples';
+                    const toggle = document.createElement('summary');
+                    toggle.textContent = 'First ' + result.samples.length + ' failing rows';
+                    details.appendChild(toggle);
+                    details.appendChild(createSamplesTable(result));
+                    resultCell.appendChild(details);
+                }
+            });
+            container.appendChild(table);
+        }
+        
         function showProfilingStatus(message, type = 'info') {
             const statusDiv = document.getElementById('profiling-status');
             statusDiv.textContent = message;
@@ -2371,7 +4139,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                     </div>
                     <div class="field-stat-item">
                         <span class="field-stat-label">Unique Values</span>
-                        <span class="field-stat-value">\${fieldResult.uniqueValues.toLocaleString()}</span>
+                        <span class="field-stat-value">\${fieldResult.approximate && !fieldResult.approximate.distinctCount.exact ? '≈ ' : ''}\${fieldResult.uniqueValues.toLocaleString()}</span>
                     </div>
                     <div class="field-stat-item">
                         <span class="field-stat-label">NULL/Empty</span>
@@ -2380,6 +4148,10 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 \`;
                 card.appendChild(statsDiv);
                 
+                if (fieldResult.approximate) {
+                    card.appendChild(createApproximateNotice(fieldResult));
+                }
+                
                 // Add statistics card for numeric fields
                 if (fieldResult.isNumeric && fieldResult.statistics && fieldResult.statistics.isNumeric) {
                     const stats = fieldResult.statistics;
@@ -2461,7 +4233,38 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                                 </div>
                             </div>
                         </div>
+                        
+                        <div class="statistics-section" style="margin-top: 15px;">
+                            <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">Outliers · \${describeOutlierMethod(stats.outliers)}</h5>
+                            <div class="field-stats">
+                                <div class="field-stat-item">
+                                    <span class="field-stat-label">Outliers</span>
+                                    <span class="field-stat-value">\${fieldResult.approximate ? '≈ ' : ''}\${stats.outliers.count.toLocaleString()} (\${stats.outliers.percentage.toFixed(2)}%)</span>
+                                </div>
+                                <div class="field-stat-item">
+                                    <span class="field-stat-label">Below / Above</span>
+                                    <span class="field-stat-value">\${stats.outliers.lowCount.toLocaleString()} / \${stats.outliers.highCount.toLocaleString()}</span>
+                                </div>
+                                <div class="field-stat-item">
+                                    <span class="field-stat-label">Lower Bound</span>
+                                    <span class="field-stat-value">\${stats.outliers.lowerBound.toFixed(2)}</span>
+                                </div>
+                                <div class="field-stat-item">
+                                    <span class="field-stat-label">Upper Bound</span>
+                                    <span class="field-stat-value">\${stats.outliers.upperBound.toFixed(2)}</span>
+                                </div>
+                            </div>
+                            \${stats.outliers.examples.length > 0 ? '<div class="outlier-examples">Examples: ' + stats.outliers.examples.map(value => value.toLocaleString()).join(', ') + '</div>' : ''}
+                        </div>
                     \`;
+                    if (stats.outliers.count > 0) {
+                        const outlierButton = document.createElement('button');
+                        outlierButton.className = 'header-button outlier-rows-btn';
+                        outlierButton.textContent = '🔎 Show outlier rows';
+                        outlierButton.title = 'Page through the rows of the file outside the bounds';
+                        outlierButton.addEventListener('click', () => showOutlierRows(fieldResult));
+                        statisticsCard.appendChild(outlierButton);
+                    }
                     card.appendChild(statisticsCard);
                 }
                 
@@ -2504,13 +4307,22 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                                     </span>
                                     <span class="stat-value">\${temporal.range.format.formatDescription}</span>
                                 </div>
+                                \${temporal.calendar ? \`
+                                <div class="stat-item">
+                                    <span class="stat-label">
+                                        Calendar
+                                        \${createHelpIcon('temporalCalendar')}
+                                    </span>
+                                    <span class="stat-value">\${temporal.calendar.description}</span>
+                                </div>
+                                \` : ''}
                             </div>
                         </div>
                         
                         \${temporal.distribution && temporal.distribution.byYear && temporal.distribution.byYear.length > 0 ? \`
                         <div class="statistics-section" style="margin-top: 15px;">
                             <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">
-                                Yearly Distribution
+                                \${temporal.calendar && temporal.calendar.fiscalYearStartMonth > 1 ? 'Fiscal Year Distribution' : 'Yearly Distribution'}
                                 \${createHelpIcon('temporalYearlyDistribution')}
                             </h5>
                             <div class="stats-container" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));">
@@ -2558,6 +4370,40 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         </div>
                         \` : ''}
                         
+                        \${temporal.distribution && temporal.distribution.byWeekNumber && temporal.distribution.byWeekNumber.length > 0 ? \`
+                        <div class="statistics-section" style="margin-top: 15px;">
+                            <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">
+                                Week Number Distribution
+                                \${createHelpIcon('temporalWeekNumberDistribution')}
+                            </h5>
+                            <div class="stats-container" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));">
+                                \${temporal.distribution.byWeekNumber.map(item => \`
+                                <div class="stat-item">
+                                    <span class="stat-label">\${item.period}</span>
+                                    <span class="stat-value">\${item.count.toLocaleString()}</span>
+                                </div>
+                                \`).join('')}
+                            </div>
+                        </div>
+                        \` : ''}
+                        
+                        \${temporal.distribution && temporal.distribution.byDayType ? \`
+                        <div class="statistics-section" style="margin-top: 15px;">
+                            <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">
+                                Day Type Distribution
+                                \${createHelpIcon('temporalDayTypeDistribution')}
+                            </h5>
+                            <div class="stats-container" style="margin-bottom: 15px; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));">
+                                \${temporal.distribution.byDayType.map(item => \`
+                                <div class="stat-item">
+                                    <span class="stat-label">\${item.period}</span>
+                                    <span class="stat-value">\${item.count.toLocaleString()}</span>
+                                </div>
+                                \`).join('')}
+                            </div>
+                        </div>
+                        \` : ''}
+                        
                         \${temporal.gaps ? \`
                         <div class="statistics-section" style="margin-top: 15px;">
                             <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">Gap Analysis</h5>
@@ -2578,7 +4424,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                                 </div>
                                 <div class="stat-item">
                                     <span class="stat-label">
-                                        Coverage
+                                        Coverage\${temporal.gaps.expectedDays === 'business' ? ' (business days)' : ''}
                                         \${createHelpIcon('temporalCoverage')}
                                     </span>
                                     <span class="stat-value">\${temporal.gaps.coverage.toFixed(1)}%</span>
@@ -2589,7 +4435,7 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                                         Largest Gap
                                         \${createHelpIcon('temporalLargestGap')}
                                     </span>
-                                    <span class="stat-value">\${temporal.gaps.largestGap.days} days</span>
+                                    <span class="stat-value">\${temporal.gaps.largestGap.days} days\${temporal.gaps.largestGap.missingDays !== undefined ? \` (\${temporal.gaps.largestGap.missingDays} expected)\` : ''}</span>
                                 </div>
                                 \` : ''}
                             </div>
@@ -2618,6 +4464,62 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                         </div>
                         \` : ''}
                         
+                        \${temporal.volume && temporal.volume.series.length > 1 ? \`
+                        <div class="statistics-section" style="margin-top: 15px;">
+                            <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">Record Volume</h5>
+                            <div class="volume-chart-container">
+                                <canvas id="volume-chart-\${index}"></canvas>
+                            </div>
+                            <div class="stats-container">
+                                <div class="stat-item">
+                                    <span class="stat-label">
+                                        Anomalies
+                                        \${createHelpIcon('temporalVolumeAnomalies')}
+                                    </span>
+                                    <span class="stat-value">\${temporal.volume.anomalies.spikes} spikes, \${temporal.volume.anomalies.drops} drops</span>
+                                </div>
+                                <div class="stat-item">
+                                    <span class="stat-label">
+                                        Change Points
+                                        \${createHelpIcon('temporalChangePoints')}
+                                    </span>
+                                    <span class="stat-value">\${temporal.volume.changePoints.length}</span>
+                                </div>
+                                \${temporal.seasonality.weekly ? \`
+                                <div class="stat-item">
+                                    <span class="stat-label">
+                                        Weekly Pattern
+                                        \${createHelpIcon('temporalSeasonality')}
+                                    </span>
+                                    <span class="stat-value">\${temporal.seasonality.weekly.description}</span>
+                                </div>
+                                \` : ''}
+                                \${temporal.seasonality.yearly ? \`
+                                <div class="stat-item">
+                                    <span class="stat-label">
+                                        Yearly Pattern
+                                        \${createHelpIcon('temporalSeasonality')}
+                                    </span>
+                                    <span class="stat-value">\${temporal.seasonality.yearly.description}</span>
+                                </div>
+                                \` : ''}
+                            </div>
+                            \${temporal.volume.changePoints.length > 0 ? \`
+                            <ul class="volume-events">
+                                \${temporal.volume.changePoints.map(change => \`<li>\${change.description}</li>\`).join('')}
+                            </ul>
+                            \` : ''}
+                            \${temporal.volume.anomalies.count > 0 ? \`
+                            <ul class="volume-events">
+                                \${temporal.volume.anomalies.periods.map(item => \`
+                                    <li class="\${item.type}">\${item.period}: \${item.count.toLocaleString()} records, \${item.type} against a baseline of \${Math.round(item.baseline).toLocaleString()}</li>
+                                \`).join('')}
+                                \${temporal.volume.anomalies.truncated ? \`<li>… \${temporal.volume.anomalies.count - temporal.volume.anomalies.periods.length} more</li>\` : ''}
+                            </ul>
+                            \` : ''}
+                        </div>
+                        \` : ''}
+                        
                         \${temporal.quality ? \`
                         <div class="statistics-section" style="margin-top: 15px;">
                             <h5 style="margin: 0 0 10px 0; color: var(--vscode-descriptionForeground); font-size: 0.9em;">Data Quality</h5>
@@ -3186,7 +5088,16 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 card.appendChild(tableContainer);
                 
                 resultsDiv.appendChild(card);
-                
+
+                const volumeCanvas = document.getElementById(\`volume-chart-\${index}\`);
+                if (volumeCanvas) {
+                    try {
+                        profilingCharts.push(createVolumeChart(volumeCanvas, fieldResult.temporalAnalysis.volume));
+                    } catch (err) {
+                        logger.error(\`Error creating volume chart for field \${index} (\${fieldResult.fieldName}):\`, err);
+                    }
+                }
+
                 // Create chart - histogram for numeric fields, bar chart for categorical
                 const ctx = canvas.getContext('2d');
                 let chart;
@@ -3507,14 +5418,83 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 });
             }, 100);
             
-            showProfilingStatus(\`✅ Profiling complete for \${results.fields.length} field(s)\`, 'info');
+            if (results.comparison) {
+                resultsDiv.insertBefore(createProfileComparison(results.comparison), resultsDiv.firstChild);
+            }
+            
+            showProfilingStatus(\`✅ \${results.approximate ? 'Approximate profiling' : 'Profiling'} complete for \${results.fields.length} field(s)\`, 'info');
             document.getElementById('export-qvs-btn').style.display = 'inline-block';
+            document.getElementById('export-profile-btn').style.display = 'inline-block';
             } catch (error) {
                 logger.error('Error displaying profiling results:', error);
                 showProfilingStatus(\`❌ Error displaying results: \${error.message}\`, 'warning');
             }
         }
         
+        function createApproximateNotice(fieldResult) {
+            // List the error bounds of the estimates of an approximate profile
+            const bounds = fieldResult.approximate;
+            const lines = [];
+            lines.push(bounds.distinctCount.exact
+                ? 'Unique values and value counts are exact.'
+                : 'Unique values: ' + bounds.distinctCount.low.toLocaleString() + ' to ' +
+                    bounds.distinctCount.high.toLocaleString() + ' (95% confidence). Listed counts may be overestimated by up to ' +
+                    bounds.topValues.maxError.toLocaleString() + ' rows; unlisted values occur at most ' +
+                    bounds.topValues.unlistedMaxCount.toLocaleString() + ' times.');
+            if (bounds.percentiles) {
+                lines.push('Median and percentiles are estimated, rank within ±' +
+                    (Math.max(bounds.percentiles.p10, bounds.percentiles.p50, bounds.percentiles.p90) * 100).toFixed(2) +
+                    '% of the values. Min, max, mean, sum and spread are exact.');
+            }
+            if (bounds.sample.size < bounds.sample.rows) {
+                lines.push('Type detection, text and date analysis use a random sample of ' +
+                    bounds.sample.size.toLocaleString() + ' of ' + bounds.sample.rows.toLocaleString() + ' rows.');
+            }
+            const notice = document.createElement('div');
+            notice.className = 'info-banner approximate-notice';
+            notice.textContent = '≈ Approximate profile. ' + lines.join(' ');
+            return notice;
+        }
+        
+        function createProfileComparison(comparison) {
+            // Table of exact and approximate results, per field
+            const section = document.createElement('div');
+            section.className = 'statistics-card profile-comparison';
+            const title = document.createElement('h4');
+            title.textContent = '⚖️ Exact vs. Approximate';
+            section.appendChild(title);
+            
+            const formatValue = value => value === null || value === undefined
+                ? '—'
+                : typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 4 }) : String(value);
+            const table = document.createElement('table');
+            table.className = 'expectations-table';
+            const headerRow = table.createTHead().insertRow();
+            ['Field', 'Metric', 'Exact', 'Approximate', 'Error Bound', 'Within Bound'].forEach(name => {
+                const th = document.createElement('th');
+                th.textContent = name;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            comparison.forEach(field => {
+                field.metrics.forEach(metric => {
+                    const row = body.insertRow();
+                    row.insertCell().textContent = field.fieldName;
+                    row.insertCell().textContent = metric.metric;
+                    row.insertCell().textContent = formatValue(metric.exact);
+                    row.insertCell().textContent = formatValue(metric.approximate);
+                    row.insertCell().textContent = metric.bound;
+                    const withinCell = row.insertCell();
+                    withinCell.textContent = metric.withinBounds === null ? '—' : metric.withinBounds ? '✅' : '❌';
+                    if (metric.withinBounds === false) {
+                        row.className = 'outside-bounds';
+                    }
+                });
+            });
+            section.appendChild(table);
+            return section;
+        }
+        
         function openProfilingInWindow(fieldResult, displayType) {
             // Send message to extension to open profiling in new window
             vscode.postMessage({
@@ -3531,9 +5511,21 @@ export function getHtmlForWebview(result, webview, context, options = {}) {
                 case 'profilingResults':
                     displayProfilingResults(message.results);
                     break;
+                case 'profilingOverview':
+                    showProfilingOverview(message);
+                    break;
+                case 'relationshipResults':
+                    showRelationships(message.results);
+                    break;
                 case 'profilingError':
                     showProfilingStatus('❌ ' + message.error, 'warning');
                     break;
+                case 'expectationsResults':
+                    displayExpectationsResults(message);
+                    break;
+                case 'personalDataResults':
+                    displayPersonalDataResults(message);
+                    break;
             }
         });
     </script>
@@ -0,0 +1,417 @@
+import { getTabulatorJs, getTabulatorCss, getChartJs } from "../assetLoader.mjs";
+import { escapeHtml } from "./errorTemplate.mjs";
+import {
+  getVisualAnalysisStyles,
+  getFieldAnalysisHtml,
+  getFieldAnalysisScript,
+} from "./visualAnalysisTemplate.mjs";
+import { metricHelpContent } from "../qualityMetricHelp.mjs";
+import {
+  buildLineageRows,
+  buildMetadataRows,
+  buildSchemaRows,
+} from "../headerData.mjs";
+import { buildProfileOverview } from "../../qvdProfiler.mjs";
+
+/**
+ * Light theme values for the VS Code theme variables used by the field
+ * analysis styles, so the report looks the same in any browser
+ */
+const REPORT_THEME = {
+  "font-family":
+    "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif",
+  "font-size": "13px",
+  "editor-font-family": "Consolas, 'Courier New', monospace",
+  foreground: "#1f2328",
+  descriptionForeground: "#59636e",
+  "editor-background": "#ffffff",
+  "panel-border": "#d1d9e0",
+  contrastBorder: "#d1d9e0",
+  "widget-border": "#d1d9e0",
+  "textBlockQuote-background": "#f6f8fa",
+  "input-background": "#ffffff",
+  "input-border": "#d1d9e0",
+  focusBorder: "#0969da",
+  "button-background": "#0969da",
+  "button-foreground": "#ffffff",
+  "button-border": "#0969da",
+  "button-hoverBackground": "#0860ca",
+  "button-secondaryBackground": "#eff2f5",
+  "button-secondaryForeground": "#1f2328",
+  "badge-background": "#ddf4ff",
+  "badge-foreground": "#0969da",
+  "list-activeSelectionBackground": "#eff2f5",
+  "list-activeSelectionForeground": "#1f2328",
+  "list-inactiveSelectionBackground": "#f6f8fa",
+  "list-hoverBackground": "#eaeef2",
+  "list-hoverForeground": "#1f2328",
+  "sideBar-background": "#f6f8fa",
+  "textLink-foreground": "#0969da",
+  "statusBarItem-warningBackground": "#fff8c5",
+  "statusBarItem-warningForeground": "#1f2328",
+  "editorHoverWidget-background": "#ffffff",
+  "editorHoverWidget-border": "#d1d9e0",
+  "editorHoverWidget-foreground": "#1f2328",
+};
+
+/**
+ * Generate a self-contained HTML report of the profile of a QVD file
+ * Libraries, styles and data are inlined, so the report opens offline in
+ * any browser.
+ * @param {string} extensionPath - The extension path
+ * @param {object} report - Report content
+ * @param {string} report.fileName - The QVD file name
+ * @param {object} report.metadata - QVD metadata
+ * @param {Array<object>} report.fieldTypes - Resolved field types (from resolveFieldTypes)
+ * @param {object} report.profile - Profiling results of the fields
+ * @param {Date} report.generatedAt - Time the report was generated (default: now)
+ * @returns {string} HTML content of the report
+ */
+export function getProfilingReportHtml(
+  extensionPath,
+  { fileName, metadata, fieldTypes, profile, generatedAt = new Date() }
+) {
+  const tabulatorJs = getTabulatorJs(extensionPath);
+  const tabulatorCss = getTabulatorCss(extensionPath);
+  const chartJs = getChartJs(extensionPath);
+
+  const totalRows = metadata.noOfRecords;
+  const overview = buildProfileOverview(profile);
+  const lineageRows = buildLineageRows(metadata);
+  const theme = Object.entries(REPORT_THEME)
+    .map(([name, value]) => `--vscode-${name}: ${value};`)
+    .join("\n            ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline';">
+    <title>Profiling Report: ${escapeHtml(fileName)}</title>
+    <style>
+        :root {
+            ${theme}
+        }
+
+        ${tabulatorCss}
+        ${getVisualAnalysisStyles()}
+
+        body {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+
+        h2.report-section {
+            font-size: 1.3em;
+            margin: 30px 0 12px 0;
+            padding-bottom: 6px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+        }
+
+        .report-nav {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px 16px;
+            margin-bottom: 10px;
+        }
+
+        .report-nav a, .report-table a {
+            color: var(--vscode-textLink-foreground);
+        }
+
+        .report-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9em;
+            margin-bottom: 10px;
+        }
+
+        .report-table th, .report-table td {
+            border: 1px solid var(--vscode-panel-border);
+            padding: 4px 8px;
+            text-align: left;
+            vertical-align: top;
+        }
+
+        .report-table th {
+            background-color: var(--vscode-list-activeSelectionBackground);
+        }
+
+        .report-table td.number {
+            text-align: right;
+        }
+
+        .report-table .statement {
+            font-family: var(--vscode-editor-font-family);
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+
+        .field-section {
+            border-top: 2px solid var(--vscode-panel-border);
+            margin-top: 30px;
+            padding-top: 10px;
+        }
+
+        .quality-dot.green {
+            color: #10b981;
+        }
+
+        .quality-dot.yellow {
+            color: #f59e0b;
+        }
+
+        .quality-dot.red {
+            color: #ef4444;
+        }
+
+        .sparkline rect {
+            fill: #3794ff;
+        }
+
+        .metric-help dt {
+            font-weight: 600;
+            margin-top: 10px;
+        }
+
+        .metric-help dd {
+            margin: 4px 0 0 0;
+            white-space: pre-line;
+            color: var(--vscode-descriptionForeground);
+        }
+    </style>
+</head>
+<body>
+    <h1>📊 Profiling Report: ${escapeHtml(fileName)}</h1>
+    <div class="source">
+        ${totalRows.toLocaleString()} rows, ${
+    metadata.fields.length
+  } fields. Generated ${escapeHtml(generatedAt.toISOString())}${
+    profile.approximate ? " from approximate profiles (streaming sketches)" : ""
+  }.
+    </div>
+
+    <nav class="report-nav">
+        <a href="#overview">Overview</a>
+        <a href="#metadata">Header Metadata</a>
+        <a href="#schema">Schema</a>
+        <a href="#lineage">Lineage</a>
+        <a href="#fields">Fields</a>
+        <a href="#metric-help">Metric Explanations</a>
+    </nav>
+
+    <h2 class="report-section" id="overview">📋 Overview</h2>
+    ${renderTable(
+      [
+        "Field",
+        "Type",
+        "Null %",
+        "Distinct",
+        "Cardinality",
+        "Min",
+        "Max",
+        "Top Value",
+        "Quality",
+        "Shape",
+      ],
+      overview.map((row) => [
+        `<a href="#field-${row.index}">${escapeHtml(row.fieldName)}</a>`,
+        escapeHtml(row.type),
+        { html: `${row.nullPercentage.toFixed(1)}%`, number: true },
+        {
+          html: `${
+            profile.approximate ? "≈ " : ""
+          }${row.distinctCount.toLocaleString()}`,
+          number: true,
+        },
+        escapeHtml(row.cardinality || ""),
+        escapeHtml(formatRangeValue(row.min)),
+        escapeHtml(formatRangeValue(row.max)),
+        row.topValue === null
+          ? ""
+          : `${escapeHtml(row.topValue)} (${row.topValuePercentage}%)`,
+        row.qualityScore === null
+          ? ""
+          : `<span class="quality-dot ${escapeHtml(row.qualityColor)}">●</span> ${
+              row.qualityScore
+            }`,
+        renderSparkline(row.sparkline),
+      ])
+    )}
+
+    <h2 class="report-section" id="metadata">🗂️ Header Metadata</h2>
+    ${renderTable(
+      ["Property", "Value"],
+      buildMetadataRows(metadata, totalRows).map((row) => [
+        escapeHtml(row.key),
+        escapeHtml(row.value),
+      ])
+    )}
+
+    <h2 class="report-section" id="schema">🧱 Schema</h2>
+    ${renderTable(
+      [
+        "Name",
+        "Type",
+        "Resolved Type",
+        "Extent",
+        "No. of Symbols",
+        "Offset",
+        "Length",
+        "Bit Offset",
+        "Bit Width",
+        "Bias",
+        "Tags",
+        "Comment",
+      ],
+      buildSchemaRows(metadata, fieldTypes).map((row) => [
+        escapeHtml(row.name),
+        escapeHtml(row.type),
+        escapeHtml(row.resolvedType),
+        escapeHtml(row.extent),
+        { html: row.noOfSymbols.toLocaleString(), number: true },
+        { html: String(row.offset), number: true },
+        { html: String(row.length), number: true },
+        { html: String(row.bitOffset), number: true },
+        { html: String(row.bitWidth), number: true },
+        { html: String(row.bias), number: true },
+        escapeHtml(row.tags),
+        escapeHtml(row.comment),
+      ])
+    )}
+
+    <h2 class="report-section" id="lineage">🔗 Lineage</h2>
+    ${
+      lineageRows.length > 0
+        ? renderTable(
+            ["#", "Discriminator", "Statement"],
+            lineageRows.map((row) => [
+              { html: String(row.index), number: true },
+              escapeHtml(row.discriminator),
+              `<div class="statement">${escapeHtml(row.statement)}</div>`,
+            ])
+          )
+        : `<p>No lineage information available for this QVD file.</p>`
+    }
+
+    <h2 class="report-section" id="fields">🔬 Fields</h2>
+    ${profile.fields
+      .map(
+        (fieldResult, index) => `
+    <section class="field-section" id="field-${index}">
+        <h1>📊 ${escapeHtml(fieldResult.fieldName)}</h1>
+        ${getFieldAnalysisHtml(fieldResult, `field-${index}-`)}
+    </section>`
+      )
+      .join("")}
+
+    <h2 class="report-section" id="metric-help">❓ Metric Explanations</h2>
+    <dl class="metric-help">
+        ${Object.entries(metricHelpContent)
+          .map(
+            ([key, help]) => `
+        <dt>${escapeHtml(describeMetricKey(key))}</dt>
+        <dd>${escapeHtml(help.text)}<br/><a href="${escapeHtml(
+              help.link
+            )}" target="_blank" rel="noopener noreferrer">Learn more →</a></dd>`
+          )
+          .join("")}
+    </dl>
+
+    <script>
+        ${tabulatorJs}
+    </script>
+
+    <script>
+        ${chartJs}
+    </script>
+
+    <script>
+        ${profile.fields
+          .map((fieldResult, index) =>
+            getFieldAnalysisScript(fieldResult, `field-${index}-`)
+          )
+          .join("\n        ")}
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Render a static HTML table
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Array<string|{html: string, number: boolean}>>} rows - Cell HTML per row, as object to right-align numbers
+ * @returns {string} HTML table
+ */
+function renderTable(headers, rows) {
+  const cells = (row) =>
+    row
+      .map((cell) =>
+        typeof cell === "object" && cell.number
+          ? `<td class="number">${cell.html}</td>`
+          : `<td>${typeof cell === "object" ? cell.html : cell}</td>`
+      )
+      .join("");
+  return `<table class="report-table">
+        <thead><tr>${headers
+          .map((header) => `<th>${escapeHtml(header)}</th>`)
+          .join("")}</tr></thead>
+        <tbody>
+            ${rows.map((row) => `<tr>${cells(row)}</tr>`).join("\n            ")}
+        </tbody>
+    </table>`;
+}
+
+/**
+ * Render a sparkline as inline SVG bar chart
+ * @param {{kind: string, values: Array<number>}|null} sparkline - Sparkline of an overview row
+ * @returns {string} SVG element, or empty string without values
+ */
+function renderSparkline(sparkline) {
+  if (!sparkline || sparkline.values.length === 0) {
+    return "";
+  }
+  const width = 100;
+  const height = 20;
+  const max = Math.max(...sparkline.values);
+  const barWidth = width / sparkline.values.length;
+  const bars = sparkline.values
+    .map((value, i) => {
+      const barHeight = max > 0 ? Math.max(1, (value / max) * height) : 0;
+      return `<rect x="${(i * barWidth).toFixed(1)}" y="${(
+        height - barHeight
+      ).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(
+        1
+      )}" height="${barHeight.toFixed(1)}"></rect>`;
+    })
+    .join("");
+  const title =
+    sparkline.kind === "histogram"
+      ? "Histogram of the values"
+      : "Counts of the most frequent values";
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><title>${title}</title>${bars}</svg>`;
+}
+
+/**
+ * Format the min or max of an overview row
+ * @param {*} value - Number, formatted date or text
+ * @returns {string} Display text
+ */
+function formatRangeValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "number" ? value.toLocaleString() : String(value);
+}
+
+/**
+ * Turn a metric help key into a title, e.g. "nonNullPercentage" into
+ * "Non Null Percentage"
+ * @param {string} key - Key of metricHelpContent
+ * @returns {string} Title
+ */
+function describeMetricKey(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, "$1 $2");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
@@ -0,0 +1,450 @@
+import { getNonce } from "../assetLoader.mjs";
+import { escapeHtml } from "./errorTemplate.mjs";
+
+/**
+ * Diagram layout dimensions, in pixels
+ */
+const BOX_WIDTH = 230;
+const HEADER_HEIGHT = 30;
+const FIELD_HEIGHT = 18;
+const MAX_FIELDS_SHOWN = 12;
+const GAP_X = 110;
+const GAP_Y = 90;
+const MARGIN = 20;
+
+/**
+ * Position the table boxes of the data model in a grid
+ * @param {Array<object>} tables - Session tables
+ * @returns {{boxes: Map<string, object>, width: number, height: number}}
+ */
+function layoutTables(tables) {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(tables.length)));
+  const boxes = new Map();
+  let y = MARGIN;
+  let width = 0;
+
+  for (let start = 0; start < tables.length; start += columns) {
+    const row = tables.slice(start, start + columns);
+    let rowHeight = 0;
+    row.forEach((table, column) => {
+      const shownFields = Math.min(table.fields.length, MAX_FIELDS_SHOWN);
+      const moreFields = table.fields.length > MAX_FIELDS_SHOWN ? 1 : 0;
+      const height =
+        HEADER_HEIGHT + (shownFields + moreFields) * FIELD_HEIGHT + 8;
+      const x = MARGIN + column * (BOX_WIDTH + GAP_X);
+      boxes.set(table.name, { x, y, width: BOX_WIDTH, height });
+      rowHeight = Math.max(rowHeight, height);
+      width = Math.max(width, x + BOX_WIDTH + MARGIN);
+    });
+    y += rowHeight + GAP_Y;
+  }
+
+  return { boxes, width, height: y - GAP_Y + MARGIN };
+}
+
+/**
+ * Format a coverage ratio as a percentage
+ * @param {number} ratio - Ratio between 0 and 1
+ * @returns {string} Percentage text
+ */
+function formatCoverage(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Check if the values of a key barely overlap
+ * @param {object} key - Candidate key
+ * @returns {boolean} True if less than half of either side's values match
+ */
+function hasLowOverlap(key) {
+  return (
+    Math.max(key.overlap.leftCoverage, key.overlap.rightCoverage) < 0.5
+  );
+}
+
+/**
+ * Generate the SVG data-model diagram
+ * @param {object} session - Session analysis result
+ * @returns {string} SVG markup
+ */
+function getDiagramSvg(session) {
+  const { boxes, width, height } = layoutTables(session.tables);
+
+  // Keys between the same two tables are drawn side by side
+  const pairCounts = new Map();
+  const links = session.keys.map((key, index) => {
+    const pairId = [key.left.table, key.right.table].sort().join("\u0000");
+    const offsetIndex = pairCounts.get(pairId) || 0;
+    pairCounts.set(pairId, offsetIndex + 1);
+
+    const from = boxes.get(key.left.table);
+    const to = boxes.get(key.right.table);
+    const x1 = from.x + from.width / 2;
+    const y1 = from.y + from.height / 2;
+    const x2 = to.x + to.width / 2;
+    const y2 = to.y + to.height / 2;
+
+    // Shift parallel links perpendicular to their direction
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const shift =
+      (offsetIndex % 2 === 0 ? 1 : -1) * Math.ceil(offsetIndex / 2) * 16;
+    const dx = (-(y2 - y1) / length) * shift;
+    const dy = ((x2 - x1) / length) * shift;
+
+    const classes = [
+      "link",
+      key.qlikAssociation ? "association" : "suggested",
+    ];
+    if (hasLowOverlap(key)) {
+      classes.push("low-overlap");
+    }
+
+    const label = key.qlikAssociation
+      ? `${key.left.field} (${key.cardinality})`
+      : `${key.left.field} → ${key.right.field} (${key.cardinality})`;
+
+    return `<g class="${classes.join(" ")}" data-key-index="${index}">
+            <line x1="${x1 + dx}" y1="${y1 + dy}" x2="${x2 + dx}" y2="${y2 + dy}"></line>
+            <text x="${(x1 + x2) / 2 + dx}" y="${(y1 + y2) / 2 + dy - 4}" text-anchor="middle">${escapeHtml(label)}</text>
+        </g>`;
+  });
+
+  const tableBoxes = session.tables.map((table) => {
+    const box = boxes.get(table.name);
+    const keyFields = new Set(table.keyFields);
+    const fields = table.fields.slice(0, MAX_FIELDS_SHOWN).map((field, i) => {
+      const isKey = keyFields.has(field.name);
+      return `<text class="field${isKey ? " key-field" : ""}" x="${box.x + 10}" y="${
+        box.y + HEADER_HEIGHT + (i + 1) * FIELD_HEIGHT - 4
+      }">${isKey ? "🔑 " : ""}${escapeHtml(field.name)}</text>`;
+    });
+    if (table.fields.length > MAX_FIELDS_SHOWN) {
+      fields.push(
+        `<text class="field more" x="${box.x + 10}" y="${
+          box.y + HEADER_HEIGHT + (MAX_FIELDS_SHOWN + 1) * FIELD_HEIGHT - 4
+        }">… ${table.fields.length - MAX_FIELDS_SHOWN} more fields</text>`
+      );
+    }
+
+    return `<g class="table-box" data-file-path="${escapeHtml(table.filePath)}">
+            <title>${escapeHtml(table.fileName)} - ${table.noOfRecords.toLocaleString()} rows (click to open)</title>
+            <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="4"></rect>
+            <rect class="table-header" x="${box.x}" y="${box.y}" width="${box.width}" height="${HEADER_HEIGHT}" rx="4"></rect>
+            <text class="table-name" x="${box.x + 10}" y="${box.y + 20}">${escapeHtml(table.name)}</text>
+            <text class="table-rows" x="${box.x + box.width - 10}" y="${box.y + 20}" text-anchor="end">${table.noOfRecords.toLocaleString()}</text>
+            ${fields.join("\n            ")}
+        </g>`;
+  });
+
+  return `<svg class="diagram" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+        ${links.join("\n        ")}
+        ${tableBoxes.join("\n        ")}
+    </svg>`;
+}
+
+/**
+ * Generate the table listing all candidate keys
+ * @param {object} session - Session analysis result
+ * @returns {string} HTML table
+ */
+function getKeysTableHtml(session) {
+  if (session.keys.length === 0) {
+    return `<p class="empty">No candidate join keys were found between the selected files.</p>`;
+  }
+
+  const rows = session.keys.map(
+    (key, index) => `<tr data-key-index="${index}" class="${
+      hasLowOverlap(key) ? "low-overlap" : ""
+    }">
+                <td>${escapeHtml(key.left.table)}.<strong>${escapeHtml(key.left.field)}</strong></td>
+                <td>${escapeHtml(key.right.table)}.<strong>${escapeHtml(key.right.field)}</strong></td>
+                <td>${key.qlikAssociation ? "Same field name" : "Suggested"}</td>
+                <td class="cardinality">${key.cardinality}</td>
+                <td class="number">${key.left.distinctValues.toLocaleString()}</td>
+                <td class="number">${key.right.distinctValues.toLocaleString()}</td>
+                <td class="number">${key.overlap.sharedValues.toLocaleString()}</td>
+                <td class="number">${formatCoverage(key.overlap.leftCoverage)}</td>
+                <td class="number">${formatCoverage(key.overlap.rightCoverage)}</td>
+            </tr>`
+  );
+
+  return `<table class="keys-table">
+        <thead>
+            <tr>
+                <th>Field</th>
+                <th>Related field</th>
+                <th>Match</th>
+                <th>Cardinality</th>
+                <th>Distinct (field)</th>
+                <th>Distinct (related)</th>
+                <th>Shared values</th>
+                <th title="Share of the field's distinct values found in the related field">Coverage (field)</th>
+                <th title="Share of the related field's distinct values found in the field">Coverage (related)</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.join("\n            ")}
+        </tbody>
+    </table>`;
+}
+
+/**
+ * Generate HTML for a multi-QVD session webview
+ * @param {object} webview - The webview object
+ * @param {object} session - Session analysis result from analyzeSession()
+ * @returns {string} HTML content for the session
+ */
+export function getSessionHtml(webview, session) {
+  const nonce = getNonce();
+  const totalRows = session.tables.reduce(
+    (sum, table) => sum + table.noOfRecords,
+    0
+  );
+
+  const warnings =
+    session.warnings.length > 0
+      ? `<div class="warnings">
+            <h2>⚠️ Warnings</h2>
+            <ul>
+                ${session.warnings
+                  .map((warning) => `<li>${escapeHtml(warning)}</li>`)
+                  .join("\n                ")}
+            </ul>
+        </div>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${
+      webview.cspSource
+    } 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <title>QVD Session</title>
+    <style nonce="${nonce}">
+        body {
+            font-family: var(--vscode-font-family);
+            color: var(--vscode-foreground);
+            background-color: var(--vscode-editor-background);
+            padding: 20px;
+            margin: 0;
+        }
+
+        h1 {
+            font-size: 1.5em;
+            margin: 0 0 10px 0;
+        }
+
+        h2 {
+            font-size: 1.2em;
+            margin: 25px 0 10px 0;
+            border-bottom: 1px solid var(--vscode-panel-border);
+            padding-bottom: 5px;
+        }
+
+        .source {
+            color: var(--vscode-descriptionForeground);
+            font-size: 0.9em;
+            margin-bottom: 10px;
+        }
+
+        .legend {
+            display: flex;
+            gap: 20px;
+            flex-wrap: wrap;
+            font-size: 0.9em;
+            color: var(--vscode-descriptionForeground);
+            margin-bottom: 10px;
+        }
+
+        .legend-line {
+            display: inline-block;
+            width: 30px;
+            vertical-align: middle;
+            margin-right: 6px;
+            border-top: 2px solid var(--vscode-textLink-foreground);
+        }
+
+        .legend-line.suggested {
+            border-top-style: dashed;
+        }
+
+        .legend-line.low-overlap {
+            border-top-color: var(--vscode-editorWarning-foreground);
+        }
+
+        .diagram-container {
+            overflow: auto;
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+        }
+
+        .diagram text {
+            fill: var(--vscode-foreground);
+            font-family: var(--vscode-font-family);
+            font-size: 12px;
+        }
+
+        .link line {
+            stroke: var(--vscode-textLink-foreground);
+            stroke-width: 2;
+        }
+
+        .link.suggested line {
+            stroke-dasharray: 6 4;
+        }
+
+        .link.low-overlap line {
+            stroke: var(--vscode-editorWarning-foreground);
+        }
+
+        .link text {
+            font-size: 11px;
+            paint-order: stroke;
+            stroke: var(--vscode-editor-background);
+            stroke-width: 4px;
+        }
+
+        .link.highlight line {
+            stroke-width: 4;
+        }
+
+        .table-box {
+            cursor: pointer;
+        }
+
+        .table-box rect {
+            fill: var(--vscode-sideBar-background, var(--vscode-editor-background));
+            stroke: var(--vscode-panel-border);
+        }
+
+        .table-box rect.table-header {
+            fill: var(--vscode-button-background);
+        }
+
+        .table-box:hover rect {
+            stroke: var(--vscode-focusBorder);
+        }
+
+        .diagram .table-name,
+        .diagram .table-rows {
+            fill: var(--vscode-button-foreground);
+            font-weight: bold;
+        }
+
+        .diagram .table-rows {
+            font-weight: normal;
+        }
+
+        .diagram .key-field {
+            font-weight: bold;
+        }
+
+        .diagram .more {
+            fill: var(--vscode-descriptionForeground);
+            font-style: italic;
+        }
+
+        .keys-table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 0.9em;
+        }
+
+        .keys-table th,
+        .keys-table td {
+            text-align: left;
+            padding: 6px 10px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+        }
+
+        .keys-table th {
+            background-color: var(--vscode-editor-inactiveSelectionBackground);
+        }
+
+        .keys-table td.number {
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .keys-table td.cardinality {
+            font-weight: bold;
+        }
+
+        .keys-table tr.low-overlap td {
+            color: var(--vscode-editorWarning-foreground);
+        }
+
+        .keys-table tbody tr:hover {
+            background-color: var(--vscode-list-hoverBackground);
+        }
+
+        .warnings {
+            background-color: var(--vscode-inputValidation-warningBackground);
+            border-left: 4px solid var(--vscode-editorWarning-foreground);
+            padding: 5px 15px;
+            margin: 15px 0;
+            border-radius: 4px;
+        }
+
+        .warnings h2 {
+            border: none;
+            margin: 10px 0 5px 0;
+        }
+
+        .empty {
+            color: var(--vscode-descriptionForeground);
+            font-style: italic;
+        }
+    </style>
+</head>
+<body>
+    <h1>🔗 QVD Session</h1>
+    <div class="source">${session.tables.length} files, ${totalRows.toLocaleString()} rows, ${
+      session.keys.length
+    } candidate keys</div>
+
+    ${warnings}
+
+    <h2>Data Model</h2>
+    <div class="legend">
+        <span><span class="legend-line"></span>Same field name (associated in Qlik)</span>
+        <span><span class="legend-line suggested"></span>Suggested key (related field names)</span>
+        <span><span class="legend-line low-overlap"></span>Less than 50% of the values match</span>
+    </div>
+    <div class="diagram-container">
+        ${getDiagramSvg(session)}
+    </div>
+
+    <h2>Candidate Keys</h2>
+    ${getKeysTableHtml(session)}
+
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+
+        // Open a table's QVD file when its box is clicked
+        document.querySelectorAll('.table-box').forEach((box) => {
+            box.addEventListener('click', () => {
+                vscode.postMessage({
+                    command: 'openQvd',
+                    filePath: box.getAttribute('data-file-path')
+                });
+            });
+        });
+
+        // Highlight the diagram link of a key when hovering its table row
+        document.querySelectorAll('.keys-table tbody tr').forEach((row) => {
+            const link = document.querySelector(
+                '.link[data-key-index="' + row.getAttribute('data-key-index') + '"]'
+            );
+            if (!link) {
+                return;
+            }
+            row.addEventListener('mouseenter', () => link.classList.add('highlight'));
+            row.addEventListener('mouseleave', () => link.classList.remove('highlight'));
+        });
+    </script>
+</body>
+</html>`;
+}
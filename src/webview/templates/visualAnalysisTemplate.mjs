@@ -6,6 +6,7 @@ import {
 } from "../assetLoader.mjs";
 import { escapeHtml } from "./errorTemplate.mjs";
 import { createHelpIconHtml } from "../qualityMetricHelp.mjs";
+import { describeOutlierMethod } from "../../qvdStatistics.mjs";
 
 /**
  * Generate HTML for visual analysis webview
@@ -37,6 +38,37 @@ export function getVisualAnalysisHtml(
     <title>Profiling: ${escapeHtml(fieldResult.fieldName)}</title>
     <style nonce="${nonce}">
         ${tabulatorCss}
+        ${getVisualAnalysisStyles()}
+    </style>
+</head>
+<body>
+    <h1>📊 ${escapeHtml(fieldResult.fieldName)}</h1>
+    <div class="source">Source: ${escapeHtml(qvdFileName)}</div>
+    
+    ${getFieldAnalysisHtml(fieldResult)}
+    
+    <script nonce="${nonce}">
+        ${tabulatorJs}
+    </script>
+    
+    <script nonce="${nonce}">
+        ${chartJs}
+    </script>
+    
+    <script nonce="${nonce}">
+        ${getFieldAnalysisScript(fieldResult)}
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Get the CSS of the field analysis sections
+ * Colors come from the VS Code theme variables.
+ * @returns {string} CSS rules
+ */
+export function getVisualAnalysisStyles() {
+  return `
         
         body {
             font-family: var(--vscode-font-family);
@@ -416,12 +448,37 @@ export function getVisualAnalysisHtml(
             background-color: rgba(245, 158, 11, 0.1);
             border-left: 3px solid #f59e0b;
         }
-    </style>
-</head>
-<body>
-    <h1>📊 ${escapeHtml(fieldResult.fieldName)}</h1>
-    <div class="source">Source: ${escapeHtml(qvdFileName)}</div>
-    
+        
+        .volume-events {
+            margin: 8px 0 0 0;
+            padding-left: 20px;
+            font-size: 0.9em;
+        }
+        
+        .volume-events .spike {
+            color: var(--vscode-errorForeground);
+        }
+        
+        .volume-events .drop {
+            color: var(--vscode-editorWarning-foreground);
+        }
+        
+        .time-heatmap {
+            position: relative;
+            height: 200px;
+        }
+  `;
+}
+
+/**
+ * Generate the HTML of the analysis sections of one field: statistics,
+ * temporal, string and quality analysis, chart and distribution table
+ * @param {object} fieldResult - The field profiling result
+ * @param {string} idPrefix - Prefix of the element IDs, to keep them unique when several fields share a page (default: none)
+ * @returns {string} HTML content for the field analysis
+ */
+export function getFieldAnalysisHtml(fieldResult, idPrefix = "") {
+  return `
     <div class="stats-container">
         <div class="stat-item">
             <span class="stat-label">
@@ -539,6 +596,36 @@ export function getVisualAnalysisHtml(
                 }</span>
             </div>
         </div>
+        
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">Outliers · ${escapeHtml(
+          describeOutlierMethod(fieldResult.statistics.outliers)
+        )}</h3>
+        <div class="stats-container" style="margin-bottom: 15px;">
+            <div class="stat-item">
+                <span class="stat-label">Outliers</span>
+                <span class="stat-value">${
+                  fieldResult.approximate ? "≈ " : ""
+                }${fieldResult.statistics.outliers.count.toLocaleString()} (${fieldResult.statistics.outliers.percentage.toFixed(
+                  2
+                )}%)</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Below / Above</span>
+                <span class="stat-value">${fieldResult.statistics.outliers.lowCount.toLocaleString()} / ${fieldResult.statistics.outliers.highCount.toLocaleString()}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Lower Bound</span>
+                <span class="stat-value">${fieldResult.statistics.outliers.lowerBound.toFixed(
+                  2
+                )}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Upper Bound</span>
+                <span class="stat-value">${fieldResult.statistics.outliers.upperBound.toFixed(
+                  2
+                )}</span>
+            </div>
+        </div>
     </div>
     `
         : ""
@@ -598,13 +685,33 @@ export function getVisualAnalysisHtml(
                   fieldResult.temporalAnalysis.range.format.formatDescription
                 }</span>
             </div>
+            ${
+              fieldResult.temporalAnalysis.calendar
+                ? `
+            <div class="stat-item">
+                <span class="stat-label">
+                    Calendar
+                    ${createHelpIconHtml("temporalCalendar")}
+                </span>
+                <span class="stat-value">${
+                  fieldResult.temporalAnalysis.calendar.description
+                }</span>
+            </div>
+            `
+                : ""
+            }
         </div>
         
         ${
           fieldResult.temporalAnalysis.distribution.byYear.length > 0
             ? `
         <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">
-            Yearly Distribution
+            ${
+              fieldResult.temporalAnalysis.calendar &&
+              fieldResult.temporalAnalysis.calendar.fiscalYearStartMonth > 1
+                ? "Fiscal Year Distribution"
+                : "Yearly Distribution"
+            }
             ${createHelpIconHtml("temporalYearlyDistribution")}
         </h3>
         <div class="stats-container" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));">
@@ -670,6 +777,53 @@ export function getVisualAnalysisHtml(
             : ""
         }
         
+        ${
+          fieldResult.temporalAnalysis.distribution.byWeekNumber &&
+          fieldResult.temporalAnalysis.distribution.byWeekNumber.length > 0
+            ? `
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">
+            Week Number Distribution
+            ${createHelpIconHtml("temporalWeekNumberDistribution")}
+        </h3>
+        <div class="stats-container" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));">
+            ${fieldResult.temporalAnalysis.distribution.byWeekNumber
+              .map(
+                (item) => `
+            <div class="stat-item">
+                <span class="stat-label">${item.period}</span>
+                <span class="stat-value">${item.count.toLocaleString()}</span>
+            </div>
+            `
+              )
+              .join("")}
+        </div>
+        `
+            : ""
+        }
+        
+        ${
+          fieldResult.temporalAnalysis.distribution.byDayType
+            ? `
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">
+            Day Type Distribution
+            ${createHelpIconHtml("temporalDayTypeDistribution")}
+        </h3>
+        <div class="stats-container" style="margin-bottom: 15px; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));">
+            ${fieldResult.temporalAnalysis.distribution.byDayType
+              .map(
+                (item) => `
+            <div class="stat-item">
+                <span class="stat-label">${item.period}</span>
+                <span class="stat-value">${item.count.toLocaleString()}</span>
+            </div>
+            `
+              )
+              .join("")}
+        </div>
+        `
+            : ""
+        }
+        
         ${
           fieldResult.temporalAnalysis.gaps
             ? `
@@ -695,7 +849,12 @@ export function getVisualAnalysisHtml(
             </div>
             <div class="stat-item">
                 <span class="stat-label">
-                    Coverage
+                    Coverage${
+                      fieldResult.temporalAnalysis.gaps.expectedDays ===
+                      "business"
+                        ? " (business days)"
+                        : ""
+                    }
                     ${createHelpIconHtml("temporalCoverage")}
                 </span>
                 <span class="stat-value">${fieldResult.temporalAnalysis.gaps.coverage.toFixed(
@@ -712,7 +871,12 @@ export function getVisualAnalysisHtml(
                 </span>
                 <span class="stat-value">${
                   fieldResult.temporalAnalysis.gaps.largestGap.days
-                } days</span>
+                } days${
+                    fieldResult.temporalAnalysis.gaps.largestGap.missingDays !==
+                    undefined
+                      ? ` (${fieldResult.temporalAnalysis.gaps.largestGap.missingDays} expected)`
+                      : ""
+                  }</span>
             </div>
             `
                 : ""
@@ -751,6 +915,12 @@ export function getVisualAnalysisHtml(
             : ""
         }
         
+        ${getRecordVolumeHtml(fieldResult.temporalAnalysis, idPrefix)}
+        
+        ${getCalendarHeatmapHtml(fieldResult.temporalAnalysis, idPrefix)}
+        
+        ${getTimeOfDayHtml(fieldResult.temporalAnalysis, idPrefix)}
+        
         <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">Data Quality</h3>
         <div class="stats-container">
             <div class="stat-item">
@@ -1370,7 +1540,7 @@ export function getVisualAnalysisHtml(
                       .map(
                         (dup) => `
                     <div style="display: flex; justify-content: space-between; padding: 4px 8px; font-size: 0.85em; border-bottom: 1px solid var(--vscode-panel-border);">
-                        <span>${dup.value}</span>
+                        <span>${escapeHtml(dup.value)}</span>
                         <span>${dup.count.toLocaleString()} (${
                           dup.percentage
                         }%)</span>
@@ -1429,15 +1599,15 @@ export function getVisualAnalysisHtml(
       fieldResult.statistics.isNumeric
         ? `
     <div style="margin: 15px 0; display: flex; gap: 10px; justify-content: center;">
-        <button id="btn-histogram" class="chart-toggle-btn active" style="padding: 8px 16px; border: 1px solid var(--vscode-button-border); background: var(--vscode-button-background); color: var(--vscode-button-foreground); cursor: pointer; border-radius: 3px;">Histogram</button>
-        <button id="btn-frequency" class="chart-toggle-btn" style="padding: 8px 16px; border: 1px solid var(--vscode-button-border); background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); cursor: pointer; border-radius: 3px;">Frequency Chart</button>
+        <button id="${idPrefix}btn-histogram" class="chart-toggle-btn active" style="padding: 8px 16px; border: 1px solid var(--vscode-button-border); background: var(--vscode-button-background); color: var(--vscode-button-foreground); cursor: pointer; border-radius: 3px;">Histogram</button>
+        <button id="${idPrefix}btn-frequency" class="chart-toggle-btn" style="padding: 8px 16px; border: 1px solid var(--vscode-button-border); background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); cursor: pointer; border-radius: 3px;">Frequency Chart</button>
     </div>
     `
         : ""
     }
     
     <div class="chart-container">
-        <canvas id="profiling-chart"></canvas>
+        <canvas id="${idPrefix}profiling-chart"></canvas>
     </div>
     
     <div class="table-container">
@@ -1453,280 +1623,690 @@ export function getVisualAnalysisHtml(
                 : ""
             }
         </div>
-        <div id="profiling-table"></div>
-    </div>
-    
-    <script nonce="${nonce}">
-        ${tabulatorJs}
-    </script>
-    
-    <script nonce="${nonce}">
-        ${chartJs}
-    </script>
-    
-    <script nonce="${nonce}">
-        const fieldResult = ${JSON.stringify(fieldResult)};
-        
-        // Create chart
-        const ctx = document.getElementById('profiling-chart').getContext('2d');
-        let currentChart = null;
-        let currentTable = null;
-        
-        function createHistogram() {
-            if (currentChart) {
-                currentChart.destroy();
-            }
-            
-            const stats = fieldResult.statistics;
-            
-            // Extract numeric values from distribution (unique values only, no expansion)
-            const uniqueNumericValues = [];
-            fieldResult.distributions.forEach(dist => {
-                const value = parseFloat(dist.value);
-                if (!isNaN(value)) {
-                    uniqueNumericValues.push(value);
+        <div id="${idPrefix}profiling-table"></div>
+    </div>`;
+}
+
+/**
+ * Generate the script drawing the chart and distribution table of one field
+ * Requires Chart.js and Tabulator to be loaded on the page.
+ * @param {object} fieldResult - The field profiling result
+ * @param {string} idPrefix - Prefix of the element IDs, as passed to getFieldAnalysisHtml (default: none)
+ * @returns {string} JavaScript code
+ */
+export function getFieldAnalysisScript(fieldResult, idPrefix = "") {
+  return `(function () {
+            const fieldResult = ${toScriptJson(fieldResult)};
+            const outlierMethod = ${toScriptJson(
+              fieldResult.statistics && fieldResult.statistics.outliers
+                ? describeOutlierMethod(fieldResult.statistics.outliers)
+                : null
+            )};
+        
+            // Create chart
+            const ctx = document.getElementById('${idPrefix}profiling-chart').getContext('2d');
+            let currentChart = null;
+            let currentTable = null;
+        
+            function createHistogram() {
+                if (currentChart) {
+                    currentChart.destroy();
                 }
-            });
             
-            if (uniqueNumericValues.length === 0) {
-                return;
-            }
+                const stats = fieldResult.statistics;
             
-            // Use min/max from the actual values in distribution, not theoretical stats
-            const min = Math.min(...uniqueNumericValues);
-            const max = Math.max(...uniqueNumericValues);
+                // Extract numeric values from distribution (unique values only, no expansion)
+                const uniqueNumericValues = [];
+                fieldResult.distributions.forEach(dist => {
+                    const value = parseFloat(dist.value);
+                    if (!isNaN(value)) {
+                        uniqueNumericValues.push(value);
+                    }
+                });
             
-            // Use total count for bin calculation (excluding nulls)
-            const totalCount = fieldResult.totalRows - fieldResult.nullCount;
-            const binCount = Math.min(20, Math.ceil(Math.sqrt(totalCount)));
-            const binWidth = (max - min) / binCount;
+                if (uniqueNumericValues.length === 0) {
+                    return;
+                }
             
-            // Initialize bins
-            const bins = Array(binCount).fill(0);
-            const binLabels = [];
+                // Use min/max from the actual values in distribution, not theoretical stats
+                const min = Math.min(...uniqueNumericValues);
+                const max = Math.max(...uniqueNumericValues);
             
-            // Create bin labels
-            for (let i = 0; i < binCount; i++) {
-                const binStart = min + i * binWidth;
-                const binEnd = min + (i + 1) * binWidth;
-                binLabels.push(\`\${binStart.toFixed(1)}-\${binEnd.toFixed(1)}\`);
-            }
+                // Use total count for bin calculation (excluding nulls)
+                const totalCount = fieldResult.totalRows - fieldResult.nullCount;
+                const binCount = Math.min(20, Math.ceil(Math.sqrt(totalCount)));
+                const binWidth = (max - min) / binCount;
             
-            // Count values in each bin using distribution counts
-            fieldResult.distributions.forEach(dist => {
-                const value = parseFloat(dist.value);
-                if (!isNaN(value)) {
-                    let binIndex;
-                    if (binWidth === 0) {
-                        binIndex = 0;
-                    } else {
-                        binIndex = Math.floor((value - min) / binWidth);
-                        if (binIndex >= binCount) binIndex = binCount - 1;
-                    }
-                    bins[binIndex] += dist.count;
+                // Initialize bins, counting outliers apart so they stand out
+                const bins = Array(binCount).fill(0);
+                const outlierBins = Array(binCount).fill(0);
+                const binLabels = [];
+                const outliers = stats && stats.outliers ? stats.outliers : null;
+                const isOutlier = (value) => outliers !== null &&
+                    (value < outliers.lowerBound || value > outliers.upperBound);
+            
+                // Create bin labels
+                for (let i = 0; i < binCount; i++) {
+                    const binStart = min + i * binWidth;
+                    const binEnd = min + (i + 1) * binWidth;
+                    binLabels.push(\`\${binStart.toFixed(1)}-\${binEnd.toFixed(1)}\`);
                 }
-            });
             
-            currentChart = new Chart(ctx, {
-                type: 'bar',
-                data: {
-                    labels: binLabels,
-                    datasets: [{
-                        label: 'Frequency',
-                        data: bins,
-                        backgroundColor: 'rgba(75, 192, 192, 0.6)',
-                        borderColor: 'rgba(75, 192, 192, 1)',
-                        borderWidth: 1
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    plugins: {
-                        legend: {
-                            display: false
-                        },
-                        title: {
-                            display: true,
-                            text: 'Histogram: Value Distribution',
-                            color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                // Count values in each bin using distribution counts
+                fieldResult.distributions.forEach(dist => {
+                    const value = parseFloat(dist.value);
+                    if (!isNaN(value)) {
+                        let binIndex;
+                        if (binWidth === 0) {
+                            binIndex = 0;
+                        } else {
+                            binIndex = Math.floor((value - min) / binWidth);
+                            if (binIndex >= binCount) binIndex = binCount - 1;
                         }
+                        if (isOutlier(value)) {
+                            outlierBins[binIndex] += dist.count;
+                        } else {
+                            bins[binIndex] += dist.count;
+                        }
+                    }
+                });
+                const hasOutliers = outlierBins.some(count => count > 0);
+            
+                currentChart = new Chart(ctx, {
+                    type: 'bar',
+                    data: {
+                        labels: binLabels,
+                        datasets: [{
+                            label: 'Frequency',
+                            data: bins,
+                            backgroundColor: 'rgba(75, 192, 192, 0.6)',
+                            borderColor: 'rgba(75, 192, 192, 1)',
+                            borderWidth: 1
+                        }, {
+                            label: 'Outliers',
+                            data: outlierBins,
+                            backgroundColor: 'rgba(255, 99, 132, 0.6)',
+                            borderColor: 'rgba(255, 99, 132, 1)',
+                            borderWidth: 1
+                        }]
                     },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
-                            },
-                            grid: {
-                                color: 'rgba(128, 128, 128, 0.2)'
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: true,
+                        plugins: {
+                            legend: {
+                                display: hasOutliers,
+                                labels: {
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                                }
                             },
                             title: {
                                 display: true,
-                                text: 'Frequency',
+                                text: outliers === null
+                                    ? 'Histogram: Value Distribution'
+                                    : ['Histogram: Value Distribution', 'Outliers by ' + outlierMethod + ': below ' +
+                                        outliers.lowerBound.toFixed(2) + ' or above ' + outliers.upperBound.toFixed(2)],
                                 color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
                             }
                         },
-                        x: {
-                            ticks: {
-                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground'),
-                                maxRotation: 45,
-                                minRotation: 45
-                            },
-                            grid: {
-                                color: 'rgba(128, 128, 128, 0.2)'
+                        scales: {
+                            y: {
+                                stacked: true,
+                                beginAtZero: true,
+                                ticks: {
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                                },
+                                grid: {
+                                    color: 'rgba(128, 128, 128, 0.2)'
+                                },
+                                title: {
+                                    display: true,
+                                    text: 'Frequency',
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                                }
                             },
-                            title: {
-                                display: true,
-                                text: 'Value Range',
-                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                            x: {
+                                stacked: true,
+                                ticks: {
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground'),
+                                    maxRotation: 45,
+                                    minRotation: 45
+                                },
+                                grid: {
+                                    color: 'rgba(128, 128, 128, 0.2)'
+                                },
+                                title: {
+                                    display: true,
+                                    text: 'Value Range',
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                                }
                             }
                         }
                     }
-                }
-            });
+                });
             
-            // Update table with histogram data (using totalCount already declared above)
-            const histogramData = binLabels.map((label, i) => {
-                // Split the range label into from and to
-                const [from, to] = label.split('-');
-                return {
-                    from: from,
-                    to: to,
-                    count: bins[i],
-                    percentage: totalCount > 0 ? ((bins[i] / totalCount) * 100).toFixed(2) : '0.00'
-                };
-            });
+                // Update table with histogram data (using totalCount already declared above)
+                const histogramData = binLabels.map((label, i) => {
+                    // Split the range label into from and to
+                    const [from, to] = label.split('-');
+                    const count = bins[i] + outlierBins[i];
+                    return {
+                        from: from,
+                        to: to,
+                        count: count,
+                        outliers: outlierBins[i],
+                        percentage: totalCount > 0 ? ((count / totalCount) * 100).toFixed(2) : '0.00'
+                    };
+                });
             
-            if (currentTable) {
-                currentTable.destroy();
-            }
+                if (currentTable) {
+                    currentTable.destroy();
+                }
             
-            currentTable = new Tabulator('#profiling-table', {
-                data: histogramData,
-                columns: [
-                    { title: 'From', field: 'from', headerSort: true, widthGrow: 1 },
-                    { title: 'To', field: 'to', headerSort: true, widthGrow: 1 },
-                    { title: 'Count', field: 'count', headerSort: true, widthGrow: 1 },
-                    { title: 'Percentage', field: 'percentage', headerSort: true, widthGrow: 1, 
-                      formatter: (cell) => cell.getValue() + '%' }
-                ],
-                layout: 'fitDataStretch',
-                pagination: true,
-                paginationSize: 50,
-                paginationSizeSelector: [25, 50, 100],
-                paginationCounter: 'rows',
-                resizableColumns: true
-            });
-        }
-        
-        function createFrequencyChart() {
-            if (currentChart) {
-                currentChart.destroy();
+                currentTable = new Tabulator('#${idPrefix}profiling-table', {
+                    data: histogramData,
+                    columns: [
+                        { title: 'From', field: 'from', headerSort: true, widthGrow: 1 },
+                        { title: 'To', field: 'to', headerSort: true, widthGrow: 1 },
+                        { title: 'Count', field: 'count', headerSort: true, widthGrow: 1 },
+                        { title: 'Outliers', field: 'outliers', headerSort: true, widthGrow: 1 },
+                        { title: 'Percentage', field: 'percentage', headerSort: true, widthGrow: 1, 
+                          formatter: (cell) => cell.getValue() + '%' }
+                    ],
+                    layout: 'fitDataStretch',
+                    pagination: true,
+                    paginationSize: 50,
+                    paginationSizeSelector: [25, 50, 100],
+                    paginationCounter: 'rows',
+                    resizableColumns: true
+                });
             }
+        
+            function createFrequencyChart() {
+                if (currentChart) {
+                    currentChart.destroy();
+                }
             
-            const topN = Math.min(20, fieldResult.distributions.length);
-            const chartData = fieldResult.distributions.slice(0, topN);
+                const topN = Math.min(20, fieldResult.distributions.length);
+                const chartData = fieldResult.distributions.slice(0, topN);
             
-            currentChart = new Chart(ctx, {
-                type: 'bar',
-                data: {
-                    labels: chartData.map(d => d.value),
-                    datasets: [{
-                        label: 'Count',
-                        data: chartData.map(d => d.count),
-                        backgroundColor: 'rgba(54, 162, 235, 0.6)',
-                        borderColor: 'rgba(54, 162, 235, 1)',
-                        borderWidth: 1
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: true,
-                    plugins: {
-                        legend: {
-                            display: false
-                        },
-                        title: {
-                            display: true,
-                            text: \`Top \${topN} Values by Frequency\`,
-                            color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
-                        }
+                currentChart = new Chart(ctx, {
+                    type: 'bar',
+                    data: {
+                        labels: chartData.map(d => d.value),
+                        datasets: [{
+                            label: 'Count',
+                            data: chartData.map(d => d.count),
+                            backgroundColor: 'rgba(54, 162, 235, 0.6)',
+                            borderColor: 'rgba(54, 162, 235, 1)',
+                            borderWidth: 1
+                        }]
                     },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: true,
+                        plugins: {
+                            legend: {
+                                display: false
                             },
-                            grid: {
-                                color: 'rgba(128, 128, 128, 0.2)'
+                            title: {
+                                display: true,
+                                text: \`Top \${topN} Values by Frequency\`,
+                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
                             }
                         },
-                        x: {
-                            ticks: {
-                                color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground'),
-                                maxRotation: 45,
-                                minRotation: 45
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                ticks: {
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground')
+                                },
+                                grid: {
+                                    color: 'rgba(128, 128, 128, 0.2)'
+                                }
                             },
-                            grid: {
-                                color: 'rgba(128, 128, 128, 0.2)'
+                            x: {
+                                ticks: {
+                                    color: getComputedStyle(document.body).getPropertyValue('--vscode-foreground'),
+                                    maxRotation: 45,
+                                    minRotation: 45
+                                },
+                                grid: {
+                                    color: 'rgba(128, 128, 128, 0.2)'
+                                }
                             }
                         }
                     }
+                });
+            
+                // Update table with frequency data
+                if (currentTable) {
+                    currentTable.destroy();
                 }
-            });
             
-            // Update table with frequency data
-            if (currentTable) {
-                currentTable.destroy();
+                currentTable = new Tabulator('#${idPrefix}profiling-table', {
+                    data: fieldResult.distributions,
+                    columns: [
+                        { title: 'Value', field: 'value', headerSort: true, widthGrow: 2 },
+                        { title: 'Count', field: 'count', headerSort: true, widthGrow: 1 },
+                        { title: 'Percentage', field: 'percentage', headerSort: true, widthGrow: 1, 
+                          formatter: (cell) => cell.getValue() + '%' }
+                    ],
+                    layout: 'fitDataStretch',
+                    pagination: true,
+                    paginationSize: 50,
+                    paginationSizeSelector: [25, 50, 100],
+                    paginationCounter: 'rows',
+                    resizableColumns: true
+                });
             }
-            
-            currentTable = new Tabulator('#profiling-table', {
-                data: fieldResult.distributions,
-                columns: [
-                    { title: 'Value', field: 'value', headerSort: true, widthGrow: 2 },
-                    { title: 'Count', field: 'count', headerSort: true, widthGrow: 1 },
-                    { title: 'Percentage', field: 'percentage', headerSort: true, widthGrow: 1, 
-                      formatter: (cell) => cell.getValue() + '%' }
-                ],
-                layout: 'fitDataStretch',
-                pagination: true,
-                paginationSize: 50,
-                paginationSizeSelector: [25, 50, 100],
-                paginationCounter: 'rows',
-                resizableColumns: true
-            });
-        }
-        
-        // Create initial chart based on field type
-        if (fieldResult.isNumeric && fieldResult.statistics && fieldResult.statistics.isNumeric) {
-            createHistogram();
-            
-            // Add event listeners for chart toggle buttons
-            document.getElementById('btn-histogram').addEventListener('click', function() {
+        
+            // Records per period of date fields, with the rolling baseline
+            // dashed, spikes red, drops orange and change points as triangles
+            const volumeCanvas = document.getElementById('${idPrefix}volume-chart');
+            if (volumeCanvas) {
+                const volume = fieldResult.temporalAnalysis.volume;
+                const foreground = getComputedStyle(document.body).getPropertyValue('--vscode-foreground');
+                const changePeriods = new Set(volume.changePoints.map(point => point.period));
+                const pointColor = point => point.anomaly === 'spike'
+                    ? 'rgba(255, 99, 132, 1)'
+                    : point.anomaly === 'drop' ? 'rgba(255, 159, 64, 1)' : 'rgba(54, 162, 235, 1)';
+                new Chart(volumeCanvas.getContext('2d'), {
+                    type: 'line',
+                    data: {
+                        labels: volume.series.map(point => point.period),
+                        datasets: [{
+                            label: 'Records',
+                            data: volume.series.map(point => point.count),
+                            borderColor: 'rgba(54, 162, 235, 1)',
+                            backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                            borderWidth: 1,
+                            pointRadius: volume.series.map(point =>
+                                point.anomaly || changePeriods.has(point.period) ? 4 : 0),
+                            pointStyle: volume.series.map(point =>
+                                changePeriods.has(point.period) ? 'triangle' : 'circle'),
+                            pointBackgroundColor: volume.series.map(pointColor),
+                            pointBorderColor: volume.series.map(pointColor)
+                        }, {
+                            label: 'Baseline',
+                            data: volume.series.map(point => point.baseline),
+                            borderColor: 'rgba(128, 128, 128, 0.8)',
+                            borderDash: [4, 4],
+                            borderWidth: 1,
+                            pointRadius: 0
+                        }]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: true,
+                        interaction: { mode: 'index', intersect: false },
+                        plugins: {
+                            legend: { labels: { color: foreground } },
+                            title: {
+                                display: true,
+                                text: 'Records per ' + volume.granularity,
+                                color: foreground
+                            },
+                            tooltip: {
+                                callbacks: {
+                                    afterBody: items => {
+                                        const point = volume.series[items[0].dataIndex];
+                                        const notes = point.anomaly ? [point.anomaly === 'spike' ? 'Spike' : 'Drop'] : [];
+                                        volume.changePoints
+                                            .filter(change => change.period === point.period)
+                                            .forEach(change => notes.push(change.description));
+                                        return notes;
+                                    }
+                                }
+                            }
+                        },
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                ticks: { color: foreground },
+                                grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                            },
+                            x: {
+                                ticks: { color: foreground, maxRotation: 45, minRotation: 45 },
+                                grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                            }
+                        }
+                    }
+                });
+            }
+        
+            // Heatmap cells are square points on two category axes, shaded
+            // from grey (no records) to blue by their share of the busiest cell
+            function createHeatmap(canvas, { points, xLabels, yLabels, xTick, title, label }) {
+                const foreground = getComputedStyle(document.body).getPropertyValue('--vscode-foreground');
+                const max = Math.max(...points.map(point => point.count));
+                const cellColor = count => count === 0
+                    ? 'rgba(128, 128, 128, 0.15)'
+                    : 'rgba(54, 162, 235, ' + (0.2 + (0.8 * count) / max).toFixed(2) + ')';
+                const cellRadius = context => {
+                    const area = context.chart.chartArea;
+                    return area
+                        ? Math.max(1, Math.min(area.width / xLabels.length, area.height / yLabels.length) / 2 - 1)
+                        : 4;
+                };
+                const axis = (labels, ticks) => ({
+                    type: 'category',
+                    labels: labels,
+                    offset: true,
+                    grid: { display: false },
+                    ticks: { color: foreground, maxRotation: 0, ...ticks }
+                });
+                new Chart(canvas.getContext('2d'), {
+                    type: 'scatter',
+                    data: {
+                        datasets: [{
+                            data: points,
+                            pointStyle: 'rect',
+                            pointRadius: cellRadius,
+                            pointHoverRadius: cellRadius,
+                            backgroundColor: context => cellColor(context.raw ? context.raw.count : 0),
+                            borderWidth: 0
+                        }]
+                    },
+                    options: {
+                        maintainAspectRatio: false,
+                        responsive: true,
+                        animation: false,
+                        scales: {
+                            x: axis(xLabels, xTick ? { autoSkip: false, callback: (value, index) => xTick(index) } : {}),
+                            y: axis(yLabels, { autoSkip: false })
+                        },
+                        plugins: {
+                            legend: { display: false },
+                            title: { display: true, text: title, color: foreground },
+                            tooltip: { callbacks: { label: context => label(context.raw) } }
+                        }
+                    }
+                });
+            }
+        
+            // Records per day of the last year, one column per week (named by
+            // its first day) with the month shown below its first week
+            const calendarCanvas = document.getElementById('${idPrefix}calendar-heatmap');
+            if (calendarCanvas) {
+                const heatmap = fieldResult.temporalAnalysis.calendarHeatmap;
+                const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+                const weeks = [];
+                const monthTicks = [];
+                heatmap.days.forEach((day, i) => {
+                    if (weeks.length === day.week) {
+                        weeks.push(day.date);
+                        monthTicks.push('');
+                    }
+                    if (i === 0 || day.date.slice(8) === '01') {
+                        monthTicks[day.week] = monthNames[Number(day.date.slice(5, 7)) - 1];
+                    }
+                });
+                const weekdays = heatmap.weekdays.map(day => day.slice(0, 3));
+                createHeatmap(calendarCanvas, {
+                    points: heatmap.days.map(day => ({
+                        x: weeks[day.week],
+                        y: weekdays[day.weekday],
+                        count: day.count,
+                        date: day.date
+                    })),
+                    xLabels: weeks,
+                    yLabels: weekdays,
+                    xTick: index => monthTicks[index],
+                    title: heatmap.start + ' to ' + heatmap.end + (heatmap.truncated ? ' (last year of data)' : ''),
+                    label: point => point.date + ': ' + point.count.toLocaleString() + ' records'
+                });
+            }
+        
+            // Records per hour of day, and per weekday and hour
+            const hourCanvas = document.getElementById('${idPrefix}hour-chart');
+            if (hourCanvas) {
+                const timeOfDay = fieldResult.temporalAnalysis.timeOfDay;
+                const foreground = getComputedStyle(document.body).getPropertyValue('--vscode-foreground');
+                const hours = timeOfDay.byHour.map((count, hour) => String(hour).padStart(2, '0'));
+                new Chart(hourCanvas.getContext('2d'), {
+                    type: 'bar',
+                    data: {
+                        labels: hours,
+                        datasets: [{
+                            label: 'Records',
+                            data: timeOfDay.byHour,
+                            backgroundColor: 'rgba(54, 162, 235, 0.6)',
+                            borderColor: 'rgba(54, 162, 235, 1)',
+                            borderWidth: 1
+                        }]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: true,
+                        plugins: {
+                            legend: { display: false },
+                            title: { display: true, text: 'Records per hour of day', color: foreground }
+                        },
+                        scales: {
+                            y: {
+                                beginAtZero: true,
+                                ticks: { color: foreground },
+                                grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                            },
+                            x: {
+                                ticks: { color: foreground },
+                                grid: { color: 'rgba(128, 128, 128, 0.2)' }
+                            }
+                        }
+                    }
+                });
+        
+                const days = timeOfDay.weekdayHour.days.map(day => day.slice(0, 3));
+                const points = [];
+                timeOfDay.weekdayHour.counts.forEach((row, day) => {
+                    row.forEach((count, hour) => points.push({ x: hours[hour], y: days[day], count: count }));
+                });
+                createHeatmap(document.getElementById('${idPrefix}weekday-hour-heatmap'), {
+                    points: points,
+                    xLabels: hours,
+                    yLabels: days,
+                    title: 'Records per weekday and hour',
+                    label: point => point.y + ' ' + point.x + ':00: ' + point.count.toLocaleString() + ' records'
+                });
+            }
+        
+            // Create initial chart based on field type
+            if (fieldResult.isNumeric && fieldResult.statistics && fieldResult.statistics.isNumeric) {
                 createHistogram();
-                document.querySelectorAll('.chart-toggle-btn').forEach(btn => btn.classList.remove('active'));
-                this.classList.add('active');
-                this.style.background = 'var(--vscode-button-background)';
-                this.style.color = 'var(--vscode-button-foreground)';
-                document.getElementById('btn-frequency').style.background = 'var(--vscode-button-secondaryBackground)';
-                document.getElementById('btn-frequency').style.color = 'var(--vscode-button-secondaryForeground)';
-            });
             
-            document.getElementById('btn-frequency').addEventListener('click', function() {
+                // Add event listeners for chart toggle buttons
+                document.getElementById('${idPrefix}btn-histogram').addEventListener('click', function() {
+                    createHistogram();
+                    document.querySelectorAll('#${idPrefix}btn-histogram, #${idPrefix}btn-frequency').forEach(btn => btn.classList.remove('active'));
+                    this.classList.add('active');
+                    this.style.background = 'var(--vscode-button-background)';
+                    this.style.color = 'var(--vscode-button-foreground)';
+                    document.getElementById('${idPrefix}btn-frequency').style.background = 'var(--vscode-button-secondaryBackground)';
+                    document.getElementById('${idPrefix}btn-frequency').style.color = 'var(--vscode-button-secondaryForeground)';
+                });
+            
+                document.getElementById('${idPrefix}btn-frequency').addEventListener('click', function() {
+                    createFrequencyChart();
+                    document.querySelectorAll('#${idPrefix}btn-histogram, #${idPrefix}btn-frequency').forEach(btn => btn.classList.remove('active'));
+                    this.classList.add('active');
+                    this.style.background = 'var(--vscode-button-background)';
+                    this.style.color = 'var(--vscode-button-foreground)';
+                    document.getElementById('${idPrefix}btn-histogram').style.background = 'var(--vscode-button-secondaryBackground)';
+                    document.getElementById('${idPrefix}btn-histogram').style.color = 'var(--vscode-button-secondaryForeground)';
+                });
+            } else {
                 createFrequencyChart();
-                document.querySelectorAll('.chart-toggle-btn').forEach(btn => btn.classList.remove('active'));
-                this.classList.add('active');
-                this.style.background = 'var(--vscode-button-background)';
-                this.style.color = 'var(--vscode-button-foreground)';
-                document.getElementById('btn-histogram').style.background = 'var(--vscode-button-secondaryBackground)';
-                document.getElementById('btn-histogram').style.color = 'var(--vscode-button-secondaryForeground)';
-            });
-        } else {
-            createFrequencyChart();
+            }
+        })();`;
+}
+
+/**
+ * Generate the HTML of the record volume of a date field: chart canvas,
+ * anomaly and change point counts, seasonality and the listed events
+ * @param {object} temporal - Temporal analysis of the field
+ * @param {string} idPrefix - Prefix of the element IDs
+ * @returns {string} HTML content, empty when there is no volume series
+ */
+function getRecordVolumeHtml(temporal, idPrefix) {
+  const volume = temporal.volume;
+  if (!volume || volume.series.length < 2) {
+    return "";
+  }
+  const { weekly, yearly } = temporal.seasonality;
+  const patternItem = (label, pattern) =>
+    pattern
+      ? `
+            <div class="stat-item">
+                <span class="stat-label">
+                    ${label}
+                    ${createHelpIconHtml("temporalSeasonality")}
+                </span>
+                <span class="stat-value">${pattern.description}</span>
+            </div>`
+      : "";
+  const anomalies = volume.anomalies;
+  const more = anomalies.count - anomalies.periods.length;
+  return `
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">Record Volume</h3>
+        <div class="chart-container" style="margin-bottom: 15px;">
+            <canvas id="${idPrefix}volume-chart"></canvas>
+        </div>
+        <div class="stats-container" style="margin-bottom: 15px;">
+            <div class="stat-item">
+                <span class="stat-label">
+                    Anomalies
+                    ${createHelpIconHtml("temporalVolumeAnomalies")}
+                </span>
+                <span class="stat-value">${anomalies.spikes} spikes, ${
+    anomalies.drops
+  } drops</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">
+                    Change Points
+                    ${createHelpIconHtml("temporalChangePoints")}
+                </span>
+                <span class="stat-value">${volume.changePoints.length}</span>
+            </div>
+            ${patternItem("Weekly Pattern", weekly)}
+            ${patternItem("Yearly Pattern", yearly)}
+        </div>
+        ${
+          volume.changePoints.length > 0
+            ? `<ul class="volume-events">${volume.changePoints
+                .map((change) => `<li>${change.description}</li>`)
+                .join("")}</ul>`
+            : ""
         }
-    </script>
-</body>
-</html>`;
+        ${
+          anomalies.count > 0
+            ? `<ul class="volume-events">${anomalies.periods
+                .map(
+                  (item) =>
+                    `<li class="${item.type}">${
+                      item.period
+                    }: ${item.count.toLocaleString()} records, ${
+                      item.type
+                    } against a baseline of ${Math.round(
+                      item.baseline
+                    ).toLocaleString()}</li>`
+                )
+                .join("")}${
+                anomalies.truncated ? `<li>… ${more} more</li>` : ""
+              }</ul>`
+            : ""
+        }`;
+}
+
+/**
+ * Generate the HTML of the calendar heatmap of a date field
+ * @param {object} temporal - Temporal analysis of the field
+ * @param {string} idPrefix - Prefix of the element IDs
+ * @returns {string} HTML content, empty when there is no heatmap
+ */
+function getCalendarHeatmapHtml(temporal, idPrefix) {
+  const heatmap = temporal.calendarHeatmap;
+  if (!heatmap) {
+    return "";
+  }
+  return `
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">
+            Records per Day
+            ${createHelpIconHtml("temporalCalendarHeatmap")}
+        </h3>
+        <div class="chart-container" style="margin-bottom: 15px;">
+            <div class="time-heatmap">
+                <canvas id="${idPrefix}calendar-heatmap"></canvas>
+            </div>
+        </div>`;
+}
+
+/**
+ * Generate the HTML of the time of day of a timestamp field: hour
+ * histogram, weekday by hour heatmap and suspicious time patterns
+ * @param {object} temporal - Temporal analysis of the field
+ * @param {string} idPrefix - Prefix of the element IDs
+ * @returns {string} HTML content, empty for date-only fields
+ */
+function getTimeOfDayHtml(temporal, idPrefix) {
+  const timeOfDay = temporal.timeOfDay;
+  if (!timeOfDay) {
+    return "";
+  }
+  return `
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">Time of Day</h3>
+        <div class="stats-container" style="margin-bottom: 15px;">
+            <div class="stat-item">
+                <span class="stat-label">
+                    At Midnight
+                    ${createHelpIconHtml("temporalMidnight")}
+                </span>
+                <span class="stat-value">${timeOfDay.midnightPercentage.toFixed(
+                  1
+                )}%</span>
+            </div>
+            ${
+              timeOfDay.topTime
+                ? `
+            <div class="stat-item">
+                <span class="stat-label">
+                    Most Common Time
+                    ${createHelpIconHtml("temporalTopTime")}
+                </span>
+                <span class="stat-value">${
+                  timeOfDay.topTime.time
+                } (${timeOfDay.topTime.percentage.toFixed(1)}%)</span>
+            </div>
+            `
+                : ""
+            }
+        </div>
+        ${timeOfDay.patterns
+          .map(
+            (pattern) =>
+              `<div class="quality-issue-item warning">⚠️ ${pattern.description}</div>`
+          )
+          .join("")}
+        <div class="chart-container" style="margin-bottom: 15px;">
+            <canvas id="${idPrefix}hour-chart"></canvas>
+        </div>
+        <h3 style="margin: 15px 0 10px 0; font-size: 1em; color: var(--vscode-descriptionForeground);">
+            Weekday by Hour
+            ${createHelpIconHtml("temporalWeekdayHour")}
+        </h3>
+        <div class="chart-container" style="margin-bottom: 15px;">
+            <div class="time-heatmap">
+                <canvas id="${idPrefix}weekday-hour-heatmap"></canvas>
+            </div>
+        </div>`;
+}
+
+/**
+ * Serialize a value as JSON that can be embedded in a script element
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON with "<" escaped, so values cannot close the script element
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
 }
@@ -0,0 +1,217 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import CLI and reader modules
+let commands;
+let qvdRandomAccessReader;
+
+suite("CLI Test Suite", () => {
+  const colorsFile = path.join(
+    __dirname,
+    "..",
+    "test-data",
+    "lego",
+    "colors.qvd"
+  );
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    commands = await import("../src/cli/commands.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-cli-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createStream() {
+    return {
+      text: "",
+      write(chunk) {
+        this.text += chunk;
+      },
+    };
+  }
+
+  async function run(...args) {
+    const stdout = createStream();
+    const stderr = createStream();
+    const exitCode = await commands.runCli(args, { stdout, stderr });
+    return { exitCode, stdout: stdout.text, stderr: stderr.text };
+  }
+
+  test("schema and profile write JSON, Markdown and HTML reports", async () => {
+    const schema = await run("schema", colorsFile);
+    assert.strictEqual(schema.exitCode, 0);
+    const parsed = JSON.parse(schema.stdout);
+    assert.strictEqual(parsed.tableName, "colors");
+    assert.strictEqual(parsed.noOfRecords, 135);
+    assert.deepStrictEqual(
+      parsed.fields.map((field) => [field.name, field.storageType]),
+      [
+        ["id", "Dual (integer)"],
+        ["name", "Text"],
+        ["rgb", "Mixed (Text, Dual (integer), Dual (double))"],
+        ["is_trans", "Text"],
+      ]
+    );
+
+    const profile = await run(
+      "profile",
+      colorsFile,
+      "--fields",
+      "is_trans,id",
+      "--max-rows",
+      "100",
+      "--format",
+      "markdown"
+    );
+    assert.strictEqual(profile.exitCode, 0);
+    assert.ok(profile.stdout.startsWith("# Profiling: colors.qvd\n"));
+    assert.ok(profile.stdout.includes("| Rows Profiled | 100 |"));
+    assert.ok(profile.stdout.includes("## is_trans"));
+    assert.ok(profile.stdout.includes("| Min | -1 |"));
+
+    const output = path.join(tempDir, "profile.html");
+    const html = await run(
+      "profile",
+      colorsFile,
+      "--fields",
+      "name",
+      "-f",
+      "html",
+      "-o",
+      output
+    );
+    assert.strictEqual(html.exitCode, 0);
+    assert.strictEqual(html.stdout, "");
+    assert.ok(fs.readFileSync(output, "utf8").includes("<h2>name</h2>"));
+  });
+
+  test("profile exports a versioned JSON document", async () => {
+    const output = path.join(tempDir, "colors_profile.json");
+    const result = await run(
+      "profile",
+      colorsFile,
+      "--fields",
+      "name,is_trans",
+      "--to",
+      "json",
+      "-o",
+      output
+    );
+    assert.strictEqual(result.exitCode, 0);
+    assert.ok(result.stderr.includes(`Profile written to ${output}`));
+
+    const document = JSON.parse(fs.readFileSync(output, "utf8"));
+    assert.strictEqual(document.schemaVersion, 1);
+    assert.strictEqual(document.source.fileName, "colors.qvd");
+    assert.deepStrictEqual(
+      document.fields.map((field) => field.name),
+      ["name", "is_trans"]
+    );
+
+    const unsupported = await run("profile", colorsFile, "--to", "pdf");
+    assert.strictEqual(unsupported.exitCode, 2);
+    assert.ok(unsupported.stderr.includes("Unsupported profile export format"));
+  });
+
+  test("convert exports without VS Code", async () => {
+    const output = path.join(tempDir, "colors.qvd");
+    const result = await run(
+      "convert",
+      colorsFile,
+      "--to",
+      "qvd",
+      "-o",
+      output
+    );
+    assert.strictEqual(result.exitCode, 0);
+    assert.ok(result.stderr.includes("100%"));
+
+    const reader = new qvdRandomAccessReader.default(output);
+    const metadata = await reader.open();
+    assert.strictEqual(metadata.noOfRecords, 135);
+
+    const csv = await run(
+      "convert",
+      colorsFile,
+      "-t",
+      "csv",
+      "-o",
+      path.join(tempDir, "colors.csv"),
+      "--quiet"
+    );
+    assert.strictEqual(csv.exitCode, 0);
+    assert.strictEqual(csv.stderr, "");
+  });
+
+  test("diff exits with 1 when files differ", async () => {
+    const same = await run("diff", colorsFile, colorsFile, "--key", "id");
+    assert.strictEqual(same.exitCode, 0);
+    assert.strictEqual(JSON.parse(same.stdout).rows.summary.unchanged, 135);
+
+    const copy = path.join(tempDir, "copy.qvd");
+    await run("convert", colorsFile, "--to", "qvd", "-o", copy, "-q");
+    const changed = await run("diff", colorsFile, copy, "-f", "markdown");
+    assert.strictEqual(changed.exitCode, 1);
+    assert.ok(changed.stdout.includes("## Header Changes"));
+  });
+
+  test("pii scans several files for personal data", async () => {
+    const result = await run("pii", colorsFile, colorsFile);
+    assert.strictEqual(result.exitCode, 0);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.sensitivity, "none");
+    assert.deepStrictEqual(
+      report.files.map((file) => [file.fileName, file.fieldsScanned]),
+      [
+        ["colors.qvd", 4],
+        ["colors.qvd", 4],
+      ]
+    );
+
+    const markdown = await run("pii", colorsFile, "-f", "markdown");
+    assert.ok(markdown.stdout.startsWith("# Sensitivity Report: colors.qvd"));
+    assert.ok(markdown.stdout.includes("No personal data found"));
+
+    const none = await run("pii");
+    assert.strictEqual(none.exitCode, 2);
+    assert.ok(none.stderr.includes("pii expects at least 1 QVD file"));
+  });
+
+  test("Errors exit with 2", async () => {
+    const missing = await run("schema", path.join(tempDir, "missing.qvd"));
+    assert.strictEqual(missing.exitCode, 2);
+    assert.ok(missing.stderr.startsWith("Error: "));
+
+    assert.strictEqual((await run("convert", colorsFile)).exitCode, 2);
+    assert.strictEqual(
+      (await run("convert", colorsFile, "--to", "docx")).exitCode,
+      2
+    );
+    assert.strictEqual(
+      (await run("profile", colorsFile, "--fields", "nope")).exitCode,
+      2
+    );
+    assert.strictEqual(
+      (await run("schema", colorsFile, "--format", "pdf")).exitCode,
+      2
+    );
+    const fiscal = await run("profile", colorsFile, "--fiscal-year-start", "13");
+    assert.strictEqual(fiscal.exitCode, 2);
+    assert.ok(fiscal.stderr.includes("Invalid --fiscal-year-start value: 13"));
+    assert.strictEqual((await run("unknown", colorsFile)).exitCode, 2);
+    assert.strictEqual((await run("--bogus")).exitCode, 2);
+    assert.strictEqual((await run()).exitCode, 2);
+
+    const help = await run("--help");
+    assert.strictEqual(help.exitCode, 0);
+    assert.ok(help.stdout.startsWith("Usage: ctrlq-qvd"));
+  });
+});
@@ -518,4 +518,37 @@ suite("Data Quality Metrics Test Suite", () => {
       assert.strictEqual(metrics.cardinality.level, "Low");
     });
   });
+
+  suite("Uniqueness From Value Counts", () => {
+    test("Streamed value counts give the same metrics as rows", () => {
+      const data = [
+        { field: "a" },
+        { field: "a" },
+        { field: "b" },
+        { field: "c" },
+        { field: "c" },
+        { field: "c" },
+      ];
+      const valueCounts = new Map([
+        ["a", 2],
+        ["b", 1],
+        ["c", 3],
+      ]);
+
+      const fromCounts = qvdDataQuality.calculateUniquenessFromCounts(
+        valueCounts,
+        3,
+        data.length
+      );
+      const fromRows = qvdDataQuality.calculateUniquenessMetrics(
+        data,
+        "field",
+        3
+      );
+
+      assert.deepStrictEqual(fromCounts, fromRows);
+      assert.strictEqual(fromCounts.duplicateCount, 5);
+      assert.strictEqual(fromCounts.topDuplicates[0].value, "c");
+    });
+  });
 });
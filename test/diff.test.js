@@ -0,0 +1,228 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import diff, row source, reader and exporter modules
+let qvdDiff;
+let qvdRowSource;
+let qvdRandomAccessReader;
+let qvdExporter;
+
+suite("QVD Diff Test Suite", () => {
+  const colorsFile = path.join(
+    __dirname,
+    "..",
+    "test-data",
+    "lego",
+    "colors.qvd"
+  );
+  let tempDir;
+  let modifiedFile;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdDiff = await import("../src/qvdDiff.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-diff-"));
+
+    // Copy of colors.qvd with a changed header, one renamed color
+    // (id 0 "Black" -> "Blakk") and one changed key (id 15 -> 16).
+    // Replacements keep the symbol lengths, so the offsets stay valid.
+    let buffer = fs.readFileSync(colorsFile);
+    const replace = (from, to) => {
+      const index = buffer.indexOf(from);
+      assert.ok(index >= 0, "Pattern not found in test file");
+      buffer = Buffer.concat([
+        buffer.subarray(0, index),
+        to,
+        buffer.subarray(index + from.length),
+      ]);
+    };
+    replace(
+      Buffer.from("<CreateUtcTime>2025-10-20 12:06:46"),
+      Buffer.from("<CreateUtcTime>2025-11-01 08:00:00")
+    );
+    replace(
+      Buffer.from("<Type>UNKNOWN</Type>"),
+      Buffer.from("<Type>INTEGER</Type>")
+    );
+    replace(Buffer.from("\x04Black\x00"), Buffer.from("\x04Blakk\x00"));
+    replace(
+      Buffer.from([5, 15, 0, 0, 0, 0x31, 0x35, 0]),
+      Buffer.from([5, 16, 0, 0, 0, 0x31, 0x36, 0])
+    );
+
+    modifiedFile = path.join(tempDir, "colors_modified.qvd");
+    fs.writeFileSync(modifiedFile, buffer);
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("Identical files have no differences", async () => {
+    const diff = await qvdDiff.compareQvdFiles(colorsFile, colorsFile, {
+      keyField: "id",
+    });
+
+    assert.deepStrictEqual(diff.headerChanges, []);
+    assert.strictEqual(diff.schema.changed.length, 0);
+    assert.strictEqual(diff.schema.unchangedCount, 4);
+    assert.strictEqual(diff.rows.summary.unchanged, 135);
+    assert.strictEqual(diff.rows.summary.changed, 0);
+    assert.strictEqual(diff.rows.truncated, false);
+  });
+
+  test("Header, number format and row changes", async () => {
+    const diff = await qvdDiff.compareQvdFiles(colorsFile, modifiedFile, {
+      keyField: "id",
+    });
+
+    assert.deepStrictEqual(diff.headerChanges, [
+      {
+        property: "createUtcTime",
+        label: "Created (UTC)",
+        before: "2025-10-20 12:06:46",
+        after: "2025-11-01 08:00:00",
+      },
+    ]);
+
+    assert.strictEqual(diff.schema.changed.length, 1);
+    assert.strictEqual(diff.schema.changed[0].name, "id");
+    assert.deepStrictEqual(
+      diff.schema.changed[0].changes.map((change) => change.property),
+      ["Number Format"]
+    );
+    assert.ok(diff.schema.changed[0].changes[0].after.startsWith("INTEGER"));
+
+    const { summary } = diff.rows;
+    assert.strictEqual(summary.changed, 1);
+    assert.strictEqual(summary.inserted, 1);
+    assert.strictEqual(summary.deleted, 1);
+    assert.strictEqual(summary.unchanged, 133);
+
+    assert.deepStrictEqual(diff.rows.changed[0].changedFields, ["name"]);
+    assert.strictEqual(diff.rows.changed[0].before.name, "Black");
+    assert.strictEqual(diff.rows.changed[0].after.name, "Blakk");
+    // Rows are read with their dual values
+    assert.strictEqual(diff.rows.deleted[0].id.text, "15");
+    assert.strictEqual(diff.rows.inserted[0].id.number, 16);
+  });
+
+  test("Schema comparison - added, removed and retyped fields", () => {
+    const field = (name, type = "UNKNOWN") => ({
+      name,
+      noOfSymbols: 1,
+      numberFormat: { type },
+      tags: [],
+      comment: "",
+    });
+    const metadataA = { fields: [field("a"), field("b"), field("c")] };
+    const metadataB = { fields: [field("a"), field("c", "REAL"), field("d")] };
+
+    const schema = qvdDiff.compareSchemas(
+      metadataA,
+      metadataB,
+      new Map([["a", "Integer"]]),
+      new Map([["a", "Text"]])
+    );
+
+    assert.deepStrictEqual(
+      schema.added.map((f) => f.name),
+      ["d"]
+    );
+    assert.deepStrictEqual(
+      schema.removed.map((f) => f.name),
+      ["b"]
+    );
+    assert.deepStrictEqual(
+      schema.changed.map((f) => [f.name, f.changes[0].property]),
+      [
+        ["a", "Storage Type"],
+        ["c", "Number Format"],
+      ]
+    );
+    assert.strictEqual(
+      qvdDiff.describeSymbolTypes([1, 4]),
+      "Mixed (Integer, Text)"
+    );
+  });
+
+  test("Row comparison - dual values compare their text and number", async () => {
+    const { QvdDual } = qvdRandomAccessReader;
+    const write = async (name, rows) => {
+      const filePath = path.join(tempDir, name);
+      await qvdExporter.exportToQvd(
+        qvdRowSource.arrayRowSource(rows),
+        filePath
+      );
+      return filePath;
+    };
+    const before = await write("duals_before.qvd", [
+      { id: 1, rating: new QvdDual(3, "High") },
+      { id: 2, rating: new QvdDual(1, "Low") },
+      { id: 3, rating: new QvdDual(2, "Mid") },
+    ]);
+    const after = await write("duals_after.qvd", [
+      { id: 1, rating: new QvdDual(3, "Top") },
+      { id: 2, rating: new QvdDual(0, "Low") },
+      { id: 3, rating: new QvdDual(2, "Mid") },
+    ]);
+
+    const diff = await qvdDiff.compareQvdFiles(before, after, {
+      keyField: "id",
+    });
+    assert.strictEqual(diff.rows.summary.changed, 2);
+    assert.strictEqual(diff.rows.summary.unchanged, 1);
+    assert.deepStrictEqual(
+      diff.rows.changed.map((change) => change.changedFields),
+      [["rating"], ["rating"]]
+    );
+    assert.strictEqual(String(diff.rows.changed[0].after.rating), "Top");
+  });
+
+  test("Row comparison - duplicate and NULL keys, row limit", async () => {
+    const before = qvdRowSource.arrayRowSource([
+      { id: 1, value: "a" },
+      { id: 2, value: "b" },
+      { id: 2, value: "duplicate" },
+      { id: 3, value: "c" },
+    ]);
+    const after = qvdRowSource.arrayRowSource([
+      { id: "1", value: "a" },
+      { id: 2, value: "B" },
+      { id: null, value: "no key" },
+      { id: 4, value: "d" },
+      { id: 5, value: "e" },
+    ]);
+
+    const result = await qvdDiff.compareRows(before, after, "id", {
+      maxRows: 1,
+    });
+
+    assert.deepStrictEqual(result.summary, {
+      rowsA: 4,
+      rowsB: 5,
+      unchanged: 1,
+      changed: 1,
+      inserted: 2,
+      deleted: 1,
+      duplicateKeysA: 1,
+      duplicateKeysB: 0,
+      nullKeysA: 0,
+      nullKeysB: 1,
+    });
+    assert.strictEqual(result.inserted.length, 1);
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.changed[0].before.value, "b");
+
+    await assert.rejects(
+      qvdDiff.compareRows(before, after, "missing"),
+      /must exist in both files/
+    );
+  });
+});
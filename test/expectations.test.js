@@ -0,0 +1,221 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import expectations, row source, reader and exporter modules
+let qvdExpectations;
+let qvdRowSource;
+let qvdRandomAccessReader;
+let qvdExporter;
+
+suite("Data Expectations Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdExpectations = await import("../src/qvdExpectations.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-expectations-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const data = [
+    { OrderID: 1, Amount: 10, Country: "SE", CustomerID: "C1" },
+    { OrderID: 2, Amount: -5, Country: "NO", CustomerID: null },
+    { OrderID: 2, Amount: 2e6, Country: "US", CustomerID: "C3" },
+    { OrderID: 4, Amount: null, Country: "DK", CustomerID: "" },
+  ];
+
+  test("Expectations are read per QVD file from the YAML file", async () => {
+    const yamlText = [
+      "Orders.QVD:",
+      "  - expect: unique",
+      "    field: OrderID",
+      "other.qvd:",
+      "  - expect: notNull",
+      "    field: Name",
+    ].join("\n");
+    fs.writeFileSync(
+      path.join(tempDir, qvdExpectations.EXPECTATIONS_FILE_NAME),
+      yamlText
+    );
+
+    assert.deepStrictEqual(
+      await qvdExpectations.loadExpectations(path.join(tempDir, "orders.qvd")),
+      [{ expect: "unique", field: "OrderID" }]
+    );
+    assert.deepStrictEqual(
+      qvdExpectations.parseExpectations(yamlText, "missing.qvd"),
+      []
+    );
+    assert.strictEqual(
+      await qvdExpectations.loadExpectations(
+        path.join(tempDir, "nested", "orders.qvd")
+      ),
+      null
+    );
+    assert.throws(
+      () => qvdExpectations.parseExpectations("orders.qvd: 5", "orders.qvd"),
+      /must be a list/
+    );
+  });
+
+  test("Field expectations report failures with sample rows", async () => {
+    const expectations = [
+      { expect: "unique", field: "OrderID" },
+      { expect: "between", field: "Amount", min: 0, max: 1e6 },
+      { expect: "inList", field: "Country", values: ["SE", "NO", "DK"] },
+      { expect: "notNull", field: "CustomerID" },
+      { expect: "matches", field: "CustomerID", pattern: "^C\\d$" },
+    ];
+    const summary = await qvdExpectations.evaluateExpectations(
+      qvdRowSource.arrayRowSource(data, null, 3),
+      expectations,
+      { sampleSize: 1 }
+    );
+
+    assert.strictEqual(summary.rowCount, 4);
+    assert.strictEqual(summary.passed, 1);
+    assert.strictEqual(summary.failed, 4);
+    assert.deepStrictEqual(
+      summary.results.map((result) => [
+        result.description,
+        result.status,
+        result.failedCount,
+      ]),
+      [
+        ["OrderID is unique", "failed", 1],
+        ["Amount between 0 and 1000000", "failed", 2],
+        ["Country in (SE, NO, DK)", "failed", 1],
+        ["CustomerID has no NULL values", "failed", 2],
+        ["CustomerID matches /^C\\d$/", "passed", 0],
+      ]
+    );
+    assert.deepStrictEqual(summary.results[0].samples, [
+      { rowNumber: 3, row: data[2] },
+    ]);
+    assert.strictEqual(summary.results[1].samples.length, 1);
+    assert.strictEqual(summary.results[1].message, "2 of 4 rows failed");
+  });
+
+  test("Unique expectations count the symbol indices of the QVD file", async () => {
+    const filePath = path.join(tempDir, "unique.qvd");
+    const rows = [
+      ...data,
+      { OrderID: 2, Amount: 1, Country: "SE", CustomerID: "C1" },
+    ];
+    await qvdExporter.exportToQvd(qvdRowSource.arrayRowSource(rows), filePath);
+    const reader = new qvdRandomAccessReader.default(filePath);
+    const metadata = await reader.open();
+    const columns = metadata.fields.map((field) => field.name);
+    const source = qvdRowSource.createRowSource({
+      columns,
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(2),
+      metadata,
+      storedColumns: columns,
+    });
+    const expectations = [
+      { expect: "unique", field: "OrderID" },
+      { expect: "unique", field: "CustomerID" },
+      { expect: "unique", field: "Amount" },
+      { expect: "notNull", field: "CustomerID" },
+    ];
+
+    const summary = await qvdExpectations.evaluateExpectations(
+      source,
+      expectations,
+      { reader, sampleSize: 1 }
+    );
+    const expected = await qvdExpectations.evaluateExpectations(
+      qvdRowSource.arrayRowSource(await reader.readRows(0, 5)),
+      expectations,
+      { sampleSize: 1 }
+    );
+    assert.deepStrictEqual(
+      summary.results.map((result) => [result.status, result.failedCount]),
+      [
+        ["failed", 2],
+        ["failed", 1],
+        ["passed", 0],
+        ["failed", 2],
+      ]
+    );
+    assert.deepStrictEqual(summary.results, expected.results);
+    assert.deepStrictEqual(summary.results[0].samples, [
+      { rowNumber: 3, row: (await reader.readRows(2, 1))[0] },
+    ]);
+  });
+
+  test("Row count expectations and invalid expectations", async () => {
+    const source = qvdRowSource.arrayRowSource(data);
+    const expectations = [
+      { expect: "rowCount", min: 1 },
+      { expect: "rowCountChange", maxPercent: 10 },
+      { expect: "between", field: "Amount" },
+      { expect: "unique", field: "Missing" },
+      { expect: "sorted", field: "OrderID" },
+      { expect: "matches", field: "CustomerID", pattern: "C", flags: "gi" },
+    ];
+
+    const first = await qvdExpectations.evaluateExpectations(
+      source,
+      expectations
+    );
+    assert.deepStrictEqual(
+      first.results.map((result) => result.status),
+      ["passed", "skipped", "error", "error", "error", "error"]
+    );
+    assert.strictEqual(first.results[2].message, "Specify min, max or both");
+    assert.strictEqual(first.results[3].message, 'Unknown field "Missing"');
+    assert.match(first.results[4].message, /^Unknown expectation "sorted"/);
+    assert.strictEqual(
+      first.results[5].message,
+      "flags g and y are not supported"
+    );
+
+    const grown = await qvdExpectations.evaluateExpectations(
+      source,
+      expectations.slice(0, 2),
+      { previousRowCount: 3 }
+    );
+    assert.strictEqual(grown.results[1].status, "failed");
+    assert.strictEqual(
+      grown.results[1].message,
+      "4 rows, +33.3% compared to 3 rows in the previous version"
+    );
+    const stable = await qvdExpectations.evaluateExpectations(
+      source,
+      expectations.slice(1, 2),
+      { previousRowCount: 4 }
+    );
+    assert.strictEqual(stable.results[0].status, "passed");
+  });
+
+  test("Row count baseline only moves on for a new version of the file", () => {
+    const advance = qvdExpectations.advanceRowCountBaseline;
+
+    const first = advance(null, "2024-03-01 06:00:00", 100);
+    assert.strictEqual(first.previousRowCount, null);
+
+    // Opening or refreshing the same version keeps comparing with nothing
+    const reopened = advance(first.baseline, "2024-03-01 06:00:00", 100);
+    assert.strictEqual(reopened.previousRowCount, null);
+
+    const reloaded = advance(reopened.baseline, "2024-03-02 06:00:00", 130);
+    assert.strictEqual(reloaded.previousRowCount, 100);
+    const refreshed = advance(reloaded.baseline, "2024-03-02 06:00:00", 130);
+    assert.strictEqual(refreshed.previousRowCount, 100);
+    assert.deepStrictEqual(refreshed.baseline, reloaded.baseline);
+
+    const next = advance(refreshed.baseline, "2024-03-03 06:00:00", 90);
+    assert.strictEqual(next.previousRowCount, 130);
+  });
+});
@@ -68,6 +68,47 @@ suite("Extension Test Suite", () => {
     );
   });
 
+  test("QVD Reader - Page-Based Loading", async () => {
+    const reader = new QvdReader();
+    const testFilePath = path.join(
+      __dirname,
+      "..",
+      "test-data",
+      "stockholm_temp",
+      "stockholm_temp.qvd"
+    );
+
+    const full = await reader.read(testFilePath, 300);
+    const page = await reader.readPage(testFilePath, 2, 100);
+
+    assert.strictEqual(page.error, null);
+    assert.strictEqual(page.page, 2);
+    assert.strictEqual(page.data.length, 100);
+    assert.strictEqual(page.totalRows, full.totalRows);
+    assert.deepStrictEqual(page.columns, full.columns);
+    assert.deepStrictEqual(page.data, full.data.slice(200, 300));
+  });
+
+  test("QVD Reader - Page Beyond End of File", async () => {
+    const reader = new QvdReader();
+    const testFilePath = path.join(
+      __dirname,
+      "..",
+      "test-data",
+      "lego",
+      "colors.qvd"
+    );
+
+    // colors.qvd has 135 rows - page 1 of size 100 holds the last 35
+    const lastPage = await reader.readPage(testFilePath, 1, 100);
+    assert.strictEqual(lastPage.error, null);
+    assert.strictEqual(lastPage.data.length, 35);
+
+    const pastEnd = await reader.readPage(testFilePath, 5, 100);
+    assert.strictEqual(pastEnd.error, null);
+    assert.strictEqual(pastEnd.data.length, 0);
+  });
+
   test("Extension Activation", async () => {
     // Check that the extension is activated
     const ext = vscode.extensions.getExtension(
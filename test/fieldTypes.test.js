@@ -0,0 +1,199 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import field type, row source, reader and exporter modules
+let fieldTypes;
+let qvdRowSource;
+let qvdRandomAccessReader;
+let exportStream;
+let qvdExporter;
+let postgresExporter;
+let parquetExporter;
+
+suite("Field Types Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    fieldTypes = await import("../src/qvdFieldTypes.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    exportStream = await import("../src/exporters/exportStream.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    postgresExporter = await import("../src/exporters/postgresExporter.mjs");
+    parquetExporter = await import("../src/exporters/parquetExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-types-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createMemento() {
+    return {
+      store: {},
+      get(key, defaultValue) {
+        return key in this.store ? this.store[key] : defaultValue;
+      },
+      async update(key, value) {
+        if (value === undefined) {
+          delete this.store[key];
+        } else {
+          this.store[key] = value;
+        }
+      },
+    };
+  }
+
+  async function createDatedQvd() {
+    const data = [
+      { id: 1, day: new Date(Date.UTC(2024, 1, 29)), code: "A1" },
+      { id: 2, day: new Date(Date.UTC(2024, 2, 1)), code: "B2" },
+      { id: 3, day: null, code: "C3" },
+    ];
+    const filePath = path.join(tempDir, "dated.qvd");
+    await qvdExporter.exportToQvd(qvdRowSource.arrayRowSource(data), filePath);
+    const reader = new qvdRandomAccessReader.default(filePath);
+    const metadata = await reader.open();
+    return qvdRowSource.createRowSource({
+      columns: metadata.fields.map((field) => field.name),
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(2),
+      metadata,
+    });
+  }
+
+  test("Types come from overrides, then tags, then number format, then values", () => {
+    const { FIELD_TYPES, TYPE_SOURCES, resolveFieldType, describeResolvedType } =
+      fieldTypes;
+    const data = [{ a: "1", b: "x" }, { a: "2", b: "y" }];
+
+    const tagged = { name: "a", tags: ["$numeric", "$date"] };
+    assert.deepStrictEqual(resolveFieldType(tagged), {
+      field: "a",
+      type: FIELD_TYPES.DATE,
+      source: TYPE_SOURCES.TAGS,
+      isKey: false,
+    });
+    assert.strictEqual(
+      describeResolvedType(resolveFieldType(tagged)),
+      "date (from tags)"
+    );
+
+    const formatted = { name: "a", tags: [], numberFormat: { type: "MONEY" } };
+    assert.strictEqual(resolveFieldType(formatted).type, FIELD_TYPES.NUMBER);
+    assert.strictEqual(
+      resolveFieldType(formatted).source,
+      TYPE_SOURCES.NUMBER_FORMAT
+    );
+
+    const untagged = { name: "a", numberFormat: { type: "UNKNOWN" } };
+    assert.strictEqual(resolveFieldType(untagged).type, null);
+    assert.strictEqual(
+      resolveFieldType(untagged, data).type,
+      FIELD_TYPES.INTEGER
+    );
+    assert.strictEqual(
+      resolveFieldType({ name: "b" }, data).type,
+      FIELD_TYPES.TEXT
+    );
+    assert.strictEqual(
+      describeResolvedType(
+        resolveFieldType({ name: "a", tags: ["$key", "$integer"] })
+      ),
+      "integer, key (from tags)"
+    );
+
+    const overridden = { ...tagged, typeOverride: FIELD_TYPES.TEXT };
+    assert.strictEqual(resolveFieldType(overridden).type, FIELD_TYPES.TEXT);
+    assert.strictEqual(
+      describeResolvedType(resolveFieldType(overridden)),
+      "text (set by user)"
+    );
+  });
+
+  test("Overrides are stored per file in workspace state", async () => {
+    const { applyTypeOverrides, getTypeOverrides, setTypeOverride } =
+      fieldTypes;
+    const memento = createMemento();
+
+    assert.deepStrictEqual(getTypeOverrides(memento, "/a.qvd"), {});
+    await setTypeOverride(memento, "/a.qvd", "code", "integer");
+    await setTypeOverride(memento, "/a.qvd", "day", "date");
+    assert.deepStrictEqual(getTypeOverrides(memento, "/a.qvd"), {
+      code: "integer",
+      day: "date",
+    });
+    assert.deepStrictEqual(getTypeOverrides(memento, "/b.qvd"), {});
+
+    const metadata = { fields: [{ name: "code" }, { name: "other" }] };
+    const applied = applyTypeOverrides(
+      metadata,
+      getTypeOverrides(memento, "/a.qvd")
+    );
+    assert.deepStrictEqual(applied.fields, [
+      { name: "code", typeOverride: "integer" },
+      { name: "other" },
+    ]);
+    assert.deepStrictEqual(metadata.fields[0], { name: "code" });
+
+    await setTypeOverride(memento, "/a.qvd", "code", null);
+    await setTypeOverride(memento, "/a.qvd", "day", null);
+    assert.deepStrictEqual(memento.store, {});
+
+    await assert.rejects(
+      setTypeOverride(memento, "/a.qvd", "code", "blob"),
+      /Unknown field type: blob/
+    );
+  });
+
+  test("Exports use the resolved types of the QVD header", async () => {
+    const source = await createDatedQvd();
+    const types = await exportStream.resolveColumnTypes(source);
+    assert.strictEqual(types.id.type, "integer");
+    assert.strictEqual(types.day.type, "date");
+    assert.strictEqual(types.day.nullable, true);
+    assert.strictEqual(types.code.type, "text");
+
+    assert.deepStrictEqual(
+      exportStream.toExportValue(45351, "date"),
+      new Date(Date.UTC(2024, 1, 29))
+    );
+    assert.deepStrictEqual(
+      exportStream.toExportValue(45351.5, "timestamp"),
+      new Date(Date.UTC(2024, 1, 29, 12))
+    );
+    assert.strictEqual(exportStream.toExportValue("n/a", "integer"), null);
+    assert.strictEqual(exportStream.toExportValue(12, "text"), "12");
+
+    const sqlFile = path.join(tempDir, "dated.sql");
+    await postgresExporter.exportToPostgres(source, sqlFile, 0, {
+      createTable: true,
+      tableName: "dated",
+    });
+    const sql = fs.readFileSync(sqlFile, "utf8");
+    assert.ok(sql.includes('"day" DATE,'), sql);
+    assert.ok(sql.includes("'2024-02-29'"), sql);
+
+    // A type chosen by the user wins over the header
+    const overridden = fieldTypes.withTypeOverrides(source, { id: "text" });
+    assert.strictEqual(
+      (await exportStream.resolveColumnTypes(overridden)).id.type,
+      "text"
+    );
+
+    const parquetFile = path.join(tempDir, "dated.parquet");
+    await parquetExporter.exportToParquet(source, parquetFile);
+    const parquet = require("parquetjs");
+    const reader = await parquet.ParquetReader.openFile(parquetFile);
+    try {
+      assert.strictEqual(reader.getSchema().fields.day.originalType, "DATE");
+      assert.strictEqual(reader.getSchema().fields.id.primitiveType, "INT64");
+    } finally {
+      await reader.close();
+    }
+  });
+});
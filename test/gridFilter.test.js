@@ -0,0 +1,381 @@
+const assert = require("assert");
+const path = require("path");
+
+// Import grid filter and row source modules
+let qvdGridFilter;
+let qvdRowSource;
+let qvdRandomAccessReader;
+
+suite("Grid Filter Test Suite", () => {
+  const colorsFile = path.join(
+    __dirname,
+    "..",
+    "test-data",
+    "lego",
+    "colors.qvd"
+  );
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdGridFilter = await import("../src/qvdGridFilter.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+  });
+
+  async function collect(source) {
+    const rows = [];
+    for await (const row of source.rows()) {
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  const data = [
+    { id: 3, name: "Red", code: null },
+    { id: 1, name: "red wine", code: "RW" },
+    { id: 2, name: "Blue", code: "B" },
+    { id: 4, name: "Green", code: "" },
+  ];
+
+  test("Search predicate and comparator match the grid", () => {
+    const predicate = qvdGridFilter.createSearchPredicate("RED");
+    assert.deepStrictEqual(
+      data.filter(predicate).map((row) => row.id),
+      [3, 1]
+    );
+    assert.strictEqual(qvdGridFilter.createSearchPredicate(""), null);
+
+    const comparator = qvdGridFilter.createRowComparator([
+      { field: "code", dir: "asc" },
+      { field: "id", dir: "desc" },
+    ]);
+    assert.deepStrictEqual(
+      [...data].sort(comparator).map((row) => row.id),
+      [4, 3, 2, 1]
+    );
+    assert.ok(qvdGridFilter.compareGridValues(2, "10") < 0);
+    assert.ok(qvdGridFilter.compareGridValues(10, 9) > 0);
+  });
+
+  test("Filtered scope - search and sort over all rows of the file", async () => {
+    const reader = new qvdRandomAccessReader.default(colorsFile);
+    const metadata = await reader.open();
+    const source = qvdRowSource.createRowSource({
+      columns: metadata.fields.map((field) => field.name),
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(20),
+      metadata,
+    });
+    const grid = {
+      search: "blue",
+      sorters: [{ field: "name", dir: "desc" }],
+      selectedRowPositions: [],
+    };
+
+    let progressRows = 0;
+    const scoped = await qvdGridFilter.applyExportScope(
+      source,
+      grid,
+      qvdGridFilter.EXPORT_SCOPES.FILTERED,
+      ["name", "id"],
+      {
+        onProgress: (increment, rowsProcessed) => {
+          progressRows = rowsProcessed;
+        },
+      }
+    );
+    const rows = await collect(scoped);
+
+    assert.strictEqual(progressRows, metadata.noOfRecords);
+    assert.deepStrictEqual(scoped.columns, ["name", "id"]);
+    assert.strictEqual(scoped.rowCount, rows.length);
+    assert.strictEqual(scoped.metadata, metadata);
+    assert.ok(rows.length > 1);
+    rows.forEach((row, index) => {
+      assert.deepStrictEqual(Object.keys(row), ["name", "id"]);
+      assert.ok(row.name.toLowerCase().includes("blue"));
+      if (index > 0) {
+        assert.ok(rows[index - 1].name.localeCompare(row.name) >= 0);
+      }
+    });
+
+    // Without sorting, rows are counted up front and keep the file order
+    const filtered = await qvdGridFilter.applyExportScope(
+      source,
+      { search: "blue", sorters: [] },
+      qvdGridFilter.EXPORT_SCOPES.FILTERED
+    );
+    const filteredRows = await collect(filtered);
+    assert.strictEqual(filtered.rowCount, rows.length);
+    assert.deepStrictEqual(
+      filteredRows.map((row) => row.id),
+      [...filteredRows.map((row) => row.id)].sort((a, b) => a - b)
+    );
+  });
+
+  test("Column filter types from schema tags and symbol tables", async () => {
+    const reader = new qvdRandomAccessReader.default(colorsFile);
+    const metadata = await reader.open();
+    const data = await reader.readRows(0, 100);
+
+    const filters = await qvdGridFilter.buildColumnFilters(
+      metadata,
+      data,
+      (fieldName) => reader.getSymbols(fieldName)
+    );
+    assert.deepStrictEqual(filters, [
+      { field: "id", type: "number", values: null },
+      { field: "name", type: "text", values: null },
+      { field: "rgb", type: "text", values: null },
+      { field: "is_trans", type: "list", values: ["f", "t"] },
+    ]);
+
+    // Untagged fields are classified by their values
+    const sample = [{ day: "2024-01-05" }, { day: "2024-02-01" }];
+    const field = { name: "day", tags: [], noOfSymbols: 500 };
+    assert.strictEqual(qvdGridFilter.inferFilterType(field, sample), "date");
+    assert.strictEqual(
+      qvdGridFilter.inferFilterType(
+        { name: "day", tags: ["$numeric", "$timestamp"], noOfSymbols: 3 },
+        []
+      ),
+      "date"
+    );
+  });
+
+  test("Column filters - ranges, dates, lists and text", () => {
+    const matches = (filter, values) =>
+      values.filter((value) =>
+        qvdGridFilter.matchesColumnFilter(filter, value)
+      );
+
+    const between = {
+      field: "n",
+      type: "number",
+      op: "between",
+      value: 2,
+      value2: 5,
+    };
+    assert.deepStrictEqual(matches(between, [1, 2, "5", 6, null, "x"]), [
+      2,
+      "5",
+    ]);
+    assert.deepStrictEqual(
+      matches({ field: "n", type: "number", op: "gt", value: 0 }, ["", 0, 1]),
+      [1]
+    );
+    // Outlier rows lie outside a range
+    const outside = { ...between, op: "outside" };
+    assert.deepStrictEqual(matches(outside, [1, 2, "5", 6, null, "x"]), [1, 6]);
+    assert.strictEqual(
+      qvdGridFilter.describeColumnFilter(outside),
+      "n outside 2 and 5"
+    );
+    // Qlik date serials and date strings are both understood
+    assert.deepStrictEqual(
+      matches(
+        { field: "d", type: "date", op: "lt", value: "2024-02-01" },
+        [45292, 45351, "2024-01-31 23:59:59", "2024-02-01", "not a date"]
+      ),
+      [45292, "2024-01-31 23:59:59"]
+    );
+    assert.deepStrictEqual(
+      matches({ field: "l", type: "list", values: ["1", "b"] }, [
+        1,
+        "1",
+        "a",
+        "b",
+      ]),
+      [1, "1", "b"]
+    );
+    assert.deepStrictEqual(
+      matches({ field: "t", type: "text", value: "AB" }, ["cab", "ba", null]),
+      ["cab"]
+    );
+    assert.deepStrictEqual(
+      matches({ field: "t", type: "text", value: "/^b\\d$/i" }, ["B1", "b12"]),
+      ["B1"]
+    );
+
+    assert.strictEqual(
+      qvdGridFilter.describeColumnFilter({
+        field: "d",
+        type: "date",
+        op: "between",
+        value: "2024-01-01",
+        value2: "2024-12-31",
+      }),
+      "d between 2024-01-01 and 2024-12-31"
+    );
+    assert.strictEqual(
+      qvdGridFilter.describeColumnFilter({
+        field: "l",
+        type: "list",
+        values: ["a", "b", "c", "d", "e"],
+      }),
+      "l in (a, b, c, +2 more)"
+    );
+  });
+
+  test("Filter functions run on their own, as in the webview", () => {
+    // The webview evaluates the source of the factory, without the module
+    const standalone = new Function(
+      `return (${qvdGridFilter.createFilterFunctions.toString()})();`
+    )();
+    const filters = [
+      { field: "id", type: "number", op: "between", value: 2, value2: null },
+      { field: "day", type: "date", op: "lt", value: "2024-03-01" },
+      { field: "name", type: "list", values: ["Red", "Blue"] },
+      { field: "name", type: "text", value: "/^r/i" },
+    ];
+    const values = [3, 45351, "Red", null, ""];
+    for (const filter of filters) {
+      for (const value of values) {
+        assert.strictEqual(
+          standalone.matchesColumnFilter(filter, value),
+          qvdGridFilter.matchesColumnFilter(filter, value)
+        );
+      }
+      assert.strictEqual(
+        standalone.describeColumnFilter(filter),
+        qvdGridFilter.describeColumnFilter(filter)
+      );
+    }
+    assert.strictEqual(standalone.matchesSearch([1, "Red wine"], "WINE"), true);
+  });
+
+  test("Filtered scope - column filters combine with search using AND", async () => {
+    const source = qvdRowSource.arrayRowSource(data);
+    const grid = {
+      search: "e",
+      filters: [
+        { field: "id", type: "number", op: "lt", value: 4 },
+        { field: "name", type: "text", value: "/^r/i" },
+      ],
+      sorters: [],
+    };
+
+    assert.strictEqual(qvdGridFilter.hasActiveFilter(grid), true);
+    const scoped = await qvdGridFilter.applyExportScope(
+      source,
+      grid,
+      qvdGridFilter.EXPORT_SCOPES.FILTERED
+    );
+    assert.deepStrictEqual(
+      (await collect(scoped)).map((row) => row.id),
+      [3, 1]
+    );
+  });
+
+  test("Filtered scope - dual values match and sort by their number", async () => {
+    const { QvdDual } = qvdRandomAccessReader;
+    const source = qvdRowSource.arrayRowSource([
+      { rgb: new QvdDual(845e84, "845E84") },
+      { rgb: new QvdDual(0, "000000") },
+      { rgb: "FFFFFF" },
+      { rgb: new QvdDual(9391e4, "9391E4") },
+    ]);
+    const grid = {
+      search: "",
+      filters: [{ field: "rgb", type: "text", value: "0" }],
+      sorters: [{ field: "rgb", dir: "asc" }],
+    };
+
+    const scoped = await qvdGridFilter.applyExportScope(
+      source,
+      grid,
+      qvdGridFilter.EXPORT_SCOPES.FILTERED
+    );
+    // The grid holds the numbers, so "0" matches 0 and 93910000 only
+    assert.deepStrictEqual(
+      (await collect(scoped)).map((row) => row.rgb.text),
+      ["000000", "9391E4"]
+    );
+  });
+
+  test("Selected rows are read from the file with their dual texts", async () => {
+    const reader = new qvdRandomAccessReader.default(colorsFile);
+    const metadata = await reader.open();
+    const columns = metadata.fields.map((field) => field.name);
+    const source = qvdRowSource.createRowSource({
+      columns,
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(20, null, { duals: true }),
+      metadata,
+      storedColumns: columns,
+    });
+    const expected = await reader.readRows(0, 60, null, { duals: true });
+
+    const selected = await qvdGridFilter.applyExportScope(
+      source,
+      { search: "", sorters: [], selectedRowPositions: [57, 3] },
+      qvdGridFilter.EXPORT_SCOPES.SELECTED
+    );
+    assert.deepStrictEqual(await collect(selected), [expected[57], expected[3]]);
+    assert.ok(expected[3].rgb instanceof qvdRandomAccessReader.QvdDual);
+    assert.deepStrictEqual(selected.storedColumns, columns);
+  });
+
+  test("Outlier rows are found among all rows of the file", async () => {
+    const reader = new qvdRandomAccessReader.default(colorsFile);
+    const metadata = await reader.open();
+    const source = qvdRowSource.createRowSource({
+      columns: ["id"],
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(20, ["id"], { duals: true }),
+      metadata,
+    });
+    const filter = {
+      field: "id",
+      type: "number",
+      op: "outside",
+      value: 5,
+      value2: 100,
+    };
+
+    const positions = await qvdRowSource.findRowPositions(
+      source,
+      qvdGridFilter.createColumnFilterPredicate([filter])
+    );
+    const rows = await reader.readRows(0, metadata.noOfRecords, ["id"]);
+    const expected = rows
+      .map((row, position) => (row.id < 5 || row.id > 100 ? position : -1))
+      .filter((position) => position >= 0);
+    assert.deepStrictEqual(positions, expected);
+    assert.ok(positions.some((position) => position >= 20));
+  });
+
+  test("Whole file and selected rows scopes", async () => {
+    const source = qvdRowSource.arrayRowSource(data);
+
+    const whole = await qvdGridFilter.applyExportScope(
+      source,
+      { search: "red", sorters: [], selectedRowPositions: [2] },
+      qvdGridFilter.EXPORT_SCOPES.FILE,
+      ["code"]
+    );
+    assert.strictEqual(whole.rowCount, 4);
+    assert.deepStrictEqual((await collect(whole))[2], { code: "B" });
+
+    const selected = await qvdGridFilter.applyExportScope(
+      source,
+      { search: "", sorters: [], selectedRowPositions: [2, 0, 9] },
+      qvdGridFilter.EXPORT_SCOPES.SELECTED
+    );
+    assert.strictEqual(selected.rowCount, 2);
+    assert.deepStrictEqual(
+      (await collect(selected)).map((row) => row.id),
+      [2, 3]
+    );
+
+    assert.strictEqual(
+      qvdGridFilter.hasActiveFilter({ search: "", sorters: [] }),
+      false
+    );
+    assert.throws(
+      () => qvdRowSource.selectColumns(source, ["id", "missing"]),
+      /Unknown column\(s\): missing/
+    );
+  });
+});
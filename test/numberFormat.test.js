@@ -0,0 +1,240 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import number format, row source, reader, exporter and CLI modules
+let numberFormat;
+let qvdRowSource;
+let qvdRandomAccessReader;
+let qvdExporter;
+let commands;
+
+suite("Number Format Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    numberFormat = await import("../src/qvdNumberFormat.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    commands = await import("../src/cli/commands.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-format-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function format(type, fmt, extra = {}) {
+    return { type, nDec: "0", useThou: "0", fmt, dec: "", thou: "", ...extra };
+  }
+
+  test("Dates, times and intervals use the Qlik serial day number", () => {
+    const { formatQlikValue } = numberFormat;
+    // 2024-02-29 is day 45351 after 1899-12-30
+    assert.strictEqual(
+      formatQlikValue(45351, format("DATE", "YYYY-MM-DD")),
+      "2024-02-29"
+    );
+    assert.strictEqual(
+      formatQlikValue(45351, format("DATE", "M/D/YYYY")),
+      "2/29/2024"
+    );
+    assert.strictEqual(
+      formatQlikValue(45351, format("DATE", "DD MMM YYYY WWW")),
+      "29 Feb 2024 Thu"
+    );
+    assert.strictEqual(
+      formatQlikValue(45351 + 13.5 / 24, format("TIMESTAMP", "")),
+      "2024-02-29 13:30:00"
+    );
+    assert.strictEqual(
+      formatQlikValue(
+        45351.5451,
+        format("TIMESTAMP", "YYYY-MM-DD h:mm:ss[.fff] TT")
+      ),
+      "2024-02-29 1:04:56 PM"
+    );
+    assert.strictEqual(
+      formatQlikValue(1.5, format("INTERVAL", "hh:mm:ss")),
+      "36:00:00"
+    );
+    assert.strictEqual(
+      formatQlikValue(1.5, format("INTERVAL", "D hh:mm")),
+      "1 12:00"
+    );
+    assert.strictEqual(
+      formatQlikValue(-0.25, format("INTERVAL", "")),
+      "-06:00:00"
+    );
+  });
+
+  test("Numbers use the format pattern and separators", () => {
+    const { formatQlikValue, hasDisplayFormat } = numberFormat;
+    const money = format("MONEY", "$#,##0.00;($#,##0.00)");
+    assert.strictEqual(formatQlikValue(1234567.891, money), "$1,234,567.89");
+    assert.strictEqual(formatQlikValue(-1234.5, money), "($1,234.50)");
+    assert.strictEqual(
+      formatQlikValue(-1234.5, format("REAL", "#,##0.00")),
+      "-1,234.50"
+    );
+    assert.strictEqual(
+      formatQlikValue(
+        1234567.891,
+        format("MONEY", "# ##0,00 kr", { dec: ",", thou: " " })
+      ),
+      "1 234 567,89 kr"
+    );
+    assert.strictEqual(
+      formatQlikValue(0.123, format("REAL", "0.0%")),
+      "12.3%"
+    );
+    assert.strictEqual(formatQlikValue(0.5, format("REAL", "#.##")), ".5");
+    assert.strictEqual(
+      formatQlikValue(1234.5, format("FIX", "", { nDec: "2", useThou: "1" })),
+      "1,234.50"
+    );
+    assert.strictEqual(
+      formatQlikValue(-0.001, format("FIX", "", { nDec: "2" })),
+      "0.00"
+    );
+
+    // Text, NULL and fields without a display format are left alone
+    const date = format("DATE", "YYYY-MM-DD");
+    assert.strictEqual(formatQlikValue("n/a", date), "n/a");
+    assert.strictEqual(formatQlikValue(null, date), null);
+    assert.strictEqual(formatQlikValue(42, format("UNKNOWN", "")), 42);
+    assert.strictEqual(formatQlikValue(42, format("INTEGER", "")), 42);
+    assert.strictEqual(hasDisplayFormat(format("INTEGER", "###0")), true);
+    assert.strictEqual(hasDisplayFormat(null), false);
+  });
+
+  test("Row sources and CLI exports choose formatted or raw values", async () => {
+    const data = [
+      { id: 1, day: new Date(Date.UTC(2024, 1, 29)), amount: 1234.5 },
+      { id: 2, day: null, amount: -20 },
+    ];
+    const source = qvdRowSource.createRowSource({
+      columns: ["id", "day", "amount"],
+      rowCount: data.length,
+      batches: async function* () {
+        yield data;
+      },
+      metadata: {
+        fields: [
+          { name: "amount", numberFormat: format("MONEY", "$#,##0.00") },
+        ],
+      },
+    });
+    const qvdFile = path.join(tempDir, "formats.qvd");
+    await qvdExporter.exportToQvd(source, qvdFile);
+
+    const reader = new qvdRandomAccessReader.default(qvdFile);
+    const formats = numberFormat.getColumnFormats(await reader.open());
+    assert.deepStrictEqual(
+      formats.map((item) => [item.field, item.numberFormat.type]),
+      [
+        ["day", "DATE"],
+        ["amount", "MONEY"],
+      ]
+    );
+
+    const rows = [];
+    for await (const row of numberFormat
+      .formatRowSource(source, ["amount"])
+      .rows()) {
+      rows.push(row);
+    }
+    assert.deepStrictEqual(rows, [
+      { id: 1, day: data[0].day, amount: "$1,234.50" },
+      { id: 2, day: null, amount: "-$20.00" },
+    ]);
+    assert.strictEqual(numberFormat.formatRowSource(source, []), source);
+
+    const stdout = { write() {} };
+    const stderr = { text: "", write: (chunk) => (stderr.text += chunk) };
+    const csvFile = path.join(tempDir, "formats.csv");
+    const exitCode = await commands.runCli(
+      ["convert", qvdFile, "-t", "csv", "-o", csvFile, "--formatted", "day"],
+      { stdout, stderr }
+    );
+    assert.strictEqual(exitCode, 0, stderr.text);
+    const csv = fs.readFileSync(csvFile, "utf8");
+    assert.ok(csv.includes("2024-02-29"), csv);
+    assert.ok(csv.includes("1234.5"), csv);
+
+    assert.strictEqual(
+      await commands.runCli(
+        ["convert", qvdFile, "-t", "csv", "-o", csvFile, "--formatted", "id"],
+        { stdout, stderr }
+      ),
+      2
+    );
+  });
+
+  test("Dual values show their own text, not the number", async () => {
+    const colorsFile = path.join(
+      __dirname,
+      "..",
+      "test-data",
+      "lego",
+      "colors.qvd"
+    );
+    const reader = new qvdRandomAccessReader.default(colorsFile);
+    await reader.open();
+    const displayColumns = await numberFormat.getDisplayColumns(reader);
+    assert.ok(displayColumns.includes("rgb"), displayColumns.join());
+    assert.ok(!displayColumns.includes("id"), displayColumns.join());
+
+    const rows = await reader.readRows(
+      0,
+      reader.metadata.noOfRecords,
+      null,
+      { duals: true }
+    );
+    const { data, displayTexts } = numberFormat.toGridRows(
+      rows,
+      displayColumns,
+      reader.metadata
+    );
+    const index = data.findIndex((row) => row.rgb === 0);
+    assert.ok(index >= 0);
+    assert.strictEqual(data[0].rgb, "0033B2");
+    assert.strictEqual(
+      displayTexts[index][displayColumns.indexOf("rgb")],
+      "000000"
+    );
+
+    // Plain numbers of formatted fields are formatted by the extension too
+    assert.deepStrictEqual(
+      numberFormat.toGridRows(
+        [
+          { day: 45351, name: "a" },
+          { day: null, name: "b" },
+        ],
+        ["day"],
+        { fields: [{ name: "day", numberFormat: format("DATE", "YYYY-MM-DD") }] }
+      ),
+      {
+        data: [
+          { day: 45351, name: "a" },
+          { day: null, name: "b" },
+        ],
+        displayTexts: [["2024-02-29"], [null]],
+      }
+    );
+
+    const stdout = { write() {} };
+    const stderr = { text: "", write: (chunk) => (stderr.text += chunk) };
+    const csvFile = path.join(tempDir, "colors.csv");
+    const exitCode = await commands.runCli(
+      ["convert", colorsFile, "-t", "csv", "-o", csvFile, "--formatted", "rgb"],
+      { stdout, stderr }
+    );
+    assert.strictEqual(exitCode, 0, stderr.text);
+    assert.ok(fs.readFileSync(csvFile, "utf8").includes("000000"));
+  });
+});
@@ -0,0 +1,299 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import PII scanner, reader, row source and QVD writer modules
+let qvdPiiScanner;
+let qvdRandomAccessReader;
+let qvdRowSource;
+let qvdExporter;
+
+suite("PII Scanner Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdPiiScanner = await import("../src/qvdPiiScanner.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-pii-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function scan(data, options = {}) {
+    const filePath = path.join(tempDir, "pii.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource(data, null, 10),
+      filePath
+    );
+    return qvdPiiScanner.scanQvdForPii(
+      new qvdRandomAccessReader.default(filePath),
+      options
+    );
+  }
+
+  function findField(result, name) {
+    return result.fields.find((field) => field.name === name);
+  }
+
+  test("Validates checksums of cards, IBANs and personnummer", () => {
+    assert.strictEqual(qvdPiiScanner.isValidLuhn("79927398713"), true);
+    assert.strictEqual(qvdPiiScanner.isValidLuhn("79927398710"), false);
+
+    assert.strictEqual(
+      qvdPiiScanner.isValidCreditCard("4111 1111 1111 1111"),
+      true
+    );
+    assert.strictEqual(
+      qvdPiiScanner.isValidCreditCard("4111 1111 1111 1112"),
+      false
+    );
+
+    assert.strictEqual(
+      qvdPiiScanner.isValidIban("GB82 WEST 1234 5698 7654 32"),
+      true
+    );
+    assert.strictEqual(
+      qvdPiiScanner.isValidIban("GB82 WEST 1234 5698 7654 33"),
+      false
+    );
+    // Valid check digits, but too short for a German IBAN
+    assert.strictEqual(
+      qvdPiiScanner.isValidIban("DE8937040044053201300"),
+      false
+    );
+
+    // Short and long form, and the + of people over 100
+    assert.strictEqual(qvdPiiScanner.isValidPersonnummer("811218-9876"), true);
+    assert.strictEqual(qvdPiiScanner.isValidPersonnummer("198112189876"), true);
+    assert.strictEqual(qvdPiiScanner.isValidPersonnummer("811218+9876"), true);
+    // Wrong check digit, and a check digit that fits a day that does not exist
+    assert.strictEqual(qvdPiiScanner.isValidPersonnummer("811218-9877"), false);
+    assert.strictEqual(qvdPiiScanner.isValidPersonnummer("8113329877"), false);
+  });
+
+  test("Recognizes personal data in values", () => {
+    const detect = (value, hints) =>
+      qvdPiiScanner.detectPiiValue(value, hints ? new Set(hints) : undefined);
+
+    assert.deepStrictEqual(detect("anna@example.com"), {
+      category: "email",
+      detail: "",
+    });
+    assert.deepStrictEqual(detect("811218-9876"), {
+      category: "nationalId",
+      detail: "SE",
+    });
+    assert.deepStrictEqual(detect("192.168.10.1"), {
+      category: "ipAddress",
+      detail: "IPv4",
+    });
+    assert.deepStrictEqual(detect("2001:db8::ff00:42:8329"), {
+      category: "ipAddress",
+      detail: "IPv6",
+    });
+    assert.strictEqual(
+      detect("6F9619FF-8B86-D011-B42D-00C04FC964FF").category,
+      "guid"
+    );
+    assert.strictEqual(detect("+46 70 123 45 67").category, "phone");
+    assert.deepStrictEqual(detect("SW1A 1AA"), {
+      category: "postalCode",
+      detail: "UK",
+    });
+
+    // Ten digits are no personnummer without a valid check digit
+    assert.strictEqual(detect("1234567890"), null);
+    assert.strictEqual(detect("2024-01-15"), null);
+    assert.strictEqual(detect("999.1.1.1"), null);
+    // Addresses that look like versions need a field named after them
+    assert.strictEqual(detect("1.2.3.4"), null);
+    assert.strictEqual(detect("1.2.3.4", ["ipAddress"]).category, "ipAddress");
+
+    // Bare digits only count in fields named after the kind of data
+    assert.strictEqual(detect("11434"), null);
+    assert.strictEqual(detect("11434", ["postalCode"]).category, "postalCode");
+    assert.strictEqual(detect("123456789"), null);
+    assert.deepStrictEqual(detect("123456789", ["nationalId"]), {
+      category: "nationalId",
+      detail: "US",
+    });
+  });
+
+  test("Recognizes personal data by field name", () => {
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("CustomerEmail"), "email");
+    assert.strictEqual(
+      qvdPiiScanner.detectPiiColumn("E_Mail_Address"),
+      "email"
+    );
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("IPAddress"), "ipAddress");
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("ZipCode"), "postalCode");
+    assert.strictEqual(
+      qvdPiiScanner.detectPiiColumn("Personnummer"),
+      "nationalId"
+    );
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("LastName"), "personName");
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("Street"), "address");
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("DOB"), "birthDate");
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("ProductName"), null);
+    assert.strictEqual(qvdPiiScanner.detectPiiColumn("OrderID"), null);
+  });
+
+  test("Masks all but the first and last two characters", () => {
+    assert.strictEqual(
+      qvdPiiScanner.maskPiiValue("811218-9876"),
+      "81*******76"
+    );
+    assert.strictEqual(qvdPiiScanner.maskPiiValue("12345"), "*****");
+  });
+
+  test("Classifies a file by its most sensitive field", async () => {
+    const personnummer = [
+      "811218-9876",
+      "19811218-9876",
+      "900101-0017",
+      "121212-1212",
+    ];
+    const data = [];
+    for (let i = 0; i < 20; i++) {
+      data.push({
+        Id: 1000 + i,
+        Customer: personnummer[i % personnummer.length],
+        Contact: i % 2 === 0 ? `user${i}@example.com` : `+46 8 123 45${i}`,
+        Street: `Storgatan ${i}`,
+        Amount: i * 10.5,
+      });
+    }
+    const result = await scan(data);
+
+    assert.strictEqual(result.sensitivity, "high");
+    assert.strictEqual(result.fieldsScanned, 5);
+    assert.strictEqual(result.noOfRecords, 20);
+    assert.deepStrictEqual(
+      result.fields.map((field) => field.name),
+      ["Customer", "Contact", "Street"]
+    );
+
+    const customer = findField(result, "Customer");
+    assert.strictEqual(customer.sensitivity, "high");
+    assert.strictEqual(customer.findings[0].category, "nationalId");
+    assert.strictEqual(customer.findings[0].evidence, "values");
+    assert.strictEqual(customer.findings[0].matches, 4);
+    assert.deepStrictEqual(customer.findings[0].details, { SE: 4 });
+    // Samples are masked
+    assert.ok(
+      customer.findings[0].samples.every((sample) => sample.includes("***"))
+    );
+
+    // A field may hold several kinds of data
+    const contact = findField(result, "Contact");
+    assert.strictEqual(contact.sensitivity, "low");
+    assert.deepStrictEqual(
+      contact.findings.map((finding) => finding.category).sort(),
+      ["email", "phone"]
+    );
+
+    // Names and addresses are only recognized by the field name
+    const street = findField(result, "Street");
+    assert.strictEqual(street.findings[0].category, "address");
+    assert.strictEqual(street.findings[0].evidence, "name");
+
+    assert.deepStrictEqual(result.categories.nationalId, ["Customer"]);
+    assert.match(
+      qvdPiiScanner.describePiiScan(result),
+      /^High sensitivity: National identity number \(Customer\)/
+    );
+  });
+
+  test("Does not report numbers that only look like identity numbers", async () => {
+    const data = [];
+    for (let i = 0; i < 50; i++) {
+      data.push({
+        Reference: String(8112180000 + i * 3),
+        Code: `${String(i).padStart(2, "0")}-${100 + i}`,
+      });
+    }
+    const result = await scan(data);
+
+    // Five of these numbers pass the Luhn check by chance, far fewer than
+    // needed to report the field
+    assert.strictEqual(result.sensitivity, "none");
+    assert.strictEqual(findField(result, "Reference"), undefined);
+    assert.strictEqual(
+      qvdPiiScanner.describePiiScan(result),
+      "No personal data found"
+    );
+  });
+
+  test("Reports a few valid IBANs among other references", async () => {
+    const ibans = [
+      "GB82WEST12345698765432",
+      "DE89370400440532013000",
+      "SE4550000000058398257466",
+      "NL91ABNA0417164300",
+      "FR1420041010050500013M02606",
+    ];
+    const data = [];
+    for (let i = 0; i < 100; i++) {
+      data.push({
+        Reference: i < ibans.length ? ibans[i] : `REF-${10000 + i}`,
+      });
+    }
+    const result = await scan(data);
+
+    // 5% of the values are bank accounts, too few for the share of format
+    // only kinds of data, but all of their format pass the checksum
+    assert.strictEqual(result.sensitivity, "high");
+    const finding = findField(result, "Reference").findings[0];
+    assert.strictEqual(finding.category, "iban");
+    assert.strictEqual(finding.matches, 5);
+    assert.strictEqual(finding.percentage, 5);
+  });
+
+  test("Does not report version numbers as IP addresses", async () => {
+    const data = [];
+    for (let i = 0; i < 40; i++) {
+      data.push({
+        AppVersion:
+          i % 2 === 0 ? `10.0.${19041 + i}.1` : `10.${i % 4}.${i}.${i * 3}`,
+        ClientIp: `192.168.${i}.${i + 10}`,
+      });
+    }
+    const result = await scan(data);
+
+    assert.strictEqual(findField(result, "AppVersion"), undefined);
+    assert.strictEqual(
+      findField(result, "ClientIp").findings[0].category,
+      "ipAddress"
+    );
+  });
+
+  test("Reports GUIDs without classifying the file", async () => {
+    const data = [];
+    for (let i = 0; i < 10; i++) {
+      data.push({
+        RowGuid: `6f9619ff-8b86-d011-b42d-00c04fc964${String(i).padStart(
+          2,
+          "0"
+        )}`,
+      });
+    }
+    const result = await scan(data);
+
+    assert.strictEqual(result.sensitivity, "none");
+    assert.strictEqual(findField(result, "RowGuid").findings[0].label, "GUID");
+  });
+
+  test("Stops when cancelled", async () => {
+    await assert.rejects(
+      scan([{ a: "x" }], { isCancelled: () => true }),
+      /Operation cancelled/
+    );
+  });
+});
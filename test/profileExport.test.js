@@ -0,0 +1,132 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const ExcelJS = require("exceljs");
+const Papa = require("papaparse");
+
+// Import export, profiler and reader modules
+let qvdProfileExport;
+let qvdProfiler;
+let qvdRandomAccessReader;
+
+suite("Profile Export Test Suite", () => {
+  let tempDir;
+  let document;
+
+  // Load the modules and profile a file before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdProfileExport = await import("../src/qvdProfileExport.mjs");
+    qvdProfiler = await import("../src/qvdProfiler.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-profile-"));
+
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(
+      path.join(__dirname, "..", "test-data", "lego", "inventory_sets.qvd")
+    );
+    const metadata = await reader.open();
+    const profile = await qvdProfiler.profileQvdFields(
+      reader,
+      metadata.fields.map((field) => field.name),
+      { metadata }
+    );
+    document = qvdProfileExport.buildProfileDocument(profile, {
+      fileName: "inventory_sets.qvd",
+      noOfRecords: metadata.noOfRecords,
+      generatedAt: new Date(Date.UTC(2024, 1, 29)),
+    });
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("Document is versioned and summarizes every field", () => {
+    assert.strictEqual(
+      document.schemaVersion,
+      qvdProfileExport.PROFILE_SCHEMA_VERSION
+    );
+    assert.strictEqual(document.generatedAt, "2024-02-29T00:00:00.000Z");
+    assert.strictEqual(document.source.fileName, "inventory_sets.qvd");
+    assert.strictEqual(
+      document.source.rowsProfiled,
+      document.source.noOfRecords
+    );
+    assert.strictEqual(document.approximate, false);
+    assert.deepStrictEqual(
+      document.fields.map((field) => field.name),
+      ["inventory_id", "set_num", "quantity"]
+    );
+
+    const quantity = document.fields[2];
+    assert.strictEqual(quantity.summary.totalRows, document.source.noOfRecords);
+    assert.strictEqual(typeof quantity.summary.min, "number");
+    assert.ok(quantity.statistics);
+    assert.strictEqual(
+      typeof quantity.distribution.values[0].percentage,
+      "number"
+    );
+
+    // The document survives a JSON round trip unchanged
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(document)), document);
+  });
+
+  test("Metrics flatten to one row per scalar value", () => {
+    const rows = qvdProfileExport.flattenProfileMetrics(document);
+    const metric = (field, name) =>
+      rows.find((row) => row.field === field && row.metric === name);
+
+    assert.strictEqual(
+      metric("quantity", "uniqueValues").value,
+      document.fields[2].summary.uniqueValues
+    );
+    assert.strictEqual(
+      metric("quantity", "descriptive.mean").group,
+      "statistics"
+    );
+    assert.ok(rows.every((row) => typeof row.value !== "object"));
+  });
+
+  test("CSV and Excel exports hold summary, metrics and values", async () => {
+    const csvFiles = await qvdProfileExport.exportProfileDocument(
+      document,
+      qvdProfileExport.PROFILE_EXPORT_FORMATS.CSV,
+      path.join(tempDir, "inventory_sets.csv")
+    );
+    assert.deepStrictEqual(
+      csvFiles.map((file) => path.basename(file)),
+      [
+        "inventory_sets_fields.csv",
+        "inventory_sets_metrics.csv",
+        "inventory_sets_values.csv",
+      ]
+    );
+    const fields = Papa.parse(fs.readFileSync(csvFiles[0], "utf8"), {
+      header: true,
+      skipEmptyLines: true,
+    }).data;
+    assert.strictEqual(fields.length, 3);
+    assert.strictEqual(fields[0].fileName, "inventory_sets.qvd");
+    assert.strictEqual(fields[0].name, "inventory_id");
+
+    const excelFile = path.join(tempDir, "inventory_sets.xlsx");
+    await qvdProfileExport.exportProfileDocument(
+      document,
+      qvdProfileExport.PROFILE_EXPORT_FORMATS.EXCEL,
+      excelFile
+    );
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFile);
+    assert.deepStrictEqual(
+      workbook.worksheets.map((sheet) => sheet.name),
+      ["Summary", "Source", "inventory_id", "set_num", "quantity"]
+    );
+
+    await assert.rejects(
+      qvdProfileExport.exportProfileDocument(document, "pdf", excelFile),
+      /Unsupported profile export format/
+    );
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require("assert");
+const path = require("path");
+
+// Import report template, profiler, reader and help modules
+let reportTemplate;
+let qvdProfiler;
+let qvdRandomAccessReader;
+let qualityMetricHelp;
+
+suite("Profiling Report Test Suite", () => {
+  const extensionPath = path.join(__dirname, "..");
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    reportTemplate = await import("../src/webview/templates/reportTemplate.mjs");
+    qvdProfiler = await import("../src/qvdProfiler.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qualityMetricHelp = await import("../src/webview/qualityMetricHelp.mjs");
+  });
+
+  test("Report holds header, schema, lineage and all fields offline", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(
+      path.join(__dirname, "..", "test-data", "lego", "inventory_sets.qvd")
+    );
+    const metadata = await reader.open();
+    const fieldNames = metadata.fields.map((field) => field.name);
+    const profile = await qvdProfiler.profileQvdFields(reader, fieldNames, {
+      metadata,
+    });
+
+    const html = reportTemplate.getProfilingReportHtml(extensionPath, {
+      fileName: "inventory_sets.qvd",
+      metadata,
+      fieldTypes: [],
+      profile,
+      generatedAt: new Date(Date.UTC(2024, 1, 29)),
+    });
+
+    // Libraries are inlined and nothing is loaded from elsewhere
+    assert.ok(!/<script[^>]+src=/.test(html));
+    assert.ok(!/<link /.test(html));
+    assert.ok(html.includes("new Chart("));
+    assert.ok(html.includes("Generated 2024-02-29T00:00:00.000Z"));
+
+    assert.ok(html.includes("<td>Table Name</td>"));
+    assert.ok(html.includes("inventory_sets.csv"));
+    fieldNames.forEach((fieldName, index) => {
+      assert.ok(html.includes(`<a href="#field-${index}">${fieldName}</a>`));
+      assert.ok(html.includes(`id="field-${index}-profiling-chart"`));
+      assert.ok(html.includes(`'field-${index}-profiling-chart'`));
+    });
+
+    const help = qualityMetricHelp.metricHelpContent.nonNullPercentage;
+    assert.ok(html.includes("<dt>Non Null Percentage</dt>"));
+    assert.ok(html.includes(help.text));
+  });
+
+  test("Values cannot break out of the report markup or scripts", () => {
+    const value = "</script><b>bold</b>";
+    const data = [{ name: value }, { name: value }, { name: "plain" }];
+    const metadata = {
+      noOfRecords: data.length,
+      offset: 0,
+      length: 0,
+      fields: [{ name: "name", tags: ["$text"] }],
+    };
+    const profile = qvdProfiler.profileFields(data, ["name"], 1000, metadata);
+
+    const html = reportTemplate.getProfilingReportHtml(extensionPath, {
+      fileName: "<evil>.qvd",
+      metadata,
+      fieldTypes: [],
+      profile,
+    });
+    assert.ok(!html.includes(value));
+    assert.ok(!html.includes("<evil>"));
+    assert.ok(html.includes("&lt;/script&gt;&lt;b&gt;bold&lt;/b&gt; (66.67%)"));
+    assert.ok(html.includes("\\u003c/script>\\u003cb>bold\\u003c/b>"));
+  });
+});
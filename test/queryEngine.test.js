@@ -0,0 +1,147 @@
+const assert = require("assert");
+const path = require("path");
+
+// Import query engine modules
+let qvdQueryEngine;
+let qvdRandomAccessReader;
+let qvdRowSource;
+
+suite("QVD Query Engine Test Suite", () => {
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdQueryEngine = await import("../src/qvdQueryEngine.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+  });
+
+  function testFile(...parts) {
+    return path.join(__dirname, "..", "test-data", ...parts);
+  }
+
+  // Minimal reader exposing the two QvdReader methods used by the engine,
+  // backed by the random access reader (QvdReader itself needs qvdjs)
+  function createReader() {
+    const readers = new Map();
+    return {
+      async getRandomAccessReader(filePath) {
+        if (!readers.has(filePath)) {
+          readers.set(
+            filePath,
+            new qvdRandomAccessReader.default(filePath)
+          );
+        }
+        const reader = readers.get(filePath);
+        await reader.open();
+        return reader;
+      },
+      async createRowSource(filePath) {
+        const reader = await this.getRandomAccessReader(filePath);
+        return qvdRowSource.createRowSource({
+          columns: reader.metadata.fields.map((field) => field.name),
+          rowCount: reader.metadata.noOfRecords,
+          batches: () => reader.iterateBatches(50),
+        });
+      },
+    };
+  }
+
+  function createEngine(...parts) {
+    return new qvdQueryEngine.default(createReader(), testFile(...parts));
+  }
+
+  test("SELECT with WHERE and ORDER BY on the QVD table", async () => {
+    const engine = createEngine("lego", "colors.qvd");
+    const result = await engine.runQuery(
+      "SELECT id, name FROM colors WHERE is_trans = 't' ORDER BY id LIMIT 3;"
+    );
+
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.columns, ["id", "name"]);
+    assert.strictEqual(result.rows.length, 3);
+    assert.ok(result.rows.every((row) => typeof row[0] === "number"));
+    assert.deepStrictEqual(result.tables, ["colors", "data"]);
+    engine.close();
+  });
+
+  test("GROUP BY and the generic data view", async () => {
+    const engine = createEngine("lego", "colors.qvd");
+    const result = await engine.runQuery(
+      "SELECT is_trans, COUNT(*) AS n FROM data GROUP BY is_trans ORDER BY is_trans"
+    );
+
+    assert.strictEqual(result.error, null);
+    const total = result.rows.reduce((sum, row) => sum + row[1], 0);
+    assert.strictEqual(total, 135);
+    assert.deepStrictEqual(
+      result.rows.map((row) => row[0]),
+      ["f", "t"]
+    );
+    engine.close();
+  });
+
+  test("Self JOIN with duplicate column names", async () => {
+    const engine = createEngine("lego", "colors.qvd");
+    const result = await engine.runQuery(
+      "SELECT a.name, b.name FROM colors a JOIN colors b ON a.rgb = b.rgb AND a.id < b.id"
+    );
+
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.columns, ["name", "name_2"]);
+    assert.ok(result.rows.length > 0);
+    engine.close();
+  });
+
+  test("Result rows are truncated at maxRows", async () => {
+    const engine = createEngine("lego", "colors.qvd");
+    const result = await engine.runQuery("SELECT * FROM colors", 100);
+
+    assert.strictEqual(result.rows.length, 100);
+    assert.strictEqual(result.truncated, true);
+    engine.close();
+  });
+
+  test("Errors - syntax, writes and multiple statements", async () => {
+    const engine = createEngine("lego", "colors.qvd");
+
+    const syntax = await engine.runQuery("SELEC * FROM colors");
+    assert.ok(syntax.error.includes("syntax error"));
+
+    const write = await engine.runQuery("DELETE FROM colors");
+    assert.ok(write.error.includes("readonly"));
+
+    const multiple = await engine.runQuery(
+      "SELECT 1; DROP TABLE colors"
+    );
+    assert.strictEqual(
+      multiple.error,
+      "Only one statement can be run at a time"
+    );
+
+    const empty = await engine.runQuery("  ;");
+    assert.strictEqual(empty.error, "Enter a query to run");
+
+    // The table is untouched
+    const count = await engine.runQuery("SELECT COUNT(*) FROM colors");
+    assert.strictEqual(count.rows[0][0], 135);
+    engine.close();
+  });
+
+  test("Query row source streams the full result", async () => {
+    const engine = createEngine("stockholm_temp", "stockholm_temp.qvd");
+    const source = await engine.createQueryRowSource(
+      "SELECT site, AVG(raw) AS avg_raw FROM stockholm_temp GROUP BY site",
+      2
+    );
+
+    assert.deepStrictEqual(source.columns, ["site", "avg_raw"]);
+    const rows = [];
+    for await (const batch of source.batches()) {
+      assert.ok(batch.length <= 2);
+      rows.push(...batch);
+    }
+    assert.strictEqual(rows.length, source.rowCount);
+    assert.ok(rows.every((row) => typeof row.avg_raw === "number"));
+    engine.close();
+  });
+});
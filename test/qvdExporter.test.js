@@ -0,0 +1,286 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import row source, reader and exporter modules
+let qvdRowSource;
+let qvdRandomAccessReader;
+let qvdExporter;
+
+suite("QVD Export Test Suite", () => {
+  const colorsFile = path.join(
+    __dirname,
+    "..",
+    "test-data",
+    "lego",
+    "colors.qvd"
+  );
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-writer-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function readQvd(filePath) {
+    const reader = new qvdRandomAccessReader.default(filePath);
+    const metadata = await reader.open();
+    const rows = [];
+    for await (const batch of reader.iterateBatches(1000)) {
+      rows.push(...batch);
+    }
+    return { reader, metadata, rows };
+  }
+
+  test("Round trip keeps rows, tags and header properties", async () => {
+    const original = await readQvd(colorsFile);
+    const source = qvdRowSource.createRowSource({
+      columns: original.metadata.fields.map((field) => field.name),
+      rowCount: original.metadata.noOfRecords,
+      batches: () => original.reader.iterateBatches(50),
+      metadata: original.metadata,
+    });
+
+    const outFile = path.join(tempDir, "colors.qvd");
+    await qvdExporter.exportToQvd(source, outFile);
+    const written = await readQvd(outFile);
+
+    assert.deepStrictEqual(written.rows, original.rows);
+    assert.strictEqual(written.metadata.tableName, "colors");
+    assert.strictEqual(written.metadata.qvBuildNo, original.metadata.qvBuildNo);
+    assert.deepStrictEqual(written.metadata.lineage, original.metadata.lineage);
+
+    for (const field of original.metadata.fields) {
+      const writtenField = written.metadata.fields.find(
+        (f) => f.name === field.name
+      );
+      assert.deepStrictEqual(writtenField.tags, field.tags, field.name);
+      assert.deepStrictEqual(writtenField.numberFormat, field.numberFormat);
+      assert.strictEqual(writtenField.noOfSymbols, field.noOfSymbols);
+    }
+
+    const header = fs.readFileSync(outFile, "utf8").split("\0")[0];
+    assert.ok(header.startsWith('<?xml version="1.0" encoding="UTF-8"'));
+    assert.ok(header.endsWith("</QvdTableHeader>\r\n"));
+  });
+
+  test("Round trip keeps dual values and their texts", async () => {
+    const original = await readQvd(colorsFile);
+    const source = qvdRowSource.createRowSource({
+      columns: original.metadata.fields.map((field) => field.name),
+      rowCount: original.metadata.noOfRecords,
+      batches: () => original.reader.iterateBatches(50, null, { duals: true }),
+      metadata: original.metadata,
+    });
+
+    const outFile = path.join(tempDir, "colors-duals.qvd");
+    await qvdExporter.exportToQvd(source, outFile);
+    const written = await readQvd(outFile);
+
+    assert.deepStrictEqual(written.rows, original.rows);
+    for (const field of original.metadata.fields) {
+      const before = await original.reader.getSymbolTable(field.name);
+      const after = await written.reader.getSymbolTable(field.name);
+      assert.deepStrictEqual(after.values, before.values, field.name);
+      assert.deepStrictEqual(after.texts, before.texts, field.name);
+      assert.deepStrictEqual(after.types, before.types, field.name);
+      assert.deepStrictEqual(
+        written.metadata.fields.find((f) => f.name === field.name).tags,
+        field.tags,
+        field.name
+      );
+    }
+
+    // Texts that differ from the number survive, e.g. colors with hex codes
+    const rgb = await written.reader.getSymbolTable("rgb");
+    assert.strictEqual(rgb.texts[rgb.values.indexOf(0)], "000000");
+    assert.ok(rgb.texts.includes("845E84"));
+  });
+
+  test("Stored columns keep the tags of their field", async () => {
+    const setsFile = path.join(
+      __dirname,
+      "..",
+      "test-data",
+      "lego",
+      "sets.qvd"
+    );
+    const original = await readQvd(setsFile);
+    const columns = original.metadata.fields.map((field) => field.name);
+    const source = qvdRowSource.createRowSource({
+      columns,
+      rowCount: original.metadata.noOfRecords,
+      batches: () => original.reader.iterateBatches(1000, null, { duals: true }),
+      metadata: original.metadata,
+      storedColumns: columns,
+    });
+    const tagsOf = (metadata, name) =>
+      metadata.fields.find((field) => field.name === name).tags;
+
+    const outFile = path.join(tempDir, "sets.qvd");
+    await qvdExporter.exportToQvd(source, outFile);
+    const written = await readQvd(outFile);
+    for (const name of columns) {
+      assert.deepStrictEqual(
+        tagsOf(written.metadata, name),
+        tagsOf(original.metadata, name),
+        name
+      );
+    }
+
+    // Changed columns are described by their new values
+    const mapped = qvdRowSource.mapColumns(source, {
+      name: (value) => `${value}\u00e9`,
+    });
+    assert.deepStrictEqual(mapped.storedColumns, columns.filter((c) => c !== "name"));
+    const mappedFile = path.join(tempDir, "sets-mapped.qvd");
+    await qvdExporter.exportToQvd(mapped, mappedFile);
+    const mappedTags = tagsOf((await readQvd(mappedFile)).metadata, "name");
+    assert.ok(mappedTags.includes("$text"));
+    assert.ok(!mappedTags.includes("$ascii"));
+  });
+
+  test("NULLs, all symbol types and dates", async () => {
+    const data = [
+      { id: 1, amount: 1.5, name: "Ärlig", flag: true, day: null },
+      { id: 2, amount: null, name: "plain", flag: false, day: null },
+      {
+        id: 3000000000,
+        amount: 2.25,
+        name: null,
+        flag: true,
+        day: new Date(Date.UTC(2024, 1, 29)),
+      },
+      {
+        id: 1,
+        amount: 1.5,
+        name: "plain",
+        flag: null,
+        day: new Date(Date.UTC(2024, 1, 29, 12, 30)),
+      },
+    ];
+
+    const outFile = path.join(tempDir, "types.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource(data, null, 3),
+      outFile
+    );
+    const { reader, metadata, rows } = await readQvd(outFile);
+
+    assert.strictEqual(metadata.tableName, "types");
+    assert.strictEqual(metadata.noOfRecords, 4);
+    assert.deepStrictEqual(
+      rows.map((row) => [row.id, row.amount, row.name]),
+      [
+        [1, 1.5, "Ärlig"],
+        [2, null, "plain"],
+        [3000000000, 2.25, null],
+        [1, 1.5, "plain"],
+      ]
+    );
+    assert.deepStrictEqual(
+      rows.map((row) => row.flag),
+      [-1, 0, -1, null]
+    );
+    // Dual values are read as numbers; dates are days since 1899-12-30
+    assert.deepStrictEqual(
+      rows.map((row) => row.day),
+      [null, null, 45351, Date.UTC(2024, 1, 29, 12, 30) / 86400000 + 25569]
+    );
+
+    const field = (name) => metadata.fields.find((f) => f.name === name);
+    assert.deepStrictEqual(field("id").tags, ["$numeric", "$integer"]);
+    assert.deepStrictEqual(field("amount").tags, ["$numeric"]);
+    assert.deepStrictEqual(field("name").tags, ["$text"]);
+    assert.deepStrictEqual(field("day").tags, ["$numeric", "$timestamp"]);
+    assert.strictEqual(field("day").numberFormat.type, "TIMESTAMP");
+    assert.strictEqual(field("amount").bias, -2);
+    assert.strictEqual(field("id").bias, 0);
+
+    assert.deepStrictEqual(await reader.getSymbolTypes("id"), [1, 2]);
+    assert.deepStrictEqual(await reader.getSymbolTypes("name"), [4]);
+    assert.deepStrictEqual(await reader.getSymbolTypes("flag"), [5]);
+    assert.deepStrictEqual(await reader.getSymbolTypes("day"), [5, 6]);
+  });
+
+  test("Empty data produces a valid file", async () => {
+    const outFile = path.join(tempDir, "empty.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource([], ["a", "b"]),
+      outFile
+    );
+    const { metadata, rows } = await readQvd(outFile);
+
+    assert.strictEqual(metadata.noOfRecords, 0);
+    assert.strictEqual(metadata.recordByteSize, "1");
+    assert.deepStrictEqual(
+      metadata.fields.map((f) => [f.name, f.noOfSymbols, f.bitWidth]),
+      [
+        ["a", 0, 0],
+        ["b", 0, 0],
+      ]
+    );
+    assert.deepStrictEqual(rows, []);
+  });
+});
+
+suite("QVD Export Read Back Test Suite", () => {
+  const colorsFile = path.join(
+    __dirname,
+    "..",
+    "test-data",
+    "lego",
+    "colors.qvd"
+  );
+  let QvdReader;
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-read-back-"));
+    // Import the ESM modules
+    QvdReader = (await import("../src/qvdReader.mjs")).default;
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("QVD to QVD keeps values, dual texts and tags", async () => {
+    const qvdReader = new QvdReader();
+    const source = await qvdReader.createRowSource(colorsFile, {
+      duals: true,
+    });
+    const outFile = path.join(tempDir, "colors.qvd");
+    await qvdExporter.exportToQvd(source, outFile);
+
+    const original = await qvdReader.read(colorsFile, 0);
+    const written = await qvdReader.read(outFile, 0);
+    assert.strictEqual(written.error, null);
+    assert.deepStrictEqual(written.data, original.data);
+    assert.deepStrictEqual(
+      written.metadata.fields.map((field) => [field.name, field.tags]),
+      original.metadata.fields.map((field) => [field.name, field.tags])
+    );
+
+    for (const field of original.metadata.fields) {
+      const before = await (
+        await qvdReader.getRandomAccessReader(colorsFile)
+      ).getSymbolTable(field.name);
+      const after = await (
+        await qvdReader.getRandomAccessReader(outFile)
+      ).getSymbolTable(field.name);
+      assert.deepStrictEqual(after.texts, before.texts, field.name);
+    }
+  });
+});
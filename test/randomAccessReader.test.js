@@ -0,0 +1,256 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import random access reader
+let qvdRandomAccessReader;
+
+suite("QVD Random Access Reader Test Suite", () => {
+  // Load the module before running tests
+  suiteSetup(async () => {
+    // Import the ESM module
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+  });
+
+  function testFile(...parts) {
+    return path.join(__dirname, "..", "test-data", ...parts);
+  }
+
+  test("Header parsing - metadata and fields", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "colors.qvd"));
+    const metadata = await reader.open();
+
+    assert.strictEqual(metadata.noOfRecords, 135);
+    assert.strictEqual(metadata.tableName, "colors");
+    assert.deepStrictEqual(
+      metadata.fields.map((f) => f.name),
+      ["id", "name", "rgb", "is_trans"]
+    );
+    assert.deepStrictEqual(metadata.fields[0].tags, ["$numeric", "$integer"]);
+    assert.strictEqual(metadata.fields[1].offset, 1143);
+  });
+
+  test("Row decoding - first and last rows match source data", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "colors.qvd"));
+
+    const first = await reader.readRows(0, 2);
+    assert.deepStrictEqual(first, [
+      { id: -1, name: "Unknown", rgb: "0033B2", is_trans: "f" },
+      { id: 0, name: "Black", rgb: "05131D", is_trans: "f" },
+    ]);
+
+    const last = await reader.readRows(134, 10);
+    assert.deepStrictEqual(last, [
+      { id: 9999, name: "[No Color]", rgb: "05131D", is_trans: "f" },
+    ]);
+  });
+
+  test("Row decoding - multi-byte bit-packed rows", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("stockholm_temp", "stockholm_temp.qvd"));
+
+    const rows = await reader.readRows(98541, 2);
+    assert.deepStrictEqual(rows, [
+      { date: 45948, raw: 4.3, homo: 4, adjust: 4, site: 3 },
+      { date: 45949, raw: 6.2, homo: 5.9, adjust: 5.9, site: 3 },
+    ]);
+  });
+
+  test("Row decoding - subset of fields", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "sets.qvd"));
+
+    const rows = await reader.readRows(0, 1, ["name", "year"]);
+    assert.deepStrictEqual(rows, [{ name: "Weetabix Castle", year: 1970 }]);
+  });
+
+  test("Empty QVD file returns no rows", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("misc", "empty_qvd.qvd"));
+
+    const metadata = await reader.open();
+    assert.strictEqual(metadata.noOfRecords, 0);
+    assert.deepStrictEqual(await reader.readRows(0, 100), []);
+  });
+
+  test("extractBits - values spanning byte boundaries", () => {
+    // Field 1: bits 0-4 = 0b10110 (22), field 2: bits 5-10 = 0b111001 (57)
+    const value = 22 | (57 << 5);
+    const buffer = Buffer.from([value & 0xff, value >> 8]);
+
+    assert.strictEqual(qvdRandomAccessReader.extractBits(buffer, 0, 0, 5), 22);
+    assert.strictEqual(qvdRandomAccessReader.extractBits(buffer, 0, 5, 6), 57);
+    assert.strictEqual(qvdRandomAccessReader.extractBits(buffer, 0, 3, 0), 0);
+  });
+
+  test("decodeSymbols - all symbol types", () => {
+    const parts = [
+      Buffer.from([1, 42, 0, 0, 0]),
+      Buffer.concat([Buffer.from([2]), Buffer.alloc(8)]),
+      Buffer.from([4, 0x48, 0x69, 0]),
+      Buffer.from([5, 100, 0, 0, 0, 0x31, 0x30, 0x30, 0]),
+    ];
+    parts[1].writeDoubleLE(3.5, 1);
+
+    const { values, types } = qvdRandomAccessReader.decodeSymbols(
+      Buffer.concat(parts),
+      4,
+      true
+    );
+    assert.deepStrictEqual(values, [42, 3.5, "Hi", 100]);
+    assert.deepStrictEqual(Array.from(types), [1, 2, 4, 5]);
+  });
+
+  test("Symbol table - values, types and dual texts without reading rows", async () => {
+    const parts = [
+      Buffer.from([4, 0x48, 0x69, 0]),
+      Buffer.from([5, 7, 0, 0, 0, 0x30, 0x30, 0x37, 0]),
+    ];
+    const decoded = qvdRandomAccessReader.decodeSymbols(
+      Buffer.concat(parts),
+      2,
+      false,
+      true
+    );
+    assert.deepStrictEqual(decoded.values, ["Hi", 7]);
+    assert.deepStrictEqual(Array.from(decoded.types), [4, 5]);
+    assert.deepStrictEqual(decoded.texts, ["Hi", "007"]);
+
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "colors.qvd"));
+    reader.readIndexBuffer = () => {
+      throw new Error("The index table should not be read");
+    };
+    const { values, types, texts } = await reader.getSymbolTable("rgb");
+    assert.strictEqual(values.length, 124);
+    assert.strictEqual(texts[0], "0033B2");
+    const dual = types.indexOf(5);
+    assert.strictEqual(texts[dual], String(values[dual]).padStart(6, "0"));
+  });
+
+  test("Index counts - symbol histograms match decoded rows", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "colors.qvd"));
+    const rows = await reader.readRows(0, 135);
+    const symbols = await reader.getSymbols("is_trans");
+
+    let progress = 0;
+    const histograms = await reader.countSymbolIndices(["is_trans", "id"], {
+      batchSize: 50,
+      onProgress: (increment) => (progress += increment),
+    });
+    const { counts, nullCount } = histograms.get("is_trans");
+    assert.strictEqual(nullCount, 0);
+    for (let i = 0; i < symbols.length; i++) {
+      assert.strictEqual(
+        counts[i],
+        rows.filter((row) => row.is_trans === symbols[i]).length
+      );
+    }
+    assert.ok(Array.from(histograms.get("id").counts).every((c) => c === 1));
+    assert.ok(Math.abs(progress - 100) < 1e-9);
+
+    await assert.rejects(
+      reader.countSymbolIndices(null, { isCancelled: () => true }),
+      /Operation cancelled/
+    );
+  });
+
+  test("Index counts - profiles match row based profiles", async () => {
+    const { profileFields, profileQvdFields } = await import(
+      "../src/qvdProfiler.mjs"
+    );
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "inventory_sets.qvd"));
+    const metadata = await reader.open();
+    const fieldNames = metadata.fields.map((field) => field.name);
+    const rows = await reader.readRows(0, metadata.noOfRecords);
+
+    const expected = profileFields(rows, fieldNames, 100, metadata);
+    const actual = await profileQvdFields(reader, fieldNames, {
+      maxUniqueValues: 100,
+    });
+    for (let f = 0; f < fieldNames.length; f++) {
+      const { distributions, ...profile } = actual.fields[f];
+      const { distributions: expectedDistributions, ...expectedProfile } =
+        expected.fields[f];
+      assert.deepStrictEqual(profile, expectedProfile);
+      assert.deepStrictEqual(
+        distributions.map((item) => item.count),
+        expectedDistributions.map((item) => item.count)
+      );
+    }
+  });
+
+  test("Index counts - overview summarizes every field", async () => {
+    const { buildProfileOverview, profileQvdFields } = await import(
+      "../src/qvdProfiler.mjs"
+    );
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(testFile("lego", "inventory_sets.qvd"));
+    const metadata = await reader.open();
+    const fieldNames = metadata.fields.map((field) => field.name);
+    const overview = buildProfileOverview(
+      await profileQvdFields(reader, fieldNames, { metadata })
+    );
+
+    assert.deepStrictEqual(
+      overview.map((row) => [row.fieldName, row.type, row.cardinality]),
+      [
+        ["inventory_id", "integer", "Medium"],
+        ["set_num", "text", "High"],
+        ["quantity", "integer", "Low"],
+      ]
+    );
+    const [inventory, set, quantity] = overview;
+    assert.strictEqual(inventory.typeSource, "tags");
+    assert.strictEqual(inventory.nullPercentage, 0);
+    assert.strictEqual(inventory.sparkline.kind, "histogram");
+    assert.strictEqual(
+      inventory.sparkline.values.reduce((sum, count) => sum + count, 0),
+      metadata.noOfRecords
+    );
+    assert.deepStrictEqual([set.min, set.max], ["00-2", "pk1062"]);
+    assert.strictEqual(set.sparkline.kind, "frequency");
+    assert.deepStrictEqual([quantity.min, quantity.max], [1, 60]);
+    assert.strictEqual(quantity.topValue, "1");
+    assert.strictEqual(quantity.qualityColor, "yellow");
+  });
+
+  test("Truncated file - short reads throw instead of decoding zeros", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-truncated-"));
+    const filePath = path.join(tempDir, "colors.qvd");
+    try {
+      fs.copyFileSync(testFile("lego", "colors.qvd"), filePath);
+      const reader = new Reader(filePath);
+      const metadata = await reader.open();
+
+      // Cut the file short after the header has been read
+      const size = fs.statSync(filePath).size;
+      fs.truncateSync(filePath, size - Math.floor(metadata.length / 2));
+      await assert.rejects(
+        reader.readRows(0, metadata.noOfRecords),
+        /Truncated QVD file: index table/
+      );
+
+      fs.truncateSync(filePath, size - metadata.length - 10);
+      await assert.rejects(
+        reader.getSymbolTable("is_trans"),
+        /Truncated QVD file: symbol table of is_trans/
+      );
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test("decodeSymbols - unknown symbol type throws", () => {
+    assert.throws(
+      () => qvdRandomAccessReader.decodeSymbols(Buffer.from([9, 0]), 1),
+      /Unknown symbol type 9/
+    );
+  });
+});
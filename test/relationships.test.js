@@ -0,0 +1,175 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import relationship, reader, row source and QVD writer modules
+let qvdRelationships;
+let qvdRandomAccessReader;
+let qvdRowSource;
+let qvdExporter;
+
+suite("Relationships Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdRelationships = await import("../src/qvdRelationships.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-relationships-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function analyze(data, options = {}) {
+    const filePath = path.join(tempDir, "relationships.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource(data, null, 7),
+      filePath
+    );
+    const reader = new qvdRandomAccessReader.default(filePath);
+    const metadata = await reader.open();
+    return qvdRelationships.analyzeRelationships(
+      reader,
+      metadata.fields.map((field) => field.name),
+      { batchSize: 7, ...options }
+    );
+  }
+
+  function findPair(results, x, y) {
+    return results.pairs.find(
+      (pair) =>
+        (pair.x === x && pair.y === y) || (pair.x === y && pair.y === x)
+    );
+  }
+
+  test("Measures each pair with the measure for its field roles", async () => {
+    const data = [];
+    for (let i = 1; i <= 40; i++) {
+      data.push({
+        x: i,
+        linear: i % 10 === 0 ? null : 3 - 2 * i,
+        cubed: i ** 3,
+        size: i <= 20 ? "small" : "large",
+        label: i <= 20 ? "S" : "L",
+        color: ["red", "green", "blue", "yellow"][i % 4],
+      });
+    }
+    const results = await analyze(data);
+    assert.strictEqual(results.error, null);
+    assert.deepStrictEqual(
+      results.fields.map((field) => [field.name, field.role]),
+      [
+        ["x", "numeric"],
+        ["linear", "numeric"],
+        ["cubed", "numeric"],
+        ["size", "categorical"],
+        ["label", "categorical"],
+        ["color", "categorical"],
+      ]
+    );
+    assert.strictEqual(results.pairs.length, 15);
+
+    // Rows with a NULL in either field are left out of the pair
+    const linear = findPair(results, "x", "linear");
+    assert.strictEqual(linear.kind, "numeric");
+    assert.strictEqual(linear.rows, 36);
+    assert.ok(Math.abs(linear.pearson + 1) < 1e-12);
+    // Ranks are taken over all non-NULL rows of each field
+    assert.ok(linear.spearman < -0.99);
+
+    // Monotonic but not linear
+    const cubed = findPair(results, "x", "cubed");
+    assert.ok(cubed.pearson < 0.95);
+    assert.ok(Math.abs(cubed.spearman - 1) < 1e-12);
+
+    const labels = findPair(results, "size", "label");
+    assert.strictEqual(labels.kind, "categorical");
+    assert.ok(Math.abs(labels.cramersV - 1) < 1e-12);
+    assert.deepStrictEqual(labels.contingency.rows, ["small", "large"]);
+    assert.deepStrictEqual(labels.contingency.counts, [
+      [20, 0],
+      [0, 20],
+    ]);
+    assert.ok(findPair(results, "size", "color").cramersV < 0.01);
+
+    // Categorical-vs-numeric pairs list the categorical field first
+    const sizeByX = findPair(results, "size", "x");
+    assert.strictEqual(sizeByX.x, "size");
+    assert.strictEqual(sizeByX.kind, "mixed");
+    assert.ok(Math.abs(sizeByX.correlationRatio - Math.sqrt(0.75)) < 0.01);
+    assert.deepStrictEqual(
+      sizeByX.categoryStats.map((stats) => [stats.category, stats.mean]),
+      [
+        ["small", 10.5],
+        ["large", 30.5],
+      ]
+    );
+
+    const redundant = results.redundantPairs.map(
+      (pair) => pair.x + "/" + pair.y
+    );
+    assert.ok(redundant.includes("x/linear"));
+    assert.ok(redundant.includes("size/label"));
+    assert.ok(!redundant.includes("size/x"));
+    assert.strictEqual(results.sample.values.x.length, 40);
+  });
+
+  test("Skips categorical fields with too many distinct values", async () => {
+    const data = [];
+    for (let i = 0; i < 30; i++) {
+      data.push({ id: `ID-${i}`, group: `G${i % 3}`, amount: i % 7 });
+    }
+    const results = await analyze(data, { maxCategories: 10, sampleSize: 10 });
+    assert.deepStrictEqual(results.skipped, [
+      { name: "id", reason: "More than 10 distinct values" },
+    ]);
+    assert.strictEqual(results.pairs.length, 1);
+    assert.strictEqual(results.sample.step, 3);
+    assert.strictEqual(results.sample.values.amount.length, 10);
+
+    const single = await analyze(
+      data.map(({ id }) => ({ id, constant: 1 })),
+      { maxCategories: 10 }
+    );
+    assert.ok(single.error);
+    assert.deepStrictEqual(single.pairs, []);
+  });
+
+  test("Correlation over a QVD file matches the decoded rows", async () => {
+    const reader = new qvdRandomAccessReader.default(
+      path.join(__dirname, "..", "test-data", "lego", "sets.qvd")
+    );
+    await reader.open();
+    const results = await qvdRelationships.analyzeRelationships(reader, [
+      "year",
+      "num_parts",
+    ]);
+
+    const rows = await reader.readRows(0, reader.metadata.noOfRecords, [
+      "year",
+      "num_parts",
+    ]);
+    const n = rows.length;
+    const mean = (key) => rows.reduce((sum, row) => sum + row[key], 0) / n;
+    const meanYear = mean("year");
+    const meanParts = mean("num_parts");
+    let covariance = 0;
+    let yearSquares = 0;
+    let partsSquares = 0;
+    for (const row of rows) {
+      covariance += (row.year - meanYear) * (row.num_parts - meanParts);
+      yearSquares += (row.year - meanYear) ** 2;
+      partsSquares += (row.num_parts - meanParts) ** 2;
+    }
+    const expected = covariance / Math.sqrt(yearSquares * partsSquares);
+
+    assert.strictEqual(results.pairs[0].rows, n);
+    assert.ok(Math.abs(results.pairs[0].pearson - expected) < 1e-9);
+  });
+});
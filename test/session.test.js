@@ -0,0 +1,196 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import session analysis, row source and exporter modules
+let qvdSession;
+let qvdRowSource;
+let qvdExporter;
+
+suite("QVD Session Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdSession = await import("../src/qvdSession.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdExporter = await import("../src/exporters/qvdExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-session-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function legoFile(name) {
+    return path.join(__dirname, "..", "test-data", "lego", `${name}.qvd`);
+  }
+
+  function findKey(session, tableA, tableB, field) {
+    return session.keys.find(
+      (key) =>
+        [key.left.table, key.right.table].sort().join() ===
+          [tableA, tableB].sort().join() &&
+        (key.left.field === field || key.right.field === field)
+    );
+  }
+
+  test("Name relations - same name and naming conventions", () => {
+    const detect = qvdSession.detectNameRelation;
+
+    assert.strictEqual(
+      detect("sets", "set_num", "inventories", "set_num"),
+      "name"
+    );
+    assert.strictEqual(detect("sets", "theme_id", "themes", "id"), "related");
+    assert.strictEqual(
+      detect("inventory_parts", "inventory_id", "inventories", "id"),
+      "related"
+    );
+    assert.strictEqual(
+      detect("part_categories", "id", "parts", "part_cat_id"),
+      "related"
+    );
+    // Field names are case-sensitive in Qlik
+    assert.strictEqual(detect("a", "ID", "b", "id"), null);
+    assert.strictEqual(detect("sets", "num_parts", "parts", "name"), null);
+  });
+
+  test("Value overlap and cardinality classification", () => {
+    const overlap = qvdSession.calculateValueOverlap(
+      [1, 2, 3, 4],
+      ["2", "4", "6"]
+    );
+    assert.strictEqual(overlap.sharedValues, 2);
+    assert.strictEqual(overlap.leftCoverage, 0.5);
+    assert.ok(Math.abs(overlap.rightCoverage - 2 / 3) < 1e-9);
+
+    // Values repeated in a list, or equal as text, count once
+    const repeated = qvdSession.calculateValueOverlap(
+      [1, "1", 2, 2],
+      ["1", "3"]
+    );
+    assert.strictEqual(repeated.sharedValues, 1);
+    assert.strictEqual(repeated.leftCoverage, 0.5);
+    assert.strictEqual(repeated.rightCoverage, 0.5);
+
+    assert.strictEqual(qvdSession.classifyAssociation(true, true), "1:1");
+    assert.strictEqual(qvdSession.classifyAssociation(true, false), "1:N");
+    assert.strictEqual(qvdSession.classifyAssociation(false, true), "N:1");
+    assert.strictEqual(qvdSession.classifyAssociation(false, false), "N:M");
+  });
+
+  test("Session - keys are oriented with the one side first", async () => {
+    const session = await qvdSession.analyzeSession([
+      legoFile("sets"),
+      legoFile("themes"),
+      legoFile("inventories"),
+    ]);
+
+    assert.deepStrictEqual(
+      session.tables.map((table) => table.name),
+      ["sets", "themes", "inventories"]
+    );
+
+    const theme = findKey(session, "sets", "themes", "theme_id");
+    assert.strictEqual(theme.match, "related");
+    assert.strictEqual(theme.qlikAssociation, false);
+    assert.strictEqual(theme.cardinality, "1:N");
+    assert.strictEqual(theme.left.table, "themes");
+    assert.strictEqual(theme.left.field, "id");
+    assert.strictEqual(theme.overlap.rightCoverage, 1);
+
+    const setNum = findKey(session, "sets", "inventories", "set_num");
+    assert.strictEqual(setNum.qlikAssociation, true);
+    assert.strictEqual(setNum.cardinality, "1:N");
+    assert.strictEqual(setNum.left.table, "sets");
+    assert.strictEqual(setNum.left.uniqueness.duplicateCount, 0);
+    assert.ok(setNum.right.uniqueness.duplicateCount > 0);
+  });
+
+  test("Session - synthetic keys and warnings", async () => {
+    const session = await qvdSession.analyzeSession([
+      legoFile("inventory_parts"),
+      legoFile("inventory_sets"),
+      legoFile("colors"),
+      legoFile("part_categories"),
+    ]);
+
+    const synthetic = session.syntheticKeys.find((syntheticKey) =>
+      syntheticKey.tables.includes("inventory_sets")
+    );
+    assert.deepStrictEqual(synthetic.fields.sort(), [
+      "inventory_id",
+      "quantity",
+    ]);
+    assert.ok(
+      session.warnings.some((warning) => warning.includes("synthetic key"))
+    );
+
+    // Same-named fields without common values are flagged
+    assert.ok(
+      session.warnings.includes(
+        "colors.name and part_categories.name have the same name but no values in common."
+      )
+    );
+
+    const color = findKey(session, "colors", "inventory_parts", "color_id");
+    assert.strictEqual(color.cardinality, "1:N");
+    assert.strictEqual(color.left.table, "colors");
+  });
+
+  test("Session - duplicate table names are made unique", async () => {
+    const session = await qvdSession.analyzeSession([
+      legoFile("colors"),
+      legoFile("colors"),
+    ]);
+
+    assert.deepStrictEqual(
+      session.tables.map((table) => table.name),
+      ["colors", "colors (2)"]
+    );
+    const id = findKey(session, "colors", "colors (2)", "id");
+    assert.strictEqual(id.cardinality, "1:1");
+    assert.strictEqual(id.overlap.leftCoverage, 1);
+  });
+
+  test("Session - dual values are compared by their text", async () => {
+    // Booleans are written as duals -1 "True" and 0 "False"
+    const flagsFile = path.join(tempDir, "flags.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource([
+        { id: 1, active: true },
+        { id: 2, active: false },
+        { id: 3, active: true },
+        { id: 4, active: null },
+        { id: 5, active: "" },
+      ]),
+      flagsFile
+    );
+    const numbersFile = path.join(tempDir, "numbers.qvd");
+    await qvdExporter.exportToQvd(
+      qvdRowSource.arrayRowSource([
+        { code: 10, active: -1 },
+        { code: 20, active: 0 },
+      ]),
+      numbersFile
+    );
+
+    const session = await qvdSession.analyzeSession([flagsFile, numbersFile]);
+    const active = findKey(session, "flags", "numbers", "active");
+    assert.strictEqual(active.overlap.sharedValues, 0);
+
+    const flags = active.left.table === "flags" ? active.left : active.right;
+    // The empty string is a symbol of its own, but counts as NULL
+    assert.strictEqual(flags.nullCount, 2);
+    assert.strictEqual(flags.distinctValues, 2);
+    assert.strictEqual(flags.unique, false);
+    assert.strictEqual(flags.uniqueness.duplicateCount, 2);
+    assert.strictEqual(flags.uniqueness.topDuplicates[0].value, "True");
+    const numbers =
+      active.left.table === "numbers" ? active.left : active.right;
+    assert.strictEqual(numbers.unique, true);
+  });
+});
@@ -0,0 +1,209 @@
+const assert = require("assert");
+const path = require("path");
+
+// Import sketch, statistics, profiler and reader modules
+let qvdSketches;
+let qvdStatistics;
+let qvdProfiler;
+let qvdRowSource;
+let qvdRandomAccessReader;
+
+suite("Profiling Sketches Test Suite", () => {
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdSketches = await import("../src/qvdSketches.mjs");
+    qvdStatistics = await import("../src/qvdStatistics.mjs");
+    qvdProfiler = await import("../src/qvdProfiler.mjs");
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+  });
+
+  // Deterministic random numbers, so sampled results do not vary
+  function seededRandom(seed) {
+    let state = seed;
+    return () => {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      return state / 2 ** 32;
+    };
+  }
+
+  test("HyperLogLog - distinct counts within the error bound", () => {
+    const { HyperLogLog } = qvdSketches;
+    assert.throws(() => new HyperLogLog(3), /precision must be 4-16/);
+
+    const small = new HyperLogLog();
+    ["a", "b", "a", 1, "1"].forEach((value) => small.add(value));
+    assert.strictEqual(small.count(), 3);
+
+    const large = new HyperLogLog();
+    for (let i = 0; i < 50000; i++) {
+      large.add(`value-${i % 25000}`);
+    }
+    const error = Math.abs(large.count() - 25000) / 25000;
+    assert.ok(error < 3 * large.relativeError, `error ${error}`);
+  });
+
+  test("t-digest - exact for small inputs, accurate for large inputs", () => {
+    const { TDigest } = qvdSketches;
+    const small = new TDigest();
+    [5, 1, 1, 2, 3, 3, 3, 8, 13, 21].forEach((value) => small.add(value));
+    assert.strictEqual(small.quantile(0.1), 1);
+    assert.strictEqual(small.quantile(0.5), 3);
+    assert.ok(Math.abs(small.quantile(0.9) - 13.8) < 1e-9);
+    assert.strictEqual(small.locate(0.5).rankError, 0);
+    assert.strictEqual(new TDigest().quantile(0.5), null);
+
+    const random = seededRandom(7);
+    const digest = new TDigest();
+    const values = [];
+    for (let i = 0; i < 20000; i++) {
+      const value = random() * 1000;
+      values.push(value);
+      digest.add(value);
+    }
+    values.sort((a, b) => a - b);
+    assert.strictEqual(digest.quantile(0), values[0]);
+    assert.strictEqual(digest.quantile(1), values[values.length - 1]);
+    for (const q of [0.01, 0.5, 0.99]) {
+      const { value, rankError } = digest.locate(q);
+      const rank = values.findIndex((item) => item >= value) / values.length;
+      assert.ok(Math.abs(rank - q) <= rankError + 0.001, `q ${q}`);
+    }
+    assert.ok(digest.means.length < 500);
+  });
+
+  test("Space-Saving - frequent values with count error bounds", () => {
+    const { SpaceSaving, ReservoirSample } = qvdSketches;
+    const exact = new SpaceSaving(10);
+    ["x", "y", "x", "z", "x", "y"].forEach((value) => exact.add(value));
+    assert.deepStrictEqual(exact.top(2), [
+      { value: "x", count: 3, error: 0 },
+      { value: "y", count: 2, error: 0 },
+    ]);
+    assert.strictEqual(exact.maxError, 0);
+
+    const sketch = new SpaceSaving(20);
+    const counts = new Map();
+    for (let i = 0; i < 5000; i++) {
+      // A few heavy values among many rare ones
+      const value = i % 3 === 0 ? `heavy-${i % 4}` : `rare-${i}`;
+      counts.set(value, (counts.get(value) || 0) + 1);
+      sketch.add(value);
+    }
+    assert.ok(sketch.evicted);
+    const top = sketch.top(4);
+    assert.deepStrictEqual(
+      top.map((item) => item.value).sort(),
+      ["heavy-0", "heavy-1", "heavy-2", "heavy-3"]
+    );
+    for (const item of top) {
+      const actual = counts.get(item.value);
+      assert.ok(actual <= item.count && actual >= item.count - item.error);
+    }
+
+    const sample = new ReservoirSample(10, seededRandom(1));
+    for (let i = 0; i < 1000; i++) {
+      sample.add(i);
+    }
+    assert.strictEqual(sample.items.length, 10);
+    assert.strictEqual(sample.seen, 1000);
+    assert.ok(sample.items.some((item) => item >= 10));
+  });
+
+  test("Statistics from a numeric sketch match exact statistics", () => {
+    const values = [5, 1, 1, 2, 3, 3, 3, 8, 13, 21, "n/a"];
+    const sketch = qvdStatistics.createNumericSketch();
+    values.forEach((value) => qvdStatistics.addToNumericSketch(sketch, value));
+    const approximate = qvdStatistics.calculateStatisticsFromSketch(
+      sketch,
+      1,
+      12,
+      [3]
+    );
+    const exact = qvdStatistics.calculateStatistics(
+      [...values, null].map((value) => ({ value })),
+      "value"
+    );
+
+    assert.strictEqual(approximate.quality.nonNumericCount, 1);
+    assert.deepStrictEqual(approximate.descriptive.mode, [3]);
+    for (const group of ["descriptive", "spread", "distribution"]) {
+      for (const [key, expected] of Object.entries(exact[group])) {
+        if (typeof expected === "number") {
+          assert.ok(
+            Math.abs(approximate[group][key] - expected) < 1e-9,
+            `${group}.${key}`
+          );
+        }
+      }
+    }
+    assert.deepStrictEqual(approximate.approximate.percentiles, {
+      p10: 0,
+      p25: 0,
+      p50: 0,
+      p75: 0,
+      p90: 0,
+    });
+
+    // Outliers are counted by ranking the bounds in the t-digest
+    for (const key of ["lowerBound", "upperBound", "count"]) {
+      assert.strictEqual(approximate.outliers[key], exact.outliers[key], key);
+    }
+    assert.strictEqual(exact.outliers.highCount, 1);
+    assert.deepStrictEqual(approximate.outliers.examples, []);
+  });
+
+  test("Approximate profiles stay within bounds of exact profiles", async () => {
+    const Reader = qvdRandomAccessReader.default;
+    const reader = new Reader(
+      path.join(__dirname, "..", "test-data", "lego", "inventory_sets.qvd")
+    );
+    const metadata = await reader.open();
+    const fieldNames = metadata.fields.map((field) => field.name);
+    const source = qvdRowSource.createRowSource({
+      columns: fieldNames,
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(1000),
+      metadata,
+    });
+
+    const exact = await qvdProfiler.profileQvdFields(reader, fieldNames, {
+      maxUniqueValues: 50,
+    });
+    const approximate = await qvdProfiler.profileSourceApproximate(
+      source,
+      fieldNames,
+      {
+        maxUniqueValues: 50,
+        sampleSize: 500,
+        topValuesCapacity: 100,
+        random: seededRandom(3),
+      }
+    );
+    assert.strictEqual(approximate.approximate, true);
+
+    const [first, second, third] = approximate.fields;
+    assert.strictEqual(first.approximate.topValues.exact, false);
+    assert.strictEqual(second.approximate.distinctCount.exact, false);
+    assert.strictEqual(third.approximate.distinctCount.exact, true);
+    assert.strictEqual(first.totalRows, metadata.noOfRecords);
+    assert.strictEqual(first.approximate.sample.size, 500);
+    assert.strictEqual(first.approximate.sample.rows, metadata.noOfRecords);
+
+    const comparison = qvdProfiler.compareProfiles(exact, approximate, 5);
+    assert.deepStrictEqual(
+      comparison.map((field) => field.fieldName),
+      fieldNames
+    );
+    for (const field of comparison) {
+      for (const metric of field.metrics) {
+        assert.notStrictEqual(
+          metric.withinBounds,
+          false,
+          `${field.fieldName}: ${metric.metric}`
+        );
+      }
+    }
+  });
+});
@@ -223,6 +223,97 @@ suite("Statistical Analysis Test Suite", () => {
     );
   });
 
+  test("Statistics from value counts - matches row based statistics", () => {
+    const values = [5, 1, 1, 2, 3, 3, 3, 8, 13, 21, null, ""];
+    const data = values.map((value) => ({ value }));
+    const { valueCounts, nullCount } = qvdStatistics.countFieldValues(
+      data,
+      "value"
+    );
+    assert.strictEqual(valueCounts.get(3), 3);
+    assert.strictEqual(nullCount, 2);
+
+    const fromCounts = qvdStatistics.calculateStatisticsFromCounts(
+      new Map([
+        [1, 2],
+        ["1", 0],
+        [2, 1],
+        [3, 3],
+        [5, 1],
+        [8, 1],
+        ["13", 1],
+        [21, 1],
+      ]),
+      2,
+      12
+    );
+    const fromRows = qvdStatistics.calculateStatistics(data, "value");
+    assert.deepStrictEqual(fromCounts.descriptive.mode, [3]);
+    assert.strictEqual(fromCounts.descriptive.median, 3);
+    for (const group of ["descriptive", "spread", "distribution"]) {
+      for (const [key, expected] of Object.entries(fromRows[group])) {
+        if (typeof expected === "number") {
+          assert.ok(
+            Math.abs(fromCounts[group][key] - expected) < 1e-9,
+            `${group}.${key}`
+          );
+        } else {
+          assert.deepStrictEqual(fromCounts[group][key], expected);
+        }
+      }
+    }
+    assert.ok(qvdStatistics.isNumericFromCounts(valueCounts));
+  });
+
+  test("Outliers - IQR fences, z-score and MAD", () => {
+    const values = [10, 12, 11, 13, 12, 11, 10, 12, 13, 11, 12, 100, -40];
+    const data = [...values, null].map((value) => ({ value }));
+    const outliers = (options) =>
+      qvdStatistics.calculateStatistics(data, "value", options).outliers;
+
+    // Quartiles 11 and 12, fences 1.5 IQR beyond them
+    const iqr = outliers();
+    assert.strictEqual(iqr.method, qvdStatistics.OUTLIER_METHODS.IQR);
+    assert.strictEqual(iqr.threshold, 1.5);
+    assert.strictEqual(iqr.lowerBound, 9.5);
+    assert.strictEqual(iqr.upperBound, 13.5);
+    assert.strictEqual(iqr.count, 2);
+    assert.strictEqual(iqr.lowCount, 1);
+    assert.strictEqual(iqr.highCount, 1);
+    assert.ok(Math.abs(iqr.percentage - (2 / 13) * 100) < 1e-9);
+    assert.deepStrictEqual(iqr.examples, [-40, 100]);
+
+    // The outliers inflate the standard deviation, hiding themselves
+    const zScore = outliers({ method: "zScore" });
+    assert.strictEqual(zScore.threshold, 3);
+    assert.strictEqual(zScore.count, 0);
+    assert.strictEqual(outliers({ method: "zScore", threshold: 1 }).count, 2);
+
+    // Median 12, median absolute deviation 1
+    const mad = outliers({ method: "mad" });
+    assert.ok(Math.abs(mad.lowerBound - (12 - 3.5 * 1.4826)) < 1e-9);
+    assert.ok(Math.abs(mad.upperBound - (12 + 3.5 * 1.4826)) < 1e-9);
+    assert.strictEqual(mad.count, 2);
+  });
+
+  test("Outliers - MAD of zero falls back to the mean absolute deviation", () => {
+    const data = [5, 5, 5, 5, 5, 6, 50].map((value) => ({ value }));
+    const outliers = qvdStatistics.calculateStatistics(data, "value", {
+      method: "mad",
+    }).outliers;
+    assert.ok(outliers.upperBound > 6);
+    assert.deepStrictEqual(outliers.examples, [50]);
+
+    assert.throws(
+      () => qvdStatistics.calculateStatistics(data, "value", { method: "x" }),
+      /Unknown outlier method: x/
+    );
+    assert.strictEqual(
+      qvdStatistics.describeOutlierMethod(outliers),
+      "MAD (modified z-score > 3.5)"
+    );
+  });
+
   test("Statistics calculation - empty data", () => {
     const data = [];
     const stats = qvdStatistics.calculateStatistics(data, "value");
@@ -0,0 +1,243 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Import row source and exporter modules
+let qvdRowSource;
+let qvdRandomAccessReader;
+let csvExporter;
+let jsonExporter;
+let arrowExporter;
+let postgresExporter;
+let sqliteExporter;
+
+suite("Streaming Export Test Suite", () => {
+  let tempDir;
+
+  // Load the modules before running tests
+  suiteSetup(async () => {
+    // Import the ESM modules
+    qvdRowSource = await import("../src/qvdRowSource.mjs");
+    qvdRandomAccessReader = await import("../src/qvdRandomAccessReader.mjs");
+    csvExporter = await import("../src/exporters/csvExporter.mjs");
+    jsonExporter = await import("../src/exporters/jsonExporter.mjs");
+    arrowExporter = await import("../src/exporters/arrowExporter.mjs");
+    postgresExporter = await import("../src/exporters/postgresExporter.mjs");
+    sqliteExporter = await import("../src/exporters/sqliteExporter.mjs");
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-export-"));
+  });
+
+  suiteTeardown(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function testFile(...parts) {
+    return path.join(__dirname, "..", "test-data", ...parts);
+  }
+
+  async function qvdRowSourceFor(filePath, batchSize) {
+    const reader = new qvdRandomAccessReader.default(filePath);
+    const metadata = await reader.open();
+    return qvdRowSource.createRowSource({
+      columns: metadata.fields.map((field) => field.name),
+      rowCount: metadata.noOfRecords,
+      batches: () => reader.iterateBatches(batchSize),
+    });
+  }
+
+  async function collect(source) {
+    const rows = [];
+    for await (const row of source.rows()) {
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  test("Array row source - batches and limit", async () => {
+    const data = [{ a: 1 }, { a: 2 }, { a: 3 }, { a: 4 }, { a: 5 }];
+    const source = qvdRowSource.arrayRowSource(data, null, 2);
+
+    assert.deepStrictEqual(source.columns, ["a"]);
+    assert.strictEqual(source.rowCount, 5);
+
+    const batchSizes = [];
+    for await (const batch of source.batches()) {
+      batchSizes.push(batch.length);
+    }
+    assert.deepStrictEqual(batchSizes, [2, 2, 1]);
+
+    const limited = source.limit(3);
+    assert.strictEqual(limited.rowCount, 3);
+    assert.strictEqual(limited.sourceRowCount, 5);
+    assert.deepStrictEqual(await collect(limited), data.slice(0, 3));
+
+    // No limit returns the same source
+    assert.strictEqual(source.limit(0), source);
+  });
+
+  test("Tracked row source - progress and cancellation", async () => {
+    const data = Array.from({ length: 10 }, (_, i) => ({ value: i }));
+    const source = qvdRowSource.arrayRowSource(data, null, 4);
+
+    let total = 0;
+    const tracked = qvdRowSource.trackRowSource(source, {
+      passes: 2,
+      onProgress: (increment) => {
+        total += increment;
+      },
+    });
+    await collect(tracked);
+    await collect(tracked);
+    assert.ok(Math.abs(total - 100) < 1e-9);
+
+    let batches = 0;
+    const cancelled = qvdRowSource.trackRowSource(source, {
+      isCancelled: () => ++batches > 1,
+    });
+    await assert.rejects(collect(cancelled), /Operation cancelled/);
+  });
+
+  test("Random access reader - batch iteration covers all rows", async () => {
+    const source = await qvdRowSourceFor(testFile("lego", "colors.qvd"), 50);
+
+    const batchSizes = [];
+    for await (const batch of source.batches()) {
+      batchSizes.push(batch.length);
+    }
+    assert.deepStrictEqual(batchSizes, [50, 50, 35]);
+
+    const rows = await collect(source);
+    assert.deepStrictEqual(rows[134], {
+      id: 9999,
+      name: "[No Color]",
+      rgb: "05131D",
+      is_trans: "f",
+    });
+  });
+
+  test("CSV export - streamed batches produce one header and all rows", async () => {
+    const source = await qvdRowSourceFor(testFile("lego", "colors.qvd"), 40);
+    const filePath = path.join(tempDir, "colors.csv");
+
+    await csvExporter.exportToCSV(source, filePath);
+
+    const lines = fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter((line) => !line.startsWith("#"));
+    assert.strictEqual(lines[0], '"id","name","rgb","is_trans"');
+    assert.strictEqual(lines.length, 136);
+    assert.strictEqual(lines[1], '"-1","Unknown","0033B2","f"');
+    assert.strictEqual(lines[135], '"9999","[No Color]","05131D","f"');
+  });
+
+  test("JSON export - streamed output is valid JSON", async () => {
+    const source = await qvdRowSourceFor(testFile("lego", "colors.qvd"), 40);
+    const filePath = path.join(tempDir, "colors.json");
+
+    await jsonExporter.exportToJSON(source, filePath);
+
+    const output = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    assert.strictEqual(output._metadata.rows, 135);
+    assert.strictEqual(output.data.length, 135);
+    assert.deepStrictEqual(output.data[1], {
+      id: 0,
+      name: "Black",
+      rgb: "05131D",
+      is_trans: "f",
+    });
+
+    const emptyPath = path.join(tempDir, "empty.json");
+    await jsonExporter.exportToJSON(
+      qvdRowSource.arrayRowSource([]),
+      emptyPath
+    );
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(emptyPath, "utf8")).data,
+      []
+    );
+  });
+
+  test("Arrow export - streamed batches read back as one table", async () => {
+    const arrow = require("apache-arrow");
+    const source = await qvdRowSourceFor(testFile("lego", "colors.qvd"), 40);
+    const filePath = path.join(tempDir, "colors.arrow");
+
+    await arrowExporter.exportToArrow(source, filePath);
+
+    const table = arrow.tableFromIPC(fs.readFileSync(filePath));
+    assert.strictEqual(table.numRows, 135);
+    assert.deepStrictEqual(
+      table.schema.fields.map((field) => field.name),
+      ["id", "name", "rgb", "is_trans"]
+    );
+    assert.strictEqual(table.get(134).name, "[No Color]");
+  });
+
+  test("PostgreSQL export - row limit and INSERT batching", async () => {
+    const source = await qvdRowSourceFor(testFile("lego", "colors.qvd"), 7);
+    const filePath = path.join(tempDir, "colors.sql");
+
+    await postgresExporter.exportToPostgres(source, filePath, 20, {
+      createTable: true,
+      tableName: "colors",
+      dropTable: false,
+    });
+
+    const sql = fs.readFileSync(filePath, "utf8");
+    assert.ok(sql.includes("-- Rows: 20 (limited from 135)"));
+    assert.ok(sql.includes('"id" BIGINT NOT NULL'));
+    assert.ok(sql.includes("-- Rows 1 to 20"));
+    assert.strictEqual((sql.match(/^ {2}\(/gm) || []).length, 20);
+    assert.ok(sql.trimEnd().endsWith("-- End of script"));
+  });
+
+  test("SQLite export - a failing batch is rolled back", async () => {
+    // The value can be read when scanning the column types, but not when
+    // it is inserted
+    let reads = 0;
+    const failingRow = {
+      get id() {
+        reads++;
+        if (reads > 1) {
+          throw new Error("Read failed");
+        }
+        return 4;
+      },
+    };
+    const source = qvdRowSource.createRowSource({
+      columns: ["id"],
+      rowCount: 4,
+      batches: async function* () {
+        yield [{ id: 1 }, { id: 2 }];
+        yield [{ id: 3 }, failingRow];
+      },
+    });
+
+    const SQL = await sqliteExporter.loadSqlJs();
+    const db = new SQL.Database();
+    try {
+      await assert.rejects(
+        sqliteExporter.createSQLiteTable(db, source),
+        /Read failed/
+      );
+      // Only the first batch was committed, and no transaction is left open
+      assert.deepStrictEqual(db.exec("SELECT COUNT(*) FROM data")[0].values, [
+        [2],
+      ]);
+      db.run("BEGIN TRANSACTION");
+      db.run("COMMIT");
+    } finally {
+      db.close();
+    }
+
+    reads = 0;
+    const filePath = path.join(tempDir, "failing.sqlite");
+    await assert.rejects(
+      sqliteExporter.exportToSQLite(source, filePath),
+      /SQLite export failed: Read failed/
+    );
+    assert.strictEqual(fs.existsSync(filePath), false);
+  });
+});
@@ -1,4 +1,7 @@
 const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 // Import temporal analysis functions
 let qvdTemporalAnalysis;
@@ -430,6 +433,153 @@ suite("Temporal Analysis Test Suite", () => {
     });
   });
 
+  suite("Record Volume", () => {
+    const dateField = {
+      name: "LoadDate",
+      tags: ["$numeric", "$integer", "$date"],
+      numberFormat: { type: "DATE", fmt: "YYYY-MM-DD" },
+    };
+    // Qlik serial day of 2024-01-01 (a Monday)
+    const firstDay = 45292;
+
+    // Profile a serial date field with the given rows per day, starting on
+    // 2024-01-01; days with 0 rows are left out of the values
+    function analyzeDays(days, rowsOnDay, createdAt = null) {
+      const valueCounts = new Map();
+      let totalRows = 0;
+      for (let day = 0; day < days; day++) {
+        const count = rowsOnDay(day);
+        if (count > 0) {
+          valueCounts.set(firstDay + day, count);
+          totalRows += count;
+        }
+      }
+      return qvdTemporalAnalysis.calculateTemporalAnalysisFromCounts(
+        valueCounts,
+        0,
+        totalRows,
+        dateField,
+        null,
+        createdAt
+      );
+    }
+
+    // Repeatable day-to-day variation of about ±5 rows
+    const jitter = (day) => ((day * 7) % 11) - 5;
+
+    test("Flag a spike against the rolling baseline", () => {
+      const analysis = analyzeDays(180, (day) =>
+        day === 90 ? 400 : 100 + jitter(day)
+      );
+      const { volume } = analysis;
+
+      assert.strictEqual(volume.granularity, "day");
+      assert.strictEqual(volume.series.length, 180);
+      assert.strictEqual(volume.anomalies.count, 1);
+      assert.strictEqual(volume.anomalies.spikes, 1);
+      assert.strictEqual(volume.anomalies.periods[0].period, "2024-03-31");
+      assert.strictEqual(volume.anomalies.periods[0].type, "spike");
+      assert.strictEqual(volume.series[90].anomaly, "spike");
+      assert.ok(Math.abs(volume.series[90].baseline - 100) <= 5);
+      // The first days have too little history to be scored
+      assert.strictEqual(volume.series[0].baseline, null);
+      assert.deepStrictEqual(volume.changePoints, []);
+    });
+
+    test("Find the day loads stopped and resumed", () => {
+      const analysis = analyzeDays(180, (day) =>
+        day >= 71 && day < 120 ? 0 : 100 + jitter(day)
+      );
+      const { volume } = analysis;
+
+      // Days without rows are part of the series
+      assert.strictEqual(volume.series.length, 180);
+      assert.strictEqual(volume.series[71].count, 0);
+      assert.deepStrictEqual(
+        volume.changePoints.map((change) => [change.period, change.direction]),
+        [
+          ["2024-03-12", "decrease"],
+          ["2024-04-30", "increase"],
+        ]
+      );
+      assert.strictEqual(volume.changePoints[0].after, 0);
+      assert.strictEqual(volume.changePoints[0].change, -1);
+      assert.match(
+        volume.changePoints[0].description,
+        /^Volume dropped from 100 to 0 per day on 2024-03-12$/
+      );
+      assert.strictEqual(volume.anomalies.periods[0].period, "2024-03-12");
+      assert.strictEqual(volume.anomalies.periods[0].type, "drop");
+    });
+
+    test("Find loads that stopped before the file was created", () => {
+      // Records up to 2024-03-11, file created on 2024-03-20
+      const createdAt = new Date("2024-03-20T06:00:00Z");
+      const { volume } = analyzeDays(71, () => 100, createdAt);
+
+      assert.strictEqual(volume.series.length, 71);
+      assert.strictEqual(volume.changePoints.length, 1);
+      assert.strictEqual(volume.changePoints[0].period, "2024-03-12");
+      assert.strictEqual(volume.changePoints[0].after, 0);
+      assert.strictEqual(volume.changePoints[0].direction, "decrease");
+      assert.strictEqual(
+        volume.changePoints[0].description,
+        "Volume dropped from 100 to 0 per day on 2024-03-12, with no " +
+          "records in the 8 days before the file was created"
+      );
+
+      // A file created the day after its last records is up to date
+      const upToDate = analyzeDays(
+        71,
+        () => 100,
+        new Date("2024-03-12T06:00:00Z")
+      );
+      assert.deepStrictEqual(upToDate.volume.changePoints, []);
+    });
+
+    test("Detect a weekly pattern and compare to the same weekday", () => {
+      const analysis = analyzeDays(140, (day) =>
+        day % 7 === 0 ? 200 + jitter(day) : 100 + jitter(day)
+      );
+      const { weekly, yearly } = analysis.seasonality;
+
+      assert.strictEqual(weekly.detected, true);
+      assert.strictEqual(weekly.peak, "Monday");
+      assert.strictEqual(weekly.profile[0].name, "Monday");
+      assert.ok(Math.abs(weekly.profile[0].index - 1.75) < 0.05);
+      assert.match(weekly.description, /^Monday is 1\.8× the average day/);
+      assert.strictEqual(yearly, null);
+      // Mondays are compared to earlier Mondays, so they are not spikes
+      assert.strictEqual(analysis.volume.anomalies.count, 0);
+
+      const flat = analyzeDays(140, (day) => 100 + jitter(day));
+      assert.strictEqual(flat.seasonality.weekly.detected, false);
+      assert.strictEqual(
+        flat.seasonality.weekly.description,
+        "No weekly pattern"
+      );
+    });
+
+    test("Detect a yearly pattern over weeks of a long span", () => {
+      // Five years with twice the rows in December
+      const analysis = analyzeDays(5 * 365, (day) => {
+        const month = new Date(Date.UTC(2024, 0, 1 + day)).getUTCMonth();
+        return (month === 11 ? 200 : 100) + jitter(day);
+      });
+      const { volume, seasonality } = analysis;
+
+      assert.strictEqual(volume.granularity, "week");
+      assert.strictEqual(volume.series[0].period, "2024-01-01");
+      assert.strictEqual(volume.series[1].period, "2024-01-08");
+      assert.strictEqual(seasonality.weekly, null);
+      assert.strictEqual(seasonality.yearly.detected, true);
+      assert.strictEqual(seasonality.yearly.peak, "December");
+      // Busy Decembers are expected, not spikes or level changes
+      assert.strictEqual(volume.anomalies.count, 0);
+      assert.deepStrictEqual(volume.changePoints, []);
+    });
+  });
+
   suite("Data Quality", () => {
     test("Track null and invalid dates", () => {
       const data = [
@@ -560,6 +710,465 @@ suite("Temporal Analysis Test Suite", () => {
     });
   });
 
+  suite("Qlik Serial Dates", () => {
+    const dateField = {
+      name: "OrderDate",
+      tags: ["$numeric", "$integer", "$date"],
+      numberFormat: { type: "DATE", fmt: "YYYY-MM-DD" },
+    };
+
+    test("Convert serial days with time of day", () => {
+      const date = qvdTemporalAnalysis.parseQlikSerial(45351.75);
+      assert.strictEqual(date.getFullYear(), 2024);
+      assert.strictEqual(date.getMonth(), 1);
+      assert.strictEqual(date.getDate(), 29);
+      assert.strictEqual(date.getHours(), 18);
+      assert.strictEqual(qvdTemporalAnalysis.parseQlikSerial("45351"), null);
+      assert.strictEqual(qvdTemporalAnalysis.parseQlikSerial(NaN), null);
+    });
+
+    test("Recognize date fields by tags and number format", () => {
+      assert.strictEqual(qvdTemporalAnalysis.isQlikDateField(dateField), true);
+      assert.strictEqual(
+        qvdTemporalAnalysis.isQlikDateField({
+          name: "Duration",
+          tags: [],
+          numberFormat: { type: "INTERVAL" },
+        }),
+        true
+      );
+      assert.strictEqual(
+        qvdTemporalAnalysis.isQlikDateField({
+          name: "Amount",
+          tags: ["$numeric"],
+          numberFormat: { type: "REAL" },
+        }),
+        false
+      );
+
+      const data = [45292, 45323, 45352, 45383].map((day) => ({
+        OrderDate: day,
+      }));
+      assert.strictEqual(
+        qvdTemporalAnalysis.isDateField(data, "OrderDate"),
+        false,
+        "Plain numbers are not dates without field metadata"
+      );
+      assert.strictEqual(
+        qvdTemporalAnalysis.isDateField(data, "OrderDate", 0.8, dateField),
+        true
+      );
+    });
+
+    test("Analyze serial dates", () => {
+      // 2024-01-01, 2024-02-01, 2024-03-01 and 2024-04-01
+      const data = [45292, 45323, 45352, 45383, null].map((day) => ({
+        OrderDate: day,
+      }));
+
+      const analysis = qvdTemporalAnalysis.calculateTemporalAnalysis(
+        data,
+        "OrderDate",
+        dateField
+      );
+
+      assert.strictEqual(analysis.isDate, true);
+      assert.strictEqual(
+        qvdTemporalAnalysis.formatDate(analysis.range.earliest),
+        qvdTemporalAnalysis.formatDate(new Date(2024, 0, 1))
+      );
+      assert.strictEqual(analysis.range.spanDays, 91);
+      assert.strictEqual(analysis.range.format.dominantFormat, "QLIK_SERIAL");
+      assert.deepStrictEqual(
+        analysis.distribution.byQuarter.map((item) => item.period),
+        ["Q1 2024", "Q2 2024"]
+      );
+      assert.strictEqual(analysis.quality.nullCount, 1);
+    });
+
+    test("Profiler uses field metadata", async () => {
+      const { profileFields } = await import("../src/qvdProfiler.mjs");
+      const data = [45292, 45293, 45295].map((day) => ({ OrderDate: day }));
+
+      const [withoutMetadata] = profileFields(data, ["OrderDate"]).fields;
+      assert.strictEqual(withoutMetadata.isDate, false);
+
+      const [field] = profileFields(data, ["OrderDate"], 1000, {
+        fields: [dateField],
+      }).fields;
+      assert.strictEqual(field.isDate, true);
+      assert.strictEqual(field.isNumeric, false);
+      assert.strictEqual(field.temporalAnalysis.gaps.hasGaps, true);
+    });
+
+    test("Profiler reads the creation time of the file", async () => {
+      const { profileFields } = await import("../src/qvdProfiler.mjs");
+      // Daily rows from 2024-01-01 to 2024-01-14
+      const data = [];
+      for (let day = 0; day < 14; day++) {
+        data.push({ OrderDate: 45292 + day });
+      }
+
+      const [field] = profileFields(data, ["OrderDate"], 1000, {
+        createUtcTime: "2024-02-01 08:30:00",
+        fields: [dateField],
+      }).fields;
+      const { changePoints } = field.temporalAnalysis.volume;
+      assert.deepStrictEqual(
+        changePoints.map((change) => [change.period, change.after]),
+        [["2024-01-15", 0]]
+      );
+    });
+  });
+
+  suite("Calendar Settings", () => {
+    const dateField = {
+      name: "OrderDate",
+      tags: ["$numeric", "$integer", "$date"],
+      numberFormat: { type: "DATE", fmt: "YYYY-MM-DD" },
+    };
+
+    // Serial 45292 is Monday 2024-01-01
+    function analyze(serials, settings = {}) {
+      return qvdTemporalAnalysis.calculateTemporalAnalysis(
+        serials.map((day) => ({ OrderDate: day })),
+        "OrderDate",
+        dateField,
+        qvdTemporalAnalysis.resolveCalendar(settings)
+      );
+    }
+
+    // Monday to Friday of four weeks from 2024-01-01
+    function weekdays() {
+      const serials = [];
+      for (let day = 45292; day < 45292 + 28; day++) {
+        if ((day - 45292) % 7 < 5) {
+          serials.push(day);
+        }
+      }
+      return serials;
+    }
+
+    test("Name fiscal years after the year they end in", () => {
+      // 2024-06-30 and 2024-07-01
+      const analysis = analyze([45473, 45474, 45474], {
+        fiscalYearStartMonth: 7,
+      });
+      assert.deepStrictEqual(analysis.distribution.byYear, [
+        { period: "FY2024", count: 1 },
+        { period: "FY2025", count: 2 },
+      ]);
+      assert.deepStrictEqual(
+        analysis.distribution.byQuarter.map((item) => item.period),
+        ["Q1 FY2025", "Q4 FY2024"]
+      );
+      assert.strictEqual(analysis.calendar.fiscalYearStartMonth, 7);
+      assert.strictEqual(
+        analysis.calendar.description,
+        "Fiscal year from July, weeks from Sunday, all days"
+      );
+
+      const calendarYears = analyze([45473, 45474]);
+      assert.deepStrictEqual(
+        calendarYears.distribution.byYear.map((item) => item.period),
+        ["2024"]
+      );
+      assert.strictEqual(calendarYears.distribution.byDayType, null);
+    });
+
+    test("Number weeks by ISO 8601", () => {
+      // Friday 2021-01-01 is in ISO week 53 of 2020
+      const iso = analyze([44197, 44200], { isoWeeks: true });
+      assert.deepStrictEqual(iso.distribution.byWeekNumber, [
+        { period: "W01", count: 1 },
+        { period: "W53", count: 1 },
+      ]);
+      assert.deepStrictEqual(
+        iso.distribution.byDayOfWeek.map((item) => item.period),
+        ["Monday", "Friday"]
+      );
+
+      const sunday = analyze([44197, 44200]);
+      assert.deepStrictEqual(sunday.distribution.byWeekNumber, [
+        { period: "W01", count: 1 },
+        { period: "W02", count: 1 },
+      ]);
+      assert.deepStrictEqual(
+        sunday.distribution.byDayOfWeek.map((item) => item.period),
+        ["Monday", "Friday"]
+      );
+    });
+
+    test("Skip weekends in business-day mode", () => {
+      const serials = weekdays();
+      assert.strictEqual(analyze(serials).gaps.gapCount, 3);
+
+      const business = analyze(serials, { businessDays: true });
+      assert.strictEqual(business.gaps.hasGaps, false);
+      assert.strictEqual(business.gaps.coverage, 100);
+      assert.strictEqual(business.gaps.expectedDays, "business");
+      assert.deepStrictEqual(business.distribution.byDayType, [
+        { period: "Business days", count: 20 },
+        { period: "Weekends", count: 0 },
+        { period: "Holidays", count: 0 },
+      ]);
+
+      // Without Wednesday 2024-01-10
+      const missing = analyze(
+        serials.filter((day) => day !== 45301),
+        { businessDays: true }
+      );
+      assert.strictEqual(missing.gaps.gapCount, 1);
+      assert.strictEqual(missing.gaps.largestGap.missingDays, 1);
+      assert.strictEqual(missing.gaps.largestGap.days, 2);
+      assert.strictEqual(missing.gaps.coverage, 95);
+    });
+
+    test("Do not expect records on holidays", () => {
+      // No records on Friday 2024-01-05, one on Saturday 2024-01-06
+      const serials = [...weekdays().filter((day) => day !== 45296), 45297];
+      const analysis = analyze(serials, {
+        businessDays: true,
+        holidays: ["2024-01-05", { date: "2024-01-06", name: "Epiphany" }],
+      });
+      assert.strictEqual(analysis.gaps.hasGaps, false);
+      assert.strictEqual(analysis.gaps.coverage, 100);
+      assert.deepStrictEqual(analysis.distribution.byDayType, [
+        { period: "Business days", count: 19 },
+        { period: "Weekends", count: 0 },
+        { period: "Holidays", count: 1 },
+      ]);
+      assert.strictEqual(analysis.calendar.holidayCount, 2);
+
+      // Holidays alone still expect weekends
+      const allDays = analyze(serials, { holidays: ["2024-01-05"] });
+      assert.strictEqual(allDays.gaps.gapCount, 3);
+      assert.strictEqual(allDays.gaps.expectedDays, "calendar");
+
+      assert.throws(
+        () => qvdTemporalAnalysis.resolveCalendar({ holidays: ["2024-02-30"] }),
+        /Invalid holiday date: 2024-02-30/
+      );
+    });
+
+    test("Parse and load holiday files", async () => {
+      const holidays = qvdTemporalAnalysis.parseHolidayCalendar(
+        [
+          "Date,Holiday",
+          "# Public holidays",
+          "2024-01-01,New Year's Day",
+          "",
+          "2024-12-25;Christmas Day",
+          "2024-12-26\tBoxing Day",
+          "2024-05-01",
+        ].join("\r\n")
+      );
+      assert.deepStrictEqual(holidays, [
+        { date: "2024-01-01", name: "New Year's Day" },
+        { date: "2024-12-25", name: "Christmas Day" },
+        { date: "2024-12-26", name: "Boxing Day" },
+        { date: "2024-05-01", name: "" },
+      ]);
+      assert.throws(
+        () =>
+          qvdTemporalAnalysis.parseHolidayCalendar(
+            "2024-01-01\n01/05/2024,Labour Day"
+          ),
+        /Line 2: "01\/05\/2024" is not a YYYY-MM-DD date/
+      );
+      assert.throws(
+        () => qvdTemporalAnalysis.parseHolidayCalendar("Date\nHoliday"),
+        /Line 2: "Holiday" is not a YYYY-MM-DD date/
+      );
+
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "qvd-calendar-"));
+      try {
+        fs.writeFileSync(
+          path.join(tempDir, "holidays.csv"),
+          "2024-01-01,New Year's Day\n2024-12-25,Christmas Day\n"
+        );
+        const calendar = await qvdTemporalAnalysis.loadCalendar(
+          { businessDays: true, holidayFile: "holidays.csv" },
+          tempDir
+        );
+        assert.strictEqual(calendar.businessDays, true);
+        assert.deepStrictEqual(
+          [...calendar.holidayDates],
+          ["2024-01-01", "2024-12-25"]
+        );
+
+        fs.writeFileSync(path.join(tempDir, "broken.csv"), "2024-13-01\n");
+        await assert.rejects(
+          qvdTemporalAnalysis.loadCalendar(
+            { holidayFile: "broken.csv" },
+            tempDir
+          ),
+          /Invalid holiday file broken.csv: Line 1/
+        );
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  suite("Time of Day", () => {
+    const timestampField = {
+      name: "LoadedAt",
+      tags: ["$numeric", "$timestamp"],
+      numberFormat: { type: "TIMESTAMP", fmt: "YYYY-MM-DD hh:mm:ss" },
+    };
+    const dateField = {
+      name: "LoadedAt",
+      tags: ["$numeric", "$integer", "$date"],
+      numberFormat: { type: "DATE", fmt: "YYYY-MM-DD" },
+    };
+
+    function analyze(counts, field = timestampField, settings = {}) {
+      return qvdTemporalAnalysis.calculateTemporalAnalysisFromCounts(
+        new Map(counts),
+        0,
+        counts.reduce((sum, [, count]) => sum + count, 0),
+        field,
+        qvdTemporalAnalysis.resolveCalendar(settings)
+      );
+    }
+
+    test("Count records per hour and per weekday and hour", () => {
+      // Monday 2024-01-01 09:00 and 17:30, Sunday 2024-01-07 09:15
+      const counts = [
+        [45292 + 9 / 24, 4],
+        [45292 + 17.5 / 24, 2],
+        [45298 + 9.25 / 24, 1],
+      ];
+      const { timeOfDay } = analyze(counts);
+      assert.strictEqual(timeOfDay.byHour[9], 5);
+      assert.strictEqual(timeOfDay.byHour[17], 2);
+      assert.strictEqual(
+        timeOfDay.byHour.reduce((sum, count) => sum + count, 0),
+        7
+      );
+      assert.strictEqual(timeOfDay.weekdayHour.days[0], "Sunday");
+      assert.strictEqual(timeOfDay.weekdayHour.counts[0][9], 1);
+      assert.strictEqual(timeOfDay.weekdayHour.counts[1][9], 4);
+      assert.deepStrictEqual(timeOfDay.topTime, {
+        time: "09:00:00",
+        count: 4,
+        percentage: (4 / 7) * 100,
+      });
+      assert.deepStrictEqual(timeOfDay.patterns, []);
+
+      const iso = analyze(counts, timestampField, { isoWeeks: true });
+      assert.strictEqual(iso.timeOfDay.weekdayHour.days[0], "Monday");
+      assert.strictEqual(iso.timeOfDay.weekdayHour.counts[0][9], 4);
+      assert.strictEqual(iso.timeOfDay.weekdayHour.counts[6][9], 1);
+    });
+
+    test("Flag dates stored as timestamps", () => {
+      const midnight = [];
+      for (let day = 45292; day < 45302; day++) {
+        midnight.push([day, 3]);
+      }
+      const analysis = analyze(midnight);
+      assert.strictEqual(analysis.timeOfDay.midnightPercentage, 100);
+      assert.strictEqual(analysis.timeOfDay.patterns.length, 1);
+      assert.strictEqual(analysis.timeOfDay.patterns[0].type, "dateOnly");
+      assert.strictEqual(
+        analysis.timeOfDay.patterns[0].description,
+        "All 30 timestamps are at 00:00:00, the field probably holds dates " +
+          "stored as timestamps"
+      );
+
+      // Date fields have no time of day to analyze
+      assert.strictEqual(analyze(midnight, dateField).timeOfDay, null);
+
+      // Some midnight values among other times
+      const mixed = analyze([...midnight, [45292.5, 10]]);
+      assert.strictEqual(mixed.timeOfDay.patterns[0].type, "midnight");
+    });
+
+    test("Flag one dominant batch time", () => {
+      const counts = [];
+      for (let day = 45292; day < 45302; day++) {
+        // 02:00 every night, and one record a day from 10:00, a minute later
+        // each day
+        counts.push([day + 2 / 24, 20], [day + (600 + day - 45292) / 1440, 1]);
+      }
+      const { timeOfDay } = analyze(counts);
+      assert.strictEqual(timeOfDay.patterns.length, 1);
+      assert.strictEqual(timeOfDay.patterns[0].type, "batchTime");
+      assert.strictEqual(timeOfDay.patterns[0].time, "02:00:00");
+      assert.ok(timeOfDay.patterns[0].description.startsWith("95% of"));
+
+      // Too few records to judge
+      assert.deepStrictEqual(
+        analyze([[45292 + 2 / 24, 5]]).timeOfDay.patterns,
+        []
+      );
+    });
+
+    test("Detect timestamps without field metadata", () => {
+      const data = [
+        { ts: "2024-01-01T08:00:00" },
+        { ts: "2024-01-01T14:30:00" },
+        { ts: "2024-01-02T08:00:00" },
+      ];
+      const analysis = qvdTemporalAnalysis.calculateTemporalAnalysis(
+        data,
+        "ts"
+      );
+      assert.strictEqual(analysis.timeOfDay.byHour[8], 2);
+      assert.strictEqual(analysis.timeOfDay.byHour[14], 1);
+
+      const dates = qvdTemporalAnalysis.calculateTemporalAnalysis(
+        [{ d: "20240101" }, { d: "20240102" }],
+        "d"
+      );
+      assert.strictEqual(dates.timeOfDay, null);
+    });
+
+    test("Lay out daily counts as a calendar", () => {
+      // Wednesday 2024-01-03 to Tuesday 2024-01-09, nothing on the 5th
+      const { calendarHeatmap } = analyze(
+        [
+          [45294, 2],
+          [45294.5, 1],
+          [45295, 4],
+          [45297 + 0.75, 1],
+          [45300, 5],
+        ],
+        dateField
+      );
+      assert.strictEqual(calendarHeatmap.start, "2024-01-03");
+      assert.strictEqual(calendarHeatmap.end, "2024-01-09");
+      assert.strictEqual(calendarHeatmap.max, 5);
+      assert.strictEqual(calendarHeatmap.truncated, false);
+      assert.deepStrictEqual(calendarHeatmap.days.slice(0, 5), [
+        { date: "2024-01-03", count: 3, week: 0, weekday: 3 },
+        { date: "2024-01-04", count: 4, week: 0, weekday: 4 },
+        { date: "2024-01-05", count: 0, week: 0, weekday: 5 },
+        { date: "2024-01-06", count: 1, week: 0, weekday: 6 },
+        { date: "2024-01-07", count: 0, week: 1, weekday: 0 },
+      ]);
+
+      // Weeks from Monday, and only the last year of a longer range
+      const iso = analyze(
+        [
+          [45292, 1],
+          [45292 + 800, 1],
+        ],
+        dateField,
+        { isoWeeks: true }
+      ).calendarHeatmap;
+      assert.strictEqual(iso.days.length, 366);
+      assert.strictEqual(iso.truncated, true);
+      assert.strictEqual(iso.weekdays[0], "Monday");
+      assert.strictEqual(iso.end, "2026-03-11");
+      const last = iso.days[iso.days.length - 1];
+      assert.strictEqual(last.weekday, 2);
+      assert.strictEqual(last.count, 1);
+    });
+  });
+
   suite("Integration with Profiler", () => {
     test("Non-date field returns isDate: false", () => {
       const data = [